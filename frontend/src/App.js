@@ -15,7 +15,7 @@ import AuthLayout from './components/layouts/AuthLayout';
 import DashboardLayout from './components/layouts/DashboardLayout';
 
 // Auth pages
-import { LoginPage, RegisterPage, ForgotPasswordPage, ResetPasswordPage } from './pages/auth';
+import { LoginPage, RegisterPage, ForgotPasswordPage, ResetPasswordPage, AcceptInvitePage } from './pages/auth';
 
 // Dashboard pages
 import { DashboardOverview } from './pages/dashboard';
@@ -27,9 +27,12 @@ import { DepartmentsPage } from './pages/departments';
 // Organization Chart pages
 import { OrganizationChartPage } from './pages/organization';
 import { EvaluationTemplatesPage } from './pages/evaluations';
+// Notifications page
+import { NotificationsPage } from './pages/notifications';
 
 // Admin pages
 import AssignmentManagementPage from './pages/admin/AssignmentManagementPage';
+import ReviewCyclesPage from './pages/admin/ReviewCyclesPage';
 
 // Hierarchical Evaluation System pages
 import { 
@@ -44,7 +47,11 @@ import {
   MyGoalsPage,
   PerformanceHistoryPage,
   TeamPerformancePage,
-  BonusAllocationPage
+  BonusAllocationPage,
+  BonusHistoryPage,
+  FeedbackRequestsPage,
+  FeedbackFormPage,
+  ExternalFeedbackPage
 } from './pages/evaluations';
 
 // TODO: Create these pages
@@ -111,6 +118,20 @@ function App() {
                 </AuthLayout>
               </PublicRoute>
             } />
+            <Route path="/accept-invite/:token" element={
+              <PublicRoute>
+                <AuthLayout>
+                  <AcceptInvitePage />
+                </AuthLayout>
+              </PublicRoute>
+            } />
+            <Route path="/feedback/:token" element={
+              <PublicRoute>
+                <AuthLayout>
+                  <ExternalFeedbackPage />
+                </AuthLayout>
+              </PublicRoute>
+            } />
             
             {/* Protected routes */}
             <Route path="/dashboard" element={
@@ -138,6 +159,15 @@ function App() {
                 </DashboardLayout>
               </ProtectedRoute>
             } />
+
+            {/* Review Cycles (Admin/HR Only) */}
+            <Route path="/review-cycles" element={
+              <ProtectedRoute>
+                <DashboardLayout>
+                  <ReviewCyclesPage />
+                </DashboardLayout>
+              </ProtectedRoute>
+            } />
             
             {/* Departments Management */}
             <Route path="/departments" element={
@@ -251,6 +281,30 @@ function App() {
               </ProtectedRoute>
             } />
             
+            <Route path="/notifications" element={
+              <ProtectedRoute>
+                <DashboardLayout>
+                  <NotificationsPage />
+                </DashboardLayout>
+              </ProtectedRoute>
+            } />
+            
+            <Route path="/feedback-requests" element={
+              <ProtectedRoute>
+                <DashboardLayout>
+                  <FeedbackRequestsPage />
+                </DashboardLayout>
+              </ProtectedRoute>
+            } />
+
+            <Route path="/feedback-requests/:requestId" element={
+              <ProtectedRoute>
+                <DashboardLayout>
+                  <FeedbackFormPage />
+                </DashboardLayout>
+              </ProtectedRoute>
+            } />
+
             <Route path="/my-goals" element={
               <ProtectedRoute>
                 <DashboardLayout>
@@ -266,6 +320,14 @@ function App() {
                 </DashboardLayout>
               </ProtectedRoute>
             } />
+
+            <Route path="/performance-history/:employeeId" element={
+              <ProtectedRoute>
+                <DashboardLayout>
+                  <PerformanceHistoryPage />
+                </DashboardLayout>
+              </ProtectedRoute>
+            } />
             
             {/* Team Performance Routes */}
             <Route path="/team-performance" element={
@@ -284,6 +346,13 @@ function App() {
                 </DashboardLayout>
               </ProtectedRoute>
             } />
+            <Route path="/bonus-history" element={
+              <ProtectedRoute>
+                <DashboardLayout>
+                  <BonusHistoryPage />
+                </DashboardLayout>
+              </ProtectedRoute>
+            } />
             
             {/* TODO: Implement these routes when pages are created */}
             {/*
@@ -0,0 +1,83 @@
+import React, { Fragment, useState } from 'react';
+import { Menu, Transition } from '@headlessui/react';
+import classNames from 'classnames';
+import { ArrowDownTrayIcon } from '@heroicons/react/24/outline';
+import LoadingSpinner from './LoadingSpinner';
+
+const FORMATS = [
+  { value: 'csv', label: 'CSV', description: 'One row per answer' },
+  { value: 'xlsx', label: 'Excel (XLSX)', description: 'Separate sheets' },
+  { value: 'json', label: 'JSON', description: 'Nested records' }
+];
+
+/**
+ * Export button with a format picker. onExport(format) calls one of the export
+ * functions; the file it returns is opened through its signed download link.
+ */
+const ExportMenu = ({ onExport, label = 'Export', disabled = false, className = '' }) => {
+  const [exporting, setExporting] = useState(false);
+
+  const handleExport = async (format) => {
+    setExporting(true);
+    try {
+      const result = await onExport(format);
+      if (!result.success) {
+        throw result.error;
+      }
+
+      console.log(`📤 Exported ${result.data.recordCount} records to ${result.data.fileName}`);
+      window.location.assign(result.data.downloadUrl);
+    } catch (error) {
+      console.error('❌ Export failed:', error);
+      alert('Failed to export: ' + (error?.message || 'Unknown error'));
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <Menu as="div" className={classNames('relative inline-block text-left', className)}>
+      <Menu.Button
+        disabled={disabled || exporting}
+        className={classNames(
+          'btn btn-outline flex items-center gap-2 transition-all duration-200 focus:outline-none focus:ring-2 focus:ring-offset-2',
+          { 'opacity-50 cursor-not-allowed': disabled || exporting }
+        )}
+      >
+        {exporting ? <LoadingSpinner size="small" /> : <ArrowDownTrayIcon className="w-5 h-5" />}
+        {exporting ? 'Exporting...' : label}
+      </Menu.Button>
+      <Transition
+        as={Fragment}
+        enter="transition ease-out duration-100"
+        enterFrom="transform opacity-0 scale-95"
+        enterTo="transform opacity-100 scale-100"
+        leave="transition ease-in duration-75"
+        leaveFrom="transform opacity-100 scale-100"
+        leaveTo="transform opacity-0 scale-95"
+      >
+        <Menu.Items className="origin-top-right absolute right-0 mt-2 w-56 rounded-md shadow-lg dark:shadow-gray-700/20 py-1 bg-white dark:bg-gray-800 ring-1 ring-black dark:ring-gray-700 ring-opacity-5 focus:outline-none z-10">
+          {FORMATS.map((format) => (
+            <Menu.Item key={format.value}>
+              {({ active }) => (
+                <button
+                  type="button"
+                  onClick={() => handleExport(format.value)}
+                  className={classNames(
+                    active ? 'bg-gray-50 dark:bg-gray-700' : '',
+                    'block w-full text-left px-4 py-2 text-sm'
+                  )}
+                >
+                  <div className="font-medium text-gray-900 dark:text-white">{format.label}</div>
+                  <div className="text-xs text-gray-500 dark:text-gray-400">{format.description}</div>
+                </button>
+              )}
+            </Menu.Item>
+          ))}
+        </Menu.Items>
+      </Transition>
+    </Menu>
+  );
+};
+
+export default ExportMenu;
@@ -9,4 +9,5 @@ export { default as Input } from './Input';
 export { default as TextArea } from './TextArea';
 export { default as Select } from './Select';
 export { default as Modal } from './Modal';
+export { default as ExportMenu } from './ExportMenu';
 export { default as AppInitializer } from './AppInitializer';
@@ -0,0 +1,423 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { useSelector } from 'react-redux';
+import {
+  ResponsiveContainer,
+  BarChart,
+  Bar,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend
+} from 'recharts';
+import { collection, query, where, getDocs, doc, deleteDoc } from 'firebase/firestore';
+import { BeakerIcon, TrashIcon, ArrowUpOnSquareIcon } from '@heroicons/react/24/outline';
+import { Card, Button, Input, Select, Badge } from '../common';
+import { selectUser } from '../../store/slices/authSlice';
+import { db } from '../../firebase/config';
+import { functionsService } from '../../firebase/services';
+import { formatDateTime } from '../../utils/dateUtils';
+import { BONUS_STRATEGY_OPTIONS, buildBonusOptions, bonusCalculationErrorMessage } from '../../utils/bonusStrategies';
+import { bonusWorkflowErrorMessage } from '../../utils/bonusWorkflow';
+import { formatMoney } from '../../utils/currency';
+import { compareScenarios, formatDelta } from '../../utils/bonusScenarios';
+
+const MAX_COMPARED = 4;
+
+const BUDGET_MODES = [
+  { value: 'amount', label: 'Fixed amount' },
+  { value: 'percent', label: '% of annual payroll' }
+];
+
+const BUDGET_SOURCE_LABELS = {
+  override: 'fixed amount',
+  payroll: 'of annual payroll',
+  department: 'department budget'
+};
+
+const strategyLabel = (strategy) => BONUS_STRATEGY_OPTIONS.find(option => option.value === strategy)?.label || strategy;
+
+const describeBudget = (scenario, currency) => (scenario.budgetSource === 'payroll'
+  ? `${formatMoney(scenario.budget, currency)} (${scenario.budgetPercent}% ${BUDGET_SOURCE_LABELS.payroll})`
+  : `${formatMoney(scenario.budget, currency)} (${BUDGET_SOURCE_LABELS[scenario.budgetSource] || 'budget'})`);
+
+// The functions service replaces server messages with generic ones, so explain by error code
+const scenarioErrorMessage = (error) => (error?.code === 'functions/resource-exhausted'
+  ? 'This department already has the maximum number of scenarios for the period. Delete one before saving another.'
+  : bonusCalculationErrorMessage(error));
+
+/**
+ * Named what-if scenarios for one department and review period. A scenario is saved from
+ * the strategy, floor, cap and rating bands currently set on the allocation page, with its
+ * own budget; saved scenarios are compared against the current draft per employee and
+ * can be promoted to become the draft. Promoting never changes the scenario itself.
+ */
+const BonusScenarios = ({
+  departmentId,
+  period,
+  teamMembers,
+  draftAllocations,
+  draftBudget,
+  strategy,
+  floorPercent,
+  capPercent,
+  tiers,
+  salaries,
+  currencies,
+  currency,
+  canPromote,
+  onPromoted
+}) => {
+  const user = useSelector(selectUser);
+
+  const [scenarios, setScenarios] = useState([]);
+  const [compared, setCompared] = useState([]);
+  const [name, setName] = useState('');
+  const [budgetMode, setBudgetMode] = useState('amount');
+  const [budgetValue, setBudgetValue] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [busyId, setBusyId] = useState(null);
+
+  // Rules let assigned managers read only the scenarios they saved themselves
+  const canReadAll = ['admin', 'hr', 'head-manager'].includes(user?.role) || user?.permissions?.canCalculateBonuses === true;
+  const canDeleteAll = ['admin', 'hr'].includes(user?.role);
+  const periodKey = period ? String(period.cycleId || period.year) : null;
+  const { reportingCurrency } = currency;
+  const formatAmount = (amount) => formatMoney(amount, reportingCurrency);
+
+  const loadScenarios = useCallback(async () => {
+    if (!user?.businessId || !departmentId || !periodKey) return;
+
+    try {
+      const constraints = [where('departmentId', '==', departmentId), where('periodKey', '==', periodKey)];
+      if (!canReadAll) constraints.push(where('createdBy', '==', user.id));
+      const snapshot = await getDocs(query(collection(db, 'businesses', user.businessId, 'bonusScenarios'), ...constraints));
+      const loaded = snapshot.docs
+        .map(scenarioDoc => ({ id: scenarioDoc.id, ...scenarioDoc.data() }))
+        .sort((a, b) => (a.createdAt?.toMillis?.() || 0) - (b.createdAt?.toMillis?.() || 0));
+      setScenarios(loaded);
+      setCompared(prev => prev.filter(id => loaded.some(scenario => scenario.id === id)));
+    } catch (error) {
+      console.error('❌ Error loading bonus scenarios:', error);
+      setScenarios([]);
+    }
+  }, [user?.businessId, user?.id, departmentId, periodKey, canReadAll]);
+
+  useEffect(() => {
+    setCompared([]);
+    loadScenarios();
+  }, [loadScenarios]);
+
+  const handleSave = async () => {
+    if (!name.trim()) {
+      alert('Give the scenario a name, e.g. "5% budget" or "Tiered".');
+      return;
+    }
+
+    const { options, error } = buildBonusOptions(strategy, { floorPercent, capPercent, tiers });
+    if (error) {
+      alert(error);
+      return;
+    }
+
+    const value = parseFloat(budgetValue);
+    if (budgetValue !== '' && (Number.isNaN(value) || value <= 0 || (budgetMode === 'percent' && value > 100))) {
+      alert(budgetMode === 'percent'
+        ? 'The budget percentage must be between 0 and 100.'
+        : 'The budget must be a positive amount.');
+      return;
+    }
+
+    setSaving(true);
+    const result = await functionsService.saveBonusScenario(user.businessId, {
+      name: name.trim(),
+      departmentId,
+      ...(period.cycleId ? { cycleId: period.cycleId } : { year: period.year }),
+      strategy,
+      options,
+      salaries,
+      currencies,
+      // Without a budget of its own the scenario uses the draft's, then the department's
+      ...(budgetValue === ''
+        ? (parseFloat(draftBudget) > 0 && { budget: parseFloat(draftBudget) })
+        : budgetMode === 'percent' ? { budgetPercent: value } : { budget: value })
+    });
+    setSaving(false);
+
+    if (!result.success) {
+      console.error('❌ Error saving bonus scenario:', result.error);
+      alert(scenarioErrorMessage(result.error));
+      return;
+    }
+
+    const { scenario } = result.data;
+    setName('');
+    setBudgetValue('');
+    await loadScenarios();
+    setCompared(prev => (prev.length < MAX_COMPARED ? [...prev, scenario.id] : prev));
+  };
+
+  const toggleCompared = (scenarioId) => {
+    if (compared.includes(scenarioId)) {
+      setCompared(compared.filter(id => id !== scenarioId));
+    } else if (compared.length >= MAX_COMPARED) {
+      alert(`Compare up to ${MAX_COMPARED} scenarios at a time.`);
+    } else {
+      setCompared([...compared, scenarioId]);
+    }
+  };
+
+  const handlePromote = async (scenario) => {
+    if (!window.confirm(`Replace the draft allocation with "${scenario.name}"? Its salaries, percentages and budget become the draft; the scenario itself is kept.`)) {
+      return;
+    }
+
+    setBusyId(scenario.id);
+    const result = await functionsService.distributeBonuses(user.businessId, {
+      action: 'promote',
+      scenarioId: scenario.id,
+      departmentId,
+      ...(period.cycleId ? { cycleId: period.cycleId } : { year: period.year })
+    });
+    setBusyId(null);
+
+    if (!result.success) {
+      console.error('❌ Error promoting bonus scenario:', result.error);
+      alert(bonusWorkflowErrorMessage(result.error));
+      return;
+    }
+    await onPromoted();
+  };
+
+  const handleDelete = async (scenario) => {
+    if (!window.confirm(`Delete the scenario "${scenario.name}"?`)) return;
+
+    setBusyId(scenario.id);
+    try {
+      await deleteDoc(doc(db, 'businesses', user.businessId, 'bonusScenarios', scenario.id));
+      await loadScenarios();
+    } catch (error) {
+      console.error('❌ Error deleting bonus scenario:', error);
+      alert('Failed to delete the scenario');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const comparedScenarios = compared
+    .map(id => scenarios.find(scenario => scenario.id === id))
+    .filter(Boolean);
+
+  // One row per employee in the draft or any compared scenario
+  const { rows, draftTotal, utilisation } = compareScenarios({
+    teamMembers,
+    draftAllocations,
+    draftBudget,
+    scenarios: comparedScenarios,
+    currency
+  });
+
+  return (
+    <Card className="mb-6">
+      <div className="p-6">
+        <div className="flex items-center mb-1">
+          <BeakerIcon className="h-5 w-5 text-gray-500 mr-2" />
+          <h2 className="text-lg font-medium text-gray-900 dark:text-white">What-If Scenarios</h2>
+        </div>
+        <p className="text-sm text-gray-500 mb-4">
+          Save the strategy, floor, cap and rating bands set above as a named scenario, compare scenarios with the
+          current draft and promote the one you want.
+        </p>
+
+        {/* New scenario */}
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-4 items-end">
+          <Input
+            label="Scenario Name"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder="e.g. 5% budget, tiered"
+            maxLength={80}
+          />
+          <Select
+            label="Budget"
+            value={budgetMode}
+            onChange={(e) => setBudgetMode(e.target.value)}
+            placeholder={null}
+            options={BUDGET_MODES}
+          />
+          <Input
+            label={budgetMode === 'percent' ? 'Budget (% of annual payroll)' : `Budget Amount (${reportingCurrency})`}
+            type="number"
+            min="0"
+            step={budgetMode === 'percent' ? '0.5' : '100'}
+            value={budgetValue}
+            onChange={(e) => setBudgetValue(e.target.value)}
+            placeholder={budgetMode === 'percent' ? 'e.g. 5' : 'Total budget above'}
+          />
+          <Button onClick={handleSave} loading={saving} disabled={saving}>
+            Save Scenario
+          </Button>
+        </div>
+
+        {/* Saved scenarios */}
+        {scenarios.length === 0 ? (
+          <p className="text-sm text-gray-500 mt-6">No scenarios saved for this period yet.</p>
+        ) : (
+          <div className="overflow-x-auto mt-6">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50 dark:bg-gray-800">
+                <tr>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Compare</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Scenario</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Strategy</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Budget</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Allocated</th>
+                  <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Actions</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {scenarios.map(scenario => (
+                  <tr key={scenario.id}>
+                    <td className="px-4 py-2">
+                      <input
+                        type="checkbox"
+                        checked={compared.includes(scenario.id)}
+                        onChange={() => toggleCompared(scenario.id)}
+                        className="h-4 w-4 text-primary-600 border-gray-300 rounded"
+                      />
+                    </td>
+                    <td className="px-4 py-2 text-sm">
+                      <div className="font-medium text-gray-900 dark:text-white">{scenario.name}</div>
+                      <div className="text-xs text-gray-500">
+                        {scenario.createdByName}
+                        {scenario.createdAt && ` · ${formatDateTime(scenario.createdAt.toDate())}`}
+                      </div>
+                    </td>
+                    <td className="px-4 py-2 text-sm text-gray-700">{strategyLabel(scenario.strategy)}</td>
+                    <td className="px-4 py-2 text-sm text-gray-700">{describeBudget(scenario, reportingCurrency)}</td>
+                    <td className="px-4 py-2 text-sm text-gray-700">
+                      {formatAmount(scenario.totalAllocated)}
+                      {scenario.warnings?.length > 0 && (
+                        <span title={scenario.warnings.join('\n')}>
+                          <Badge variant="warning" className="ml-2">
+                            {scenario.warnings.length} warning{scenario.warnings.length === 1 ? '' : 's'}
+                          </Badge>
+                        </span>
+                      )}
+                    </td>
+                    <td className="px-4 py-2 text-right whitespace-nowrap">
+                      {canPromote && (
+                        <Button
+                          size="small"
+                          variant="outline"
+                          onClick={() => handlePromote(scenario)}
+                          disabled={busyId === scenario.id}
+                          className="mr-2"
+                        >
+                          <ArrowUpOnSquareIcon className="h-4 w-4 mr-1" />
+                          Promote to Draft
+                        </Button>
+                      )}
+                      {(canDeleteAll || scenario.createdBy === user?.id) && (
+                        <Button
+                          size="small"
+                          variant="outline"
+                          onClick={() => handleDelete(scenario)}
+                          disabled={busyId === scenario.id}
+                        >
+                          <TrashIcon className="h-4 w-4" />
+                        </Button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {/* Comparison */}
+        {comparedScenarios.length > 0 && (
+          <div className="mt-6 space-y-6">
+            <div>
+              <h3 className="text-sm font-medium text-gray-900 dark:text-white mb-2">Budget Utilisation</h3>
+              <ResponsiveContainer width="100%" height={240}>
+                <BarChart data={utilisation}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="name" />
+                  <YAxis />
+                  <Tooltip formatter={(value) => formatAmount(value)} />
+                  <Legend />
+                  <Bar dataKey="allocated" name="Allocated" stackId="budget" fill="#6366f1" />
+                  <Bar dataKey="unallocated" name="Unallocated" stackId="budget" fill="#d1d5db" />
+                  <Bar dataKey="over" name="Over budget" stackId="budget" fill="#ef4444" />
+                </BarChart>
+              </ResponsiveContainer>
+            </div>
+
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50 dark:bg-gray-800">
+                  <tr>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Employee</th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Current Draft</th>
+                    {comparedScenarios.map(scenario => (
+                      <th key={scenario.id} className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">
+                        {scenario.name}
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200">
+                  {rows.map(row => (
+                    <tr key={row.employeeId}>
+                      <td className="px-4 py-2 text-sm text-gray-900 dark:text-white">{row.name}</td>
+                      <td className="px-4 py-2 text-sm text-gray-700">
+                        {row.baseline === null ? 'No exchange rate' : formatAmount(row.baseline)}
+                        <span className="ml-1 text-xs text-gray-500">({parseFloat(row.draft?.bonusPercentage) || 0}%)</span>
+                      </td>
+                      {row.cells.map((cell, index) => {
+                        const scenario = comparedScenarios[index];
+                        if (!cell) {
+                          return <td key={scenario.id} className="px-4 py-2 text-sm text-gray-400">--</td>;
+                        }
+                        const { line, delta } = cell;
+                        return (
+                          <td key={scenario.id} className="px-4 py-2 text-sm text-gray-700">
+                            {line.excludedReason ? (
+                              <span className="text-gray-400">Left out</span>
+                            ) : (
+                              <>
+                                {formatAmount(line.amount)}
+                                <span className="ml-1 text-xs text-gray-500">({line.bonusPercentage}%)</span>
+                              </>
+                            )}
+                            <div className={`text-xs ${delta > 0.5 ? 'text-green-700' : delta < -0.5 ? 'text-orange-600' : 'text-gray-400'}`}>
+                              {formatDelta(delta, reportingCurrency)}
+                            </div>
+                          </td>
+                        );
+                      })}
+                    </tr>
+                  ))}
+                  <tr className="bg-gray-50 dark:bg-gray-800 font-medium">
+                    <td className="px-4 py-2 text-sm text-gray-900 dark:text-white">Total</td>
+                    <td className="px-4 py-2 text-sm text-gray-900 dark:text-white">{formatAmount(draftTotal)}</td>
+                    {comparedScenarios.map(scenario => (
+                      <td key={scenario.id} className="px-4 py-2 text-sm text-gray-900 dark:text-white">
+                        {formatAmount(scenario.totalAllocated)}
+                        <div className="text-xs font-normal text-gray-500">{formatDelta(scenario.totalAllocated - draftTotal, reportingCurrency)}</div>
+                      </td>
+                    ))}
+                  </tr>
+                </tbody>
+              </table>
+            </div>
+          </div>
+        )}
+      </div>
+    </Card>
+  );
+};
+
+export default BonusScenarios;
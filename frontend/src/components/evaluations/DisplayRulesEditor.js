@@ -0,0 +1,232 @@
+import React, { useState } from 'react';
+import { PlusIcon, TrashIcon, FunnelIcon } from '@heroicons/react/24/outline';
+import { Button } from '../common';
+import { COMPETENCY_LEVELS } from '../../utils/questionTypes';
+import {
+  CONDITION_FIELDS,
+  EVALUATEE_ROLES,
+  createCondition,
+  describeDisplayRules,
+  getConditionOperators,
+  hasDisplayRules,
+  validateDisplayRules
+} from '../../utils/displayRules';
+
+const selectClass = 'rounded-md border-gray-300 text-sm';
+
+/**
+ * Edits the display rules of a category or question. Collapsed it shows a one-line
+ * summary; rules are stored as { match: 'all' | 'any', conditions: [...] }.
+ */
+const DisplayRulesEditor = ({ rules, onChange, preceding = [], departments = [] }) => {
+  const [expanded, setExpanded] = useState(false);
+  const conditions = rules?.conditions || [];
+  const match = rules?.match || 'all';
+  const errors = validateDisplayRules(rules, preceding);
+
+  const update = (nextConditions, nextMatch = match) => {
+    onChange(nextConditions.length > 0 ? { match: nextMatch, conditions: nextConditions } : null);
+  };
+
+  const updateCondition = (index, condition) => {
+    update(conditions.map((existing, i) => (i === index ? condition : existing)));
+  };
+
+  const toggleValue = (index, value) => {
+    const condition = conditions[index];
+    const values = condition.values || [];
+    updateCondition(index, {
+      ...condition,
+      values: values.includes(value) ? values.filter(item => item !== value) : [...values, value]
+    });
+  };
+
+  const renderAnswerValue = (condition, index) => {
+    const referenced = preceding.find(entry => entry.ref === condition.questionRef)?.question;
+    const setValue = (value) => updateCondition(index, { ...condition, value });
+
+    if (!referenced) return null;
+
+    switch (referenced.type) {
+      case 'yesNo':
+        return (
+          <select
+            value={condition.value === true ? 'yes' : condition.value === false ? 'no' : ''}
+            onChange={(e) => setValue(e.target.value === '' ? '' : e.target.value === 'yes')}
+            className={selectClass}
+          >
+            <option value="">Choose…</option>
+            <option value="yes">Yes</option>
+            <option value="no">No</option>
+          </select>
+        );
+      case 'multipleChoice':
+      case 'checklist':
+        return (
+          <select value={condition.value ?? ''} onChange={(e) => setValue(e.target.value)} className={selectClass}>
+            <option value="">Choose…</option>
+            {(referenced.options || []).filter(Boolean).map(option => (
+              <option key={option} value={option}>{option}</option>
+            ))}
+          </select>
+        );
+      case 'competency':
+        return (
+          <select
+            value={condition.value ?? ''}
+            onChange={(e) => setValue(e.target.value === '' ? '' : parseInt(e.target.value, 10))}
+            className={selectClass}
+          >
+            <option value="">Choose…</option>
+            {Array.from({ length: COMPETENCY_LEVELS }, (_, i) => (
+              <option key={i + 1} value={i + 1}>Level {i + 1}</option>
+            ))}
+          </select>
+        );
+      default:
+        return (
+          <input
+            type="number"
+            step="any"
+            value={condition.value ?? ''}
+            onChange={(e) => setValue(e.target.value === '' ? '' : parseFloat(e.target.value))}
+            className={`${selectClass} w-28`}
+          />
+        );
+    }
+  };
+
+  const renderConditionValue = (condition, index) => {
+    switch (condition.field) {
+      case 'role':
+      case 'department': {
+        const choices = condition.field === 'role'
+          ? EVALUATEE_ROLES
+          : departments.map(department => ({ value: department.id, label: department.name }));
+        return (
+          <div className="flex flex-wrap gap-x-4 gap-y-1 w-full">
+            {choices.map(choice => (
+              <label key={choice.value} className="flex items-center text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={(condition.values || []).includes(choice.value)}
+                  onChange={() => toggleValue(index, choice.value)}
+                  className="h-4 w-4 text-indigo-600 border-gray-300 rounded mr-1"
+                />
+                {choice.label}
+              </label>
+            ))}
+            {choices.length === 0 && <span className="text-sm text-gray-500">No departments yet</span>}
+          </div>
+        );
+      }
+      case 'tenure':
+        return (
+          <input
+            type="number"
+            min="0"
+            value={condition.value ?? ''}
+            onChange={(e) => updateCondition(index, { ...condition, value: e.target.value === '' ? '' : parseInt(e.target.value, 10) })}
+            className={`${selectClass} w-24`}
+          />
+        );
+      default:
+        return renderAnswerValue(condition, index);
+    }
+  };
+
+  return (
+    <div className="text-sm">
+      <div className="flex items-center space-x-2">
+        <FunnelIcon className={`h-4 w-4 ${hasDisplayRules(rules) ? 'text-indigo-600' : 'text-gray-400'}`} />
+        <span className={hasDisplayRules(rules) ? 'text-indigo-700' : 'text-gray-500'}>
+          {describeDisplayRules(rules, { departments, questions: preceding })}
+        </span>
+        <button type="button" onClick={() => setExpanded(!expanded)} className="text-indigo-600 hover:text-indigo-800">
+          {expanded ? 'Done' : hasDisplayRules(rules) ? 'Edit rules' : 'Add rule'}
+        </button>
+      </div>
+
+      {expanded && (
+        <div className="mt-2 space-y-3 border border-gray-200 rounded-lg p-3 bg-gray-50">
+          {conditions.length > 1 && (
+            <div className="flex items-center space-x-2">
+              <span className="text-gray-700">Show when</span>
+              <select value={match} onChange={(e) => update(conditions, e.target.value)} className={selectClass}>
+                <option value="all">all conditions hold</option>
+                <option value="any">any condition holds</option>
+              </select>
+            </div>
+          )}
+
+          {conditions.map((condition, index) => {
+            const referenced = preceding.find(entry => entry.ref === condition.questionRef)?.question;
+            return (
+              <div key={index} className="flex flex-wrap items-center gap-2">
+                <select
+                  value={condition.field}
+                  onChange={(e) => updateCondition(index, createCondition(e.target.value))}
+                  className={selectClass}
+                >
+                  {CONDITION_FIELDS.map(field => (
+                    <option key={field.value} value={field.value}>{field.label}</option>
+                  ))}
+                </select>
+
+                {condition.field === 'answer' && (
+                  <select
+                    value={condition.questionRef || ''}
+                    onChange={(e) => {
+                      const question = preceding.find(entry => entry.ref === e.target.value)?.question;
+                      updateCondition(index, {
+                        ...condition,
+                        questionRef: e.target.value,
+                        operator: getConditionOperators('answer', question)[0]?.value,
+                        value: ''
+                      });
+                    }}
+                    className={`${selectClass} max-w-xs`}
+                  >
+                    <option value="">Choose a question…</option>
+                    {preceding.map(entry => (
+                      <option key={entry.ref} value={entry.ref}>{entry.label}</option>
+                    ))}
+                  </select>
+                )}
+
+                <select
+                  value={condition.operator}
+                  onChange={(e) => updateCondition(index, { ...condition, operator: e.target.value })}
+                  className={selectClass}
+                >
+                  {getConditionOperators(condition.field, referenced).map(operator => (
+                    <option key={operator.value} value={operator.value}>{operator.label}</option>
+                  ))}
+                </select>
+
+                {renderConditionValue(condition, index)}
+
+                <Button size="small" variant="ghost" onClick={() => update(conditions.filter((_, i) => i !== index))}>
+                  <TrashIcon className="h-4 w-4" />
+                </Button>
+              </div>
+            );
+          })}
+
+          <Button size="small" variant="outline" onClick={() => update([...conditions, createCondition('role')])}>
+            <PlusIcon className="h-4 w-4 mr-1" />
+            Add condition
+          </Button>
+
+          {errors.length > 0 && (
+            <ul className="text-red-600 list-disc list-inside">
+              {errors.map(error => <li key={error}>{error}</li>)}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DisplayRulesEditor;
@@ -0,0 +1,39 @@
+import React, { useState } from 'react';
+import { DocumentArrowDownIcon } from '@heroicons/react/24/outline';
+import { functionsService } from '../../firebase/services';
+import { Button } from '../common';
+
+/**
+ * Downloads the signed-off PDF of a completed evaluation. The server renders it on
+ * first request and reuses it afterwards.
+ */
+const EvaluationReportButton = ({ evaluationId, variant = 'outline', className = '' }) => {
+  const [generating, setGenerating] = useState(false);
+
+  const handleDownload = async () => {
+    setGenerating(true);
+    try {
+      const result = await functionsService.generateEvaluationReport(evaluationId);
+      if (!result.success) {
+        throw result.error;
+      }
+
+      console.log('📄 Evaluation report ready:', result.data.fileName);
+      window.location.assign(result.data.downloadUrl);
+    } catch (error) {
+      console.error('❌ Failed to generate evaluation report:', error);
+      alert('Failed to generate report: ' + (error?.message || 'Unknown error'));
+    } finally {
+      setGenerating(false);
+    }
+  };
+
+  return (
+    <Button variant={variant} onClick={handleDownload} loading={generating} className={className}>
+      <DocumentArrowDownIcon className="h-4 w-4 mr-2" />
+      {generating ? 'Preparing PDF...' : 'Download PDF'}
+    </Button>
+  );
+};
+
+export default EvaluationReportButton;
@@ -0,0 +1,176 @@
+import React, { useState } from 'react';
+import { Button, TextArea } from '../common';
+import RatingInput from './RatingInput';
+import QuestionAnswerInput from './QuestionAnswerInput';
+import { resolveRatingScale, isRatingOnScale, describeScaleRange } from '../../utils/ratingScales';
+import { isRatedQuestion, initialRanking, findMissingAnswers, RATING_FIELDS, ANSWER_FIELDS } from '../../utils/questionTypes';
+import { filterVisibleCategories } from '../../utils/displayRules';
+
+const RATING = RATING_FIELDS.rater;
+const ANSWER = ANSWER_FIELDS.rater;
+
+/**
+ * The form a 360 feedback rater fills in, for colleagues in the app and external
+ * reviewers alike. Answers are sent once; there are no drafts.
+ */
+const FeedbackForm = ({ template, evaluateeName, evaluateeContext, onSubmit, submitting = false }) => {
+  const scale = resolveRatingScale(template);
+  const [categoryResponses, setCategoryResponses] = useState(() => {
+    // Sliders start at the bottom of the scale and rankings in template order
+    const initial = {};
+    (template.categories || []).forEach(category => {
+      initial[category.id] = {};
+      (category.questions || []).forEach(question => {
+        initial[category.id][question.id] = isRatedQuestion(question)
+          ? { [RATING]: scale.anchors.length > 0 ? null : scale.min, comment: '' }
+          : { [ANSWER]: question.type === 'ranking' ? initialRanking(question) : null, comment: '' };
+      });
+    });
+    return initial;
+  });
+  const [freeText, setFreeText] = useState({});
+
+  const visibleCategories = filterVisibleCategories(template.categories, evaluateeContext, categoryResponses, 'rater');
+
+  const setResponse = (categoryId, questionId, field, value) => {
+    setCategoryResponses(prev => ({
+      ...prev,
+      [categoryId]: {
+        ...prev[categoryId],
+        [questionId]: { ...prev[categoryId]?.[questionId], [field]: value }
+      }
+    }));
+  };
+
+  const handleSubmit = () => {
+    const missing = findMissingAnswers(visibleCategories, categoryResponses, 'rater');
+    visibleCategories.forEach(category => {
+      (category.questions || []).forEach(question => {
+        if (isRatedQuestion(question) && question.required !== false &&
+          !isRatingOnScale(categoryResponses[category.id]?.[question.id]?.[RATING], scale)) {
+          missing.push(`${category.id}/${question.id}`);
+        }
+      });
+    });
+
+    const missingTexts = visibleCategories.flatMap(category => (category.questions || [])
+      .filter(question => missing.includes(`${category.id}/${question.id}`))
+      .map(question => `• ${question.text}`));
+    (template.freeTextQuestions || []).forEach((question, index) => {
+      if (question.required !== false && !(freeText[index] || '').trim()) {
+        missingTexts.push(`• ${question.text || question}`);
+      }
+    });
+
+    if (missingTexts.length > 0) {
+      alert(`Please answer these questions before submitting:\n${missingTexts.join('\n')}`);
+      return;
+    }
+
+    // Only the questions this rater was shown are sent
+    const visibleResponses = {};
+    visibleCategories.forEach(category => {
+      visibleResponses[category.id] = {};
+      (category.questions || []).forEach(question => {
+        visibleResponses[category.id][question.id] = categoryResponses[category.id]?.[question.id] || {};
+      });
+    });
+
+    onSubmit({ categoryResponses: visibleResponses, freeTextQuestions: freeText });
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-indigo-50 border border-indigo-100 rounded-lg p-4 text-sm text-indigo-900">
+        <p>
+          You are giving feedback on <span className="font-medium">{evaluateeName}</span>. Your answers are combined with
+          those of other raters in your group, and results are only shown when enough people have answered, so no one
+          sees your individual responses.
+        </p>
+        {template.instructions && <p className="mt-2">{template.instructions}</p>}
+        <p className="mt-2 text-indigo-700">Rating scale: {scale.name} ({describeScaleRange(scale)})</p>
+      </div>
+
+      {visibleCategories.map(category => (
+        <div key={category.id} className="border border-gray-200 rounded-lg p-5">
+          <h3 className="text-lg font-semibold text-gray-900">{category.name}</h3>
+          {category.description && <p className="text-sm text-gray-600 mt-1">{category.description}</p>}
+
+          <div className="space-y-6 mt-4">
+            {category.questions.map(question => {
+              const response = categoryResponses[category.id]?.[question.id] || {};
+              return (
+                <div key={question.id}>
+                  <p className="font-medium text-gray-900 mb-2">
+                    {question.text}
+                    {question.required !== false && <span className="text-red-500 ml-1">*</span>}
+                  </p>
+
+                  {isRatedQuestion(question) ? (
+                    <RatingInput
+                      scale={scale}
+                      value={response[RATING]}
+                      onChange={(value) => setResponse(category.id, question.id, RATING, value)}
+                      disabled={submitting}
+                    />
+                  ) : question.type === 'text' ? (
+                    <TextArea
+                      value={response[ANSWER] || ''}
+                      onChange={(e) => setResponse(category.id, question.id, ANSWER, e.target.value)}
+                      rows={3}
+                      disabled={submitting}
+                    />
+                  ) : (
+                    <QuestionAnswerInput
+                      question={question}
+                      value={response[ANSWER]}
+                      onChange={(value) => setResponse(category.id, question.id, ANSWER, value)}
+                      disabled={submitting}
+                    />
+                  )}
+
+                  {question.type !== 'text' && (
+                    <TextArea
+                      className="mt-3"
+                      placeholder="Add an example or comment (optional)"
+                      value={response.comment || ''}
+                      onChange={(e) => setResponse(category.id, question.id, 'comment', e.target.value)}
+                      rows={2}
+                      disabled={submitting}
+                    />
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      ))}
+
+      {(template.freeTextQuestions || []).length > 0 && (
+        <div className="border border-gray-200 rounded-lg p-5 space-y-4">
+          <h3 className="text-lg font-semibold text-gray-900">Open Questions</h3>
+          {template.freeTextQuestions.map((question, index) => (
+            <TextArea
+              key={index}
+              label={question.text || question}
+              placeholder={question.placeholder || 'Please provide your response...'}
+              required={question.required !== false}
+              value={freeText[index] || ''}
+              onChange={(e) => setFreeText(prev => ({ ...prev, [index]: e.target.value }))}
+              rows={4}
+              disabled={submitting}
+            />
+          ))}
+        </div>
+      )}
+
+      <div className="flex justify-end">
+        <Button onClick={handleSubmit} disabled={submitting}>
+          {submitting ? 'Submitting...' : 'Submit Feedback'}
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+export default FeedbackForm;
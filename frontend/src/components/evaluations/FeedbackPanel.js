@@ -0,0 +1,308 @@
+import React, { useEffect, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { UserGroupIcon, CheckIcon, XMarkIcon } from '@heroicons/react/24/outline';
+import { Card, Button, Select, Input, Badge } from '../common';
+import { selectUser } from '../../store/slices/authSlice';
+import { selectUsers } from '../../store/slices/userSlice';
+import { fetchEvaluationTemplates, selectEvaluationTemplates } from '../../store/slices/evaluationSlice';
+import {
+  fetchEvaluationFeedbackRequests,
+  setupFeedback,
+  nominateFeedbackRaters,
+  decideFeedbackNominations,
+  selectEvaluationFeedbackRequests,
+  selectEvaluationHasFeedbackResponses,
+  RATER_GROUP_LABELS,
+  FEEDBACK_STATUS_LABELS
+} from '../../store/slices/feedbackSlice';
+
+const STATUS_VARIANTS = { nominated: 'warning', approved: 'primary', declined: 'gray' };
+
+const userName = (user) => `${user.profile?.firstName || ''} ${user.profile?.lastName || ''}`.trim() || user.profile?.email || user.id;
+
+const emptyNomination = { raterType: 'peer', raterId: '', name: '', email: '' };
+
+/**
+ * 360 feedback for one evaluation. The evaluator (mode "manager") picks the feedback form
+ * and anonymity threshold, nominates raters and approves the evaluatee's nominations; the
+ * evaluatee (mode "evaluatee") nominates raters and follows their status. Whether a rater has
+ * answered is never shown here; results are in FeedbackSummary.
+ */
+const FeedbackPanel = ({ evaluation, mode = 'manager', onFeedbackChange }) => {
+  const dispatch = useDispatch();
+  const user = useSelector(selectUser);
+  const users = useSelector(selectUsers);
+  const templates = useSelector(selectEvaluationTemplates);
+  const requests = useSelector(state => selectEvaluationFeedbackRequests(state, evaluation.id)) || [];
+  const hasSubmissions = useSelector(state => selectEvaluationHasFeedbackResponses(state, evaluation.id));
+
+  const isManager = mode === 'manager';
+  const feedback = evaluation.feedback || null;
+  const isClosed = evaluation.status === 'completed';
+
+  const [editingSetup, setEditingSetup] = useState(false);
+  const [setupForm, setSetupForm] = useState({ templateId: '', minRespondents: 3 });
+  const [nomination, setNomination] = useState(emptyNomination);
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    if (feedback) {
+      dispatch(fetchEvaluationFeedbackRequests({ evaluationId: evaluation.id }));
+    }
+  }, [dispatch, evaluation.id, feedback]);
+
+  useEffect(() => {
+    if (isManager && user?.businessId && (!templates || templates.length === 0)) {
+      dispatch(fetchEvaluationTemplates({ businessId: user.businessId }));
+    }
+  }, [dispatch, isManager, user?.businessId, templates]);
+
+  const publishedTemplates = (templates || []).filter(template => template.isActive !== false && template.publishedVersion);
+  const pendingNominations = requests.filter(request => request.status === 'nominated');
+
+  // Colleagues who can still be nominated
+  const taken = new Set(requests.filter(request => request.status !== 'declined').map(request => request.raterId));
+  const candidates = (users || [])
+    .filter(candidate => candidate.isActive !== false &&
+      candidate.id !== evaluation.evaluateeId &&
+      candidate.id !== evaluation.evaluatorId &&
+      !taken.has(candidate.id) &&
+      (nomination.raterType !== 'directReport' || candidate.employeeInfo?.manager === evaluation.evaluateeId))
+    .sort((a, b) => userName(a).localeCompare(userName(b)));
+
+  const run = async (action, successMessage) => {
+    setBusy(true);
+    try {
+      const result = await dispatch(action).unwrap();
+      if (successMessage) alert(successMessage(result));
+      return result;
+    } catch (error) {
+      alert(`❌ ${error}`);
+      return null;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleSetup = async () => {
+    const result = await run(setupFeedback({
+      evaluationId: evaluation.id,
+      templateId: setupForm.templateId,
+      minRespondents: Number(setupForm.minRespondents)
+    }));
+    if (result) {
+      setEditingSetup(false);
+      onFeedbackChange?.(result.feedback);
+    }
+  };
+
+  const handleNominate = async () => {
+    const entry = nomination.raterType === 'external'
+      ? { raterType: 'external', name: nomination.name.trim(), email: nomination.email.trim() }
+      : { raterType: nomination.raterType, raterId: nomination.raterId };
+
+    const result = await run(nominateFeedbackRaters({
+      evaluationId: evaluation.id,
+      nominations: [entry]
+    }), data => (data.status === 'approved'
+      ? '✅ Rater invited'
+      : '✅ Nomination sent to your manager for approval'));
+    if (result) {
+      setNomination({ ...emptyNomination, raterType: nomination.raterType });
+    }
+  };
+
+  const handleDecide = (decisions) => run(decideFeedbackNominations({
+    evaluationId: evaluation.id,
+    decisions
+  }));
+
+  const isNominationValid = nomination.raterType === 'external'
+    ? nomination.name.trim() && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(nomination.email.trim())
+    : !!nomination.raterId;
+
+  // The evaluatee only sees the panel once the evaluator has set feedback up
+  if (!isManager && !feedback) return null;
+
+  const showSetupForm = isManager && !isClosed && (!feedback || editingSetup);
+
+  return (
+    <Card className="p-6 mb-6">
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex items-center space-x-3">
+          <UserGroupIcon className="h-6 w-6 text-gray-400" />
+          <div>
+            <h2 className="text-xl font-bold text-gray-900">360 Feedback</h2>
+            <p className="text-sm text-gray-600">
+              {isManager
+                ? 'Collect feedback from peers, direct reports and external reviewers.'
+                : 'Suggest colleagues and external contacts who can give feedback on your work. Your manager approves the list.'}
+            </p>
+          </div>
+        </div>
+        {isManager && feedback && !isClosed && !editingSetup && !hasSubmissions && (
+          <Button
+            size="small"
+            variant="outline"
+            onClick={() => {
+              setSetupForm({ templateId: feedback.templateId, minRespondents: feedback.minRespondents });
+              setEditingSetup(true);
+            }}
+          >
+            Change form
+          </Button>
+        )}
+      </div>
+
+      {feedback && !showSetupForm && (
+        <p className="text-sm text-gray-600 mb-4">
+          Form: <span className="font-medium text-gray-900">{feedback.templateName}</span> (v{feedback.templateVersion}) ·
+          results per group are updated in steps of <span className="font-medium text-gray-900">{feedback.minRespondents}</span> responses
+        </p>
+      )}
+
+      {showSetupForm && (
+        <div className="border border-gray-200 rounded-lg p-4 mb-4 space-y-3">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+            <Select
+              label="Feedback form"
+              value={setupForm.templateId}
+              onChange={(e) => setSetupForm(prev => ({ ...prev, templateId: e.target.value }))}
+              placeholder="Choose a published template"
+              options={publishedTemplates.map(template => ({
+                value: template.id,
+                label: `${template.name} (v${template.publishedVersion})`
+              }))}
+            />
+            <Input
+              label="Minimum respondents per group"
+              type="number"
+              min={2}
+              max={10}
+              value={setupForm.minRespondents}
+              onChange={(e) => setSetupForm(prev => ({ ...prev, minRespondents: e.target.value }))}
+              helperText="Groups with fewer answers stay hidden to protect anonymity"
+            />
+          </div>
+          <div className="flex justify-end space-x-2">
+            {feedback && (
+              <Button size="small" variant="outline" onClick={() => setEditingSetup(false)} disabled={busy}>
+                Cancel
+              </Button>
+            )}
+            <Button
+              size="small"
+              onClick={handleSetup}
+              disabled={busy || !setupForm.templateId || !(Number(setupForm.minRespondents) >= 2 && Number(setupForm.minRespondents) <= 10)}
+            >
+              {feedback ? 'Save' : 'Set up feedback'}
+            </Button>
+          </div>
+        </div>
+      )}
+
+      {feedback && !isClosed && (
+        <div className="border border-gray-200 rounded-lg p-4 mb-4">
+          <h3 className="font-medium text-gray-900 mb-3">Nominate a rater</h3>
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-3 items-end">
+            <Select
+              label="Group"
+              value={nomination.raterType}
+              onChange={(e) => setNomination({ ...emptyNomination, raterType: e.target.value })}
+              placeholder=""
+              options={Object.entries(RATER_GROUP_LABELS).map(([value, label]) => ({ value, label }))}
+            />
+            {nomination.raterType === 'external' ? (
+              <>
+                <Input
+                  label="Name"
+                  value={nomination.name}
+                  onChange={(e) => setNomination(prev => ({ ...prev, name: e.target.value }))}
+                />
+                <Input
+                  label="Email"
+                  type="email"
+                  value={nomination.email}
+                  onChange={(e) => setNomination(prev => ({ ...prev, email: e.target.value }))}
+                />
+              </>
+            ) : (
+              <Select
+                label="Colleague"
+                className="md:col-span-2"
+                value={nomination.raterId}
+                onChange={(e) => setNomination(prev => ({ ...prev, raterId: e.target.value }))}
+                placeholder={candidates.length > 0 ? 'Choose a colleague' : 'No one left to nominate'}
+                options={candidates.map(candidate => ({ value: candidate.id, label: userName(candidate) }))}
+              />
+            )}
+            <Button onClick={handleNominate} disabled={busy || !isNominationValid}>
+              {isManager ? 'Invite' : 'Nominate'}
+            </Button>
+          </div>
+        </div>
+      )}
+
+      {feedback && (
+        requests.length === 0 ? (
+          <p className="text-sm text-gray-500">No raters nominated yet.</p>
+        ) : (
+          <div>
+            {isManager && !isClosed && pendingNominations.length > 1 && (
+              <div className="flex justify-end mb-2">
+                <Button
+                  size="small"
+                  variant="outline"
+                  disabled={busy}
+                  onClick={() => handleDecide(pendingNominations.map(request => ({ requestId: request.id, approve: true })))}
+                >
+                  Approve all {pendingNominations.length}
+                </Button>
+              </div>
+            )}
+            <ul className="divide-y divide-gray-200 border border-gray-200 rounded-lg">
+              {requests.map(request => (
+                <li key={request.id} className="flex items-center justify-between px-4 py-3">
+                  <div>
+                    <p className="text-sm font-medium text-gray-900">{request.raterName}</p>
+                    <p className="text-xs text-gray-500">
+                      {RATER_GROUP_LABELS[request.raterType]}
+                      {request.raterEmail ? ` · ${request.raterEmail}` : ''}
+                    </p>
+                  </div>
+                  <div className="flex items-center space-x-2">
+                    <Badge variant={STATUS_VARIANTS[request.status]}>{FEEDBACK_STATUS_LABELS[request.status]}</Badge>
+                    {isManager && !isClosed && request.status === 'nominated' && (
+                      <>
+                        <Button
+                          size="small"
+                          variant="outline"
+                          disabled={busy}
+                          onClick={() => handleDecide([{ requestId: request.id, approve: true }])}
+                          title="Approve"
+                        >
+                          <CheckIcon className="h-4 w-4" />
+                        </Button>
+                        <Button
+                          size="small"
+                          variant="outline"
+                          disabled={busy}
+                          onClick={() => handleDecide([{ requestId: request.id, approve: false }])}
+                          title="Decline"
+                        >
+                          <XMarkIcon className="h-4 w-4" />
+                        </Button>
+                      </>
+                    )}
+                  </div>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )
+      )}
+    </Card>
+  );
+};
+
+export default FeedbackPanel;
@@ -0,0 +1,159 @@
+import React, { useEffect, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { ChartBarIcon, LockClosedIcon } from '@heroicons/react/24/outline';
+import { Card, LoadingSpinner } from '../common';
+import { formatScaleScore, normalizeScore } from '../../utils/ratingScales';
+import { fetchFeedbackSummary, selectFeedbackSummary, RATER_GROUP_LABELS } from '../../store/slices/feedbackSlice';
+
+const ScoreBar = ({ score, scale }) => (
+  <div className="flex items-center space-x-2 min-w-[9rem]">
+    <div className="flex-1 bg-gray-200 rounded-full h-2">
+      <div className="bg-indigo-500 h-2 rounded-full" style={{ width: `${normalizeScore(score, scale) ?? 0}%` }} />
+    </div>
+    <span className="text-sm font-medium text-gray-900 w-12 text-right">{formatScaleScore(score, scale)}</span>
+  </div>
+);
+
+/**
+ * Aggregated 360 feedback for the evaluator, one section per rater group. The server
+ * leaves out groups below the anonymity threshold, so only their invitation count shows.
+ */
+const FeedbackSummary = ({ evaluationId }) => {
+  const dispatch = useDispatch();
+  const summary = useSelector(state => selectFeedbackSummary(state, evaluationId));
+  const [loading, setLoading] = useState(true);
+  const [openGroup, setOpenGroup] = useState(null);
+
+  useEffect(() => {
+    dispatch(fetchFeedbackSummary({ evaluationId })).finally(() => setLoading(false));
+  }, [dispatch, evaluationId]);
+
+  if (loading && summary === undefined) {
+    return (
+      <Card className="p-6 mb-6 flex justify-center">
+        <LoadingSpinner />
+      </Card>
+    );
+  }
+
+  if (!summary) return null;
+
+  const scale = summary.ratingScale;
+  const visibleGroups = summary.groups.filter(group => group.visible);
+
+  return (
+    <Card className="p-6 mb-6">
+      <div className="flex items-center space-x-3 mb-4">
+        <ChartBarIcon className="h-6 w-6 text-gray-400" />
+        <div>
+          <h2 className="text-xl font-bold text-gray-900">360 Feedback Results</h2>
+          <p className="text-sm text-gray-600">
+            {summary.templateName} · results are updated in steps of {summary.minRespondents} responses
+          </p>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-3 mb-6">
+        {summary.groups.map(group => (
+          <button
+            key={group.group}
+            type="button"
+            disabled={!group.visible}
+            onClick={() => setOpenGroup(openGroup === group.group ? null : group.group)}
+            className={`text-left border rounded-lg p-4 ${openGroup === group.group ? 'border-indigo-500 bg-indigo-50' : 'border-gray-200'} ${group.visible ? 'hover:border-indigo-300' : 'cursor-default bg-gray-50'}`}
+          >
+            <p className="font-medium text-gray-900">{RATER_GROUP_LABELS[group.group]}</p>
+            {group.visible ? (
+              <p className="text-sm text-gray-600 mt-1">Based on {group.respondents} of {group.invited} raters</p>
+            ) : (
+              <p className="text-sm text-gray-500 mt-1 flex items-center">
+                <LockClosedIcon className="h-4 w-4 mr-1" />
+                {group.invited > 0 ? `${group.invited} invited · not enough responses yet` : 'No raters'}
+              </p>
+            )}
+          </button>
+        ))}
+      </div>
+
+      {visibleGroups.length === 0 ? (
+        <p className="text-sm text-gray-500">
+          Results appear once a group has at least {summary.minRespondents} responses.
+        </p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="border-b border-gray-200">
+                <th className="text-left py-2 pr-4 font-medium text-gray-700">Category</th>
+                {visibleGroups.map(group => (
+                  <th key={group.group} className="text-left py-2 px-2 font-medium text-gray-700">
+                    {RATER_GROUP_LABELS[group.group]}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {visibleGroups[0].categories.map((category, index) => (
+                <tr key={category.id} className="border-b border-gray-100">
+                  <td className="py-2 pr-4 text-gray-900">{category.name}</td>
+                  {visibleGroups.map(group => (
+                    <td key={group.group} className="py-2 px-2">
+                      {group.categories[index].average !== null
+                        ? <ScoreBar score={group.categories[index].average} scale={scale} />
+                        : <span className="text-gray-400">—</span>}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {visibleGroups.filter(group => group.group === openGroup).map(group => (
+        <div key={group.group} className="mt-6 space-y-6">
+          <h3 className="text-lg font-semibold text-gray-900">{RATER_GROUP_LABELS[group.group]} in detail</h3>
+          {group.categories.map(category => (
+            <div key={category.id}>
+              <h4 className="font-medium text-gray-900 mb-2">{category.name}</h4>
+              <div className="space-y-3">
+                {category.questions.filter(question => question.respondents > 0).map(question => (
+                  <div key={question.id} className="bg-gray-50 rounded-lg p-3">
+                    <div className="flex items-start justify-between gap-4">
+                      <p className="text-sm text-gray-900">{question.text}</p>
+                      {question.average !== null && <ScoreBar score={question.average} scale={scale} />}
+                    </div>
+                    {question.distribution && (
+                      <p className="text-xs text-gray-600 mt-2">
+                        {question.distribution.map(entry => `${entry.label}: ${entry.count}`).join(' · ')}
+                      </p>
+                    )}
+                    {question.comments.length > 0 && (
+                      <ul className="mt-2 space-y-1">
+                        {question.comments.map((comment, index) => (
+                          <li key={index} className="text-sm text-gray-700 italic">“{comment}”</li>
+                        ))}
+                      </ul>
+                    )}
+                  </div>
+                ))}
+              </div>
+            </div>
+          ))}
+          {group.freeText.filter(question => question.answers.length > 0).map((question, index) => (
+            <div key={index}>
+              <h4 className="font-medium text-gray-900 mb-2">{question.text}</h4>
+              <ul className="space-y-1">
+                {question.answers.map((answer, answerIndex) => (
+                  <li key={answerIndex} className="text-sm text-gray-700 bg-gray-50 rounded p-2">{answer}</li>
+                ))}
+              </ul>
+            </div>
+          ))}
+        </div>
+      ))}
+    </Card>
+  );
+};
+
+export default FeedbackSummary;
@@ -0,0 +1,29 @@
+import React from 'react';
+import { FlagIcon } from '@heroicons/react/24/outline';
+import { formatScaleScore, resolveRatingScale } from '../../utils/ratingScales';
+
+/**
+ * Target set for this question in the previous review, shown next to the new rating
+ */
+const PreviousTarget = ({ goal, scale }) => {
+  if (!goal) return null;
+
+  // The target was set on the scale of the earlier review, which may differ from this one
+  const targetScale = resolveRatingScale(goal, { ratingScale: scale });
+
+  return (
+    <div className="bg-green-50 border border-green-200 rounded-lg p-3 mb-4 text-sm">
+      <div className="flex items-center text-green-900 font-medium">
+        <FlagIcon className="h-4 w-4 mr-2" />
+        Previous target: {formatScaleScore(goal.targetRating, targetScale)}
+        {goal.baselineRating ? (
+          <span className="ml-1 font-normal text-green-700">(was rated {formatScaleScore(goal.baselineRating, targetScale)})</span>
+        ) : null}
+        <span className="ml-auto font-normal text-green-700">{goal.progress || 0}% progress reported</span>
+      </div>
+      {goal.description && <p className="text-green-800 mt-1">{goal.description}</p>}
+    </div>
+  );
+};
+
+export default PreviousTarget;
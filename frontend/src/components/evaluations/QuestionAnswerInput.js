@@ -0,0 +1,164 @@
+import React from 'react';
+import classNames from 'classnames';
+import { ChevronUpIcon, ChevronDownIcon } from '@heroicons/react/24/outline';
+import { COMPETENCY_LEVELS, initialRanking } from '../../utils/questionTypes';
+
+const choiceClass = (selected, disabled) => classNames(
+  'px-3 py-2 rounded-lg border text-sm font-medium transition-colors text-left',
+  selected ? 'text-white' : 'bg-white text-gray-700 border-gray-300',
+  disabled ? 'cursor-not-allowed opacity-60' : (!selected && 'hover:bg-gray-50')
+);
+
+/**
+ * Answer control for the non-rating question types (yes/no, multiple choice, checklist,
+ * KPI, competency level and ranking). Rating questions use RatingInput.
+ */
+const QuestionAnswerInput = ({ question, value, onChange, disabled = false, color = '#6366f1' }) => {
+  const options = question.options || [];
+  const selectedStyle = { backgroundColor: color, borderColor: color };
+  const change = (next) => {
+    if (!disabled) onChange?.(next);
+  };
+
+  switch (question.type) {
+    case 'yesNo':
+      return (
+        <div className="flex gap-2">
+          {[{ label: 'Yes', answer: true }, { label: 'No', answer: false }].map(({ label, answer }) => (
+            <button
+              key={label}
+              type="button"
+              disabled={disabled}
+              onClick={() => change(answer)}
+              className={choiceClass(value === answer, disabled)}
+              style={value === answer ? selectedStyle : undefined}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      );
+
+    case 'multipleChoice':
+      return (
+        <div className="flex flex-wrap gap-2">
+          {options.map(option => (
+            <button
+              key={option}
+              type="button"
+              disabled={disabled}
+              onClick={() => change(option)}
+              className={choiceClass(value === option, disabled)}
+              style={value === option ? selectedStyle : undefined}
+            >
+              {option}
+            </button>
+          ))}
+        </div>
+      );
+
+    case 'checklist': {
+      const ticked = Array.isArray(value) ? value : [];
+      return (
+        <div className="space-y-2">
+          {options.map(option => (
+            <label key={option} className="flex items-center text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={ticked.includes(option)}
+                disabled={disabled}
+                onChange={(e) => change(e.target.checked
+                  ? options.filter(item => item === option || ticked.includes(item))
+                  : ticked.filter(item => item !== option))}
+                className="h-4 w-4 text-indigo-600 border-gray-300 rounded mr-2"
+              />
+              {option}
+            </label>
+          ))}
+        </div>
+      );
+    }
+
+    case 'kpi': {
+      const unit = question.kpi?.unit || '';
+      return (
+        <div className="flex items-center space-x-3">
+          <input
+            type="number"
+            min="0"
+            step="any"
+            value={typeof value === 'number' ? value : ''}
+            disabled={disabled}
+            onChange={(e) => change(e.target.value === '' ? null : parseFloat(e.target.value))}
+            className="w-40 rounded-md border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500 disabled:bg-gray-50"
+            placeholder="Actual"
+          />
+          <span className="text-sm text-gray-600">
+            {unit} · target {question.kpi?.target ?? '—'} {unit}
+            {question.kpi?.higherIsBetter === false ? ' (lower is better)' : ''}
+          </span>
+        </div>
+      );
+    }
+
+    case 'competency':
+      return (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+          {Array.from({ length: COMPETENCY_LEVELS }, (_, index) => {
+            const level = index + 1;
+            return (
+              <button
+                key={level}
+                type="button"
+                disabled={disabled}
+                onClick={() => change(level)}
+                className={choiceClass(value === level, disabled)}
+                style={value === level ? selectedStyle : undefined}
+              >
+                <span className="block font-semibold">Level {level}</span>
+                {question.levels?.[index] && (
+                  <span className="block text-xs font-normal mt-1">{question.levels[index]}</span>
+                )}
+              </button>
+            );
+          })}
+        </div>
+      );
+
+    case 'ranking': {
+      const ranked = Array.isArray(value) && value.length === options.length ? value : initialRanking(question);
+      const move = (index, offset) => {
+        const next = [...ranked];
+        [next[index], next[index + offset]] = [next[index + offset], next[index]];
+        change(next);
+      };
+      return (
+        <ol className="space-y-2">
+          {ranked.map((item, index) => (
+            <li key={item} className="flex items-center justify-between bg-white border border-gray-200 rounded-lg px-3 py-2">
+              <span className="text-sm text-gray-900">
+                <span className="font-semibold mr-2">{index + 1}.</span>
+                {item}
+              </span>
+              {!disabled && (
+                <span className="flex space-x-1">
+                  <button type="button" onClick={() => move(index, -1)} disabled={index === 0} className="p-1 text-gray-500 hover:text-gray-900 disabled:opacity-30">
+                    <ChevronUpIcon className="h-4 w-4" />
+                  </button>
+                  <button type="button" onClick={() => move(index, 1)} disabled={index === ranked.length - 1} className="p-1 text-gray-500 hover:text-gray-900 disabled:opacity-30">
+                    <ChevronDownIcon className="h-4 w-4" />
+                  </button>
+                </span>
+              )}
+            </li>
+          ))}
+        </ol>
+      );
+    }
+
+    default:
+      return null;
+  }
+};
+
+export default QuestionAnswerInput;
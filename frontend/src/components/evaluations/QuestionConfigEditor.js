@@ -0,0 +1,147 @@
+import React from 'react';
+import { PlusIcon, TrashIcon } from '@heroicons/react/24/outline';
+import { Button, Input, Select } from '../common';
+import { COMPETENCY_LEVELS, validateQuestionConfig } from '../../utils/questionTypes';
+
+/**
+ * Settings that depend on the question type: options, KPI target, competency level
+ * descriptors. Renders nothing for rating and text questions.
+ */
+const QuestionConfigEditor = ({ question, onChange }) => {
+  const errors = validateQuestionConfig(question);
+  const options = question.options || [];
+
+  const updateOption = (index, value) => {
+    onChange({ ...question, options: options.map((option, i) => (i === index ? value : option)) });
+  };
+
+  const updateKpi = (field, value) => {
+    onChange({ ...question, kpi: { ...question.kpi, [field]: value } });
+  };
+
+  const updateLevel = (index, value) => {
+    const levels = [...(question.levels || Array(COMPETENCY_LEVELS).fill(''))];
+    levels[index] = value;
+    onChange({ ...question, levels });
+  };
+
+  const renderOptions = (hint) => (
+    <div className="space-y-2">
+      <div className="flex items-center justify-between">
+        <label className="text-sm font-medium text-gray-700">
+          {question.type === 'ranking' ? 'Items to rank' : 'Options'}
+        </label>
+        <Button size="small" variant="outline" onClick={() => onChange({ ...question, options: [...options, ''] })}>
+          <PlusIcon className="h-4 w-4 mr-1" />
+          Add
+        </Button>
+      </div>
+      {hint && <p className="text-xs text-gray-500">{hint}</p>}
+      {options.map((option, index) => (
+        <div key={index} className="flex items-center space-x-2">
+          <Input
+            className="flex-1"
+            value={option}
+            onChange={(e) => updateOption(index, e.target.value)}
+            placeholder={`${question.type === 'ranking' ? 'Item' : 'Option'} ${index + 1}`}
+          />
+          <Button
+            size="small"
+            variant="ghost"
+            onClick={() => onChange({ ...question, options: options.filter((_, i) => i !== index) })}
+          >
+            <TrashIcon className="h-4 w-4" />
+          </Button>
+        </div>
+      ))}
+    </div>
+  );
+
+  let settings = null;
+
+  switch (question.type) {
+    case 'multipleChoice':
+      settings = renderOptions('Answers are shown for context and do not count towards the score.');
+      break;
+    case 'checklist':
+      settings = renderOptions('The score is the share of items ticked.');
+      break;
+    case 'ranking':
+      settings = (
+        <div className="space-y-3">
+          {renderOptions(question.scoreOrder !== false
+            ? 'List the items in the expected order. They are shuffled for the employee, and answers score higher the closer they come to this order.'
+            : 'Items are shuffled for the employee. The ranking is shown for context only.')}
+          <label className="flex items-center text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={question.scoreOrder !== false}
+              onChange={(e) => onChange({ ...question, scoreOrder: e.target.checked })}
+              className="h-4 w-4 text-indigo-600 border-gray-300 rounded mr-2"
+            />
+            Score answers against this order
+          </label>
+        </div>
+      );
+      break;
+    case 'kpi':
+      settings = (
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <Input
+            label="Target"
+            type="number"
+            min="0"
+            value={question.kpi?.target ?? ''}
+            onChange={(e) => updateKpi('target', e.target.value === '' ? '' : parseFloat(e.target.value))}
+          />
+          <Input
+            label="Unit"
+            value={question.kpi?.unit || ''}
+            onChange={(e) => updateKpi('unit', e.target.value)}
+            placeholder="e.g., calls, %, EUR"
+          />
+          <Select
+            label="Direction"
+            value={question.kpi?.higherIsBetter === false ? 'lower' : 'higher'}
+            onChange={(e) => updateKpi('higherIsBetter', e.target.value === 'higher')}
+            placeholder={null}
+            options={[
+              { value: 'higher', label: 'Higher is better' },
+              { value: 'lower', label: 'Lower is better' }
+            ]}
+          />
+        </div>
+      );
+      break;
+    case 'competency':
+      settings = (
+        <div className="space-y-2">
+          <label className="text-sm font-medium text-gray-700">Behaviour at each level</label>
+          {Array.from({ length: COMPETENCY_LEVELS }, (_, index) => (
+            <Input
+              key={index}
+              value={question.levels?.[index] || ''}
+              onChange={(e) => updateLevel(index, e.target.value)}
+              placeholder={`Level ${index + 1}${index === 0 ? ' (lowest)' : index === COMPETENCY_LEVELS - 1 ? ' (highest)' : ''}`}
+            />
+          ))}
+        </div>
+      );
+      break;
+    default:
+      return null;
+  }
+
+  return (
+    <div className="space-y-2">
+      {settings}
+      {errors.length > 0 && (
+        <ul className="text-sm text-red-600 list-disc list-inside">
+          {errors.map(error => <li key={error}>{error}</li>)}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default QuestionConfigEditor;
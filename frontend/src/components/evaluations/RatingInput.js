@@ -0,0 +1,63 @@
+import React from 'react';
+import classNames from 'classnames';
+
+/**
+ * Rating control for any rating scale: a row of choices for letter and labelled scales,
+ * a slider for numeric ranges and percentages. Values are always the scale's numbers.
+ */
+const RatingInput = ({ scale, value, onChange, disabled = false, color = '#6366f1' }) => {
+  if (scale.anchors.length > 0) {
+    return (
+      <div className="flex flex-wrap gap-2">
+        {scale.anchors.map(anchor => {
+          const selected = value === anchor.value;
+          return (
+            <button
+              key={anchor.value}
+              type="button"
+              title={anchor.description || undefined}
+              disabled={disabled}
+              onClick={() => onChange?.(anchor.value)}
+              className={classNames(
+                'px-3 py-2 rounded-lg border text-sm font-medium transition-colors',
+                selected ? 'text-white' : 'bg-white text-gray-700 border-gray-300',
+                disabled ? 'cursor-not-allowed opacity-60' : (!selected && 'hover:bg-gray-50')
+              )}
+              style={selected ? { backgroundColor: color, borderColor: color } : undefined}
+            >
+              {anchor.label}
+            </button>
+          );
+        })}
+      </div>
+    );
+  }
+
+  const current = typeof value === 'number' ? value : scale.min;
+  const percent = ((current - scale.min) / (scale.max - scale.min)) * 100;
+  const suffix = scale.type === 'percentage' ? '%' : '';
+
+  return (
+    <div className="px-2">
+      <input
+        type="range"
+        min={scale.min}
+        max={scale.max}
+        step={scale.step}
+        value={current}
+        onChange={disabled ? undefined : (e) => onChange?.(parseFloat(e.target.value))}
+        disabled={disabled}
+        className={`w-full h-2 bg-gray-200 rounded-lg appearance-none slider ${disabled ? 'cursor-not-allowed opacity-60' : 'cursor-pointer'}`}
+        style={{
+          background: `linear-gradient(to right, ${color} 0%, ${color} ${percent}%, #e5e7eb ${percent}%, #e5e7eb 100%)`
+        }}
+      />
+      <div className="flex justify-between text-xs text-gray-500 mt-1">
+        <span>{scale.min}{suffix}</span>
+        <span>{scale.max}{suffix}</span>
+      </div>
+    </div>
+  );
+};
+
+export default RatingInput;
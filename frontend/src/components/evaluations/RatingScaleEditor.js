@@ -0,0 +1,164 @@
+import React from 'react';
+import { PlusIcon, TrashIcon } from '@heroicons/react/24/outline';
+import { Button, Input, Select } from '../common';
+import RatingInput from './RatingInput';
+import {
+  RATING_SCALE_PRESETS,
+  RATING_SCALE_TYPES,
+  validateRatingScale,
+  describeScaleRange
+} from '../../utils/ratingScales';
+
+// Starting point when switching a custom scale to another type
+const CUSTOM_DEFAULTS = {
+  numeric: { min: 1, max: 7, step: 1, anchors: [] },
+  percentage: { min: 0, max: 100, step: 5, anchors: [] },
+  letter: { anchors: RATING_SCALE_PRESETS['A-F'].anchors },
+  labels: { anchors: RATING_SCALE_PRESETS['below-meets-exceeds'].anchors }
+};
+
+/**
+ * Picks one of the preset rating scales or builds a custom one. `value` may be an
+ * incomplete draft; the template is only saved once validateRatingScale() accepts it.
+ */
+const RatingScaleEditor = ({ value, onChange }) => {
+  const isCustom = value.id === 'custom';
+  const { scale: preview, errors } = validateRatingScale(value);
+
+  const handlePresetChange = (id) => {
+    if (id === 'custom') {
+      onChange({ ...value, id: 'custom', name: value.name || 'Custom scale' });
+    } else {
+      onChange(RATING_SCALE_PRESETS[id]);
+    }
+  };
+
+  const updateAnchor = (index, field, fieldValue) => {
+    const anchors = value.anchors.map((anchor, i) => (i === index ? { ...anchor, [field]: fieldValue } : anchor));
+    onChange({ ...value, anchors });
+  };
+
+  const addAnchor = () => {
+    const highest = value.anchors.reduce((max, anchor) => Math.max(max, Number(anchor.value) || 0), 0);
+    onChange({ ...value, anchors: [...value.anchors, { value: highest + 1, label: '' }] });
+  };
+
+  return (
+    <div className="space-y-4">
+      <Select
+        label="Rating Scale"
+        value={isCustom ? 'custom' : value.id}
+        onChange={(e) => handlePresetChange(e.target.value)}
+        placeholder={null}
+        options={[
+          ...Object.values(RATING_SCALE_PRESETS).map(preset => ({
+            value: preset.id,
+            label: `${preset.name}${preset.type === 'numeric' ? '' : ` (${describeScaleRange(preset)})`}`
+          })),
+          { value: 'custom', label: 'Custom scale...' }
+        ]}
+      />
+
+      {isCustom && (
+        <div className="border border-gray-200 rounded-lg p-4 space-y-4">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <Input
+              label="Scale Name"
+              value={value.name || ''}
+              onChange={(e) => onChange({ ...value, name: e.target.value })}
+              placeholder="e.g., 1-7 Competency Scale"
+            />
+            <Select
+              label="Type"
+              value={value.type}
+              onChange={(e) => onChange({ ...value, type: e.target.value, ...CUSTOM_DEFAULTS[e.target.value] })}
+              placeholder={null}
+              options={RATING_SCALE_TYPES}
+            />
+          </div>
+
+          {(value.type === 'numeric' || value.type === 'percentage') && (
+            <div className="grid grid-cols-3 gap-4">
+              <Input
+                label="Lowest"
+                type="number"
+                value={value.type === 'percentage' ? 0 : value.min}
+                disabled={value.type === 'percentage'}
+                onChange={(e) => onChange({ ...value, min: parseFloat(e.target.value) })}
+              />
+              <Input
+                label="Highest"
+                type="number"
+                value={value.type === 'percentage' ? 100 : value.max}
+                disabled={value.type === 'percentage'}
+                onChange={(e) => onChange({ ...value, max: parseFloat(e.target.value) })}
+              />
+              <Input
+                label="Step"
+                type="number"
+                value={value.step}
+                onChange={(e) => onChange({ ...value, step: parseFloat(e.target.value) })}
+              />
+            </div>
+          )}
+
+          {(value.type === 'letter' || value.type === 'labels') && (
+            <div className="space-y-2">
+              <div className="flex items-center justify-between">
+                <label className="text-sm font-medium text-gray-700">
+                  Choices (lowest to highest, each mapped to a number)
+                </label>
+                <Button size="small" variant="outline" onClick={addAnchor}>
+                  <PlusIcon className="w-4 h-4 mr-1" />
+                  Add Choice
+                </Button>
+              </div>
+              {value.anchors.map((anchor, index) => (
+                <div key={index} className="flex gap-2 items-start">
+                  <Input
+                    className="flex-1"
+                    value={anchor.label}
+                    onChange={(e) => updateAnchor(index, 'label', e.target.value)}
+                    placeholder={value.type === 'letter' ? 'e.g., B' : 'e.g., Meets expectations'}
+                  />
+                  <Input
+                    className="w-24"
+                    type="number"
+                    value={anchor.value}
+                    onChange={(e) => updateAnchor(index, 'value', parseFloat(e.target.value))}
+                  />
+                  <Input
+                    className="flex-1"
+                    value={anchor.description || ''}
+                    onChange={(e) => updateAnchor(index, 'description', e.target.value)}
+                    placeholder="Description (optional)"
+                  />
+                  <Button
+                    size="small"
+                    variant="ghost"
+                    onClick={() => onChange({ ...value, anchors: value.anchors.filter((_, i) => i !== index) })}
+                  >
+                    <TrashIcon className="w-4 h-4" />
+                  </Button>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+
+      {errors.length > 0 ? (
+        <ul className="text-sm text-red-600 list-disc list-inside">
+          {errors.map(error => <li key={error}>{error}</li>)}
+        </ul>
+      ) : (
+        <div>
+          <p className="text-xs text-gray-500 mb-2">Preview</p>
+          <RatingInput scale={preview} value={null} disabled />
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RatingScaleEditor;
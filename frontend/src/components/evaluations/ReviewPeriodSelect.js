@@ -0,0 +1,35 @@
+import React from 'react';
+import { encodePeriod, decodePeriod, getCycleTypeLabel } from '../../utils/cycleUtils';
+
+/**
+ * Picks a review cycle or, for older data, a calendar year.
+ * `value` and `onChange` work with period objects ({ cycleId } or { year }).
+ */
+const ReviewPeriodSelect = ({ value, onChange, cycles = [], years = [], className = '' }) => {
+  const yearOptions = years.length > 0 ? years : [new Date().getFullYear()];
+
+  return (
+    <select
+      value={encodePeriod(value)}
+      onChange={(e) => onChange(decodePeriod(e.target.value))}
+      className={className || 'block w-full rounded-md border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500 sm:text-sm'}
+    >
+      {cycles.length > 0 && (
+        <optgroup label="Review Cycles">
+          {cycles.map(cycle => (
+            <option key={cycle.id} value={encodePeriod({ cycleId: cycle.id })}>
+              {cycle.name} ({getCycleTypeLabel(cycle.type)}{cycle.status === 'closed' ? ', closed' : ''})
+            </option>
+          ))}
+        </optgroup>
+      )}
+      <optgroup label="Calendar Years">
+        {yearOptions.map(year => (
+          <option key={year} value={encodePeriod({ year })}>{year}</option>
+        ))}
+      </optgroup>
+    </select>
+  );
+};
+
+export default ReviewPeriodSelect;
@@ -11,10 +11,25 @@ import {
   StarIcon,
   ChatBubbleLeftRightIcon,
   ListBulletIcon,
-  ScaleIcon
+  ScaleIcon,
+  CheckCircleIcon,
+  ClipboardDocumentCheckIcon,
+  ChartBarIcon,
+  AcademicCapIcon,
+  ArrowsUpDownIcon
 } from '@heroicons/react/24/outline';
 import { DragDropContext, Droppable, Draggable } from 'react-beautiful-dnd';
 import { Card, Button, Input, TextArea, Modal } from '../common';
+import { resolveRatingScale } from '../../utils/ratingScales';
+import {
+  QUESTION_TYPES,
+  createQuestionConfig,
+  cleanQuestionConfig,
+  validateQuestionConfig
+} from '../../utils/questionTypes';
+import { getPrecedingQuestions, hasDisplayRules, validateDisplayRules } from '../../utils/displayRules';
+import QuestionConfigEditor from './QuestionConfigEditor';
+import DisplayRulesEditor from './DisplayRulesEditor';
 
 const TemplateBuilder = ({ template, onSave, onCancel }) => {
   const [categories, setCategories] = useState(template?.categories || []);
@@ -29,15 +44,15 @@ const TemplateBuilder = ({ template, onSave, onCancel }) => {
     name: '',
     description: '',
     weight: 25,
-    allowTargetSetting: true // NEW: Enable target setting by default
+    allowTargetSetting: true, // NEW: Enable target setting by default
+    displayRules: null
   });
 
   const [questionForm, setQuestionForm] = useState({
     text: '',
     type: 'dualRating', // NEW: Default to dual rating for performance templates
     required: true,
-    weight: 1,
-    options: [] // For multiple choice questions
+    weight: 1
   });
 
   // NEW: Free text questions management
@@ -53,16 +68,22 @@ const TemplateBuilder = ({ template, onSave, onCancel }) => {
   // Generate unique IDs
   const generateId = () => `${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
 
+  // Empty rule sets are not stored
+  const withDisplayRules = ({ displayRules, ...item }) => (
+    hasDisplayRules(displayRules) ? { ...item, displayRules } : item
+  );
+
   // Add Category
   const handleAddCategory = () => {
-    const newCategory = {
+    const newCategory = withDisplayRules({
       id: generateId(),
       name: categoryForm.name,
       description: categoryForm.description,
       weight: categoryForm.weight,
       allowTargetSetting: categoryForm.allowTargetSetting, // NEW: Target setting support
+      displayRules: categoryForm.displayRules,
       questions: []
-    };
+    });
 
     setCategories([...categories, newCategory]);
     resetCategoryForm();
@@ -76,14 +97,15 @@ const TemplateBuilder = ({ template, onSave, onCancel }) => {
       name: category.name,
       description: category.description,
       weight: category.weight,
-      allowTargetSetting: category.allowTargetSetting !== false // Default to true
+      allowTargetSetting: category.allowTargetSetting !== false, // Default to true
+      displayRules: category.displayRules || null
     });
   };
 
   const handleSaveCategory = () => {
     setCategories(categories.map(cat => 
       cat.id === editingCategory
-        ? { ...cat, ...categoryForm }
+        ? withDisplayRules({ ...cat, ...categoryForm })
         : cat
     ));
     resetCategoryForm();
@@ -95,16 +117,36 @@ const TemplateBuilder = ({ template, onSave, onCancel }) => {
     setCategories(categories.filter(cat => cat.id !== categoryId));
   };
 
-  // Add Question
-  const handleAddQuestion = () => {
-    const newQuestion = {
-      id: generateId(),
+  // Switching type resets the type-specific settings
+  const handleQuestionTypeChange = (type) => {
+    setQuestionForm({
       text: questionForm.text,
-      type: questionForm.type,
+      type,
       required: questionForm.required,
       weight: questionForm.weight,
-      options: questionForm.type === 'multipleChoice' ? questionForm.options : []
-    };
+      displayRules: questionForm.displayRules,
+      ...createQuestionConfig(type)
+    });
+  };
+
+  // Questions a display rule may refer to. New categories and questions go last.
+  const getCategoryRulePreceding = (categoryId) => getPrecedingQuestions(categories, categoryId);
+  const getQuestionRulePreceding = (categoryId, questionId) => (questionId
+    ? getPrecedingQuestions(categories, categoryId, questionId)
+    : getPrecedingQuestions(categories.slice(0, categories.findIndex(cat => cat.id === categoryId) + 1)));
+
+  const questionRulePreceding = getQuestionRulePreceding(selectedCategoryId, editingQuestion);
+
+  const isQuestionFormValid = questionForm.text.trim() &&
+    validateQuestionConfig(questionForm).length === 0 &&
+    validateDisplayRules(questionForm.displayRules, questionRulePreceding).length === 0;
+
+  const isCategoryFormValid = categoryForm.name.trim() &&
+    validateDisplayRules(categoryForm.displayRules, getCategoryRulePreceding(editingCategory)).length === 0;
+
+  // Add Question
+  const handleAddQuestion = () => {
+    const newQuestion = cleanQuestionConfig(withDisplayRules({ ...questionForm, id: generateId() }));
 
     setCategories(categories.map(cat =>
       cat.id === selectedCategoryId
@@ -122,11 +164,8 @@ const TemplateBuilder = ({ template, onSave, onCancel }) => {
     setSelectedCategoryId(categoryId);
     setEditingQuestion(question.id);
     setQuestionForm({
-      text: question.text,
-      type: question.type,
-      required: question.required,
-      weight: question.weight,
-      options: question.options || []
+      ...createQuestionConfig(question.type),
+      ...question
     });
   };
 
@@ -137,7 +176,7 @@ const TemplateBuilder = ({ template, onSave, onCancel }) => {
             ...cat,
             questions: cat.questions.map(q =>
               q.id === editingQuestion
-                ? { ...q, ...questionForm, options: questionForm.type === 'multipleChoice' ? questionForm.options : [] }
+                ? cleanQuestionConfig(withDisplayRules({ ...questionForm, id: q.id }))
                 : q
             )
           }
@@ -179,7 +218,7 @@ const TemplateBuilder = ({ template, onSave, onCancel }) => {
 
   // Reset Forms
   const resetCategoryForm = () => {
-    setCategoryForm({ name: '', description: '', weight: 25, allowTargetSetting: true });
+    setCategoryForm({ name: '', description: '', weight: 25, allowTargetSetting: true, displayRules: null });
   };
 
   const resetQuestionForm = () => {
@@ -187,8 +226,7 @@ const TemplateBuilder = ({ template, onSave, onCancel }) => {
       text: '',
       type: 'dualRating', // NEW: Default to dual rating
       required: true,
-      weight: 1,
-      options: []
+      weight: 1
     });
   };
 
@@ -235,27 +273,6 @@ const TemplateBuilder = ({ template, onSave, onCancel }) => {
     setEditingFreeText(null);
   };
 
-  // Handle option changes for multiple choice questions
-  const handleOptionChange = (index, value) => {
-    const newOptions = [...questionForm.options];
-    newOptions[index] = value;
-    setQuestionForm({ ...questionForm, options: newOptions });
-  };
-
-  const addOption = () => {
-    setQuestionForm({ 
-      ...questionForm, 
-      options: [...questionForm.options, ''] 
-    });
-  };
-
-  const removeOption = (index) => {
-    setQuestionForm({
-      ...questionForm,
-      options: questionForm.options.filter((_, i) => i !== index)
-    });
-  };
-
   // Drag and Drop handlers
   const handleDragEnd = (result) => {
     if (!result.destination) return;
@@ -291,7 +308,11 @@ const TemplateBuilder = ({ template, onSave, onCancel }) => {
       case 'dualRating': return <div className="flex"><StarIcon className="h-3 w-3" /><StarIcon className="h-3 w-3 ml-1" /></div>; // NEW: Two stars for dual rating
       case 'text': return <ChatBubbleLeftRightIcon className="h-4 w-4" />;
       case 'multipleChoice': return <ListBulletIcon className="h-4 w-4" />;
-      case 'yesNo': return <ScaleIcon className="h-4 w-4" />;
+      case 'yesNo': return <CheckCircleIcon className="h-4 w-4" />;
+      case 'checklist': return <ClipboardDocumentCheckIcon className="h-4 w-4" />;
+      case 'kpi': return <ChartBarIcon className="h-4 w-4" />;
+      case 'competency': return <AcademicCapIcon className="h-4 w-4" />;
+      case 'ranking': return <ArrowsUpDownIcon className="h-4 w-4" />;
       default: return <ChatBubbleLeftRightIcon className="h-4 w-4" />;
     }
   };
@@ -333,7 +354,7 @@ const TemplateBuilder = ({ template, onSave, onCancel }) => {
           <div>
             <h3 className="font-medium text-blue-900">{template?.name || 'New Template'}</h3>
             <p className="text-sm text-blue-700">
-              Scoring: {template?.scoringSystem || '1-5'} • Type: {template?.type || 'performance'}
+              Scoring: {resolveRatingScale(template).name} • Type: {template?.type || 'performance'}
               {template?.type === 'performance' && ' • Dual-Rating System'}
             </p>
           </div>
@@ -435,7 +456,7 @@ const TemplateBuilder = ({ template, onSave, onCancel }) => {
                                   onChange={(e) => setCategoryForm({ ...categoryForm, name: e.target.value })}
                                   className="text-lg font-medium"
                                 />
-                                <Button size="sm" onClick={handleSaveCategory}>
+                                <Button size="sm" onClick={handleSaveCategory} disabled={!isCategoryFormValid}>
                                   <CheckIcon className="h-4 w-4" />
                                 </Button>
                                 <Button 
@@ -473,6 +494,24 @@ const TemplateBuilder = ({ template, onSave, onCancel }) => {
                           </div>
                         </div>
 
+                        <div className="mb-4 pl-8">
+                          {editingCategory === category.id ? (
+                            <DisplayRulesEditor
+                              rules={categoryForm.displayRules}
+                              onChange={(displayRules) => setCategoryForm({ ...categoryForm, displayRules })}
+                              preceding={getCategoryRulePreceding(category.id)}
+                            />
+                          ) : hasDisplayRules(category.displayRules) && (
+                            <DisplayRulesEditor
+                              rules={category.displayRules}
+                              onChange={(displayRules) => setCategories(categories.map(cat =>
+                                cat.id === category.id ? withDisplayRules({ ...cat, displayRules }) : cat
+                              ))}
+                              preceding={getCategoryRulePreceding(category.id)}
+                            />
+                          )}
+                        </div>
+
                         {/* Questions */}
                         <Droppable droppableId={`questions-${category.id}`}>
                           {(provided) => (
@@ -493,17 +532,15 @@ const TemplateBuilder = ({ template, onSave, onCancel }) => {
                                             rows={2}
                                           />
                                           <div className="flex items-center space-x-4">
-                                                                        <select
-                              value={questionForm.type}
-                              onChange={(e) => setQuestionForm({ ...questionForm, type: e.target.value })}
-                              className="rounded-md border-gray-300 text-sm"
-                            >
-                              <option value="dualRating">Dual Rating (Employee + Manager)</option>
-                              <option value="rating">Single Rating</option>
-                              <option value="text">Text Response</option>
-                              <option value="multipleChoice">Multiple Choice</option>
-                              <option value="yesNo">Yes/No</option>
-                            </select>
+                                            <select
+                                              value={questionForm.type}
+                                              onChange={(e) => handleQuestionTypeChange(e.target.value)}
+                                              className="rounded-md border-gray-300 text-sm"
+                                            >
+                                              {QUESTION_TYPES.map(type => (
+                                                <option key={type.value} value={type.value}>{type.label}</option>
+                                              ))}
+                                            </select>
                                             <div className="flex items-center">
                                               <input
                                                 type="checkbox"
@@ -514,33 +551,14 @@ const TemplateBuilder = ({ template, onSave, onCancel }) => {
                                               <label className="text-sm">Required</label>
                                             </div>
                                           </div>
-                                          {questionForm.type === 'multipleChoice' && (
-                                            <div className="space-y-2">
-                                              <label className="text-sm font-medium">Options:</label>
-                                              {questionForm.options.map((option, index) => (
-                                                <div key={index} className="flex items-center space-x-2">
-                                                  <Input
-                                                    value={option}
-                                                    onChange={(e) => handleOptionChange(index, e.target.value)}
-                                                    placeholder={`Option ${index + 1}`}
-                                                  />
-                                                  <Button
-                                                    size="sm"
-                                                    variant="outline"
-                                                    onClick={() => removeOption(index)}
-                                                    className="text-red-600"
-                                                  >
-                                                    <TrashIcon className="h-4 w-4" />
-                                                  </Button>
-                                                </div>
-                                              ))}
-                                              <Button size="sm" variant="outline" onClick={addOption}>
-                                                Add Option
-                                              </Button>
-                                            </div>
-                                          )}
+                                          <QuestionConfigEditor question={questionForm} onChange={setQuestionForm} />
+                                          <DisplayRulesEditor
+                                            rules={questionForm.displayRules}
+                                            onChange={(displayRules) => setQuestionForm({ ...questionForm, displayRules })}
+                                            preceding={questionRulePreceding}
+                                          />
                                           <div className="flex justify-end space-x-2">
-                                            <Button size="sm" onClick={handleSaveQuestion}>
+                                            <Button size="sm" onClick={handleSaveQuestion} disabled={!isQuestionFormValid}>
                                               Save
                                             </Button>
                                             <Button 
@@ -693,13 +711,24 @@ const TemplateBuilder = ({ template, onSave, onCancel }) => {
             </label>
           </div>
 
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Display Rules
+            </label>
+            <DisplayRulesEditor
+              rules={categoryForm.displayRules}
+              onChange={(displayRules) => setCategoryForm({ ...categoryForm, displayRules })}
+              preceding={getCategoryRulePreceding(null)}
+            />
+          </div>
+
           <div className="flex justify-end space-x-3">
             <Button variant="outline" onClick={() => setShowAddCategoryModal(false)}>
               Cancel
             </Button>
             <Button 
               onClick={handleAddCategory}
-              disabled={!categoryForm.name.trim()}
+              disabled={!isCategoryFormValid}
             >
               Add Category
             </Button>
@@ -729,43 +758,27 @@ const TemplateBuilder = ({ template, onSave, onCancel }) => {
             </label>
             <select
               value={questionForm.type}
-              onChange={(e) => setQuestionForm({ ...questionForm, type: e.target.value })}
+              onChange={(e) => handleQuestionTypeChange(e.target.value)}
               className="w-full rounded-md border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500"
             >
-              <option value="dualRating">Dual Rating (Employee + Manager)</option>
-              <option value="rating">Single Rating</option>
-              <option value="text">Text Response</option>
-              <option value="multipleChoice">Multiple Choice</option>
-              <option value="yesNo">Yes/No</option>
+              {QUESTION_TYPES.map(type => (
+                <option key={type.value} value={type.value}>{type.label}</option>
+              ))}
             </select>
           </div>
 
-          {questionForm.type === 'multipleChoice' && (
-            <div className="space-y-2">
-              <label className="block text-sm font-medium text-gray-700">Options</label>
-              {questionForm.options.map((option, index) => (
-                <div key={index} className="flex items-center space-x-2">
-                  <Input
-                    value={option}
-                    onChange={(e) => handleOptionChange(index, e.target.value)}
-                    placeholder={`Option ${index + 1}`}
-                  />
-                  <Button
-                    size="sm"
-                    variant="outline"
-                    onClick={() => removeOption(index)}
-                    className="text-red-600"
-                  >
-                    <TrashIcon className="h-4 w-4" />
-                  </Button>
-                </div>
-              ))}
-              <Button size="sm" variant="outline" onClick={addOption}>
-                <PlusIcon className="h-4 w-4 mr-1" />
-                Add Option
-              </Button>
-            </div>
-          )}
+          <QuestionConfigEditor question={questionForm} onChange={setQuestionForm} />
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Display Rules
+            </label>
+            <DisplayRulesEditor
+              rules={questionForm.displayRules}
+              onChange={(displayRules) => setQuestionForm({ ...questionForm, displayRules })}
+              preceding={questionRulePreceding}
+            />
+          </div>
 
           <div className="flex items-center">
             <input
@@ -786,7 +799,7 @@ const TemplateBuilder = ({ template, onSave, onCancel }) => {
             </Button>
             <Button 
               onClick={handleAddQuestion}
-              disabled={!questionForm.text.trim()}
+              disabled={!isQuestionFormValid}
             >
               Add Question
             </Button>
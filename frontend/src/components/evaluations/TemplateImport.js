@@ -0,0 +1,191 @@
+import React, { useState } from 'react';
+import { ArrowUpTrayIcon, DocumentDuplicateIcon } from '@heroicons/react/24/outline';
+import { Button, Input } from '../common';
+import { resolveRatingScale } from '../../utils/ratingScales';
+import { parseTemplateFile, getAvailableTemplateName } from '../../utils/templateTransfer';
+import { STARTER_TEMPLATES } from '../../utils/templateLibrary';
+
+const countQuestions = (template) => (template.categories || [])
+  .reduce((total, category) => total + (category.questions?.length || 0), 0);
+
+/**
+ * Picks a template file or a starter template, validates it and imports it as a new
+ * draft. When the name is already taken the user chooses between a renamed copy and
+ * replacing the draft of the existing template.
+ */
+const TemplateImport = ({ source = 'file', templates = [], departments = [], onImport, onCancel }) => {
+  const [candidate, setCandidate] = useState(null);
+  const [name, setName] = useState('');
+  const [conflictMode, setConflictMode] = useState('copy');
+  const [importing, setImporting] = useState(false);
+
+  const load = (input, label) => {
+    const result = parseTemplateFile(input, { departments });
+    setCandidate({ ...result, label });
+    setName(result.template?.name || '');
+    setConflictMode('copy');
+  };
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      load(await file.text(), file.name);
+    } catch (error) {
+      setCandidate({ template: null, errors: ['The file could not be read'], warnings: [], label: file.name });
+    }
+  };
+
+  const existing = templates.find(template => (template.name || '').trim().toLowerCase() === name.trim().toLowerCase());
+  const copyName = existing ? getAvailableTemplateName(name.trim(), templates) : name.trim();
+
+  const handleImport = async () => {
+    setImporting(true);
+    try {
+      const replace = existing && conflictMode === 'replace';
+      await onImport(
+        { ...candidate.template, name: replace ? existing.name : copyName },
+        { replaceTemplateId: replace ? existing.id : null }
+      );
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  if (!candidate) {
+    if (source === 'library') {
+      return (
+        <div className="space-y-4">
+          <p className="text-sm text-gray-600">
+            Start from a ready-made template and adapt it. The copy is yours to edit; publish it before assigning evaluations.
+          </p>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            {STARTER_TEMPLATES.map(starter => (
+              <div key={starter.key} className="border border-gray-200 rounded-lg p-4 flex flex-col">
+                <h4 className="font-medium text-gray-900">{starter.file.template.name}</h4>
+                <p className="text-sm text-gray-600 mt-1 flex-1">{starter.summary}</p>
+                <p className="text-xs text-gray-500 mt-2">
+                  {starter.file.template.categories.length} categories · {countQuestions(starter.file.template)} questions · {resolveRatingScale(starter.file.template).name}
+                </p>
+                <Button size="small" variant="outline" className="mt-3" onClick={() => load(starter.file, starter.file.template.name)}>
+                  <DocumentDuplicateIcon className="h-4 w-4 mr-1" />
+                  Use this template
+                </Button>
+              </div>
+            ))}
+          </div>
+          <div className="flex justify-end">
+            <Button variant="outline" onClick={onCancel}>Cancel</Button>
+          </div>
+        </div>
+      );
+    }
+
+    return (
+      <div className="space-y-4">
+        <p className="text-sm text-gray-600">
+          Choose a template file exported from this or another business. It is imported as a draft.
+        </p>
+        <label className="flex flex-col items-center justify-center border-2 border-dashed border-gray-300 rounded-lg p-8 cursor-pointer hover:border-indigo-400">
+          <ArrowUpTrayIcon className="h-8 w-8 text-gray-400 mb-2" />
+          <span className="text-sm font-medium text-indigo-600">Choose a .json file</span>
+          <input type="file" accept=".json,application/json" onChange={handleFileChange} className="hidden" />
+        </label>
+        <div className="flex justify-end">
+          <Button variant="outline" onClick={onCancel}>Cancel</Button>
+        </div>
+      </div>
+    );
+  }
+
+  const { template, errors, warnings } = candidate;
+
+  return (
+    <div className="space-y-4">
+      <p className="text-sm text-gray-600">
+        From <span className="font-medium text-gray-900">{candidate.label}</span>
+      </p>
+
+      {errors.length > 0 && (
+        <div className="bg-red-50 border border-red-200 rounded-md p-3 text-sm text-red-700">
+          <p className="font-medium mb-1">This template cannot be imported:</p>
+          <ul className="list-disc list-inside space-y-0.5">
+            {errors.map(error => <li key={error}>{error}</li>)}
+          </ul>
+        </div>
+      )}
+
+      {template && (
+        <>
+          <Input label="Template name" value={name} onChange={(e) => setName(e.target.value)} required />
+
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-3 text-sm">
+            <div>
+              <div className="text-gray-500">Categories</div>
+              <div className="font-medium">{template.categories.length}</div>
+            </div>
+            <div>
+              <div className="text-gray-500">Questions</div>
+              <div className="font-medium">{countQuestions(template)}</div>
+            </div>
+            <div>
+              <div className="text-gray-500">Open-ended</div>
+              <div className="font-medium">{template.freeTextQuestions.length}</div>
+            </div>
+            <div>
+              <div className="text-gray-500">Rating scale</div>
+              <div className="font-medium">{template.ratingScale.name}</div>
+            </div>
+          </div>
+
+          {warnings.length > 0 && (
+            <div className="bg-amber-50 border border-amber-200 rounded-md p-3 text-sm text-amber-800">
+              <ul className="list-disc list-inside space-y-0.5">
+                {warnings.map(warning => <li key={warning}>{warning}</li>)}
+              </ul>
+            </div>
+          )}
+
+          {existing && (
+            <div className="border border-gray-200 rounded-md p-3 space-y-2 text-sm">
+              <p className="text-gray-900">A template named "{existing.name}" already exists.</p>
+              <label className="flex items-start">
+                <input
+                  type="radio"
+                  checked={conflictMode === 'copy'}
+                  onChange={() => setConflictMode('copy')}
+                  className="mt-0.5 mr-2"
+                />
+                <span>Import as a new template named "{copyName}"</span>
+              </label>
+              <label className="flex items-start">
+                <input
+                  type="radio"
+                  checked={conflictMode === 'replace'}
+                  onChange={() => setConflictMode('replace')}
+                  className="mt-0.5 mr-2"
+                />
+                <span>
+                  Replace the draft of "{existing.name}". Published versions and the evaluations built from them are not affected.
+                </span>
+              </label>
+            </div>
+          )}
+        </>
+      )}
+
+      <div className="flex justify-end space-x-3">
+        <Button variant="outline" onClick={() => setCandidate(null)} disabled={importing}>
+          Back
+        </Button>
+        <Button onClick={handleImport} disabled={!template || !name.trim() || importing}>
+          {importing ? 'Importing...' : 'Import as Draft'}
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+export default TemplateImport;
@@ -0,0 +1,137 @@
+import React, { useState, useEffect } from 'react';
+import { useDispatch } from 'react-redux';
+import classNames from 'classnames';
+import { fetchTemplateVersions } from '../../store/slices/evaluationSlice';
+import { formatDateTime } from '../../utils/dateUtils';
+import { diffTemplates } from '../../utils/templateDiff';
+import { Select, LoadingSpinner } from '../common';
+
+const DRAFT = 'draft';
+
+const KIND_STYLES = {
+  added: 'border-green-200 bg-green-50 text-green-900',
+  removed: 'border-red-200 bg-red-50 text-red-900',
+  changed: 'border-amber-200 bg-amber-50 text-amber-900'
+};
+
+/**
+ * Published versions of a template and a comparison between any two of them,
+ * or between a version and the current draft
+ */
+const TemplateVersionHistory = ({ template, businessId }) => {
+  const dispatch = useDispatch();
+  const [versions, setVersions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [fromKey, setFromKey] = useState('');
+  const [toKey, setToKey] = useState('');
+
+  useEffect(() => {
+    if (!template?.id || !businessId) return;
+
+    setLoading(true);
+    dispatch(fetchTemplateVersions({ businessId, templateId: template.id }))
+      .unwrap()
+      .then((loaded) => {
+        setVersions(loaded);
+        setError(null);
+
+        // Default to the most recent change: draft vs latest, or latest vs the one before
+        const [latest, previous] = loaded;
+        if (template.hasUnpublishedChanges && latest) {
+          setFromKey(String(latest.version));
+          setToKey(DRAFT);
+        } else if (latest) {
+          setFromKey(String(previous?.version ?? latest.version));
+          setToKey(String(latest.version));
+        }
+      })
+      .catch((message) => setError(message))
+      .finally(() => setLoading(false));
+  }, [dispatch, businessId, template?.id, template?.hasUnpublishedChanges]);
+
+  const resolve = (key) => (key === DRAFT ? template : versions.find(version => String(version.version) === key));
+
+  const options = [
+    { value: DRAFT, label: 'Current draft' },
+    ...versions.map(version => ({ value: String(version.version), label: `Version ${version.version}` }))
+  ];
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-8">
+        <LoadingSpinner size="medium" />
+      </div>
+    );
+  }
+
+  if (error) {
+    return <p className="text-sm text-red-600">Failed to load versions: {error}</p>;
+  }
+
+  if (versions.length === 0) {
+    return (
+      <p className="text-sm text-gray-600">
+        This template has not been published yet. Evaluations can be assigned once the first version is published.
+      </p>
+    );
+  }
+
+  const before = resolve(fromKey);
+  const after = resolve(toKey);
+  const changes = before && after ? diffTemplates(before, after) : [];
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h4 className="text-sm font-medium text-gray-900 mb-2">Published versions</h4>
+        <ul className="divide-y divide-gray-200 border border-gray-200 rounded-lg">
+          {versions.map(version => (
+            <li key={version.version} className="px-4 py-3 text-sm">
+              <div className="flex justify-between">
+                <span className="font-medium text-gray-900">
+                  Version {version.version}
+                  {version.version === template.publishedVersion && (
+                    <span className="ml-2 text-xs text-green-700">(current)</span>
+                  )}
+                </span>
+                <span className="text-gray-500">
+                  {version.publishedAt ? formatDateTime(version.publishedAt) : '—'}
+                  {version.publishedByName ? ` · ${version.publishedByName}` : ''}
+                </span>
+              </div>
+              {version.notes && <p className="text-gray-600 mt-1">{version.notes}</p>}
+            </li>
+          ))}
+        </ul>
+      </div>
+
+      <div>
+        <h4 className="text-sm font-medium text-gray-900 mb-2">Compare</h4>
+        <div className="grid grid-cols-2 gap-4">
+          <Select label="From" value={fromKey} onChange={(e) => setFromKey(e.target.value)} options={options} placeholder={null} />
+          <Select label="To" value={toKey} onChange={(e) => setToKey(e.target.value)} options={options} placeholder={null} />
+        </div>
+      </div>
+
+      {changes.length === 0 ? (
+        <p className="text-sm text-gray-600">No differences.</p>
+      ) : (
+        <ul className="space-y-3">
+          {changes.map(change => (
+            <li key={`${change.kind}-${change.label}`} className={classNames('border rounded-lg p-3 text-sm', KIND_STYLES[change.kind])}>
+              <p className="font-medium capitalize">{change.kind}: <span className="normal-case">{change.label}</span></p>
+              {change.details.length > 0 && (
+                <ul className="list-disc list-inside mt-1 space-y-0.5">
+                  {change.details.map(detail => <li key={detail}>{detail}</li>)}
+                </ul>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default TemplateVersionHistory;
@@ -1 +1,15 @@
 export { default as TemplateBuilder } from './TemplateBuilder';
+export { default as PreviousTarget } from './PreviousTarget';
+export { default as ReviewPeriodSelect } from './ReviewPeriodSelect';
+export { default as EvaluationReportButton } from './EvaluationReportButton';
+export { default as RatingInput } from './RatingInput';
+export { default as RatingScaleEditor } from './RatingScaleEditor';
+export { default as QuestionConfigEditor } from './QuestionConfigEditor';
+export { default as QuestionAnswerInput } from './QuestionAnswerInput';
+export { default as TemplateVersionHistory } from './TemplateVersionHistory';
+export { default as DisplayRulesEditor } from './DisplayRulesEditor';
+export { default as TemplateImport } from './TemplateImport';
+export { default as FeedbackForm } from './FeedbackForm';
+export { default as FeedbackPanel } from './FeedbackPanel';
+export { default as FeedbackSummary } from './FeedbackSummary';
+export { default as BonusScenarios } from './BonusScenarios';
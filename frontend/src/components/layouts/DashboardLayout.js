@@ -1,12 +1,28 @@
-import React from 'react';
-import { useSelector } from 'react-redux';
-import { selectSidebarOpen } from '../../store/slices/uiSlice';
+import React, { useEffect } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { selectSidebarOpen, subscribeToNotifications, clearNotifications } from '../../store/slices/uiSlice';
+import { selectUser } from '../../store/slices/authSlice';
 import Sidebar from './Sidebar';
 import Header from './Header';
 import Breadcrumbs from './Breadcrumbs';
 
 const DashboardLayout = ({ children }) => {
+  const dispatch = useDispatch();
   const sidebarOpen = useSelector(selectSidebarOpen);
+  const user = useSelector(selectUser);
+  const businessId = user?.businessId;
+  const userId = user?.uid || user?.id;
+
+  // Live notifications for the bell menu and the notifications page
+  useEffect(() => {
+    if (!businessId || !userId) return undefined;
+
+    const unsubscribe = dispatch(subscribeToNotifications(businessId, userId));
+    return () => {
+      unsubscribe();
+      dispatch(clearNotifications());
+    };
+  }, [dispatch, businessId, userId]);
 
   return (
     <div className="h-screen flex overflow-hidden bg-gray-100 dark:bg-gray-900">
@@ -1,5 +1,5 @@
 import React from 'react';
-import { Link } from 'react-router-dom';
+import { Link, useNavigate } from 'react-router-dom';
 import { useDispatch, useSelector } from 'react-redux';
 import { Menu, Transition } from '@headlessui/react';
 import { Fragment } from 'react';
@@ -10,7 +10,12 @@ import { formatDate } from '../../utils/dateUtils';
 
 // Redux
 import { logout, selectUser, selectBusinessData } from '../../store/slices/authSlice';
-import { toggleSidebar, selectNotifications, selectUnreadNotifications } from '../../store/slices/uiSlice';
+import {
+  toggleSidebar,
+  selectNotifications,
+  selectUnreadNotifications,
+  markNotificationAsRead
+} from '../../store/slices/uiSlice';
 
 // Components
 import { Badge } from '../../components/common';
@@ -26,6 +31,7 @@ import {
 
 const Header = () => {
   const dispatch = useDispatch();
+  const navigate = useNavigate();
   const user = useSelector(selectUser);
   const businessData = useSelector(selectBusinessData);
   const notifications = useSelector(selectNotifications);
@@ -43,6 +49,19 @@ const Header = () => {
     dispatch(toggleSidebar());
   };
 
+  const handleNotificationClick = (notification) => {
+    if (!notification.read) {
+      dispatch(markNotificationAsRead({
+        businessId: user.businessId,
+        userId: user.uid || user.id,
+        notificationId: notification.id
+      }));
+    }
+    if (notification.link) {
+      navigate(notification.link);
+    }
+  };
+
 
 
   return (
@@ -114,6 +133,7 @@ const Header = () => {
                         <Menu.Item key={notification.id}>
                           {({ active }) => (
                             <div
+                              onClick={() => handleNotificationClick(notification)}
                               className={classNames(
                                 active ? 'bg-gray-50 dark:bg-gray-700' : '',
                                 'px-4 py-3 text-sm cursor-pointer',
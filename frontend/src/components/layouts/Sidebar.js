@@ -22,7 +22,9 @@ import {
   TrophyIcon,
   AcademicCapIcon,
   PlusIcon,
-  ClockIcon
+  ClockIcon,
+  CalendarDaysIcon,
+  ChatBubbleLeftRightIcon
 } from '@heroicons/react/24/outline';
 
 const Sidebar = () => {
@@ -79,6 +81,12 @@ const Sidebar = () => {
         icon: ClipboardDocumentListIcon,
         current: location.pathname.startsWith('/assignments')
       },
+      {
+        name: 'Review Cycles',
+        href: '/review-cycles',
+        icon: CalendarDaysIcon,
+        current: location.pathname.startsWith('/review-cycles')
+      },
       {
         name: 'Organization Chart',
         href: '/organization-chart',
@@ -121,6 +129,12 @@ const Sidebar = () => {
         href: '/my-evaluations',
         icon: StarIcon,
         current: location.pathname.startsWith('/my-evaluations')
+      },
+      {
+        name: 'Goals',
+        href: '/my-goals',
+        icon: TrophyIcon,
+        current: location.pathname.startsWith('/my-goals')
       }
     ];
 
@@ -149,6 +163,12 @@ const Sidebar = () => {
         href: '/my-evaluations',
         icon: StarIcon,
         current: location.pathname.startsWith('/my-evaluations')
+      },
+      {
+        name: 'Goals',
+        href: '/my-goals',
+        icon: TrophyIcon,
+        current: location.pathname.startsWith('/my-goals')
       }
     ];
 
@@ -216,6 +236,25 @@ const Sidebar = () => {
       }
     ];
 
+    const bonusHistoryItems = [
+      {
+        name: 'Bonus History',
+        href: '/bonus-history',
+        icon: ClockIcon,
+        current: location.pathname.startsWith('/bonus-history')
+      }
+    ];
+
+    // Anyone can be asked for 360 feedback
+    const feedbackItems = [
+      {
+        name: 'Feedback Requests',
+        href: '/feedback-requests',
+        icon: ChatBubbleLeftRightIcon,
+        current: location.pathname.startsWith('/feedback-requests')
+      }
+    ];
+
     const settingsItems = [
       {
         name: 'Settings',
@@ -236,6 +275,7 @@ const Sidebar = () => {
         ...templateManagementItems, 
         ...systemReportItems, 
         ...bonusItems, 
+        ...bonusHistoryItems,
         ...settingsItems
       ];
     } else if (user?.role === 'hr') {
@@ -245,7 +285,8 @@ const Sidebar = () => {
         ...systemManagementItems, 
         ...templateManagementItems, 
         ...systemReportItems, 
-        ...bonusItems
+        ...bonusItems,
+        ...bonusHistoryItems
       ];
     } else if (user?.role === 'manager') {
       // Manager has dual role: evaluate others + be evaluated
@@ -265,7 +306,8 @@ const Sidebar = () => {
         ...items, 
         ...managerEvaluationItems, 
         ...reportItems,
-        ...bonusAllocationItems
+        ...bonusAllocationItems,
+        ...bonusHistoryItems
       ];
     } else if (user?.role === 'supervisor') {
       // Supervisor has dual role: evaluate employees + be evaluated by manager
@@ -279,6 +321,8 @@ const Sidebar = () => {
       items = [...items, ...employeeEvaluationItems];
     }
 
+    items = [...items, ...feedbackItems];
+
     return items;
   };
 
@@ -12,18 +12,18 @@ class FunctionsService {
    */
   async call(functionName, data = {}, options = {}) {
     try {
-      const { timeout = 30000 } = options;
+      const { timeout = 30000, requireAuth = true } = options;
       
-      // Ensure user is authenticated
+      // Ensure user is authenticated (public functions such as acceptInvite opt out)
       const currentUser = auth.currentUser;
-      if (!currentUser) {
+      if (!currentUser && requireAuth) {
         throw new Error('User must be authenticated to call functions');
       }
 
       console.log('Making function call:', {
         functionName,
-        userId: currentUser.uid,
-        email: currentUser.email
+        userId: currentUser?.uid,
+        email: currentUser?.email
       });
       
       const callable = httpsCallable(functions, functionName, {
@@ -63,10 +63,6 @@ class FunctionsService {
   /**
    * User Management Functions
    */
-  async createUser(userData) {
-    return this.call('userCreateUser', userData);
-  }
-
   async updateUserRole(userId, role) {
     return this.call('updateUserRole', { userId, role });
   }
@@ -79,8 +75,24 @@ class FunctionsService {
     return this.call('inviteUser', inviteData);
   }
 
-  async bulkCreateUsers(usersData) {
-    return this.call('bulkCreateUsers', { users: usersData }, { timeout: 60000 });
+  async resendInvite(inviteId) {
+    return this.call('resendInvite', { inviteId });
+  }
+
+  async revokeInvite(inviteId) {
+    return this.call('revokeInvite', { inviteId });
+  }
+
+  async getInvite(token) {
+    return this.call('getInvite', { token }, { requireAuth: false });
+  }
+
+  async acceptInvite(token, password) {
+    return this.call('acceptInvite', { token, password }, { requireAuth: false });
+  }
+
+  async bulkCreateUsers(usersData, options = {}) {
+    return this.call('bulkCreateUsers', { users: usersData, ...options }, { timeout: 300000 });
   }
 
   /**
@@ -117,12 +129,81 @@ class FunctionsService {
     return this.call('rejectEvaluation', { evaluationId, ...rejectionData });
   }
 
+  async getTeamEvaluations(filters = {}) {
+    return this.call('getTeamEvaluations', { filters });
+  }
+
   async calculateEvaluationScore(evaluationId) {
     return this.call('calculateEvaluationScore', { evaluationId });
   }
 
   async generateEvaluationReport(evaluationId, format = 'pdf') {
-    return this.call('generateEvaluationReport', { evaluationId, format });
+    return this.call('generateEvaluationReport', { evaluationId, format }, { timeout: 120000 });
+  }
+
+  /**
+   * Evaluation Template Functions
+   */
+  async publishTemplateVersion(templateId, notes = '') {
+    return this.call('publishTemplateVersion', { templateId, notes });
+  }
+
+  /**
+   * 360 Feedback Functions
+   */
+  async setupFeedback(evaluationId, settings) {
+    return this.call('setupFeedback', { evaluationId, ...settings });
+  }
+
+  async nominateFeedbackRaters(evaluationId, nominations) {
+    return this.call('nominateFeedbackRaters', { evaluationId, nominations });
+  }
+
+  async decideFeedbackNominations(evaluationId, decisions) {
+    return this.call('decideFeedbackNominations', { evaluationId, decisions });
+  }
+
+  async submitFeedback(requestId, responses) {
+    return this.call('submitFeedback', { requestId, responses });
+  }
+
+  async getFeedbackRequests(evaluationId) {
+    return this.call('getFeedbackRequests', { evaluationId });
+  }
+
+  async getFeedbackSummary(evaluationId) {
+    return this.call('getFeedbackSummary', { evaluationId });
+  }
+
+  async getExternalFeedbackRequest(token) {
+    return this.call('getExternalFeedbackRequest', { token }, { requireAuth: false });
+  }
+
+  async submitExternalFeedback(token, responses) {
+    return this.call('submitExternalFeedback', { token, responses }, { requireAuth: false });
+  }
+
+  /**
+   * Review Cycle Functions
+   */
+  async createReviewCycle(cycleData) {
+    return this.call('createReviewCycle', cycleData);
+  }
+
+  async updateReviewCycle(cycleId, updates) {
+    return this.call('updateReviewCycle', { cycleId, updates });
+  }
+
+  async setReviewCycleStatus(cycleId, status) {
+    return this.call('setReviewCycleStatus', { cycleId, status });
+  }
+
+  async setCycleExchangeRates(cycleId, rates) {
+    return this.call('setCycleExchangeRates', { cycleId, rates });
+  }
+
+  async launchReviewCycle(cycleId) {
+    return this.call('launchReviewCycle', { cycleId }, { timeout: 120000 });
   }
 
   /**
@@ -159,6 +240,10 @@ class FunctionsService {
     return this.call('getBonusHistory', { businessId, filters });
   }
 
+  async saveBonusScenario(businessId, scenarioData) {
+    return this.call('saveBonusScenario', { businessId, ...scenarioData });
+  }
+
   /**
    * Notification Functions
    */
@@ -204,7 +289,7 @@ class FunctionsService {
       businessId, 
       exportType, 
       options 
-    }, { timeout: 120000 });
+    }, { timeout: 300000 });
   }
 
   async exportEvaluations(businessId, filters = {}, format = 'csv') {
@@ -212,11 +297,11 @@ class FunctionsService {
       businessId, 
       filters, 
       format 
-    }, { timeout: 60000 });
+    }, { timeout: 300000 });
   }
 
   async exportUsers(businessId, format = 'csv') {
-    return this.call('exportUsers', { businessId, format });
+    return this.call('exportUsers', { businessId, format }, { timeout: 300000 });
   }
 
   /**
@@ -232,7 +317,7 @@ class FunctionsService {
   }
 
   async validateImportData(importType, data) {
-    return this.call('validateImportData', { importType, data });
+    return this.call('validateImportData', { importType, data }, { timeout: 120000 });
   }
 
   /**
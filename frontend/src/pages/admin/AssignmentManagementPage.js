@@ -39,6 +39,11 @@ import {
   selectDepartments
 } from '../../store/slices/departmentSlice';
 
+import {
+  fetchReviewCycles,
+  selectReviewCycles
+} from '../../store/slices/cycleSlice';
+
 import { selectUser } from '../../store/slices/authSlice';
 
 import Modal from '../../components/common/Modal';
@@ -55,6 +60,7 @@ const AssignmentManagementPage = () => {
   const bonusAssignments = useSelector(selectBonusAssignments);
   const users = useSelector(selectUsers);
   const departments = useSelector(selectDepartments);
+  const reviewCycles = useSelector(selectReviewCycles);
   const isLoading = useSelector(selectAssignmentsLoading);
   const usersLoading = useSelector(selectUsersLoading);
   const error = useSelector(selectAssignmentsError);
@@ -75,13 +81,15 @@ const AssignmentManagementPage = () => {
     assignmentType: 'permanent',
     notes: '',
     budgetLimit: '',
-    expiresDate: ''
+    expiresDate: '',
+    cycleId: ''
   });
 
   // Bulk assignment state
   const [bulkAssignments, setBulkAssignments] = useState([]);
   const [selectedEvaluator, setSelectedEvaluator] = useState('');
   const [selectedDepartment, setSelectedDepartment] = useState('');
+  const [bulkCycleId, setBulkCycleId] = useState('');
 
   useEffect(() => {
     if (user?.businessId) {
@@ -90,6 +98,7 @@ const AssignmentManagementPage = () => {
       dispatch(fetchBonusAssignments(user.businessId));
       dispatch(fetchUsers(user.businessId));
       dispatch(fetchDepartments(user.businessId));
+      dispatch(fetchReviewCycles(user.businessId));
     }
   }, [dispatch, user?.businessId]);
 
@@ -126,6 +135,17 @@ const AssignmentManagementPage = () => {
     return dept?.name || 'No Department';
   };
 
+  // Assignments without a cycle apply to every review cycle
+  const getCycleName = (cycleId) => {
+    if (!cycleId) return 'All cycles';
+    return reviewCycles.find(cycle => cycle.id === cycleId)?.name || 'Unknown cycle';
+  };
+
+  const cycleOptions = [
+    { value: '', label: 'All cycles' },
+    ...reviewCycles.filter(cycle => cycle.status === 'open').map(cycle => ({ value: cycle.id, label: cycle.name }))
+  ];
+
   // Get parent chain for a department
   const getParentChain = (deptId) => {
     const chain = [deptId];
@@ -268,6 +288,7 @@ const AssignmentManagementPage = () => {
       } else {
         delete assignmentData.evaluatorId;
         delete assignmentData.evaluateeId;
+        delete assignmentData.cycleId;
         await dispatch(createBonusAssignment(assignmentData)).unwrap();
       }
 
@@ -344,7 +365,8 @@ const AssignmentManagementPage = () => {
           evaluatorId: selectedEvaluator,
           evaluateeId,
           assignmentType: 'permanent',
-          notes: `Bulk assigned for ${getDepartmentName(evaluateeId)}`
+          notes: `Bulk assigned for ${getDepartmentName(evaluateeId)}`,
+          cycleId: bulkCycleId || null
         }));
 
         await dispatch(bulkCreateEvaluationAssignments({
@@ -390,6 +412,7 @@ const AssignmentManagementPage = () => {
         delete updates.allocatorId;
         delete updates.recipientId;
         delete updates.budgetLimit;
+        updates.cycleId = updates.cycleId || null;
         await dispatch(updateEvaluationAssignment({
           businessId: user.businessId,
           assignmentId: editingAssignment.id,
@@ -398,6 +421,7 @@ const AssignmentManagementPage = () => {
       } else {
         delete updates.evaluatorId;
         delete updates.evaluateeId;
+        delete updates.cycleId;
         await dispatch(updateBonusAssignment({
           businessId: user.businessId,
           assignmentId: editingAssignment.id,
@@ -445,7 +469,8 @@ const AssignmentManagementPage = () => {
       assignmentType: 'permanent',
       notes: '',
       budgetLimit: '',
-      expiresDate: ''
+      expiresDate: '',
+      cycleId: ''
     });
   };
 
@@ -454,6 +479,7 @@ const AssignmentManagementPage = () => {
     setBulkAssignments([]);
     setSelectedEvaluator('');
     setSelectedDepartment('');
+    setBulkCycleId('');
   };
 
   // Filter users for evaluator/allocator selection
@@ -764,6 +790,9 @@ const AssignmentManagementPage = () => {
                       >
                         {assignment.assignmentType}
                       </Badge>
+                      {activeTab === 'evaluation' && (
+                        <div className="text-xs text-gray-500 mt-1">{getCycleName(assignment.cycleId)}</div>
+                      )}
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
                       {new Date(assignment.assignedDate).toLocaleDateString()}
@@ -786,7 +815,8 @@ const AssignmentManagementPage = () => {
                               assignmentType: assignment.assignmentType || 'permanent',
                               notes: assignment.notes || '',
                               budgetLimit: assignment.budgetLimit || '',
-                              expiresDate: assignment.expiresDate || ''
+                              expiresDate: assignment.expiresDate || '',
+                              cycleId: assignment.cycleId || ''
                             });
                           }}
                           className="text-indigo-600 hover:text-indigo-900 p-1"
@@ -880,6 +910,21 @@ const AssignmentManagementPage = () => {
                 </Select>
               </div>
 
+              {/* Review Cycle (for evaluation assignments) */}
+              {activeTab === 'evaluation' && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Review Cycle
+                  </label>
+                  <Select
+                    value={assignmentForm.cycleId}
+                    onChange={(e) => setAssignmentForm(prev => ({ ...prev, cycleId: e.target.value }))}
+                    placeholder={null}
+                    options={cycleOptions}
+                  />
+                </div>
+              )}
+
               {/* Budget Limit (for bonus assignments) */}
               {activeTab === 'bonus' && (
                 <div>
@@ -994,6 +1039,20 @@ const AssignmentManagementPage = () => {
                   })) : [{ value: '', label: 'Loading departments...', disabled: true }]}
                 />
               </div>
+
+              {activeTab === 'evaluation' && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Review Cycle
+                  </label>
+                  <Select
+                    value={bulkCycleId}
+                    onChange={(e) => setBulkCycleId(e.target.value)}
+                    placeholder={null}
+                    options={cycleOptions}
+                  />
+                </div>
+              )}
             </div>
 
             {/* Evaluatee Selection */}
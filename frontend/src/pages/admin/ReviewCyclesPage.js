@@ -0,0 +1,786 @@
+import React, { useState, useEffect } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import {
+  CalendarDaysIcon,
+  PlusIcon,
+  PencilIcon,
+  LockClosedIcon,
+  LockOpenIcon,
+  RocketLaunchIcon,
+  DocumentTextIcon,
+  BellAlertIcon,
+  BanknotesIcon,
+  TrashIcon,
+  ExclamationTriangleIcon
+} from '@heroicons/react/24/outline';
+
+import {
+  fetchReviewCycles,
+  createReviewCycle,
+  updateReviewCycle,
+  setReviewCycleStatus,
+  setCycleExchangeRates,
+  launchReviewCycle,
+  fetchLaunchReport,
+  selectReviewCycles,
+  selectReviewCyclesLoading
+} from '../../store/slices/cycleSlice';
+import { fetchUsers, selectUsers } from '../../store/slices/userSlice';
+import { fetchDepartments, selectDepartments } from '../../store/slices/departmentSlice';
+import { fetchEvaluationTemplates, selectEvaluationTemplates } from '../../store/slices/evaluationSlice';
+import { selectUser, selectBusinessData, updateBusinessSettings } from '../../store/slices/authSlice';
+import { updateBusinessData } from '../../store/slices/businessSlice';
+
+import { formatDate } from '../../utils/dateUtils';
+import { CYCLE_TYPES, CYCLE_PHASES, getCycleTypeLabel, getNextPhaseDeadline } from '../../utils/cycleUtils';
+import { getReportingCurrency, cycleCurrencyContext, isCurrencyCode } from '../../utils/currency';
+
+import { Card, Button, Badge, Input, Select, Modal, LoadingSpinner } from '../../components/common';
+
+const SKIP_REASONS = {
+  'self-assignment': 'Evaluator and evaluatee are the same person',
+  'not-participant': 'Evaluatee is not a participant in this cycle',
+  'evaluatee-not-found': 'Evaluatee no longer exists',
+  'evaluatee-inactive': 'Evaluatee is inactive',
+  'evaluator-not-found': 'Evaluator no longer exists',
+  'evaluator-inactive': 'Evaluator is inactive',
+  'already-exists': 'Evaluation already exists in this cycle',
+  'template-missing': 'Cycle has no usable template'
+};
+
+// Same defaults the reminder function falls back to when a business has no policy
+const DEFAULT_REMINDER_POLICY = {
+  enabled: true,
+  daysBefore: [7, 1],
+  daysAfter: [1, 3, 7],
+  escalateAfterDays: 5
+};
+
+const toDayList = (text) => Array.from(new Set(
+  text.split(',').map(value => parseInt(value.trim(), 10)).filter(days => days > 0)
+)).sort((a, b) => a - b);
+
+const toPolicyForm = (policy = {}) => {
+  const merged = { ...DEFAULT_REMINDER_POLICY, ...policy };
+  return {
+    enabled: merged.enabled !== false,
+    daysBefore: merged.daysBefore.join(', '),
+    daysAfter: merged.daysAfter.join(', '),
+    escalateAfterDays: merged.escalateAfterDays ? String(merged.escalateAfterDays) : ''
+  };
+};
+
+// One row per currency; rates are edited as text so half-typed numbers survive
+const toRateRows = (rates = {}) => Object.entries(rates).map(([currency, rate]) => ({ currency, rate: String(rate) }));
+
+const toDateInput = (isoDate) => (isoDate ? isoDate.slice(0, 10) : '');
+
+const emptyForm = (defaultType) => ({
+  name: '',
+  type: defaultType,
+  periodStart: '',
+  periodEnd: '',
+  templateId: '',
+  participantIds: [],
+  phaseDeadlines: CYCLE_PHASES.reduce((acc, { key }) => ({ ...acc, [key]: '' }), {}),
+  includesBonus: defaultType === 'annual'
+});
+
+const ReviewCyclesPage = () => {
+  const dispatch = useDispatch();
+  const user = useSelector(selectUser);
+  const businessData = useSelector(selectBusinessData);
+  const cycles = useSelector(selectReviewCycles);
+  const isLoading = useSelector(selectReviewCyclesLoading);
+  const users = useSelector(selectUsers);
+  const departments = useSelector(selectDepartments);
+  const templates = useSelector(selectEvaluationTemplates);
+
+  // New cycles default to the business's configured cadence
+  const defaultType = businessData?.settings?.evaluationCycle || 'annual';
+  const reportingCurrency = getReportingCurrency(businessData);
+
+  const [showModal, setShowModal] = useState(false);
+  const [editingCycle, setEditingCycle] = useState(null);
+  const [form, setForm] = useState(emptyForm(defaultType));
+  const [formError, setFormError] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [launchingId, setLaunchingId] = useState(null);
+  const [launchReport, setLaunchReport] = useState(null);
+  const [showPolicyModal, setShowPolicyModal] = useState(false);
+  const [policyForm, setPolicyForm] = useState(toPolicyForm());
+  const [savingPolicy, setSavingPolicy] = useState(false);
+  const [ratesCycle, setRatesCycle] = useState(null);
+  const [rateRows, setRateRows] = useState([]);
+  const [ratesError, setRatesError] = useState(null);
+  const [savingRates, setSavingRates] = useState(false);
+
+  useEffect(() => {
+    if (user?.businessId) {
+      dispatch(fetchReviewCycles(user.businessId));
+      dispatch(fetchUsers(user.businessId));
+      dispatch(fetchDepartments(user.businessId));
+      dispatch(fetchEvaluationTemplates({ businessId: user.businessId }));
+    }
+  }, [dispatch, user?.businessId]);
+
+  if (!user || !['admin', 'hr'].includes(user.role)) {
+    return (
+      <div className="min-h-screen bg-gray-50 dark:bg-gray-900 flex items-center justify-center">
+        <div className="text-center">
+          <ExclamationTriangleIcon className="mx-auto h-16 w-16 text-red-500" />
+          <h1 className="mt-4 text-xl font-semibold text-gray-900 dark:text-white">Access Denied</h1>
+          <p className="mt-2 text-gray-600 dark:text-gray-300">You don't have permission to manage review cycles.</p>
+        </div>
+      </div>
+    );
+  }
+
+  const activeUsers = users.filter(u => u.isActive !== false);
+  const canManageSettings = user.role === 'admin' || user.permissions?.canManageSettings === true;
+
+  const openCreate = () => {
+    setEditingCycle(null);
+    setForm(emptyForm(defaultType));
+    setFormError(null);
+    setShowModal(true);
+  };
+
+  const openEdit = (cycle) => {
+    setEditingCycle(cycle);
+    setForm({
+      name: cycle.name,
+      type: cycle.type,
+      periodStart: toDateInput(cycle.periodStart),
+      periodEnd: toDateInput(cycle.periodEnd),
+      templateId: cycle.templateId || '',
+      participantIds: cycle.participantIds || [],
+      phaseDeadlines: CYCLE_PHASES.reduce((acc, { key }) => ({ ...acc, [key]: toDateInput(cycle.phaseDeadlines?.[key]) }), {}),
+      includesBonus: cycle.includesBonus
+    });
+    setFormError(null);
+    setShowModal(true);
+  };
+
+  const toggleParticipant = (userId) => {
+    setForm(prev => ({
+      ...prev,
+      participantIds: prev.participantIds.includes(userId)
+        ? prev.participantIds.filter(id => id !== userId)
+        : [...prev.participantIds, userId]
+    }));
+  };
+
+  const toggleDepartment = (departmentId) => {
+    const memberIds = activeUsers.filter(u => u.employeeInfo?.department === departmentId).map(u => u.id);
+    const allSelected = memberIds.every(id => form.participantIds.includes(id));
+
+    setForm(prev => ({
+      ...prev,
+      participantIds: allSelected
+        ? prev.participantIds.filter(id => !memberIds.includes(id))
+        : Array.from(new Set([...prev.participantIds, ...memberIds]))
+    }));
+  };
+
+  const handleSave = async () => {
+    if (!form.name.trim() || !form.periodStart || !form.periodEnd) {
+      setFormError('Name, period start and period end are required');
+      return;
+    }
+
+    setSaving(true);
+    setFormError(null);
+
+    const cycleData = {
+      ...form,
+      templateId: form.templateId || null
+    };
+
+    try {
+      if (editingCycle) {
+        await dispatch(updateReviewCycle({
+          businessId: user.businessId,
+          cycleId: editingCycle.id,
+          updates: cycleData
+        })).unwrap();
+      } else {
+        await dispatch(createReviewCycle({ businessId: user.businessId, cycleData })).unwrap();
+      }
+      setShowModal(false);
+    } catch (error) {
+      console.error('❌ Error saving review cycle:', error);
+      setFormError(error);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggleStatus = async (cycle) => {
+    const nextStatus = cycle.status === 'open' ? 'closed' : 'open';
+    if (nextStatus === 'closed' &&
+        !window.confirm(`Close "${cycle.name}"? Evaluations in this cycle can no longer be started, submitted or reviewed until it is reopened.`)) {
+      return;
+    }
+
+    try {
+      await dispatch(setReviewCycleStatus({
+        businessId: user.businessId,
+        cycleId: cycle.id,
+        status: nextStatus
+      })).unwrap();
+    } catch (error) {
+      alert(`Failed to update cycle: ${error}`);
+    }
+  };
+
+  const handleLaunch = async (cycle) => {
+    if (!window.confirm(`Create evaluations for "${cycle.name}" from all active assignments now? Pairs that already have an evaluation in this cycle are skipped.`)) {
+      return;
+    }
+
+    setLaunchingId(cycle.id);
+    try {
+      const { report } = await dispatch(launchReviewCycle({ businessId: user.businessId, cycleId: cycle.id })).unwrap();
+      setLaunchReport(report);
+    } catch (error) {
+      alert(`Failed to launch cycle: ${error}`);
+    } finally {
+      setLaunchingId(null);
+    }
+  };
+
+  const handleViewReport = async (cycle) => {
+    try {
+      const report = await dispatch(fetchLaunchReport({
+        businessId: user.businessId,
+        cycleId: cycle.id,
+        reportId: cycle.lastLaunch.reportId
+      })).unwrap();
+      setLaunchReport(report);
+    } catch (error) {
+      alert(`Failed to load launch report: ${error}`);
+    }
+  };
+
+  const openPolicy = () => {
+    setPolicyForm(toPolicyForm(businessData?.settings?.reminders));
+    setShowPolicyModal(true);
+  };
+
+  const handleSavePolicy = async () => {
+    const policy = {
+      enabled: policyForm.enabled,
+      daysBefore: toDayList(policyForm.daysBefore),
+      daysAfter: toDayList(policyForm.daysAfter),
+      escalateAfterDays: parseInt(policyForm.escalateAfterDays, 10) > 0 ? parseInt(policyForm.escalateAfterDays, 10) : null
+    };
+
+    setSavingPolicy(true);
+    try {
+      await dispatch(updateBusinessData({
+        businessId: user.businessId,
+        updates: { 'settings.reminders': policy }
+      })).unwrap();
+      dispatch(updateBusinessSettings({ reminders: policy }));
+      setShowPolicyModal(false);
+    } catch (error) {
+      alert(`Failed to save reminder policy: ${error}`);
+    } finally {
+      setSavingPolicy(false);
+    }
+  };
+
+  const openRates = (cycle) => {
+    setRateRows(toRateRows(cycleCurrencyContext(cycle, reportingCurrency).rates));
+    setRatesError(null);
+    setRatesCycle(cycle);
+  };
+
+  const updateRateRow = (index, field, value) => {
+    setRateRows(prev => prev.map((row, rowIndex) => (rowIndex === index ? { ...row, [field]: value } : row)));
+  };
+
+  const handleSaveRates = async () => {
+    const rates = {};
+    for (const row of rateRows) {
+      const currency = row.currency.trim().toUpperCase();
+      const rate = parseFloat(row.rate);
+      if (!currency && !row.rate) continue;
+      if (!isCurrencyCode(currency)) {
+        setRatesError(`"${row.currency}" is not a three-letter currency code.`);
+        return;
+      }
+      if (currency === reportingCurrency) {
+        setRatesError(`${reportingCurrency} is the reporting currency and needs no rate.`);
+        return;
+      }
+      if (rates[currency]) {
+        setRatesError(`${currency} is listed twice.`);
+        return;
+      }
+      if (!(rate > 0)) {
+        setRatesError(`Enter a positive rate for ${currency}.`);
+        return;
+      }
+      rates[currency] = rate;
+    }
+
+    setSavingRates(true);
+    try {
+      await dispatch(setCycleExchangeRates({ businessId: user.businessId, cycleId: ratesCycle.id, rates })).unwrap();
+      setRatesCycle(null);
+    } catch (error) {
+      setRatesError(error);
+    } finally {
+      setSavingRates(false);
+    }
+  };
+
+  const describeRates = (cycle) => {
+    const entries = Object.entries(cycleCurrencyContext(cycle, reportingCurrency).rates);
+    if (entries.length === 0) return `No exchange rates; bonus salaries must be in ${reportingCurrency}`;
+    return `Exchange rates: ${entries.map(([currency, rate]) => `1 ${currency} = ${rate} ${reportingCurrency}`).join(', ')}`;
+  };
+
+  const getUserName = (userId) => {
+    const match = users.find(u => u.id === userId);
+    return match ? `${match.profile?.firstName || ''} ${match.profile?.lastName || ''}`.trim() : 'Unknown user';
+  };
+
+  const getTemplateName = (cycle) => {
+    if (!cycle.templateId) return 'Chosen per evaluation';
+    const name = templates.find(t => t.id === cycle.templateId)?.name || 'Unknown template';
+    return cycle.templateVersion ? `${name} v${cycle.templateVersion}` : name;
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex justify-between items-start">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900 dark:text-white">Review Cycles</h1>
+          <p className="mt-1 text-sm text-gray-500 dark:text-gray-400">
+            Review periods with their own deadlines and participants. Several cycles can run at the same time.
+          </p>
+        </div>
+        <div className="flex space-x-2">
+          {canManageSettings && (
+            <Button variant="outline" onClick={openPolicy}>
+              <BellAlertIcon className="h-4 w-4 mr-2" />
+              Reminder Policy
+            </Button>
+          )}
+          <Button variant="primary" onClick={openCreate}>
+            <PlusIcon className="h-4 w-4 mr-2" />
+            New Cycle
+          </Button>
+        </div>
+      </div>
+
+      {isLoading && cycles.length === 0 ? (
+        <div className="flex justify-center py-12">
+          <LoadingSpinner />
+        </div>
+      ) : cycles.length === 0 ? (
+        <Card className="text-center py-12">
+          <CalendarDaysIcon className="h-12 w-12 text-gray-400 mx-auto mb-4" />
+          <h3 className="text-lg font-medium text-gray-900 mb-2">No review cycles yet</h3>
+          <p className="text-gray-500">Create a cycle to scope evaluations, assignments and bonuses to a review period.</p>
+        </Card>
+      ) : (
+        <div className="space-y-4">
+          {cycles.map(cycle => {
+            const nextDeadline = getNextPhaseDeadline(cycle);
+
+            return (
+              <Card key={cycle.id} className="p-6">
+                <div className="flex justify-between items-start">
+                  <div>
+                    <div className="flex items-center space-x-2">
+                      <h3 className="text-lg font-semibold text-gray-900 dark:text-white">{cycle.name}</h3>
+                      <Badge variant="secondary">{getCycleTypeLabel(cycle.type)}</Badge>
+                      <Badge variant={cycle.status === 'open' ? 'success' : 'gray'}>{cycle.status}</Badge>
+                      {cycle.includesBonus && <Badge variant="warning">Bonus</Badge>}
+                    </div>
+                    <p className="text-sm text-gray-500 mt-1">
+                      {formatDate(cycle.periodStart)} – {formatDate(cycle.periodEnd)} · {getTemplateName(cycle)} ·{' '}
+                      {cycle.participantIds.length ? `${cycle.participantIds.length} participants` : 'All employees'}
+                    </p>
+                    <p className="text-sm text-gray-500 mt-1">
+                      {cycle.lastLaunch ? (
+                        <>
+                          {cycle.lastLaunch.status === 'failed' ? 'Launch failed' : 'Launched'} {formatDate(cycle.lastLaunch.runAt)} ·{' '}
+                          {cycle.lastLaunch.createdCount} created, {cycle.lastLaunch.skippedCount} skipped
+                        </>
+                      ) : cycle.status === 'open' && cycle.templateId ? (
+                        `Evaluations are created automatically on ${formatDate(cycle.periodStart)}`
+                      ) : cycle.status === 'open' ? (
+                        'Choose a template to have evaluations created automatically'
+                      ) : (
+                        'Never launched'
+                      )}
+                    </p>
+                    {cycle.includesBonus && (
+                      <p className="text-sm text-gray-500 mt-1">{describeRates(cycle)}</p>
+                    )}
+                  </div>
+                  <div className="flex space-x-2">
+                    {cycle.lastLaunch && (
+                      <Button variant="outline" size="sm" onClick={() => handleViewReport(cycle)}>
+                        <DocumentTextIcon className="h-4 w-4 mr-1" />Report
+                      </Button>
+                    )}
+                    {cycle.status === 'open' && (
+                      <Button
+                        variant="outline"
+                        size="sm"
+                        onClick={() => handleLaunch(cycle)}
+                        loading={launchingId === cycle.id}
+                        disabled={!cycle.templateId}
+                        title={cycle.templateId ? undefined : 'Choose a template for this cycle first'}
+                      >
+                        <RocketLaunchIcon className="h-4 w-4 mr-1" />Launch now
+                      </Button>
+                    )}
+                    {cycle.includesBonus && (
+                      <Button variant="outline" size="sm" onClick={() => openRates(cycle)}>
+                        <BanknotesIcon className="h-4 w-4 mr-1" />Rates
+                      </Button>
+                    )}
+                    {cycle.status === 'open' && (
+                      <Button variant="outline" size="sm" onClick={() => openEdit(cycle)}>
+                        <PencilIcon className="h-4 w-4" />
+                      </Button>
+                    )}
+                    <Button variant="outline" size="sm" onClick={() => handleToggleStatus(cycle)}>
+                      {cycle.status === 'open' ? (
+                        <><LockClosedIcon className="h-4 w-4 mr-1" />Close</>
+                      ) : (
+                        <><LockOpenIcon className="h-4 w-4 mr-1" />Reopen</>
+                      )}
+                    </Button>
+                  </div>
+                </div>
+
+                <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mt-4">
+                  {CYCLE_PHASES.map(({ key, label }) => (
+                    <div
+                      key={key}
+                      className={`rounded-lg border p-3 ${nextDeadline?.key === key && cycle.status === 'open' ? 'border-indigo-300 bg-indigo-50' : 'border-gray-200'}`}
+                    >
+                      <p className="text-xs font-medium text-gray-500 uppercase">{label}</p>
+                      <p className="text-sm text-gray-900">{cycle.phaseDeadlines?.[key] ? formatDate(cycle.phaseDeadlines[key]) : 'No deadline'}</p>
+                    </div>
+                  ))}
+                </div>
+              </Card>
+            );
+          })}
+        </div>
+      )}
+
+      <Modal
+        isOpen={showPolicyModal}
+        onClose={() => setShowPolicyModal(false)}
+        title="Reminder Policy"
+        size="medium"
+      >
+        <div className="space-y-4">
+          <p className="text-sm text-gray-500">
+            Reminders go to whoever an open evaluation is waiting on. Self-assessments use the cycle's
+            self-assessment deadline, manager reviews use the evaluation due date.
+          </p>
+          <label className="flex items-center space-x-2 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={policyForm.enabled}
+              onChange={(e) => setPolicyForm(prev => ({ ...prev, enabled: e.target.checked }))}
+              className="rounded border-gray-300 text-indigo-600"
+            />
+            <span>Send automatic reminders</span>
+          </label>
+          <Input
+            label="Remind before the due date (days, comma separated)"
+            value={policyForm.daysBefore}
+            onChange={(e) => setPolicyForm(prev => ({ ...prev, daysBefore: e.target.value }))}
+            placeholder="7, 1"
+            disabled={!policyForm.enabled}
+          />
+          <Input
+            label="Remind after the due date (days, comma separated)"
+            value={policyForm.daysAfter}
+            onChange={(e) => setPolicyForm(prev => ({ ...prev, daysAfter: e.target.value }))}
+            placeholder="1, 3, 7"
+            disabled={!policyForm.enabled}
+          />
+          <Input
+            label="Escalate to the evaluator's manager after (overdue days, empty for never)"
+            type="number"
+            min="1"
+            value={policyForm.escalateAfterDays}
+            onChange={(e) => setPolicyForm(prev => ({ ...prev, escalateAfterDays: e.target.value }))}
+            disabled={!policyForm.enabled}
+          />
+          <div className="flex justify-end space-x-3 pt-2">
+            <Button variant="outline" onClick={() => setShowPolicyModal(false)} disabled={savingPolicy}>
+              Cancel
+            </Button>
+            <Button variant="primary" onClick={handleSavePolicy} loading={savingPolicy}>
+              Save Policy
+            </Button>
+          </div>
+        </div>
+      </Modal>
+
+      <Modal
+        isOpen={!!ratesCycle}
+        onClose={() => setRatesCycle(null)}
+        title={`Exchange Rates${ratesCycle ? ` – ${ratesCycle.name}` : ''}`}
+        size="medium"
+      >
+        <div className="space-y-4">
+          <p className="text-sm text-gray-500">
+            Bonus salaries entered in another currency are converted into {reportingCurrency} with these
+            rates for budget checks and team totals. Enter how many {reportingCurrency} one unit of each
+            currency is worth. Allocations that are already approved keep the rates they were approved with.
+          </p>
+          {rateRows.map((row, index) => (
+            <div key={index} className="flex items-end space-x-3">
+              <Input
+                label={index === 0 ? 'Currency' : undefined}
+                value={row.currency}
+                onChange={(e) => updateRateRow(index, 'currency', e.target.value.toUpperCase())}
+                placeholder="EUR"
+                maxLength={3}
+              />
+              <Input
+                label={index === 0 ? `Value in ${reportingCurrency}` : undefined}
+                type="number"
+                min="0"
+                step="0.0001"
+                value={row.rate}
+                onChange={(e) => updateRateRow(index, 'rate', e.target.value)}
+                placeholder="1.08"
+              />
+              <Button
+                variant="outline"
+                size="sm"
+                onClick={() => setRateRows(prev => prev.filter((_, rowIndex) => rowIndex !== index))}
+              >
+                <TrashIcon className="h-4 w-4" />
+              </Button>
+            </div>
+          ))}
+          <Button variant="outline" size="sm" onClick={() => setRateRows(prev => [...prev, { currency: '', rate: '' }])}>
+            <PlusIcon className="h-4 w-4 mr-1" />Add currency
+          </Button>
+          {ratesError && <p className="text-sm text-red-600">{ratesError}</p>}
+          <div className="flex justify-end space-x-3 pt-2">
+            <Button variant="outline" onClick={() => setRatesCycle(null)} disabled={savingRates}>
+              Cancel
+            </Button>
+            <Button variant="primary" onClick={handleSaveRates} loading={savingRates}>
+              Save Rates
+            </Button>
+          </div>
+        </div>
+      </Modal>
+
+      <Modal
+        isOpen={!!launchReport}
+        onClose={() => setLaunchReport(null)}
+        title="Launch Report"
+        size="large"
+      >
+        {launchReport && (
+          <div className="space-y-4">
+            <p className="text-sm text-gray-600">
+              {launchReport.trigger === 'schedule' ? 'Scheduled launch' : 'Manual launch'} on {formatDate(launchReport.runAt)}:{' '}
+              {launchReport.createdCount ?? launchReport.created.length} evaluation(s) created,{' '}
+              {launchReport.skippedCount ?? launchReport.skipped.length} assignment(s) skipped.
+            </p>
+            {Object.keys(launchReport.skippedByReason || {}).length > 0 && (
+              <p className="text-sm text-gray-500">
+                Skipped: {Object.entries(launchReport.skippedByReason)
+                  .map(([reason, count]) => `${SKIP_REASONS[reason] || reason} (${count})`)
+                  .join(', ')}
+              </p>
+            )}
+            {launchReport.error && (
+              <div className="bg-red-50 border border-red-200 rounded-lg p-3 text-sm text-red-700">{launchReport.error}</div>
+            )}
+
+            {launchReport.created.length > 0 && (
+              <div>
+                <h4 className="text-sm font-medium text-gray-900 mb-2">
+                  Created{launchReport.createdCount > launchReport.created.length && ` (first ${launchReport.created.length})`}
+                </h4>
+                <ul className="max-h-48 overflow-y-auto border border-gray-200 rounded-lg divide-y divide-gray-100 text-sm">
+                  {launchReport.created.map(entry => (
+                    <li key={entry.evaluationId} className="px-3 py-2 text-gray-700">
+                      {getUserName(entry.evaluatorId)} → {getUserName(entry.evaluateeId)}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
+            {launchReport.skipped.length > 0 && (
+              <div>
+                <h4 className="text-sm font-medium text-gray-900 mb-2">
+                  Skipped{launchReport.skippedCount > launchReport.skipped.length && ` (first ${launchReport.skipped.length})`}
+                </h4>
+                <ul className="max-h-48 overflow-y-auto border border-gray-200 rounded-lg divide-y divide-gray-100 text-sm">
+                  {launchReport.skipped.map(entry => (
+                    <li key={entry.assignmentId} className="px-3 py-2 flex justify-between">
+                      <span className="text-gray-700">{getUserName(entry.evaluatorId)} → {getUserName(entry.evaluateeId)}</span>
+                      <span className="text-gray-500">{SKIP_REASONS[entry.reason] || entry.reason}</span>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+          </div>
+        )}
+      </Modal>
+
+      <Modal
+        isOpen={showModal}
+        onClose={() => setShowModal(false)}
+        title={editingCycle ? 'Edit Review Cycle' : 'New Review Cycle'}
+        size="xlarge"
+      >
+        <div className="space-y-4">
+          {formError && (
+            <div className="bg-red-50 border border-red-200 rounded-lg p-3 text-sm text-red-700">{formError}</div>
+          )}
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <Input
+              label="Name"
+              value={form.name}
+              onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))}
+              placeholder="e.g. 2025 Annual Review"
+              required
+            />
+            <Select
+              label="Type"
+              value={form.type}
+              onChange={(e) => setForm(prev => ({ ...prev, type: e.target.value }))}
+              options={CYCLE_TYPES}
+              placeholder={null}
+            />
+            <Input
+              label="Period Start"
+              type="date"
+              value={form.periodStart}
+              onChange={(e) => setForm(prev => ({ ...prev, periodStart: e.target.value }))}
+              required
+            />
+            <Input
+              label="Period End"
+              type="date"
+              value={form.periodEnd}
+              onChange={(e) => setForm(prev => ({ ...prev, periodEnd: e.target.value }))}
+              required
+            />
+            <Select
+              label="Template"
+              value={form.templateId}
+              onChange={(e) => setForm(prev => ({ ...prev, templateId: e.target.value }))}
+              options={[
+                { value: '', label: 'Chosen per evaluation (no automatic launch)' },
+                ...templates
+                  .filter(t => t.isActive !== false && (t.publishedVersion !== null || t.id === form.templateId))
+                  .map(t => ({ value: t.id, label: t.name }))
+              ]}
+              placeholder={null}
+              disabled={!!editingCycle?.templateVersion}
+              helperText={editingCycle?.templateVersion
+                ? `Launched with version ${editingCycle.templateVersion}; the template can no longer be changed`
+                : 'Evaluations use the latest published version at launch'}
+            />
+            <label className="flex items-center space-x-2 mt-6 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={form.includesBonus}
+                onChange={(e) => setForm(prev => ({ ...prev, includesBonus: e.target.checked }))}
+                className="rounded border-gray-300 text-indigo-600"
+              />
+              <span>Bonuses are allocated for this cycle</span>
+            </label>
+          </div>
+
+          <div>
+            <h4 className="text-sm font-medium text-gray-900 mb-2">Phase Deadlines</h4>
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+              {CYCLE_PHASES.map(({ key, label }) => (
+                <Input
+                  key={key}
+                  label={label}
+                  type="date"
+                  value={form.phaseDeadlines[key]}
+                  onChange={(e) => setForm(prev => ({
+                    ...prev,
+                    phaseDeadlines: { ...prev.phaseDeadlines, [key]: e.target.value }
+                  }))}
+                />
+              ))}
+            </div>
+          </div>
+
+          <div>
+            <h4 className="text-sm font-medium text-gray-900 mb-1">Participants</h4>
+            <p className="text-xs text-gray-500 mb-2">
+              {form.participantIds.length
+                ? `${form.participantIds.length} selected`
+                : 'Nobody selected: every employee takes part'}
+            </p>
+            <div className="max-h-64 overflow-y-auto border border-gray-200 rounded-lg divide-y divide-gray-100">
+              {departments.map(department => {
+                const members = activeUsers.filter(u => u.employeeInfo?.department === department.id);
+                if (members.length === 0) return null;
+
+                return (
+                  <div key={department.id} className="p-3">
+                    <button
+                      type="button"
+                      onClick={() => toggleDepartment(department.id)}
+                      className="text-sm font-medium text-indigo-600 hover:text-indigo-800"
+                    >
+                      {department.name}
+                    </button>
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-1 mt-1">
+                      {members.map(member => (
+                        <label key={member.id} className="flex items-center space-x-2 text-sm text-gray-700">
+                          <input
+                            type="checkbox"
+                            checked={form.participantIds.includes(member.id)}
+                            onChange={() => toggleParticipant(member.id)}
+                            className="rounded border-gray-300 text-indigo-600"
+                          />
+                          <span>{member.profile?.firstName} {member.profile?.lastName}</span>
+                        </label>
+                      ))}
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+          </div>
+
+          <div className="flex justify-end space-x-3 pt-2">
+            <Button variant="outline" onClick={() => setShowModal(false)} disabled={saving}>
+              Cancel
+            </Button>
+            <Button variant="primary" onClick={handleSave} loading={saving}>
+              {editingCycle ? 'Save Changes' : 'Create Cycle'}
+            </Button>
+          </div>
+        </div>
+      </Modal>
+    </div>
+  );
+};
+
+export default ReviewCyclesPage;
@@ -0,0 +1,215 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { useForm } from 'react-hook-form';
+import toast from 'react-hot-toast';
+
+// Services
+import { functionsService } from '../../firebase/services';
+
+// Components
+import { Button, Input, Card, LoadingSpinner } from '../../components/common';
+import { formatDate } from '../../utils/dateUtils';
+
+// Icons
+import { LockClosedIcon, EyeIcon, EyeSlashIcon, CheckCircleIcon, ExclamationTriangleIcon } from '@heroicons/react/24/outline';
+
+// The functions service replaces server messages with generic ones, so explain by error code
+const INVITE_ERRORS = {
+  'functions/not-found': 'This invitation link is invalid. Check that you copied the whole link from the email.',
+  'functions/deadline-exceeded': 'This invitation has expired. Ask your administrator to send you a new one.',
+  'functions/failed-precondition': 'This invitation has already been used or was revoked. Try signing in instead.'
+};
+
+const inviteErrorMessage = (error, fallback) => INVITE_ERRORS[error?.code] || error?.message || fallback;
+
+const AcceptInvitePage = () => {
+  const [showPassword, setShowPassword] = useState(false);
+  const [invite, setInvite] = useState(null);
+  const [loadError, setLoadError] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [accepted, setAccepted] = useState(false);
+
+  const { token } = useParams();
+
+  const {
+    register,
+    handleSubmit,
+    formState: { errors },
+    watch
+  } = useForm({
+    defaultValues: {
+      password: '',
+      confirmPassword: ''
+    }
+  });
+
+  const watchedPassword = watch('password');
+
+  // Load the invitation so the employee can see who invited them
+  useEffect(() => {
+    const loadInvite = async () => {
+      const result = await functionsService.getInvite(token);
+      if (result.success) {
+        setInvite(result.data.invite);
+      } else {
+        setLoadError(inviteErrorMessage(result.error, 'Failed to load invitation'));
+      }
+    };
+
+    loadInvite();
+  }, [token]);
+
+  const onSubmit = async (data) => {
+    setIsSubmitting(true);
+    try {
+      const result = await functionsService.acceptInvite(token, data.password);
+      if (!result.success) {
+        throw result.error;
+      }
+      setAccepted(true);
+      toast.success('Your account is ready!');
+    } catch (error) {
+      toast.error(inviteErrorMessage(error, 'Failed to accept invitation'));
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const renderMessage = (icon, title, message) => (
+    <div className="min-h-screen flex flex-col justify-center py-12 sm:px-6 lg:px-8 bg-gray-50">
+      <div className="sm:mx-auto sm:w-full sm:max-w-md">
+        <Card className="py-8 px-4 shadow-elevation-2 sm:rounded-lg sm:px-10">
+          <div className="text-center">
+            {icon}
+            <h2 className="text-2xl font-bold text-gray-900 mb-2">{title}</h2>
+            <p className="text-gray-600 mb-6">{message}</p>
+
+            <Link to="/login">
+              <Button fullWidth>
+                Go to sign in
+              </Button>
+            </Link>
+          </div>
+        </Card>
+      </div>
+    </div>
+  );
+
+  if (accepted) {
+    return renderMessage(
+      <CheckCircleIcon className="mx-auto h-16 w-16 text-green-500 mb-4" />,
+      'Welcome aboard!',
+      `Your password has been set. Sign in with ${invite.email} to get started.`
+    );
+  }
+
+  if (loadError) {
+    return renderMessage(
+      <ExclamationTriangleIcon className="mx-auto h-16 w-16 text-yellow-500 mb-4" />,
+      'Invitation unavailable',
+      loadError
+    );
+  }
+
+  if (!invite) {
+    return (
+      <div className="min-h-screen flex justify-center items-center bg-gray-50">
+        <LoadingSpinner size="lg" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen flex flex-col justify-center py-12 sm:px-6 lg:px-8 bg-gray-50">
+      <div className="sm:mx-auto sm:w-full sm:max-w-md">
+        <div className="text-center">
+          <h2 className="mt-6 text-3xl font-extrabold text-gray-900">
+            Join {invite.businessName || 'your team'}
+          </h2>
+          <p className="mt-2 text-sm text-gray-600">
+            Hi {invite.firstName}, choose a password for {invite.email}.
+          </p>
+        </div>
+      </div>
+
+      <div className="mt-8 sm:mx-auto sm:w-full sm:max-w-md">
+        <Card className="py-8 px-4 shadow-elevation-2 sm:rounded-lg sm:px-10">
+          <form className="space-y-6" onSubmit={handleSubmit(onSubmit)}>
+            <Input
+              label="Password"
+              type={showPassword ? 'text' : 'password'}
+              autoComplete="new-password"
+              required
+              icon={LockClosedIcon}
+              placeholder="Choose a password"
+              error={errors.password?.message}
+              rightElement={
+                <button
+                  type="button"
+                  onClick={() => setShowPassword(!showPassword)}
+                  className="pr-3 text-gray-400 hover:text-gray-500 focus:outline-none"
+                >
+                  {showPassword ? (
+                    <EyeSlashIcon className="h-5 w-5" />
+                  ) : (
+                    <EyeIcon className="h-5 w-5" />
+                  )}
+                </button>
+              }
+              {...register('password', {
+                required: 'Password is required',
+                minLength: {
+                  value: 6,
+                  message: 'Password must be at least 6 characters'
+                },
+                pattern: {
+                  value: /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/,
+                  message: 'Password must contain at least one uppercase letter, one lowercase letter, and one number'
+                }
+              })}
+            />
+
+            <Input
+              label="Confirm Password"
+              type={showPassword ? 'text' : 'password'}
+              autoComplete="new-password"
+              required
+              icon={LockClosedIcon}
+              placeholder="Confirm your password"
+              error={errors.confirmPassword?.message}
+              {...register('confirmPassword', {
+                required: 'Please confirm your password',
+                validate: (value) =>
+                  value === watchedPassword || 'Passwords do not match'
+              })}
+            />
+
+            <p className="text-xs text-gray-500">
+              This invitation expires on {formatDate(invite.expiresAt)}.
+            </p>
+
+            <Button
+              type="submit"
+              fullWidth
+              loading={isSubmitting}
+              disabled={!watch('password') || !watch('confirmPassword')}
+            >
+              {isSubmitting ? 'Setting up your account...' : 'Accept invitation'}
+            </Button>
+          </form>
+
+          <div className="mt-6 text-center">
+            <Link
+              to="/login"
+              className="text-sm text-primary-600 hover:text-primary-500 transition-colors"
+            >
+              Already have an account? Sign in
+            </Link>
+          </div>
+        </Card>
+      </div>
+    </div>
+  );
+};
+
+export default AcceptInvitePage;
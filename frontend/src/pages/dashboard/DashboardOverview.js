@@ -8,6 +8,7 @@ import { setBreadcrumbs } from '../../store/slices/uiSlice';
 import { fetchEvaluations } from '../../store/slices/evaluationSlice';
 import { fetchUsers, selectUsers, selectUsersLoading } from '../../store/slices/userSlice';
 import { fetchDepartments, selectDepartments, selectDepartmentsLoading } from '../../store/slices/departmentSlice';
+import { fetchReviewCycles, selectReviewCycles, selectReviewCyclesInitialized } from '../../store/slices/cycleSlice';
 
 // Firebase
 import { doc, getDoc } from 'firebase/firestore';
@@ -15,6 +16,9 @@ import { db } from '../../firebase/config';
 
 // Utils
 import { formatDate } from '../../utils/dateUtils';
+import { getEvaluationScore } from '../../utils/scoreUtils';
+import { DEFAULT_RATING_SCALE, resolveRatingScale, formatScaleScore } from '../../utils/ratingScales';
+import { CYCLE_PHASES, getCurrentCycle, getNextPhaseDeadline } from '../../utils/cycleUtils';
 
 // Components
 import { Card, Badge } from '../../components/common';
@@ -45,11 +49,14 @@ const DashboardOverview = () => {
   const departments = useSelector(selectDepartments);
   const usersLoading = useSelector(selectUsersLoading);
   const departmentsLoading = useSelector(selectDepartmentsLoading);
+  const reviewCycles = useSelector(selectReviewCycles);
+  const cyclesInitialized = useSelector(selectReviewCyclesInitialized);
   
   const [evaluations, setEvaluations] = useState([]);
   const [loading, setLoading] = useState(true);
   const [userCache, setUserCache] = useState(new Map()); // Cache for user data
   const [templateCache, setTemplateCache] = useState(new Map()); // Cache for template data
+  const [cycleFilter, setCycleFilter] = useState(null); // cycle ID or 'all'
 
   // Helper function to get user display name from cache or fetch it
   const getUserDisplayName = useCallback(async (userId) => {
@@ -78,9 +85,9 @@ const DashboardOverview = () => {
     return 'Unknown';
   }, [userCache]);
 
-  // Helper function to get scoring system from template
-  const getTemplateScoringSystem = useCallback(async (templateId) => {
-    if (!templateId) return '1-5';
+  // Helper function to get the rating scale from a template
+  const getTemplateRatingScale = useCallback(async (templateId) => {
+    if (!templateId) return DEFAULT_RATING_SCALE;
     
     // Check cache first
     if (templateCache.has(templateId)) {
@@ -91,42 +98,54 @@ const DashboardOverview = () => {
       // 🚀 NEW: Use subcollection path
       const templateDoc = await getDoc(doc(db, 'businesses', user.businessId, 'evaluationTemplates', templateId));
       if (templateDoc.exists()) {
-        const templateData = templateDoc.data();
-        const scoringSystem = templateData.scoringSystem || '1-5';
+        const scale = resolveRatingScale(templateDoc.data());
         
         // Cache the result
-        setTemplateCache(prev => new Map(prev.set(templateId, scoringSystem)));
-        return scoringSystem;
+        setTemplateCache(prev => new Map(prev.set(templateId, scale)));
+        return scale;
       }
     } catch (error) {
       console.error('Error fetching template data:', error);
     }
     
-    return '1-5'; // Default fallback
+    return DEFAULT_RATING_SCALE; // Default fallback
   }, [templateCache]);
 
-  // Helper function to get max score for an evaluation
-  const getMaxScore = useCallback(async (evaluation) => {
-    // First, try to use stored scoring system if available
-    if (evaluation.scoringSystem) {
-      return evaluation.scoringSystem === '1-10' ? 10 : 5;
+  // Helper function to get the rating scale of an evaluation
+  const getRatingScale = useCallback(async (evaluation) => {
+    // Evaluations keep a snapshot of the scale they were assigned with
+    if (evaluation.ratingScale || evaluation.scoringSystem) {
+      return resolveRatingScale(evaluation);
     }
     
-    // If not available, fetch from template
-    if (evaluation.templateId) {
-      const scoringSystem = await getTemplateScoringSystem(evaluation.templateId);
-      return scoringSystem === '1-10' ? 10 : 5;
-    }
-    
-    // Final fallback - default to 5-point scale
-    return 5;
-  }, [getTemplateScoringSystem]);
+    // Older evaluations only reference their template
+    return getTemplateRatingScale(evaluation.templateId);
+  }, [getTemplateRatingScale]);
 
   // Set breadcrumbs
   useEffect(() => {
     dispatch(setBreadcrumbs([])); // Clear breadcrumbs for dashboard
   }, [dispatch]);
 
+  // Load review cycles and open on the one running now
+  useEffect(() => {
+    if (user?.businessId) {
+      dispatch(fetchReviewCycles(user.businessId));
+    }
+  }, [dispatch, user?.businessId]);
+
+  useEffect(() => {
+    if (cyclesInitialized && cycleFilter === null) {
+      setCycleFilter(getCurrentCycle(reviewCycles)?.id || 'all');
+    }
+  }, [cyclesInitialized, cycleFilter, reviewCycles]);
+
+  const selectedCycle = reviewCycles.find(cycle => cycle.id === cycleFilter) || null;
+  const scopedEvaluations = selectedCycle
+    ? evaluations.filter(e => e.cycleId === selectedCycle.id)
+    : evaluations;
+  const nextDeadline = getNextPhaseDeadline(selectedCycle);
+
   // Load users and departments data for admin/manager dashboards
   useEffect(() => {
     const loadBasicData = async () => {
@@ -206,8 +225,8 @@ const DashboardOverview = () => {
                 enhanced.evaluateeName = await getUserDisplayName(enhanced.evaluateeId);
               }
               
-              // Pre-calculate max score for accurate display
-              enhanced.maxScore = await getMaxScore(enhanced);
+              // Resolve the rating scale for accurate display
+              enhanced.ratingScale = await getRatingScale(enhanced);
               
               return enhanced;
             })
@@ -225,7 +244,7 @@ const DashboardOverview = () => {
     };
 
     loadEvaluations();
-  }, [dispatch, user?.businessId, user?.role, user?.uid, user?.id, getUserDisplayName, getMaxScore]);
+  }, [dispatch, user?.businessId, user?.role, user?.uid, user?.id, getUserDisplayName, getRatingScale]);
 
   // Calculate role-based statistics
   const getStats = () => {
@@ -233,9 +252,9 @@ const DashboardOverview = () => {
     
     if (['admin', 'hr'].includes(user?.role)) {
       const activeUsers = users?.filter(u => u.isActive !== false) || [];
-      const activeEvals = evaluations.filter(e => ['pending', 'in-progress', 'under-review'].includes(e.status));
-      const completedEvals = evaluations.filter(e => e.status === 'completed');
-      const overdueEvals = evaluations.filter(e => e.status !== 'completed' && new Date(e.dueDate) < now);
+      const activeEvals = scopedEvaluations.filter(e => ['pending', 'in-progress', 'under-review'].includes(e.status));
+      const completedEvals = scopedEvaluations.filter(e => e.status === 'completed');
+      const overdueEvals = scopedEvaluations.filter(e => e.status !== 'completed' && new Date(e.dueDate) < now);
       
       // Admin/HR sees organization-wide stats
       return {
@@ -247,8 +266,8 @@ const DashboardOverview = () => {
       };
     } else if (['manager', 'supervisor'].includes(user?.role)) {
       // Managers see team-focused stats
-      const assignedByMe = evaluations.filter(e => e.evaluatorId === (user.uid || user.id));
-      const assignedToMe = evaluations.filter(e => e.evaluateeId === (user.uid || user.id));
+      const assignedByMe = scopedEvaluations.filter(e => e.evaluatorId === (user.uid || user.id));
+      const assignedToMe = scopedEvaluations.filter(e => e.evaluateeId === (user.uid || user.id));
       
       return {
         teamEvaluations: assignedByMe.length,
@@ -267,17 +286,18 @@ const DashboardOverview = () => {
     } else {
       // Employees see personal stats
       const userId = user.uid || user.id;
-      const myEvaluations = evaluations.filter(e => e.evaluateeId === userId);
+      const myEvaluations = scopedEvaluations.filter(e => e.evaluateeId === userId);
       
       const latestCompleted = myEvaluations
-        .filter(e => e.status === 'completed' && e.managerReview?.overallRating)
+        .filter(e => e.status === 'completed' && getEvaluationScore(e) !== null)
         .sort((a, b) => new Date(b.managerReview?.reviewedAt || b.submittedAt) - new Date(a.managerReview?.reviewedAt || a.submittedAt))[0];
       
       return {
         pendingEvaluations: myEvaluations.filter(e => e.status === 'pending').length,
         draftsSaved: myEvaluations.filter(e => e.status === 'in-progress').length,
         waitingForReview: myEvaluations.filter(e => e.status === 'under-review').length,
-        currentRating: latestCompleted?.managerReview?.overallRating || null,
+        currentRating: getEvaluationScore(latestCompleted),
+        ratingScale: resolveRatingScale(latestCompleted),
         completedThisYear: myEvaluations.filter(e => {
           if (e.status !== 'completed') return false;
           const completedDate = e.managerReview?.reviewedAt || e.submittedAt;
@@ -315,8 +335,51 @@ const DashboardOverview = () => {
             Welcome to your {businessData?.name} dashboard
           </p>
         </div>
+        {reviewCycles.length > 0 && (
+          <div className="mt-4 md:mt-0 md:ml-4 w-64">
+            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Review Cycle</label>
+            <select
+              value={cycleFilter || 'all'}
+              onChange={(e) => setCycleFilter(e.target.value)}
+              className="block w-full rounded-md border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500 sm:text-sm"
+            >
+              <option value="all">All evaluations</option>
+              {reviewCycles.map(cycle => (
+                <option key={cycle.id} value={cycle.id}>
+                  {cycle.name}{cycle.status === 'closed' ? ' (closed)' : ''}
+                </option>
+              ))}
+            </select>
+          </div>
+        )}
       </div>
 
+      {/* Selected Cycle Timeline */}
+      {selectedCycle && (
+        <Card className="p-6">
+          <div className="flex flex-wrap items-center justify-between gap-4">
+            <div>
+              <div className="flex items-center space-x-2">
+                <h2 className="text-lg font-semibold text-gray-900 dark:text-white">{selectedCycle.name}</h2>
+                <Badge variant={selectedCycle.status === 'open' ? 'success' : 'gray'}>{selectedCycle.status}</Badge>
+              </div>
+              <p className="text-sm text-gray-500 dark:text-gray-400">
+                {formatDate(selectedCycle.periodStart)} – {formatDate(selectedCycle.periodEnd)}
+                {nextDeadline && ` · Next: ${nextDeadline.label} due ${formatDate(nextDeadline.date)}`}
+              </p>
+            </div>
+            <div className="flex flex-wrap gap-4">
+              {CYCLE_PHASES.map(({ key, label }) => (
+                <div key={key} className={`text-center ${nextDeadline?.key === key ? 'text-indigo-600 dark:text-indigo-400' : 'text-gray-500 dark:text-gray-400'}`}>
+                  <p className="text-xs font-medium uppercase">{label}</p>
+                  <p className="text-sm">{selectedCycle.phaseDeadlines?.[key] ? formatDate(selectedCycle.phaseDeadlines[key]) : '--'}</p>
+                </div>
+              ))}
+            </div>
+          </div>
+        </Card>
+      )}
+
       {/* Role-based Stats Grid */}
       {loading || ((['admin', 'hr'].includes(user?.role)) && (usersLoading || departmentsLoading)) ? (
         <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 xl:grid-cols-5 gap-6">
@@ -508,8 +571,7 @@ const DashboardOverview = () => {
                 <p className="text-sm font-medium text-gray-500 dark:text-gray-400 mb-2">Current Rating</p>
                 <p className="text-4xl font-bold text-gray-900 dark:text-white">
                   {stats.currentRating ? (
-                    // Smart detection: if rating > 5, assume 10-point scale
-                    stats.currentRating > 5 ? `${stats.currentRating}/10` : `${stats.currentRating}/5`
+                    formatScaleScore(stats.currentRating, stats.ratingScale)
                   ) : 'N/A'}
                 </p>
               </div>
@@ -5,8 +5,9 @@ import { useSearchParams } from 'react-router-dom';
 // Redux
 import { selectUser } from '../../store/slices/authSlice';
 import { fetchUsers } from '../../store/slices/userSlice';
-import { fetchEvaluationTemplates } from '../../store/slices/evaluationSlice';
+import { fetchEvaluationTemplates, fetchEvaluationTemplate } from '../../store/slices/evaluationSlice';
 import { fetchDepartments } from '../../store/slices/departmentSlice';
+import { fetchReviewCycles, selectOpenReviewCycles } from '../../store/slices/cycleSlice';
 import {
   fetchEvaluationAssignments,
   fetchBonusAssignments,
@@ -14,11 +15,15 @@ import {
 } from '../../store/slices/assignmentSlice';
 
 // Firebase
-import { addDoc, collection } from 'firebase/firestore';
-import { db } from '../../firebase/config';
+import { functionsService } from '../../firebase/services';
+
+// Utils
+import { resolveRatingScale, describeScaleRange } from '../../utils/ratingScales';
+import { isRatedQuestion } from '../../utils/questionTypes';
 
 // Components
 import { Card, Button, Badge, LoadingSpinner, Modal, TextArea } from '../../components/common';
+import { RatingInput, QuestionAnswerInput } from '../../components/evaluations';
 
 // Icons
 import {
@@ -39,11 +44,16 @@ const AssignEvaluationsPage = () => {
   const { templates, loading: templatesLoading } = useSelector(state => state.evaluations);
   const { departments } = useSelector(state => state.departments);
   const myAssignments = useSelector(state => selectEvaluationAssignmentsByEvaluator(state, user?.id));
+  const openCycles = useSelector(selectOpenReviewCycles);
+
+  // Templates that were never published are still drafts and cannot be assigned
+  const assignableTemplates = (templates || []).filter(template => template.publishedVersion !== null);
 
   // Form state
   const [selectedTemplate, setSelectedTemplate] = useState(null);
   const [selectedUsers, setSelectedUsers] = useState([]);
   const [dueDate, setDueDate] = useState('');
+  const [cycleId, setCycleId] = useState('');
   const [instructions, setInstructions] = useState('');
   const [showAssignModal, setShowAssignModal] = useState(false);
   const [loading, setLoading] = useState(false);
@@ -70,6 +80,8 @@ const AssignEvaluationsPage = () => {
         
         const departmentsResult = await dispatch(fetchDepartments(user?.businessId));
         console.log('🏢 Departments loaded:', departmentsResult.payload?.length || 0);
+
+        await dispatch(fetchReviewCycles(user?.businessId));
         
         // Fetch both evaluation and bonus assignments to ensure complete data
         console.log('👤 Current user role for assignments:', user?.role);
@@ -156,10 +168,24 @@ const AssignEvaluationsPage = () => {
     );
   };
 
-  const handlePreviewTemplate = (template, event) => {
+  const handlePreviewTemplate = async (template, event) => {
     event.stopPropagation(); // Prevent template selection when clicking preview
     console.log('👀 Previewing template:', template.name);
-    setPreviewTemplate(template);
+
+    // Show what employees will get: the published version, not unpublished edits
+    let preview = template;
+    if (template.publishedVersion) {
+      const result = await dispatch(fetchEvaluationTemplate({
+        businessId: user.businessId,
+        templateId: template.id,
+        version: template.publishedVersion
+      }));
+      if (result.payload && !result.error) {
+        preview = result.payload;
+      }
+    }
+
+    setPreviewTemplate(preview);
     setShowPreviewModal(true);
   };
 
@@ -200,78 +226,23 @@ const AssignEvaluationsPage = () => {
         try {
           console.log(`🔨 Creating evaluation for user: ${userId}`);
           
-          // 🚀 NEW: No businessId in document - it's implicit in the subcollection path!
-          // Get template data
-          const template = {
-            id: selectedTemplate.id,
-            name: selectedTemplate.name,
-            type: selectedTemplate.type || 'annual_review',
-            scoringSystem: selectedTemplate.scoringSystem || '1-5',
-            categories: selectedTemplate.categories || [],
-            freeTextQuestions: selectedTemplate.freeTextQuestions || []
-          };
-
-          // Create evaluation object with safe defaults
-          const evaluation = {
-            // Template info
-            templateId: template?.id || '',
-            templateName: template?.name || '',
-            templateType: template?.type || 'annual_review',
-            scoringSystem: template?.scoringSystem || '1-5',
-            categories: template?.categories || [],
-            freeTextQuestions: template?.freeTextQuestions || [],
-
-            // Assignment info
-            evaluateeId: userId || '',
-            evaluatorId: managerId || '',
-            assignedBy: `${user.profile?.firstName || ''} ${user.profile?.lastName || ''}`.trim(),
-            assignedDate: new Date().toISOString(),
-            dueDate: new Date(dueDate || Date.now()).toISOString(),
+          // Template snapshot, assignment check and initial status are handled server-side
+          const result = await functionsService.createEvaluation({
+            templateId: selectedTemplate.id,
+            evaluateeId: userId,
+            dueDate: new Date(dueDate).toISOString(),
             instructions: instructions || '',
+            cycleId: cycleId || null
+          });
+
+          if (!result.success) {
+            throw new Error(result.error?.message || 'Failed to create evaluation');
+          }
 
-            // Status
-            status: 'pending',
-            active: true,
-
-            // Workflow
-            workflow: {
-              step: 'self_assessment',
-              status: 'pending',
-              dueDate: new Date(dueDate || Date.now()).toISOString()
-            },
-
-            // Responses
-            selfAssessment: {
-              responses: {},
-              completed: false,
-              completedAt: null
-            },
-            managerReview: {
-              responses: {},
-              targets: {},
-              completed: false,
-              completedAt: null
-            },
-
-            // Scores
-            scores: {
-              selfScore: null,
-              managerScore: null,
-              finalScore: null
-            },
-
-            // Metadata
-            createdAt: new Date().toISOString(),
-            updatedAt: new Date().toISOString()
-          };
-
-          console.log(`📋 Evaluation object:`, evaluation);
-
-          // 🚀 NEW: Add evaluation to subcollection!
-          const docRef = await addDoc(collection(db, 'businesses', user.businessId, 'evaluations'), evaluation);
-          console.log(`✅ Created evaluation ${docRef.id} for user ${userId}`);
+          const evaluation = result.data.evaluation;
+          console.log(`✅ Created evaluation ${evaluation.id} for user ${userId}`);
           
-          return { id: docRef.id, ...evaluation };
+          return evaluation;
           
         } catch (error) {
           console.error(`❌ Error creating evaluation for user ${userId}:`, error);
@@ -298,6 +269,7 @@ const AssignEvaluationsPage = () => {
       setSelectedTemplate(null);
       setSelectedUsers([]);
       setDueDate('');
+      setCycleId('');
       setInstructions('');
       
     } catch (error) {
@@ -320,6 +292,16 @@ const AssignEvaluationsPage = () => {
     }
   };
 
+  // A cycle's sign-off deadline (or period end) is the natural due date
+  const handleCycleChange = (selectedCycleId) => {
+    setCycleId(selectedCycleId);
+    const cycle = openCycles.find(c => c.id === selectedCycleId);
+    const cycleDueDate = cycle?.phaseDeadlines?.signOff || cycle?.periodEnd;
+    if (cycleDueDate) {
+      setDueDate(cycleDueDate.slice(0, 10));
+    }
+  };
+
   const getMinDate = () => {
     const tomorrow = new Date();
     tomorrow.setDate(tomorrow.getDate() + 1);
@@ -386,7 +368,7 @@ const AssignEvaluationsPage = () => {
             </h3>
             
             <div className="space-y-3">
-              {!templates || templates.length === 0 ? (
+              {!templates || assignableTemplates.length === 0 ? (
                 <div className="text-center py-4">
                   <ClipboardDocumentListIcon className="mx-auto h-8 w-8 text-gray-400" />
                   <p className="mt-2 text-sm text-gray-500">
@@ -399,7 +381,7 @@ const AssignEvaluationsPage = () => {
                   </div>
                 </div>
               ) : (
-                templates.map((template) => (
+                assignableTemplates.map((template) => (
                   <div
                     key={template.id}
                     className={`p-3 border rounded-lg cursor-pointer transition-colors ${
@@ -425,6 +407,12 @@ const AssignEvaluationsPage = () => {
                           <span className="text-xs text-gray-500">
                             {template.categories?.length || 0} categories
                           </span>
+                          {template.publishedVersion && (
+                            <>
+                              <span className="text-xs text-gray-400">•</span>
+                              <span className="text-xs text-gray-500">v{template.publishedVersion}</span>
+                            </>
+                          )}
                           {template.type === 'performance' && (
                             <>
                               <span className="text-xs text-gray-400">•</span>
@@ -453,6 +441,11 @@ const AssignEvaluationsPage = () => {
                   </div>
                 ))
               )}
+              {templates && templates.length > assignableTemplates.length && (
+                <p className="text-xs text-gray-500">
+                  {templates.length - assignableTemplates.length} draft template(s) are hidden until they are published.
+                </p>
+              )}
             </div>
           </div>
         </Card>
@@ -540,6 +533,22 @@ const AssignEvaluationsPage = () => {
         size="lg"
       >
         <div className="space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Review Cycle
+            </label>
+            <select
+              value={cycleId}
+              onChange={(e) => handleCycleChange(e.target.value)}
+              className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm focus:outline-none focus:ring-1 focus:ring-indigo-500 focus:border-indigo-500"
+            >
+              <option value="">No cycle (ad hoc evaluation)</option>
+              {openCycles.map(cycle => (
+                <option key={cycle.id} value={cycle.id}>{cycle.name}</option>
+              ))}
+            </select>
+          </div>
+
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-1">
               Due Date *
@@ -572,6 +581,7 @@ const AssignEvaluationsPage = () => {
             <div className="text-sm text-gray-600 space-y-1">
               <p><strong>Template:</strong> {selectedTemplate?.name}</p>
               <p><strong>Users:</strong> {selectedUsers.length} team members</p>
+              {cycleId && <p><strong>Cycle:</strong> {openCycles.find(c => c.id === cycleId)?.name}</p>}
               <p><strong>Type:</strong> {selectedTemplate?.type} evaluation</p>
             </div>
           </div>
@@ -626,7 +636,7 @@ const AssignEvaluationsPage = () => {
                     {previewTemplate.type}
                   </Badge>
                   <p className="text-xs text-gray-500 mt-1">
-                    {previewTemplate.scoringSystem || '1-5'} Scale
+                    {resolveRatingScale(previewTemplate).name}
                   </p>
                 </div>
               </div>
@@ -668,7 +678,7 @@ const AssignEvaluationsPage = () => {
                       id: question.id,
                       text: question.text,
                       type: question.type,
-                      willShowSlider: question.type === 'rating' || question.type === 'dualRating' || !question.type
+                      willShowSlider: isRatedQuestion(question)
                     });
                     
                     return (
@@ -676,26 +686,17 @@ const AssignEvaluationsPage = () => {
                       <h4 className="font-medium text-gray-900 dark:text-white mb-3">{question.text}</h4>
                       
                       {/* Show what employees will see - USE SAME LOGIC AS EVALUATION FORM */}
-                      {(question.type === 'rating' || question.type === 'dualRating' || !question.type) && (
+                      {isRatedQuestion(question) && (
                         <div className="bg-gray-50 p-3 rounded border">
                           <div className="space-y-3">
                             <div>
                               <div className="flex items-center justify-between mb-2">
                                 <label className="block text-sm font-medium text-gray-700">
-                                  Employee Rating (1-{previewTemplate.scoringSystem === '1-5' ? '5' : '10'})
+                                  Employee Rating ({describeScaleRange(resolveRatingScale(previewTemplate))})
                                 </label>
                                 <span className="text-lg font-semibold text-indigo-600">—</span>
                               </div>
-                              <div className="px-2">
-                                <input
-                                  type="range"
-                                  min={1}
-                                  max={previewTemplate.scoringSystem === '1-5' ? 5 : 10}
-                                  step={0.5}
-                                  disabled
-                                  className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer"
-                                />
-                              </div>
+                              <RatingInput scale={resolveRatingScale(previewTemplate)} value={null} disabled />
                             </div>
                             
                             <div>
@@ -713,6 +714,12 @@ const AssignEvaluationsPage = () => {
                         </div>
                       )}
 
+                      {!isRatedQuestion(question) && question.type !== 'text' && (
+                        <div className="bg-gray-50 p-3 rounded border">
+                          <QuestionAnswerInput question={question} value={null} disabled />
+                        </div>
+                      )}
+
                       {/* Show text area for text-only questions */}
                       {question.type === 'text' && (
                         <div className="bg-gray-50 p-3 rounded border">
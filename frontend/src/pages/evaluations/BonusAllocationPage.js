@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
 import { useDispatch, useSelector } from 'react-redux';
 import { Link } from 'react-router-dom';
 import {
@@ -21,17 +21,75 @@ import {
   fetchEvaluationAssignments, 
   selectBonusAssignmentsByAllocator
 } from '../../store/slices/assignmentSlice';
-import { formatDate } from '../../utils/dateUtils';
+import { fetchReviewCycles, selectReviewCycles, selectReviewCyclesInitialized } from '../../store/slices/cycleSlice';
+import { formatDate, formatDateTime } from '../../utils/dateUtils';
+import { getEvaluationScore, getNormalizedScore } from '../../utils/scoreUtils';
+import { resolveRatingScale, formatScaleScore } from '../../utils/ratingScales';
+import { getDefaultPeriod, getBonusAllocationId, isEvaluationInPeriod } from '../../utils/cycleUtils';
+import {
+  BONUS_STRATEGY_OPTIONS,
+  BONUS_STRATEGY_DESCRIPTIONS,
+  DEFAULT_SCORE_TIERS,
+  EXCLUSION_LABELS,
+  buildBonusOptions,
+  bonusCalculationErrorMessage
+} from '../../utils/bonusStrategies';
+import {
+  BONUS_STATUS_LABELS,
+  BONUS_STATUS_VARIANTS,
+  BONUS_ACTION_LABELS,
+  getAvailableBonusActions,
+  canEditBonusAllocation,
+  bonusWorkflowErrorMessage
+} from '../../utils/bonusWorkflow';
+import {
+  getReportingCurrency,
+  cycleCurrencyContext,
+  allocationCurrencyContext,
+  toReportingAmount,
+  currencyOptions,
+  formatMoney
+} from '../../utils/currency';
+import { ReviewPeriodSelect, BonusScenarios } from '../../components/evaluations';
 import { db } from '../../firebase/config';
-import { doc, setDoc, getDoc, collection, query, where, getDocs } from 'firebase/firestore';
+import { functionsService } from '../../firebase/services';
+import { doc, getDoc, collection, query, orderBy, getDocs, where } from 'firebase/firestore';
+
+const WORKFLOW_BUTTONS = {
+  submit: { label: 'Submit for Review', variant: 'primary' },
+  review: { label: 'Mark HR Reviewed', variant: 'primary' },
+  approve: { label: 'Approve', variant: 'primary' },
+  lock: { label: 'Lock', variant: 'outline' },
+  return: { label: 'Return to Draft', variant: 'outline' }
+};
+
+const getLocalBonusAmount = (allocation) => {
+  if (!allocation?.monthlySalary || !allocation?.bonusPercentage) return 0;
+  return (parseFloat(allocation.monthlySalary) * parseFloat(allocation.bonusPercentage)) / 100;
+};
+
+// The draft's total in the reporting currency, and the salary currencies it could not convert
+const getDraftTotal = (members, allocations, currency) => members.reduce((totals, member) => {
+  const amount = getLocalBonusAmount(allocations[member.id]);
+  if (!amount) return totals;
+
+  const converted = toReportingAmount(amount, allocations[member.id].currency, currency);
+  if (converted === null) {
+    return { ...totals, missingRates: [...new Set([...totals.missingRates, allocations[member.id].currency])] };
+  }
+  return { ...totals, amount: totals.amount + converted };
+}, { amount: 0, missingRates: [] });
 
 const BonusAllocationPage = () => {
   // Fixed all compilation issues
   const dispatch = useDispatch();
-  const { user } = useSelector((state) => state.auth);
+  const { user, businessData } = useSelector((state) => state.auth);
   const users = useSelector(selectUsers);
   const departments = useSelector(selectDepartments);
   const bonusAssignments = useSelector((state) => selectBonusAssignmentsByAllocator(state, user?.id));
+  const reviewCycles = useSelector(selectReviewCycles);
+  const cyclesInitialized = useSelector(selectReviewCyclesInitialized);
+  const bonusCycles = reviewCycles.filter(cycle => cycle.includesBonus);
   
   // Local state for evaluations
   const [evaluations, setEvaluations] = useState([]);
@@ -45,18 +103,56 @@ const BonusAllocationPage = () => {
   const [teamMembers, setTeamMembers] = useState([]);
   const [bonusAllocations, setBonusAllocations] = useState({});
   const [budgetExceeded, setBudgetExceeded] = useState(false);
+  const [period, setPeriod] = useState(null); // { cycleId } or { year }
+  const [strategy, setStrategy] = useState('scoreWeighted');
+  const [floorPercent, setFloorPercent] = useState('');
+  const [capPercent, setCapPercent] = useState('');
+  const [tiers, setTiers] = useState(DEFAULT_SCORE_TIERS);
+  const [calculating, setCalculating] = useState(false);
+  const [simulation, setSimulation] = useState(null);
+  const [status, setStatus] = useState('draft');
+  const [returnComment, setReturnComment] = useState('');
+  const [history, setHistory] = useState([]);
+  const [workflowBusy, setWorkflowBusy] = useState(false);
+  const [savedCurrency, setSavedCurrency] = useState(null); // { reportingCurrency, exchangeRates } of the saved allocation
+  const [selectedAllocationId, setSelectedAllocationId] = useState(null); // another allocator's allocation
+  const [departmentAllocations, setDepartmentAllocations] = useState([]);
+
+  const canEdit = canEditBonusAllocation(status, user?.role);
+
+  // Each allocator has their own allocation; HR and admins can open anyone's in the department
+  const canOpenOtherAllocations = ['admin', 'hr'].includes(user?.role);
+  const ownAllocationId = user?.employeeInfo?.department && period
+    ? getBonusAllocationId(user.employeeInfo.department, period, user.id)
+    : null;
+  const allocationId = selectedAllocationId || ownAllocationId;
+  const isOwnAllocation = allocationId === ownAllocationId;
+
+  // Drafts convert with the cycle's current rates; approved allocations keep theirs
+  const reportingCurrency = getReportingCurrency(businessData);
+  const currentCycle = period?.cycleId ? reviewCycles.find(cycle => cycle.id === period.cycleId) : null;
+  const currency = useMemo(() => (['approved', 'locked'].includes(status) && savedCurrency
+    ? allocationCurrencyContext(savedCurrency, reportingCurrency)
+    : cycleCurrencyContext(currentCycle, reportingCurrency)
+  ), [status, savedCurrency, currentCycle, reportingCurrency]);
 
   // Check if user has bonus allocation permission (admin, hr, head-manager, or has assignments)
   const hasPermission = ['admin', 'hr', 'head-manager'].includes(user?.role) || (bonusAssignments && bonusAssignments.length > 0);
 
+  // Open on the current bonus cycle, or the current year when there is none
+  useEffect(() => {
+    if (cyclesInitialized && !period) {
+      setPeriod(getDefaultPeriod(reviewCycles, { bonusOnly: true }));
+    }
+  }, [cyclesInitialized, period, reviewCycles]);
+
   // Load existing bonus allocation from Firebase
   const loadExistingAllocation = useCallback(async () => {
-    if (!user?.employeeInfo?.department) return;
+    if (!allocationId) return;
     
     try {
-      const allocationDoc = await getDoc(
-        doc(db, 'bonusAllocations', `${user.employeeInfo.department}_${new Date().getFullYear()}`)
-      );
+      const allocationDoc = await getDoc(doc(db, 'bonusAllocations', allocationId));
+      setSimulation(null);
       
       if (allocationDoc.exists()) {
         const data = allocationDoc.data();
@@ -64,11 +160,71 @@ const BonusAllocationPage = () => {
         setKpiTarget(data.kpiTarget || '');
         setBonusAllocations(data.allocations || {});
         setLastSaved(data.lastSaved?.toDate() || null);
+        setStatus(data.status || 'draft');
+        setReturnComment(data.status === 'draft' ? data.returnComment || '' : '');
+        setSavedCurrency({ reportingCurrency: data.reportingCurrency, exchangeRates: data.exchangeRates });
+
+        // Only allocators may read the change history
+        try {
+          const historySnapshot = await getDocs(
+            query(collection(db, 'bonusAllocations', allocationId, 'history'), orderBy('createdAt', 'desc'))
+          );
+          setHistory(historySnapshot.docs.map(entry => ({ id: entry.id, ...entry.data() })));
+        } catch {
+          setHistory([]);
+        }
+      } else {
+        // Nothing saved for this period yet; start from the department's budget
+        const departmentDoc = await getDoc(
+          doc(db, 'businesses', user.businessId, 'departments', user.employeeInfo.department)
+        );
+        setTotalBudget(departmentDoc.data()?.budget || '');
+        setKpiTarget('');
+        setBonusAllocations({});
+        setLastSaved(null);
+        setStatus('draft');
+        setReturnComment('');
+        setSavedCurrency(null);
+        setHistory([]);
       }
     } catch (error) {
       console.error('❌ Error loading existing allocation:', error);
     }
-  }, [user?.employeeInfo?.department]);
+  }, [user?.businessId, user?.employeeInfo?.department, allocationId]);
+
+  useEffect(() => {
+    loadExistingAllocation();
+  }, [loadExistingAllocation]);
+
+  // The other allocations saved for this department and period
+  useEffect(() => {
+    if (!canOpenOtherAllocations || !user?.employeeInfo?.department || !period) return;
+
+    const loadDepartmentAllocations = async () => {
+      try {
+        const snapshot = await getDocs(query(
+          collection(db, 'bonusAllocations'),
+          where('businessId', '==', user.businessId),
+          where('departmentId', '==', user.employeeInfo.department)
+        ));
+        setDepartmentAllocations(snapshot.docs
+          .map(allocationDoc => ({ id: allocationDoc.id, ...allocationDoc.data() }))
+          .filter(allocation => (period.cycleId
+            ? allocation.cycleId === period.cycleId
+            : !allocation.cycleId && allocation.year === period.year)));
+      } catch (error) {
+        console.error('❌ Error loading department allocations:', error);
+        setDepartmentAllocations([]);
+      }
+    };
+
+    loadDepartmentAllocations();
+  }, [canOpenOtherAllocations, user?.businessId, user?.employeeInfo?.department, period, status]);
+
+  const allocatorName = (allocatorId) => {
+    const allocator = users.find(member => member.id === allocatorId);
+    return `${allocator?.profile?.firstName || ''} ${allocator?.profile?.lastName || ''}`.trim() || 'Unknown allocator';
+  };
 
   // Load initial data
   useEffect(() => {
@@ -80,7 +236,8 @@ const BonusAllocationPage = () => {
           dispatch(fetchUsers(user?.businessId)),
           dispatch(fetchDepartments(user?.businessId)),
           dispatch(fetchBonusAssignments(user?.businessId)),
-          dispatch(fetchEvaluationAssignments(user?.businessId))
+          dispatch(fetchEvaluationAssignments(user?.businessId)),
+          dispatch(fetchReviewCycles(user?.businessId))
         ]);
         
         // Fetch evaluations with fallback to direct Firebase query
@@ -115,9 +272,6 @@ const BonusAllocationPage = () => {
             setEvaluations([]);
           }
         }
-
-        // Load existing bonus allocation if any
-        await loadExistingAllocation();
       } catch (error) {
         console.error('❌ Error loading data:', error);
       } finally {
@@ -128,7 +282,7 @@ const BonusAllocationPage = () => {
     if (user?.businessId) {
       loadData();
     }
-  }, [dispatch, user?.businessId, user?.id, user?.uid, user?.role, loadExistingAllocation]);
+  }, [dispatch, user?.businessId, user?.id, user?.uid, user?.role]);
 
   // Process team members with their latest evaluation scores
   useEffect(() => {
@@ -180,8 +334,10 @@ const BonusAllocationPage = () => {
 
     const membersWithScores = assignedMembers.map(member => {
       // Find latest completed evaluation
+      // Within a cycle only that cycle's reviews count
       const memberEvaluations = evaluations.filter(
-        evaluation => evaluation.evaluateeId === member.id && evaluation.status === 'completed'
+        evaluation => evaluation.evaluateeId === member.id && evaluation.status === 'completed' &&
+          (!period?.cycleId || isEvaluationInPeriod(evaluation, period))
       );
 
       const latestEvaluation = memberEvaluations.reduce((latest, current) => {
@@ -201,14 +357,13 @@ const BonusAllocationPage = () => {
         return currentDate > latestDate ? current : latest;
       }, null);
 
-      const score = latestEvaluation?.managerReview?.overallRating || 0;
-      const maxScore = latestEvaluation?.maxScore || 10;
-      const normalizedScore = (score / maxScore) * 10; // Normalize to 10-point scale
+      const score = getEvaluationScore(latestEvaluation) || 0;
+      const normalizedScore = (getNormalizedScore(latestEvaluation) || 0) / 10; // Normalize to 10-point scale
 
       return {
         ...member,
         latestScore: score,
-        maxScore,
+        ratingScale: resolveRatingScale(latestEvaluation),
         normalizedScore,
         latestEvaluation,
         monthlySalary: bonusAllocations[member.id]?.monthlySalary || '',
@@ -217,10 +372,28 @@ const BonusAllocationPage = () => {
     });
 
     setTeamMembers(membersWithScores);
-  }, [users, bonusAssignments, bonusAllocations, evaluations, departments, user?.id, user?.uid, user?.role]);
+  }, [users, bonusAssignments, bonusAllocations, evaluations, departments, period, user?.id, user?.role, user?.employeeInfo?.department, user?.departmentId, user?.department]);
+
+  // Salaries typed on the page take precedence over the saved draft
+  const getTypedSalaries = useCallback(() => {
+    const salaries = {};
+    teamMembers.forEach(member => {
+      const salary = parseFloat(bonusAllocations[member.id]?.monthlySalary);
+      if (salary > 0) salaries[member.id] = salary;
+    });
+    return salaries;
+  }, [teamMembers, bonusAllocations]);
+
+  const getSalaryCurrencies = useCallback(() => {
+    const currencies = {};
+    teamMembers.forEach(member => {
+      if (bonusAllocations[member.id]?.currency) currencies[member.id] = bonusAllocations[member.id].currency;
+    });
+    return currencies;
+  }, [teamMembers, bonusAllocations]);
 
-  // Auto-calculate bonus allocations based on performance scores
-  const calculateAutoAllocation = useCallback(() => {
+  // Calculate bonus allocations on the server with the chosen strategy
+  const calculateAutoAllocation = useCallback(async () => {
     if (!totalBudget) {
       alert('Please enter a total budget first.');
       return;
@@ -234,43 +407,56 @@ const BonusAllocationPage = () => {
       return;
     }
 
-    const budget = parseFloat(totalBudget);
-    
-    // Check if any team members have monthly salaries entered
-    const membersWithSalaries = teamMembers.filter(member => member.monthlySalary && parseFloat(member.monthlySalary) > 0);
-    
-    if (membersWithSalaries.length === 0) {
-      alert('Please enter monthly salaries for your team members first.');
+    const { options, error } = buildBonusOptions(strategy, { floorPercent, capPercent, tiers });
+    if (error) {
+      alert(error);
       return;
     }
 
-    const totalPerformanceWeight = membersWithSalaries.reduce((sum, member) => 
-      sum + (member.normalizedScore || 1), 0  // Use 1 as default if no score
-    );
+    const salaries = getTypedSalaries();
 
-    if (totalPerformanceWeight === 0) {
-      alert('No performance scores available for allocation.');
-      return;
-    }
+    setCalculating(true);
+    try {
+      const result = await functionsService.calculateBonuses(user.businessId, {
+        departmentId: user?.employeeInfo?.department,
+        ...(period.cycleId ? { cycleId: period.cycleId } : { year: period.year }),
+        strategy,
+        options,
+        budget: parseFloat(totalBudget),
+        salaries,
+        currencies: getSalaryCurrencies()
+      });
+      if (!result.success) {
+        throw result.error;
+      }
 
-    const newAllocations = { ...bonusAllocations };
+      const { simulation: calculated } = result.data;
+      const newAllocations = { ...bonusAllocations };
 
-    membersWithSalaries.forEach(member => {
-      const salary = parseFloat(member.monthlySalary);
-      const performanceWeight = member.normalizedScore || 1; // Use 1 as default
-      const budgetShare = (performanceWeight / totalPerformanceWeight) * budget;
-      const bonusPercentage = Math.round((budgetShare / salary) * 100 * 10) / 10; // Round to 1 decimal
+      // The simulation is not saved; it only fills the table until "Save Progress"
+      calculated.lines.forEach(line => {
+        if (line.bonusPercentage === null && !newAllocations[line.employeeId]) return;
+        newAllocations[line.employeeId] = {
+          ...newAllocations[line.employeeId],
+          monthlySalary: newAllocations[line.employeeId]?.monthlySalary || line.localSalary || '',
+          currency: line.currency,
+          bonusPercentage: line.bonusPercentage || 0
+        };
+      });
 
-      newAllocations[member.id] = {
-        ...newAllocations[member.id],
-        monthlySalary: member.monthlySalary,
-        bonusPercentage: Math.max(0, bonusPercentage)
-      };
-    });
+      setBonusAllocations(newAllocations);
+      setSimulation(calculated);
+    } catch (error) {
+      console.error('❌ Error calculating bonuses:', error);
+      alert(bonusCalculationErrorMessage(error));
+    } finally {
+      setCalculating(false);
+    }
+  }, [totalBudget, teamMembers, bonusAllocations, getTypedSalaries, getSalaryCurrencies, strategy, floorPercent, capPercent, tiers, period, user?.businessId, user?.employeeInfo?.department, user?.role]);
 
-    setBonusAllocations(newAllocations);
-    // Auto-allocation completed successfully
-  }, [totalBudget, teamMembers, bonusAllocations]);
+  const updateTier = (index, field, value) => {
+    setTiers(prev => prev.map((tier, tierIndex) => (tierIndex === index ? { ...tier, [field]: value } : tier)));
+  };
 
   // Handle salary input change
   const handleSalaryChange = (memberId, salary) => {
@@ -284,6 +470,17 @@ const BonusAllocationPage = () => {
     }));
   };
 
+  const handleCurrencyChange = (memberId, salaryCurrency) => {
+    setBonusAllocations(prev => ({
+      ...prev,
+      [memberId]: {
+        ...prev[memberId],
+        currency: salaryCurrency,
+        bonusPercentage: prev[memberId]?.bonusPercentage || 0
+      }
+    }));
+  };
+
   // Handle percentage adjustment
   const adjustPercentage = (memberId, increment) => {
     setBonusAllocations(prev => ({
@@ -297,109 +494,138 @@ const BonusAllocationPage = () => {
 
   // Calculate total allocation and check budget
   useEffect(() => {
-    const totalAllocation = teamMembers.reduce((sum, member) => {
-      const allocation = bonusAllocations[member.id];
-      if (!allocation?.monthlySalary || !allocation?.bonusPercentage) return sum;
-      
-      const salary = parseFloat(allocation.monthlySalary);
-      const percentage = parseFloat(allocation.bonusPercentage);
-      const bonusAmount = (salary * percentage) / 100;
-      
-      return sum + bonusAmount;
-    }, 0);
-
     const budget = parseFloat(totalBudget) || 0;
-    setBudgetExceeded(totalAllocation > budget);
-  }, [teamMembers, bonusAllocations, totalBudget]);
-
-  // Validate allocations against assignments
-  const validateAllocations = async () => {
-    // Get all bonus assignments for validation
-    const assignmentsRef = collection(db, 'businesses', user.businessId, 'bonusAssignments');
-    const assignmentsQuery = query(
-      assignmentsRef,
-      where('allocatorId', '==', user.id),
-      where('active', '==', true)
-    );
+    setBudgetExceeded(getDraftTotal(teamMembers, bonusAllocations, currency).amount > budget);
+  }, [teamMembers, bonusAllocations, totalBudget, currency]);
 
-    const assignmentsSnapshot = await getDocs(assignmentsQuery);
-    const validAssignments = new Map(
-      assignmentsSnapshot.docs.map(doc => {
-        const data = doc.data();
-        return [data.recipientId, data];
-      })
-    );
+  const periodData = () => (period.cycleId ? { cycleId: period.cycleId } : { year: period.year });
+  const allocationData = () => (isOwnAllocation ? {} : { allocationId });
 
-    // Check each allocation
-    for (const [userId, allocation] of Object.entries(bonusAllocations)) {
-      const assignment = validAssignments.get(userId);
-      if (!assignment) {
-        throw new Error(`No valid bonus assignment found for user ${userId}`);
+  // Save progress; the server checks assignments, the department budget and individual limits
+  const handleSaveProgress = async () => {
+    setSaving(true);
+    try {
+      const result = await functionsService.distributeBonuses(user.businessId, {
+        action: 'save',
+        departmentId: user?.employeeInfo?.department,
+        ...periodData(),
+        ...allocationData(),
+        totalBudget: totalBudget === '' ? null : parseFloat(totalBudget),
+        kpiTarget: kpiTarget || '',
+        allocations: bonusAllocations
+      });
+      if (!result.success) {
+        throw result.error;
       }
 
-      // Check budget limit if set
-      if (assignment.budgetLimit) {
-        const bonusAmount = (parseFloat(allocation.monthlySalary) * parseFloat(allocation.bonusPercentage)) / 100;
-        if (bonusAmount > parseFloat(assignment.budgetLimit)) {
-          throw new Error(`Bonus amount for ${userId} exceeds the assigned budget limit`);
-        }
-      }
+      await loadExistingAllocation();
+    } catch (error) {
+      console.error('❌ Error saving bonus allocation:', error);
+      alert(bonusWorkflowErrorMessage(error));
+    } finally {
+      setSaving(false);
     }
   };
 
-  // Save progress
-  const handleSaveProgress = async () => {
-    setSaving(true);
+  // Move the allocation through the approval workflow
+  const handleWorkflowAction = async (action) => {
+    let comment = '';
+    if (action === 'return') {
+      comment = window.prompt('Why is this allocation being sent back? The allocator will see your comment.') || '';
+      if (!comment.trim()) return;
+    } else if (action === 'approve' &&
+      !window.confirm('Approve this allocation? Employees with a bonus will be notified.')) {
+      return;
+    } else if (action === 'lock' &&
+      !window.confirm('Lock this allocation? Nobody will be able to change it afterwards.')) {
+      return;
+    }
+
+    setWorkflowBusy(true);
     try {
-      // Validate allocations against assignments first
-      await validateAllocations();
+      // Submitting sends what is on screen, so save unsaved edits first
+      if (action === 'submit') {
+        const saved = await functionsService.distributeBonuses(user.businessId, {
+          action: 'save',
+          departmentId: user?.employeeInfo?.department,
+          ...periodData(),
+          ...allocationData(),
+          totalBudget: totalBudget === '' ? null : parseFloat(totalBudget),
+          kpiTarget: kpiTarget || '',
+          allocations: bonusAllocations
+        });
+        if (!saved.success) {
+          throw saved.error;
+        }
+      }
 
-      const allocationData = {
+      const result = await functionsService.distributeBonuses(user.businessId, {
+        action,
         departmentId: user?.employeeInfo?.department,
-        year: new Date().getFullYear(),
-        totalBudget: parseFloat(totalBudget) || 0,
-        kpiTarget: kpiTarget || '',
-        allocations: bonusAllocations,
-        lastSaved: new Date(),
-        createdBy: user?.uid || user?.id,
-        status: 'draft'
-      };
-
-      await setDoc(
-        doc(db, 'bonusAllocations', `${user?.employeeInfo?.department}_${new Date().getFullYear()}`),
-        allocationData
-      );
+        ...periodData(),
+        ...allocationData(),
+        comment
+      });
+      if (!result.success) {
+        throw result.error;
+      }
 
-      setLastSaved(new Date());
-      // Bonus allocation saved successfully
+      await loadExistingAllocation();
     } catch (error) {
-      console.error('❌ Error saving bonus allocation:', error);
+      console.error(`❌ Error during bonus workflow action ${action}:`, error);
+      alert(bonusWorkflowErrorMessage(error));
     } finally {
-      setSaving(false);
+      setWorkflowBusy(false);
     }
   };
 
+  // One line per history entry: what happened, plus each adjusted percentage and currency
+  const describeHistoryEntry = (entry) => {
+    return (entry.changes || [])
+      .filter(change => change.field === 'bonusPercentage' || change.field === 'currency')
+      .map(change => (change.field === 'currency'
+        ? `${change.employeeName}: salary currency ${change.from} → ${change.to}`
+        : `${change.employeeName}: ${change.from ?? 0}% → ${change.to ?? 0}%`));
+  };
+
   // Calculate totals
-  const getTotalAllocation = () => {
-    return teamMembers.reduce((sum, member) => {
-      const allocation = bonusAllocations[member.id];
-      if (!allocation?.monthlySalary || !allocation?.bonusPercentage) return sum;
-      
-      const salary = parseFloat(allocation.monthlySalary);
-      const percentage = parseFloat(allocation.bonusPercentage);
-      const bonusAmount = (salary * percentage) / 100;
-      
-      return sum + bonusAmount;
-    }, 0);
+  const draftTotal = getDraftTotal(teamMembers, bonusAllocations, currency);
+  const getSalaryCurrency = (memberId) => bonusAllocations[memberId]?.currency || reportingCurrency;
+  const salaryCurrencyOptions = currencyOptions([
+    reportingCurrency,
+    ...Object.keys(currency.rates),
+    ...Object.values(bonusAllocations).map(allocation => allocation?.currency)
+  ]);
+
+  // Bonuses in another currency also show what they cost in the reporting currency
+  const renderReportingAmount = (memberId) => {
+    const salaryCurrency = getSalaryCurrency(memberId);
+    const amount = getLocalBonusAmount(bonusAllocations[memberId]);
+    if (salaryCurrency === reportingCurrency || !amount) return null;
+
+    const converted = toReportingAmount(amount, salaryCurrency, currency);
+    return (
+      <div className="text-xs text-gray-500">
+        {converted === null ? 'No exchange rate' : `≈ ${formatMoney(converted, reportingCurrency)}`}
+      </div>
+    );
   };
 
-  const getBonusAmount = (member) => {
-    const allocation = bonusAllocations[member.id];
-    if (!allocation?.monthlySalary || !allocation?.bonusPercentage) return 0;
-    
-    const salary = parseFloat(allocation.monthlySalary);
-    const percentage = parseFloat(allocation.bonusPercentage);
-    return (salary * percentage) / 100;
+  // How the last simulation treated an employee: left out, held at a limit, or the band it used
+  const renderSimulationNote = (memberId) => {
+    const line = simulation?.lines.find(simulated => simulated.employeeId === memberId);
+    if (!line) return null;
+
+    if (line.excludedReason) {
+      return <div className="text-xs text-red-600">{EXCLUSION_LABELS[line.excludedReason]}</div>;
+    }
+    if (line.limitedBy) {
+      return <div className="text-xs text-gray-500">{line.limitedBy === 'cap' ? 'Capped' : 'Raised to minimum'}</div>;
+    }
+    if (line.tier) {
+      return <div className="text-xs text-gray-500">Band from {line.tier.minScore} · {line.tier.payoutPercent}%</div>;
+    }
+    return null;
   };
 
   if (!hasPermission && !loading) {
@@ -421,7 +647,7 @@ const BonusAllocationPage = () => {
     );
   }
 
-  if (loading) {
+  if (loading || !period) {
     return (
       <div className="flex items-center justify-center min-h-screen">
         <LoadingSpinner size="lg" />
@@ -432,11 +658,44 @@ const BonusAllocationPage = () => {
   return (
     <div className="max-w-7xl mx-auto p-6">
       {/* Header */}
-      <div className="mb-6">
-        <h1 className="text-2xl font-bold text-gray-900 dark:text-white mb-2">Bonus Allocation</h1>
-        <p className="text-gray-600 dark:text-gray-300">
-          Allocate bonuses for your assigned team members based on performance
-        </p>
+      <div className="mb-6 flex justify-between items-start">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900 dark:text-white mb-2">Bonus Allocation</h1>
+          <p className="text-gray-600 dark:text-gray-300">
+            Allocate bonuses for your assigned team members based on performance
+          </p>
+        </div>
+        <div className="w-72">
+          <label className="block text-sm font-medium text-gray-700 mb-1">Review Period</label>
+          <ReviewPeriodSelect
+            value={period}
+            onChange={(value) => {
+              setPeriod(value);
+              setSelectedAllocationId(null);
+            }}
+            cycles={bonusCycles}
+            years={[new Date().getFullYear(), new Date().getFullYear() - 1]}
+          />
+          {canOpenOtherAllocations && departmentAllocations.some(allocation => allocation.id !== ownAllocationId) && (
+            <>
+              <label className="block text-sm font-medium text-gray-700 mb-1 mt-3">Allocation</label>
+              <select
+                value={allocationId}
+                onChange={(e) => setSelectedAllocationId(e.target.value === ownAllocationId ? null : e.target.value)}
+                className="px-3 py-2 border border-gray-300 rounded-md w-full focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+              >
+                <option value={ownAllocationId}>My allocation</option>
+                {departmentAllocations
+                  .filter(allocation => allocation.id !== ownAllocationId)
+                  .map(allocation => (
+                    <option key={allocation.id} value={allocation.id}>
+                      {allocatorName(allocation.createdBy)} ({BONUS_STATUS_LABELS[allocation.status] || allocation.status})
+                    </option>
+                  ))}
+              </select>
+            </>
+          )}
+        </div>
       </div>
 
       {/* Budget and KPI Settings */}
@@ -448,7 +707,7 @@ const BonusAllocationPage = () => {
             {/* Total Budget */}
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-1">
-                Total Bonus Budget ($)
+                Total Bonus Budget ({reportingCurrency})
               </label>
               <div className="relative">
                 <CurrencyDollarIcon className="h-5 w-5 text-gray-400 absolute left-3 top-1/2 transform -translate-y-1/2" />
@@ -456,6 +715,7 @@ const BonusAllocationPage = () => {
                   type="number"
                   value={totalBudget}
                   onChange={(e) => setTotalBudget(e.target.value)}
+                  disabled={!canEdit}
                   className="pl-10 pr-3 py-2 border border-gray-300 rounded-md w-full focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
                   placeholder="Enter total budget"
                 />
@@ -478,30 +738,155 @@ const BonusAllocationPage = () => {
               <p className="text-xs text-gray-500 mt-1">Feature coming soon</p>
             </div>
 
-            {/* Auto Calculate Button */}
+            {/* Distribution Strategy */}
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Distribution Strategy
+              </label>
+              <select
+                value={strategy}
+                onChange={(e) => setStrategy(e.target.value)}
+                className="px-3 py-2 border border-gray-300 rounded-md w-full focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+              >
+                {BONUS_STRATEGY_OPTIONS.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+              <p className="text-xs text-gray-500 mt-1">{BONUS_STRATEGY_DESCRIPTIONS[strategy]}</p>
+            </div>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mt-4">
+            {/* Floor and Cap */}
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Minimum Bonus (% of salary)
+              </label>
+              <input
+                type="number"
+                min="0"
+                value={floorPercent}
+                onChange={(e) => setFloorPercent(e.target.value)}
+                className="px-3 py-2 border border-gray-300 rounded-md w-full focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                placeholder="No floor"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Maximum Bonus (% of salary)
+              </label>
+              <input
+                type="number"
+                min="0"
+                value={capPercent}
+                onChange={(e) => setCapPercent(e.target.value)}
+                className="px-3 py-2 border border-gray-300 rounded-md w-full focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                placeholder="No cap"
+              />
+            </div>
+
+            {/* Calculate Button */}
             <div className="flex items-end">
               <Button
                 onClick={calculateAutoAllocation}
-                disabled={!totalBudget}
+                disabled={!totalBudget || calculating || !canEdit}
                 className="w-full"
               >
-                Auto-Allocate Based on Performance
+                {calculating ? 'Calculating...' : 'Calculate Bonuses'}
               </Button>
             </div>
           </div>
 
+          {/* Rating Bands */}
+          {strategy === 'tierMatrix' && (
+            <div className="mt-4">
+              <div className="flex items-center justify-between mb-2">
+                <h3 className="text-sm font-medium text-gray-700">Rating Bands</h3>
+                <div className="space-x-2">
+                  <Button
+                    size="small"
+                    variant="outline"
+                    onClick={() => setTiers(prev => [...prev, { minScore: '', payoutPercent: '' }])}
+                  >
+                    Add Band
+                  </Button>
+                  <Button size="small" variant="outline" onClick={() => setTiers(DEFAULT_SCORE_TIERS)}>
+                    Reset
+                  </Button>
+                </div>
+              </div>
+              <p className="text-xs text-gray-500 mb-2">
+                Scores are out of 100. Each employee gets the payout of the highest band their score reaches.
+              </p>
+              <div className="space-y-2">
+                {tiers.map((tier, index) => (
+                  <div key={index} className="flex items-center space-x-2 text-sm">
+                    <span className="text-gray-600">Score from</span>
+                    <input
+                      type="number"
+                      min="0"
+                      max="100"
+                      value={tier.minScore}
+                      onChange={(e) => updateTier(index, 'minScore', e.target.value)}
+                      className="w-20 px-2 py-1 border border-gray-300 rounded focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                    />
+                    <span className="text-gray-600">pays</span>
+                    <input
+                      type="number"
+                      min="0"
+                      value={tier.payoutPercent}
+                      onChange={(e) => updateTier(index, 'payoutPercent', e.target.value)}
+                      className="w-20 px-2 py-1 border border-gray-300 rounded focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                    />
+                    <span className="text-gray-600">% of monthly salary</span>
+                    {tiers.length > 1 && (
+                      <button
+                        onClick={() => setTiers(prev => prev.filter((_, tierIndex) => tierIndex !== index))}
+                        className="text-red-600 hover:text-red-800"
+                      >
+                        Remove
+                      </button>
+                    )}
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {/* Simulation Result */}
+          {simulation && (
+            <div className="mt-4 p-4 rounded-lg border border-blue-200 bg-blue-50">
+              <p className="text-sm text-blue-900">
+                Simulated {BONUS_STRATEGY_OPTIONS.find(option => option.value === simulation.strategy)?.label.toLowerCase()}:
+                {' '}{formatMoney(simulation.totalAllocated, simulation.reportingCurrency)} of {formatMoney(simulation.budget, simulation.reportingCurrency)} allocated
+                {simulation.unallocated > 0 && ` (${formatMoney(simulation.unallocated, simulation.reportingCurrency)} left over)`}.
+                {' '}The table below has been updated; click Save Progress to keep it.
+              </p>
+              {simulation.warnings.length > 0 && (
+                <ul className="mt-2 space-y-1">
+                  {simulation.warnings.map((warning, index) => (
+                    <li key={index} className="flex items-start text-sm text-yellow-800">
+                      <ExclamationTriangleIcon className="h-4 w-4 mr-1 mt-0.5 flex-shrink-0" />
+                      {warning}
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          )}
+
           {/* Budget Status */}
           {totalBudget && (
             <div className="mt-4 p-4 rounded-lg bg-gray-50 dark:bg-gray-800">
               <div className="flex items-center justify-between">
                 <div>
                   <span className="text-sm text-gray-600">Total Budget: </span>
-                  <span className="font-medium">${parseFloat(totalBudget).toLocaleString()}</span>
+                  <span className="font-medium">{formatMoney(parseFloat(totalBudget), reportingCurrency)}</span>
                 </div>
                 <div>
                   <span className="text-sm text-gray-600">Allocated: </span>
                   <span className={`font-medium ${budgetExceeded ? 'text-red-600' : 'text-green-600'}`}>
-                    ${getTotalAllocation().toLocaleString()}
+                    {formatMoney(draftTotal.amount, reportingCurrency)}
                   </span>
                 </div>
                 <div>
@@ -518,16 +903,46 @@ const BonusAllocationPage = () => {
                   )}
                 </div>
               </div>
+              {draftTotal.missingRates.length > 0 && (
+                <p className="mt-2 flex items-center text-sm text-yellow-800">
+                  <ExclamationTriangleIcon className="h-4 w-4 mr-1 flex-shrink-0" />
+                  There is no exchange rate for {draftTotal.missingRates.join(', ')} in this period, so those bonuses
+                  are left out of the total. HR can add rates on the Review Cycles page.
+                </p>
+              )}
             </div>
           )}
         </div>
       </Card>
 
+      {/* What-If Scenarios */}
+      {period && user?.employeeInfo?.department && (
+        <BonusScenarios
+          departmentId={user.employeeInfo.department}
+          period={period}
+          teamMembers={teamMembers}
+          draftAllocations={bonusAllocations}
+          draftBudget={totalBudget}
+          strategy={strategy}
+          floorPercent={floorPercent}
+          capPercent={capPercent}
+          tiers={tiers}
+          salaries={getTypedSalaries()}
+          currencies={getSalaryCurrencies()}
+          currency={currency}
+          canPromote={canEdit && isOwnAllocation}
+          onPromoted={loadExistingAllocation}
+        />
+      )}
+
       {/* Team Members Table */}
       <Card>
         <div className="p-6">
           <div className="flex items-center justify-between mb-4">
-            <h2 className="text-lg font-medium text-gray-900 dark:text-white">Team Bonus Allocation</h2>
+            <div className="flex items-center space-x-3">
+              <h2 className="text-lg font-medium text-gray-900 dark:text-white">Team Bonus Allocation</h2>
+              <Badge variant={BONUS_STATUS_VARIANTS[status]}>{BONUS_STATUS_LABELS[status] || status}</Badge>
+            </div>
             <div className="flex items-center space-x-4">
               {lastSaved && (
                 <div className="flex items-center text-sm text-gray-500">
@@ -535,16 +950,35 @@ const BonusAllocationPage = () => {
                   <span>Last saved: {formatDate(lastSaved)}</span>
                 </div>
               )}
-              <Button
-                onClick={handleSaveProgress}
-                disabled={saving}
-                variant="outline"
-              >
-                {saving ? 'Saving...' : 'Save Progress'}
-              </Button>
+              {canEdit && (
+                <Button
+                  onClick={handleSaveProgress}
+                  disabled={saving || workflowBusy}
+                  variant="outline"
+                >
+                  {saving ? 'Saving...' : 'Save Progress'}
+                </Button>
+              )}
+              {teamMembers.length > 0 && getAvailableBonusActions(status, user?.role).map(action => (
+                <Button
+                  key={action}
+                  onClick={() => handleWorkflowAction(action)}
+                  disabled={saving || workflowBusy}
+                  variant={WORKFLOW_BUTTONS[action].variant}
+                >
+                  {WORKFLOW_BUTTONS[action].label}
+                </Button>
+              ))}
             </div>
           </div>
 
+          {returnComment && (
+            <div className="mb-4 p-3 rounded-lg border border-yellow-200 bg-yellow-50 flex items-start text-sm text-yellow-800">
+              <ExclamationTriangleIcon className="h-5 w-5 mr-2 flex-shrink-0" />
+              <span>Returned for changes: {returnComment}</span>
+            </div>
+          )}
+
           {teamMembers.length === 0 ? (
             <div className="text-center py-8">
               <div className="mx-auto flex items-center justify-center h-12 w-12 rounded-full bg-gray-100">
@@ -626,8 +1060,7 @@ const BonusAllocationPage = () => {
                       <td className="px-6 py-4 whitespace-nowrap">
                         {member.latestScore ? (
                           <div className="text-sm text-gray-900 dark:text-white">
-                            <span className="font-medium">{member.latestScore}</span>
-                            <span className="text-gray-500 dark:text-gray-400">/{member.maxScore}</span>
+                            <span className="font-medium">{formatScaleScore(member.latestScore, member.ratingScale)}</span>
                           </div>
                         ) : (
                           <span className="text-sm text-gray-400">No evaluation</span>
@@ -636,13 +1069,26 @@ const BonusAllocationPage = () => {
 
                       {/* Monthly Salary */}
                       <td className="px-6 py-4 whitespace-nowrap">
-                        <input
-                          type="number"
-                          value={bonusAllocations[member.id]?.monthlySalary || ''}
-                          onChange={(e) => handleSalaryChange(member.id, e.target.value)}
-                          className="w-24 px-2 py-1 text-sm border border-gray-300 rounded focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
-                          placeholder="0"
-                        />
+                        <div className="flex items-center space-x-1">
+                          <input
+                            type="number"
+                            value={bonusAllocations[member.id]?.monthlySalary || ''}
+                            onChange={(e) => handleSalaryChange(member.id, e.target.value)}
+                            disabled={!canEdit}
+                            className="w-24 px-2 py-1 text-sm border border-gray-300 rounded focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                            placeholder="0"
+                          />
+                          <select
+                            value={getSalaryCurrency(member.id)}
+                            onChange={(e) => handleCurrencyChange(member.id, e.target.value)}
+                            disabled={!canEdit}
+                            className="px-1 py-1 text-sm border border-gray-300 rounded focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                          >
+                            {salaryCurrencyOptions.map(option => (
+                              <option key={option.value} value={option.value}>{option.label}</option>
+                            ))}
+                          </select>
+                        </div>
                       </td>
 
                       {/* Bonus Percentage */}
@@ -650,6 +1096,7 @@ const BonusAllocationPage = () => {
                         <div className="flex items-center space-x-1">
                           <button
                             onClick={() => adjustPercentage(member.id, -0.5)}
+                            disabled={!canEdit}
                             className="p-1 text-gray-400 hover:text-gray-600"
                           >
                             <ArrowDownIcon className="h-4 w-4" />
@@ -659,6 +1106,7 @@ const BonusAllocationPage = () => {
                           </span>
                           <button
                             onClick={() => adjustPercentage(member.id, 0.5)}
+                            disabled={!canEdit}
                             className="p-1 text-gray-400 hover:text-gray-600"
                           >
                             <ArrowUpIcon className="h-4 w-4" />
@@ -669,8 +1117,10 @@ const BonusAllocationPage = () => {
                       {/* Bonus Amount */}
                       <td className="px-6 py-4 whitespace-nowrap">
                         <span className="text-sm font-medium text-gray-900 dark:text-white">
-                          {getBonusAmount(member).toLocaleString()}
+                          {formatMoney(getLocalBonusAmount(bonusAllocations[member.id]), getSalaryCurrency(member.id))}
                         </span>
+                        {renderReportingAmount(member.id)}
+                        {renderSimulationNote(member.id)}
                       </td>
 
                       {/* Actions */}
@@ -694,6 +1144,31 @@ const BonusAllocationPage = () => {
           )}
         </div>
       </Card>
+
+      {/* Change History */}
+      {history.length > 0 && (
+        <Card className="mt-6">
+          <div className="p-6">
+            <h2 className="text-lg font-medium text-gray-900 dark:text-white mb-4">Change History</h2>
+            <ul className="divide-y divide-gray-200">
+              {history.map(entry => (
+                <li key={entry.id} className="py-3">
+                  <div className="flex items-center justify-between">
+                    <span className="text-sm font-medium text-gray-900 dark:text-white">
+                      {BONUS_ACTION_LABELS[entry.action] || entry.action} by {entry.actorName}
+                    </span>
+                    <span className="text-xs text-gray-500">{entry.createdAt ? formatDateTime(entry.createdAt.toDate()) : ''}</span>
+                  </div>
+                  {entry.comment && <p className="text-sm text-gray-600 mt-1">“{entry.comment}”</p>}
+                  {describeHistoryEntry(entry).map((line, index) => (
+                    <p key={index} className="text-xs text-gray-500">{line}</p>
+                  ))}
+                </li>
+              ))}
+            </ul>
+          </div>
+        </Card>
+      )}
     </div>
   );
 };
@@ -0,0 +1,255 @@
+import React, { useEffect, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import {
+  ResponsiveContainer,
+  BarChart,
+  Bar,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip
+} from 'recharts';
+
+// Redux
+import { selectUser } from '../../store/slices/authSlice';
+import { fetchDepartments, selectDepartments } from '../../store/slices/departmentSlice';
+import { fetchReviewCycles, selectReviewCycles } from '../../store/slices/cycleSlice';
+
+// Firebase
+import { functionsService } from '../../firebase/services';
+
+// Utils
+import { EVALUATEE_ROLES } from '../../utils/displayRules';
+import { DEFAULT_CURRENCY, formatMoney } from '../../utils/currency';
+import { buildBreakdown, formatChange } from '../../utils/bonusHistory';
+
+// Components
+import { Card, Select, LoadingSpinner } from '../../components/common';
+
+// Icons
+import { CurrencyDollarIcon } from '@heroicons/react/24/outline';
+
+/**
+ * Year-over-year bonus payouts per department for HR, admins and head managers. Only
+ * approved and locked allocations count; head managers see their own department.
+ */
+const BonusHistoryPage = () => {
+  const dispatch = useDispatch();
+  const user = useSelector(selectUser);
+  const departments = useSelector(selectDepartments);
+  const reviewCycles = useSelector(selectReviewCycles);
+
+  const [filters, setFilters] = useState({ departmentId: '', cycleId: '', role: '' });
+  const [lines, setLines] = useState([]);
+  const [reportingCurrency, setReportingCurrency] = useState(DEFAULT_CURRENCY);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const canSeeAllDepartments = ['admin', 'hr'].includes(user?.role) || user?.permissions?.canCalculateBonuses === true;
+
+  useEffect(() => {
+    if (user?.businessId) {
+      dispatch(fetchDepartments(user.businessId));
+      dispatch(fetchReviewCycles(user.businessId));
+    }
+  }, [dispatch, user?.businessId]);
+
+  useEffect(() => {
+    const loadBreakdown = async () => {
+      if (!user?.businessId) return;
+
+      setLoading(true);
+      setError(null);
+      const result = await functionsService.getBonusHistory(user.businessId, {
+        view: 'departments',
+        ...(filters.departmentId && { departmentId: filters.departmentId }),
+        ...(filters.cycleId && { cycleId: filters.cycleId }),
+        ...(filters.role && { role: filters.role })
+      });
+
+      if (result.success) {
+        setLines(result.data?.lines || []);
+        setReportingCurrency(result.data?.reportingCurrency || DEFAULT_CURRENCY);
+      } else {
+        setLines([]);
+        setError(result.error?.code === 'functions/permission-denied'
+          ? 'Only HR, admins and head managers can see the bonus history of a department.'
+          : result.error?.message || 'Failed to load bonus history');
+      }
+      setLoading(false);
+    };
+
+    loadBreakdown();
+  }, [user?.businessId, filters]);
+
+  const updateFilter = (field) => (e) => setFilters(prev => ({ ...prev, [field]: e.target.value }));
+  const departmentName = (departmentId) =>
+    departments.find(department => department.id === departmentId)?.name || 'No department';
+
+  const { years, byDepartment, yearTotals } = buildBreakdown(lines);
+  const formatAmount = (amount) => formatMoney(amount, reportingCurrency);
+
+  return (
+    <div className="p-6">
+      <div className="mb-8">
+        <h1 className="text-2xl font-bold text-gray-900 mb-2">Bonus History</h1>
+        <p className="text-gray-600">
+          Approved bonuses by department and year, next to the review scores they were based on
+        </p>
+      </div>
+
+      {/* Filters */}
+      <Card className="p-4 mb-6">
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          {canSeeAllDepartments && (
+            <Select
+              label="Department"
+              value={filters.departmentId}
+              onChange={updateFilter('departmentId')}
+              placeholder={null}
+              options={[
+                { value: '', label: 'All departments' },
+                ...departments.map(department => ({ value: department.id, label: department.name }))
+              ]}
+            />
+          )}
+          <Select
+            label="Review Cycle"
+            value={filters.cycleId}
+            onChange={updateFilter('cycleId')}
+            placeholder={null}
+            options={[
+              { value: '', label: 'All cycles and years' },
+              ...reviewCycles.filter(cycle => cycle.includesBonus).map(cycle => ({ value: cycle.id, label: cycle.name }))
+            ]}
+          />
+          <Select
+            label="Role"
+            value={filters.role}
+            onChange={updateFilter('role')}
+            placeholder={null}
+            options={[{ value: '', label: 'All roles' }, ...EVALUATEE_ROLES]}
+          />
+        </div>
+      </Card>
+
+      {loading ? (
+        <div className="flex items-center justify-center min-h-64">
+          <LoadingSpinner size="lg" />
+        </div>
+      ) : error ? (
+        <Card className="text-center py-12">
+          <h3 className="text-lg font-medium text-red-700 mb-2">Unable to load bonus history</h3>
+          <p className="text-gray-500">{error}</p>
+        </Card>
+      ) : lines.length === 0 ? (
+        <Card className="text-center py-12">
+          <CurrencyDollarIcon className="h-12 w-12 text-gray-400 mx-auto mb-4" />
+          <h3 className="text-lg font-medium text-gray-900 mb-2">No approved bonuses</h3>
+          <p className="text-gray-500">Bonuses appear here once their allocation has been approved.</p>
+        </Card>
+      ) : (
+        <div className="space-y-6">
+          {/* Year over year */}
+          <Card className="p-6">
+            <h2 className="text-lg font-semibold text-gray-900 mb-4">Year over Year ({reportingCurrency})</h2>
+            <ResponsiveContainer width="100%" height={240}>
+              <BarChart data={yearTotals}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="year" />
+                <YAxis />
+                <Tooltip formatter={(value) => formatAmount(value)} />
+                <Bar dataKey="amount" name="Total bonuses" fill="#6366f1" />
+              </BarChart>
+            </ResponsiveContainer>
+
+            <div className="overflow-x-auto mt-6">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Department</th>
+                    {years.map(year => (
+                      <th key={year} className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">{year}</th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200">
+                  {Array.from(byDepartment.entries()).map(([departmentId, totalsByYear]) => (
+                    <tr key={departmentId}>
+                      <td className="px-4 py-2 text-sm font-medium text-gray-900">{departmentName(departmentId)}</td>
+                      {years.map((year, index) => {
+                        const totals = totalsByYear[year];
+                        const change = totals && index > 0 && totalsByYear[years[index - 1]]
+                          ? formatChange(totals.amount, totalsByYear[years[index - 1]].amount)
+                          : null;
+                        return (
+                          <td key={year} className="px-4 py-2 text-sm text-gray-700">
+                            {totals ? (
+                              <>
+                                <div className="font-medium text-gray-900">
+                                  {formatAmount(totals.amount)}
+                                  {change && (
+                                    <span className={`ml-2 text-xs ${change.startsWith('+') ? 'text-green-700' : 'text-orange-600'}`}>
+                                      {change}
+                                    </span>
+                                  )}
+                                </div>
+                                <div className="text-xs text-gray-500">
+                                  {totals.employees} employees · avg {Math.round((totals.percentageSum / totals.employees) * 10) / 10}%
+                                </div>
+                              </>
+                            ) : '--'}
+                          </td>
+                        );
+                      })}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </Card>
+
+          {/* Employees */}
+          <Card className="p-6">
+            <h2 className="text-lg font-semibold text-gray-900 mb-4">Employees</h2>
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Employee</th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Department</th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Period</th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Review Score</th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Bonus %</th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Amount</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200">
+                  {[...lines].sort((a, b) => b.year - a.year || a.employeeName.localeCompare(b.employeeName)).map(line => (
+                    <tr key={`${line.allocationId}-${line.employeeId}`}>
+                      <td className="px-4 py-2 text-sm text-gray-900">
+                        {line.employeeName}
+                        {line.role && <span className="ml-2 text-xs text-gray-500">{line.role}</span>}
+                      </td>
+                      <td className="px-4 py-2 text-sm text-gray-700">{departmentName(line.departmentId)}</td>
+                      <td className="px-4 py-2 text-sm text-gray-700">{line.cycleName || line.year}</td>
+                      <td className="px-4 py-2 text-sm text-gray-700">
+                        {line.score !== null ? `${Math.round(line.score)}/100` : '--'}
+                      </td>
+                      <td className="px-4 py-2 text-sm font-medium text-gray-900">{line.bonusPercentage}%</td>
+                      <td className="px-4 py-2 text-sm text-gray-700">
+                        {line.amount !== null ? formatMoney(line.amount, line.currency) : '--'}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </Card>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BonusHistoryPage;
@@ -4,13 +4,18 @@ import { useSelector, useDispatch } from 'react-redux';
 
 // Redux
 import { selectUser } from '../../store/slices/authSlice';
+import { fetchEmployeeGoals, selectEmployeeGoals, indexTargetGoals } from '../../store/slices/goalSlice';
 import { fetchEvaluation, fetchEvaluationTemplate, submitEvaluation, saveEvaluationProgress } from '../../store/slices/evaluationSlice';
 
 // Utils
 import { formatDate, formatDateTime } from '../../utils/dateUtils';
+import { resolveRatingScale, describeScaleRange, formatScaleScore } from '../../utils/ratingScales';
+import { isRatedQuestion, initialRanking, findMissingAnswers } from '../../utils/questionTypes';
+import { filterVisibleCategories } from '../../utils/displayRules';
 
 // Components
 import { Card, Button, LoadingSpinner, TextArea, Badge } from '../../components/common';
+import { PreviousTarget, RatingInput, QuestionAnswerInput, FeedbackPanel } from '../../components/evaluations';
 
 // Icons
 import { PencilSquareIcon, ArrowLeftIcon, CheckIcon, BookmarkIcon } from '@heroicons/react/24/outline';
@@ -60,9 +65,11 @@ const EvaluationCompletePage = () => {
           // Load the template
           if (evalData.templateId) {
             console.log('📑 Loading template:', evalData.templateId);
+            // The version the evaluation was created from; older evaluations predate versions
             const templateResult = await dispatch(fetchEvaluationTemplate({
               businessId: user.businessId,
-              templateId: evalData.templateId
+              templateId: evalData.templateId,
+              version: evalData.templateVersion
             }));
             
             if (templateResult.payload) {
@@ -88,6 +95,10 @@ const EvaluationCompletePage = () => {
                 });
               }
               
+              // Sliders start at the bottom of the scale; choice scales start unselected
+              const scale = resolveRatingScale(evalData, templateResult.payload);
+              const defaultRating = scale.anchors.length > 0 ? null : scale.min;
+
               // Initialize category responses
               if (templateResult.payload.categories) {
                 templateResult.payload.categories.forEach(category => {
@@ -95,10 +106,15 @@ const EvaluationCompletePage = () => {
                   category.questions?.forEach(question => {
                     // Use existing response if available, otherwise defaults
                     const existingCategoryResponse = existingResponses?.categoryResponses?.[category.id]?.[question.id];
-                    initialResponses.categoryResponses[category.id][question.id] = {
-                      selfRating: existingCategoryResponse?.selfRating || 1, // Default to 1 for sliders
-                      comment: existingCategoryResponse?.comment || ''
-                    };
+                    initialResponses.categoryResponses[category.id][question.id] = isRatedQuestion(question)
+                      ? {
+                        selfRating: existingCategoryResponse?.selfRating ?? defaultRating,
+                        comment: existingCategoryResponse?.comment || ''
+                      }
+                      : {
+                        selfAnswer: existingCategoryResponse?.selfAnswer ?? (question.type === 'ranking' ? initialRanking(question) : null),
+                        comment: existingCategoryResponse?.comment || ''
+                      };
                   });
                 });
               }
@@ -126,6 +142,16 @@ const EvaluationCompletePage = () => {
     loadEvaluationData();
   }, [evaluationId, dispatch]);
 
+  // Targets from the previous review, shown next to this cycle's ratings
+  const employeeGoals = useSelector(state => selectEmployeeGoals(state, evaluation?.evaluateeId));
+  const previousTargets = indexTargetGoals(employeeGoals, evaluationId);
+
+  useEffect(() => {
+    if (user?.businessId && evaluation?.evaluateeId) {
+      dispatch(fetchEmployeeGoals({ businessId: user.businessId, employeeId: evaluation.evaluateeId }));
+    }
+  }, [dispatch, user?.businessId, evaluation?.evaluateeId]);
+
   const handleFreeTextResponse = (questionIndex, value) => {
     setResponses(prev => ({
       ...prev,
@@ -164,6 +190,17 @@ const EvaluationCompletePage = () => {
       return;
     }
 
+    // Questions hidden by display rules are not asked
+    const visibleCategories = filterVisibleCategories(template.categories, evaluation.evaluateeContext, responses.categoryResponses);
+    const missing = findMissingAnswers(visibleCategories, responses.categoryResponses, 'self');
+    if (missing.length > 0) {
+      const questionTexts = template.categories.flatMap(category => (category.questions || [])
+        .filter(question => missing.includes(`${category.id}/${question.id}`))
+        .map(question => `• ${question.text}`));
+      alert(`Please answer these questions before submitting:\n${questionTexts.join('\n')}`);
+      return;
+    }
+
     setSubmitting(true);
     
     try {
@@ -202,7 +239,7 @@ const EvaluationCompletePage = () => {
         navigate('/pending-evaluations');
       } else {
         console.error('❌ Failed to submit evaluation:', result.error);
-        alert('❌ Failed to submit evaluation. Please try again.');
+        alert(`❌ Failed to submit evaluation. ${result.payload || 'Please try again.'}`);
       }
     } catch (error) {
       console.error('❌ Error submitting evaluation:', error);
@@ -286,6 +323,15 @@ const EvaluationCompletePage = () => {
     );
   }
 
+  const scale = resolveRatingScale(evaluation, template);
+  const visibleCategories = filterVisibleCategories(template.categories, evaluation.evaluateeContext, responses.categoryResponses);
+
+  // Set when the manager sent the self-assessment back for changes
+  const lastTransition = evaluation.transitions?.[evaluation.transitions.length - 1];
+  const returnedForRevision = lastTransition?.action === 'reject' && evaluation.status === 'in-progress'
+    ? lastTransition
+    : null;
+
   return (
     <div className="p-6 max-w-4xl mx-auto">
       <style>{`
@@ -340,8 +386,19 @@ const EvaluationCompletePage = () => {
             <p className="text-blue-900">{template.instructions}</p>
           </div>
         )}
+        {returnedForRevision && (
+          <div className="mt-4 p-4 bg-orange-50 border border-orange-200 rounded-lg">
+            <p className="text-sm font-medium text-orange-900">
+              Returned for revision{returnedForRevision.at ? ` on ${formatDateTime(returnedForRevision.at)}` : ''}
+            </p>
+            <p className="text-orange-800 mt-1">{returnedForRevision.comment}</p>
+          </div>
+        )}
       </div>
 
+      {/* 360 Feedback - the evaluatee suggests raters once the manager has set it up */}
+      {evaluation.evaluateeId === user?.id && <FeedbackPanel evaluation={evaluation} mode="evaluatee" />}
+
       <div className="space-y-8">
         {/* Free Text Questions */}
         {template.freeTextQuestions && template.freeTextQuestions.length > 0 && (
@@ -372,7 +429,7 @@ const EvaluationCompletePage = () => {
         )}
 
         {/* Category Questions */}
-        {template.categories && template.categories.map(category => (
+        {visibleCategories.map(category => (
           <Card key={category.id} className="p-6">
             <h2 className="text-xl font-semibold text-gray-900 mb-2">{category.name}</h2>
             {category.description && (
@@ -385,48 +442,34 @@ const EvaluationCompletePage = () => {
                   id: question.id,
                   text: question.text,
                   type: question.type,
-                  willShowSlider: question.type === 'rating' || question.type === 'dualRating' || !question.type
+                  willShowSlider: isRatedQuestion(question)
                 });
                 
                 return (
                 <div key={question.id} className="border-b border-gray-200 pb-6 last:border-b-0">
                   <h3 className="font-medium text-gray-900 mb-3">{question.text}</h3>
+
+                  <PreviousTarget
+                    goal={previousTargets[`${category.id}_${question.id}`]}
+                    scale={scale}
+                  />
                   
-                  {(question.type === 'rating' || question.type === 'dualRating' || !question.type) && (
+                  {isRatedQuestion(question) && (
                     <div className="space-y-3">
                       <div>
                         <div className="flex items-center justify-between mb-2">
                           <label className="block text-sm font-medium text-gray-700">
-                            Your Rating (1-{template.scoringSystem === '1-5' ? '5' : '10'})
+                            Your Rating ({describeScaleRange(scale)})
                           </label>
                           <span className="text-lg font-semibold text-indigo-600 min-w-[3rem] text-center">
-                            {responses.categoryResponses[category.id]?.[question.id]?.selfRating || '—'}
+                            {formatScaleScore(responses.categoryResponses[category.id]?.[question.id]?.selfRating, scale)}
                           </span>
                         </div>
-                        <div className="px-2">
-                          <input
-                            type="range"
-                            min={1}
-                            max={template.scoringSystem === '1-5' ? 5 : 10}
-                            step={0.5}
-                            value={responses.categoryResponses[category.id]?.[question.id]?.selfRating || 1}
-                            onChange={(e) => handleCategoryResponse(category.id, question.id, 'selfRating', parseFloat(e.target.value))}
-                            className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer slider"
-                            style={{
-                              background: `linear-gradient(to right, #6366f1 0%, #6366f1 ${
-                                ((responses.categoryResponses[category.id]?.[question.id]?.selfRating || 1) - 1) / 
-                                ((template.scoringSystem === '1-5' ? 5 : 10) - 1) * 100
-                              }%, #e5e7eb ${
-                                ((responses.categoryResponses[category.id]?.[question.id]?.selfRating || 1) - 1) / 
-                                ((template.scoringSystem === '1-5' ? 5 : 10) - 1) * 100
-                              }%, #e5e7eb 100%)`
-                            }}
-                          />
-                          <div className="flex justify-between text-xs text-gray-500 mt-1">
-                            <span>1</span>
-                            <span>{template.scoringSystem === '1-5' ? '5' : '10'}</span>
-                          </div>
-                        </div>
+                        <RatingInput
+                          scale={scale}
+                          value={responses.categoryResponses[category.id]?.[question.id]?.selfRating}
+                          onChange={(value) => handleCategoryResponse(category.id, question.id, 'selfRating', value)}
+                        />
                       </div>
                       
                       <div>
@@ -453,6 +496,28 @@ const EvaluationCompletePage = () => {
                       />
                     </div>
                   )}
+
+                  {!isRatedQuestion(question) && question.type !== 'text' && (
+                    <div className="space-y-3">
+                      <QuestionAnswerInput
+                        question={question}
+                        value={responses.categoryResponses[category.id]?.[question.id]?.selfAnswer}
+                        onChange={(value) => handleCategoryResponse(category.id, question.id, 'selfAnswer', value)}
+                      />
+
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-2">
+                          Comments (Optional)
+                        </label>
+                        <TextArea
+                          rows={3}
+                          value={responses.categoryResponses[category.id]?.[question.id]?.comment || ''}
+                          onChange={(e) => handleCategoryResponse(category.id, question.id, 'comment', e.target.value)}
+                          placeholder="Add any comments about your answer..."
+                        />
+                      </div>
+                    </div>
+                  )}
                 </div>
                 );
               })}
@@ -2,21 +2,24 @@ import React, { useState, useEffect } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import { useSelector, useDispatch } from 'react-redux';
 
-// Firebase
-import { serverTimestamp } from 'firebase/firestore';
-
 // Redux
 import { selectUser } from '../../store/slices/authSlice';
-import { fetchEvaluation, fetchEvaluationTemplate, updateEvaluation, saveManagerReviewProgress } from '../../store/slices/evaluationSlice';
+import { fetchEmployeeGoals, selectEmployeeGoals, indexTargetGoals } from '../../store/slices/goalSlice';
+import { fetchEvaluation, fetchEvaluationTemplate, approveEvaluation, rejectEvaluation, saveManagerReviewProgress } from '../../store/slices/evaluationSlice';
 
 // Utils
 import { formatDateTime } from '../../utils/dateUtils';
+import { getEvaluationScore, previewWeightedScore } from '../../utils/scoreUtils';
+import { resolveRatingScale, describeScaleRange, formatScaleScore, normalizeScore } from '../../utils/ratingScales';
+import { isRatedQuestion, initialRanking, findMissingAnswers, formatAnswer } from '../../utils/questionTypes';
+import { filterVisibleCategories } from '../../utils/displayRules';
 
 // Components
-import { Card, Button, LoadingSpinner, TextArea, Badge } from '../../components/common';
+import { Card, Button, LoadingSpinner, TextArea, Badge, Modal } from '../../components/common';
+import { PreviousTarget, EvaluationReportButton, RatingInput, QuestionAnswerInput, FeedbackPanel, FeedbackSummary } from '../../components/evaluations';
 
 // Icons
-import { ArrowLeftIcon, CheckIcon, UserIcon, StarIcon, BookmarkIcon } from '@heroicons/react/24/outline';
+import { ArrowLeftIcon, CheckIcon, UserIcon, StarIcon, BookmarkIcon, ArrowUturnLeftIcon } from '@heroicons/react/24/outline';
 
 const EvaluationReviewPage = () => {
   const { evaluationId } = useParams();
@@ -30,6 +33,8 @@ const EvaluationReviewPage = () => {
   const [submitting, setSubmitting] = useState(false);
   const [saving, setSaving] = useState(false);
   const [lastSaved, setLastSaved] = useState(null);
+  const [showReturnModal, setShowReturnModal] = useState(false);
+  const [returnReason, setReturnReason] = useState('');
   const [managerResponses, setManagerResponses] = useState({
     categoryResponses: {},
     overallComments: '',
@@ -65,9 +70,11 @@ const EvaluationReviewPage = () => {
           // Load the template
           if (evalData.templateId) {
             console.log('📑 Loading template:', evalData.templateId);
+            // The version the evaluation was created from; older evaluations predate versions
             const templateResult = await dispatch(fetchEvaluationTemplate({
               businessId: user.businessId,
-              templateId: evalData.templateId
+              templateId: evalData.templateId,
+              version: evalData.templateVersion
             }));
             
             if (templateResult.payload) {
@@ -81,6 +88,10 @@ const EvaluationReviewPage = () => {
                 targets: {}
               };
               
+              // Sliders start at the bottom of the scale; choice scales start unselected
+              const scale = resolveRatingScale(evalData, templateResult.payload);
+              const defaultRating = scale.anchors.length > 0 ? null : scale.min;
+
               // First, initialize all categories and questions from template
               if (templateResult.payload.categories) {
                 templateResult.payload.categories.forEach(category => {
@@ -88,12 +99,22 @@ const EvaluationReviewPage = () => {
                   initialManagerResponses.targets[category.id] = {};
                   
                   category.questions?.forEach(question => {
+                    if (!isRatedQuestion(question)) {
+                      // Rankings start from the employee's order so the manager only adjusts it
+                      const selfAnswer = evalData.responses?.selfAssessment?.categoryResponses?.[category.id]?.[question.id]?.selfAnswer;
+                      initialManagerResponses.categoryResponses[category.id][question.id] = {
+                        managerAnswer: question.type === 'ranking' ? (selfAnswer || initialRanking(question)) : null,
+                        managerComment: ''
+                      };
+                      return;
+                    }
+
                     initialManagerResponses.categoryResponses[category.id][question.id] = {
-                      managerRating: 1,
+                      managerRating: defaultRating,
                       managerComment: ''
                     };
                     initialManagerResponses.targets[category.id][question.id] = {
-                      target: 1,
+                      target: defaultRating,
                       targetComment: ''
                     };
                   });
@@ -171,6 +192,16 @@ const EvaluationReviewPage = () => {
     loadEvaluationData();
   }, [evaluationId, dispatch]);
 
+  // Targets from the previous review, shown next to this cycle's ratings
+  const employeeGoals = useSelector(state => selectEmployeeGoals(state, evaluation?.evaluateeId));
+  const previousTargets = indexTargetGoals(employeeGoals, evaluationId);
+
+  useEffect(() => {
+    if (user?.businessId && evaluation?.evaluateeId) {
+      dispatch(fetchEmployeeGoals({ businessId: user.businessId, employeeId: evaluation.evaluateeId }));
+    }
+  }, [dispatch, user?.businessId, evaluation?.evaluateeId]);
+
   const handleManagerResponse = (categoryId, questionId, field, value) => {
     setManagerResponses(prev => ({
       ...prev,
@@ -203,34 +234,29 @@ const EvaluationReviewPage = () => {
     }));
   };
 
+  // Display rules branch on the employee's self-assessment, so the manager sees the same questions
+  const getVisibleCategories = (categories) => filterVisibleCategories(
+    categories,
+    evaluation?.evaluateeContext,
+    evaluation?.responses?.selfAssessment?.categoryResponses
+  );
+
   // Calculate aggregate score from all manager ratings
   const calculateAggregateScore = () => {
-    if (!template || !managerResponses?.categoryResponses) return 1;
-    
-    const allRatings = [];
-    
-    // Collect all manager ratings
-    template.categories?.forEach(category => {
-      if (!category?.id || !managerResponses.categoryResponses[category.id]) return;
-      
-      category.questions?.forEach(question => {
-        if (!question?.id) return;
-        
-        const rating = managerResponses.categoryResponses[category.id]?.[question.id]?.managerRating;
-        if (rating && rating > 0 && !isNaN(rating)) {
-          allRatings.push(rating);
-        }
-      });
-    });
-    
-    if (allRatings.length === 0) return 1;
-    
-    // Calculate average
-    const sum = allRatings.reduce((acc, rating) => acc + rating, 0);
-    const average = sum / allRatings.length;
-    
-    // Round to nearest 0.5
-    return Math.round(average * 2) / 2;
+    // Completed reviews show the score stored by the server
+    if (evaluation?.status === 'completed' && getEvaluationScore(evaluation) !== null) {
+      return getEvaluationScore(evaluation);
+    }
+
+    if (!template || !managerResponses?.categoryResponses) return null;
+
+    // Score the same category snapshot the server will use
+    return previewWeightedScore(
+      getVisibleCategories(evaluation?.categories?.length ? evaluation.categories : template.categories),
+      managerResponses.categoryResponses,
+      'manager',
+      resolveRatingScale(evaluation, template)
+    );
   };
 
   const handleSaveProgress = async () => {
@@ -255,7 +281,6 @@ const EvaluationReviewPage = () => {
         evaluationId,
         managerReview: {
           ...managerResponses,
-          overallRating: calculateAggregateScore(),
           savedBy: user.id
         }
       })).unwrap();
@@ -314,12 +339,19 @@ const EvaluationReviewPage = () => {
 
   const handleSubmitReview = async () => {
     console.log('📤 Submitting manager review:', managerResponses);
+
+    const missing = findMissingAnswers(getVisibleCategories(template.categories), managerResponses.categoryResponses, 'manager');
+    if (missing.length > 0) {
+      const questionTexts = template.categories.flatMap(category => (category.questions || [])
+        .filter(question => missing.includes(`${category.id}/${question.id}`))
+        .map(question => `• ${question.text}`));
+      alert(`Please answer these questions before completing the review:\n${questionTexts.join('\n')}`);
+      return;
+    }
     
     setSubmitting(true);
     
     try {
-      const overallRating = calculateAggregateScore();
-      
       if (!user?.businessId) {
         throw new Error('Business ID not found');
       }
@@ -328,23 +360,14 @@ const EvaluationReviewPage = () => {
         businessId: user.businessId,
         evaluationId,
         userId: user.id,
-        managerResponses,
-        overallRating
+        managerResponses
       });
 
-      const result = await dispatch(updateEvaluation({
+      // Overall rating, reviewer stamps and the status change are applied by the approveEvaluation function
+      const result = await dispatch(approveEvaluation({
         businessId: user.businessId,
         evaluationId,
-        updates: {
-          managerReview: {
-            ...managerResponses,
-            overallRating,
-            reviewedAt: serverTimestamp(),
-            reviewedBy: user.id,
-            inProgress: false
-          },
-          status: 'completed'
-        }
+        managerReview: managerResponses
       })).unwrap();
 
       console.log('✅ Successfully submitted manager review:', result);
@@ -399,6 +422,33 @@ const EvaluationReviewPage = () => {
     }
   };
 
+  const handleReturnToEmployee = async () => {
+    if (!returnReason.trim()) {
+      return;
+    }
+
+    console.log('↩️ Returning evaluation to employee:', evaluationId);
+
+    setSubmitting(true);
+
+    try {
+      await dispatch(rejectEvaluation({
+        businessId: user.businessId,
+        evaluationId,
+        reason: returnReason.trim()
+      })).unwrap();
+
+      console.log('✅ Evaluation returned to employee');
+      setShowReturnModal(false);
+      navigate('/review-evaluations');
+    } catch (error) {
+      console.error('❌ Error returning evaluation:', error);
+      alert(`❌ Failed to return evaluation: ${error}`);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
   if (loading) {
     return (
       <div className="p-6">
@@ -430,6 +480,8 @@ const EvaluationReviewPage = () => {
 
   const employeeResponses = evaluation.responses?.selfAssessment;
   const isCompleted = evaluation.status === 'completed';
+  const scale = resolveRatingScale(evaluation, template);
+  const aggregatePercent = normalizeScore(calculateAggregateScore(), scale) ?? 0;
   const isReadOnly = isCompleted;
 
   console.log('📋 Evaluation status:', evaluation.status);
@@ -461,6 +513,7 @@ const EvaluationReviewPage = () => {
             )}
           </div>
           <div className="flex items-center space-x-4">
+            {isCompleted && <EvaluationReportButton evaluationId={evaluationId} />}
             <Badge color={isCompleted ? 'green' : 'orange'} size="lg">
               {isCompleted ? 'Completed' : 'Under Review'}
             </Badge>
@@ -496,8 +549,16 @@ const EvaluationReviewPage = () => {
         </Card>
       )}
 
+      {/* 360 Feedback */}
+      <FeedbackPanel
+        evaluation={evaluation}
+        mode="manager"
+        onFeedbackChange={(feedback) => setEvaluation(prev => ({ ...prev, feedback }))}
+      />
+      {evaluation.feedback && <FeedbackSummary evaluationId={evaluationId} />}
+
       {/* Category Reviews */}
-      {template.categories?.map((category) => (
+      {getVisibleCategories(template.categories).map((category) => (
         <Card key={category.id} className="p-6 mb-6">
           <h2 className="text-xl font-bold text-gray-900 mb-2">{category.name}</h2>
           {category.description && (
@@ -511,23 +572,34 @@ const EvaluationReviewPage = () => {
               return (
                 <div key={question.id} className="border-b border-gray-200 pb-8 last:border-b-0">
                   <h3 className="font-medium text-gray-900 mb-4">{question.text}</h3>
+
+                  <PreviousTarget
+                    goal={previousTargets[`${category.id}_${question.id}`]}
+                    scale={scale}
+                  />
                   
                   {/* Employee Response Display */}
                   <div className="bg-blue-50 border border-blue-200 rounded-lg p-4 mb-6">
                     <h4 className="text-sm font-medium text-blue-900 mb-3">Employee Self-Assessment</h4>
                     <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-                      <div>
-                        <span className="text-sm text-blue-700">Rating:</span>
-                        <div className="flex items-center space-x-2">
-                          <StarIcon className="h-5 w-5 text-blue-600" />
-                          <span className="text-lg font-semibold text-blue-900">
-                            {employeeResponse?.selfRating || '—'}
-                          </span>
-                          <span className="text-sm text-blue-700">
-                            / {template.scoringSystem === '1-5' ? '5' : '10'}
-                          </span>
+                      {isRatedQuestion(question) ? (
+                        <div>
+                          <span className="text-sm text-blue-700">Rating:</span>
+                          <div className="flex items-center space-x-2">
+                            <StarIcon className="h-5 w-5 text-blue-600" />
+                            <span className="text-lg font-semibold text-blue-900">
+                              {formatScaleScore(employeeResponse?.selfRating, scale)}
+                            </span>
+                          </div>
                         </div>
-                      </div>
+                      ) : question.type !== 'text' && (
+                        <div>
+                          <span className="text-sm text-blue-700">Answer:</span>
+                          <p className="text-lg font-semibold text-blue-900">
+                            {formatAnswer(question, employeeResponse?.selfAnswer)}
+                          </p>
+                        </div>
+                      )}
                       <div>
                         <span className="text-sm text-blue-700">Comments:</span>
                         <p className="text-blue-900 mt-1">
@@ -540,39 +612,37 @@ const EvaluationReviewPage = () => {
                   {/* Manager Rating */}
                   <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
                     <div className="space-y-4">
-                      <h4 className="text-lg font-medium text-gray-900">Your Manager Rating</h4>
+                      <h4 className="text-lg font-medium text-gray-900">
+                        {isRatedQuestion(question) ? 'Your Manager Rating' : 'Your Assessment'}
+                      </h4>
                       
+                      {!isRatedQuestion(question) && question.type !== 'text' && (
+                        <QuestionAnswerInput
+                          question={question}
+                          value={managerResponses.categoryResponses[category.id]?.[question.id]?.managerAnswer}
+                          onChange={(value) => handleManagerResponse(category.id, question.id, 'managerAnswer', value)}
+                          disabled={isReadOnly}
+                        />
+                      )}
+
+                      {isRatedQuestion(question) && (
                       <div>
                         <div className="flex items-center justify-between mb-2">
                           <label className="block text-sm font-medium text-gray-700">
-                            Rating (1-{template.scoringSystem === '1-5' ? '5' : '10'})
+                            Rating ({describeScaleRange(scale)})
                           </label>
                           <span className="text-lg font-semibold text-indigo-600 min-w-[3rem] text-center">
-                            {managerResponses.categoryResponses[category.id]?.[question.id]?.managerRating || '—'}
+                            {formatScaleScore(managerResponses.categoryResponses[category.id]?.[question.id]?.managerRating, scale)}
                           </span>
                         </div>
-                        <div className="px-2">
-                          <input
-                            type="range"
-                            min={1}
-                            max={template.scoringSystem === '1-5' ? 5 : 10}
-                            step={0.5}
-                            value={managerResponses.categoryResponses[category.id]?.[question.id]?.managerRating || 1}
-                            onChange={isReadOnly ? undefined : (e) => handleManagerResponse(category.id, question.id, 'managerRating', parseFloat(e.target.value))}
-                            disabled={isReadOnly}
-                            className={`w-full h-2 bg-gray-200 rounded-lg appearance-none slider ${isReadOnly ? 'cursor-not-allowed opacity-60' : 'cursor-pointer'}`}
-                            style={{
-                              background: `linear-gradient(to right, #6366f1 0%, #6366f1 ${
-                                ((managerResponses.categoryResponses[category.id]?.[question.id]?.managerRating || 1) - 1) / 
-                                ((template.scoringSystem === '1-5' ? 5 : 10) - 1) * 100
-                              }%, #e5e7eb ${
-                                ((managerResponses.categoryResponses[category.id]?.[question.id]?.managerRating || 1) - 1) / 
-                                ((template.scoringSystem === '1-5' ? 5 : 10) - 1) * 100
-                              }%, #e5e7eb 100%)`
-                            }}
-                          />
-                        </div>
+                        <RatingInput
+                          scale={scale}
+                          value={managerResponses.categoryResponses[category.id]?.[question.id]?.managerRating}
+                          onChange={(value) => handleManagerResponse(category.id, question.id, 'managerRating', value)}
+                          disabled={isReadOnly}
+                        />
                       </div>
+                      )}
                       
                       <div>
                         <label className="block text-sm font-medium text-gray-700 mb-2">
@@ -589,40 +659,27 @@ const EvaluationReviewPage = () => {
                       </div>
                     </div>
                     
-                    {/* Target Setting */}
+                    {/* Target Setting - targets are set on the rating scale */}
+                    {isRatedQuestion(question) && (
                     <div className="space-y-4">
                       <h4 className="text-lg font-medium text-gray-900">Next Period Target</h4>
                       
                       <div>
                         <div className="flex items-center justify-between mb-2">
                           <label className="block text-sm font-medium text-gray-700">
-                            Target Rating (1-{template.scoringSystem === '1-5' ? '5' : '10'})
+                            Target Rating ({describeScaleRange(scale)})
                           </label>
                           <span className="text-lg font-semibold text-green-600 min-w-[3rem] text-center">
-                            {managerResponses.targets[category.id]?.[question.id]?.target || '—'}
+                            {formatScaleScore(managerResponses.targets[category.id]?.[question.id]?.target, scale)}
                           </span>
                         </div>
-                        <div className="px-2">
-                          <input
-                            type="range"
-                            min={1}
-                            max={template.scoringSystem === '1-5' ? 5 : 10}
-                            step={0.5}
-                            value={managerResponses.targets[category.id]?.[question.id]?.target || 1}
-                            onChange={isReadOnly ? undefined : (e) => handleTargetResponse(category.id, question.id, 'target', parseFloat(e.target.value))}
-                            disabled={isReadOnly}
-                            className={`w-full h-2 bg-gray-200 rounded-lg appearance-none slider ${isReadOnly ? 'cursor-not-allowed opacity-60' : 'cursor-pointer'}`}
-                            style={{
-                              background: `linear-gradient(to right, #22c55e 0%, #22c55e ${
-                                ((managerResponses.targets[category.id]?.[question.id]?.target || 1) - 1) / 
-                                ((template.scoringSystem === '1-5' ? 5 : 10) - 1) * 100
-                              }%, #e5e7eb ${
-                                ((managerResponses.targets[category.id]?.[question.id]?.target || 1) - 1) / 
-                                ((template.scoringSystem === '1-5' ? 5 : 10) - 1) * 100
-                              }%, #e5e7eb 100%)`
-                            }}
-                          />
-                        </div>
+                        <RatingInput
+                          scale={scale}
+                          value={managerResponses.targets[category.id]?.[question.id]?.target}
+                          onChange={(value) => handleTargetResponse(category.id, question.id, 'target', value)}
+                          disabled={isReadOnly}
+                          color="#22c55e"
+                        />
                       </div>
                       
                       <div>
@@ -639,6 +696,7 @@ const EvaluationReviewPage = () => {
                         />
                       </div>
                     </div>
+                    )}
                   </div>
                 </div>
               );
@@ -659,10 +717,7 @@ const EvaluationReviewPage = () => {
               </label>
               <div className="text-right">
                 <span className="text-2xl font-bold text-indigo-600">
-                  {calculateAggregateScore()}
-                </span>
-                <span className="text-sm text-gray-500 ml-1">
-                  / {template.scoringSystem === '1-5' ? '5' : '10'}
+                  {formatScaleScore(calculateAggregateScore(), scale)}
                 </span>
               </div>
             </div>
@@ -670,27 +725,22 @@ const EvaluationReviewPage = () => {
               <div
                 className="w-full h-3 bg-gray-200 rounded-lg relative"
                 style={{
-                  background: `linear-gradient(to right, #6366f1 0%, #6366f1 ${
-                    ((calculateAggregateScore()) - 1) / 
-                    ((template.scoringSystem === '1-5' ? 5 : 10) - 1) * 100
-                  }%, #e5e7eb ${
-                    ((calculateAggregateScore()) - 1) / 
-                    ((template.scoringSystem === '1-5' ? 5 : 10) - 1) * 100
-                  }%, #e5e7eb 100%)`
+                  background: `linear-gradient(to right, #6366f1 0%, #6366f1 ${aggregatePercent}%, #e5e7eb ${aggregatePercent}%, #e5e7eb 100%)`
                 }}
               >
                 <div
                   className="absolute top-1/2 transform -translate-y-1/2 w-5 h-5 bg-indigo-600 rounded-full border-2 border-white shadow-md"
                   style={{
-                    left: `${((calculateAggregateScore()) - 1) / 
-                      ((template.scoringSystem === '1-5' ? 5 : 10) - 1) * 100}%`,
+                    left: `${aggregatePercent}%`,
                     transform: 'translateX(-50%) translateY(-50%)'
                   }}
                 />
               </div>
             </div>
             <p className="text-xs text-gray-500 mt-1">
-              This score is automatically calculated as the average of all your individual question ratings.
+              {isReadOnly
+                ? 'Weighted by the category and question weights of the template.'
+                : 'Preview weighted by category and question weights. The final score is calculated when you complete the review.'}
             </p>
           </div>
           
@@ -768,6 +818,16 @@ const EvaluationReviewPage = () => {
                   )}
                 </Button>
                 
+                <Button
+                  onClick={() => setShowReturnModal(true)}
+                  variant="outline"
+                  size="lg"
+                  disabled={submitting || saving}
+                >
+                  <ArrowUturnLeftIcon className="h-5 w-5 mr-2" />
+                  Return to Employee
+                </Button>
+
                 <Button
                   onClick={handleSubmitReview}
                   size="lg"
@@ -792,6 +852,35 @@ const EvaluationReviewPage = () => {
         </div>
       </Card>
 
+      {/* Return to Employee Modal */}
+      <Modal
+        isOpen={showReturnModal}
+        onClose={() => setShowReturnModal(false)}
+        title="Return to Employee"
+      >
+        <div className="space-y-4">
+          <p className="text-sm text-gray-600">
+            The self-assessment will be reopened so the employee can revise and resubmit it.
+            Your review progress is kept.
+          </p>
+          <TextArea
+            label="Reason *"
+            rows={4}
+            value={returnReason}
+            onChange={(e) => setReturnReason(e.target.value)}
+            placeholder="Explain what the employee should change..."
+          />
+          <div className="flex justify-end space-x-3">
+            <Button variant="outline" onClick={() => setShowReturnModal(false)} disabled={submitting}>
+              Cancel
+            </Button>
+            <Button onClick={handleReturnToEmployee} disabled={submitting || !returnReason.trim()}>
+              {submitting ? 'Returning...' : 'Return Evaluation'}
+            </Button>
+          </div>
+        </div>
+      </Modal>
+
       {/* Slider CSS */}
       <style>{`
         .slider::-webkit-slider-thumb {
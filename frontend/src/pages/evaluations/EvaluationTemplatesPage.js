@@ -7,23 +7,41 @@ import {
   EyeIcon,
   DocumentTextIcon,
   ArrowPathIcon,
-  ClipboardDocumentListIcon
+  ClipboardDocumentListIcon,
+  CloudArrowUpIcon,
+  ClockIcon,
+  ArrowDownTrayIcon,
+  ArrowUpTrayIcon,
+  BookOpenIcon
 } from '@heroicons/react/24/outline';
 
 // Utils
 import { formatDate } from '../../utils/dateUtils';
+import { DEFAULT_RATING_SCALE, resolveRatingScale, validateRatingScale } from '../../utils/ratingScales';
+import {
+  QUESTION_TYPES,
+  createQuestionConfig,
+  cleanQuestionConfig,
+  validateQuestionConfig,
+  getQuestionTypeLabel
+} from '../../utils/questionTypes';
+import { getPrecedingQuestions, hasDisplayRules, validateDisplayRules, describeDisplayRules } from '../../utils/displayRules';
+import { exportTemplateFile, getTemplateFileName } from '../../utils/templateTransfer';
+import { downloadFile } from '../../utils/spreadsheetUtils';
 
 import {
   fetchEvaluationTemplates,
   createEvaluationTemplate,
   updateEvaluationTemplate,
   deleteEvaluationTemplate,
+  publishTemplateVersion,
   selectEvaluationTemplates,
   selectTemplatesLoading,
   selectEvaluationsError,
   clearError
 } from '../../store/slices/evaluationSlice';
 import { selectUser } from '../../store/slices/authSlice';
+import { fetchDepartments, selectDepartments } from '../../store/slices/departmentSlice';
 import { 
   Card, 
   Button, 
@@ -33,6 +51,13 @@ import {
   Badge, 
   LoadingSpinner 
 } from '../../components/common';
+import {
+  RatingScaleEditor,
+  QuestionConfigEditor,
+  TemplateVersionHistory,
+  DisplayRulesEditor,
+  TemplateImport
+} from '../../components/evaluations';
 
 const EvaluationTemplatesPage = () => {
   const dispatch = useDispatch();
@@ -40,11 +65,18 @@ const EvaluationTemplatesPage = () => {
   const templates = useSelector(selectEvaluationTemplates);
   const loading = useSelector(selectTemplatesLoading);
   const error = useSelector(selectEvaluationsError);
+  const departments = useSelector(selectDepartments);
 
   const [showCreateModal, setShowCreateModal] = useState(false);
   const [showEditModal, setShowEditModal] = useState(false);
   const [showViewModal, setShowViewModal] = useState(false);
   const [showDeleteModal, setShowDeleteModal] = useState(false);
+  const [showPublishModal, setShowPublishModal] = useState(false);
+  const [showVersionsModal, setShowVersionsModal] = useState(false);
+  const [publishNotes, setPublishNotes] = useState('');
+  const [publishing, setPublishing] = useState(false);
+  // 'file' or 'library' while the import modal is open
+  const [importSource, setImportSource] = useState(null);
 
   const [selectedTemplate, setSelectedTemplate] = useState(null);
   const [searchTerm, setSearchTerm] = useState('');
@@ -56,6 +88,7 @@ const EvaluationTemplatesPage = () => {
     categories: [], // Array of {name, weight, questions: []}
     freeTextQuestions: [], // Array of open-ended questions
     instructions: '',
+    ratingScale: DEFAULT_RATING_SCALE,
     isActive: true
   });
 
@@ -66,6 +99,8 @@ const EvaluationTemplatesPage = () => {
         businessId: currentUser.businessId,
         includeInactive: true 
       }));
+      // Department names for display rules
+      dispatch(fetchDepartments(currentUser.businessId));
     }
   }, [dispatch, currentUser]);
 
@@ -79,23 +114,81 @@ const EvaluationTemplatesPage = () => {
     }
   }, [error, dispatch]);
 
+  // Returns the canonical scale, or null after telling the user what is wrong with it
+  const getValidRatingScale = () => {
+    const { scale, errors } = validateRatingScale(templateForm.ratingScale);
+    if (!scale) {
+      alert('Please fix the rating scale: ' + errors.join(', '));
+    }
+    return scale;
+  };
+
+  // Question rows in the form hold the text, the type and the type's settings
+  const updateQuestion = (categoryIndex, questionIndex, question) => {
+    const newCategories = [...templateForm.categories];
+    newCategories[categoryIndex].questions[questionIndex] = question;
+    setTemplateForm({ ...templateForm, categories: newCategories });
+  };
+
+  // Questions keep their id from creation so display rules can refer to them
+  const createFormQuestion = (categoryId) => ({ id: `${categoryId}_q${Date.now()}`, text: '', type: 'rating' });
+
+  const updateCategoryRules = (categoryIndex, displayRules) => {
+    const newCategories = [...templateForm.categories];
+    newCategories[categoryIndex] = { ...newCategories[categoryIndex], displayRules };
+    setTemplateForm({ ...templateForm, categories: newCategories });
+  };
+
+  // Firestore rejects undefined, so empty rule sets are left off entirely
+  const withDisplayRules = ({ displayRules, ...item }) => (
+    hasDisplayRules(displayRules) ? { ...item, displayRules } : item
+  );
+
+  const buildQuestions = (category) => (Array.isArray(category.questions) ? category.questions : [])
+    .filter(q => q?.text?.trim()) // Remove empty questions
+    .map((question, index) => cleanQuestionConfig(withDisplayRules({
+      ...question,
+      id: question.id || `${category.id || 'new'}_q${index}`,
+      type: question.type || 'rating',
+      required: true,
+      weight: 1 // Equal weight for all questions in a category
+    })));
+
+  // Returns false after telling the user which questions or display rules need fixing
+  const validateQuestions = () => {
+    const categories = templateForm.categories;
+    const ruleProblems = (label, rules, preceding) => validateDisplayRules(rules, preceding)
+      .map(error => `${label} display rule: ${error}`);
+
+    const problems = categories.flatMap(category => [
+      ...ruleProblems(`Category "${category.name}"`, category.displayRules, getPrecedingQuestions(categories, category.id)),
+      ...(category.questions || [])
+        .filter(q => q?.text?.trim())
+        .flatMap(question => [
+          ...validateQuestionConfig(question).map(error => `"${question.text}": ${error}`),
+          ...ruleProblems(`"${question.text}"`, question.displayRules, getPrecedingQuestions(categories, category.id, question.id))
+        ])
+    ]);
+    if (problems.length > 0) {
+      alert('Please fix these questions:\n' + problems.join('\n'));
+      return false;
+    }
+    return true;
+  };
+
   const handleCreateTemplate = async () => {
+    const ratingScale = getValidRatingScale();
+    if (!ratingScale || !validateQuestions()) return;
+
     try {
       // Transform categories to proper structure for evaluation form
-      const transformedCategories = templateForm.categories.map(category => ({
+      const transformedCategories = templateForm.categories.map(category => withDisplayRules({
         id: category.id.toString(),
         name: category.name,
         weight: category.weight,
         description: '', // No description in simplified version
-        questions: category.questions
-          .filter(q => q.trim()) // Remove empty questions
-          .map((question, index) => ({
-            id: `${category.id}_q${index}`,
-            text: question,
-            type: 'rating', // All questions are rating type (1-5 scale)
-            required: true,
-            weight: 1 // Equal weight for all questions in a category
-          }))
+        questions: buildQuestions(category),
+        displayRules: category.displayRules
       })).filter(category => category.name.trim() && category.questions.length > 0); // Only include categories with name and questions
 
       // Transform free text questions
@@ -117,7 +210,8 @@ const EvaluationTemplatesPage = () => {
         categories: transformedCategories,
         freeTextQuestions: transformedFreeTextQuestions,
         type: 'evaluation', // Simplified - no complex types
-        scoringSystem: '1-5', // Fixed to 1-5 scale
+        scoringSystem: ratingScale.id,
+        ratingScale,
         businessId: currentUser.businessId,
         createdBy: currentUser.id,
         isActive: true
@@ -139,30 +233,21 @@ const EvaluationTemplatesPage = () => {
   };
 
   const handleEditTemplate = async () => {
+    const ratingScale = getValidRatingScale();
+    if (!ratingScale || !validateQuestions()) return;
+
     try {
       console.log('Current template form:', templateForm); // Debug log
 
       // Transform categories to proper structure for evaluation form
-      const transformedCategories = (templateForm.categories || []).map(category => {
-        // Ensure questions is always an array
-        const questions = Array.isArray(category.questions) ? category.questions : [];
-        
-        return {
-          id: category.id ? category.id.toString() : `cat_${Date.now()}`,
-          name: category.name || '',
-          weight: parseInt(category.weight) || 25,
-          description: '', // No description in simplified version
-          questions: questions
-            .filter(q => q && q.trim()) // Remove empty questions
-            .map((question, index) => ({
-              id: `${category.id || 'new'}_q${index}`,
-              text: question,
-              type: 'rating', // All questions are rating type (1-5 scale)
-              required: true,
-              weight: 1 // Equal weight for all questions in a category
-            }))
-        };
-      }).filter(category => category.name.trim() && category.questions.length > 0);
+      const transformedCategories = (templateForm.categories || []).map(category => withDisplayRules({
+        id: category.id ? category.id.toString() : `cat_${Date.now()}`,
+        name: category.name || '',
+        weight: parseInt(category.weight) || 25,
+        description: '', // No description in simplified version
+        questions: buildQuestions(category),
+        displayRules: category.displayRules
+      })).filter(category => category.name.trim() && category.questions.length > 0);
 
       // Transform free text questions
       const transformedFreeTextQuestions = (templateForm.freeTextQuestions || [])
@@ -183,7 +268,8 @@ const EvaluationTemplatesPage = () => {
         categories: transformedCategories,
         freeTextQuestions: transformedFreeTextQuestions,
         type: 'evaluation', // Simplified - no complex types
-        scoringSystem: '1-5', // Fixed to 1-5 scale
+        scoringSystem: ratingScale.id,
+        ratingScale,
         businessId: currentUser.businessId,
         isActive: templateForm.isActive !== false, // Default to true if undefined
         updatedAt: new Date().toISOString()
@@ -231,6 +317,61 @@ const EvaluationTemplatesPage = () => {
     }
   };
 
+  const handlePublishTemplate = async () => {
+    setPublishing(true);
+    try {
+      const { version } = await dispatch(publishTemplateVersion({
+        templateId: selectedTemplate.id,
+        notes: publishNotes
+      })).unwrap();
+
+      alert(`Published version ${version} of "${selectedTemplate.name}". New evaluations will use it.`);
+      setShowPublishModal(false);
+      setSelectedTemplate(null);
+    } catch (error) {
+      console.error('Error publishing template:', error);
+      alert('Failed to publish template: ' + error);
+    } finally {
+      setPublishing(false);
+    }
+  };
+
+  // Imported and cloned templates are created as drafts, like templates built by hand
+  const handleImportTemplate = async (template, { replaceTemplateId }) => {
+    try {
+      if (replaceTemplateId) {
+        await dispatch(updateEvaluationTemplate({
+          businessId: currentUser.businessId,
+          templateId: replaceTemplateId,
+          updates: template
+        })).unwrap();
+      } else {
+        await dispatch(createEvaluationTemplate({
+          ...template,
+          businessId: currentUser.businessId,
+          createdBy: currentUser.id,
+          isActive: true
+        })).unwrap();
+      }
+
+      await dispatch(fetchEvaluationTemplates({
+        businessId: currentUser.businessId,
+        includeInactive: true
+      }));
+
+      setImportSource(null);
+      alert(`"${template.name}" was imported as a draft. Review it and publish it before assigning evaluations.`);
+    } catch (error) {
+      console.error('Error importing template:', error);
+      alert('Failed to import template: ' + error);
+    }
+  };
+
+  const handleExportTemplate = (template) => {
+    const file = exportTemplateFile(template, departments);
+    downloadFile(JSON.stringify(file, null, 2), getTemplateFileName(template), 'application/json');
+  };
+
   const resetForm = () => {
     setTemplateForm({
       name: '',
@@ -238,6 +379,7 @@ const EvaluationTemplatesPage = () => {
       categories: [],
       freeTextQuestions: [],
       instructions: '',
+      ratingScale: DEFAULT_RATING_SCALE,
       isActive: true
     });
   };
@@ -252,7 +394,8 @@ const EvaluationTemplatesPage = () => {
       id: category.id,
       name: category.name,
       weight: category.weight || 25,
-      questions: category.questions.map(q => q.text) // Extract just the question text
+      displayRules: category.displayRules || null,
+      questions: (category.questions || []).map(q => ({ ...q, type: q.type || 'rating' }))
     }));
 
     // Transform free text questions back to editable format
@@ -264,6 +407,7 @@ const EvaluationTemplatesPage = () => {
       categories: transformedCategories,
       freeTextQuestions: transformedFreeTextQuestions,
       instructions: template.instructions || '',
+      ratingScale: resolveRatingScale(template),
       isActive: template.isActive
     });
     
@@ -277,11 +421,37 @@ const EvaluationTemplatesPage = () => {
     setShowViewModal(true);
   };
 
+  const openPublishModal = (template) => {
+    setSelectedTemplate(template);
+    setPublishNotes('');
+    setShowPublishModal(true);
+  };
+
+  const openVersionsModal = (template) => {
+    setSelectedTemplate(template);
+    setShowVersionsModal(true);
+  };
+
   const openDeleteModal = (template) => {
     setSelectedTemplate(template);
     setShowDeleteModal(true);
   };
 
+  // Templates saved before versioning have no publishedVersion; they are published on first use
+  const getVersionBadge = (template) => {
+    if (template.publishedVersion === null) {
+      return <Badge variant="warning" size="small">Draft</Badge>;
+    }
+    if (!template.publishedVersion) {
+      return null;
+    }
+    return (
+      <Badge variant={template.hasUnpublishedChanges ? 'warning' : 'secondary'} size="small">
+        v{template.publishedVersion}{template.hasUnpublishedChanges ? ' · unpublished changes' : ''}
+      </Badge>
+    );
+  };
+
   // Filter templates based on search only
   const filteredTemplates = templates.filter(template => {
     const matchesSearch = template.name.toLowerCase().includes(searchTerm.toLowerCase()) ||
@@ -327,6 +497,24 @@ const EvaluationTemplatesPage = () => {
             Refresh
           </Button>
 
+          <Button
+            variant="outline"
+            onClick={() => setImportSource('library')}
+            className="inline-flex items-center"
+          >
+            <BookOpenIcon className="h-5 w-5 mr-2" />
+            Template Library
+          </Button>
+
+          <Button
+            variant="outline"
+            onClick={() => setImportSource('file')}
+            className="inline-flex items-center"
+          >
+            <ArrowUpTrayIcon className="h-5 w-5 mr-2" />
+            Import
+          </Button>
+
           <Button
             onClick={() => setShowCreateModal(true)}
             className="inline-flex items-center"
@@ -374,7 +562,8 @@ const EvaluationTemplatesPage = () => {
                     <Badge color={template.isActive ? 'green' : 'red'} size="sm">
                       {template.isActive ? 'Active' : 'Inactive'}
                     </Badge>
-                    <span className="text-sm text-gray-500">1-5 Scale</span>
+                    {getVersionBadge(template)}
+                    <span className="text-sm text-gray-500">{resolveRatingScale(template).name}</span>
                   </div>
                 </div>
               </div>
@@ -390,7 +579,7 @@ const EvaluationTemplatesPage = () => {
                 <span className="font-medium">{template.categories?.length || 0}</span>
               </div>
               <div className="flex justify-between text-sm">
-                <span className="text-gray-500">Rating Questions:</span>
+                <span className="text-gray-500">Category Questions:</span>
                 <span className="font-medium">
                   {template.categories?.reduce((total, cat) => total + (cat.questions?.length || 0), 0) || 0}
                 </span>
@@ -420,6 +609,31 @@ const EvaluationTemplatesPage = () => {
                 <PencilIcon className="h-4 w-4 mr-1" />
                 Edit
               </Button>
+              <Button
+                variant="outline"
+                size="sm"
+                onClick={() => openPublishModal(template)}
+                disabled={template.publishedVersion !== null && template.publishedVersion !== undefined && !template.hasUnpublishedChanges}
+                title="Publish"
+              >
+                <CloudArrowUpIcon className="h-4 w-4" />
+              </Button>
+              <Button
+                variant="outline"
+                size="sm"
+                onClick={() => openVersionsModal(template)}
+                title="Version history"
+              >
+                <ClockIcon className="h-4 w-4" />
+              </Button>
+              <Button
+                variant="outline"
+                size="sm"
+                onClick={() => handleExportTemplate(template)}
+                title="Export as JSON"
+              >
+                <ArrowDownTrayIcon className="h-4 w-4" />
+              </Button>
               <Button
                 variant="outline"
                 size="sm"
@@ -444,10 +658,16 @@ const EvaluationTemplatesPage = () => {
             }
           </p>
           {templates.length === 0 && (
-            <Button onClick={() => setShowCreateModal(true)}>
-              <PlusIcon className="h-5 w-5 mr-2" />
-              Create First Template
-            </Button>
+            <div className="flex justify-center space-x-3">
+              <Button onClick={() => setShowCreateModal(true)}>
+                <PlusIcon className="h-5 w-5 mr-2" />
+                Create First Template
+              </Button>
+              <Button variant="outline" onClick={() => setImportSource('library')}>
+                <BookOpenIcon className="h-5 w-5 mr-2" />
+                Start from the Library
+              </Button>
+            </div>
           )}
         </div>
       )}
@@ -485,6 +705,11 @@ const EvaluationTemplatesPage = () => {
               placeholder="Instructions for employees completing this evaluation"
               rows={2}
             />
+
+            <RatingScaleEditor
+              value={templateForm.ratingScale}
+              onChange={(ratingScale) => setTemplateForm({ ...templateForm, ratingScale })}
+            />
           </div>
 
           {/* Categories Section */}
@@ -495,11 +720,12 @@ const EvaluationTemplatesPage = () => {
                 size="sm"
                 variant="outline"
                 onClick={() => {
+                  const id = Date.now();
                   const newCategory = {
-                    id: Date.now(),
+                    id,
                     name: '',
                     weight: 25,
-                    questions: ['']
+                    questions: [createFormQuestion(id)]
                   };
                   setTemplateForm({
                     ...templateForm,
@@ -562,16 +788,23 @@ const EvaluationTemplatesPage = () => {
                     </Button>
                   </div>
 
+                  <DisplayRulesEditor
+                    rules={category.displayRules}
+                    onChange={(displayRules) => updateCategoryRules(categoryIndex, displayRules)}
+                    preceding={getPrecedingQuestions(templateForm.categories, category.id)}
+                    departments={departments}
+                  />
+
                   {/* Questions */}
                   <div className="pl-4 border-l-2 border-gray-100">
                     <div className="flex items-center justify-between mb-2">
-                      <label className="text-sm font-medium text-gray-700">Questions (1-5 rating scale)</label>
+                      <label className="text-sm font-medium text-gray-700">Questions (ratings use: {templateForm.ratingScale.name})</label>
                       <Button
                         size="sm"
                         variant="ghost"
                         onClick={() => {
                           const newCategories = [...templateForm.categories];
-                          newCategories[categoryIndex].questions.push('');
+                          newCategories[categoryIndex].questions.push(createFormQuestion(category.id));
                           setTemplateForm({ ...templateForm, categories: newCategories });
                         }}
                       >
@@ -581,28 +814,54 @@ const EvaluationTemplatesPage = () => {
                     </div>
                     
                     {category.questions.map((question, questionIndex) => (
-                      <div key={questionIndex} className="flex items-center space-x-2 mb-2">
-                        <Input
-                          placeholder={`Question ${questionIndex + 1}`}
-                          value={question}
-                          onChange={(e) => {
-                            const newCategories = [...templateForm.categories];
-                            newCategories[categoryIndex].questions[questionIndex] = e.target.value;
-                            setTemplateForm({ ...templateForm, categories: newCategories });
-                          }}
-                        />
-                        <Button
-                          size="sm"
-                          variant="ghost"
-                          onClick={() => {
-                            const newCategories = [...templateForm.categories];
-                            newCategories[categoryIndex].questions = category.questions.filter((_, i) => i !== questionIndex);
-                            setTemplateForm({ ...templateForm, categories: newCategories });
-                          }}
-                          className="text-red-600 hover:text-red-700"
-                        >
-                          <TrashIcon className="h-3 w-3" />
-                        </Button>
+                      <div key={questionIndex} className="mb-3">
+                        <div className="flex items-center space-x-2">
+                          <Input
+                            className="flex-1"
+                            placeholder={`Question ${questionIndex + 1}`}
+                            value={question.text}
+                            onChange={(e) => updateQuestion(categoryIndex, questionIndex, { ...question, text: e.target.value })}
+                          />
+                          <select
+                            value={question.type}
+                            onChange={(e) => updateQuestion(categoryIndex, questionIndex, {
+                              id: question.id,
+                              text: question.text,
+                              displayRules: question.displayRules || null,
+                              type: e.target.value,
+                              ...createQuestionConfig(e.target.value)
+                            })}
+                            className="rounded-md border-gray-300 text-sm"
+                          >
+                            {QUESTION_TYPES.map(type => (
+                              <option key={type.value} value={type.value}>{type.label}</option>
+                            ))}
+                          </select>
+                          <Button
+                            size="sm"
+                            variant="ghost"
+                            onClick={() => {
+                              const newCategories = [...templateForm.categories];
+                              newCategories[categoryIndex].questions = category.questions.filter((_, i) => i !== questionIndex);
+                              setTemplateForm({ ...templateForm, categories: newCategories });
+                            }}
+                            className="text-red-600 hover:text-red-700"
+                          >
+                            <TrashIcon className="h-3 w-3" />
+                          </Button>
+                        </div>
+                        <div className="mt-2 pl-2 space-y-2">
+                          <QuestionConfigEditor
+                            question={question}
+                            onChange={(updated) => updateQuestion(categoryIndex, questionIndex, updated)}
+                          />
+                          <DisplayRulesEditor
+                            rules={question.displayRules}
+                            onChange={(displayRules) => updateQuestion(categoryIndex, questionIndex, { ...question, displayRules })}
+                            preceding={getPrecedingQuestions(templateForm.categories, category.id, question.id)}
+                            departments={departments}
+                          />
+                        </div>
                       </div>
                     ))}
                   </div>
@@ -717,6 +976,11 @@ const EvaluationTemplatesPage = () => {
               placeholder="Instructions for employees completing this evaluation"
               rows={2}
             />
+
+            <RatingScaleEditor
+              value={templateForm.ratingScale}
+              onChange={(ratingScale) => setTemplateForm({ ...templateForm, ratingScale })}
+            />
           </div>
 
           {/* Categories Section */}
@@ -727,11 +991,12 @@ const EvaluationTemplatesPage = () => {
                 size="sm"
                 variant="outline"
                 onClick={() => {
+                  const id = Date.now();
                   const newCategory = {
-                    id: Date.now(),
+                    id,
                     name: '',
                     weight: 25,
-                    questions: ['']
+                    questions: [createFormQuestion(id)]
                   };
                   setTemplateForm({
                     ...templateForm,
@@ -794,16 +1059,23 @@ const EvaluationTemplatesPage = () => {
                     </Button>
                   </div>
 
+                  <DisplayRulesEditor
+                    rules={category.displayRules}
+                    onChange={(displayRules) => updateCategoryRules(categoryIndex, displayRules)}
+                    preceding={getPrecedingQuestions(templateForm.categories, category.id)}
+                    departments={departments}
+                  />
+
                   {/* Questions */}
                   <div className="pl-4 border-l-2 border-gray-100">
                     <div className="flex items-center justify-between mb-2">
-                      <label className="text-sm font-medium text-gray-700">Questions (1-5 rating scale)</label>
+                      <label className="text-sm font-medium text-gray-700">Questions (ratings use: {templateForm.ratingScale.name})</label>
                       <Button
                         size="sm"
                         variant="ghost"
                         onClick={() => {
                           const newCategories = [...templateForm.categories];
-                          newCategories[categoryIndex].questions.push('');
+                          newCategories[categoryIndex].questions.push(createFormQuestion(category.id));
                           setTemplateForm({ ...templateForm, categories: newCategories });
                         }}
                       >
@@ -813,28 +1085,54 @@ const EvaluationTemplatesPage = () => {
                     </div>
                     
                     {category.questions.map((question, questionIndex) => (
-                      <div key={questionIndex} className="flex items-center space-x-2 mb-2">
-                        <Input
-                          placeholder={`Question ${questionIndex + 1}`}
-                          value={question}
-                          onChange={(e) => {
-                            const newCategories = [...templateForm.categories];
-                            newCategories[categoryIndex].questions[questionIndex] = e.target.value;
-                            setTemplateForm({ ...templateForm, categories: newCategories });
-                          }}
-                        />
-                        <Button
-                          size="sm"
-                          variant="ghost"
-                          onClick={() => {
-                            const newCategories = [...templateForm.categories];
-                            newCategories[categoryIndex].questions = category.questions.filter((_, i) => i !== questionIndex);
-                            setTemplateForm({ ...templateForm, categories: newCategories });
-                          }}
-                          className="text-red-600 hover:text-red-700"
-                        >
-                          <TrashIcon className="h-3 w-3" />
-                        </Button>
+                      <div key={questionIndex} className="mb-3">
+                        <div className="flex items-center space-x-2">
+                          <Input
+                            className="flex-1"
+                            placeholder={`Question ${questionIndex + 1}`}
+                            value={question.text}
+                            onChange={(e) => updateQuestion(categoryIndex, questionIndex, { ...question, text: e.target.value })}
+                          />
+                          <select
+                            value={question.type}
+                            onChange={(e) => updateQuestion(categoryIndex, questionIndex, {
+                              id: question.id,
+                              text: question.text,
+                              displayRules: question.displayRules || null,
+                              type: e.target.value,
+                              ...createQuestionConfig(e.target.value)
+                            })}
+                            className="rounded-md border-gray-300 text-sm"
+                          >
+                            {QUESTION_TYPES.map(type => (
+                              <option key={type.value} value={type.value}>{type.label}</option>
+                            ))}
+                          </select>
+                          <Button
+                            size="sm"
+                            variant="ghost"
+                            onClick={() => {
+                              const newCategories = [...templateForm.categories];
+                              newCategories[categoryIndex].questions = category.questions.filter((_, i) => i !== questionIndex);
+                              setTemplateForm({ ...templateForm, categories: newCategories });
+                            }}
+                            className="text-red-600 hover:text-red-700"
+                          >
+                            <TrashIcon className="h-3 w-3" />
+                          </Button>
+                        </div>
+                        <div className="mt-2 pl-2 space-y-2">
+                          <QuestionConfigEditor
+                            question={question}
+                            onChange={(updated) => updateQuestion(categoryIndex, questionIndex, updated)}
+                          />
+                          <DisplayRulesEditor
+                            rules={question.displayRules}
+                            onChange={(displayRules) => updateQuestion(categoryIndex, questionIndex, { ...question, displayRules })}
+                            preceding={getPrecedingQuestions(templateForm.categories, category.id, question.id)}
+                            departments={departments}
+                          />
+                        </div>
                       </div>
                     ))}
                   </div>
@@ -915,6 +1213,11 @@ const EvaluationTemplatesPage = () => {
             </label>
           </div>
 
+          <p className="text-sm text-gray-500">
+            Changes are saved to the draft. Evaluations keep the version they were created from;
+            publish the template for new evaluations to pick up these changes.
+          </p>
+
           <div className="flex justify-end space-x-3 pt-4 border-t">
             <Button variant="outline" onClick={() => setShowEditModal(false)}>
               Cancel
@@ -956,7 +1259,7 @@ const EvaluationTemplatesPage = () => {
               </div>
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-1">Scoring System</label>
-                <p className="text-gray-900">1-5 Scale</p>
+                <p className="text-gray-900">{resolveRatingScale(selectedTemplate).name}</p>
               </div>
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-1">Categories</label>
@@ -1004,6 +1307,14 @@ const EvaluationTemplatesPage = () => {
                         <div>
                           <h4 className="font-medium text-gray-900">{category.name}</h4>
                           <p className="text-sm text-gray-600">{category.description}</p>
+                          {hasDisplayRules(category.displayRules) && (
+                            <p className="text-xs text-indigo-700 mt-1">
+                              {describeDisplayRules(category.displayRules, {
+                                departments,
+                                questions: getPrecedingQuestions(selectedTemplate.categories, category.id)
+                              })}
+                            </p>
+                          )}
                         </div>
                         <div className="text-right text-sm">
                           <div className="text-gray-900 font-medium">Weight: {category.weight}%</div>
@@ -1036,7 +1347,7 @@ const EvaluationTemplatesPage = () => {
                                   </span>
                                 ) : (
                                   <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-indigo-100 text-indigo-800">
-                                    ❓ {question.type}
+                                    {getQuestionTypeLabel(question.type)}
                                   </span>
                                 )}
                               </div>
@@ -1048,6 +1359,24 @@ const EvaluationTemplatesPage = () => {
                                 Options: {question.options.join(', ')}
                               </div>
                             )}
+                            {question.type === 'kpi' && question.kpi && (
+                              <div className="mt-2 text-xs text-gray-600">
+                                Target: {question.kpi.target} {question.kpi.unit} ({question.kpi.higherIsBetter === false ? 'lower' : 'higher'} is better)
+                              </div>
+                            )}
+                            {question.type === 'competency' && question.levels?.length > 0 && (
+                              <ol className="mt-2 text-xs text-gray-600 list-decimal list-inside">
+                                {question.levels.map((level, index) => <li key={index}>{level}</li>)}
+                              </ol>
+                            )}
+                            {hasDisplayRules(question.displayRules) && (
+                              <div className="mt-2 text-xs text-indigo-700">
+                                {describeDisplayRules(question.displayRules, {
+                                  departments,
+                                  questions: getPrecedingQuestions(selectedTemplate.categories, category.id, question.id)
+                                })}
+                              </div>
+                            )}
                           </div>
                         ))}
                       </div>
@@ -1069,6 +1398,69 @@ const EvaluationTemplatesPage = () => {
         )}
       </Modal>
 
+      {/* Publish Modal */}
+      <Modal
+        isOpen={showPublishModal}
+        onClose={() => setShowPublishModal(false)}
+        title={`Publish "${selectedTemplate?.name || ''}"`}
+      >
+        <div className="space-y-4">
+          <p className="text-gray-700">
+            {selectedTemplate?.publishedVersion
+              ? `This publishes the current draft as version ${selectedTemplate.publishedVersion + 1}. `
+              : 'This publishes the current draft as the first version. '}
+            Published versions cannot be edited. Evaluations created from now on use the new version;
+            evaluations already in progress and cycles that have launched stay on their version.
+          </p>
+          <TextArea
+            label="Release notes (optional)"
+            rows={3}
+            value={publishNotes}
+            onChange={(e) => setPublishNotes(e.target.value)}
+            placeholder="What changed in this version?"
+          />
+          <div className="flex justify-end space-x-3">
+            <Button variant="outline" onClick={() => setShowPublishModal(false)}>
+              Cancel
+            </Button>
+            <Button onClick={handlePublishTemplate} disabled={publishing}>
+              {publishing ? 'Publishing...' : 'Publish'}
+            </Button>
+          </div>
+        </div>
+      </Modal>
+
+      {/* Version History Modal */}
+      <Modal
+        isOpen={showVersionsModal}
+        onClose={() => setShowVersionsModal(false)}
+        title={`Version history: ${selectedTemplate?.name || ''}`}
+        size="large"
+      >
+        {showVersionsModal && selectedTemplate && (
+          <TemplateVersionHistory template={selectedTemplate} businessId={currentUser?.businessId} />
+        )}
+      </Modal>
+
+      {/* Import / Template Library Modal */}
+      <Modal
+        isOpen={importSource !== null}
+        onClose={() => setImportSource(null)}
+        title={importSource === 'library' ? 'Template Library' : 'Import Template'}
+        size="large"
+      >
+        {importSource && (
+          <TemplateImport
+            key={importSource}
+            source={importSource}
+            templates={templates}
+            departments={departments}
+            onImport={handleImportTemplate}
+            onCancel={() => setImportSource(null)}
+          />
+        )}
+      </Modal>
+
       {/* Delete Confirmation Modal */}
       <Modal
         isOpen={showDeleteModal}
@@ -1091,7 +1483,7 @@ const EvaluationTemplatesPage = () => {
                   </p>
                   <ul className="list-disc list-inside mt-2">
                     <li>All categories and questions will be lost</li>
-                    <li>Any ongoing evaluations using this template will be affected</li>
+                    <li>Its version history will be lost; existing evaluations keep their own copy of the questions</li>
                     <li>This action cannot be undone</li>
                   </ul>
                 </div>
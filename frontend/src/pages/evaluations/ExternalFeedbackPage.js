@@ -0,0 +1,123 @@
+import React, { useEffect, useState } from 'react';
+import { useParams } from 'react-router-dom';
+
+// Services
+import { functionsService } from '../../firebase/services';
+
+// Components
+import { Card, LoadingSpinner } from '../../components/common';
+import { FeedbackForm } from '../../components/evaluations';
+
+// Icons
+import { CheckCircleIcon, ExclamationTriangleIcon } from '@heroicons/react/24/outline';
+
+// The functions service replaces server messages with generic ones, so explain by error code
+const FEEDBACK_LINK_ERRORS = {
+  'functions/not-found': 'This feedback link is invalid. Check that you copied the whole link from the email.',
+  'functions/deadline-exceeded': 'This feedback link has expired. Ask the person who invited you for a new one.',
+  'functions/failed-precondition': 'This feedback has already been submitted, or the review it belongs to is closed.',
+  'functions/invalid-argument': 'Some answers are missing or invalid. Please check the form and try again.'
+};
+
+const feedbackErrorMessage = (error, fallback) => FEEDBACK_LINK_ERRORS[error?.code] || error?.message || fallback;
+
+/**
+ * Feedback form for external reviewers, opened from the emailed link without signing in
+ */
+const ExternalFeedbackPage = () => {
+  const { token } = useParams();
+  const [data, setData] = useState(null);
+  const [loadError, setLoadError] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+  const [submitted, setSubmitted] = useState(false);
+
+  useEffect(() => {
+    const load = async () => {
+      const result = await functionsService.getExternalFeedbackRequest(token);
+      if (result.success) {
+        setData(result.data);
+      } else {
+        setLoadError(feedbackErrorMessage(result.error, 'Failed to load the feedback form'));
+      }
+    };
+
+    load();
+  }, [token]);
+
+  const handleSubmit = async (responses) => {
+    setSubmitting(true);
+    try {
+      const result = await functionsService.submitExternalFeedback(token, responses);
+      if (!result.success) {
+        throw result.error;
+      }
+      setSubmitted(true);
+    } catch (error) {
+      alert(feedbackErrorMessage(error, 'Failed to submit feedback'));
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const renderMessage = (icon, title, message) => (
+    <div className="min-h-screen flex flex-col justify-center py-12 sm:px-6 lg:px-8">
+      <div className="sm:mx-auto sm:w-full sm:max-w-md">
+        <Card className="py-8 px-4 shadow-elevation-2 sm:rounded-lg sm:px-10">
+          <div className="text-center">
+            {icon}
+            <h2 className="text-2xl font-bold text-gray-900 mb-2">{title}</h2>
+            <p className="text-gray-600">{message}</p>
+          </div>
+        </Card>
+      </div>
+    </div>
+  );
+
+  if (submitted) {
+    return renderMessage(
+      <CheckCircleIcon className="mx-auto h-16 w-16 text-green-500 mb-4" />,
+      'Thank you!',
+      'Your feedback has been submitted. You can close this page.'
+    );
+  }
+
+  if (loadError) {
+    return renderMessage(
+      <ExclamationTriangleIcon className="mx-auto h-16 w-16 text-yellow-500 mb-4" />,
+      'Feedback form unavailable',
+      loadError
+    );
+  }
+
+  if (!data) {
+    return (
+      <div className="min-h-screen flex justify-center items-center">
+        <LoadingSpinner size="lg" />
+      </div>
+    );
+  }
+
+  const { request, template } = data;
+
+  return (
+    <div className="min-h-screen py-12 px-4">
+      <div className="max-w-3xl mx-auto">
+        <div className="mb-6 text-center">
+          {request.businessName && <p className="text-sm text-gray-500 mb-1">{request.businessName}</p>}
+          <h1 className="text-2xl font-bold text-gray-900">Hi {request.raterName}, how is {request.evaluateeName} doing?</h1>
+        </div>
+        <Card className="p-6">
+          <FeedbackForm
+            template={template}
+            evaluateeName={request.evaluateeName}
+            evaluateeContext={request.evaluateeContext}
+            onSubmit={handleSubmit}
+            submitting={submitting}
+          />
+        </Card>
+      </div>
+    </div>
+  );
+};
+
+export default ExternalFeedbackPage;
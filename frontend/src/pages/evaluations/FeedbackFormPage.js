@@ -0,0 +1,126 @@
+import React, { useEffect, useState } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import { useDispatch, useSelector } from 'react-redux';
+
+// Redux
+import { selectUser } from '../../store/slices/authSlice';
+import { fetchEvaluationTemplate } from '../../store/slices/evaluationSlice';
+import { fetchFeedbackRequest, submitFeedback, selectFeedbackRequest } from '../../store/slices/feedbackSlice';
+
+// Components
+import { Card, Button, LoadingSpinner } from '../../components/common';
+import { FeedbackForm } from '../../components/evaluations';
+
+// Icons
+import { ArrowLeftIcon, CheckCircleIcon } from '@heroicons/react/24/outline';
+
+const FeedbackFormPage = () => {
+  const { requestId } = useParams();
+  const navigate = useNavigate();
+  const dispatch = useDispatch();
+  const user = useSelector(selectUser);
+  const request = useSelector(state => selectFeedbackRequest(state, requestId));
+
+  const [template, setTemplate] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [loadError, setLoadError] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    const load = async () => {
+      if (!user?.businessId) return;
+
+      try {
+        const loaded = await dispatch(fetchFeedbackRequest({ businessId: user.businessId, requestId })).unwrap();
+        // The form is the template version fixed when feedback was set up
+        const templateResult = await dispatch(fetchEvaluationTemplate({
+          businessId: user.businessId,
+          templateId: loaded.templateId,
+          version: loaded.templateVersion
+        }));
+        if (!templateResult.payload) {
+          throw new Error('The feedback form could not be loaded');
+        }
+        setTemplate(templateResult.payload);
+      } catch (error) {
+        setLoadError(error?.message || String(error));
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    load();
+  }, [dispatch, user?.businessId, requestId]);
+
+  const handleSubmit = async (responses) => {
+    setSubmitting(true);
+    try {
+      await dispatch(submitFeedback({ businessId: user.businessId, requestId, responses })).unwrap();
+    } catch (error) {
+      alert(`❌ Failed to submit feedback: ${error}`);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const backButton = (
+    <Button variant="outline" onClick={() => navigate('/feedback-requests')} className="mb-4">
+      <ArrowLeftIcon className="h-4 w-4 mr-2" />
+      Back to Feedback Requests
+    </Button>
+  );
+
+  if (loading) {
+    return (
+      <div className="p-6">
+        <div className="flex items-center justify-center min-h-96">
+          <LoadingSpinner />
+        </div>
+      </div>
+    );
+  }
+
+  if (loadError || !request || !template || request.raterId !== user?.id) {
+    return (
+      <div className="p-6">
+        {backButton}
+        <h1 className="text-2xl font-bold text-gray-900 mb-2">Feedback Request Not Found</h1>
+        <p className="text-gray-600">{loadError || 'The requested feedback form could not be loaded.'}</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="p-6 max-w-4xl mx-auto">
+      {backButton}
+      <div className="mb-6">
+        <h1 className="text-2xl font-bold text-gray-900 mb-2">Feedback for {request.evaluateeName}</h1>
+        <p className="text-gray-600">{request.templateName}</p>
+      </div>
+
+      {request.status === 'submitted' ? (
+        <Card className="p-8 text-center">
+          <CheckCircleIcon className="h-12 w-12 text-green-500 mx-auto mb-4" />
+          <h2 className="text-lg font-medium text-gray-900 mb-2">Thank you for your feedback</h2>
+          <p className="text-gray-600">Your answers have been submitted and can no longer be changed.</p>
+        </Card>
+      ) : request.status !== 'approved' ? (
+        <Card className="p-8 text-center">
+          <p className="text-gray-600">This feedback request is no longer open.</p>
+        </Card>
+      ) : (
+        <Card className="p-6">
+          <FeedbackForm
+            template={template}
+            evaluateeName={request.evaluateeName}
+            evaluateeContext={request.evaluateeContext}
+            onSubmit={handleSubmit}
+            submitting={submitting}
+          />
+        </Card>
+      )}
+    </div>
+  );
+};
+
+export default FeedbackFormPage;
@@ -0,0 +1,109 @@
+import React, { useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { useDispatch, useSelector } from 'react-redux';
+
+// Redux
+import { selectUser } from '../../store/slices/authSlice';
+import {
+  fetchMyFeedbackRequests,
+  selectMyFeedbackRequests,
+  selectFeedbackLoading,
+  selectFeedbackInitialized,
+  RATER_GROUP_LABELS,
+  FEEDBACK_STATUS_LABELS
+} from '../../store/slices/feedbackSlice';
+
+// Utils
+import { formatDate } from '../../utils/dateUtils';
+
+// Components
+import { Card, Button, Badge, LoadingSpinner } from '../../components/common';
+
+// Icons
+import { ChatBubbleLeftRightIcon } from '@heroicons/react/24/outline';
+
+// Labels from the rater's point of view: "Peers" becomes "as a peer"
+const RATER_ROLE_LABELS = {
+  peer: 'as a peer',
+  directReport: 'as a direct report',
+  external: 'as an external reviewer'
+};
+
+const FeedbackRequestsPage = () => {
+  const dispatch = useDispatch();
+  const user = useSelector(selectUser);
+  const requests = useSelector(selectMyFeedbackRequests);
+  const loading = useSelector(selectFeedbackLoading);
+  const initialized = useSelector(selectFeedbackInitialized);
+
+  useEffect(() => {
+    if (user?.businessId && user?.id) {
+      dispatch(fetchMyFeedbackRequests({ businessId: user.businessId, userId: user.id }));
+    }
+  }, [dispatch, user?.businessId, user?.id]);
+
+  const openRequests = requests.filter(request => request.status === 'approved');
+  const doneRequests = requests.filter(request => request.status === 'submitted');
+
+  const header = (
+    <div className="mb-8">
+      <h1 className="text-2xl font-bold text-gray-900 mb-2">Feedback Requests</h1>
+      <p className="text-gray-600">
+        Colleagues who asked for your feedback. Your answers are anonymous and only shown combined with other raters.
+      </p>
+    </div>
+  );
+
+  if (loading && !initialized) {
+    return (
+      <div className="p-6">
+        {header}
+        <div className="flex items-center justify-center min-h-64">
+          <LoadingSpinner size="lg" />
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="p-6">
+      {header}
+
+      {requests.length === 0 ? (
+        <Card className="text-center py-12">
+          <ChatBubbleLeftRightIcon className="h-12 w-12 text-gray-400 mx-auto mb-4" />
+          <h3 className="text-lg font-medium text-gray-900 mb-2">No feedback requests</h3>
+          <p className="text-gray-500">Nobody has asked for your feedback yet.</p>
+        </Card>
+      ) : (
+        <div className="space-y-4">
+          {[...openRequests, ...doneRequests].map(request => (
+            <Card key={request.id} className="p-5">
+              <div className="flex items-center justify-between">
+                <div>
+                  <h3 className="text-lg font-medium text-gray-900">{request.evaluateeName}</h3>
+                  <p className="text-sm text-gray-600">
+                    {request.templateName} · {RATER_ROLE_LABELS[request.raterType] || RATER_GROUP_LABELS[request.raterType]}
+                    {request.dueDate ? ` · due ${formatDate(request.dueDate)}` : ''}
+                  </p>
+                </div>
+                <div className="flex items-center space-x-3">
+                  <Badge variant={request.status === 'submitted' ? 'success' : 'primary'}>
+                    {request.status === 'submitted' ? FEEDBACK_STATUS_LABELS.submitted : 'Waiting for you'}
+                  </Badge>
+                  {request.status === 'approved' && (
+                    <Link to={`/feedback-requests/${request.id}`}>
+                      <Button size="small">Give Feedback</Button>
+                    </Link>
+                  )}
+                </div>
+              </div>
+            </Card>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default FeedbackRequestsPage;
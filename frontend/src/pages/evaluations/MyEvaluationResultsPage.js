@@ -8,9 +8,14 @@ import { fetchEvaluation, fetchEvaluationTemplate } from '../../store/slices/eva
 
 // Utils
 import { formatDateTime } from '../../utils/dateUtils';
+import { getEvaluationScore } from '../../utils/scoreUtils';
+import { resolveRatingScale, formatScaleScore } from '../../utils/ratingScales';
+import { isRatedQuestion, formatAnswer } from '../../utils/questionTypes';
+import { filterVisibleCategories } from '../../utils/displayRules';
 
 // Components
 import { Card, Button, LoadingSpinner, Badge } from '../../components/common';
+import { EvaluationReportButton } from '../../components/evaluations';
 
 // Icons
 import { ArrowLeftIcon, UserIcon, StarIcon, TrophyIcon, CheckCircleIcon } from '@heroicons/react/24/outline';
@@ -54,9 +59,11 @@ const MyEvaluationResultsPage = () => {
           // Load the template
           if (evalData.templateId) {
             console.log('📑 Loading template:', evalData.templateId);
+            // The version the evaluation was created from; older evaluations predate versions
             const templateResult = await dispatch(fetchEvaluationTemplate({
               businessId: user.businessId,
-              templateId: evalData.templateId
+              templateId: evalData.templateId,
+              version: evalData.templateVersion
             }));
             
             if (templateResult.payload) {
@@ -112,6 +119,13 @@ const MyEvaluationResultsPage = () => {
 
   const employeeResponses = evaluation.responses?.selfAssessment;
   const managerReview = evaluation.managerReview;
+  const scale = resolveRatingScale(evaluation, template);
+  const visibleCategories = filterVisibleCategories(
+    template.categories,
+    evaluation.evaluateeContext,
+    evaluation.responses?.selfAssessment?.categoryResponses
+  );
+  const finalScore = getEvaluationScore(evaluation);
 
   return (
     <div className="p-6 max-w-6xl mx-auto">
@@ -137,6 +151,7 @@ const MyEvaluationResultsPage = () => {
             )}
           </div>
           <div className="flex items-center space-x-4">
+            {evaluation.status === 'completed' && <EvaluationReportButton evaluationId={evaluationId} />}
             <Badge color="green" size="lg">
               <CheckCircleIcon className="h-4 w-4 mr-1" />
               Completed
@@ -146,7 +161,7 @@ const MyEvaluationResultsPage = () => {
       </div>
 
       {/* Overall Score */}
-      {managerReview?.overallRating && (
+      {finalScore !== null && (
         <Card className="p-6 mb-6 bg-green-50 border-green-200">
           <div className="flex items-center justify-between">
             <div>
@@ -157,15 +172,12 @@ const MyEvaluationResultsPage = () => {
               <div className="flex items-center justify-center space-x-2">
                 <TrophyIcon className="h-8 w-8 text-green-600" />
                 <span className="text-4xl font-bold text-green-600">
-                  {managerReview.overallRating}
-                </span>
-                <span className="text-xl text-green-700">
-                  / {template.scoringSystem === '1-5' ? '5' : '10'}
+                  {formatScaleScore(finalScore, scale)}
                 </span>
               </div>
             </div>
           </div>
-          {managerReview.overallComments && (
+          {managerReview?.overallComments && (
             <div className="mt-4 p-4 bg-white rounded-lg">
               <h4 className="font-medium text-gray-900 mb-2">Manager's Overall Comments</h4>
               <p className="text-gray-700">{managerReview.overallComments}</p>
@@ -190,7 +202,7 @@ const MyEvaluationResultsPage = () => {
       )}
 
       {/* Category Results */}
-      {template.categories?.map((category) => (
+      {visibleCategories.map((category) => (
         <Card key={category.id} className="p-6 mb-6">
           <h2 className="text-xl font-bold text-gray-900 mb-2">{category.name}</h2>
           {category.description && (
@@ -215,10 +227,9 @@ const MyEvaluationResultsPage = () => {
                         <div className="flex items-center space-x-2">
                           <StarIcon className="h-5 w-5 text-blue-600" />
                           <span className="text-lg font-semibold text-blue-900">
-                            {employeeResponse?.selfRating || '—'}
-                          </span>
-                          <span className="text-sm text-blue-700">
-                            / {template.scoringSystem === '1-5' ? '5' : '10'}
+                            {isRatedQuestion(question)
+                              ? formatScaleScore(employeeResponse?.selfRating, scale)
+                              : formatAnswer(question, employeeResponse?.selfAnswer)}
                           </span>
                         </div>
                         {employeeResponse?.comment && (
@@ -237,10 +248,9 @@ const MyEvaluationResultsPage = () => {
                         <div className="flex items-center space-x-2">
                           <StarIcon className="h-5 w-5 text-indigo-600" />
                           <span className="text-lg font-semibold text-indigo-900">
-                            {managerResponse?.managerRating || '—'}
-                          </span>
-                          <span className="text-sm text-indigo-700">
-                            / {template.scoringSystem === '1-5' ? '5' : '10'}
+                            {isRatedQuestion(question)
+                              ? formatScaleScore(managerResponse?.managerRating, scale)
+                              : formatAnswer(question, managerResponse?.managerAnswer)}
                           </span>
                         </div>
                         {managerResponse?.managerComment && (
@@ -254,18 +264,15 @@ const MyEvaluationResultsPage = () => {
                   </div>
                   
                   {/* Next Period Target */}
-                  {target && (target.target || target.targetComment) && (
+                  {target && (typeof target.target === 'number' || target.targetComment) && (
                     <div className="mt-6 bg-green-50 border border-green-200 rounded-lg p-4">
                       <h4 className="text-sm font-medium text-green-900 mb-3">Next Period Target</h4>
                       <div className="space-y-3">
-                        {target.target && (
+                        {typeof target.target === 'number' && (
                           <div className="flex items-center space-x-2">
                             <TrophyIcon className="h-5 w-5 text-green-600" />
                             <span className="text-lg font-semibold text-green-900">
-                              Target: {target.target}
-                            </span>
-                            <span className="text-sm text-green-700">
-                              / {template.scoringSystem === '1-5' ? '5' : '10'}
+                              Target: {formatScaleScore(target.target, scale)}
                             </span>
                           </div>
                         )}
@@ -8,6 +8,7 @@ import { fetchEvaluations } from '../../store/slices/evaluationSlice';
 
 // Utils
 import { formatDate } from '../../utils/dateUtils';
+import { resolveRatingScale, formatScaleScore } from '../../utils/ratingScales';
 
 // Components
 import Card from '../../components/common/Card';
@@ -34,22 +35,6 @@ const MyEvaluationsPage = () => {
   const [loading, setLoading] = useState(true);
   const [filter, setFilter] = useState('all'); // all, pending, in-progress, completed
 
-  // Helper function to get max score from evaluation
-  const getMaxScore = (evaluation) => {
-    // Use pre-calculated maxScore if available (from enhanced evaluation data)
-    if (evaluation.maxScore) {
-      return evaluation.maxScore;
-    }
-    
-    // Use stored scoring system if available
-    if (evaluation.scoringSystem) {
-      return evaluation.scoringSystem === '1-10' ? 10 : 5;
-    }
-    
-    // Final fallback - default to 5-point scale (avoid guessing from score value)
-    return 5;
-  };
-
   useEffect(() => {
     const loadMyEvaluations = async () => {
       const userId = user?.id;
@@ -281,7 +266,7 @@ const MyEvaluationsPage = () => {
                           <span className="font-medium">Final Score:</span>
                           <div className="flex items-center">
                             <StarIcon className="h-4 w-4 text-yellow-400 mr-1" />
-                            <span className="font-medium">{evaluation.managerReview.overallRating}/{getMaxScore(evaluation)}</span>
+                            <span className="font-medium">{formatScaleScore(evaluation.managerReview.overallRating, resolveRatingScale(evaluation))}</span>
                           </div>
                         </div>
                       )}
@@ -1,32 +1,522 @@
-import React from 'react';
+import React, { useState, useEffect } from 'react';
+import { useSelector, useDispatch } from 'react-redux';
+import { useNavigate } from 'react-router-dom';
+
+// Redux
+import { selectUser } from '../../store/slices/authSlice';
+import { fetchUsers, selectUsers } from '../../store/slices/userSlice';
+import {
+  fetchGoals,
+  createGoal,
+  updateGoal,
+  reviewGoal,
+  addGoalCheckIn,
+  deleteGoal,
+  selectMyGoals,
+  selectGoalsAwaitingMyApproval,
+  selectTeamGoals,
+  selectGoalsLoading
+} from '../../store/slices/goalSlice';
+
+// Utils
+import { formatDate } from '../../utils/dateUtils';
+import { buildGoalProposal, SMART_FIELDS } from '../../utils/goals';
+import { resolveRatingScale, formatScaleScore } from '../../utils/ratingScales';
 
 // Components
-import Card from '../../components/common/Card';
-import Button from '../../components/common/Button';
+import { Card, Button, Badge, LoadingSpinner, Modal, Input, TextArea } from '../../components/common';
 
 // Icons
-import { FlagIcon } from '@heroicons/react/24/outline';
+import {
+  FlagIcon,
+  PlusIcon,
+  CheckIcon,
+  XMarkIcon,
+  ChartBarIcon,
+  ClockIcon,
+  TrashIcon
+} from '@heroicons/react/24/outline';
+
+const STATUS_BADGES = {
+  proposed: { variant: 'warning', label: 'Awaiting Approval' },
+  active: { variant: 'primary', label: 'Active' },
+  completed: { variant: 'success', label: 'Completed' },
+  rejected: { variant: 'danger', label: 'Not Approved' },
+  cancelled: { variant: 'gray', label: 'Cancelled' }
+};
+
+const SOURCE_LABELS = {
+  'review-target': 'From review',
+  employee: 'Self-set',
+  manager: 'Set by manager'
+};
+
+const emptyGoalForm = {
+  title: '',
+  description: '',
+  dueDate: '',
+  smart: { specific: '', measurable: '', achievable: '', relevant: '', timeBound: '' }
+};
 
 const MyGoalsPage = () => {
+  const dispatch = useDispatch();
+  const navigate = useNavigate();
+  const user = useSelector(selectUser);
+  const users = useSelector(selectUsers);
+  const loading = useSelector(selectGoalsLoading);
+  const myGoals = useSelector(state => selectMyGoals(state, user?.id));
+  const awaitingApproval = useSelector(state => selectGoalsAwaitingMyApproval(state, user?.id));
+  const teamGoals = useSelector(state => selectTeamGoals(state, user?.id));
+
+  const [showGoalModal, setShowGoalModal] = useState(false);
+  const [goalForm, setGoalForm] = useState(emptyGoalForm);
+  const [checkInGoal, setCheckInGoal] = useState(null);
+  const [checkInProgress, setCheckInProgress] = useState(0);
+  const [checkInNote, setCheckInNote] = useState('');
+  const [reviewingGoal, setReviewingGoal] = useState(null);
+  const [reviewComment, setReviewComment] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (!user?.businessId || !user?.id) return;
+
+    dispatch(fetchGoals({ businessId: user.businessId, userId: user.id }));
+  }, [dispatch, user?.businessId, user?.id]);
+
+  // Names for team members' goals
+  const hasUsers = Boolean(users?.length);
+  useEffect(() => {
+    if (user?.businessId && !hasUsers) {
+      dispatch(fetchUsers(user.businessId));
+    }
+  }, [dispatch, user?.businessId, hasUsers]);
+
+  const getUserName = (userId) => {
+    const match = users?.find(u => u.id === userId);
+    return match ? `${match.profile?.firstName || ''} ${match.profile?.lastName || ''}`.trim() : 'Unknown';
+  };
+
+  const isOverdue = (goal) => goal.status === 'active' && goal.dueDate && new Date(goal.dueDate) < new Date();
+
+  const goalProposal = buildGoalProposal(goalForm);
+
+  const handleCreateGoal = async () => {
+    if (goalProposal.error) return;
+
+    setSaving(true);
+    try {
+      await dispatch(createGoal({
+        businessId: user.businessId,
+        employeeId: user.id,
+        createdBy: user.id,
+        ...goalForm
+      })).unwrap();
+
+      setShowGoalModal(false);
+      setGoalForm(emptyGoalForm);
+    } catch (error) {
+      console.error('❌ Error creating goal:', error);
+      alert(`❌ ${error}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const openCheckIn = (goal) => {
+    setCheckInGoal(goal);
+    setCheckInProgress(goal.progress || 0);
+    setCheckInNote('');
+  };
+
+  const handleCheckIn = async () => {
+    setSaving(true);
+    try {
+      await dispatch(addGoalCheckIn({
+        businessId: user.businessId,
+        goalId: checkInGoal.id,
+        progress: checkInProgress,
+        note: checkInNote,
+        userId: user.id
+      })).unwrap();
+      setCheckInGoal(null);
+    } catch (error) {
+      console.error('❌ Error saving check-in:', error);
+      alert(`❌ ${error}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleCompleteGoal = async (goal) => {
+    if (!window.confirm(`Mark "${goal.title}" as completed?`)) return;
+
+    try {
+      await dispatch(updateGoal({
+        businessId: user.businessId,
+        goalId: goal.id,
+        updates: { status: 'completed', progress: 100, completedAt: new Date().toISOString() }
+      })).unwrap();
+    } catch (error) {
+      console.error('❌ Error completing goal:', error);
+      alert(`❌ ${error}`);
+    }
+  };
+
+  const handleWithdrawGoal = async (goal) => {
+    if (!window.confirm(`Withdraw the proposed goal "${goal.title}"?`)) return;
+
+    try {
+      await dispatch(deleteGoal({ businessId: user.businessId, goalId: goal.id })).unwrap();
+    } catch (error) {
+      console.error('❌ Error withdrawing goal:', error);
+      alert(`❌ ${error}`);
+    }
+  };
+
+  const handleReviewGoal = async (approved) => {
+    setSaving(true);
+    try {
+      await dispatch(reviewGoal({
+        businessId: user.businessId,
+        goalId: reviewingGoal.id,
+        approved,
+        comment: reviewComment,
+        reviewerId: user.id
+      })).unwrap();
+      setReviewingGoal(null);
+      setReviewComment('');
+    } catch (error) {
+      console.error('❌ Error reviewing goal:', error);
+      alert(`❌ ${error}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const renderProgress = (goal) => (
+    <div>
+      <div className="flex justify-between text-xs text-gray-500 mb-1">
+        <span>Progress</span>
+        <span>{goal.progress || 0}%</span>
+      </div>
+      <div className="w-full h-2 bg-gray-200 rounded-full">
+        <div
+          className={`h-2 rounded-full ${goal.status === 'completed' ? 'bg-green-500' : 'bg-indigo-500'}`}
+          style={{ width: `${goal.progress || 0}%` }}
+        />
+      </div>
+    </div>
+  );
+
+  const renderGoalCard = (goal, { showEmployee = false, actions = null } = {}) => {
+    const statusBadge = STATUS_BADGES[goal.status] || STATUS_BADGES.active;
+    const scale = resolveRatingScale(goal);
+    const smartEntries = SMART_FIELDS.filter(field => goal.smart?.[field.key]);
+    const lastCheckIn = goal.checkIns?.[goal.checkIns.length - 1];
+
+    return (
+      <Card key={goal.id} className="p-5">
+        <div className="flex items-start justify-between mb-3">
+          <div>
+            <h3 className="text-lg font-medium text-gray-900">{goal.title}</h3>
+            <div className="flex items-center space-x-2 mt-1">
+              <Badge variant={statusBadge.variant}>{statusBadge.label}</Badge>
+              <Badge variant="gray">{SOURCE_LABELS[goal.source] || goal.source}</Badge>
+              {goal.categoryName && <span className="text-xs text-gray-500">{goal.categoryName}</span>}
+            </div>
+          </div>
+          <div className={`flex items-center text-sm ${isOverdue(goal) ? 'text-red-600' : 'text-gray-500'}`}>
+            <ClockIcon className="h-4 w-4 mr-1" />
+            {goal.dueDate ? `Due ${formatDate(goal.dueDate)}` : 'No due date'}
+          </div>
+        </div>
+
+        {showEmployee && (
+          <p className="text-sm text-gray-600 mb-2">Employee: {getUserName(goal.employeeId)}</p>
+        )}
+
+        {goal.description && <p className="text-sm text-gray-700 mb-3">{goal.description}</p>}
+
+        {goal.source === 'review-target' && goal.targetRating && (
+          <p className="text-sm text-gray-700 mb-3">
+            Target rating <span className="font-semibold text-green-700">{formatScaleScore(goal.targetRating, scale)}</span>
+            {goal.baselineRating ? ` (rated ${formatScaleScore(goal.baselineRating, scale)} at the time)` : ''}
+            {typeof goal.targetMet === 'boolean' && (
+              <span className={`ml-2 font-medium ${goal.targetMet ? 'text-green-700' : 'text-orange-600'}`}>
+                {goal.targetMet ? '✓ Met' : '✗ Not met'} ({formatScaleScore(goal.achievedRating, scale)})
+              </span>
+            )}
+          </p>
+        )}
+
+        {smartEntries.length > 0 && (
+          <dl className="grid grid-cols-1 md:grid-cols-2 gap-2 text-sm mb-3">
+            {smartEntries.map(field => (
+              <div key={field.key}>
+                <dt className="font-medium text-gray-600">{field.label}</dt>
+                <dd className="text-gray-800">{goal.smart[field.key]}</dd>
+              </div>
+            ))}
+          </dl>
+        )}
+
+        {goal.reviewComment && (
+          <p className="text-sm text-gray-600 italic mb-3">Manager: "{goal.reviewComment}"</p>
+        )}
+
+        {['active', 'completed'].includes(goal.status) && renderProgress(goal)}
+
+        {lastCheckIn && (
+          <p className="text-xs text-gray-500 mt-2">
+            Last check-in {formatDate(lastCheckIn.at)}{lastCheckIn.note ? `: ${lastCheckIn.note}` : ''}
+          </p>
+        )}
+
+        {actions && <div className="flex justify-end space-x-2 mt-4">{actions}</div>}
+      </Card>
+    );
+  };
+
+  if (loading && !myGoals.length) {
+    return (
+      <div className="p-6">
+        <div className="flex items-center justify-center min-h-96">
+          <LoadingSpinner />
+        </div>
+      </div>
+    );
+  }
+
+  const activeGoals = myGoals.filter(goal => goal.status === 'active');
+  const proposedGoals = myGoals.filter(goal => goal.status === 'proposed');
+  const closedGoals = myGoals.filter(goal => ['completed', 'rejected', 'cancelled'].includes(goal.status));
+
   return (
     <div className="p-6">
-      <div className="mb-8">
-        <h1 className="text-2xl font-bold text-gray-900 mb-2">My Goals</h1>
-        <p className="text-gray-600">Track your performance goals and targets</p>
+      <div className="mb-8 flex items-start justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900 mb-2">My Goals</h1>
+          <p className="text-gray-600">Track your performance goals and targets</p>
+        </div>
+        <Button onClick={() => setShowGoalModal(true)}>
+          <PlusIcon className="h-5 w-5 mr-2" />
+          New Goal
+        </Button>
       </div>
 
-      <Card className="text-center py-12">
-        <FlagIcon className="h-12 w-12 text-gray-400 mx-auto mb-4" />
-        <h3 className="text-lg font-medium text-gray-900 mb-2">No goals set</h3>
-        <p className="text-gray-500 mb-6">
-          Your performance goals will appear here once they are set during evaluations.
-        </p>
-        <Button variant="outline">
-          View Evaluations
-        </Button>
-      </Card>
+      {/* Manager: proposals from the team */}
+      {awaitingApproval.length > 0 && (
+        <div className="mb-8">
+          <h2 className="text-lg font-semibold text-gray-900 mb-3">Awaiting Your Approval ({awaitingApproval.length})</h2>
+          <div className="space-y-4">
+            {awaitingApproval.map(goal => renderGoalCard(goal, {
+              showEmployee: true,
+              actions: (
+                <Button size="sm" onClick={() => { setReviewingGoal(goal); setReviewComment(''); }}>
+                  Review
+                </Button>
+              )
+            }))}
+          </div>
+        </div>
+      )}
+
+      {myGoals.length === 0 && teamGoals.length === 0 && awaitingApproval.length === 0 ? (
+        <Card className="text-center py-12">
+          <FlagIcon className="h-12 w-12 text-gray-400 mx-auto mb-4" />
+          <h3 className="text-lg font-medium text-gray-900 mb-2">No goals set</h3>
+          <p className="text-gray-500 mb-6">
+            Targets your manager sets during evaluations appear here, or you can propose a goal yourself.
+          </p>
+          <Button variant="outline" onClick={() => navigate('/my-evaluations')}>
+            View Evaluations
+          </Button>
+        </Card>
+      ) : (
+        <div className="space-y-8">
+          {activeGoals.length > 0 && (
+            <div>
+              <h2 className="text-lg font-semibold text-gray-900 mb-3">Active ({activeGoals.length})</h2>
+              <div className="space-y-4">
+                {activeGoals.map(goal => renderGoalCard(goal, {
+                  actions: (
+                    <>
+                      <Button size="sm" variant="outline" onClick={() => openCheckIn(goal)}>
+                        <ChartBarIcon className="h-4 w-4 mr-1" />
+                        Check In
+                      </Button>
+                      {goal.source !== 'review-target' && (
+                        <Button size="sm" onClick={() => handleCompleteGoal(goal)}>
+                          <CheckIcon className="h-4 w-4 mr-1" />
+                          Complete
+                        </Button>
+                      )}
+                    </>
+                  )
+                }))}
+              </div>
+            </div>
+          )}
+
+          {proposedGoals.length > 0 && (
+            <div>
+              <h2 className="text-lg font-semibold text-gray-900 mb-3">Proposed ({proposedGoals.length})</h2>
+              <div className="space-y-4">
+                {proposedGoals.map(goal => renderGoalCard(goal, {
+                  actions: (
+                    <Button size="sm" variant="outline" onClick={() => handleWithdrawGoal(goal)}>
+                      <TrashIcon className="h-4 w-4 mr-1" />
+                      Withdraw
+                    </Button>
+                  )
+                }))}
+              </div>
+            </div>
+          )}
+
+          {teamGoals.length > 0 && (
+            <div>
+              <h2 className="text-lg font-semibold text-gray-900 mb-3">Team Goals ({teamGoals.length})</h2>
+              <div className="space-y-4">
+                {teamGoals.map(goal => renderGoalCard(goal, { showEmployee: true }))}
+              </div>
+            </div>
+          )}
+
+          {closedGoals.length > 0 && (
+            <div>
+              <h2 className="text-lg font-semibold text-gray-900 mb-3">Closed ({closedGoals.length})</h2>
+              <div className="space-y-4">
+                {closedGoals.map(goal => renderGoalCard(goal))}
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* New Goal Modal */}
+      <Modal
+        isOpen={showGoalModal}
+        onClose={() => setShowGoalModal(false)}
+        title="Propose a SMART Goal"
+        size="lg"
+      >
+        <div className="space-y-4">
+          <Input
+            label="Goal *"
+            value={goalForm.title}
+            onChange={(e) => setGoalForm({ ...goalForm, title: e.target.value })}
+            placeholder="e.g. Reduce average ticket resolution time"
+          />
+          <TextArea
+            label="Description"
+            rows={2}
+            value={goalForm.description}
+            onChange={(e) => setGoalForm({ ...goalForm, description: e.target.value })}
+          />
+          {SMART_FIELDS.map(field => (
+            <Input
+              key={field.key}
+              label={field.label}
+              value={goalForm.smart[field.key]}
+              onChange={(e) => setGoalForm({ ...goalForm, smart: { ...goalForm.smart, [field.key]: e.target.value } })}
+              placeholder={field.placeholder}
+            />
+          ))}
+          <Input
+            label="Due Date *"
+            type="date"
+            value={goalForm.dueDate}
+            onChange={(e) => setGoalForm({ ...goalForm, dueDate: e.target.value })}
+            min={new Date().toISOString().split('T')[0]}
+          />
+          {goalForm.title.trim() && goalForm.dueDate && goalProposal.error && (
+            <p className="text-sm text-red-600">{goalProposal.error}</p>
+          )}
+          <p className="text-xs text-gray-500">Your manager will be asked to approve this goal before it becomes active.</p>
+          <div className="flex justify-end space-x-3">
+            <Button variant="outline" onClick={() => setShowGoalModal(false)} disabled={saving}>
+              Cancel
+            </Button>
+            <Button onClick={handleCreateGoal} disabled={saving || Boolean(goalProposal.error)}>
+              {saving ? 'Submitting...' : 'Submit for Approval'}
+            </Button>
+          </div>
+        </div>
+      </Modal>
+
+      {/* Check-in Modal */}
+      <Modal
+        isOpen={Boolean(checkInGoal)}
+        onClose={() => setCheckInGoal(null)}
+        title={checkInGoal ? `Check In: ${checkInGoal.title}` : 'Check In'}
+      >
+        <div className="space-y-4">
+          <div>
+            <div className="flex justify-between mb-2">
+              <label className="block text-sm font-medium text-gray-700">Progress</label>
+              <span className="text-sm font-semibold text-indigo-600">{checkInProgress}%</span>
+            </div>
+            <input
+              type="range"
+              min={0}
+              max={100}
+              step={5}
+              value={checkInProgress}
+              onChange={(e) => setCheckInProgress(parseInt(e.target.value, 10))}
+              className="w-full"
+            />
+          </div>
+          <TextArea
+            label="Notes"
+            rows={3}
+            value={checkInNote}
+            onChange={(e) => setCheckInNote(e.target.value)}
+            placeholder="What moved forward since the last check-in?"
+          />
+          <div className="flex justify-end space-x-3">
+            <Button variant="outline" onClick={() => setCheckInGoal(null)} disabled={saving}>
+              Cancel
+            </Button>
+            <Button onClick={handleCheckIn} disabled={saving}>
+              {saving ? 'Saving...' : 'Save Check-in'}
+            </Button>
+          </div>
+        </div>
+      </Modal>
+
+      {/* Approval Modal */}
+      <Modal
+        isOpen={Boolean(reviewingGoal)}
+        onClose={() => setReviewingGoal(null)}
+        title="Review Goal"
+        size="lg"
+      >
+        {reviewingGoal && (
+          <div className="space-y-4">
+            {renderGoalCard(reviewingGoal, { showEmployee: true })}
+            <TextArea
+              label="Comment"
+              rows={3}
+              value={reviewComment}
+              onChange={(e) => setReviewComment(e.target.value)}
+              placeholder="Optional feedback for the employee"
+            />
+            <div className="flex justify-end space-x-3">
+              <Button variant="outline" onClick={() => handleReviewGoal(false)} disabled={saving}>
+                <XMarkIcon className="h-4 w-4 mr-1" />
+                Decline
+              </Button>
+              <Button onClick={() => handleReviewGoal(true)} disabled={saving}>
+                <CheckIcon className="h-4 w-4 mr-1" />
+                Approve
+              </Button>
+            </div>
+          </div>
+        )}
+      </Modal>
     </div>
   );
 };
 
-export default MyGoalsPage;
\ No newline at end of file
+export default MyGoalsPage;
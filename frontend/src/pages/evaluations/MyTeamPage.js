@@ -3,10 +3,11 @@ import { useSelector, useDispatch } from 'react-redux';
 import { Link } from 'react-router-dom';
 
 // Redux
-import { selectUser } from '../../store/slices/authSlice';
+import { selectUser, selectBusinessData } from '../../store/slices/authSlice';
 import { fetchUsers } from '../../store/slices/userSlice';
 import { fetchDepartments } from '../../store/slices/departmentSlice';
 import { fetchEvaluations } from '../../store/slices/evaluationSlice';
+import { fetchReviewCycles } from '../../store/slices/cycleSlice';
 // Note: Keeping assignment imports for potential future evaluation features
 import {
   fetchEvaluationAssignments,
@@ -16,6 +17,10 @@ import {
 
 // Utils
 import { formatDate } from '../../utils/dateUtils';
+import { getEvaluationScore, getNormalizedScore } from '../../utils/scoreUtils';
+import { resolveRatingScale, formatScaleScore } from '../../utils/ratingScales';
+import { getDefaultPeriod, getBonusAllocationId } from '../../utils/cycleUtils';
+import { getReportingCurrency, allocationCurrencyContext, formatMoney } from '../../utils/currency';
 
 // Components
 import Card from '../../components/common/Card';
@@ -60,6 +65,7 @@ const isNestedSubordinate = (memberDept, targetDeptId, departments) => {
 const MyTeamPage = () => {
   const dispatch = useDispatch();
   const user = useSelector(selectUser);
+  const reportingCurrency = getReportingCurrency(useSelector(selectBusinessData));
   const { users, loading: usersLoading } = useSelector(state => state.users);
   const { departments } = useSelector(state => state.departments);
   const evaluationAssignments = useSelector(selectEvaluationAssignments);
@@ -84,15 +90,24 @@ const MyTeamPage = () => {
     }
     
     try {
-      const currentYear = new Date().getFullYear();
+      // Show the current bonus cycle, falling back to this year's allocation
+      const cyclesResult = await dispatch(fetchReviewCycles(user.businessId));
+      const period = getDefaultPeriod(Array.isArray(cyclesResult.payload) ? cyclesResult.payload : [], { bonusOnly: true });
+
       // 🚀 NEW: Use subcollection path (assuming bonusAllocations maps to bonusCalculations)
       const allocationDoc = await getDoc(
-        doc(db, 'businesses', user.businessId, 'bonusCalculations', `${user.employeeInfo.department}_${currentYear}`)
+        doc(db, 'businesses', user.businessId, 'bonusCalculations', getBonusAllocationId(user.employeeInfo.department, period))
       );
       
       if (allocationDoc.exists()) {
         const data = allocationDoc.data();
-        setBonusAllocations(data.allocations || {});
+        // Older entries have no currency and are in the allocation's reporting currency
+        const { reportingCurrency: allocationCurrency } = allocationCurrencyContext(data, reportingCurrency);
+        const allocations = {};
+        Object.entries(data.allocations || {}).forEach(([memberId, entry]) => {
+          allocations[memberId] = { ...entry, currency: entry.currency || allocationCurrency };
+        });
+        setBonusAllocations(allocations);
       } else {
         setBonusAllocations({});
       }
@@ -249,29 +264,22 @@ const MyTeamPage = () => {
     
     // Get the most recent completed evaluation for current rating
     const latestCompleted = memberEvaluations
-      .filter(e => e.status === 'completed' && e.managerReview?.overallRating)
+      .filter(e => e.status === 'completed' && getEvaluationScore(e) !== null)
       .sort((a, b) => new Date(b.managerReview?.reviewedAt || b.submittedAt) - new Date(a.managerReview?.reviewedAt || a.submittedAt))[0];
     
     // Get any recent evaluation (for last evaluation date)
     const lastEvaluation = memberEvaluations
       .sort((a, b) => new Date(b.assignedDate) - new Date(a.assignedDate))[0];
     
-    // Determine max score (try to get from evaluation, fallback to default)
-    let maxScore = 5; // Default
-    if (latestCompleted?.scoringSystem === '1-10') {
-      maxScore = 10;
-    } else if (latestCompleted?.managerReview?.overallRating > 5) {
-      maxScore = 10; // Infer 10-point scale
-    }
-    
     return {
       pending,
       inProgress,
       underReview,
       completed,
       total: memberEvaluations.length,
-      currentRating: latestCompleted?.managerReview?.overallRating || null,
-      maxScore,
+      currentRating: getEvaluationScore(latestCompleted),
+      ratingPercent: getNormalizedScore(latestCompleted),
+      scale: resolveRatingScale(latestCompleted),
       lastEvaluationDate: lastEvaluation ? formatDate(lastEvaluation.assignedDate) : null,
       lastCompletedDate: latestCompleted ? formatDate(latestCompleted.managerReview?.reviewedAt || latestCompleted.submittedAt) : null,
       hasActiveEvaluation: pending > 0 || inProgress > 0 || underReview > 0
@@ -287,12 +295,12 @@ const MyTeamPage = () => {
       return completedDate.getMonth() === now.getMonth() && completedDate.getFullYear() === now.getFullYear();
     }).length;
     
-    // Calculate average team rating
+    // Calculate average team rating as a percentage, since templates may use different scales
     const completedEvaluations = evaluations.filter(e => 
-      e.status === 'completed' && e.managerReview?.overallRating
+      e.status === 'completed' && getEvaluationScore(e) !== null
     );
     const avgRating = completedEvaluations.length > 0 
-      ? (completedEvaluations.reduce((sum, evaluation) => sum + evaluation.managerReview.overallRating, 0) / completedEvaluations.length).toFixed(1)
+      ? (completedEvaluations.reduce((sum, evaluation) => sum + getNormalizedScore(evaluation), 0) / completedEvaluations.length).toFixed(0)
       : null;
     
     return {
@@ -310,13 +318,13 @@ const MyTeamPage = () => {
       return { status: 'no-rating', message: 'No evaluation completed' };
     }
     
-    const ratingPercent = evaluationStats.currentRating / evaluationStats.maxScore;
+    const { ratingPercent } = evaluationStats;
     
-    if (ratingPercent >= 0.9) {
+    if (ratingPercent >= 90) {
       return { status: 'excellent', message: 'Excellent performance', color: 'green' };
-    } else if (ratingPercent >= 0.8) {
+    } else if (ratingPercent >= 80) {
       return { status: 'good', message: 'Good performance', color: 'blue' };
-    } else if (ratingPercent >= 0.7) {
+    } else if (ratingPercent >= 70) {
       return { status: 'satisfactory', message: 'Satisfactory performance', color: 'yellow' };
     } else {
       return { status: 'below-expectations', message: 'Below expectations', color: 'red' };
@@ -532,7 +540,7 @@ const MyTeamPage = () => {
                 <dl>
                   <dt className="text-sm font-medium text-gray-500 dark:text-gray-400 truncate">Avg Team Score</dt>
                   <dd className="text-lg font-medium text-gray-900 dark:text-white">
-                    {teamStats.avgTeamRating ? `${teamStats.avgTeamRating}/10` : '--'}
+                    {teamStats.avgTeamRating !== null ? `${teamStats.avgTeamRating}%` : '--'}
                   </dd>
                 </dl>
               </div>
@@ -702,10 +710,10 @@ const MyTeamPage = () => {
                             <div className="flex items-center">
                               <TrophyIcon className="h-4 w-4 text-yellow-400 mr-1" />
                               <span className="font-medium text-gray-900 dark:text-white">
-                                {evaluationStats.currentRating}/{evaluationStats.maxScore}
+                                {formatScaleScore(evaluationStats.currentRating, evaluationStats.scale)}
                               </span>
                               <span className="ml-2 text-xs text-gray-500 dark:text-gray-400">
-                                ({((evaluationStats.currentRating / evaluationStats.maxScore) * 100).toFixed(0)}%)
+                                ({evaluationStats.ratingPercent.toFixed(0)}%)
                               </span>
                             </div>
                           ) : (
@@ -742,7 +750,7 @@ const MyTeamPage = () => {
                                     <CurrencyDollarIcon className="h-4 w-4 text-green-500 mr-1" />
                                     <div className="flex flex-col">
                                       <span className="font-medium text-gray-900 dark:text-white">
-                                        ${bonusAmount.toLocaleString()}
+                                        {formatMoney(bonusAmount, memberBonus.currency)}
                                       </span>
                                       <span className="text-xs text-gray-500 dark:text-gray-400">
                                         {memberBonus.bonusPercentage}% bonus
@@ -786,7 +794,7 @@ Employee ID: ${member.employeeInfo.employeeId}
 Position: ${member.employeeInfo.position}
 Department: ${getDepartmentName(member.employeeInfo.department)}
 
-Current Rating: ${evaluationStats.currentRating ? `${evaluationStats.currentRating}/${evaluationStats.maxScore}` : 'No rating'}
+Current Rating: ${evaluationStats.currentRating ? formatScaleScore(evaluationStats.currentRating, evaluationStats.scale) : 'No rating'}
 Completed Evaluations: ${evaluationStats.completed}
 Last Evaluation: ${evaluationStats.lastCompletedDate || 'Never'}
 Performance Status: ${bonusStatus.message}
@@ -798,33 +806,11 @@ Performance Status: ${bonusStatus.message}
                               <EyeIcon className="h-4 w-4" />
                             </Button>
                             
-                            <Button
-                              variant="outline"
-                              size="sm"
-                              onClick={() => {
-                                // Show evaluation history
-                                const memberEvals = evaluations.filter(e => e.evaluateeId === member.id);
-                                if (memberEvals.length === 0) {
-                                  alert(`No evaluations found for ${member.profile.firstName} ${member.profile.lastName}`);
-                                  return;
-                                }
-
-                                const evalHistory = memberEvals
-                                  .sort((a, b) => new Date(b.assignedDate) - new Date(a.assignedDate))
-                                  .map((evaluation, index) => {
-                                    const assignedDate = formatDate(evaluation.assignedDate);
-                                    const completedDate = evaluation.managerReview?.reviewedAt ? formatDate(evaluation.managerReview.reviewedAt) : evaluation.submittedAt ? formatDate(evaluation.submittedAt) : 'Not completed';
-                                    const score = evaluation.managerReview?.overallRating || 'Not scored';
-                                    return `${index + 1}. ${evaluation.templateName || 'Evaluation'} - Assigned: ${assignedDate}, Completed: ${completedDate}, Score: ${score}, Status: ${evaluation.status}`;
-                                  })
-                                  .join('\n');
-
-                                alert(`Evaluation History for ${member.profile.firstName} ${member.profile.lastName}:\n\n${evalHistory}`);
-                              }}
-                              title="View Evaluations"
-                            >
-                              <DocumentCheckIcon className="h-4 w-4" />
-                            </Button>
+                            <Link to={`/performance-history/${member.id}`} title="Performance History">
+                              <Button variant="outline" size="sm">
+                                <DocumentCheckIcon className="h-4 w-4" />
+                              </Button>
+                            </Link>
                           </div>
                         </td>
                       </tr>
@@ -1,28 +1,402 @@
-import React from 'react';
+import React, { useState, useEffect } from 'react';
+import { useSelector, useDispatch } from 'react-redux';
+import { useParams, useNavigate } from 'react-router-dom';
+import {
+  ResponsiveContainer,
+  LineChart,
+  Line,
+  BarChart,
+  Bar,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ReferenceLine
+} from 'recharts';
+
+// Redux
+import { selectUser } from '../../store/slices/authSlice';
+import { fetchUsers, selectUsers } from '../../store/slices/userSlice';
+import { fetchEvaluations } from '../../store/slices/evaluationSlice';
+import { fetchEmployeeGoals, selectEmployeeGoals } from '../../store/slices/goalSlice';
+
+// Firebase
+import { functionsService } from '../../firebase/services';
+
+// Utils
+import { formatDate } from '../../utils/dateUtils';
+import { getEvaluationScore, getEvaluationMaxScore, getScoreGap } from '../../utils/scoreUtils';
+import { resolveRatingScale, formatScaleScore } from '../../utils/ratingScales';
+import { getEvaluationYear } from '../../utils/cycleUtils';
+import { BONUS_STATUS_LABELS, BONUS_STATUS_VARIANTS } from '../../utils/bonusWorkflow';
+import { formatMoney } from '../../utils/currency';
 
 // Components
-import Card from '../../components/common/Card';
+import { Card, Button, Badge, LoadingSpinner } from '../../components/common';
 
 // Icons
-import { ChartBarIcon } from '@heroicons/react/24/outline';
+import { ChartBarIcon, ArrowLeftIcon } from '@heroicons/react/24/outline';
+
+const CATEGORY_COLORS = ['#6366f1', '#22c55e', '#f59e0b', '#ef4444', '#06b6d4', '#a855f7', '#84cc16', '#ec4899'];
+
+const getCompletedDate = (evaluation) =>
+  evaluation.managerReview?.reviewedAt || evaluation.submittedAt || evaluation.assignedDate;
 
 const PerformanceHistoryPage = () => {
+  const { employeeId: routeEmployeeId } = useParams();
+  const navigate = useNavigate();
+  const dispatch = useDispatch();
+  const user = useSelector(selectUser);
+  const users = useSelector(selectUsers);
+
+  const employeeId = routeEmployeeId || user?.id;
+  const isOwnHistory = employeeId === user?.id;
+  const goals = useSelector(state => selectEmployeeGoals(state, employeeId));
+
+  const [evaluations, setEvaluations] = useState([]);
+  const [bonusHistory, setBonusHistory] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const loadHistory = async () => {
+      if (!user?.businessId || !employeeId) return;
+
+      setLoading(true);
+      setError(null);
+
+      try {
+        console.log('📈 Loading performance history for:', employeeId);
+
+        const [evaluationResult, bonusResult] = await Promise.all([
+          dispatch(fetchEvaluations({
+            businessId: user.businessId,
+            filters: { evaluatee: employeeId, status: 'completed' },
+            pageSize: 1000
+          })),
+          functionsService.getBonusHistory(user.businessId, { employeeId }),
+          dispatch(fetchEmployeeGoals({ businessId: user.businessId, employeeId }))
+        ]);
+
+        if (evaluationResult.type?.includes('rejected')) {
+          throw new Error(evaluationResult.payload || 'Failed to load evaluations');
+        }
+
+        const completed = (evaluationResult.payload?.evaluations || [])
+          .sort((a, b) => new Date(getCompletedDate(a)) - new Date(getCompletedDate(b)));
+        setEvaluations(completed);
+
+        if (bonusResult.success) {
+          setBonusHistory(bonusResult.data?.history || []);
+        } else {
+          // Bonus data is optional - the rest of the history is still useful
+          console.warn('⚠️ Bonus history not available:', bonusResult.error?.message);
+          setBonusHistory([]);
+        }
+      } catch (loadError) {
+        console.error('❌ Error loading performance history:', loadError);
+        setError(loadError.message);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadHistory();
+  }, [dispatch, user?.businessId, employeeId]);
+
+  // Names when a manager opens someone else's history
+  const hasUsers = Boolean(users?.length);
+  useEffect(() => {
+    if (!isOwnHistory && user?.businessId && !hasUsers) {
+      dispatch(fetchUsers(user.businessId));
+    }
+  }, [dispatch, isOwnHistory, user?.businessId, hasUsers]);
+
+  const employee = isOwnHistory ? user : users?.find(u => u.id === employeeId);
+  const employeeName = employee
+    ? `${employee.profile?.firstName || ''} ${employee.profile?.lastName || ''}`.trim()
+    : '';
+
+  // One row per completed evaluation
+  const cycles = evaluations.map(evaluation => {
+    const completedDate = getCompletedDate(evaluation);
+    const year = new Date(completedDate).getFullYear();
+    const targetGoals = (goals || []).filter(goal =>
+      goal.source === 'review-target' && goal.sourceEvaluationId === evaluation.id
+    );
+    const closedTargets = (goals || []).filter(goal => goal.closedByEvaluationId === evaluation.id);
+    // The bonus based on this review, or the one for its cycle (its year when it has none)
+    const bonus = bonusHistory.find(entry => entry.evaluationId === evaluation.id) ||
+      bonusHistory.find(entry => (evaluation.cycleId
+        ? entry.cycleId === evaluation.cycleId
+        : !entry.cycleId && entry.year === getEvaluationYear(evaluation)));
+
+    return {
+      id: evaluation.id,
+      label: formatDate(completedDate),
+      templateName: evaluation.templateName || 'Evaluation',
+      year,
+      maxScore: getEvaluationMaxScore(evaluation),
+      scale: resolveRatingScale(evaluation),
+      managerScore: getEvaluationScore(evaluation),
+      selfScore: evaluation.scores?.selfScore ?? null,
+      gap: getScoreGap(evaluation),
+      categories: evaluation.scores?.categories || {},
+      targetsSet: targetGoals.length,
+      targetsReviewed: closedTargets.length,
+      targetsMet: closedTargets.filter(goal => goal.targetMet).length,
+      bonusPercentage: bonus ? bonus.bonusPercentage : null
+    };
+  });
+
+  // Category trend: one line per category name across cycles
+  const categoryNames = Array.from(new Set(
+    cycles.flatMap(cycle => Object.values(cycle.categories).map(category => category.name).filter(Boolean))
+  ));
+  const categoryTrend = cycles.map(cycle => {
+    const point = { label: cycle.label };
+    Object.values(cycle.categories).forEach(category => {
+      if (category.name) point[category.name] = category.managerScore;
+    });
+    return point;
+  });
+
+  const latestBonus = bonusHistory[bonusHistory.length - 1];
+
+  // Bonus rows show the review score in the review's own rating scale when it is loaded here
+  const bonusRows = [...bonusHistory].reverse().map(entry => {
+    const evaluation = evaluations.find(candidate => candidate.id === entry.evaluationId);
+    return {
+      ...entry,
+      period: entry.cycleName || String(entry.year),
+      scoreLabel: evaluation
+        ? formatScaleScore(getEvaluationScore(evaluation), resolveRatingScale(evaluation))
+        : entry.score !== null ? `${Math.round(entry.score)}/100` : '--'
+    };
+  });
+
+  const maxScore = cycles.length ? Math.max(...cycles.map(cycle => cycle.maxScore)) : 5;
+  const totalTargetsReviewed = cycles.reduce((sum, cycle) => sum + cycle.targetsReviewed, 0);
+  const totalTargetsMet = cycles.reduce((sum, cycle) => sum + cycle.targetsMet, 0);
+
+  if (loading) {
+    return (
+      <div className="p-6">
+        <div className="flex items-center justify-center min-h-96">
+          <LoadingSpinner />
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="p-6">
       <div className="mb-8">
-        <h1 className="text-2xl font-bold text-gray-900 mb-2">Performance History</h1>
-        <p className="text-gray-600">View your historical performance data and trends</p>
+        {!isOwnHistory && (
+          <Button variant="outline" onClick={() => navigate('/my-team')} className="mb-4">
+            <ArrowLeftIcon className="h-4 w-4 mr-2" />
+            Back to My Team
+          </Button>
+        )}
+        <h1 className="text-2xl font-bold text-gray-900 mb-2">
+          Performance History{!isOwnHistory && employeeName ? `: ${employeeName}` : ''}
+        </h1>
+        <p className="text-gray-600">
+          {isOwnHistory ? 'View your historical performance data and trends' : 'Completed evaluations, targets and bonuses over time'}
+        </p>
       </div>
 
-      <Card className="text-center py-12">
-        <ChartBarIcon className="h-12 w-12 text-gray-400 mx-auto mb-4" />
-        <h3 className="text-lg font-medium text-gray-900 mb-2">No performance history</h3>
-        <p className="text-gray-500">
-          Your performance history will appear here once you complete evaluations.
-        </p>
-      </Card>
+      {error ? (
+        <Card className="text-center py-12">
+          <h3 className="text-lg font-medium text-red-700 mb-2">Unable to load performance history</h3>
+          <p className="text-gray-500">{error}</p>
+        </Card>
+      ) : cycles.length === 0 ? (
+        <Card className="text-center py-12">
+          <ChartBarIcon className="h-12 w-12 text-gray-400 mx-auto mb-4" />
+          <h3 className="text-lg font-medium text-gray-900 mb-2">No performance history</h3>
+          <p className="text-gray-500">
+            {isOwnHistory
+              ? 'Your performance history will appear here once you complete evaluations.'
+              : 'No completed evaluations yet.'}
+          </p>
+        </Card>
+      ) : (
+        <div className="space-y-6">
+          {/* Summary */}
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+            <Card className="p-4">
+              <p className="text-sm font-medium text-gray-500">Completed Evaluations</p>
+              <p className="text-2xl font-semibold text-gray-900">{cycles.length}</p>
+            </Card>
+            <Card className="p-4">
+              <p className="text-sm font-medium text-gray-500">Latest Score</p>
+              <p className="text-2xl font-semibold text-gray-900">
+                {formatScaleScore(cycles[cycles.length - 1].managerScore, cycles[cycles.length - 1].scale)}
+              </p>
+            </Card>
+            <Card className="p-4">
+              <p className="text-sm font-medium text-gray-500">Targets Met</p>
+              <p className="text-2xl font-semibold text-gray-900">
+                {totalTargetsReviewed > 0 ? `${totalTargetsMet}/${totalTargetsReviewed}` : '--'}
+              </p>
+            </Card>
+            <Card className="p-4">
+              <p className="text-sm font-medium text-gray-500">Latest Bonus</p>
+              <p className="text-2xl font-semibold text-gray-900">
+                {latestBonus ? `${latestBonus.bonusPercentage}%` : '--'}
+              </p>
+              {latestBonus && latestBonus.amount !== null && (
+                <p className="text-sm text-gray-500">{formatMoney(latestBonus.amount, latestBonus.currency)}</p>
+              )}
+            </Card>
+          </div>
+
+          {/* Overall trend */}
+          <Card className="p-6">
+            <h2 className="text-lg font-semibold text-gray-900 mb-4">Overall Score Trend</h2>
+            <ResponsiveContainer width="100%" height={280}>
+              <LineChart data={cycles}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="label" />
+                <YAxis domain={[0, maxScore]} />
+                <Tooltip />
+                <Legend />
+                <Line type="monotone" dataKey="managerScore" name="Manager" stroke="#6366f1" strokeWidth={2} connectNulls />
+                <Line type="monotone" dataKey="selfScore" name="Self" stroke="#22c55e" strokeWidth={2} strokeDasharray="5 5" connectNulls />
+              </LineChart>
+            </ResponsiveContainer>
+          </Card>
+
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            {/* Category trend */}
+            <Card className="p-6">
+              <h2 className="text-lg font-semibold text-gray-900 mb-4">Category Scores</h2>
+              {categoryNames.length === 0 ? (
+                <p className="text-sm text-gray-500">Category scores are available for evaluations scored after weighted scoring was introduced.</p>
+              ) : (
+                <ResponsiveContainer width="100%" height={260}>
+                  <LineChart data={categoryTrend}>
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis dataKey="label" />
+                    <YAxis domain={[0, maxScore]} />
+                    <Tooltip />
+                    <Legend />
+                    {categoryNames.map((name, index) => (
+                      <Line
+                        key={name}
+                        type="monotone"
+                        dataKey={name}
+                        stroke={CATEGORY_COLORS[index % CATEGORY_COLORS.length]}
+                        connectNulls
+                      />
+                    ))}
+                  </LineChart>
+                </ResponsiveContainer>
+              )}
+            </Card>
+
+            {/* Self vs manager gap */}
+            <Card className="p-6">
+              <h2 className="text-lg font-semibold text-gray-900 mb-1">Self vs Manager Gap</h2>
+              <p className="text-xs text-gray-500 mb-4">Positive: manager rated higher than the self-assessment</p>
+              <ResponsiveContainer width="100%" height={240}>
+                <BarChart data={cycles}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="label" />
+                  <YAxis />
+                  <Tooltip />
+                  <ReferenceLine y={0} stroke="#9ca3af" />
+                  <Bar dataKey="gap" name="Gap" fill="#f59e0b" />
+                </BarChart>
+              </ResponsiveContainer>
+            </Card>
+          </div>
+
+          {/* Cycle table */}
+          <Card className="p-6">
+            <h2 className="text-lg font-semibold text-gray-900 mb-4">Evaluation Cycles</h2>
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Completed</th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Evaluation</th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Self</th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Manager</th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Gap</th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Targets Set</th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Previous Targets Met</th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Bonus</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200">
+                  {[...cycles].reverse().map(cycle => (
+                    <tr key={cycle.id}>
+                      <td className="px-4 py-2 text-sm text-gray-700">{cycle.label}</td>
+                      <td className="px-4 py-2 text-sm text-gray-900">{cycle.templateName}</td>
+                      <td className="px-4 py-2 text-sm text-gray-700">{cycle.selfScore ?? '--'}</td>
+                      <td className="px-4 py-2 text-sm font-medium text-gray-900">
+                        {formatScaleScore(cycle.managerScore, cycle.scale)}
+                      </td>
+                      <td className={`px-4 py-2 text-sm ${cycle.gap > 0 ? 'text-green-700' : cycle.gap < 0 ? 'text-orange-600' : 'text-gray-700'}`}>
+                        {cycle.gap === null ? '--' : `${cycle.gap > 0 ? '+' : ''}${cycle.gap}`}
+                      </td>
+                      <td className="px-4 py-2 text-sm text-gray-700">{cycle.targetsSet || '--'}</td>
+                      <td className="px-4 py-2 text-sm text-gray-700">
+                        {cycle.targetsReviewed ? `${cycle.targetsMet}/${cycle.targetsReviewed}` : '--'}
+                      </td>
+                      <td className="px-4 py-2 text-sm text-gray-700">
+                        {cycle.bonusPercentage !== null ? `${cycle.bonusPercentage}%` : '--'}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </Card>
+
+          {/* Bonus history */}
+          {bonusRows.length > 0 && (
+            <Card className="p-6">
+              <h2 className="text-lg font-semibold text-gray-900 mb-4">Bonus History</h2>
+              <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Period</th>
+                      <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Review Score</th>
+                      <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Bonus %</th>
+                      <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Amount</th>
+                      <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-200">
+                    {bonusRows.map(row => (
+                      <tr key={row.allocationId}>
+                        <td className="px-4 py-2 text-sm text-gray-900">{row.period}</td>
+                        <td className="px-4 py-2 text-sm text-gray-700">{row.scoreLabel}</td>
+                        <td className="px-4 py-2 text-sm font-medium text-gray-900">{row.bonusPercentage}%</td>
+                        <td className="px-4 py-2 text-sm text-gray-700">
+                          {row.amount !== null ? formatMoney(row.amount, row.currency) : '--'}
+                        </td>
+                        <td className="px-4 py-2 text-sm">
+                          <Badge variant={BONUS_STATUS_VARIANTS[row.status] || 'gray'}>
+                            {BONUS_STATUS_LABELS[row.status] || row.status}
+                          </Badge>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </Card>
+          )}
+        </div>
+      )}
     </div>
   );
 };
 
-export default PerformanceHistoryPage;
\ No newline at end of file
+export default PerformanceHistoryPage;
@@ -15,9 +15,10 @@ import { Card, Button, Badge, LoadingSpinner, Modal } from '../../components/com
 // Firebase
 import { doc, getDoc } from 'firebase/firestore';
 import { db } from '../../firebase/config';
+import { functionsService } from '../../firebase/services';
 
 // Icons
-import { ClipboardDocumentCheckIcon, EyeIcon, TrashIcon } from '@heroicons/react/24/outline';
+import { ClipboardDocumentCheckIcon, EyeIcon, TrashIcon, BellAlertIcon } from '@heroicons/react/24/outline';
 
 const ReviewEvaluationsPage = () => {
   const dispatch = useDispatch();
@@ -29,6 +30,7 @@ const ReviewEvaluationsPage = () => {
   const [filter, setFilter] = useState('all'); // 'all', 'pending', 'in-progress', 'completed'
   const [deleteConfirm, setDeleteConfirm] = useState(null); // { id, name } for confirmation
   const [userCache, setUserCache] = useState(new Map()); // Cache for user data
+  const [remindingId, setRemindingId] = useState(null);
 
   // Helper function to get user display name from cache or fetch it
   const getUserDisplayName = useCallback(async (userId) => {
@@ -135,6 +137,23 @@ const ReviewEvaluationsPage = () => {
     });
   };
 
+  // Nudges the employee while their self-assessment is still outstanding
+  const handleSendReminder = async (evaluation) => {
+    setRemindingId(evaluation.id);
+    try {
+      const result = await functionsService.sendEvaluationReminder(evaluation.id, evaluation.evaluateeId);
+      if (!result.success) {
+        throw new Error(result.error?.message || 'Failed to send reminder');
+      }
+      alert(result.data.message);
+    } catch (error) {
+      console.error('❌ Error sending reminder:', error);
+      alert(error.message);
+    } finally {
+      setRemindingId(null);
+    }
+  };
+
   const handleReviewEvaluation = (evaluation) => {
     navigate(`/evaluation-review/${evaluation.id}`);
   };
@@ -282,6 +301,18 @@ ${evaluation.instructions ? `Instructions: ${evaluation.instructions}` : ''}
                     <EyeIcon className="h-4 w-4 mr-1" />
                     View
                   </Button>
+                  {(evaluation.status === 'pending' || evaluation.status === 'in-progress') && (
+                    <Button
+                      variant="outline"
+                      size="sm"
+                      onClick={() => handleSendReminder(evaluation)}
+                      loading={remindingId === evaluation.id}
+                      title="Remind the employee to complete their self-assessment"
+                    >
+                      <BellAlertIcon className="h-4 w-4 mr-1" />
+                      Remind
+                    </Button>
+                  )}
                   {(evaluation.status === 'under-review' || evaluation.status === 'completed') && (
                     <Button 
                       size="sm" 
@@ -1,25 +1,40 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { useSelector, useDispatch } from 'react-redux';
 import { Link } from 'react-router-dom';
 
 // Redux
-import { selectUser } from '../../store/slices/authSlice';
+import { selectUser, selectBusinessData } from '../../store/slices/authSlice';
 import { fetchUsers, selectUsersInitialized } from '../../store/slices/userSlice';
 import { fetchDepartments, selectDepartmentsInitialized } from '../../store/slices/departmentSlice';
 import { fetchEvaluations, selectEvaluationsInitialized } from '../../store/slices/evaluationSlice';
+import { fetchReviewCycles, selectReviewCycles, selectReviewCyclesInitialized } from '../../store/slices/cycleSlice';
 
 // Firebase
 import { db } from '../../firebase/config';
 import { doc, getDoc } from 'firebase/firestore';
+import { functionsService } from '../../firebase/services';
 
 // Utils
 import { formatDate } from '../../utils/dateUtils';
+import { getEvaluationScore, getNormalizedScore, getScoreGap } from '../../utils/scoreUtils';
+import { resolveRatingScale, formatScaleScore } from '../../utils/ratingScales';
+import {
+  getDefaultPeriod,
+  getPreviousCycle,
+  getPeriodLabel,
+  getBonusAllocationId,
+  getEvaluationYear,
+  isEvaluationInPeriod
+} from '../../utils/cycleUtils';
+import { getReportingCurrency, allocationCurrencyContext, toReportingAmount, formatMoney } from '../../utils/currency';
 
 // Components
 import Card from '../../components/common/Card';
 import Button from '../../components/common/Button';
 import Badge from '../../components/common/Badge';
 import LoadingSpinner from '../../components/common/LoadingSpinner';
+import ExportMenu from '../../components/common/ExportMenu';
+import { ReviewPeriodSelect } from '../../components/evaluations';
 
 // Icons
 import {
@@ -55,18 +70,21 @@ const isNestedSubordinate = (memberDept, targetDeptId, departments) => {
 const TeamPerformancePage = () => {
   const dispatch = useDispatch();
   const user = useSelector(selectUser);
+  const reportingCurrency = getReportingCurrency(useSelector(selectBusinessData));
   const { users, loading: usersLoading } = useSelector(state => state.users);
   const { departments } = useSelector(state => state.departments);
   const usersInitialized = useSelector(selectUsersInitialized);
   const departmentsInitialized = useSelector(selectDepartmentsInitialized);
   const evaluationsInitialized = useSelector(selectEvaluationsInitialized);
+  const reviewCycles = useSelector(selectReviewCycles);
+  const cyclesInitialized = useSelector(selectReviewCyclesInitialized);
   
   const [teamMembers, setTeamMembers] = useState([]);
   const [teamMembersByDept, setTeamMembersByDept] = useState({});
   const [evaluations, setEvaluations] = useState([]);
   const [bonusAllocations, setBonusAllocations] = useState({});
   const [loading, setLoading] = useState(true);
-  const [selectedYear, setSelectedYear] = useState(new Date().getFullYear());
+  const [period, setPeriod] = useState(null); // { cycleId } or { year }
   const [roleFilter, setRoleFilter] = useState('all'); // 'all', 'manager', 'supervisor', 'employee'
   const [expandedDepartments, setExpandedDepartments] = useState({}); // Track which departments are expanded
   
@@ -78,10 +96,22 @@ const TeamPerformancePage = () => {
     }));
   };
   
+  useEffect(() => {
+    if (user?.businessId) {
+      dispatch(fetchReviewCycles(user.businessId));
+    }
+  }, [dispatch, user?.businessId]);
+
+  // Open on the cycle running now, or the current year when there are no cycles
+  useEffect(() => {
+    if (cyclesInitialized && !period) {
+      setPeriod(getDefaultPeriod(reviewCycles));
+    }
+  }, [cyclesInitialized, period, reviewCycles]);
+
   // Load bonus allocations for team members
-  const loadBonusAllocations = async (memberDepartments) => {
+  const loadBonusAllocations = useCallback(async (memberDepartments) => {
     try {
-      const currentYear = new Date().getFullYear();
       const allocations = {};
       
       // Load bonus allocations for each unique department
@@ -91,12 +121,20 @@ const TeamPerformancePage = () => {
         try {
           // 🚀 NEW: Use subcollection path (assuming bonusAllocations maps to bonusCalculations)
           const allocationDoc = await getDoc(
-            doc(db, 'businesses', user.businessId, 'bonusCalculations', `${deptId}_${currentYear}`)
+            doc(db, 'businesses', user.businessId, 'bonusCalculations', getBonusAllocationId(deptId, period))
           );
           
           if (allocationDoc.exists()) {
-            const deptAllocations = allocationDoc.data().allocations || {};
-            Object.assign(allocations, deptAllocations);
+            // Team totals mix departments, so each bonus is converted with its allocation's rates
+            const currency = allocationCurrencyContext(allocationDoc.data(), reportingCurrency);
+            Object.entries(allocationDoc.data().allocations || {}).forEach(([memberId, entry]) => {
+              const amount = parseFloat(entry.monthlySalary || 0) * parseFloat(entry.bonusPercentage || 0) / 100;
+              allocations[memberId] = {
+                ...entry,
+                currency: entry.currency || currency.reportingCurrency,
+                reportingAmount: toReportingAmount(amount, entry.currency, currency)
+              };
+            });
           }
         } catch (error) {
           console.log(`No bonus allocation found for department ${deptId}:`, error.message);
@@ -108,7 +146,7 @@ const TeamPerformancePage = () => {
       console.log('Error loading bonus allocations:', error.message);
       setBonusAllocations({});
     }
-  };
+  }, [user?.businessId, period, reportingCurrency]);
 
   useEffect(() => {
     const loadData = async () => {
@@ -156,7 +194,7 @@ const TeamPerformancePage = () => {
   }, [dispatch, user?.businessId, user?.id, usersInitialized, departmentsInitialized, evaluationsInitialized]);
 
   useEffect(() => {
-    if (!user?.businessId || !usersInitialized || !departmentsInitialized || !users?.length || !departments?.length) {
+    if (!user?.businessId || !usersInitialized || !departmentsInitialized || !users?.length || !departments?.length || !period) {
       return;
     }
 
@@ -225,34 +263,26 @@ const TeamPerformancePage = () => {
     if (memberDepartments.length > 0) {
       loadBonusAllocations(memberDepartments);
     }
-  }, [user?.businessId, users, departments, usersInitialized, departmentsInitialized]);
+  }, [user?.businessId, user?.id, user?.role, user?.employeeInfo?.department, users, departments, usersInitialized, departmentsInitialized, period, loadBonusAllocations]);
 
   // Helper functions
   const getEvaluationStatsForMember = (memberId) => {
     const memberEvaluations = evaluations.filter(e => e.evaluateeId === memberId);
     
-    // Filter by selected year
-    const yearEvaluations = memberEvaluations.filter(e => {
-      const evalYear = new Date(e.assignedDate).getFullYear();
-      return evalYear === selectedYear;
-    });
+    // Filter by selected cycle or year
+    const yearEvaluations = memberEvaluations.filter(e => isEvaluationInPeriod(e, period));
     
     // Get the most recent completed evaluation for current rating
     const latestCompleted = yearEvaluations
-      .filter(e => e.status === 'completed' && e.managerReview?.overallRating)
+      .filter(e => e.status === 'completed' && getEvaluationScore(e) !== null)
       .sort((a, b) => new Date(b.managerReview?.reviewedAt || b.submittedAt) - new Date(a.managerReview?.reviewedAt || a.submittedAt))[0];
     
-    // Determine max score (try to get from evaluation, fallback to default)
-    let maxScore = 5; // Default
-    if (latestCompleted?.scoringSystem === '1-10') {
-      maxScore = 10;
-    } else if (latestCompleted?.managerReview?.overallRating > 5) {
-      maxScore = 10; // Infer 10-point scale
-    }
-    
     return {
-      currentRating: latestCompleted?.managerReview?.overallRating || null,
-      maxScore,
+      currentRating: getEvaluationScore(latestCompleted),
+      // 0-100, so members rated on different scales can be compared
+      ratingPercent: getNormalizedScore(latestCompleted),
+      scale: resolveRatingScale(latestCompleted),
+      scoreGap: getScoreGap(latestCompleted),
       completedCount: yearEvaluations.filter(e => e.status === 'completed').length,
       totalCount: yearEvaluations.length,
       lastCompletedDate: latestCompleted ? formatDate(latestCompleted.managerReview?.reviewedAt || latestCompleted.submittedAt) : null,
@@ -293,34 +323,29 @@ const TeamPerformancePage = () => {
     const totalMembers = filteredMembers.length;
     const evaluatedMembers = membersWithRatings.length;
     
-    const averageScore = evaluatedMembers > 0 
-      ? membersWithRatings.reduce((sum, m) => sum + m.stats.currentRating, 0) / evaluatedMembers 
+    const averagePercent = evaluatedMembers > 0 
+      ? membersWithRatings.reduce((sum, m) => sum + m.stats.ratingPercent, 0) / evaluatedMembers 
       : null;
 
-    const averageMaxScore = evaluatedMembers > 0
-      ? membersWithRatings.reduce((sum, m) => sum + m.stats.maxScore, 0) / evaluatedMembers
-      : 10;
+    // Positive when managers rate higher than employees rate themselves
+    const membersWithGap = membersWithRatings.filter(m => m.stats.scoreGap !== null);
+    const averageGap = membersWithGap.length > 0
+      ? membersWithGap.reduce((sum, m) => sum + m.stats.scoreGap, 0) / membersWithGap.length
+      : null;
 
     // Performance distribution
-    const excellent = membersWithRatings.filter(m => (m.stats.currentRating / m.stats.maxScore) >= 0.9).length;
+    const excellent = membersWithRatings.filter(m => m.stats.ratingPercent >= 90).length;
     const good = membersWithRatings.filter(m => {
-      const ratio = m.stats.currentRating / m.stats.maxScore;
-      return ratio >= 0.8 && ratio < 0.9;
+      return m.stats.ratingPercent >= 80 && m.stats.ratingPercent < 90;
     }).length;
     const satisfactory = membersWithRatings.filter(m => {
-      const ratio = m.stats.currentRating / m.stats.maxScore;
-      return ratio >= 0.7 && ratio < 0.8;
+      return m.stats.ratingPercent >= 70 && m.stats.ratingPercent < 80;
     }).length;
-    const needsImprovement = membersWithRatings.filter(m => (m.stats.currentRating / m.stats.maxScore) < 0.7).length;
+    const needsImprovement = membersWithRatings.filter(m => m.stats.ratingPercent < 70).length;
 
-    // Calculate total bonus amount for department
+    // Calculate total bonus amount for department, in the reporting currency
     const totalBonus = filteredMembers.reduce((sum, member) => {
-      const memberBonus = bonusAllocations[member.id];
-      if (memberBonus && memberBonus.monthlySalary && memberBonus.bonusPercentage) {
-        const bonusAmount = parseFloat(memberBonus.monthlySalary) * parseFloat(memberBonus.bonusPercentage) / 100;
-        return sum + bonusAmount;
-      }
-      return sum;
+      return sum + (bonusAllocations[member.id]?.reportingAmount || 0);
     }, 0);
 
     const averageBonus = totalMembers > 0 ? totalBonus / totalMembers : 0;
@@ -328,8 +353,8 @@ const TeamPerformancePage = () => {
     return {
       totalMembers,
       evaluatedMembers,
-      averageScore,
-      averageMaxScore,
+      averagePercent,
+      averageGap,
       memberStats,
       totalBonus,
       averageBonus,
@@ -360,31 +385,24 @@ const TeamPerformancePage = () => {
     const totalMembers = filteredMembers.length;
     const evaluatedMembers = membersWithRatings.length;
     
-    const averageScore = evaluatedMembers > 0 
-      ? membersWithRatings.reduce((sum, m) => sum + m.stats.currentRating, 0) / evaluatedMembers 
+    const averagePercent = evaluatedMembers > 0 
+      ? membersWithRatings.reduce((sum, m) => sum + m.stats.ratingPercent, 0) / evaluatedMembers 
       : null;
 
-    const averageMaxScore = evaluatedMembers > 0
-      ? membersWithRatings.reduce((sum, m) => sum + m.stats.maxScore, 0) / evaluatedMembers
-      : 10;
-
     // Performance distribution
-    const excellent = membersWithRatings.filter(m => (m.stats.currentRating / m.stats.maxScore) >= 0.9).length;
+    const excellent = membersWithRatings.filter(m => m.stats.ratingPercent >= 90).length;
     const good = membersWithRatings.filter(m => {
-      const ratio = m.stats.currentRating / m.stats.maxScore;
-      return ratio >= 0.8 && ratio < 0.9;
+      return m.stats.ratingPercent >= 80 && m.stats.ratingPercent < 90;
     }).length;
     const satisfactory = membersWithRatings.filter(m => {
-      const ratio = m.stats.currentRating / m.stats.maxScore;
-      return ratio >= 0.7 && ratio < 0.8;
+      return m.stats.ratingPercent >= 70 && m.stats.ratingPercent < 80;
     }).length;
-    const needsImprovement = membersWithRatings.filter(m => (m.stats.currentRating / m.stats.maxScore) < 0.7).length;
+    const needsImprovement = membersWithRatings.filter(m => m.stats.ratingPercent < 70).length;
 
     return {
       totalMembers,
       evaluatedMembers,
-      averageScore,
-      averageMaxScore,
+      averagePercent,
       memberStats,
       distribution: {
         excellent,
@@ -395,29 +413,27 @@ const TeamPerformancePage = () => {
     };
   };
 
-  // Get year comparison
-  const getYearComparison = () => {
-    const currentYear = new Date().getFullYear();
-    const previousYear = currentYear - 1;
-    
-    // Get evaluations for both years
-    const currentYearEvals = evaluations.filter(e => {
-      const evalYear = new Date(e.assignedDate).getFullYear();
-      return evalYear === currentYear && e.status === 'completed' && e.managerReview?.overallRating;
-    });
-    
-    const previousYearEvals = evaluations.filter(e => {
-      const evalYear = new Date(e.assignedDate).getFullYear();
-      return evalYear === previousYear && e.status === 'completed' && e.managerReview?.overallRating;
-    });
+  // Compare the selected period with the one before it: the previous cycle of the
+  // same type (annual vs annual, quarter vs quarter) or the previous year
+  const getPeriodComparison = () => {
+    const selectedCycle = period.cycleId ? reviewCycles.find(c => c.id === period.cycleId) : null;
+    const previousCycle = getPreviousCycle(reviewCycles, selectedCycle);
+    const previousPeriod = period.cycleId
+      ? (previousCycle ? { cycleId: previousCycle.id } : null)
+      : { year: period.year - 1 };
+
+    const getPeriodAverage = (targetPeriod) => {
+      if (!targetPeriod) return null;
+      const periodEvals = evaluations.filter(e =>
+        isEvaluationInPeriod(e, targetPeriod) && e.status === 'completed' && getEvaluationScore(e) !== null
+      );
+      return periodEvals.length > 0
+        ? periodEvals.reduce((sum, e) => sum + getEvaluationScore(e), 0) / periodEvals.length
+        : null;
+    };
 
-    const currentAvg = currentYearEvals.length > 0 
-      ? currentYearEvals.reduce((sum, e) => sum + e.managerReview.overallRating, 0) / currentYearEvals.length 
-      : null;
-      
-    const previousAvg = previousYearEvals.length > 0 
-      ? previousYearEvals.reduce((sum, e) => sum + e.managerReview.overallRating, 0) / previousYearEvals.length 
-      : null;
+    const currentAvg = getPeriodAverage(period);
+    const previousAvg = getPeriodAverage(previousPeriod);
 
     let trend = 'stable';
     let change = 0;
@@ -429,8 +445,8 @@ const TeamPerformancePage = () => {
     }
 
     return {
-      currentYear,
-      previousYear,
+      currentLabel: getPeriodLabel(period, reviewCycles),
+      previousLabel: previousPeriod ? getPeriodLabel(previousPeriod, reviewCycles) : 'No previous cycle',
       currentAvg,
       previousAvg,
       trend,
@@ -439,7 +455,7 @@ const TeamPerformancePage = () => {
   };
 
   const metrics = getTeamPerformanceMetrics();
-  const yearComparison = getYearComparison();
+  const periodComparison = period ? getPeriodComparison() : null;
   
   // Get all department metrics
   const departmentMetrics = Object.keys(teamMembersByDept).reduce((acc, deptId) => {
@@ -448,7 +464,7 @@ const TeamPerformancePage = () => {
   }, {});
 
   // Check if all required data is initialized
-  if (!usersInitialized || !departmentsInitialized || !evaluationsInitialized || loading || usersLoading) {
+  if (!usersInitialized || !departmentsInitialized || !evaluationsInitialized || !period || loading || usersLoading) {
     return (
       <div className="flex flex-col items-center justify-center min-h-96">
         <LoadingSpinner size="large" />
@@ -464,7 +480,7 @@ const TeamPerformancePage = () => {
   }
 
   const availableYears = Array.from(
-    new Set(evaluations.map(e => new Date(e.assignedDate).getFullYear()))
+    new Set(evaluations.map(getEvaluationYear))
   ).sort((a, b) => b - a);
 
   const roleOptions = [
@@ -474,6 +490,14 @@ const TeamPerformancePage = () => {
     { value: 'employee', label: 'Employees', count: teamMembers.filter(m => m.role === 'employee').length },
   ];
 
+  // The server applies the same team scope, so only the period needs passing on
+  const handleExport = (format) => {
+    const filters = period?.cycleId
+      ? { cycleId: period.cycleId }
+      : { from: `${period.year}-01-01T00:00:00.000Z`, to: `${period.year}-12-31T23:59:59.999Z` };
+    return functionsService.exportEvaluations(user.businessId, filters, format);
+  };
+
   return (
     <div className="space-y-6">
       {/* Header */}
@@ -485,6 +509,7 @@ const TeamPerformancePage = () => {
           </p>
         </div>
         <div className="flex space-x-3">
+          <ExportMenu label="Export Evaluations" onExport={handleExport} disabled={!period} />
           <Link to="/my-team">
             <Button variant="outline">
               <UsersIcon className="h-4 w-4 mr-2" />
@@ -496,26 +521,20 @@ const TeamPerformancePage = () => {
 
       {/* Filters */}
       <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-        {/* Year Selector */}
+        {/* Period Selector */}
         <Card className="p-4">
           <div className="flex items-center space-x-3">
             <CalendarIcon className="h-5 w-5 text-gray-400" />
             <div className="flex-1">
               <label className="block text-sm font-medium text-gray-700 mb-1">
-                Select Year
+                Review Period
               </label>
-              <select
-                value={selectedYear}
-                onChange={(e) => setSelectedYear(parseInt(e.target.value))}
-                className="block w-full rounded-md border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500 sm:text-sm"
-              >
-                {availableYears.map(year => (
-                  <option key={year} value={year}>{year}</option>
-                ))}
-                {availableYears.length === 0 && (
-                  <option value={new Date().getFullYear()}>{new Date().getFullYear()}</option>
-                )}
-              </select>
+              <ReviewPeriodSelect
+                value={period}
+                onChange={setPeriod}
+                cycles={reviewCycles}
+                years={availableYears}
+              />
             </div>
           </div>
         </Card>
@@ -576,7 +595,7 @@ const TeamPerformancePage = () => {
                           {deptData.department.name}
                         </h2>
                         <p className="text-sm text-gray-500 dark:text-gray-400">
-                          Department Performance Overview • {selectedYear}
+                          Department Performance Overview • {periodComparison.currentLabel}
                         </p>
                       </div>
                     </div>
@@ -609,11 +628,16 @@ const TeamPerformancePage = () => {
                       <div className="ml-3">
                         <p className="text-sm font-medium text-gray-500 dark:text-gray-400">Avg Performance</p>
                         <p className="text-2xl font-semibold text-gray-900 dark:text-white">
-                          {deptMetrics.averageScore ? 
-                            `${deptMetrics.averageScore.toFixed(1)}/${Math.round(deptMetrics.averageMaxScore)}` : 
+                          {deptMetrics.averagePercent !== null ? 
+                            `${deptMetrics.averagePercent.toFixed(0)}%` : 
                             '--'
                           }
                         </p>
+                        {deptMetrics.averageGap !== null && (
+                          <p className="text-xs text-gray-500 dark:text-gray-400">
+                            Manager vs self: {deptMetrics.averageGap > 0 ? '+' : ''}{deptMetrics.averageGap.toFixed(1)}
+                          </p>
+                        )}
                       </div>
                     </div>
                   </Card>
@@ -656,7 +680,7 @@ const TeamPerformancePage = () => {
                       <div className="ml-3">
                         <p className="text-sm font-medium text-gray-500 dark:text-gray-400">Total Bonus</p>
                         <p className="text-2xl font-semibold text-gray-900 dark:text-white">
-                          ${deptMetrics.totalBonus.toLocaleString()}
+                          {formatMoney(deptMetrics.totalBonus, reportingCurrency)}
                         </p>
                         <p className="text-xs text-gray-500 dark:text-gray-400">allocated</p>
                       </div>
@@ -715,7 +739,7 @@ const TeamPerformancePage = () => {
                 <Card>
                                       <div className="px-4 py-5 sm:p-6">
                     <h4 className="text-md leading-6 font-medium text-gray-900 dark:text-white mb-4">
-                      {deptData.department.name} Team Members ({selectedYear})
+                      {deptData.department.name} Team Members ({periodComparison.currentLabel})
                     </h4>
                     
                     <div className="overflow-hidden shadow ring-1 ring-black dark:ring-gray-700 ring-opacity-5 md:rounded-lg">
@@ -729,7 +753,7 @@ const TeamPerformancePage = () => {
                               Current Rating
                             </th>
                             <th scope="col" className="px-3 py-3.5 text-left text-sm font-semibold text-gray-900 dark:text-white">
-                              Evaluations ({selectedYear})
+                              Evaluations ({periodComparison.currentLabel})
                             </th>
                             <th scope="col" className="px-3 py-3.5 text-left text-sm font-semibold text-gray-900 dark:text-white">
                               Bonus Amount
@@ -784,10 +808,10 @@ const TeamPerformancePage = () => {
                                       <div className="flex items-center">
                                         <TrophyIcon className="h-4 w-4 text-yellow-400 mr-1" />
                                         <span className="font-medium text-gray-900 dark:text-white">
-                                          {member.stats.currentRating}/{member.stats.maxScore}
+                                          {formatScaleScore(member.stats.currentRating, member.stats.scale)}
                                         </span>
                                         <span className="ml-2 text-xs text-gray-500 dark:text-gray-400">
-                                          ({((member.stats.currentRating / member.stats.maxScore) * 100).toFixed(0)}%)
+                                          ({member.stats.ratingPercent.toFixed(0)}%)
                                         </span>
                                       </div>
                                     ) : (
@@ -804,7 +828,7 @@ const TeamPerformancePage = () => {
                                         <CurrencyDollarIcon className="h-4 w-4 text-green-500 mr-1" />
                                         <div className="flex flex-col">
                                           <span className="font-medium text-gray-900 dark:text-white">
-                                            ${bonusAmount.toLocaleString()}
+                                            {formatMoney(bonusAmount, memberBonus.currency)}
                                           </span>
                                           <span className="text-xs text-gray-500 dark:text-gray-400">
                                             {memberBonus.bonusPercentage}% bonus
@@ -838,44 +862,44 @@ const TeamPerformancePage = () => {
       <Card>
         <div className="p-6">
           <h3 className="text-lg leading-6 font-medium text-gray-900 dark:text-white mb-4">
-            Organization-wide Year-over-Year Performance
+            Organization-wide Period-over-Period Performance
           </h3>
           
           <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
             <div className="text-center">
-              <p className="text-sm font-medium text-gray-500 dark:text-gray-400">{yearComparison.previousYear}</p>
+              <p className="text-sm font-medium text-gray-500 dark:text-gray-400">{periodComparison.previousLabel}</p>
               <p className="text-2xl font-semibold text-gray-900 dark:text-white">
-                {yearComparison.previousAvg ? yearComparison.previousAvg.toFixed(1) : '--'}
+                {periodComparison.previousAvg ? periodComparison.previousAvg.toFixed(1) : '--'}
               </p>
-              <p className="text-xs text-gray-500 dark:text-gray-400">Previous Year Average</p>
+              <p className="text-xs text-gray-500 dark:text-gray-400">Previous Period Average</p>
             </div>
             
             <div className="text-center">
               <div className="flex items-center justify-center mb-2">
-                {yearComparison.trend === 'up' && (
+                {periodComparison.trend === 'up' && (
                   <ArrowTrendingUpIcon className="h-6 w-6 text-green-500" />
                 )}
-                {yearComparison.trend === 'down' && (
+                {periodComparison.trend === 'down' && (
                   <ArrowTrendingDownIcon className="h-6 w-6 text-red-500" />
                 )}
-                {yearComparison.trend === 'stable' && (
+                {periodComparison.trend === 'stable' && (
                   <MinusIcon className="h-6 w-6 text-gray-400" />
                 )}
               </div>
               <p className="text-lg font-semibold">
-                {yearComparison.change > 0 ? '+' : ''}{yearComparison.change.toFixed(1)}
+                {periodComparison.change > 0 ? '+' : ''}{periodComparison.change.toFixed(1)}
               </p>
               <p className="text-xs text-gray-500 dark:text-gray-400">
-                {yearComparison.trend === 'up' ? 'Improvement' : yearComparison.trend === 'down' ? 'Decline' : 'Stable'}
+                {periodComparison.trend === 'up' ? 'Improvement' : periodComparison.trend === 'down' ? 'Decline' : 'Stable'}
               </p>
             </div>
             
             <div className="text-center">
-              <p className="text-sm font-medium text-gray-500 dark:text-gray-400">{yearComparison.currentYear}</p>
+              <p className="text-sm font-medium text-gray-500 dark:text-gray-400">{periodComparison.currentLabel}</p>
               <p className="text-2xl font-semibold text-gray-900 dark:text-white">
-                {yearComparison.currentAvg ? yearComparison.currentAvg.toFixed(1) : '--'}
+                {periodComparison.currentAvg ? periodComparison.currentAvg.toFixed(1) : '--'}
               </p>
-              <p className="text-xs text-gray-500 dark:text-gray-400">Current Year Average</p>
+              <p className="text-xs text-gray-500 dark:text-gray-400">Selected Period Average</p>
             </div>
           </div>
         </div>
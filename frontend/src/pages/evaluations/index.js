@@ -8,13 +8,19 @@ export { default as ReviewEvaluationsPage } from './ReviewEvaluationsPage';
 export { default as EvaluationReviewPage } from './EvaluationReviewPage';
 export { default as TeamPerformancePage } from './TeamPerformancePage';
 export { default as BonusAllocationPage } from './BonusAllocationPage';
+export { default as BonusHistoryPage } from './BonusHistoryPage';
 
 // All User Types Pages
 export { default as MyEvaluationsPage } from './MyEvaluationsPage';
 export { default as MyEvaluationResultsPage } from './MyEvaluationResultsPage';
 export { default as EvaluationCompletePage } from './EvaluationCompletePage';
+export { default as FeedbackRequestsPage } from './FeedbackRequestsPage';
+export { default as FeedbackFormPage } from './FeedbackFormPage';
 
 // Employee Specific Pages
 export { default as PendingEvaluationsPage } from './PendingEvaluationsPage';
 export { default as MyGoalsPage } from './MyGoalsPage';
 export { default as PerformanceHistoryPage } from './PerformanceHistoryPage';
+
+// Public Pages
+export { default as ExternalFeedbackPage } from './ExternalFeedbackPage';
@@ -0,0 +1,182 @@
+import React, { useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { useNavigate } from 'react-router-dom';
+import classNames from 'classnames';
+import { BellIcon, BellSlashIcon, CheckIcon } from '@heroicons/react/24/outline';
+
+import { selectUser, updateUserData } from '../../store/slices/authSlice';
+import {
+  selectNotifications,
+  selectNotificationsLoaded,
+  markNotificationAsRead,
+  markAllNotificationsAsRead,
+  updateNotificationPreferences
+} from '../../store/slices/uiSlice';
+
+import { formatDate } from '../../utils/dateUtils';
+import { Card, Button, Badge, LoadingSpinner } from '../../components/common';
+
+// Must match MUTABLE_NOTIFICATION_TYPES in functions/src/notifications.ts
+const NOTIFICATION_TYPES = [
+  { value: 'evaluation_assigned', label: 'Evaluation assigned to me' },
+  { value: 'self_assessment_submitted', label: 'Self-assessment submitted for my review' },
+  { value: 'review_completed', label: 'My review was completed' },
+  { value: 'evaluation_returned', label: 'My self-assessment was sent back' },
+  { value: 'evaluation_reminder', label: 'Upcoming deadline reminders' },
+  { value: 'evaluation_overdue', label: 'Overdue reminders' },
+  { value: 'bonus_approved', label: 'Bonus approved' }
+];
+
+const NotificationsPage = () => {
+  const dispatch = useDispatch();
+  const navigate = useNavigate();
+  const user = useSelector(selectUser);
+  const notifications = useSelector(selectNotifications);
+  const loaded = useSelector(selectNotificationsLoaded);
+
+  const [filter, setFilter] = useState('all'); // 'all' | 'unread'
+  const [savingType, setSavingType] = useState(null);
+
+  const userId = user?.uid || user?.id;
+  const muted = user?.notificationPreferences?.muted || [];
+  const unreadCount = notifications.filter(notif => !notif.read).length;
+  const visibleNotifications = filter === 'unread'
+    ? notifications.filter(notif => !notif.read)
+    : notifications;
+
+  const handleOpen = (notification) => {
+    if (!notification.read) {
+      dispatch(markNotificationAsRead({ businessId: user.businessId, userId, notificationId: notification.id }));
+    }
+    if (notification.link) {
+      navigate(notification.link);
+    }
+  };
+
+  const handleMarkAllRead = async () => {
+    try {
+      await dispatch(markAllNotificationsAsRead({ businessId: user.businessId, userId })).unwrap();
+    } catch (error) {
+      alert(`Failed to mark notifications as read: ${error}`);
+    }
+  };
+
+  const handleToggleMute = async (type) => {
+    const nextMuted = muted.includes(type) ? muted.filter(t => t !== type) : [...muted, type];
+
+    setSavingType(type);
+    try {
+      const notificationPreferences = await dispatch(updateNotificationPreferences({
+        businessId: user.businessId,
+        userId,
+        muted: nextMuted
+      })).unwrap();
+      dispatch(updateUserData({ notificationPreferences }));
+    } catch (error) {
+      alert(`Failed to update notification preferences: ${error}`);
+    } finally {
+      setSavingType(null);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex justify-between items-start">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900 dark:text-white">Notifications</h1>
+          <p className="mt-1 text-sm text-gray-500 dark:text-gray-400">
+            {unreadCount > 0 ? `${unreadCount} unread` : 'You are all caught up'}
+          </p>
+        </div>
+        <Button variant="outline" onClick={handleMarkAllRead} disabled={unreadCount === 0}>
+          <CheckIcon className="h-4 w-4 mr-2" />
+          Mark all as read
+        </Button>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        <div className="lg:col-span-2 space-y-4">
+          <div className="flex space-x-2">
+            {[
+              { key: 'all', label: 'All', count: notifications.length },
+              { key: 'unread', label: 'Unread', count: unreadCount }
+            ].map(tab => (
+              <button
+                key={tab.key}
+                onClick={() => setFilter(tab.key)}
+                className={classNames(
+                  'px-3 py-1.5 text-sm rounded-md',
+                  filter === tab.key ? 'bg-indigo-100 text-indigo-700' : 'text-gray-600 hover:bg-gray-100'
+                )}
+              >
+                {tab.label} ({tab.count})
+              </button>
+            ))}
+          </div>
+
+          {!loaded ? (
+            <div className="flex justify-center py-12">
+              <LoadingSpinner />
+            </div>
+          ) : visibleNotifications.length === 0 ? (
+            <Card className="text-center py-12">
+              <BellIcon className="h-12 w-12 text-gray-400 mx-auto mb-4" />
+              <h3 className="text-lg font-medium text-gray-900 mb-2">No notifications</h3>
+              <p className="text-gray-500">
+                {filter === 'unread' ? 'Everything has been read.' : 'Updates about your evaluations will appear here.'}
+              </p>
+            </Card>
+          ) : (
+            <Card className="divide-y divide-gray-100 p-0">
+              {visibleNotifications.map(notification => (
+                <div
+                  key={notification.id}
+                  onClick={() => handleOpen(notification)}
+                  className={classNames(
+                    'px-4 py-3 cursor-pointer hover:bg-gray-50',
+                    !notification.read ? 'bg-blue-50 dark:bg-blue-900/30' : ''
+                  )}
+                >
+                  <div className="flex justify-between items-start">
+                    <div>
+                      <p className="text-sm font-medium text-gray-900 dark:text-white">{notification.title}</p>
+                      <p className="text-sm text-gray-600 dark:text-gray-300 mt-1">{notification.message}</p>
+                    </div>
+                    {!notification.read && <Badge variant="primary">New</Badge>}
+                  </div>
+                  <p className="text-xs text-gray-400 mt-1">{formatDate(notification.timestamp)}</p>
+                </div>
+              ))}
+            </Card>
+          )}
+        </div>
+
+        <Card className="p-6 h-fit">
+          <div className="flex items-center mb-1">
+            <BellSlashIcon className="h-5 w-5 text-gray-400 mr-2" />
+            <h3 className="text-lg font-medium text-gray-900 dark:text-white">Preferences</h3>
+          </div>
+          <p className="text-sm text-gray-500 mb-4">
+            Untick a type to stop receiving it. Escalations and announcements from HR are always delivered.
+          </p>
+          <div className="space-y-3">
+            {NOTIFICATION_TYPES.map(({ value, label }) => (
+              <label key={value} className="flex items-center space-x-2 text-sm text-gray-700 dark:text-gray-200">
+                <input
+                  type="checkbox"
+                  checked={!muted.includes(value)}
+                  onChange={() => handleToggleMute(value)}
+                  disabled={savingType !== null}
+                  className="rounded border-gray-300 text-indigo-600"
+                />
+                <span>{label}</span>
+              </label>
+            ))}
+          </div>
+        </Card>
+      </div>
+    </div>
+  );
+};
+
+export default NotificationsPage;
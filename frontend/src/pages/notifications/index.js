@@ -0,0 +1 @@
+export { default as NotificationsPage } from './NotificationsPage';
@@ -0,0 +1,411 @@
+import React, { useState, useCallback } from 'react';
+import { useDispatch } from 'react-redux';
+import { useDropzone } from 'react-dropzone';
+import classNames from 'classnames';
+import {
+  ArrowUpTrayIcon,
+  ArrowDownTrayIcon,
+  CheckCircleIcon,
+  ExclamationTriangleIcon
+} from '@heroicons/react/24/outline';
+
+import { Button, Modal, Badge, LoadingSpinner } from '../../components/common';
+import { functionsService } from '../../firebase/services';
+import { bulkImportUsers } from '../../store/slices/userSlice';
+import { readSpreadsheet, toCsv, downloadFile } from '../../utils/spreadsheetUtils';
+
+// Must stay within MAX_VALIDATE_ROWS and MAX_CREATE_ROWS in functions/src/userImport.ts
+const MAX_ROWS = 2000;
+const CHUNK_SIZE = 50;
+
+const IMPORT_FIELDS = [
+  { key: 'firstName', label: 'First Name', required: true, aliases: ['first name', 'firstname', 'given name'] },
+  { key: 'lastName', label: 'Last Name', required: true, aliases: ['last name', 'lastname', 'surname', 'family name'] },
+  { key: 'email', label: 'Email', required: true, aliases: ['email', 'e-mail', 'email address', 'work email'] },
+  { key: 'position', label: 'Position', required: true, aliases: ['position', 'title', 'job title'] },
+  { key: 'role', label: 'Role', aliases: ['role', 'access role'] },
+  { key: 'department', label: 'Department', aliases: ['department', 'dept', 'team'] },
+  { key: 'managerEmail', label: 'Manager Email', aliases: ['manager email', 'manager', 'reports to', 'manager e-mail'] },
+  { key: 'phone', label: 'Phone', aliases: ['phone', 'phone number', 'mobile'] },
+  { key: 'hireDate', label: 'Hire Date', aliases: ['hire date', 'start date', 'hired'] }
+];
+
+const STEPS = ['upload', 'map', 'preview', 'import'];
+
+const normalizeHeader = (header) => header.toLowerCase().replace(/[_\-.]+/g, ' ').replace(/\s+/g, ' ').trim();
+
+// Pre-selects the column whose header looks like each field
+const guessMapping = (headers) => {
+  const normalized = headers.map(normalizeHeader);
+  return IMPORT_FIELDS.reduce((mapping, field) => {
+    const index = normalized.findIndex(header => header === normalizeHeader(field.label) || field.aliases.includes(header));
+    return { ...mapping, [field.key]: index >= 0 ? String(index) : '' };
+  }, {});
+};
+
+const downloadTemplate = () => {
+  downloadFile(
+    toCsv(IMPORT_FIELDS.map(field => field.label), [
+      ['Jane', 'Doe', 'jane.doe@example.com', 'Engineering Manager', 'manager', 'Engineering', '', '+1 555 0100', '2024-01-15'],
+      ['John', 'Smith', 'john.smith@example.com', 'Software Engineer', 'employee', 'Engineering', 'jane.doe@example.com', '', '2024-03-01']
+    ]),
+    'user-import-template.csv'
+  );
+};
+
+const ImportUsersModal = ({ isOpen, onClose }) => {
+  const dispatch = useDispatch();
+
+  const [step, setStep] = useState('upload');
+  const [fileName, setFileName] = useState('');
+  const [sheet, setSheet] = useState(null); // { headers, rows }
+  const [mapping, setMapping] = useState({});
+  const [mappedRows, setMappedRows] = useState([]);
+  const [validation, setValidation] = useState(null); // { rows, summary }
+  const [showErrorsOnly, setShowErrorsOnly] = useState(false);
+  const [sendInvites, setSendInvites] = useState(true);
+  const [progress, setProgress] = useState({ done: 0, total: 0 });
+  const [importResults, setImportResults] = useState(null);
+  const [isWorking, setIsWorking] = useState(false);
+
+  const onDrop = useCallback(async (acceptedFiles, rejectedFiles) => {
+    if (rejectedFiles.length > 0) {
+      alert('Please upload a single .csv or .xlsx file');
+      return;
+    }
+
+    const file = acceptedFiles[0];
+    if (!file) return;
+
+    setIsWorking(true);
+    try {
+      const parsed = await readSpreadsheet(file);
+      if (parsed.rows.length > MAX_ROWS) {
+        throw new Error(`The file has ${parsed.rows.length} rows; at most ${MAX_ROWS} can be imported at once`);
+      }
+      console.log('📄 Parsed import file:', { name: file.name, rows: parsed.rows.length });
+      setFileName(file.name);
+      setSheet(parsed);
+      setMapping(guessMapping(parsed.headers));
+      setStep('map');
+    } catch (error) {
+      alert('Failed to read file: ' + error.message);
+    } finally {
+      setIsWorking(false);
+    }
+  }, []);
+
+  const { getRootProps, getInputProps, isDragActive } = useDropzone({
+    onDrop,
+    multiple: false,
+    accept: {
+      'text/csv': ['.csv'],
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': ['.xlsx']
+    }
+  });
+
+  const missingRequired = IMPORT_FIELDS.filter(field => field.required && mapping[field.key] === '');
+
+  const handleValidate = async () => {
+    // Row numbers match the spreadsheet, where the header is row 1
+    const rows = sheet.rows.map((row, index) => IMPORT_FIELDS.reduce((mapped, field) => ({
+      ...mapped,
+      [field.key]: mapping[field.key] === '' ? '' : row[Number(mapping[field.key])]
+    }), { rowNumber: index + 2 }));
+
+    setIsWorking(true);
+    try {
+      const result = await functionsService.validateImportData('users', rows);
+      if (!result.success) {
+        throw new Error(result.error?.message || 'Validation failed');
+      }
+      setMappedRows(rows);
+      setValidation(result.data);
+      setShowErrorsOnly(result.data.summary.invalid > 0);
+      setStep('preview');
+    } catch (error) {
+      alert('Failed to validate import: ' + error.message);
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const handleImport = async () => {
+    // Managers first, so later chunks can point at people created by earlier ones
+    const validRows = validation.rows
+      .map((result, index) => ({ result, row: mappedRows[index] }))
+      .filter(({ result }) => result.status === 'valid')
+      .sort((a, b) => a.result.level - b.result.level)
+      .map(({ row }) => row);
+
+    setStep('import');
+    setIsWorking(true);
+    setProgress({ done: 0, total: validRows.length });
+
+    const results = [];
+    for (let i = 0; i < validRows.length; i += CHUNK_SIZE) {
+      const chunk = validRows.slice(i, i + CHUNK_SIZE);
+      try {
+        const { results: chunkResults } = await dispatch(bulkImportUsers({ rows: chunk, sendInvites })).unwrap();
+        results.push(...chunkResults);
+      } catch (error) {
+        results.push(...chunk.map(row => ({
+          rowNumber: row.rowNumber,
+          email: row.email,
+          status: 'failed',
+          errors: [String(error)],
+          warnings: []
+        })));
+      }
+      setProgress({ done: Math.min(i + CHUNK_SIZE, validRows.length), total: validRows.length });
+    }
+
+    console.log('✅ User import finished:', {
+      created: results.filter(result => result.status === 'created').length,
+      failed: results.filter(result => result.status === 'failed').length
+    });
+    setImportResults(results);
+    setIsWorking(false);
+  };
+
+  const handleDownloadReport = () => {
+    const imported = new Map((importResults || []).map(result => [result.rowNumber, result]));
+    const rows = validation.rows.map(result => {
+      const outcome = imported.get(result.rowNumber);
+      const status = outcome ? outcome.status : (importResults ? 'skipped' : result.status);
+      const errors = outcome ? outcome.errors : result.errors;
+      const warnings = outcome ? outcome.warnings : result.warnings;
+      return [result.rowNumber, result.email, status, errors.join('; '), warnings.join('; ')];
+    });
+
+    const suffix = importResults ? 'result' : 'validation';
+    downloadFile(
+      toCsv(['Row', 'Email', 'Status', 'Errors', 'Warnings'], rows),
+      `${fileName.replace(/\.(csv|xlsx)$/i, '')}-${suffix}.csv`
+    );
+  };
+
+  const handleClose = () => {
+    if (isWorking && step === 'import') return;
+    onClose();
+  };
+
+  const renderStepIndicator = () => (
+    <div className="flex items-center space-x-2 text-xs mb-6">
+      {['Upload', 'Map columns', 'Preview', 'Import'].map((label, index) => (
+        <React.Fragment key={label}>
+          {index > 0 && <span className="text-gray-300">→</span>}
+          <span className={classNames(
+            'px-2 py-1 rounded',
+            STEPS.indexOf(step) === index ? 'bg-indigo-100 text-indigo-700 font-medium' : 'text-gray-500'
+          )}>
+            {label}
+          </span>
+        </React.Fragment>
+      ))}
+    </div>
+  );
+
+  const renderUpload = () => (
+    <div className="space-y-4">
+      <div
+        {...getRootProps()}
+        className={classNames(
+          'border-2 border-dashed rounded-lg p-10 text-center cursor-pointer',
+          isDragActive ? 'border-indigo-500 bg-indigo-50' : 'border-gray-300 hover:border-gray-400'
+        )}
+      >
+        <input {...getInputProps()} />
+        {isWorking ? (
+          <LoadingSpinner />
+        ) : (
+          <>
+            <ArrowUpTrayIcon className="h-10 w-10 text-gray-400 mx-auto mb-3" />
+            <p className="text-sm text-gray-700">
+              {isDragActive ? 'Drop the file here' : 'Drag a CSV or XLSX file here, or click to choose one'}
+            </p>
+            <p className="text-xs text-gray-500 mt-1">Up to {MAX_ROWS} employees. The first row must contain column headers.</p>
+          </>
+        )}
+      </div>
+      <button type="button" onClick={downloadTemplate} className="text-sm text-indigo-600 hover:text-indigo-800">
+        Download a CSV template
+      </button>
+    </div>
+  );
+
+  const renderMapping = () => (
+    <div className="space-y-4">
+      <p className="text-sm text-gray-600">
+        {fileName}: {sheet.rows.length} row(s). Choose which column holds each field.
+        Departments can be given by name; managers by the email of an existing user or of another row.
+      </p>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        {IMPORT_FIELDS.map(field => (
+          <div key={field.key} className="space-y-1">
+            <label className="block text-sm font-medium text-gray-700">
+              {field.label} {field.required && <span className="text-red-500">*</span>}
+            </label>
+            <select
+              className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 text-sm"
+              value={mapping[field.key]}
+              onChange={(e) => setMapping(prev => ({ ...prev, [field.key]: e.target.value }))}
+            >
+              <option value="">— Not in file —</option>
+              {sheet.headers.map((header, index) => (
+                <option key={index} value={String(index)}>{header}</option>
+              ))}
+            </select>
+            {mapping[field.key] !== '' && sheet.rows[0] && (
+              <p className="text-xs text-gray-400 truncate">e.g. {sheet.rows[0][Number(mapping[field.key])] || '(empty)'}</p>
+            )}
+          </div>
+        ))}
+      </div>
+      <div className="flex justify-between pt-4">
+        <Button type="button" variant="outline" onClick={() => setStep('upload')}>Back</Button>
+        <Button type="button" onClick={handleValidate} loading={isWorking} disabled={missingRequired.length > 0 || isWorking}>
+          {missingRequired.length > 0 ? `Map ${missingRequired.map(field => field.label).join(', ')}` : 'Validate'}
+        </Button>
+      </div>
+    </div>
+  );
+
+  const renderPreview = () => {
+    const { summary } = validation;
+    const visibleRows = showErrorsOnly ? validation.rows.filter(row => row.status === 'error') : validation.rows;
+
+    return (
+      <div className="space-y-4">
+        <div className="grid grid-cols-3 gap-4 text-center">
+          <div className="rounded-md bg-gray-50 p-3">
+            <p className="text-2xl font-semibold text-gray-900">{summary.total}</p>
+            <p className="text-xs text-gray-500">Rows</p>
+          </div>
+          <div className="rounded-md bg-green-50 p-3">
+            <p className="text-2xl font-semibold text-green-700">{summary.valid}</p>
+            <p className="text-xs text-green-700">Ready to import</p>
+          </div>
+          <div className="rounded-md bg-red-50 p-3">
+            <p className="text-2xl font-semibold text-red-700">{summary.invalid}</p>
+            <p className="text-xs text-red-700">With errors (skipped)</p>
+          </div>
+        </div>
+
+        <div className="flex justify-between items-center">
+          <label className="flex items-center space-x-2 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={showErrorsOnly}
+              onChange={(e) => setShowErrorsOnly(e.target.checked)}
+              className="rounded border-gray-300 text-indigo-600"
+            />
+            <span>Show only rows with errors</span>
+          </label>
+          <button type="button" onClick={handleDownloadReport} className="text-sm text-indigo-600 hover:text-indigo-800">
+            Download validation report
+          </button>
+        </div>
+
+        <div className="max-h-80 overflow-y-auto border border-gray-200 rounded-md">
+          <table className="min-w-full divide-y divide-gray-200 text-sm">
+            <thead className="bg-gray-50 sticky top-0">
+              <tr>
+                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Row</th>
+                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Email</th>
+                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Details</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {visibleRows.map(row => (
+                <tr key={row.rowNumber}>
+                  <td className="px-3 py-2 text-gray-500">{row.rowNumber}</td>
+                  <td className="px-3 py-2 text-gray-900">{row.email || '—'}</td>
+                  <td className="px-3 py-2">
+                    <Badge variant={row.status === 'valid' ? 'success' : 'danger'}>
+                      {row.status === 'valid' ? 'Valid' : 'Error'}
+                    </Badge>
+                  </td>
+                  <td className="px-3 py-2">
+                    {row.errors.map(error => <p key={error} className="text-red-600">{error}</p>)}
+                    {row.warnings.map(warning => <p key={warning} className="text-yellow-700">{warning}</p>)}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        <label className="flex items-center space-x-2 text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={sendInvites}
+            onChange={(e) => setSendInvites(e.target.checked)}
+            className="rounded border-gray-300 text-indigo-600"
+          />
+          <span>Email invitations now (otherwise send them later with Resend)</span>
+        </label>
+
+        <div className="flex justify-between pt-2">
+          <Button type="button" variant="outline" onClick={() => setStep('map')}>Back</Button>
+          <Button type="button" onClick={handleImport} disabled={summary.valid === 0}>
+            Import {summary.valid} user(s)
+          </Button>
+        </div>
+      </div>
+    );
+  };
+
+  const renderImport = () => {
+    const created = (importResults || []).filter(result => result.status === 'created').length;
+    const failed = (importResults || []).filter(result => result.status === 'failed').length;
+    const percent = progress.total ? Math.round((progress.done / progress.total) * 100) : 0;
+
+    return (
+      <div className="space-y-4">
+        {!importResults ? (
+          <>
+            <p className="text-sm text-gray-700">Importing {progress.done} of {progress.total}…</p>
+            <div className="w-full bg-gray-200 rounded-full h-2">
+              <div className="bg-indigo-600 h-2 rounded-full transition-all" style={{ width: `${percent}%` }} />
+            </div>
+            <p className="text-xs text-gray-500">Keep this window open until the import finishes.</p>
+          </>
+        ) : (
+          <div className="text-center space-y-3">
+            {failed === 0 ? (
+              <CheckCircleIcon className="h-12 w-12 text-green-500 mx-auto" />
+            ) : (
+              <ExclamationTriangleIcon className="h-12 w-12 text-yellow-500 mx-auto" />
+            )}
+            <p className="text-lg font-medium text-gray-900">{created} user(s) created</p>
+            <p className="text-sm text-gray-600">
+              {failed > 0 && `${failed} failed during import. `}
+              {validation.summary.invalid > 0 && `${validation.summary.invalid} skipped because of validation errors.`}
+            </p>
+            <div className="flex justify-center space-x-3 pt-2">
+              <Button type="button" variant="outline" onClick={handleDownloadReport}>
+                <ArrowDownTrayIcon className="h-4 w-4 mr-2" />
+                Download result report
+              </Button>
+              <Button type="button" onClick={onClose}>Done</Button>
+            </div>
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <Modal isOpen={isOpen} onClose={handleClose} title="Import Users" size="xlarge">
+      {renderStepIndicator()}
+      {step === 'upload' && renderUpload()}
+      {step === 'map' && renderMapping()}
+      {step === 'preview' && renderPreview()}
+      {step === 'import' && renderImport()}
+    </Modal>
+  );
+};
+
+export default ImportUsersModal;
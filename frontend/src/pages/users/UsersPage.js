@@ -4,12 +4,17 @@ import {
   PlusIcon, 
   PencilIcon, 
   TrashIcon, 
-  UserPlusIcon
+  UserPlusIcon,
+  ArrowPathIcon,
+  XCircleIcon,
+  ArrowUpTrayIcon
 } from '@heroicons/react/24/outline';
-import { Card, Button, Input, Modal, Select, Badge, LoadingSpinner } from '../../components/common';
+import { Card, Button, Input, Modal, Select, Badge, LoadingSpinner, ExportMenu } from '../../components/common';
 import { 
   fetchUsers, 
-  createUser, 
+  inviteUser, 
+  resendInvite,
+  revokeInvite,
   updateUser, 
   deleteUser,
   selectUsers, 
@@ -18,6 +23,9 @@ import {
 } from '../../store/slices/userSlice';
 import { selectUser, selectBusinessData } from '../../store/slices/authSlice';
 import { fetchDepartments, selectDepartments } from '../../store/slices/departmentSlice';
+import { formatDate } from '../../utils/dateUtils';
+import { functionsService } from '../../firebase/services';
+import ImportUsersModal from './ImportUsersModal';
 
 const UsersPage = () => {
   const dispatch = useDispatch();
@@ -33,6 +41,7 @@ const UsersPage = () => {
   const [selectedDepartment, setSelectedDepartment] = useState('all');
   const [isAddModalOpen, setIsAddModalOpen] = useState(false);
   const [isEditModalOpen, setIsEditModalOpen] = useState(false);
+  const [isImportModalOpen, setIsImportModalOpen] = useState(false);
   const [selectedUser, setSelectedUser] = useState(null);
 
   // Fetch users and departments on component mount
@@ -83,6 +92,38 @@ const UsersPage = () => {
     }
   };
 
+  const handleResendInvite = async (user) => {
+    try {
+      await dispatch(resendInvite({ userId: user.id, inviteId: user.invitation.inviteId })).unwrap();
+      alert(`A new invitation was sent to ${user.profile.email}`);
+    } catch (error) {
+      alert('Failed to resend invitation: ' + error);
+    }
+  };
+
+  const handleRevokeInvite = async (user) => {
+    if (window.confirm(`Revoke the invitation for ${user.profile.email}? Their pending account will be removed.`)) {
+      try {
+        await dispatch(revokeInvite({ userId: user.id, inviteId: user.invitation.inviteId })).unwrap();
+      } catch (error) {
+        alert('Failed to revoke invitation: ' + error);
+      }
+    }
+  };
+
+  const isPendingInvite = (user) => user.invitation?.status === 'pending';
+
+  const getStatusBadge = (user) => {
+    if (isPendingInvite(user)) {
+      return new Date(user.invitation.expiresAt) < new Date()
+        ? { label: 'Invite expired', className: 'bg-yellow-100 text-yellow-800' }
+        : { label: 'Invited', className: 'bg-blue-100 text-blue-800' };
+    }
+    return user.isActive
+      ? { label: 'Active', className: 'bg-green-100 text-green-800' }
+      : { label: 'Inactive', className: 'bg-red-100 text-red-800' };
+  };
+
   const getRoleBadgeColor = (role) => {
     switch (role) {
       case 'admin': return 'bg-red-100 text-red-800';
@@ -111,13 +152,24 @@ const UsersPage = () => {
           <h1 className="text-2xl font-bold text-gray-900 dark:text-white">User Management</h1>
           <p className="text-gray-600 dark:text-gray-300">Manage employees and their roles in {businessData?.name}</p>
         </div>
-        <Button 
-          onClick={handleAddUser}
-          className="btn-primary flex items-center gap-2"
-        >
-          <UserPlusIcon className="w-5 h-5" />
-          Add User
-        </Button>
+        <div className="flex gap-2">
+          <ExportMenu onExport={(format) => functionsService.exportUsers(currentUser.businessId, format)} />
+          <Button 
+            variant="outline"
+            onClick={() => setIsImportModalOpen(true)}
+            className="flex items-center gap-2"
+          >
+            <ArrowUpTrayIcon className="w-5 h-5" />
+            Import
+          </Button>
+          <Button 
+            onClick={handleAddUser}
+            className="btn-primary flex items-center gap-2"
+          >
+            <UserPlusIcon className="w-5 h-5" />
+            Invite User
+          </Button>
+        </div>
       </div>
 
       {/* Filters */}
@@ -199,6 +251,7 @@ const UsersPage = () => {
             <tbody className="bg-white dark:bg-gray-800 divide-y divide-gray-200 dark:divide-gray-700">
               {filteredUsers.map((user) => {
                 const department = departments.find(d => d.id === user.employeeInfo.department);
+                const status = getStatusBadge(user);
                 return (
                   <tr key={user.id} className="hover:bg-gray-50 dark:hover:bg-gray-700">
                     <td className="px-6 py-4 whitespace-nowrap">
@@ -235,9 +288,14 @@ const UsersPage = () => {
                       {user.employeeInfo.position}
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap">
-                      <Badge className={user.isActive ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'}>
-                        {user.isActive ? 'Active' : 'Inactive'}
+                      <Badge className={status.className}>
+                        {status.label}
                       </Badge>
+                      {isPendingInvite(user) && (
+                        <div className="text-xs text-gray-500 mt-1">
+                          Sent {formatDate(user.invitation.sentAt)}
+                        </div>
+                      )}
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
                       <div className="flex justify-end space-x-2">
@@ -248,7 +306,27 @@ const UsersPage = () => {
                         >
                           <PencilIcon className="w-4 h-4" />
                         </Button>
-                        {user.id !== currentUser.id && (
+                        {isPendingInvite(user) ? (
+                          <>
+                            <Button
+                              size="sm"
+                              variant="ghost"
+                              title="Resend invitation"
+                              onClick={() => handleResendInvite(user)}
+                            >
+                              <ArrowPathIcon className="w-4 h-4" />
+                            </Button>
+                            <Button
+                              size="sm"
+                              variant="ghost"
+                              className="text-red-600 hover:text-red-800"
+                              title="Revoke invitation"
+                              onClick={() => handleRevokeInvite(user)}
+                            >
+                              <XCircleIcon className="w-4 h-4" />
+                            </Button>
+                          </>
+                        ) : user.id !== currentUser.id && (
                           <Button
                             size="sm"
                             variant="ghost"
@@ -280,7 +358,7 @@ const UsersPage = () => {
                 <div className="mt-6">
                   <Button onClick={handleAddUser} className="btn-primary">
                     <PlusIcon className="w-5 h-5 mr-2" />
-                    Add User
+                    Invite User
                   </Button>
                 </div>
               )}
@@ -289,7 +367,7 @@ const UsersPage = () => {
         </div>
       </Card>
 
-      {/* Add User Modal */}
+      {/* Invite User Modal */}
       {isAddModalOpen && (
         <AddUserModal
           isOpen={isAddModalOpen}
@@ -309,6 +387,14 @@ const UsersPage = () => {
         </div>
       )}
 
+      {/* Bulk Import Modal */}
+      {isImportModalOpen && (
+        <ImportUsersModal
+          isOpen={isImportModalOpen}
+          onClose={() => setIsImportModalOpen(false)}
+        />
+      )}
+
       {/* Edit User Modal */}
       {isEditModalOpen && selectedUser && (
         <EditUserModal
@@ -324,9 +410,12 @@ const UsersPage = () => {
   );
 };
 
-// Add User Modal Component
+// Invite User Modal Component: the employee sets their own password from the emailed link
 const AddUserModal = ({ isOpen, onClose, departments, businessId, users }) => {
   const dispatch = useDispatch();
+  const currentUser = useSelector(selectUser);
+  // Only admins may invite other admins (inviteUser)
+  const canInviteAdmin = currentUser?.role === 'admin';
   
   // Fetch departments when modal opens
   useEffect(() => {
@@ -343,7 +432,6 @@ const AddUserModal = ({ isOpen, onClose, departments, businessId, users }) => {
     firstName: '',
     lastName: '',
     email: '',
-    password: '',
     role: 'employee',
     department: '',
     position: '',
@@ -358,17 +446,13 @@ const AddUserModal = ({ isOpen, onClose, departments, businessId, users }) => {
     setIsSubmitting(true);
 
     try {
-      await dispatch(createUser({
-        userData: formData,
-        businessId
-      })).unwrap();
+      await dispatch(inviteUser({ userData: formData })).unwrap();
       
       onClose();
       setFormData({
         firstName: '',
         lastName: '',
         email: '',
-        password: '',
         role: 'employee',
         department: '',
         position: '',
@@ -377,14 +461,14 @@ const AddUserModal = ({ isOpen, onClose, departments, businessId, users }) => {
         managerId: ''
       });
     } catch (error) {
-      alert('Failed to create user: ' + error);
+      alert('Failed to invite user: ' + error);
     } finally {
       setIsSubmitting(false);
     }
   };
 
   return (
-    <Modal isOpen={isOpen} onClose={onClose} title="Add New User">
+    <Modal isOpen={isOpen} onClose={onClose} title="Invite New User">
       <form onSubmit={handleSubmit} className="space-y-4">
         <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
           <Input
@@ -411,14 +495,9 @@ const AddUserModal = ({ isOpen, onClose, departments, businessId, users }) => {
           required
         />
 
-                  <Input
-            label="Password"
-            type="password"
-            value={formData.password}
-            onChange={(e) => setFormData(prev => ({ ...prev, password: e.target.value }))}
-            required
-            minLength={6}
-          />
+        <p className="text-xs text-gray-500 -mt-2">
+          An invitation link will be emailed to this address. It expires after 7 days.
+        </p>
 
                   <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
           <div className="space-y-2">
@@ -435,7 +514,7 @@ const AddUserModal = ({ isOpen, onClose, departments, businessId, users }) => {
               <option value="manager">👥 Manager</option>
               <option value="head-manager">👑 Head Manager</option>
               <option value="hr">🏢 HR</option>
-              <option value="admin">🔑 Admin</option>
+              {canInviteAdmin && <option value="admin">🔑 Admin</option>}
             </select>
           </div>
 
@@ -517,7 +596,7 @@ const AddUserModal = ({ isOpen, onClose, departments, businessId, users }) => {
             className="btn-primary" 
             disabled={isSubmitting}
           >
-            {isSubmitting ? <LoadingSpinner size="sm" /> : 'Create User'}
+            {isSubmitting ? <LoadingSpinner size="sm" /> : 'Send Invite'}
           </Button>
         </div>
       </form>
@@ -528,6 +607,9 @@ const AddUserModal = ({ isOpen, onClose, departments, businessId, users }) => {
 // Edit User Modal Component  
 const EditUserModal = ({ isOpen, onClose, user, departments, businessId, users }) => {
   const dispatch = useDispatch();
+  const currentUser = useSelector(selectUser);
+  // Only admins may change roles (firestore.rules)
+  const canChangeRole = currentUser?.role === 'admin';
   const [formData, setFormData] = useState({
     firstName: user.profile.firstName,
     lastName: user.profile.lastName,
@@ -595,6 +677,7 @@ const EditUserModal = ({ isOpen, onClose, user, departments, businessId, users }
               className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
               value={formData.role}
               onChange={(e) => setFormData(prev => ({ ...prev, role: e.target.value }))}
+              disabled={!canChangeRole}
               required
             >
               <option value="">Select Role</option>
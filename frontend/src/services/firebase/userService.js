@@ -112,28 +112,6 @@ class UserService {
     }
   }
 
-  // Create a new user
-  async createUser(userData, password) {
-    try {
-      // Use Cloud Function to create user with authentication
-      const createUserFunction = httpsCallable(functions, 'users-createUser');
-      
-      const result = await createUserFunction({
-        userData,
-        password
-      });
-
-      if (!result.data.success) {
-        throw new Error(result.data.message || 'Failed to create user');
-      }
-
-      return result.data.user;
-    } catch (error) {
-      console.error('Error creating user:', error);
-      throw error;
-    }
-  }
-
   // Update user
   async updateUser(userId, updates) {
     try {
@@ -79,14 +79,17 @@ export const createEvaluationAssignment = createAsyncThunk(
         where('active', '==', true)
       );
       const existingDocs = await getDocs(existingQuery);
-      
-      if (!existingDocs.empty) {
+
+      // The same pair may be assigned again for a different review cycle
+      const cycleId = assignmentData.cycleId || null;
+      if (existingDocs.docs.some(existing => (existing.data().cycleId || null) === cycleId)) {
         throw new Error('An active assignment already exists for this evaluator and evaluatee');
       }
 
       // Prepare assignment data with required fields
       const assignmentDoc = {
         ...assignmentData,
+        cycleId,
         active: true,
         assignedDate: serverTimestamp(),
         createdAt: serverTimestamp(),
@@ -328,8 +331,12 @@ export const bulkCreateEvaluationAssignments = createAsyncThunk(
         )
       );
 
-      // Filter out assignments that already exist
-      const newAssignments = assignments.filter((_, index) => existingAssignments[index].empty);
+      // Filter out assignments that already exist for the same cycle
+      const newAssignments = assignments.filter((assignment, index) =>
+        !existingAssignments[index].docs.some(existing =>
+          (existing.data().cycleId || null) === (assignment.cycleId || null)
+        )
+      );
 
       if (newAssignments.length === 0) {
         throw new Error('All assignments already exist');
@@ -344,6 +351,7 @@ export const bulkCreateEvaluationAssignments = createAsyncThunk(
           assignedDate: serverTimestamp(),
           assignmentType: assignment.assignmentType || 'permanent',
           notes: assignment.notes || '',
+          cycleId: assignment.cycleId || null,
           active: true,
           createdAt: serverTimestamp(),
           updatedAt: serverTimestamp()
@@ -116,6 +116,8 @@ export const registerBusiness = createAsyncThunk(
         email: registrationData.businessEmail,
         phone: registrationData.phone || null,
         industry: registrationData.industry,
+        // Lets security rules recognise the owner before the userBusinessMap entry exists
+        ownerId: firebaseUser.uid,
         settings: {
           evaluationCycle: 'annual',
           bonusCalculation: 'performance-based',
@@ -145,7 +147,6 @@ export const registerBusiness = createAsyncThunk(
           department: null,
           position: 'Administrator',
           hireDate: databaseService.serverTimestamp(),
-          salary: null,
           manager: null
         },
         permissions: {
@@ -509,6 +510,11 @@ const authSlice = createSlice({
     },
     updateUserData: (state, action) => {
       state.user = { ...state.user, ...action.payload };
+    },
+    // Keeps the signed-in business in sync after settings are saved
+    updateBusinessSettings: (state, action) => {
+      if (!state.businessData) return;
+      state.businessData.settings = { ...state.businessData.settings, ...action.payload };
     }
   },
   extraReducers: (builder) => {
@@ -577,7 +583,8 @@ export const {
   setUnauthenticated, 
   setInitialized, 
   setError,
-  updateUserData 
+  updateUserData,
+  updateBusinessSettings
 } = authSlice.actions;
 
 // Selectors
@@ -0,0 +1,246 @@
+import { createSlice, createAsyncThunk, createSelector } from '@reduxjs/toolkit';
+import { collection, doc, getDocs, getDoc, query } from 'firebase/firestore';
+import { db } from '../../firebase/config';
+import { functionsService } from '../../firebase/services';
+
+// Helper function to safely convert Firebase Timestamps to ISO strings
+const convertTimestamp = (timestamp) => {
+  if (!timestamp) return null;
+  if (typeof timestamp === 'string') return timestamp;
+  return timestamp.toDate ? timestamp.toDate().toISOString() : null;
+};
+
+const convertCycle = (cycleDoc) => {
+  const data = cycleDoc.data();
+  return {
+    id: cycleDoc.id,
+    ...data,
+    participantIds: data.participantIds || [],
+    phaseDeadlines: data.phaseDeadlines || {},
+    includesBonus: data.includesBonus === true,
+    status: data.status || 'open',
+    createdAt: convertTimestamp(data.createdAt),
+    updatedAt: convertTimestamp(data.updatedAt),
+    closedAt: convertTimestamp(data.closedAt),
+    launchLockedAt: convertTimestamp(data.launchLockedAt),
+    launchedAt: data.launchedAt || null,
+    lastLaunch: data.lastLaunch || null,
+    exchangeRates: data.exchangeRates
+      ? { ...data.exchangeRates, updatedAt: convertTimestamp(data.exchangeRates.updatedAt) }
+      : null
+  };
+};
+
+// Newest period first
+const sortByPeriod = (cycles) => cycles.sort((a, b) => new Date(b.periodStart) - new Date(a.periodStart));
+
+const initialState = {
+  cycles: [],
+  isLoading: false,
+  error: null,
+  initialized: false
+};
+
+const fetchCycle = async (businessId, cycleId) => {
+  return convertCycle(await getDoc(doc(db, 'businesses', businessId, 'reviewCycles', cycleId)));
+};
+
+export const fetchReviewCycles = createAsyncThunk(
+  'cycles/fetchReviewCycles',
+  async (businessId, { rejectWithValue }) => {
+    try {
+      const querySnapshot = await getDocs(query(collection(db, 'businesses', businessId, 'reviewCycles')));
+      return sortByPeriod(querySnapshot.docs.map(convertCycle));
+    } catch (error) {
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+export const createReviewCycle = createAsyncThunk(
+  'cycles/createReviewCycle',
+  async ({ businessId, cycleData }, { rejectWithValue }) => {
+    try {
+      const result = await functionsService.createReviewCycle(cycleData);
+      if (!result.success) {
+        throw new Error(result.error?.message || 'Failed to create review cycle');
+      }
+
+      return await fetchCycle(businessId, result.data.cycleId);
+    } catch (error) {
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+export const updateReviewCycle = createAsyncThunk(
+  'cycles/updateReviewCycle',
+  async ({ businessId, cycleId, updates }, { rejectWithValue }) => {
+    try {
+      const result = await functionsService.updateReviewCycle(cycleId, updates);
+      if (!result.success) {
+        throw new Error(result.error?.message || 'Failed to update review cycle');
+      }
+
+      return await fetchCycle(businessId, cycleId);
+    } catch (error) {
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+export const setReviewCycleStatus = createAsyncThunk(
+  'cycles/setReviewCycleStatus',
+  async ({ businessId, cycleId, status }, { rejectWithValue }) => {
+    try {
+      const result = await functionsService.setReviewCycleStatus(cycleId, status);
+      if (!result.success) {
+        throw new Error(result.error?.message || 'Failed to change review cycle status');
+      }
+
+      return await fetchCycle(businessId, cycleId);
+    } catch (error) {
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+// Rates for converting salaries into the reporting currency, e.g. { EUR: 1.08 }
+export const setCycleExchangeRates = createAsyncThunk(
+  'cycles/setCycleExchangeRates',
+  async ({ businessId, cycleId, rates }, { rejectWithValue }) => {
+    try {
+      const result = await functionsService.setCycleExchangeRates(cycleId, rates);
+      if (!result.success) {
+        throw new Error(result.error?.message || 'Failed to update exchange rates');
+      }
+
+      return await fetchCycle(businessId, cycleId);
+    } catch (error) {
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+// Creates the cycle's missing evaluations now instead of waiting for the scheduled launch
+export const launchReviewCycle = createAsyncThunk(
+  'cycles/launchReviewCycle',
+  async ({ businessId, cycleId }, { rejectWithValue }) => {
+    try {
+      const result = await functionsService.launchReviewCycle(cycleId);
+      if (!result.success) {
+        throw new Error(result.error?.message || 'Failed to launch review cycle');
+      }
+
+      return {
+        cycle: await fetchCycle(businessId, cycleId),
+        report: result.data.report
+      };
+    } catch (error) {
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+export const fetchLaunchReport = createAsyncThunk(
+  'cycles/fetchLaunchReport',
+  async ({ businessId, cycleId, reportId }, { rejectWithValue }) => {
+    try {
+      const reportDoc = await getDoc(doc(db, 'businesses', businessId, 'reviewCycles', cycleId, 'launchReports', reportId));
+      if (!reportDoc.exists()) {
+        throw new Error('Launch report not found');
+      }
+
+      const data = reportDoc.data();
+      return { id: reportDoc.id, ...data, createdAt: convertTimestamp(data.createdAt) };
+    } catch (error) {
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+const replaceCycle = (state, cycle) => {
+  const index = state.cycles.findIndex(existing => existing.id === cycle.id);
+  if (index !== -1) {
+    state.cycles[index] = cycle;
+  } else {
+    state.cycles.push(cycle);
+  }
+  sortByPeriod(state.cycles);
+};
+
+const cycleSlice = createSlice({
+  name: 'cycles',
+  initialState,
+  reducers: {
+    clearError: (state) => {
+      state.error = null;
+    }
+  },
+  extraReducers: (builder) => {
+    builder
+      // Fetch Review Cycles
+      .addCase(fetchReviewCycles.pending, (state) => {
+        state.isLoading = true;
+        state.error = null;
+      })
+      .addCase(fetchReviewCycles.fulfilled, (state, action) => {
+        state.isLoading = false;
+        state.cycles = action.payload;
+        state.initialized = true;
+      })
+      .addCase(fetchReviewCycles.rejected, (state, action) => {
+        state.isLoading = false;
+        state.initialized = true;
+        state.error = action.payload;
+      })
+
+      // Create / Update / Open-Close / Exchange Rates / Launch
+      .addCase(createReviewCycle.fulfilled, (state, action) => {
+        replaceCycle(state, action.payload);
+        state.error = null;
+      })
+      .addCase(createReviewCycle.rejected, (state, action) => {
+        state.error = action.payload;
+      })
+      .addCase(updateReviewCycle.fulfilled, (state, action) => {
+        replaceCycle(state, action.payload);
+      })
+      .addCase(updateReviewCycle.rejected, (state, action) => {
+        state.error = action.payload;
+      })
+      .addCase(setReviewCycleStatus.fulfilled, (state, action) => {
+        replaceCycle(state, action.payload);
+      })
+      .addCase(setReviewCycleStatus.rejected, (state, action) => {
+        state.error = action.payload;
+      })
+      .addCase(setCycleExchangeRates.fulfilled, (state, action) => {
+        replaceCycle(state, action.payload);
+      })
+      .addCase(setCycleExchangeRates.rejected, (state, action) => {
+        state.error = action.payload;
+      })
+      .addCase(launchReviewCycle.fulfilled, (state, action) => {
+        replaceCycle(state, action.payload.cycle);
+      })
+      .addCase(launchReviewCycle.rejected, (state, action) => {
+        state.error = action.payload;
+      });
+  }
+});
+
+export const { clearError } = cycleSlice.actions;
+
+// Selectors
+export const selectReviewCycles = (state) => state.cycles.cycles;
+export const selectReviewCyclesLoading = (state) => state.cycles.isLoading;
+export const selectReviewCyclesError = (state) => state.cycles.error;
+export const selectReviewCyclesInitialized = (state) => state.cycles.initialized;
+
+export const selectOpenReviewCycles = createSelector(
+  [selectReviewCycles],
+  (cycles) => cycles.filter(cycle => cycle.status === 'open')
+);
+
+export default cycleSlice.reducer;
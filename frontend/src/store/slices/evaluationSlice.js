@@ -15,6 +15,8 @@ import {
   serverTimestamp 
 } from 'firebase/firestore';
 import { db } from '../../firebase/config';
+import { functionsService } from '../../firebase/services';
+import { isKnownQuestionType } from '../../utils/questionTypes';
 
 // Helper function to safely convert Firebase Timestamps to ISO strings
 const convertTimestamp = (timestamp) => {
@@ -38,10 +40,47 @@ const convertTimestampsInData = (data) => {
       ...data.managerReview,
       lastSavedAt: convertTimestamp(data.managerReview.lastSavedAt),
       reviewedAt: convertTimestamp(data.managerReview.reviewedAt)
-    } : null
+    } : null,
+    scores: data.scores ? {
+      ...data.scores,
+      calculatedAt: convertTimestamp(data.scores.calculatedAt)
+    } : data.scores,
+    transitions: (data.transitions || []).map(transition => ({
+      ...transition,
+      at: convertTimestamp(transition.at)
+    }))
   };
 };
 
+// Re-reads an evaluation after a server-side transition so the store gets the full document
+const fetchEvaluationAfterCall = async (businessId, evaluationId, result) => {
+  if (!result.success) {
+    throw new Error(result.error?.message || 'Request failed');
+  }
+
+  const evaluationDoc = await getDoc(doc(db, 'businesses', businessId, 'evaluations', evaluationId));
+  return {
+    id: evaluationDoc.id,
+    ...convertTimestampsInData(evaluationDoc.data())
+  };
+};
+
+// Firestore rules let admin/HR read every evaluation and everyone else only their own
+const canReadAllEvaluations = (user) => ['admin', 'hr'].includes(user?.role);
+
+// Managers see their reports' evaluations through getTeamEvaluations, scoped by the org chart
+const viewsTeamEvaluations = (user) =>
+  !canReadAllEvaluations(user) &&
+  Boolean(user?.permissions?.canManageEvaluations || user?.permissions?.canViewAnalytics);
+
+const fetchTeamEvaluations = async (filters) => {
+  const result = await functionsService.getTeamEvaluations(filters);
+  if (!result.success) {
+    throw new Error(result.error?.message || 'Failed to load evaluations');
+  }
+  return result.data.evaluations;
+};
+
 const initialState = {
   evaluations: [],
   templates: [],
@@ -69,21 +108,43 @@ const initialState = {
 // Async thunks for Evaluations
 export const fetchEvaluations = createAsyncThunk(
   'evaluations/fetchEvaluations',
-  async ({ businessId, filters = {}, page = 1, pageSize = 10 }, { rejectWithValue }) => {
+  async ({ businessId, filters = {}, page = 1, pageSize = 10 }, { rejectWithValue, getState }) => {
     try {
-      // Simple collection query without any filters
-      const evaluationQuery = query(
-        collection(db, 'businesses', businessId, 'evaluations')
-      );
+      const evaluationsRef = collection(db, 'businesses', businessId, 'evaluations');
+      const currentUser = getState().auth?.user;
+
+      let documents;
+      if (viewsTeamEvaluations(currentUser)) {
+        documents = await fetchTeamEvaluations({
+          evaluateeId: filters.evaluatee && filters.evaluatee !== 'all' ? filters.evaluatee : undefined,
+          cycleId: filters.cycleId && filters.cycleId !== 'all' ? filters.cycleId : undefined
+        });
+      } else {
+        let snapshots;
+        if (canReadAllEvaluations(currentUser)) {
+          // Simple collection query without any filters
+          snapshots = [await getDocs(query(evaluationsRef))];
+        } else {
+          // Security rules only let plain employees read evaluations they take part in,
+          // so the queries have to be constrained the same way
+          snapshots = await Promise.all([
+            getDocs(query(evaluationsRef, where('evaluateeId', '==', currentUser?.id || ''))),
+            getDocs(query(evaluationsRef, where('evaluatorId', '==', currentUser?.id || '')))
+          ]);
+        }
+        documents = snapshots.flatMap(snapshot => snapshot.docs).map(doc => ({ id: doc.id, ...doc.data() }));
+      }
 
-      const querySnapshot = await getDocs(evaluationQuery);
+      const seenIds = new Set();
       let evaluations = [];
 
       // Client-side filtering
-      querySnapshot.forEach((doc) => {
-        const data = doc.data();
+      documents.forEach(({ id, ...data }) => {
+        if (seenIds.has(id)) return;
+        seenIds.add(id);
+
         const evaluation = { 
-          id: doc.id, 
+          id, 
           ...convertTimestampsInData(data)
         };
         
@@ -94,7 +155,9 @@ export const fetchEvaluations = createAsyncThunk(
           // Evaluatee filter
           (!filters.evaluatee || filters.evaluatee === 'all' || evaluation.evaluateeId === filters.evaluatee) &&
           // Evaluator filter
-          (!filters.evaluator || filters.evaluator === 'all' || evaluation.evaluatorId === filters.evaluator)
+          (!filters.evaluator || filters.evaluator === 'all' || evaluation.evaluatorId === filters.evaluator) &&
+          // Review cycle filter
+          (!filters.cycleId || filters.cycleId === 'all' || evaluation.cycleId === filters.cycleId)
         ) {
           evaluations.push(evaluation);
         }
@@ -119,8 +182,13 @@ export const fetchEvaluations = createAsyncThunk(
 
 export const fetchEvaluation = createAsyncThunk(
   'evaluations/fetchEvaluation',
-  async ({ businessId, evaluationId }, { rejectWithValue }) => {
+  async ({ businessId, evaluationId }, { rejectWithValue, getState }) => {
     try {
+      if (viewsTeamEvaluations(getState().auth?.user)) {
+        const [evaluation] = await fetchTeamEvaluations({ evaluationId });
+        return convertTimestampsInData(evaluation);
+      }
+
       // 🚀 NEW: Use subcollection path
       const evaluationDoc = await getDoc(doc(db, 'businesses', businessId, 'evaluations', evaluationId));
       
@@ -141,43 +209,11 @@ export const fetchEvaluation = createAsyncThunk(
 
 export const createEvaluation = createAsyncThunk(
   'evaluations/createEvaluation',
-  async ({ businessId, ...evaluationData }, { rejectWithValue, getState }) => {
+  async ({ businessId, ...evaluationData }, { rejectWithValue }) => {
     try {
-      // Check if there's a valid assignment for this evaluation
-      const assignmentsRef = collection(db, 'businesses', businessId, 'evaluationAssignments');
-      const assignmentQuery = query(
-        assignmentsRef,
-        where('evaluatorId', '==', evaluationData.evaluatorId),
-        where('evaluateeId', '==', evaluationData.evaluateeId),
-        where('active', '==', true)
-      );
-
-      const assignmentSnapshot = await getDocs(assignmentQuery);
-      if (assignmentSnapshot.empty) {
-        throw new Error('No valid assignment found for this evaluation. Please check assignments in Assignment Management.');
-      }
-
-      // 🚀 NEW: Use subcollection - businessId not stored in document
-      const docRef = await addDoc(collection(db, 'businesses', businessId, 'evaluations'), {
-        ...evaluationData,
-        assignmentId: assignmentSnapshot.docs[0].id, // Store the assignment ID
-        status: 'draft',
-        createdAt: serverTimestamp(),
-        updatedAt: serverTimestamp()
-      });
-
-      const createdDoc = await getDoc(docRef);
-      const data = createdDoc.data();
-      return { 
-        id: createdDoc.id, 
-        ...data,
-        // Convert Firebase Timestamps to ISO strings for serialization
-        createdAt: data.createdAt?.toDate()?.toISOString() || null,
-        updatedAt: data.updatedAt?.toDate()?.toISOString() || null,
-        submittedAt: data.submittedAt?.toDate()?.toISOString() || null,
-        dueDate: data.dueDate?.toDate()?.toISOString() || null,
-        assignedDate: data.assignedDate?.toDate()?.toISOString() || null
-      };
+      // Assignment checks and the initial status are enforced by the createEvaluation function
+      const result = await functionsService.createEvaluation(evaluationData);
+      return await fetchEvaluationAfterCall(businessId, result.data?.evaluation?.id, result);
     } catch (error) {
       return rejectWithValue(error.message);
     }
@@ -356,28 +392,44 @@ export const submitEvaluation = createAsyncThunk(
   'evaluations/submitEvaluation',
   async ({ businessId, evaluationId, responses }, { rejectWithValue }) => {
     try {
-      // 🚀 NEW: Use subcollection path
-      const evaluationRef = doc(db, 'businesses', businessId, 'evaluations', evaluationId);
-      
-      await updateDoc(evaluationRef, {
-        responses,
-        status: 'under-review',
-        submittedAt: serverTimestamp(),
-        updatedAt: serverTimestamp()
-      });
+      const result = await functionsService.submitEvaluation(evaluationId, responses);
+      return await fetchEvaluationAfterCall(businessId, evaluationId, result);
+    } catch (error) {
+      return rejectWithValue(error.message);
+    }
+  }
+);
 
-      const updatedDoc = await getDoc(evaluationRef);
-      const data = updatedDoc.data();
-      return { 
-        id: updatedDoc.id, 
-        ...data,
-        // Convert Firebase Timestamps to ISO strings for serialization
-        createdAt: data.createdAt?.toDate()?.toISOString() || null,
-        updatedAt: data.updatedAt?.toDate()?.toISOString() || null,
-        submittedAt: data.submittedAt?.toDate()?.toISOString() || null,
-        dueDate: data.dueDate?.toDate()?.toISOString() || null,
-        assignedDate: data.assignedDate?.toDate()?.toISOString() || null
-      };
+export const approveEvaluation = createAsyncThunk(
+  'evaluations/approveEvaluation',
+  async ({ businessId, evaluationId, managerReview, comment }, { rejectWithValue }) => {
+    try {
+      const result = await functionsService.approveEvaluation(evaluationId, { managerReview, comment });
+      return await fetchEvaluationAfterCall(businessId, evaluationId, result);
+    } catch (error) {
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+export const rejectEvaluation = createAsyncThunk(
+  'evaluations/rejectEvaluation',
+  async ({ businessId, evaluationId, reason }, { rejectWithValue }) => {
+    try {
+      const result = await functionsService.rejectEvaluation(evaluationId, { reason });
+      return await fetchEvaluationAfterCall(businessId, evaluationId, result);
+    } catch (error) {
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+export const calculateEvaluationScore = createAsyncThunk(
+  'evaluations/calculateEvaluationScore',
+  async ({ businessId, evaluationId }, { rejectWithValue }) => {
+    try {
+      const result = await functionsService.calculateEvaluationScore(evaluationId);
+      return await fetchEvaluationAfterCall(businessId, evaluationId, result);
     } catch (error) {
       return rejectWithValue(error.message);
     }
@@ -492,10 +544,28 @@ export const fetchEvaluationTemplates = createAsyncThunk(
   }
 );
 
+// Pass a version to load that published version instead of the current draft
 export const fetchEvaluationTemplate = createAsyncThunk(
   'evaluations/fetchEvaluationTemplate',  
-  async ({ businessId, templateId }, { rejectWithValue }) => {
+  async ({ businessId, templateId, version = null }, { rejectWithValue }) => {
     try {
+      if (version) {
+        const versionDoc = await getDoc(
+          doc(db, 'businesses', businessId, 'evaluationTemplates', templateId, 'versions', String(version))
+        );
+
+        if (!versionDoc.exists()) {
+          throw new Error(`Version ${version} of this template was not found`);
+        }
+
+        const versionData = versionDoc.data();
+        return {
+          id: templateId,
+          ...versionData,
+          publishedAt: versionData.publishedAt?.toDate()?.toISOString() || null
+        };
+      }
+
       // 🚀 NEW: Use subcollection path
       const templateDoc = await getDoc(doc(db, 'businesses', businessId, 'evaluationTemplates', templateId));
       
@@ -509,7 +579,8 @@ export const fetchEvaluationTemplate = createAsyncThunk(
         ...data,
         // Convert Firebase Timestamps to ISO strings for serialization
         createdAt: data.createdAt?.toDate()?.toISOString() || null,
-        updatedAt: data.updatedAt?.toDate()?.toISOString() || null
+        updatedAt: data.updatedAt?.toDate()?.toISOString() || null,
+        publishedAt: data.publishedAt?.toDate()?.toISOString() || null
       };
     } catch (error) {
       return rejectWithValue(error.message);
@@ -525,6 +596,9 @@ export const createEvaluationTemplate = createAsyncThunk(
       const docRef = await addDoc(collection(db, 'businesses', businessId, 'evaluationTemplates'), {
         ...templateData,
         isActive: true,
+        // New templates are drafts until published
+        publishedVersion: null,
+        hasUnpublishedChanges: true,
         createdAt: serverTimestamp(),
         updatedAt: serverTimestamp()
       });
@@ -552,6 +626,7 @@ export const updateEvaluationTemplate = createAsyncThunk(
       
       await updateDoc(templateRef, {
         ...updates,
+        hasUnpublishedChanges: true,
         updatedAt: serverTimestamp()
       });
 
@@ -563,6 +638,41 @@ export const updateEvaluationTemplate = createAsyncThunk(
   }
 );
 
+export const publishTemplateVersion = createAsyncThunk(
+  'evaluations/publishTemplateVersion',
+  async ({ templateId, notes = '' }, { rejectWithValue }) => {
+    const result = await functionsService.publishTemplateVersion(templateId, notes);
+    if (!result.success) {
+      return rejectWithValue(result.error?.message || 'Failed to publish template');
+    }
+    return { templateId, version: result.data.version };
+  }
+);
+
+// Published versions, newest first
+export const fetchTemplateVersions = createAsyncThunk(
+  'evaluations/fetchTemplateVersions',
+  async ({ businessId, templateId }, { rejectWithValue }) => {
+    try {
+      const versionsQuery = query(
+        collection(db, 'businesses', businessId, 'evaluationTemplates', templateId, 'versions'),
+        orderBy('version', 'desc')
+      );
+      const querySnapshot = await getDocs(versionsQuery);
+
+      return querySnapshot.docs.map(versionDoc => {
+        const data = versionDoc.data();
+        return {
+          ...data,
+          publishedAt: data.publishedAt?.toDate()?.toISOString() || null
+        };
+      });
+    } catch (error) {
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
 export const deleteEvaluationTemplate = createAsyncThunk(
   'evaluations/deleteEvaluationTemplate',
   async ({ businessId, templateId }, { rejectWithValue }) => {
@@ -746,6 +856,39 @@ const evaluationSlice = createSlice({
         }
       })
       
+      // Approve Evaluation
+      .addCase(approveEvaluation.fulfilled, (state, action) => {
+        const index = state.evaluations.findIndex(evaluation => evaluation.id === action.payload.id);
+        if (index !== -1) {
+          state.evaluations[index] = action.payload;
+        }
+        if (state.selectedEvaluation && state.selectedEvaluation.id === action.payload.id) {
+          state.selectedEvaluation = action.payload;
+        }
+      })
+      
+      // Reject Evaluation
+      .addCase(rejectEvaluation.fulfilled, (state, action) => {
+        const index = state.evaluations.findIndex(evaluation => evaluation.id === action.payload.id);
+        if (index !== -1) {
+          state.evaluations[index] = action.payload;
+        }
+        if (state.selectedEvaluation && state.selectedEvaluation.id === action.payload.id) {
+          state.selectedEvaluation = action.payload;
+        }
+      })
+      
+      // Calculate Evaluation Score
+      .addCase(calculateEvaluationScore.fulfilled, (state, action) => {
+        const index = state.evaluations.findIndex(evaluation => evaluation.id === action.payload.id);
+        if (index !== -1) {
+          state.evaluations[index] = action.payload;
+        }
+        if (state.selectedEvaluation && state.selectedEvaluation.id === action.payload.id) {
+          state.selectedEvaluation = action.payload;
+        }
+      })
+      
       // Templates
       .addCase(fetchEvaluationTemplates.pending, (state) => {
         state.templatesLoading = true;
@@ -778,6 +921,15 @@ const evaluationSlice = createSlice({
         }
       })
       
+      .addCase(publishTemplateVersion.fulfilled, (state, action) => {
+        const { templateId, version } = action.payload;
+        const template = state.templates.find(item => item.id === templateId);
+        if (template) {
+          template.publishedVersion = version;
+          template.hasUnpublishedChanges = false;
+        }
+      })
+      
       .addCase(deleteEvaluationTemplate.fulfilled, (state, action) => {
         state.templates = state.templates.filter(template => template.id !== action.payload);
         if (state.selectedTemplate && state.selectedTemplate.id === action.payload) {
@@ -883,7 +1035,7 @@ export const fixTemplateQuestionTypes = createAsyncThunk(
         // Check and fix category questions
         const updatedCategories = template.categories?.map(category => {
           const updatedQuestions = category.questions?.map(question => {
-            if (!question.type || (question.type !== 'rating' && question.type !== 'dualRating' && question.type !== 'text')) {
+            if (!question.type || !isKnownQuestionType(question.type)) {
               console.log('🔧 Fixing question type for:', question.text);
               needsUpdate = true;
               return {
@@ -0,0 +1,260 @@
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import { collection, doc, getDocs, getDoc, query, where } from 'firebase/firestore';
+import { db } from '../../firebase/config';
+import { functionsService } from '../../firebase/services';
+
+// Helper function to safely convert Firebase Timestamps to ISO strings
+const convertTimestamp = (timestamp) => {
+  if (!timestamp) return null;
+  if (typeof timestamp === 'string') return timestamp;
+  return timestamp.toDate ? timestamp.toDate().toISOString() : null;
+};
+
+const convertRequest = (requestDoc) => {
+  const data = requestDoc.data();
+  return {
+    id: requestDoc.id,
+    ...data,
+    linkExpiresAt: convertTimestamp(data.linkExpiresAt),
+    submittedAt: convertTimestamp(data.submittedAt),
+    createdAt: convertTimestamp(data.createdAt),
+    updatedAt: convertTimestamp(data.updatedAt)
+  };
+};
+
+const sortByNomination = (requests) => requests.sort((a, b) => new Date(a.nominatedAt || 0) - new Date(b.nominatedAt || 0));
+
+export const RATER_GROUP_LABELS = {
+  peer: 'Peers',
+  directReport: 'Direct reports',
+  external: 'External reviewers'
+};
+
+export const FEEDBACK_STATUS_LABELS = {
+  nominated: 'Awaiting approval',
+  approved: 'Invited',
+  declined: 'Declined',
+  submitted: 'Submitted'
+};
+
+const initialState = {
+  requestsByEvaluation: {}, // Nominations of one evaluation, keyed by evaluationId
+  respondedByEvaluation: {}, // Whether anyone has answered yet, keyed by evaluationId
+  myRequests: [], // Requests where I am the rater
+  summaries: {}, // Aggregated results, keyed by evaluationId
+  isLoading: false,
+  error: null,
+  initialized: false
+};
+
+/**
+ * Nominations for one evaluation. Rules only let raters read their own request; the evaluatee
+ * and evaluator get the list from getFeedbackRequests, where submitted requests show as invited.
+ */
+export const fetchEvaluationFeedbackRequests = createAsyncThunk(
+  'feedback/fetchEvaluationFeedbackRequests',
+  async ({ evaluationId }, { rejectWithValue }) => {
+    try {
+      const result = await functionsService.getFeedbackRequests(evaluationId);
+      if (!result.success) {
+        throw new Error(result.error?.message || 'Failed to load feedback nominations');
+      }
+
+      return {
+        evaluationId,
+        requests: sortByNomination(result.data.requests),
+        hasResponses: result.data.hasResponses === true
+      };
+    } catch (error) {
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+export const fetchMyFeedbackRequests = createAsyncThunk(
+  'feedback/fetchMyFeedbackRequests',
+  async ({ businessId, userId }, { rejectWithValue }) => {
+    try {
+      const querySnapshot = await getDocs(query(
+        collection(db, 'businesses', businessId, 'feedbackRequests'),
+        where('raterId', '==', userId)
+      ));
+
+      // Nominations the manager has not approved yet are not the rater's business
+      return sortByNomination(querySnapshot.docs.map(convertRequest))
+        .filter(request => request.status === 'approved' || request.status === 'submitted');
+    } catch (error) {
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+export const fetchFeedbackRequest = createAsyncThunk(
+  'feedback/fetchFeedbackRequest',
+  async ({ businessId, requestId }, { rejectWithValue }) => {
+    try {
+      const requestDoc = await getDoc(doc(db, 'businesses', businessId, 'feedbackRequests', requestId));
+      if (!requestDoc.exists()) {
+        throw new Error('Feedback request not found');
+      }
+      return convertRequest(requestDoc);
+    } catch (error) {
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+export const setupFeedback = createAsyncThunk(
+  'feedback/setupFeedback',
+  async ({ evaluationId, templateId, minRespondents }, { rejectWithValue }) => {
+    try {
+      const result = await functionsService.setupFeedback(evaluationId, { templateId, minRespondents });
+      if (!result.success) {
+        throw new Error(result.error?.message || 'Failed to set up feedback');
+      }
+
+      return { evaluationId, feedback: result.data.feedback };
+    } catch (error) {
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+export const nominateFeedbackRaters = createAsyncThunk(
+  'feedback/nominateFeedbackRaters',
+  async ({ evaluationId, nominations }, { dispatch, rejectWithValue }) => {
+    try {
+      const result = await functionsService.nominateFeedbackRaters(evaluationId, nominations);
+      if (!result.success) {
+        throw new Error(result.error?.message || 'Failed to nominate raters');
+      }
+
+      await dispatch(fetchEvaluationFeedbackRequests({ evaluationId }));
+      return result.data;
+    } catch (error) {
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+export const decideFeedbackNominations = createAsyncThunk(
+  'feedback/decideFeedbackNominations',
+  async ({ evaluationId, decisions }, { dispatch, rejectWithValue }) => {
+    try {
+      const result = await functionsService.decideFeedbackNominations(evaluationId, decisions);
+      if (!result.success) {
+        throw new Error(result.error?.message || 'Failed to update nominations');
+      }
+
+      await dispatch(fetchEvaluationFeedbackRequests({ evaluationId }));
+      return result.data;
+    } catch (error) {
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+export const submitFeedback = createAsyncThunk(
+  'feedback/submitFeedback',
+  async ({ businessId, requestId, responses }, { rejectWithValue }) => {
+    try {
+      const result = await functionsService.submitFeedback(requestId, responses);
+      if (!result.success) {
+        throw new Error(result.error?.message || 'Failed to submit feedback');
+      }
+
+      return convertRequest(await getDoc(doc(db, 'businesses', businessId, 'feedbackRequests', requestId)));
+    } catch (error) {
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+export const fetchFeedbackSummary = createAsyncThunk(
+  'feedback/fetchFeedbackSummary',
+  async ({ evaluationId }, { rejectWithValue }) => {
+    try {
+      const result = await functionsService.getFeedbackSummary(evaluationId);
+      if (!result.success) {
+        throw new Error(result.error?.message || 'Failed to load feedback results');
+      }
+
+      return { evaluationId, summary: result.data.summary };
+    } catch (error) {
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+const replaceRequest = (state, request) => {
+  const index = state.myRequests.findIndex(existing => existing.id === request.id);
+  if (index !== -1) {
+    state.myRequests[index] = request;
+  } else {
+    state.myRequests.push(request);
+  }
+};
+
+const feedbackSlice = createSlice({
+  name: 'feedback',
+  initialState,
+  reducers: {
+    clearError: (state) => {
+      state.error = null;
+    }
+  },
+  extraReducers: (builder) => {
+    builder
+      // Nominations of one evaluation
+      .addCase(fetchEvaluationFeedbackRequests.fulfilled, (state, action) => {
+        state.requestsByEvaluation[action.payload.evaluationId] = action.payload.requests;
+        state.respondedByEvaluation[action.payload.evaluationId] = action.payload.hasResponses;
+      })
+      .addCase(fetchEvaluationFeedbackRequests.rejected, (state, action) => {
+        state.error = action.payload;
+      })
+
+      // My requests as a rater
+      .addCase(fetchMyFeedbackRequests.pending, (state) => {
+        state.isLoading = true;
+        state.error = null;
+      })
+      .addCase(fetchMyFeedbackRequests.fulfilled, (state, action) => {
+        state.isLoading = false;
+        state.myRequests = action.payload;
+        state.initialized = true;
+      })
+      .addCase(fetchMyFeedbackRequests.rejected, (state, action) => {
+        state.isLoading = false;
+        state.initialized = true;
+        state.error = action.payload;
+      })
+      .addCase(fetchFeedbackRequest.fulfilled, (state, action) => {
+        replaceRequest(state, action.payload);
+      })
+      .addCase(submitFeedback.fulfilled, (state, action) => {
+        replaceRequest(state, action.payload);
+      })
+
+      // Results
+      .addCase(fetchFeedbackSummary.fulfilled, (state, action) => {
+        state.summaries[action.payload.evaluationId] = action.payload.summary;
+      })
+      .addCase(fetchFeedbackSummary.rejected, (state, action) => {
+        state.error = action.payload;
+      });
+  }
+});
+
+export const { clearError } = feedbackSlice.actions;
+
+// Selectors
+export const selectEvaluationFeedbackRequests = (state, evaluationId) => state.feedback.requestsByEvaluation[evaluationId];
+export const selectEvaluationHasFeedbackResponses = (state, evaluationId) => state.feedback.respondedByEvaluation[evaluationId] === true;
+export const selectMyFeedbackRequests = (state) => state.feedback.myRequests;
+export const selectFeedbackRequest = (state, requestId) => state.feedback.myRequests.find(request => request.id === requestId);
+export const selectFeedbackSummary = (state, evaluationId) => state.feedback.summaries[evaluationId];
+export const selectFeedbackLoading = (state) => state.feedback.isLoading;
+export const selectFeedbackInitialized = (state) => state.feedback.initialized;
+
+export default feedbackSlice.reducer;
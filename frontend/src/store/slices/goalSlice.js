@@ -0,0 +1,343 @@
+import { createSlice, createAsyncThunk, createSelector } from '@reduxjs/toolkit';
+import {
+  collection,
+  doc,
+  getDocs,
+  getDoc,
+  addDoc,
+  updateDoc,
+  deleteDoc,
+  query,
+  where,
+  arrayUnion,
+  serverTimestamp
+} from 'firebase/firestore';
+import { db } from '../../firebase/config';
+import { buildGoalProposal } from '../../utils/goals';
+
+// Helper function to safely convert Firebase Timestamps to ISO strings
+const convertTimestamp = (timestamp) => {
+  if (!timestamp) return null;
+  if (typeof timestamp === 'string') return timestamp;
+  return timestamp.toDate ? timestamp.toDate().toISOString() : null;
+};
+
+const convertGoal = (goalDoc) => {
+  const data = goalDoc.data();
+  return {
+    id: goalDoc.id,
+    ...data,
+    createdAt: convertTimestamp(data.createdAt),
+    updatedAt: convertTimestamp(data.updatedAt),
+    approvedAt: convertTimestamp(data.approvedAt),
+    completedAt: convertTimestamp(data.completedAt),
+    progress: data.progress || 0,
+    checkIns: data.checkIns || []
+  };
+};
+
+const sortByDueDate = (goals) => goals.sort((a, b) => new Date(a.dueDate || 0) - new Date(b.dueDate || 0));
+
+const initialState = {
+  goals: [],
+  employeeGoals: {}, // Goals of other employees, keyed by employeeId (reviews, history)
+  isLoading: false,
+  error: null,
+  initialized: false
+};
+
+// ===========================================
+// GOALS
+// ===========================================
+
+// My own goals plus goals I approve as a manager
+export const fetchGoals = createAsyncThunk(
+  'goals/fetchGoals',
+  async ({ businessId, userId }, { rejectWithValue }) => {
+    try {
+      const goalsRef = collection(db, 'businesses', businessId, 'goals');
+      const [ownSnapshot, managedSnapshot] = await Promise.all([
+        getDocs(query(goalsRef, where('employeeId', '==', userId))),
+        getDocs(query(goalsRef, where('managerId', '==', userId)))
+      ]);
+
+      const seen = new Set();
+      const goals = [];
+      [...ownSnapshot.docs, ...managedSnapshot.docs].forEach((goalDoc) => {
+        if (seen.has(goalDoc.id)) return;
+        seen.add(goalDoc.id);
+        goals.push(convertGoal(goalDoc));
+      });
+
+      return sortByDueDate(goals);
+    } catch (error) {
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+export const fetchEmployeeGoals = createAsyncThunk(
+  'goals/fetchEmployeeGoals',
+  async ({ businessId, employeeId }, { rejectWithValue }) => {
+    try {
+      const goalsQuery = query(
+        collection(db, 'businesses', businessId, 'goals'),
+        where('employeeId', '==', employeeId)
+      );
+      const querySnapshot = await getDocs(goalsQuery);
+
+      return {
+        employeeId,
+        goals: sortByDueDate(querySnapshot.docs.map(convertGoal))
+      };
+    } catch (error) {
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+export const createGoal = createAsyncThunk(
+  'goals/createGoal',
+  async ({ businessId, employeeId, createdBy, ...goalData }, { rejectWithValue }) => {
+    try {
+      const { proposal, error } = buildGoalProposal(goalData);
+      if (error) {
+        throw new Error(error);
+      }
+
+      const isOwnGoal = employeeId === createdBy;
+      let managerId = createdBy;
+
+      // Employee proposals go to whoever evaluates them
+      if (isOwnGoal) {
+        const assignmentQuery = query(
+          collection(db, 'businesses', businessId, 'evaluationAssignments'),
+          where('evaluateeId', '==', employeeId),
+          where('active', '==', true)
+        );
+        const assignmentSnapshot = await getDocs(assignmentQuery);
+        if (assignmentSnapshot.empty) {
+          throw new Error('No manager is assigned to evaluate you yet, so this goal cannot be sent for approval.');
+        }
+        managerId = assignmentSnapshot.docs[0].data().evaluatorId;
+      }
+
+      const goalDoc = {
+        ...proposal,
+        employeeId,
+        managerId,
+        source: isOwnGoal ? 'employee' : 'manager',
+        status: isOwnGoal ? 'proposed' : 'active',
+        progress: 0,
+        checkIns: [],
+        createdBy,
+        createdAt: serverTimestamp(),
+        updatedAt: serverTimestamp()
+      };
+
+      const docRef = await addDoc(collection(db, 'businesses', businessId, 'goals'), goalDoc);
+      return convertGoal(await getDoc(docRef));
+    } catch (error) {
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+export const updateGoal = createAsyncThunk(
+  'goals/updateGoal',
+  async ({ businessId, goalId, updates }, { rejectWithValue }) => {
+    try {
+      const goalRef = doc(db, 'businesses', businessId, 'goals', goalId);
+
+      await updateDoc(goalRef, {
+        ...updates,
+        updatedAt: serverTimestamp()
+      });
+
+      return convertGoal(await getDoc(goalRef));
+    } catch (error) {
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+export const reviewGoal = createAsyncThunk(
+  'goals/reviewGoal',
+  async ({ businessId, goalId, approved, comment, reviewerId }, { rejectWithValue }) => {
+    try {
+      const goalRef = doc(db, 'businesses', businessId, 'goals', goalId);
+
+      await updateDoc(goalRef, {
+        status: approved ? 'active' : 'rejected',
+        reviewComment: comment || '',
+        approvedBy: approved ? reviewerId : null,
+        approvedAt: approved ? serverTimestamp() : null,
+        updatedAt: serverTimestamp()
+      });
+
+      return convertGoal(await getDoc(goalRef));
+    } catch (error) {
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+export const addGoalCheckIn = createAsyncThunk(
+  'goals/addGoalCheckIn',
+  async ({ businessId, goalId, progress, note, userId }, { rejectWithValue }) => {
+    try {
+      const goalRef = doc(db, 'businesses', businessId, 'goals', goalId);
+      const clampedProgress = Math.min(100, Math.max(0, Math.round(progress)));
+
+      // serverTimestamp() is not allowed inside arrays, so check-ins carry an ISO string
+      await updateDoc(goalRef, {
+        progress: clampedProgress,
+        checkIns: arrayUnion({
+          at: new Date().toISOString(),
+          by: userId,
+          progress: clampedProgress,
+          note: note || ''
+        }),
+        updatedAt: serverTimestamp()
+      });
+
+      return convertGoal(await getDoc(goalRef));
+    } catch (error) {
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+export const deleteGoal = createAsyncThunk(
+  'goals/deleteGoal',
+  async ({ businessId, goalId }, { rejectWithValue }) => {
+    try {
+      await deleteDoc(doc(db, 'businesses', businessId, 'goals', goalId));
+      return goalId;
+    } catch (error) {
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+const replaceGoal = (state, goal) => {
+  const index = state.goals.findIndex(existing => existing.id === goal.id);
+  if (index !== -1) {
+    state.goals[index] = goal;
+  } else {
+    state.goals.push(goal);
+  }
+
+  const employeeGoals = state.employeeGoals[goal.employeeId];
+  if (employeeGoals) {
+    const employeeIndex = employeeGoals.findIndex(existing => existing.id === goal.id);
+    if (employeeIndex !== -1) {
+      employeeGoals[employeeIndex] = goal;
+    }
+  }
+};
+
+const goalSlice = createSlice({
+  name: 'goals',
+  initialState,
+  reducers: {
+    clearError: (state) => {
+      state.error = null;
+    },
+    clearGoals: (state) => {
+      state.goals = [];
+      state.employeeGoals = {};
+      state.initialized = false;
+    }
+  },
+  extraReducers: (builder) => {
+    builder
+      // Fetch Goals
+      .addCase(fetchGoals.pending, (state) => {
+        state.isLoading = true;
+        state.error = null;
+      })
+      .addCase(fetchGoals.fulfilled, (state, action) => {
+        state.isLoading = false;
+        state.goals = action.payload;
+        state.initialized = true;
+        state.error = null;
+      })
+      .addCase(fetchGoals.rejected, (state, action) => {
+        state.isLoading = false;
+        state.initialized = true;
+        state.error = action.payload;
+      })
+
+      // Fetch Employee Goals
+      .addCase(fetchEmployeeGoals.fulfilled, (state, action) => {
+        state.employeeGoals[action.payload.employeeId] = action.payload.goals;
+      })
+
+      // Create Goal
+      .addCase(createGoal.fulfilled, (state, action) => {
+        state.goals.push(action.payload);
+        state.error = null;
+      })
+      .addCase(createGoal.rejected, (state, action) => {
+        state.error = action.payload;
+      })
+
+      // Update / Review / Check-in
+      .addCase(updateGoal.fulfilled, (state, action) => {
+        replaceGoal(state, action.payload);
+      })
+      .addCase(reviewGoal.fulfilled, (state, action) => {
+        replaceGoal(state, action.payload);
+      })
+      .addCase(addGoalCheckIn.fulfilled, (state, action) => {
+        replaceGoal(state, action.payload);
+      })
+
+      // Delete Goal
+      .addCase(deleteGoal.fulfilled, (state, action) => {
+        state.goals = state.goals.filter(goal => goal.id !== action.payload);
+      });
+  }
+});
+
+export const { clearError, clearGoals } = goalSlice.actions;
+
+// Selectors
+export const selectGoals = (state) => state.goals.goals;
+export const selectGoalsLoading = (state) => state.goals.isLoading;
+export const selectGoalsError = (state) => state.goals.error;
+export const selectGoalsInitialized = (state) => state.goals.initialized;
+export const selectEmployeeGoals = (state, employeeId) => state.goals.employeeGoals[employeeId];
+
+export const selectMyGoals = createSelector(
+  [selectGoals, (state, userId) => userId],
+  (goals, userId) => goals.filter(goal => goal.employeeId === userId)
+);
+
+export const selectGoalsAwaitingMyApproval = createSelector(
+  [selectGoals, (state, userId) => userId],
+  (goals, userId) => goals.filter(goal => goal.managerId === userId && goal.employeeId !== userId && goal.status === 'proposed')
+);
+
+export const selectTeamGoals = createSelector(
+  [selectGoals, (state, userId) => userId],
+  (goals, userId) => goals.filter(goal => goal.managerId === userId && goal.employeeId !== userId && goal.status !== 'proposed')
+);
+
+/**
+ * Index review-target goals by category/question so the next review can show them
+ * next to the new ratings. The most recent target wins when there are several.
+ */
+export const indexTargetGoals = (goals = [], excludeEvaluationId = null) => {
+  const byQuestion = {};
+  goals
+    .filter(goal => goal.source === 'review-target' && goal.sourceEvaluationId !== excludeEvaluationId)
+    .sort((a, b) => new Date(a.createdAt || 0) - new Date(b.createdAt || 0))
+    .forEach(goal => {
+      byQuestion[`${goal.categoryId}_${goal.questionId}`] = goal;
+    });
+  return byQuestion;
+};
+
+export default goalSlice.reducer;
@@ -1,4 +1,39 @@
-import { createSlice } from '@reduxjs/toolkit';
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import {
+  collection,
+  doc,
+  query,
+  orderBy,
+  limit,
+  onSnapshot,
+  updateDoc,
+  writeBatch,
+  serverTimestamp
+} from 'firebase/firestore';
+import { db } from '../../firebase/config';
+
+// Most recent notifications kept in sync with the server
+const NOTIFICATION_LIMIT = 100;
+
+const convertTimestamp = (timestamp) => {
+  if (!timestamp) return null;
+  if (typeof timestamp === 'string') return timestamp;
+  return timestamp.toDate ? timestamp.toDate().toISOString() : null;
+};
+
+const notificationsPath = (businessId, userId) => ['businesses', businessId, 'users', userId, 'notifications'];
+
+const convertNotification = (notificationDoc) => {
+  const data = notificationDoc.data();
+  return {
+    id: notificationDoc.id,
+    ...data,
+    // Pending server timestamps read as null until the write is confirmed
+    timestamp: convertTimestamp(data.createdAt) || new Date().toISOString(),
+    createdAt: convertTimestamp(data.createdAt),
+    readAt: convertTimestamp(data.readAt)
+  };
+};
 
 const initialState = {
   // Loading states
@@ -26,8 +61,9 @@ const initialState = {
   // Current modal data
   modalData: null,
   
-  // Notifications
+  // Notifications (live from the user's notifications subcollection)
   notifications: [],
+  notificationsLoaded: false,
   
   // Filters and search
   filters: {
@@ -75,6 +111,79 @@ const initialState = {
   activeTab: 'overview',
 };
 
+/**
+ * Starts the live notification listener for the signed-in user.
+ * Returns the unsubscribe function.
+ */
+export const subscribeToNotifications = (businessId, userId) => (dispatch) => {
+  const notificationsQuery = query(
+    collection(db, ...notificationsPath(businessId, userId)),
+    orderBy('createdAt', 'desc'),
+    limit(NOTIFICATION_LIMIT)
+  );
+
+  return onSnapshot(
+    notificationsQuery,
+    (snapshot) => dispatch(uiSlice.actions.setNotifications(snapshot.docs.map(convertNotification))),
+    (error) => console.error('❌ Notification listener failed:', error)
+  );
+};
+
+// Read state is stored server-side so it follows the user across devices
+export const markNotificationAsRead = createAsyncThunk(
+  'ui/markNotificationAsRead',
+  async ({ businessId, userId, notificationId }, { rejectWithValue }) => {
+    try {
+      await updateDoc(doc(db, ...notificationsPath(businessId, userId), notificationId), {
+        read: true,
+        readAt: serverTimestamp()
+      });
+      return notificationId;
+    } catch (error) {
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+export const markAllNotificationsAsRead = createAsyncThunk(
+  'ui/markAllNotificationsAsRead',
+  async ({ businessId, userId }, { getState, rejectWithValue }) => {
+    try {
+      const unread = getState().ui.notifications.filter(notif => !notif.read);
+      if (unread.length === 0) return [];
+
+      const batch = writeBatch(db);
+      unread.forEach(notif => {
+        batch.update(doc(db, ...notificationsPath(businessId, userId), notif.id), {
+          read: true,
+          readAt: serverTimestamp()
+        });
+      });
+      await batch.commit();
+
+      return unread.map(notif => notif.id);
+    } catch (error) {
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+export const updateNotificationPreferences = createAsyncThunk(
+  'ui/updateNotificationPreferences',
+  async ({ businessId, userId, muted }, { rejectWithValue }) => {
+    try {
+      const notificationPreferences = { muted };
+      await updateDoc(doc(db, 'businesses', businessId, 'users', userId), {
+        notificationPreferences,
+        updatedAt: serverTimestamp()
+      });
+      return notificationPreferences;
+    } catch (error) {
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
 const uiSlice = createSlice({
   name: 'ui',
   initialState,
@@ -150,6 +259,11 @@ const uiSlice = createSlice({
     },
     clearNotifications: (state) => {
       state.notifications = [];
+      state.notificationsLoaded = false;
+    },
+    setNotifications: (state, action) => {
+      state.notifications = action.payload;
+      state.notificationsLoaded = true;
     },
     
     // Filter actions
@@ -242,6 +356,25 @@ const uiSlice = createSlice({
       };
     },
   },
+  extraReducers: (builder) => {
+    builder
+      // Optimistic; the listener confirms it once the write lands
+      .addCase(markNotificationAsRead.pending, (state, action) => {
+        const notification = state.notifications.find(
+          notif => notif.id === action.meta.arg.notificationId
+        );
+        if (notification) {
+          notification.read = true;
+        }
+      })
+      .addCase(markAllNotificationsAsRead.fulfilled, (state, action) => {
+        state.notifications.forEach(notif => {
+          if (action.payload.includes(notif.id)) {
+            notif.read = true;
+          }
+        });
+      });
+  },
 });
 
 export const {
@@ -257,6 +390,7 @@ export const {
   markNotificationRead,
   markAllNotificationsRead,
   clearNotifications,
+  setNotifications,
   setFilter,
   resetFilters,
   setViewPreference,
@@ -279,6 +413,7 @@ export const selectModalData = (state) => state.ui.modalData;
 export const selectNotifications = (state) => state.ui.notifications;
 export const selectUnreadNotifications = (state) => 
   state.ui.notifications.filter(notif => !notif.read);
+export const selectNotificationsLoaded = (state) => state.ui.notificationsLoaded;
 export const selectFilters = (state) => state.ui.filters;
 export const selectViewPreferences = (state) => state.ui.viewPreferences;
 export const selectPagination = (state) => state.ui.pagination;
@@ -6,6 +6,9 @@ import userSlice from './slices/userSlice';
 import departmentSlice from './slices/departmentSlice';
 import evaluationSlice from './slices/evaluationSlice';
 import assignmentSlice from './slices/assignmentSlice';
+import goalSlice from './slices/goalSlice';
+import cycleSlice from './slices/cycleSlice';
+import feedbackSlice from './slices/feedbackSlice';
 import themeSlice from './slices/themeSlice';
 
 export const store = configureStore({
@@ -17,6 +20,9 @@ export const store = configureStore({
     departments: departmentSlice,
     evaluations: evaluationSlice,
     assignments: assignmentSlice,
+    goals: goalSlice,
+    cycles: cycleSlice,
+    feedback: feedbackSlice,
     theme: themeSlice,
   },
   middleware: (getDefaultMiddleware) =>
@@ -43,9 +49,11 @@ export const store = configureStore({
           'evaluations/createEvaluation/fulfilled',
           'evaluations/updateEvaluation/fulfilled',
           'evaluations/submitEvaluation/fulfilled',
+          'evaluations/approveEvaluation/fulfilled',
+          'evaluations/rejectEvaluation/fulfilled',
+          'evaluations/calculateEvaluationScore/fulfilled',
           // Ignore other Firebase-related actions
           'users/fetchUsers/fulfilled',
-          'users/createUser/fulfilled',
           'departments/fetchDepartments/fulfilled',
           'departments/createDepartment/fulfilled',
         ],
@@ -0,0 +1,39 @@
+/**
+ * Bonus history aggregation
+ *
+ * Turns the employee lines getBonusHistory returns for the departments view into the
+ * year-over-year totals the Bonus History page shows.
+ */
+
+export const formatChange = (current, previous) => {
+  if (!previous) return null;
+  const change = Math.round(((current - previous) / previous) * 1000) / 10;
+  return `${change > 0 ? '+' : ''}${change}%`;
+};
+
+/**
+ * Totals per department and year from the employee lines getBonusHistory returns. Totals
+ * are in the reporting currency; lines without a stored exchange rate are left out.
+ */
+export const buildBreakdown = (lines) => {
+  const years = Array.from(new Set(lines.map(line => line.year))).sort((a, b) => a - b);
+  const byDepartment = new Map();
+
+  lines.forEach(line => {
+    const departmentId = line.departmentId || 'none';
+    if (!byDepartment.has(departmentId)) byDepartment.set(departmentId, {});
+    const yearTotals = byDepartment.get(departmentId);
+    const totals = yearTotals[line.year] || { amount: 0, percentageSum: 0, employees: 0 };
+    totals.amount += line.reportingAmount || 0;
+    totals.percentageSum += line.bonusPercentage;
+    totals.employees += 1;
+    yearTotals[line.year] = totals;
+  });
+
+  const yearTotals = years.map(year => ({
+    year: String(year),
+    amount: Math.round(lines.filter(line => line.year === year).reduce((sum, line) => sum + (line.reportingAmount || 0), 0))
+  }));
+
+  return { years, byDepartment, yearTotals };
+};
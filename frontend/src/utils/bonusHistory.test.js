@@ -0,0 +1,39 @@
+import { buildBreakdown, formatChange } from './bonusHistory';
+
+const lines = [
+  { year: 2023, departmentId: 'eng', bonusPercentage: 8, reportingAmount: 300 },
+  { year: 2024, departmentId: 'eng', bonusPercentage: 10, reportingAmount: 600 },
+  { year: 2024, departmentId: 'eng', bonusPercentage: 5, reportingAmount: 150.4 },
+  { year: 2024, departmentId: null, bonusPercentage: 4, reportingAmount: null }
+];
+
+describe('buildBreakdown', () => {
+  it('totals amounts, percentages and headcount per department and year', () => {
+    const { years, byDepartment } = buildBreakdown(lines);
+
+    expect(years).toEqual([2023, 2024]);
+    expect(byDepartment.get('eng')).toEqual({
+      2023: { amount: 300, percentageSum: 8, employees: 1 },
+      2024: { amount: 750.4, percentageSum: 15, employees: 2 }
+    });
+    // Lines without a department or an exchange rate still count towards headcount
+    expect(byDepartment.get('none')).toEqual({ 2024: { amount: 0, percentageSum: 4, employees: 1 } });
+  });
+
+  it('rounds the yearly totals for the chart', () => {
+    expect(buildBreakdown(lines).yearTotals).toEqual([
+      { year: '2023', amount: 300 },
+      { year: '2024', amount: 750 }
+    ]);
+    expect(buildBreakdown([])).toEqual({ years: [], byDepartment: new Map(), yearTotals: [] });
+  });
+});
+
+describe('formatChange', () => {
+  it('shows the change from the previous year as a signed percentage', () => {
+    expect(formatChange(750, 300)).toBe('+150%');
+    expect(formatChange(200, 300)).toBe('-33.3%');
+    expect(formatChange(300, 300)).toBe('0%');
+    expect(formatChange(300, 0)).toBeNull();
+  });
+});
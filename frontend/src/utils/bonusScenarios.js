@@ -0,0 +1,80 @@
+/**
+ * Bonus scenario comparison
+ *
+ * Lines up saved what-if scenarios (functions/src/bonusScenarios.ts) against the current
+ * draft allocation, per employee and for the budget as a whole. Scenario amounts are in
+ * the reporting currency, so draft bonuses are converted before they are compared.
+ */
+
+import { formatMoney, toReportingAmount } from './currency';
+
+const memberName = (member) => `${member.profile?.firstName || ''} ${member.profile?.lastName || ''}`.trim() || member.email || member.id;
+
+/**
+ * A draft bonus in the reporting currency
+ * @param {Object} allocation - Draft entry { monthlySalary, bonusPercentage, currency }
+ * @param {Object} currency - { reportingCurrency, rates }
+ * @returns {number|null} 0 without a salary or percentage, null without an exchange rate
+ */
+export const draftAmount = (allocation, currency) => {
+  const salary = parseFloat(allocation?.monthlySalary);
+  const percentage = parseFloat(allocation?.bonusPercentage);
+  return salary > 0 && percentage > 0 ? toReportingAmount((salary * percentage) / 100, allocation.currency, currency) : 0;
+};
+
+/**
+ * Signed difference for the comparison table, e.g. "+$120" or "±$0"
+ */
+export const formatDelta = (delta, currency) => {
+  const rounded = Math.round(delta);
+  if (rounded === 0) return `±${formatMoney(0, currency)}`;
+  return `${rounded > 0 ? '+' : '-'}${formatMoney(Math.abs(rounded), currency)}`;
+};
+
+/**
+ * Compares scenarios with the draft
+ * @param {Object} input - { teamMembers, draftAllocations, draftBudget, scenarios, currency }
+ * @returns {{ rows: Array, draftTotal: number, utilisation: Array }} One row per employee
+ *   in the team or any scenario, with a cell per scenario (null when the scenario leaves
+ *   the employee out entirely), and the allocated/unallocated/over split per column
+ */
+export const compareScenarios = ({ teamMembers, draftAllocations, draftBudget, scenarios, currency }) => {
+  const rows = new Map();
+  teamMembers.forEach(member => rows.set(member.id, { employeeId: member.id, name: memberName(member) }));
+  scenarios.forEach(scenario => scenario.lines.forEach(line => {
+    if (!rows.has(line.employeeId)) rows.set(line.employeeId, { employeeId: line.employeeId, name: line.name });
+  }));
+
+  const comparedRows = Array.from(rows.values()).map(row => {
+    const draft = draftAllocations[row.employeeId];
+    const baseline = draftAmount(draft, currency);
+    return {
+      ...row,
+      draft,
+      baseline,
+      cells: scenarios.map(scenario => {
+        const line = scenario.lines.find(candidate => candidate.employeeId === row.employeeId);
+        return line ? { line, delta: line.amount - (baseline || 0) } : null;
+      })
+    };
+  });
+
+  const draftTotal = comparedRows.reduce((sum, row) => sum + (row.baseline || 0), 0);
+  const draftBudgetAmount = parseFloat(draftBudget) || 0;
+  const utilisation = [
+    {
+      name: 'Current draft',
+      allocated: Math.round(Math.min(draftTotal, draftBudgetAmount || draftTotal)),
+      unallocated: Math.round(Math.max(0, draftBudgetAmount - draftTotal)),
+      over: Math.round(draftBudgetAmount > 0 ? Math.max(0, draftTotal - draftBudgetAmount) : 0)
+    },
+    ...scenarios.map(scenario => ({
+      name: scenario.name,
+      allocated: Math.round(scenario.totalAllocated),
+      unallocated: Math.round(scenario.unallocated),
+      over: 0
+    }))
+  ];
+
+  return { rows: comparedRows, draftTotal, utilisation };
+};
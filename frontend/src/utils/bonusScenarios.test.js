@@ -0,0 +1,79 @@
+import { compareScenarios, draftAmount, formatDelta } from './bonusScenarios';
+import { formatMoney } from './currency';
+
+const currency = { reportingCurrency: 'USD', rates: { EUR: 1.5 } };
+
+const teamMembers = [
+  { id: 'ana', profile: { firstName: 'Ana', lastName: 'Silva' } },
+  { id: 'ben', email: 'ben@acme.test' }
+];
+
+const draftAllocations = {
+  ana: { monthlySalary: '1000', bonusPercentage: '10', currency: 'EUR' },
+  ben: { monthlySalary: '2000', bonusPercentage: '5' }
+};
+
+const tiers = {
+  name: 'Tiers',
+  totalAllocated: 400,
+  unallocated: 100,
+  lines: [
+    { employeeId: 'ana', name: 'Ana Silva', amount: 200, bonusPercentage: 20 },
+    { employeeId: 'cai', name: 'Cai Wong', amount: 200, bonusPercentage: 10 }
+  ]
+};
+
+describe('draftAmount', () => {
+  it('converts the draft bonus, or returns null without a rate', () => {
+    expect(draftAmount(draftAllocations.ana, currency)).toBe(150);
+    expect(draftAmount({ monthlySalary: '1000', bonusPercentage: '10', currency: 'JPY' }, currency)).toBeNull();
+    expect(draftAmount({ monthlySalary: '', bonusPercentage: '10' }, currency)).toBe(0);
+    expect(draftAmount(undefined, currency)).toBe(0);
+  });
+});
+
+describe('formatDelta', () => {
+  it('signs the rounded difference', () => {
+    expect(formatDelta(49.6, 'USD')).toBe(`+${formatMoney(50, 'USD')}`);
+    expect(formatDelta(-50, 'USD')).toBe(`-${formatMoney(50, 'USD')}`);
+    expect(formatDelta(0.4, 'USD')).toBe(`±${formatMoney(0, 'USD')}`);
+  });
+});
+
+describe('compareScenarios', () => {
+  it('lines up every employee in the team or a scenario against the draft', () => {
+    const { rows, draftTotal } = compareScenarios({ teamMembers, draftAllocations, draftBudget: '300', scenarios: [tiers], currency });
+
+    expect(draftTotal).toBe(250);
+    expect(rows.map(row => [row.name, row.baseline, row.cells[0] && row.cells[0].delta])).toEqual([
+      ['Ana Silva', 150, 50],
+      ['ben@acme.test', 100, null],
+      ['Cai Wong', 0, 200]
+    ]);
+  });
+
+  it('splits each budget into allocated, unallocated and over', () => {
+    const overBudget = compareScenarios({ teamMembers, draftAllocations, draftBudget: '200', scenarios: [tiers], currency });
+    const noBudget = compareScenarios({ teamMembers, draftAllocations, draftBudget: '', scenarios: [], currency });
+
+    expect(overBudget.utilisation).toEqual([
+      { name: 'Current draft', allocated: 200, unallocated: 0, over: 50 },
+      { name: 'Tiers', allocated: 400, unallocated: 100, over: 0 }
+    ]);
+    expect(noBudget.utilisation).toEqual([{ name: 'Current draft', allocated: 250, unallocated: 0, over: 0 }]);
+  });
+
+  it('leaves draft bonuses without a rate out of the total', () => {
+    const { rows, draftTotal } = compareScenarios({
+      teamMembers,
+      draftAllocations: { ...draftAllocations, ana: { ...draftAllocations.ana, currency: 'JPY' } },
+      draftBudget: '300',
+      scenarios: [tiers],
+      currency
+    });
+
+    expect(rows[0].baseline).toBeNull();
+    expect(rows[0].cells[0].delta).toBe(200);
+    expect(draftTotal).toBe(100);
+  });
+});
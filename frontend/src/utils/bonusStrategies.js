@@ -0,0 +1,90 @@
+/**
+ * Bonus distribution strategies
+ *
+ * Labels and defaults for the strategies in functions/src/bonusStrategies.ts. The
+ * calculation itself runs on the server (calculateBonuses); the page only collects
+ * options and copies the simulated result into the allocation draft.
+ */
+
+export const BONUS_STRATEGY_OPTIONS = [
+  { value: 'scoreWeighted', label: 'Performance-based (by score)' },
+  { value: 'tierMatrix', label: 'Rating bands (payout % per band)' },
+  { value: 'salaryWeighted', label: 'Salary-based (by salary)' },
+  { value: 'equal', label: 'Equal split' }
+];
+
+export const BONUS_STRATEGY_DESCRIPTIONS = {
+  scoreWeighted: 'Shares the budget in proportion to each employee\'s evaluation score.',
+  tierMatrix: 'Pays a fixed percentage of monthly salary for each score band, scaled down if the total exceeds the budget.',
+  salaryWeighted: 'Shares the budget in proportion to monthly salary.',
+  equal: 'Gives everyone the same amount.'
+};
+
+// Same bands as the server default; scores are normalized to 0-100
+export const DEFAULT_SCORE_TIERS = [
+  { minScore: 90, payoutPercent: 150 },
+  { minScore: 75, payoutPercent: 120 },
+  { minScore: 60, payoutPercent: 100 },
+  { minScore: 40, payoutPercent: 50 },
+  { minScore: 0, payoutPercent: 0 }
+];
+
+export const EXCLUSION_LABELS = {
+  noSalary: 'No salary entered',
+  noScore: 'No completed evaluation'
+};
+
+// The functions service replaces server messages with generic ones, so explain by error code
+const CALCULATION_ERRORS = {
+  'functions/failed-precondition': 'This department has no bonus budget. Enter a total budget or set one on the Departments page.',
+  'functions/permission-denied': 'You are not allowed to calculate bonuses for this department.',
+  'functions/not-found': 'Your department could not be found.',
+  'functions/invalid-argument': 'Some bonus options are invalid. Check the floor, cap and rating bands.'
+};
+
+export const bonusCalculationErrorMessage = (error) => {
+  const missingRates = error?.details?.missingRates;
+  if (Array.isArray(missingRates) && missingRates.length > 0) {
+    return `There is no exchange rate for ${missingRates.join(', ')} in this period. HR can add rates on the Review Cycles page.`;
+  }
+  return CALCULATION_ERRORS[error?.code] || error?.message || 'Failed to calculate bonuses';
+};
+
+const parsePercent = (value) => (value === '' || value === null || value === undefined ? null : parseFloat(value));
+
+/**
+ * Converts the page's form values into calculateBonuses options, or returns the first
+ * problem so it can be shown before calling the server.
+ */
+export const buildBonusOptions = (strategy, { floorPercent, capPercent, tiers }) => {
+  const floor = parsePercent(floorPercent);
+  const cap = parsePercent(capPercent);
+
+  if ([floor, cap].some(value => value !== null && (Number.isNaN(value) || value < 0))) {
+    return { error: 'Floor and cap must be positive percentages of salary.' };
+  }
+  if (floor !== null && cap !== null && floor > cap) {
+    return { error: 'The floor cannot be higher than the cap.' };
+  }
+
+  const options = { floorPercent: floor, capPercent: cap };
+
+  if (strategy === 'tierMatrix') {
+    const parsedTiers = tiers.map(tier => ({
+      minScore: parseFloat(tier.minScore),
+      payoutPercent: parseFloat(tier.payoutPercent)
+    }));
+    if (parsedTiers.length === 0 || parsedTiers.some(tier =>
+      Number.isNaN(tier.minScore) || tier.minScore < 0 || tier.minScore > 100 ||
+      Number.isNaN(tier.payoutPercent) || tier.payoutPercent < 0
+    )) {
+      return { error: 'Each rating band needs a minimum score between 0 and 100 and a payout percentage.' };
+    }
+    if (new Set(parsedTiers.map(tier => tier.minScore)).size !== parsedTiers.length) {
+      return { error: 'Two rating bands cannot start at the same score.' };
+    }
+    options.tiers = parsedTiers;
+  }
+
+  return { options };
+};
@@ -0,0 +1,54 @@
+import { bonusCalculationErrorMessage, buildBonusOptions } from './bonusStrategies';
+
+const tiers = [
+  { minScore: '90', payoutPercent: '150' },
+  { minScore: '0', payoutPercent: '0' }
+];
+
+describe('buildBonusOptions', () => {
+  it('turns blank limits into null and parses the rest', () => {
+    expect(buildBonusOptions('equal', { floorPercent: '', capPercent: '25.5', tiers })).toEqual({
+      options: { floorPercent: null, capPercent: 25.5 }
+    });
+  });
+
+  it('only sends bands for the tier matrix', () => {
+    expect(buildBonusOptions('tierMatrix', { floorPercent: null, capPercent: undefined, tiers }).options).toEqual({
+      floorPercent: null,
+      capPercent: null,
+      tiers: [{ minScore: 90, payoutPercent: 150 }, { minScore: 0, payoutPercent: 0 }]
+    });
+  });
+
+  it('rejects limits the server would reject', () => {
+    expect(buildBonusOptions('equal', { floorPercent: '-1', capPercent: '', tiers })).toEqual({
+      error: 'Floor and cap must be positive percentages of salary.'
+    });
+    expect(buildBonusOptions('equal', { floorPercent: '50', capPercent: '20', tiers })).toEqual({
+      error: 'The floor cannot be higher than the cap.'
+    });
+  });
+
+  it('rejects incomplete and overlapping bands', () => {
+    expect(buildBonusOptions('tierMatrix', { tiers: [{ minScore: '101', payoutPercent: '10' }] }).error)
+      .toBe('Each rating band needs a minimum score between 0 and 100 and a payout percentage.');
+    expect(buildBonusOptions('tierMatrix', { tiers: [] }).error)
+      .toBe('Each rating band needs a minimum score between 0 and 100 and a payout percentage.');
+    expect(buildBonusOptions('tierMatrix', { tiers: [...tiers, { minScore: '90', payoutPercent: '120' }] }).error)
+      .toBe('Two rating bands cannot start at the same score.');
+  });
+});
+
+describe('bonusCalculationErrorMessage', () => {
+  it('lists the currencies that have no exchange rate', () => {
+    expect(bonusCalculationErrorMessage({ code: 'functions/failed-precondition', details: { missingRates: ['EUR', 'GBP'] } }))
+      .toBe('There is no exchange rate for EUR, GBP in this period. HR can add rates on the Review Cycles page.');
+  });
+
+  it('explains known error codes and falls back to the message', () => {
+    expect(bonusCalculationErrorMessage({ code: 'functions/failed-precondition' }))
+      .toBe('This department has no bonus budget. Enter a total budget or set one on the Departments page.');
+    expect(bonusCalculationErrorMessage({ code: 'functions/internal', message: 'Boom' })).toBe('Boom');
+    expect(bonusCalculationErrorMessage(null)).toBe('Failed to calculate bonuses');
+  });
+});
@@ -0,0 +1,82 @@
+/**
+ * Bonus approval workflow
+ *
+ * Mirrors functions/src/bonusWorkflow.ts: an allocation moves draft → submitted →
+ * hr-reviewed → approved → locked, and every change goes through distributeBonuses.
+ */
+
+export const BONUS_STATUS_LABELS = {
+  draft: 'Draft',
+  submitted: 'Submitted',
+  'hr-reviewed': 'HR Reviewed',
+  approved: 'Approved',
+  locked: 'Locked'
+};
+
+export const BONUS_STATUS_VARIANTS = {
+  draft: 'gray',
+  submitted: 'primary',
+  'hr-reviewed': 'warning',
+  approved: 'success',
+  locked: 'secondary'
+};
+
+export const BONUS_ACTION_LABELS = {
+  save: 'Saved',
+  promote: 'Scenario promoted',
+  submit: 'Submitted for review',
+  review: 'Reviewed by HR',
+  approve: 'Approved',
+  lock: 'Locked',
+  return: 'Returned to draft'
+};
+
+/**
+ * Workflow actions the user can take on an allocation in this status, in the order the
+ * buttons are shown. Allocators submit; HR reviews; admins approve, lock and reopen.
+ */
+export const getAvailableBonusActions = (status, role) => {
+  const isAdmin = role === 'admin';
+  const isReviewer = isAdmin || role === 'hr';
+
+  switch (status) {
+    case 'draft':
+      return ['submit'];
+    case 'submitted':
+      return isReviewer ? ['review', 'return'] : [];
+    case 'hr-reviewed':
+      return [...(isAdmin ? ['approve'] : []), ...(isReviewer ? ['return'] : [])];
+    case 'approved':
+      return isAdmin ? ['lock', 'return'] : [];
+    default:
+      return [];
+  }
+};
+
+/**
+ * Whether the user may still change percentages: allocators in draft, HR and admins
+ * during review. Approved and locked allocations are read-only.
+ */
+export const canEditBonusAllocation = (status, role) => {
+  if (status === 'draft') return true;
+  return ['submitted', 'hr-reviewed'].includes(status) && ['admin', 'hr'].includes(role);
+};
+
+// The functions service replaces server messages with generic ones, so explain by error code
+const WORKFLOW_ERRORS = {
+  'functions/permission-denied': 'You are not allowed to make this change to the bonus allocation.',
+  'functions/failed-precondition': 'The allocation cannot be changed in its current status.',
+  'functions/not-found': 'Save the allocation before submitting it.',
+  'functions/invalid-argument': 'Some salaries, salary currencies or bonus percentages are invalid.'
+};
+
+/**
+ * Limit violations come back as error details and are listed one per line
+ */
+export const bonusWorkflowErrorMessage = (error) => {
+  const violations = error?.details?.violations;
+  if (Array.isArray(violations) && violations.length > 0) {
+    return `The allocation breaks its budget limits:\n${violations.map(violation => `• ${violation}`).join('\n')}`;
+  }
+  return WORKFLOW_ERRORS[error?.code] || error?.message || 'Failed to update the bonus allocation';
+};
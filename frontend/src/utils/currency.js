@@ -0,0 +1,72 @@
+/**
+ * Money formatting and salary currencies
+ *
+ * Mirrors functions/src/currency.ts: salaries are entered in each employee's currency,
+ * budgets and totals are in the business reporting currency (settings.defaultCurrency).
+ * Live drafts convert with the review cycle's exchange rates; saved allocations carry the
+ * rates they were last saved with.
+ */
+
+export const DEFAULT_CURRENCY = 'USD';
+
+// Offered in the salary currency pickers; any other ISO code can still be typed in on the
+// Review Cycles page and will then show up here for that cycle
+export const COMMON_CURRENCIES = [
+  'USD', 'EUR', 'GBP', 'CAD', 'AUD', 'NZD', 'CHF', 'SEK', 'NOK', 'DKK', 'PLN',
+  'JPY', 'CNY', 'INR', 'SGD', 'HKD', 'BRL', 'MXN', 'ZAR', 'AED', 'ILS'
+];
+
+export const isCurrencyCode = (value) => typeof value === 'string' && /^[A-Z]{3}$/.test(value);
+
+export const getReportingCurrency = (businessData) => {
+  const currency = businessData?.settings?.defaultCurrency;
+  return isCurrencyCode(currency) ? currency : DEFAULT_CURRENCY;
+};
+
+/**
+ * Formats an amount in the user's locale, e.g. "$1,234" for en-US or "1.234 €" for de-DE.
+ * Whole units by default, since bonus amounts are planned rather than paid out here.
+ */
+export const formatMoney = (amount, currency = DEFAULT_CURRENCY, { decimals = 0 } = {}) => {
+  const value = Number(amount) || 0;
+  try {
+    return new Intl.NumberFormat(undefined, {
+      style: 'currency',
+      currency,
+      minimumFractionDigits: decimals,
+      maximumFractionDigits: decimals
+    }).format(value);
+  } catch {
+    // Unknown codes make Intl throw; show the plain number with the code instead
+    return `${value.toLocaleString(undefined, { maximumFractionDigits: decimals })} ${currency}`;
+  }
+};
+
+export const currencyOptions = (extraCodes = []) =>
+  Array.from(new Set([...COMMON_CURRENCIES, ...extraCodes.filter(isCurrencyCode)]))
+    .map(code => ({ value: code, label: code }));
+
+/**
+ * Rates from a review cycle, ignoring tables entered against another reporting currency
+ */
+export const cycleCurrencyContext = (cycle, reportingCurrency) => ({
+  reportingCurrency,
+  rates: cycle?.exchangeRates?.baseCurrency === reportingCurrency ? cycle.exchangeRates.rates || {} : {}
+});
+
+/**
+ * Rates stored on a saved allocation; allocations from before salaries had a currency
+ * are entirely in the reporting currency
+ */
+export const allocationCurrencyContext = (allocation, reportingCurrency) => ({
+  reportingCurrency: isCurrencyCode(allocation?.reportingCurrency) ? allocation.reportingCurrency : reportingCurrency,
+  rates: allocation?.exchangeRates || {}
+});
+
+/**
+ * Converts an amount into the reporting currency, or returns null without a rate
+ */
+export const toReportingAmount = (amount, currency, { reportingCurrency, rates = {} }) => {
+  if (!currency || currency === reportingCurrency) return amount;
+  return rates[currency] ? amount * rates[currency] : null;
+};
@@ -0,0 +1,65 @@
+import {
+  allocationCurrencyContext,
+  currencyOptions,
+  cycleCurrencyContext,
+  formatMoney,
+  getReportingCurrency,
+  toReportingAmount
+} from './currency';
+
+describe('getReportingCurrency', () => {
+  it('uses the business default currency when it is a valid code', () => {
+    expect(getReportingCurrency({ settings: { defaultCurrency: 'EUR' } })).toBe('EUR');
+    expect(getReportingCurrency({ settings: { defaultCurrency: 'euro' } })).toBe('USD');
+    expect(getReportingCurrency(null)).toBe('USD');
+  });
+});
+
+describe('formatMoney', () => {
+  it('shows whole units unless asked for decimals', () => {
+    expect(formatMoney(1234.4, 'EUR')).toBe(formatMoney(1234, 'EUR'));
+    expect(formatMoney(1234.4, 'EUR', { decimals: 2 })).not.toBe(formatMoney(1234, 'EUR', { decimals: 2 }));
+    expect(formatMoney('abc', 'EUR')).toBe(formatMoney(0, 'EUR'));
+  });
+
+  it('falls back to the plain number for codes Intl rejects', () => {
+    expect(formatMoney(5, 'BITCOIN')).toBe('5 BITCOIN');
+  });
+});
+
+describe('currencyOptions', () => {
+  it('adds valid extra codes once', () => {
+    const codes = currencyOptions(['THB', 'EUR', 'thb']).map(option => option.value);
+
+    expect(codes.filter(code => code === 'EUR')).toHaveLength(1);
+    expect(codes).toContain('THB');
+    expect(codes).not.toContain('thb');
+  });
+});
+
+describe('currency contexts', () => {
+  it('ignores cycle rates entered against another reporting currency', () => {
+    const cycle = { exchangeRates: { baseCurrency: 'USD', rates: { EUR: 1.08 } } };
+
+    expect(cycleCurrencyContext(cycle, 'USD')).toEqual({ reportingCurrency: 'USD', rates: { EUR: 1.08 } });
+    expect(cycleCurrencyContext(cycle, 'GBP')).toEqual({ reportingCurrency: 'GBP', rates: {} });
+    expect(cycleCurrencyContext(null, 'USD')).toEqual({ reportingCurrency: 'USD', rates: {} });
+  });
+
+  it('uses the rates and currency saved on an allocation', () => {
+    expect(allocationCurrencyContext({ reportingCurrency: 'EUR', exchangeRates: { USD: 0.92 } }, 'USD'))
+      .toEqual({ reportingCurrency: 'EUR', rates: { USD: 0.92 } });
+    expect(allocationCurrencyContext({}, 'USD')).toEqual({ reportingCurrency: 'USD', rates: {} });
+  });
+});
+
+describe('toReportingAmount', () => {
+  const context = { reportingCurrency: 'USD', rates: { EUR: 1.5 } };
+
+  it('converts with the rate, or returns null without one', () => {
+    expect(toReportingAmount(100, 'EUR', context)).toBe(150);
+    expect(toReportingAmount(100, 'USD', context)).toBe(100);
+    expect(toReportingAmount(100, undefined, context)).toBe(100);
+    expect(toReportingAmount(100, 'JPY', context)).toBeNull();
+  });
+});
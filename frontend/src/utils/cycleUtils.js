@@ -0,0 +1,118 @@
+/**
+ * Utility functions for review cycles and reporting periods
+ *
+ * Dashboards and bonus allocations are scoped to a "period": either a review cycle
+ * ({ cycleId }) or, for data from before cycles existed, a calendar year ({ year }).
+ * In <select> values a period is encoded as "cycle:<id>" or "year:<yyyy>".
+ */
+
+export const CYCLE_TYPES = [
+  { value: 'annual', label: 'Annual Review' },
+  { value: 'mid-year', label: 'Mid-Year Review' },
+  { value: 'quarterly', label: 'Quarterly Review' },
+  { value: 'check-in', label: 'Check-In' },
+  { value: 'custom', label: 'Custom' }
+];
+
+// In the order they happen
+export const CYCLE_PHASES = [
+  { key: 'selfAssessment', label: 'Self-Assessment' },
+  { key: 'managerReview', label: 'Manager Review' },
+  { key: 'calibration', label: 'Calibration' },
+  { key: 'signOff', label: 'Sign-Off' }
+];
+
+export const getCycleTypeLabel = (type) => {
+  return CYCLE_TYPES.find(option => option.value === type)?.label || type;
+};
+
+/**
+ * Year a cycle reports into (the year its period ends)
+ */
+export const getCycleYear = (cycle) => new Date(cycle.periodEnd).getFullYear();
+
+/**
+ * Year an evaluation counts towards when it has no cycle
+ */
+export const getEvaluationYear = (evaluation) => new Date(evaluation.assignedDate).getFullYear();
+
+/**
+ * The open cycle running today, or the most recent open one
+ * @param {Array} cycles - Review cycles, newest first
+ * @param {Object} options - bonusOnly: only cycles that include a bonus allocation
+ * @returns {Object|null}
+ */
+export const getCurrentCycle = (cycles = [], { bonusOnly = false } = {}) => {
+  const now = new Date();
+  const candidates = cycles.filter(cycle => cycle.status === 'open' && (!bonusOnly || cycle.includesBonus));
+
+  return candidates.find(cycle => new Date(cycle.periodStart) <= now && now <= new Date(cycle.periodEnd)) ||
+    candidates[0] ||
+    null;
+};
+
+/**
+ * Last cycle of the same type that ended before this one started
+ */
+export const getPreviousCycle = (cycles = [], cycle) => {
+  if (!cycle) return null;
+  return cycles
+    .filter(other => other.id !== cycle.id && other.type === cycle.type && new Date(other.periodEnd) <= new Date(cycle.periodStart))
+    .sort((a, b) => new Date(b.periodEnd) - new Date(a.periodEnd))[0] || null;
+};
+
+/**
+ * First phase whose deadline has not passed yet
+ * @returns {Object|null} { key, label, date }
+ */
+export const getNextPhaseDeadline = (cycle) => {
+  if (!cycle) return null;
+  const now = new Date();
+  const phase = CYCLE_PHASES.find(({ key }) => cycle.phaseDeadlines?.[key] && new Date(cycle.phaseDeadlines[key]) >= now);
+  return phase ? { ...phase, date: cycle.phaseDeadlines[phase.key] } : null;
+};
+
+export const encodePeriod = (period) => (period.cycleId ? `cycle:${period.cycleId}` : `year:${period.year}`);
+
+export const decodePeriod = (value) => {
+  const [kind, id] = (value || '').split(':');
+  if (kind === 'cycle' && id) return { cycleId: id };
+  return { year: parseInt(id, 10) || new Date().getFullYear() };
+};
+
+/**
+ * Period a page should open on: the current cycle if there is one, else this year
+ */
+export const getDefaultPeriod = (cycles = [], options = {}) => {
+  const currentCycle = getCurrentCycle(cycles, options);
+  return currentCycle ? { cycleId: currentCycle.id } : { year: new Date().getFullYear() };
+};
+
+export const isEvaluationInPeriod = (evaluation, period) => {
+  if (period.cycleId) return evaluation.cycleId === period.cycleId;
+  return getEvaluationYear(evaluation) === period.year;
+};
+
+/**
+ * Calendar year for a period, used for the `year` field on bonus allocations
+ */
+export const getPeriodYear = (period, cycles = []) => {
+  if (!period.cycleId) return period.year;
+  const cycle = cycles.find(c => c.id === period.cycleId);
+  return cycle ? getCycleYear(cycle) : new Date().getFullYear();
+};
+
+export const getPeriodLabel = (period, cycles = []) => {
+  if (!period.cycleId) return String(period.year);
+  return cycles.find(c => c.id === period.cycleId)?.name || 'Unknown cycle';
+};
+
+/**
+ * Bonus allocation documents are keyed by department, period and allocator
+ * (`${department}_${cycleId}_${allocatorId}`, or the year for periods without a cycle).
+ * Without an allocator this is the department key the bonusCalculations documents use.
+ */
+export const getBonusAllocationId = (departmentId, period, allocatorId) => {
+  const key = `${departmentId}_${period.cycleId || period.year}`;
+  return allocatorId ? `${key}_${allocatorId}` : key;
+};
@@ -0,0 +1,266 @@
+/**
+ * Display rules for template categories and questions
+ *
+ * Mirrors functions/src/displayRules.ts. A category or question with displayRules is
+ * only shown when its conditions hold for the evaluatee's role, department, tenure or
+ * their own answer to an earlier question. The evaluatee context is captured on the
+ * evaluation when it is created.
+ */
+
+import { isRatedQuestion, RATING_FIELDS, ANSWER_FIELDS } from './questionTypes';
+
+export const EVALUATEE_ROLES = [
+  { value: 'employee', label: 'Employee' },
+  { value: 'supervisor', label: 'Supervisor' },
+  { value: 'manager', label: 'Manager' },
+  { value: 'head-manager', label: 'Head Manager' },
+  { value: 'hr', label: 'HR' },
+  { value: 'admin', label: 'Admin' }
+];
+
+export const CONDITION_FIELDS = [
+  { value: 'role', label: 'Evaluatee role' },
+  { value: 'department', label: 'Evaluatee department' },
+  { value: 'tenure', label: 'Tenure (months)' },
+  { value: 'answer', label: 'Answer to an earlier question' }
+];
+
+const OPERATOR_LABELS = {
+  in: 'is one of',
+  notIn: 'is not one of',
+  gte: 'is at least',
+  lt: 'is less than',
+  lte: 'is at most',
+  equals: 'is',
+  notEquals: 'is not',
+  includes: 'includes'
+};
+
+/**
+ * Operators that make sense for a condition field, and for answers the referenced question
+ * @param {string} field - Condition field
+ * @param {Object} [question] - Referenced question for answer conditions
+ * @returns {Array<{value: string, label: string}>}
+ */
+export const getConditionOperators = (field, question) => {
+  let operators;
+
+  switch (field) {
+    case 'role':
+    case 'department':
+      operators = ['in', 'notIn'];
+      break;
+    case 'tenure':
+      operators = ['gte', 'lt'];
+      break;
+    case 'answer':
+      if (!question || isRatedQuestion(question) || question.type === 'kpi') {
+        operators = ['gte', 'lte'];
+      } else if (question.type === 'checklist') {
+        operators = ['includes'];
+      } else if (question.type === 'competency') {
+        operators = ['equals', 'notEquals', 'gte', 'lte'];
+      } else {
+        operators = ['equals', 'notEquals'];
+      }
+      break;
+    default:
+      operators = [];
+  }
+
+  return operators.map(value => ({ value, label: OPERATOR_LABELS[value] }));
+};
+
+/**
+ * Default condition for a field
+ * @param {string} field - Condition field
+ * @returns {Object}
+ */
+export const createCondition = (field) => {
+  switch (field) {
+    case 'role':
+    case 'department':
+      return { field, operator: 'in', values: [] };
+    case 'tenure':
+      return { field, operator: 'gte', value: 12 };
+    default:
+      return { field: 'answer', operator: 'equals', questionRef: '', value: '' };
+  }
+};
+
+/**
+ * Questions an answer condition can refer to: every text-free question before this one
+ * @param {Array} categories - Template categories in order
+ * @param {string} categoryId - Category holding the rule
+ * @param {string} [questionId] - Question holding the rule; omit for a category rule
+ * @returns {Array<{ref: string, question: Object, label: string}>}
+ */
+export const getPrecedingQuestions = (categories = [], categoryId, questionId) => {
+  const preceding = [];
+
+  for (const category of categories) {
+    if (!questionId && category.id === categoryId) break;
+
+    for (const question of category.questions || []) {
+      if (category.id === categoryId && question.id === questionId) return preceding;
+      if (question.type === 'text' || !question.text?.trim()) continue;
+      preceding.push({
+        ref: `${category.id}/${question.id}`,
+        question,
+        label: `${category.name || 'Category'}: ${question.text}`
+      });
+    }
+  }
+
+  return preceding;
+};
+
+/**
+ * Problems with a rule set, for the template builders
+ * @param {Object} rules - { match, conditions }
+ * @param {Array} preceding - Result of getPrecedingQuestions for the rule's position
+ * @returns {string[]}
+ */
+export const validateDisplayRules = (rules, preceding = []) => {
+  const errors = [];
+
+  (rules?.conditions || []).forEach((condition, index) => {
+    const position = `Condition ${index + 1}`;
+    switch (condition?.field) {
+      case 'role':
+      case 'department':
+        if (!Array.isArray(condition.values) || condition.values.length === 0) errors.push(`${position}: pick at least one value`);
+        break;
+      case 'tenure':
+        if (!(Number(condition.value) >= 0) || condition.value === '') errors.push(`${position}: enter a number of months`);
+        break;
+      case 'answer':
+        if (!preceding.some(entry => entry.ref === condition.questionRef)) {
+          errors.push(`${position}: pick a question that comes earlier in the template`);
+        } else if (condition.value === '' || condition.value === undefined || condition.value === null) {
+          errors.push(`${position}: enter the answer to compare with`);
+        }
+        break;
+      default:
+        errors.push(`${position}: unknown condition`);
+    }
+  });
+
+  return errors;
+};
+
+export const hasDisplayRules = (rules) => Array.isArray(rules?.conditions) && rules.conditions.length > 0;
+
+/**
+ * One-line summary of a rule set, e.g. "Shown when evaluatee role is one of Manager"
+ * @param {Object} rules - { match, conditions }
+ * @param {Object} [lookups] - { departments: [{id, name}], questions: getPrecedingQuestions result }
+ * @returns {string}
+ */
+export const describeDisplayRules = (rules, { departments = [], questions = [] } = {}) => {
+  if (!hasDisplayRules(rules)) return 'Always shown';
+
+  const parts = rules.conditions.map(condition => {
+    const operator = OPERATOR_LABELS[condition.operator] || condition.operator;
+    switch (condition.field) {
+      case 'role':
+        return `role ${operator} ${(condition.values || [])
+          .map(value => EVALUATEE_ROLES.find(role => role.value === value)?.label || value).join(', ')}`;
+      case 'department':
+        return `department ${operator} ${(condition.values || [])
+          .map(value => departments.find(department => department.id === value)?.name || value).join(', ')}`;
+      case 'tenure':
+        return `tenure ${operator} ${condition.value} months`;
+      case 'answer': {
+        const label = questions.find(entry => entry.ref === condition.questionRef)?.question.text || 'an earlier question';
+        const value = typeof condition.value === 'boolean' ? (condition.value ? 'Yes' : 'No') : condition.value;
+        return `"${label}" ${operator} ${value}`;
+      }
+      default:
+        return condition.field;
+    }
+  });
+
+  return `Shown when ${parts.join(rules.match === 'any' ? ' or ' : ' and ')}`;
+};
+
+const rulesPass = (rules, context, answers) => {
+  if (!hasDisplayRules(rules)) return true;
+
+  const results = rules.conditions.map(condition => {
+    switch (condition.field) {
+      case 'role':
+      case 'department': {
+        const actual = context[condition.field];
+        const matches = actual !== null && actual !== undefined && (condition.values || []).includes(actual);
+        return condition.operator === 'notIn' ? !matches : matches;
+      }
+      case 'tenure': {
+        if (context.tenureMonths === null || context.tenureMonths === undefined) return false;
+        const months = Number(condition.value);
+        return condition.operator === 'lt' ? context.tenureMonths < months : context.tenureMonths >= months;
+      }
+      case 'answer': {
+        // Unanswered or hidden questions never satisfy a condition
+        const answer = answers.get(condition.questionRef || '');
+        if (answer === undefined || answer === null || answer === '') return false;
+
+        switch (condition.operator) {
+          case 'equals':
+            return answer === condition.value;
+          case 'notEquals':
+            return answer !== condition.value;
+          case 'gte':
+            return typeof answer === 'number' && answer >= Number(condition.value);
+          case 'lte':
+            return typeof answer === 'number' && answer <= Number(condition.value);
+          case 'includes':
+            return Array.isArray(answer) && answer.includes(condition.value);
+          default:
+            return false;
+        }
+      }
+      default:
+        return false;
+    }
+  });
+
+  return rules.match === 'any' ? results.some(Boolean) : results.every(Boolean);
+};
+
+/**
+ * The categories and questions shown to an evaluatee, in template order. Evaluations
+ * created before display rules have no context and show everything.
+ * @param {Array} categories - Template categories
+ * @param {Object} context - evaluation.evaluateeContext
+ * @param {Object} selfResponses - Self-assessment categoryResponses; answers drive branching
+ * @param {string} [role] - Whose answers selfResponses holds: 'self', or 'rater' on a feedback form
+ * @returns {Array} Categories with only their visible questions
+ */
+export const filterVisibleCategories = (categories = [], context, selfResponses = {}, role = 'self') => {
+  if (!context) return categories;
+
+  const answers = new Map();
+  const visible = [];
+
+  categories.forEach(category => {
+    if (!category?.id || !rulesPass(category.displayRules, context, answers)) return;
+
+    const questions = (category.questions || []).filter(question => {
+      if (!rulesPass(question.displayRules, context, answers)) return false;
+
+      const response = selfResponses?.[category.id]?.[question.id];
+      answers.set(
+        `${category.id}/${question.id}`,
+        response?.[isRatedQuestion(question) ? RATING_FIELDS[role] : ANSWER_FIELDS[role]]
+      );
+      return true;
+    });
+
+    if (questions.length > 0) {
+      visible.push({ ...category, questions });
+    }
+  });
+
+  return visible;
+};
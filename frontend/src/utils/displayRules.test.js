@@ -0,0 +1,107 @@
+import {
+  createCondition,
+  describeDisplayRules,
+  filterVisibleCategories,
+  getConditionOperators,
+  getPrecedingQuestions,
+  validateDisplayRules
+} from './displayRules';
+
+const categories = [
+  {
+    id: 'basics',
+    name: 'Basics',
+    questions: [
+      { id: 'remote', text: 'Works remotely?', type: 'yesNo' },
+      { id: 'notes', text: 'Notes', type: 'text' },
+      { id: 'rating', text: 'Overall' }
+    ]
+  },
+  {
+    id: 'followUp',
+    name: 'Follow-up',
+    displayRules: { match: 'all', conditions: [{ field: 'answer', operator: 'equals', questionRef: 'basics/remote', value: true }] },
+    questions: [
+      { id: 'setup', text: 'Home setup' },
+      {
+        id: 'senior',
+        text: 'Mentoring',
+        displayRules: { match: 'any', conditions: [{ field: 'tenure', operator: 'gte', value: 24 }, { field: 'role', operator: 'in', values: ['manager'] }] }
+      }
+    ]
+  }
+];
+
+describe('rule builder', () => {
+  it('offers the operators that fit the referenced question', () => {
+    const values = (field, question) => getConditionOperators(field, question).map(operator => operator.value);
+
+    expect(values('role')).toEqual(['in', 'notIn']);
+    expect(values('tenure')).toEqual(['gte', 'lt']);
+    expect(values('answer', { id: 'q' })).toEqual(['gte', 'lte']);
+    expect(values('answer', { id: 'q', type: 'checklist' })).toEqual(['includes']);
+    expect(values('answer', { id: 'q', type: 'yesNo' })).toEqual(['equals', 'notEquals']);
+  });
+
+  it('starts conditions with sensible defaults', () => {
+    expect(createCondition('department')).toEqual({ field: 'department', operator: 'in', values: [] });
+    expect(createCondition('tenure')).toEqual({ field: 'tenure', operator: 'gte', value: 12 });
+  });
+
+  it('only lets rules refer to earlier questions that have an answer', () => {
+    expect(getPrecedingQuestions(categories, 'followUp', 'senior').map(entry => entry.ref))
+      .toEqual(['basics/remote', 'basics/rating', 'followUp/setup']);
+    expect(getPrecedingQuestions(categories, 'followUp').map(entry => entry.label))
+      .toEqual(['Basics: Works remotely?', 'Basics: Overall']);
+  });
+
+  it('reports incomplete conditions', () => {
+    const preceding = getPrecedingQuestions(categories, 'followUp');
+    const rules = {
+      match: 'all',
+      conditions: [
+        { field: 'role', operator: 'in', values: [] },
+        { field: 'tenure', operator: 'gte', value: '' },
+        { field: 'answer', operator: 'equals', questionRef: 'followUp/setup', value: true },
+        { field: 'answer', operator: 'gte', questionRef: 'basics/rating', value: '' }
+      ]
+    };
+
+    expect(validateDisplayRules(rules, preceding)).toEqual([
+      'Condition 1: pick at least one value',
+      'Condition 2: enter a number of months',
+      'Condition 3: pick a question that comes earlier in the template',
+      'Condition 4: enter the answer to compare with'
+    ]);
+  });
+
+  it('summarizes rules in one line', () => {
+    const questions = getPrecedingQuestions(categories, 'followUp');
+
+    expect(describeDisplayRules(null)).toBe('Always shown');
+    expect(describeDisplayRules(categories[1].displayRules, { questions })).toBe('Shown when "Works remotely?" is Yes');
+    expect(describeDisplayRules(categories[1].questions[1].displayRules))
+      .toBe('Shown when tenure is at least 24 months or role is one of Manager');
+  });
+});
+
+describe('filterVisibleCategories', () => {
+  const context = { role: 'employee', department: 'eng', tenureMonths: 30 };
+
+  it('shows everything without an evaluatee context', () => {
+    expect(filterVisibleCategories(categories, null, {})).toBe(categories);
+  });
+
+  it('branches on earlier answers like the server', () => {
+    expect(filterVisibleCategories(categories, context, {}).map(category => category.id)).toEqual(['basics']);
+
+    const visible = filterVisibleCategories(categories, context, { basics: { remote: { selfAnswer: true } } });
+    expect(visible[1].questions.map(question => question.id)).toEqual(['setup', 'senior']);
+  });
+
+  it('never matches an unknown tenure', () => {
+    const visible = filterVisibleCategories(categories, { ...context, tenureMonths: null }, { basics: { remote: { answer: true } } }, 'rater');
+
+    expect(visible[1].questions.map(question => question.id)).toEqual(['setup']);
+  });
+});
@@ -0,0 +1,56 @@
+/**
+ * SMART goal proposals
+ *
+ * Form fields for self-set and manager-set goals, and the checks a proposal passes
+ * before it is written. Review-target goals are created by the server on approval
+ * (functions/src/goals.ts) and never go through this form.
+ */
+
+export const SMART_FIELDS = [
+  { key: 'specific', label: 'Specific', placeholder: 'What exactly will be achieved?' },
+  { key: 'measurable', label: 'Measurable', placeholder: 'How will progress be measured?' },
+  { key: 'achievable', label: 'Achievable', placeholder: 'What makes this realistic?' },
+  { key: 'relevant', label: 'Relevant', placeholder: 'Why does this matter for your role?' },
+  { key: 'timeBound', label: 'Time-bound', placeholder: 'Key milestones before the due date' }
+];
+
+const DATE_INPUT = /^\d{4}-\d{2}-\d{2}$/;
+
+const toDateInput = (date) => [
+  date.getFullYear(),
+  String(date.getMonth() + 1).padStart(2, '0'),
+  String(date.getDate()).padStart(2, '0')
+].join('-');
+
+/**
+ * Trims the goal form into the fields stored on the goal, or returns the first problem.
+ * The due date comes from a date input (YYYY-MM-DD) and may not lie before today.
+ */
+export const buildGoalProposal = (form, today = new Date()) => {
+  const title = (form?.title || '').trim();
+  if (!title) {
+    return { error: 'Give the goal a title.' };
+  }
+
+  const dueDate = form.dueDate || '';
+  if (!DATE_INPUT.test(dueDate) || Number.isNaN(new Date(dueDate).getTime())) {
+    return { error: 'Choose a due date for the goal.' };
+  }
+  if (dueDate < toDateInput(today)) {
+    return { error: 'The due date cannot be in the past.' };
+  }
+
+  const smart = {};
+  SMART_FIELDS.forEach(({ key }) => {
+    smart[key] = typeof form.smart?.[key] === 'string' ? form.smart[key].trim() : '';
+  });
+
+  return {
+    proposal: {
+      title,
+      description: (form.description || '').trim(),
+      smart,
+      dueDate: new Date(dueDate).toISOString()
+    }
+  };
+};
@@ -0,0 +1,35 @@
+import { buildGoalProposal } from './goals';
+
+const today = new Date(2024, 5, 15);
+
+const form = {
+  title: ' Cut ticket resolution time ',
+  description: ' Support queue ',
+  dueDate: '2024-12-31',
+  smart: { specific: ' Median under 4h ', measurable: 'Helpdesk report', achievable: 42 }
+};
+
+describe('buildGoalProposal', () => {
+  it('trims the form into the stored goal fields', () => {
+    expect(buildGoalProposal(form, today)).toEqual({
+      proposal: {
+        title: 'Cut ticket resolution time',
+        description: 'Support queue',
+        smart: { specific: 'Median under 4h', measurable: 'Helpdesk report', achievable: '', relevant: '', timeBound: '' },
+        dueDate: new Date('2024-12-31').toISOString()
+      }
+    });
+  });
+
+  it('requires a title and a due date', () => {
+    expect(buildGoalProposal({ ...form, title: '   ' }, today)).toEqual({ error: 'Give the goal a title.' });
+    expect(buildGoalProposal({ ...form, dueDate: '' }, today)).toEqual({ error: 'Choose a due date for the goal.' });
+    expect(buildGoalProposal({ ...form, dueDate: '31/12/2024' }, today)).toEqual({ error: 'Choose a due date for the goal.' });
+    expect(buildGoalProposal(null, today)).toEqual({ error: 'Give the goal a title.' });
+  });
+
+  it('accepts today but not an earlier day', () => {
+    expect(buildGoalProposal({ ...form, dueDate: '2024-06-15' }, today).proposal).toBeDefined();
+    expect(buildGoalProposal({ ...form, dueDate: '2024-06-14' }, today)).toEqual({ error: 'The due date cannot be in the past.' });
+  });
+});
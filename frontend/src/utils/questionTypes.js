@@ -0,0 +1,287 @@
+/**
+ * Template question types
+ *
+ * Mirrors functions/src/questionTypes.ts. Rating questions store selfRating /
+ * managerRating on the evaluation's rating scale; every other type stores
+ * selfAnswer / managerAnswer, and the scored ones count towards the category
+ * score as a fraction of the scale.
+ */
+
+export const QUESTION_TYPES = [
+  { value: 'dualRating', label: 'Dual Rating (Employee + Manager)', scored: true },
+  { value: 'rating', label: 'Single Rating', scored: true },
+  { value: 'text', label: 'Text Response', scored: false },
+  { value: 'multipleChoice', label: 'Multiple Choice', scored: false },
+  { value: 'yesNo', label: 'Yes/No', scored: true },
+  { value: 'checklist', label: 'Checklist (multi-select)', scored: true },
+  { value: 'kpi', label: 'Numeric KPI (target vs actual)', scored: true },
+  { value: 'competency', label: 'Competency Level (1-4)', scored: true },
+  { value: 'ranking', label: 'Ranking', scored: true }
+];
+
+export const RATED_QUESTION_TYPES = ['rating', 'dualRating'];
+
+export const COMPETENCY_LEVELS = 4;
+
+// 'rater' is a 360 feedback rater, whose answers are stored apart from the evaluation
+export const RATING_FIELDS = { self: 'selfRating', manager: 'managerRating', rater: 'rating' };
+export const ANSWER_FIELDS = { self: 'selfAnswer', manager: 'managerAnswer', rater: 'answer' };
+
+export const isKnownQuestionType = (type) => QUESTION_TYPES.some(entry => entry.value === type);
+
+/**
+ * Questions without a type predate question types and are rated
+ * @param {Object} question - Template question
+ * @returns {boolean}
+ */
+export const isRatedQuestion = (question) => !question.type || RATED_QUESTION_TYPES.includes(question.type);
+
+export const getQuestionTypeLabel = (type) =>
+  QUESTION_TYPES.find(entry => entry.value === type)?.label || type;
+
+/**
+ * Type-specific settings for a new question of this type
+ * @param {string} type - Question type
+ * @returns {Object} Fields to merge into the question
+ */
+export const createQuestionConfig = (type) => {
+  switch (type) {
+    case 'multipleChoice':
+    case 'checklist':
+      return { options: ['', ''] };
+    case 'ranking':
+      return { options: ['', ''], scoreOrder: true };
+    case 'kpi':
+      return { kpi: { target: 100, unit: '', higherIsBetter: true } };
+    case 'competency':
+      return { levels: Array(COMPETENCY_LEVELS).fill('') };
+    default:
+      return {};
+  }
+};
+
+/**
+ * Keeps only the settings that belong to the question's type
+ * @param {Object} question - Question being saved from a builder
+ * @returns {Object} Question ready to store on the template
+ */
+export const cleanQuestionConfig = (question) => {
+  const { options, kpi, levels, scoreOrder, ...rest } = question;
+  const cleanOptions = (options || []).map(option => option.trim()).filter(Boolean);
+
+  switch (question.type) {
+    case 'multipleChoice':
+    case 'checklist':
+      return { ...rest, options: cleanOptions };
+    case 'ranking':
+      return { ...rest, options: cleanOptions, scoreOrder: scoreOrder !== false };
+    case 'kpi':
+      return {
+        ...rest,
+        kpi: {
+          target: Number(kpi?.target),
+          unit: (kpi?.unit || '').trim(),
+          higherIsBetter: kpi?.higherIsBetter !== false
+        }
+      };
+    case 'competency':
+      return { ...rest, levels: (levels || []).map(level => (level || '').trim()) };
+    default:
+      return rest;
+  }
+};
+
+/**
+ * Problems with a question's type-specific settings, for the template builders
+ * @param {Object} question - Template question
+ * @returns {string[]} Error messages
+ */
+export const validateQuestionConfig = (question) => {
+  const errors = [];
+  const options = (question.options || []).map(option => option.trim()).filter(Boolean);
+
+  switch (question.type) {
+    case 'multipleChoice':
+    case 'checklist':
+    case 'ranking':
+      if (options.length < 2) errors.push('Add at least two options');
+      if (new Set(options).size !== options.length) errors.push('Options must be unique');
+      break;
+    case 'kpi':
+      if (!(Number(question.kpi?.target) > 0)) errors.push('The KPI target must be a positive number');
+      break;
+    case 'competency':
+      if ((question.levels || []).filter(level => level && level.trim()).length < COMPETENCY_LEVELS) {
+        errors.push(`Describe the behaviour for all ${COMPETENCY_LEVELS} levels`);
+      }
+      break;
+    default:
+      break;
+  }
+
+  return errors;
+};
+
+/**
+ * Starting order for a ranking answer. The options are stored in the expected order,
+ * so they are shuffled (stably per question) before anyone ranks them.
+ * @param {Object} question - Ranking question
+ * @returns {string[]}
+ */
+export const initialRanking = (question) => {
+  const items = [...(question.options || [])];
+  let seed = Array.from(String(question.id)).reduce((hash, char) => (hash * 31 + char.charCodeAt(0)) >>> 0, 7);
+
+  for (let i = items.length - 1; i > 0; i--) {
+    seed = (seed * 1103515245 + 12345) >>> 0;
+    const j = seed % (i + 1);
+    [items[i], items[j]] = [items[j], items[i]];
+  }
+
+  const unchanged = items.every((item, index) => item === question.options[index]);
+  return unchanged ? items.reverse() : items;
+};
+
+// An empty checklist is an answer: nothing applied
+export const isAnswered = (answer) => answer !== null && answer !== undefined && answer !== '';
+
+/**
+ * Why an answer is not valid for its question, or null when it is
+ * @param {Object} question - Template question
+ * @param {*} answer - Stored answer
+ * @returns {string|null}
+ */
+export const validateAnswer = (question, answer) => {
+  const options = question.options || [];
+
+  switch (question.type) {
+    case 'yesNo':
+      return typeof answer === 'boolean' ? null : 'Answer yes or no';
+    case 'multipleChoice':
+      return options.includes(answer) ? null : 'Pick one of the options';
+    case 'checklist':
+      return Array.isArray(answer) && answer.every(item => options.includes(item)) && new Set(answer).size === answer.length
+        ? null
+        : 'Only tick items from the checklist';
+    case 'kpi':
+      return typeof answer === 'number' && Number.isFinite(answer) && answer >= 0
+        ? null
+        : 'Enter the actual value as a non-negative number';
+    case 'competency':
+      return Number.isInteger(answer) && answer >= 1 && answer <= COMPETENCY_LEVELS
+        ? null
+        : `Pick a level between 1 and ${COMPETENCY_LEVELS}`;
+    case 'ranking':
+      return Array.isArray(answer) && answer.length === options.length && options.every(item => answer.includes(item))
+        ? null
+        : 'Rank every item exactly once';
+    default:
+      return null;
+  }
+};
+
+/**
+ * How favourable an answer is, from 0 to 1, or null when it does not count towards the score
+ * @param {Object} question - Template question
+ * @param {*} answer - Stored answer
+ * @returns {number|null}
+ */
+export const answerFraction = (question, answer) => {
+  const type = QUESTION_TYPES.find(entry => entry.value === question.type);
+  if (!type?.scored || isRatedQuestion(question) || !isAnswered(answer) || validateAnswer(question, answer)) {
+    return null;
+  }
+
+  const options = question.options || [];
+
+  switch (question.type) {
+    case 'yesNo':
+      return answer ? 1 : 0;
+    case 'checklist':
+      return options.length > 0 ? answer.length / options.length : null;
+    case 'kpi': {
+      const target = Number(question.kpi?.target);
+      if (!Number.isFinite(target) || target <= 0) return null;
+      if (question.kpi?.higherIsBetter === false) {
+        return answer <= target ? 1 : target / answer;
+      }
+      return Math.min(1, answer / target);
+    }
+    case 'competency':
+      return (answer - 1) / (COMPETENCY_LEVELS - 1);
+    case 'ranking': {
+      if (question.scoreOrder === false) return null;
+
+      // Distance from the order the items were authored in (Spearman's footrule)
+      const worst = Math.floor((options.length * options.length) / 2);
+      if (worst === 0) return 1;
+      const distance = answer.reduce((sum, item, index) => sum + Math.abs(index - options.indexOf(item)), 0);
+      return 1 - distance / worst;
+    }
+    default:
+      return null;
+  }
+};
+
+/**
+ * The score a question contributes to its category, in the units of the rating scale
+ * @param {Object} question - Template question
+ * @param {*} answer - Stored answer
+ * @param {Object} scale - Rating scale of the evaluation
+ * @returns {number|null}
+ */
+export const answerScore = (question, answer, scale) => {
+  const fraction = answerFraction(question, answer);
+  return fraction === null ? null : scale.min + fraction * (scale.max - scale.min);
+};
+
+/**
+ * Required non-rating questions left unanswered, as "categoryId/questionId"
+ * @param {Array} categories - Template categories
+ * @param {Object} categoryResponses - { [categoryId]: { [questionId]: response } }
+ * @param {string} role - 'self' or 'manager'
+ * @returns {string[]}
+ */
+export const findMissingAnswers = (categories = [], categoryResponses = {}, role) => {
+  const missing = [];
+
+  categories.forEach(category => {
+    (category.questions || []).forEach(question => {
+      if (isRatedQuestion(question) || question.type === 'text' || question.required === false) return;
+
+      const answer = categoryResponses[category.id]?.[question.id]?.[ANSWER_FIELDS[role]];
+      if (!isAnswered(answer) || validateAnswer(question, answer)) {
+        missing.push(`${category.id}/${question.id}`);
+      }
+    });
+  });
+
+  return missing;
+};
+
+/**
+ * Short human readable answer, e.g. "Yes", "3 of 5 ticked", "120 calls (target 100 calls)"
+ * @param {Object} question - Template question
+ * @param {*} answer - Stored answer
+ * @returns {string}
+ */
+export const formatAnswer = (question, answer) => {
+  if (!isAnswered(answer)) return '—';
+
+  switch (question.type) {
+    case 'yesNo':
+      return answer ? 'Yes' : 'No';
+    case 'checklist':
+      return `${answer.length} of ${(question.options || []).length} ticked`;
+    case 'kpi': {
+      const unit = question.kpi?.unit ? ` ${question.kpi.unit}` : '';
+      return `${answer}${unit} (target ${question.kpi?.target ?? '—'}${unit})`;
+    }
+    case 'competency':
+      return `Level ${answer}`;
+    case 'ranking':
+      return answer.map((item, index) => `${index + 1}. ${item}`).join(', ');
+    default:
+      return String(answer);
+  }
+};
@@ -0,0 +1,82 @@
+import {
+  answerFraction,
+  answerScore,
+  cleanQuestionConfig,
+  createQuestionConfig,
+  findMissingAnswers,
+  formatAnswer,
+  initialRanking,
+  validateAnswer,
+  validateQuestionConfig
+} from './questionTypes';
+import { RATING_SCALE_PRESETS } from './ratingScales';
+
+const yesNo = { id: 'honest', type: 'yesNo' };
+const checklist = { id: 'skills', type: 'checklist', options: ['SQL', 'Go', 'React', 'Rust'] };
+const kpi = { id: 'calls', type: 'kpi', kpi: { target: 100, unit: 'calls' } };
+const competency = { id: 'craft', type: 'competency' };
+const ranking = { id: 'values', type: 'ranking', options: ['Safety', 'Quality', 'Speed'] };
+
+describe('question builder', () => {
+  it('starts each type with its own settings', () => {
+    expect(createQuestionConfig('ranking')).toEqual({ options: ['', ''], scoreOrder: true });
+    expect(createQuestionConfig('competency')).toEqual({ levels: ['', '', '', ''] });
+    expect(createQuestionConfig('text')).toEqual({});
+  });
+
+  it('keeps only the settings of the chosen type', () => {
+    const question = { id: 'q', text: 'Skills', type: 'checklist', options: [' SQL ', '', 'Go'], kpi: { target: 5 }, levels: ['a'] };
+
+    expect(cleanQuestionConfig(question)).toEqual({ id: 'q', text: 'Skills', type: 'checklist', options: ['SQL', 'Go'] });
+    expect(cleanQuestionConfig({ id: 'k', type: 'kpi', kpi: { target: '50', unit: ' % ' } }))
+      .toEqual({ id: 'k', type: 'kpi', kpi: { target: 50, unit: '%', higherIsBetter: true } });
+  });
+
+  it('asks for enough unique options, a positive target and every level', () => {
+    expect(validateQuestionConfig({ type: 'ranking', options: ['A', ' '] })).toEqual(['Add at least two options']);
+    expect(validateQuestionConfig({ type: 'checklist', options: ['A', ' A '] })).toEqual(['Options must be unique']);
+    expect(validateQuestionConfig({ type: 'kpi', kpi: { target: 0 } })).toEqual(['The KPI target must be a positive number']);
+    expect(validateQuestionConfig({ type: 'competency', levels: ['a', 'b', '', 'd'] }))
+      .toEqual(['Describe the behaviour for all 4 levels']);
+    expect(validateQuestionConfig(checklist)).toEqual([]);
+  });
+
+  it('never starts a ranking in the expected order, and always starts it the same way', () => {
+    const order = initialRanking(ranking);
+
+    expect(order).not.toEqual(ranking.options);
+    expect([...order].sort()).toEqual([...ranking.options].sort());
+    expect(initialRanking(ranking)).toEqual(order);
+  });
+});
+
+describe('answers', () => {
+  it('validates answers like the server', () => {
+    expect(validateAnswer(checklist, ['SQL', 'SQL'])).toBe('Only tick items from the checklist');
+    expect(validateAnswer(ranking, ['Speed', 'Speed', 'Quality'])).toBe('Rank every item exactly once');
+    expect(validateAnswer(competency, 5)).toBe('Pick a level between 1 and 4');
+    expect(validateAnswer(kpi, 12.5)).toBeNull();
+  });
+
+  it('previews scores like the server', () => {
+    expect(answerFraction(checklist, ['SQL', 'Go', 'Rust'])).toBe(0.75);
+    expect(answerFraction({ ...kpi, kpi: { target: 10, higherIsBetter: false } }, 20)).toBe(0.5);
+    expect(answerFraction(ranking, ['Quality', 'Safety', 'Speed'])).toBe(0.5);
+    expect(answerFraction({ id: 'style', type: 'multipleChoice', options: ['A', 'B'] }, 'A')).toBeNull();
+    expect(answerScore(yesNo, true, RATING_SCALE_PRESETS['1-10'])).toBe(10);
+  });
+
+  it('finds required answers that are missing or malformed', () => {
+    const categories = [{ id: 'values', questions: [yesNo, { ...competency, required: false }, checklist, { id: 'rated' }] }];
+    const responses = { values: { honest: { selfAnswer: 'maybe' }, skills: { selfAnswer: [] } } };
+
+    expect(findMissingAnswers(categories, responses, 'self')).toEqual(['values/honest']);
+    expect(findMissingAnswers(categories, responses, 'manager')).toEqual(['values/honest', 'values/skills']);
+  });
+
+  it('formats short answers for the evaluation views', () => {
+    expect(formatAnswer(checklist, ['SQL', 'Go'])).toBe('2 of 4 ticked');
+    expect(formatAnswer(kpi, 120)).toBe('120 calls (target 100 calls)');
+    expect(formatAnswer(yesNo, null)).toBe('—');
+  });
+});
@@ -0,0 +1,258 @@
+/**
+ * Rating scale definitions
+ *
+ * Mirrors functions/src/ratingScales.ts. Every scale maps its choices onto numbers;
+ * ratings are stored as those numbers and compared across evaluations through
+ * normalizeScore(), which places a score on 0-100 between the scale's minimum and maximum.
+ */
+
+export const RATING_SCALE_TYPES = [
+  { value: 'numeric', label: 'Numeric range' },
+  { value: 'letter', label: 'Letter grades' },
+  { value: 'percentage', label: 'Percentage' },
+  { value: 'labels', label: 'Labelled choices' }
+];
+
+export const RATING_SCALE_PRESETS = {
+  '1-5': {
+    id: '1-5',
+    type: 'numeric',
+    name: '1-5 scale',
+    min: 1,
+    max: 5,
+    step: 0.5,
+    anchors: []
+  },
+  '1-10': {
+    id: '1-10',
+    type: 'numeric',
+    name: '1-10 scale',
+    min: 1,
+    max: 10,
+    step: 0.5,
+    anchors: []
+  },
+  'A-F': {
+    id: 'A-F',
+    type: 'letter',
+    name: 'Letter grades (A-F)',
+    min: 1,
+    max: 5,
+    step: 1,
+    anchors: [
+      { value: 1, label: 'F' },
+      { value: 2, label: 'D' },
+      { value: 3, label: 'C' },
+      { value: 4, label: 'B' },
+      { value: 5, label: 'A' }
+    ]
+  },
+  percentage: {
+    id: 'percentage',
+    type: 'percentage',
+    name: 'Percentage (0-100%)',
+    min: 0,
+    max: 100,
+    step: 5,
+    anchors: []
+  },
+  'below-meets-exceeds': {
+    id: 'below-meets-exceeds',
+    type: 'labels',
+    name: 'Below / Meets / Exceeds',
+    min: 1,
+    max: 3,
+    step: 1,
+    anchors: [
+      { value: 1, label: 'Below expectations' },
+      { value: 2, label: 'Meets expectations' },
+      { value: 3, label: 'Exceeds expectations' }
+    ]
+  }
+};
+
+export const DEFAULT_RATING_SCALE = RATING_SCALE_PRESETS['1-5'];
+
+const MAX_ANCHORS = 10;
+const STEP_TOLERANCE = 1e-6;
+
+/**
+ * Checks a scale built in the template editor and returns it in canonical form
+ * @param {Object|string} input - Scale definition or preset id
+ * @returns {{ scale: Object|null, errors: string[] }}
+ */
+export const validateRatingScale = (input) => {
+  const errors = [];
+
+  if (typeof input === 'string') {
+    const preset = RATING_SCALE_PRESETS[input];
+    return preset ? { scale: preset, errors } : { scale: null, errors: [`Unknown rating scale: ${input}`] };
+  }
+
+  const raw = input || {};
+  if (!RATING_SCALE_TYPES.some(type => type.value === raw.type)) {
+    return { scale: null, errors: ['Rating scale type must be numeric, letter, percentage or labels'] };
+  }
+
+  const name = String(raw.name || '').trim() || raw.type;
+
+  if (raw.type === 'letter' || raw.type === 'labels') {
+    const anchors = Array.isArray(raw.anchors) ? raw.anchors : [];
+    if (anchors.length < 2 || anchors.length > MAX_ANCHORS) {
+      errors.push(`A ${raw.type} scale needs between 2 and ${MAX_ANCHORS} choices`);
+    }
+
+    const cleaned = anchors.map(anchor => ({
+      value: Number(anchor?.value),
+      label: String(anchor?.label || '').trim(),
+      ...(anchor?.description ? { description: String(anchor.description).trim() } : {})
+    }));
+    if (cleaned.some(anchor => !Number.isFinite(anchor.value))) {
+      errors.push('Every choice needs a numeric value');
+    }
+    if (cleaned.some(anchor => !anchor.label)) {
+      errors.push('Every choice needs a label');
+    }
+    if (new Set(cleaned.map(anchor => anchor.value)).size !== cleaned.length) {
+      errors.push('Choice values must be unique');
+    }
+    if (errors.length > 0) return { scale: null, errors };
+
+    cleaned.sort((a, b) => a.value - b.value);
+    return {
+      scale: {
+        id: raw.id && RATING_SCALE_PRESETS[raw.id] ? raw.id : 'custom',
+        type: raw.type,
+        name,
+        min: cleaned[0].value,
+        max: cleaned[cleaned.length - 1].value,
+        step: 1,
+        anchors: cleaned
+      },
+      errors
+    };
+  }
+
+  const min = raw.type === 'percentage' ? 0 : Number(raw.min);
+  const max = raw.type === 'percentage' ? 100 : Number(raw.max);
+  const step = Number(raw.step) || 1;
+
+  if (!Number.isFinite(min) || !Number.isFinite(max) || min >= max) {
+    errors.push('The scale maximum must be greater than its minimum');
+  }
+  if (step <= 0 || step > max - min) {
+    errors.push('The scale step must be positive and smaller than its range');
+  }
+  if (errors.length > 0) return { scale: null, errors };
+
+  const presetId = raw.type === 'percentage'
+    ? 'percentage'
+    : Object.keys(RATING_SCALE_PRESETS).find(id => {
+      const preset = RATING_SCALE_PRESETS[id];
+      return preset.type === 'numeric' && preset.min === min && preset.max === max;
+    });
+
+  return {
+    scale: { id: presetId || 'custom', type: raw.type, name, min, max, step, anchors: [] },
+    errors
+  };
+};
+
+/**
+ * Scale of the first source that has one. Pass the evaluation before its template:
+ * the evaluation keeps a snapshot of the scale it was assigned with.
+ * @param {...Object} sources - Evaluations, templates or goals
+ * @returns {Object} Rating scale
+ */
+export const resolveRatingScale = (...sources) => {
+  for (const source of sources) {
+    if (source?.ratingScale) {
+      const { scale } = validateRatingScale(source.ratingScale);
+      if (scale) return scale;
+    }
+  }
+
+  // Documents written before scales were configurable only carry a scoringSystem id
+  const legacy = sources.find(source => source?.scoringSystem);
+  return RATING_SCALE_PRESETS[legacy?.scoringSystem] || DEFAULT_RATING_SCALE;
+};
+
+/**
+ * Whether a stored rating is an answer on this scale
+ * @param {*} value - Stored rating
+ * @param {Object} scale - Rating scale
+ * @returns {boolean}
+ */
+export const isRatingOnScale = (value, scale) => {
+  if (value === null || value === undefined || value === '') return false;
+
+  const rating = Number(value);
+  if (!Number.isFinite(rating)) return false;
+
+  // Older 1-5 and 1-10 evaluations used 0 for "not rated"
+  if (rating === 0 && scale.min > 0) return false;
+
+  if (scale.anchors.length > 0) {
+    return scale.anchors.some(anchor => anchor.value === rating);
+  }
+  if (rating < scale.min || rating > scale.max) return false;
+
+  // Ratings sit on min + n * step; the tolerance absorbs float error from steps like 0.1
+  const steps = (rating - scale.min) / scale.step;
+  return Math.abs(steps - Math.round(steps)) < STEP_TOLERANCE;
+};
+
+/**
+ * A score on the scale expressed as 0-100
+ * @param {number|null} score - Score in the scale's units
+ * @param {Object} scale - Rating scale
+ * @returns {number|null}
+ */
+export const normalizeScore = (score, scale) => {
+  if (typeof score !== 'number' || !Number.isFinite(score)) return null;
+  const normalized = ((score - scale.min) / (scale.max - scale.min)) * 100;
+  return Math.round(Math.min(100, Math.max(0, normalized)) * 100) / 100;
+};
+
+/**
+ * The anchor closest to a (possibly averaged) score, for letter and labelled scales
+ * @param {number} score - Score in the scale's units
+ * @param {Object} scale - Rating scale
+ * @returns {Object|null} Anchor { value, label }
+ */
+export const nearestAnchor = (score, scale) => {
+  if (!scale.anchors.length) return null;
+  return scale.anchors.reduce((best, anchor) =>
+    Math.abs(anchor.value - score) < Math.abs(best.value - score) ? anchor : best
+  );
+};
+
+/**
+ * Human readable score, e.g. "4.2 / 5", "B (4.2)", "85%" or "Meets expectations (2.1)"
+ * @param {number|null} score - Score in the scale's units
+ * @param {Object} scale - Rating scale
+ * @returns {string}
+ */
+export const formatScaleScore = (score, scale) => {
+  if (typeof score !== 'number' || !Number.isFinite(score)) return '—';
+
+  const rounded = Math.round(score * 100) / 100;
+  if (scale.type === 'percentage') return `${rounded}%`;
+
+  const anchor = nearestAnchor(rounded, scale);
+  if (anchor) return anchor.value === rounded ? anchor.label : `${anchor.label} (${rounded})`;
+
+  return `${rounded} / ${scale.max}`;
+};
+
+/**
+ * Short description of the range, e.g. "1-5", "F-A", "0-100%" or "3 choices"
+ * @param {Object} scale - Rating scale
+ * @returns {string}
+ */
+export const describeScaleRange = (scale) => {
+  if (scale.type === 'percentage') return '0-100%';
+  if (scale.type === 'letter') return `${scale.anchors[0]?.label}-${scale.anchors[scale.anchors.length - 1]?.label}`;
+  if (scale.type === 'labels') return `${scale.anchors.length} choices`;
+  return `${scale.min}-${scale.max}`;
+};
@@ -0,0 +1,90 @@
+import {
+  DEFAULT_RATING_SCALE,
+  RATING_SCALE_PRESETS,
+  describeScaleRange,
+  formatScaleScore,
+  isRatingOnScale,
+  nearestAnchor,
+  normalizeScore,
+  resolveRatingScale,
+  validateRatingScale
+} from './ratingScales';
+
+const oneToFive = RATING_SCALE_PRESETS['1-5'];
+const letters = RATING_SCALE_PRESETS['A-F'];
+const percentage = RATING_SCALE_PRESETS.percentage;
+const labels = RATING_SCALE_PRESETS['below-meets-exceeds'];
+
+describe('validateRatingScale', () => {
+  it('accepts preset ids and recognizes preset ranges', () => {
+    expect(validateRatingScale('A-F')).toEqual({ scale: letters, errors: [] });
+    expect(validateRatingScale({ type: 'numeric', min: 1, max: 5, step: 0.5 }).scale)
+      .toMatchObject({ id: '1-5', name: 'numeric' });
+  });
+
+  it('reports the same errors as the server', () => {
+    expect(validateRatingScale({ type: 'numeric', min: 5, max: 1 }).errors)
+      .toContain('The scale maximum must be greater than its minimum');
+    expect(validateRatingScale({ type: 'letter', anchors: [{ value: 1, label: 'A' }, { value: 1, label: '' }] }).errors)
+      .toEqual(['Every choice needs a label', 'Choice values must be unique']);
+  });
+});
+
+describe('resolveRatingScale', () => {
+  it('takes the first source with a valid scale, as the evaluation snapshot comes first', () => {
+    expect(resolveRatingScale({ ratingScale: 'A-F' }, { ratingScale: 'percentage' })).toBe(letters);
+    expect(resolveRatingScale({}, { ratingScale: 'percentage' })).toBe(percentage);
+  });
+
+  it('falls back to a legacy scoringSystem, then the default', () => {
+    expect(resolveRatingScale({ scoringSystem: '1-10' }, {})).toBe(RATING_SCALE_PRESETS['1-10']);
+    expect(resolveRatingScale(null, undefined)).toBe(DEFAULT_RATING_SCALE);
+  });
+});
+
+describe('isRatingOnScale', () => {
+  it('accepts ratings on a step of the range', () => {
+    expect(isRatingOnScale(3.5, oneToFive)).toBe(true);
+    expect(isRatingOnScale(75, percentage)).toBe(true);
+  });
+
+  it('rejects ratings between steps or outside the range', () => {
+    expect(isRatingOnScale(3.3, oneToFive)).toBe(false);
+    expect(isRatingOnScale(73, percentage)).toBe(false);
+    expect(isRatingOnScale(6, oneToFive)).toBe(false);
+  });
+
+  it('tolerates float error on fractional steps', () => {
+    const tenths = { ...oneToFive, id: 'custom', min: 0, max: 1, step: 0.1 };
+
+    expect(isRatingOnScale(0.1 + 0.2, tenths)).toBe(true);
+    expect(isRatingOnScale(0.75, tenths)).toBe(false);
+  });
+
+  it('only accepts anchor values on labelled scales and skips blanks', () => {
+    expect(isRatingOnScale(2, labels)).toBe(true);
+    expect(isRatingOnScale(2.5, labels)).toBe(false);
+    expect(isRatingOnScale(0, oneToFive)).toBe(false);
+    expect(isRatingOnScale(undefined, oneToFive)).toBe(false);
+  });
+});
+
+describe('scores on a scale', () => {
+  it('normalizes to 0-100', () => {
+    expect(normalizeScore(4.2, oneToFive)).toBe(80);
+    expect(normalizeScore(2, labels)).toBe(50);
+    expect(normalizeScore('4', oneToFive)).toBeNull();
+  });
+
+  it('formats scores and ranges for display', () => {
+    expect(nearestAnchor(2.1, labels).label).toBe('Meets expectations');
+    expect(formatScaleScore(2.1, labels)).toBe('Meets expectations (2.1)');
+    expect(formatScaleScore(4.236, oneToFive)).toBe('4.24 / 5');
+    expect(formatScaleScore(null, oneToFive)).toBe('—');
+
+    expect(describeScaleRange(oneToFive)).toBe('1-5');
+    expect(describeScaleRange(letters)).toBe('F-A');
+    expect(describeScaleRange(percentage)).toBe('0-100%');
+    expect(describeScaleRange(labels)).toBe('3 choices');
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * Utility functions for reading evaluation scores
+ *
+ * Scores are calculated server-side (calculateEvaluationScore / approveEvaluation)
+ * and stored on the evaluation under `scores`. Pages should read them from here
+ * instead of averaging ratings themselves.
+ */
+
+import { DEFAULT_RATING_SCALE, isRatingOnScale, normalizeScore, resolveRatingScale } from './ratingScales';
+import { ANSWER_FIELDS, RATING_FIELDS, answerScore, isRatedQuestion } from './questionTypes';
+
+/**
+ * Score of record for an evaluation
+ * @param {Object} evaluation - Evaluation document
+ * @returns {number|null} Final (manager) score, or null if not scored yet
+ */
+export const getEvaluationScore = (evaluation) => {
+  if (!evaluation) return null;
+
+  const finalScore = evaluation.scores?.finalScore;
+  if (typeof finalScore === 'number') return finalScore;
+
+  // Evaluations completed before server-side scoring only carry overallRating
+  return evaluation.managerReview?.overallRating || null;
+};
+
+/**
+ * Gap between the manager's score and the employee's self score
+ * @param {Object} evaluation - Evaluation document
+ * @returns {number|null} Positive when the manager rated higher than the employee
+ */
+export const getScoreGap = (evaluation) => {
+  const gap = evaluation?.scores?.gap;
+  return typeof gap === 'number' ? gap : null;
+};
+
+/**
+ * Top of the rating scale used by an evaluation
+ * @param {Object} evaluation - Evaluation document
+ * @returns {number} Maximum achievable score
+ */
+export const getEvaluationMaxScore = (evaluation) => {
+  if (evaluation?.scores?.maxScore) return evaluation.scores.maxScore;
+  return resolveRatingScale(evaluation).max;
+};
+
+/**
+ * Score of record on 0-100, for comparing evaluations that use different rating scales
+ * @param {Object} evaluation - Evaluation document
+ * @returns {number|null} Normalized final score, or null if not scored yet
+ */
+export const getNormalizedScore = (evaluation) => {
+  const normalized = evaluation?.scores?.normalizedScore;
+  if (typeof normalized === 'number') return normalized;
+
+  return normalizeScore(getEvaluationScore(evaluation), resolveRatingScale(evaluation));
+};
+
+/**
+ * Live preview of the weighted score while a review is still being filled in.
+ * Mirrors computeEvaluationScores() in functions/src/scoring.ts; the stored value
+ * written by the server is authoritative.
+ * @param {Array} categories - Template categories with weights and questions
+ * @param {Object} categoryResponses - { [categoryId]: { [questionId]: response } }
+ * @param {string} role - 'self' or 'manager'
+ * @param {Object} scale - Rating scale of the evaluation
+ * @returns {number|null} Weighted score rounded to two decimals
+ */
+export const previewWeightedScore = (categories = [], categoryResponses = {}, role = 'manager', scale = DEFAULT_RATING_SCALE) => {
+  const positive = (value, fallback) => {
+    const parsed = Number(value);
+    return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+  };
+
+  let weightedSum = 0;
+  let totalWeight = 0;
+
+  categories.forEach(category => {
+    if (!category?.id) return;
+
+    let questionSum = 0;
+    let questionWeight = 0;
+
+    (category.questions || []).forEach(question => {
+      const response = categoryResponses[category.id]?.[question.id];
+      let score = null;
+
+      if (isRatedQuestion(question)) {
+        const rating = response?.[RATING_FIELDS[role]];
+        if (isRatingOnScale(rating, scale)) score = Number(rating);
+      } else {
+        score = answerScore(question, response?.[ANSWER_FIELDS[role]], scale);
+      }
+      if (score === null) return;
+
+      const weight = positive(question.weight, 1);
+      questionSum += score * weight;
+      questionWeight += weight;
+    });
+
+    if (questionWeight === 0) return;
+
+    const categoryWeight = positive(category.weight, 1);
+    weightedSum += (questionSum / questionWeight) * categoryWeight;
+    totalWeight += categoryWeight;
+  });
+
+  return totalWeight > 0 ? Math.round((weightedSum / totalWeight) * 100) / 100 : null;
+};
@@ -0,0 +1,64 @@
+import {
+  getEvaluationMaxScore,
+  getEvaluationScore,
+  getNormalizedScore,
+  getScoreGap,
+  previewWeightedScore
+} from './scoreUtils';
+import { RATING_SCALE_PRESETS } from './ratingScales';
+
+describe('stored scores', () => {
+  it('reads the score of record from the server-side scores', () => {
+    const evaluation = { scores: { finalScore: 3.67, gap: -0.33, maxScore: 5, normalizedScore: 66.75 } };
+
+    expect(getEvaluationScore(evaluation)).toBe(3.67);
+    expect(getScoreGap(evaluation)).toBe(-0.33);
+    expect(getEvaluationMaxScore(evaluation)).toBe(5);
+    expect(getNormalizedScore(evaluation)).toBe(66.75);
+  });
+
+  it('falls back to overallRating for evaluations scored before server-side scoring', () => {
+    const evaluation = { scoringSystem: '1-10', managerReview: { overallRating: 8.5 } };
+
+    expect(getEvaluationScore(evaluation)).toBe(8.5);
+    expect(getScoreGap(evaluation)).toBeNull();
+    expect(getEvaluationMaxScore(evaluation)).toBe(10);
+    expect(getNormalizedScore(evaluation)).toBe(83.33);
+  });
+
+  it('has no score for unscored evaluations', () => {
+    expect(getEvaluationScore(null)).toBeNull();
+    expect(getEvaluationScore({ managerReview: {} })).toBeNull();
+    expect(getNormalizedScore({})).toBeNull();
+  });
+});
+
+describe('previewWeightedScore', () => {
+  const categories = [
+    { id: 'delivery', weight: 2, questions: [{ id: 'q1', weight: 3 }, { id: 'q2', weight: 1 }] },
+    { id: 'teamwork', weight: 1, questions: [{ id: 'q3' }] }
+  ];
+
+  it('matches the server-side weighting', () => {
+    const responses = {
+      delivery: { q1: { managerRating: 5 }, q2: { managerRating: 1 } },
+      teamwork: { q3: { managerRating: 3 } }
+    };
+
+    expect(previewWeightedScore(categories, responses, 'manager')).toBe(3.67);
+  });
+
+  it('reads the self ratings for the self role', () => {
+    const responses = { delivery: { q1: { selfRating: 4, managerRating: 1 }, q2: { selfRating: 2 } } };
+
+    expect(previewWeightedScore(categories, responses, 'self')).toBe(3.5);
+  });
+
+  it('skips unanswered categories and ratings off the scale', () => {
+    const responses = { delivery: { q1: { managerRating: 4 }, q2: { managerRating: 7 } } };
+
+    expect(previewWeightedScore(categories, responses, 'manager')).toBe(4);
+    expect(previewWeightedScore(categories, responses, 'manager', RATING_SCALE_PRESETS['1-10'])).toBe(4.75);
+    expect(previewWeightedScore(categories, {}, 'manager')).toBeNull();
+  });
+});
@@ -0,0 +1,137 @@
+/**
+ * Utility functions for reading and writing spreadsheet files in the browser
+ *
+ * CSV is handled here; XLSX goes through exceljs, which is loaded only when an
+ * XLSX file is actually opened. Both readers return { headers, rows } where each
+ * row is an array of trimmed strings in header order.
+ */
+
+/**
+ * RFC 4180 CSV parser: quoted fields, escaped quotes ("") and newlines inside quotes.
+ * Files whose header uses semicolons (Excel in many European locales) are split on those.
+ */
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  // Strip a UTF-8 byte order mark left by Excel
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+  const firstLine = input.split(/\r?\n/, 1)[0];
+  const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.map(cells => cells.map(cell => cell.trim()));
+};
+
+const cellToString = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString().split('T')[0];
+  if (typeof value === 'object') {
+    // exceljs wraps hyperlinks, formulas and rich text in objects
+    if (value.text !== undefined) return String(value.text);
+    if (value.result !== undefined) return cellToString(value.result);
+    if (Array.isArray(value.richText)) return value.richText.map(part => part.text).join('');
+  }
+  return String(value).trim();
+};
+
+const readXlsx = async (file) => {
+  const { default: ExcelJS } = await import('exceljs');
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(await file.arrayBuffer());
+
+  const sheet = workbook.worksheets[0];
+  if (!sheet) return [];
+
+  const rows = [];
+  sheet.eachRow({ includeEmpty: false }, (sheetRow) => {
+    // sheetRow.values is 1-based, so drop the empty first slot
+    const values = Array.isArray(sheetRow.values) ? sheetRow.values.slice(1) : [];
+    rows.push(Array.from(values, cellToString));
+  });
+  return rows;
+};
+
+/**
+ * Reads the first sheet of a CSV or XLSX file. The first non-empty row is the header.
+ */
+export const readSpreadsheet = async (file) => {
+  const name = file.name.toLowerCase();
+  let rows;
+
+  if (name.endsWith('.xlsx')) {
+    rows = await readXlsx(file);
+  } else if (name.endsWith('.csv')) {
+    rows = parseCsv(await file.text());
+  } else {
+    throw new Error('Only .csv and .xlsx files are supported');
+  }
+
+  const nonEmpty = rows.filter(row => row.some(cell => cell !== ''));
+  if (nonEmpty.length === 0) {
+    throw new Error('The file is empty');
+  }
+
+  const [headers, ...dataRows] = nonEmpty;
+  return {
+    headers: headers.map((header, index) => header || `Column ${index + 1}`),
+    rows: dataRows.map(row => headers.map((_, index) => row[index] || ''))
+  };
+};
+
+const escapeCsvCell = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCsv = (headers, rows) => {
+  return [headers, ...rows].map(row => row.map(escapeCsvCell).join(',')).join('\r\n');
+};
+
+/**
+ * Saves text as a file through a temporary link
+ */
+export const downloadFile = (content, filename, type = 'text/csv;charset=utf-8') => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
@@ -0,0 +1,147 @@
+/**
+ * Template version diff
+ *
+ * Lists what changed between two versions of an evaluation template (or a version and
+ * the current draft). Categories and questions are matched by id; open-ended questions
+ * by their text, because their ids are regenerated every time the template is saved.
+ */
+
+import { resolveRatingScale } from './ratingScales';
+import { getQuestionTypeLabel } from './questionTypes';
+
+// Question settings other than text and type
+const QUESTION_SETTINGS = ['options', 'scoreOrder', 'kpi', 'levels', 'weight', 'required', 'displayRules'];
+
+// JSON with sorted keys; Firestore does not keep map keys in order
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+};
+
+const isSame = (a, b) => stableStringify(a) === stableStringify(b);
+
+const quote = (text) => `"${text || ''}"`;
+
+const diffQuestions = (beforeQuestions = [], afterQuestions = []) => {
+  const details = [];
+  const beforeById = new Map(beforeQuestions.map(question => [question.id, question]));
+  const afterIds = new Set(afterQuestions.map(question => question.id));
+
+  afterQuestions.forEach(question => {
+    const previous = beforeById.get(question.id);
+    if (!previous) {
+      details.push(`Added question ${quote(question.text)}`);
+      return;
+    }
+
+    if (previous.text !== question.text) {
+      details.push(`Question reworded: ${quote(previous.text)} → ${quote(question.text)}`);
+    }
+    if ((previous.type || 'rating') !== (question.type || 'rating')) {
+      details.push(`${quote(question.text)}: type ${getQuestionTypeLabel(previous.type || 'rating')} → ${getQuestionTypeLabel(question.type || 'rating')}`);
+    }
+    const changedSettings = QUESTION_SETTINGS.filter(field => !isSame(previous[field], question[field]));
+    if (changedSettings.length > 0) {
+      details.push(`${quote(question.text)}: ${changedSettings.join(', ')} changed`);
+    }
+  });
+
+  beforeQuestions
+    .filter(question => !afterIds.has(question.id))
+    .forEach(question => details.push(`Removed question ${quote(question.text)}`));
+
+  return details;
+};
+
+/**
+ * Changes from one template version to another
+ * @param {Object} before - Older version
+ * @param {Object} after - Newer version or draft
+ * @returns {Array<{kind: 'added'|'removed'|'changed', label: string, details: string[]}>}
+ */
+export const diffTemplates = (before = {}, after = {}) => {
+  const changes = [];
+
+  [['name', 'Name'], ['description', 'Description'], ['instructions', 'Instructions']].forEach(([field, label]) => {
+    if ((before[field] || '') !== (after[field] || '')) {
+      changes.push({
+        kind: 'changed',
+        label,
+        details: [`${quote(before[field])} → ${quote(after[field])}`]
+      });
+    }
+  });
+
+  const beforeScale = resolveRatingScale(before);
+  const afterScale = resolveRatingScale(after);
+  if (!isSame(beforeScale, afterScale)) {
+    changes.push({
+      kind: 'changed',
+      label: 'Rating scale',
+      details: [beforeScale.name === afterScale.name
+        ? `${afterScale.name}: range or labels changed`
+        : `${beforeScale.name} → ${afterScale.name}`]
+    });
+  }
+
+  const beforeCategories = before.categories || [];
+  const afterCategories = after.categories || [];
+  const beforeById = new Map(beforeCategories.map(category => [category.id, category]));
+  const afterIds = new Set(afterCategories.map(category => category.id));
+
+  afterCategories.forEach(category => {
+    const previous = beforeById.get(category.id);
+    if (!previous) {
+      changes.push({
+        kind: 'added',
+        label: `Category ${quote(category.name)}`,
+        details: [
+          `Weight ${category.weight ?? 0}%`,
+          ...(category.questions || []).map(question => `Question ${quote(question.text)}`)
+        ]
+      });
+      return;
+    }
+
+    const details = [];
+    if (previous.name !== category.name) {
+      details.push(`Renamed from ${quote(previous.name)}`);
+    }
+    if (Number(previous.weight) !== Number(category.weight)) {
+      details.push(`Weight ${previous.weight ?? 0}% → ${category.weight ?? 0}%`);
+    }
+    if (!isSame(previous.displayRules, category.displayRules)) {
+      details.push('Display rules changed');
+    }
+    details.push(...diffQuestions(previous.questions, category.questions));
+
+    if (details.length > 0) {
+      changes.push({ kind: 'changed', label: `Category ${quote(category.name)}`, details });
+    }
+  });
+
+  beforeCategories
+    .filter(category => !afterIds.has(category.id))
+    .forEach(category => changes.push({
+      kind: 'removed',
+      label: `Category ${quote(category.name)}`,
+      details: (category.questions || []).map(question => `Question ${quote(question.text)}`)
+    }));
+
+  const beforeFreeText = (before.freeTextQuestions || []).map(question => question.text || question);
+  const afterFreeText = (after.freeTextQuestions || []).map(question => question.text || question);
+  const freeTextDetails = [
+    ...afterFreeText.filter(text => !beforeFreeText.includes(text)).map(text => `Added ${quote(text)}`),
+    ...beforeFreeText.filter(text => !afterFreeText.includes(text)).map(text => `Removed ${quote(text)}`)
+  ];
+  if (freeTextDetails.length > 0) {
+    changes.push({ kind: 'changed', label: 'Open-ended questions', details: freeTextDetails });
+  }
+
+  return changes;
+};
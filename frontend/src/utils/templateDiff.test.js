@@ -0,0 +1,97 @@
+import { diffTemplates } from './templateDiff';
+
+const version1 = {
+  name: 'Annual review',
+  scoringSystem: '1-5',
+  categories: [
+    {
+      id: 'c1',
+      name: 'Delivery',
+      weight: 60,
+      questions: [
+        { id: 'q1', text: 'Ships on time', type: 'rating' },
+        { id: 'q2', text: 'Plans ahead', type: 'rating' }
+      ]
+    },
+    { id: 'c2', name: 'Teamwork', weight: 40, questions: [{ id: 'q3', text: 'Helps others' }] }
+  ],
+  freeTextQuestions: [{ id: 'f1', text: 'What went well?' }]
+};
+
+describe('diffTemplates', () => {
+  it('finds nothing between a version and an identical copy', () => {
+    expect(diffTemplates(version1, JSON.parse(JSON.stringify(version1)))).toEqual([]);
+  });
+
+  it('ignores key order and regenerated open-ended question ids', () => {
+    const reordered = {
+      ...version1,
+      categories: [
+        { ...version1.categories[0], questions: [{ type: 'rating', text: 'Ships on time', id: 'q1' }, version1.categories[0].questions[1]] },
+        version1.categories[1]
+      ],
+      freeTextQuestions: [{ id: 'f9', text: 'What went well?' }]
+    };
+
+    expect(diffTemplates(version1, reordered)).toEqual([]);
+  });
+
+  it('lists added, removed and changed categories and questions', () => {
+    const version2 = {
+      ...version1,
+      name: 'Annual review 2025',
+      categories: [
+        {
+          id: 'c1',
+          name: 'Delivery',
+          weight: 50,
+          questions: [
+            { id: 'q1', text: 'Ships on time, every time', type: 'yesNo' },
+            { id: 'q4', text: 'Estimates well', type: 'rating', required: true }
+          ]
+        },
+        { id: 'c3', name: 'Growth', weight: 50, questions: [{ id: 'q5', text: 'Learns new skills' }] }
+      ],
+      freeTextQuestions: [{ text: 'What should change?' }]
+    };
+
+    expect(diffTemplates(version1, version2)).toEqual([
+      { kind: 'changed', label: 'Name', details: ['"Annual review" → "Annual review 2025"'] },
+      {
+        kind: 'changed',
+        label: 'Category "Delivery"',
+        details: [
+          'Weight 60% → 50%',
+          'Question reworded: "Ships on time" → "Ships on time, every time"',
+          '"Ships on time, every time": type Single Rating → Yes/No',
+          'Added question "Estimates well"',
+          'Removed question "Plans ahead"'
+        ]
+      },
+      { kind: 'added', label: 'Category "Growth"', details: ['Weight 50%', 'Question "Learns new skills"'] },
+      { kind: 'removed', label: 'Category "Teamwork"', details: ['Question "Helps others"'] },
+      { kind: 'changed', label: 'Open-ended questions', details: ['Added "What should change?"', 'Removed "What went well?"'] }
+    ]);
+  });
+
+  it('reports question settings and rating scale changes', () => {
+    const version2 = {
+      ...version1,
+      scoringSystem: '1-10',
+      categories: [
+        { ...version1.categories[0], displayRules: [{ field: 'role', operator: 'equals', value: 'manager' }] },
+        { ...version1.categories[1], questions: [{ id: 'q3', text: 'Helps others', weight: 2 }] }
+      ]
+    };
+
+    expect(diffTemplates(version1, version2)).toEqual([
+      { kind: 'changed', label: 'Rating scale', details: ['1-5 scale → 1-10 scale'] },
+      { kind: 'changed', label: 'Category "Delivery"', details: ['Display rules changed'] },
+      { kind: 'changed', label: 'Category "Teamwork"', details: ['"Helps others": weight changed'] }
+    ]);
+  });
+
+  it('treats a missing earlier version as empty', () => {
+    expect(diffTemplates(undefined, version1).map(change => change.kind)).toEqual(['changed', 'added', 'added', 'changed']);
+  });
+});
@@ -0,0 +1,234 @@
+/**
+ * Starter templates
+ *
+ * Bundled template files that any business can clone from the templates page. They use
+ * the export file format, so cloning goes through the same validation as an import.
+ */
+
+import { TEMPLATE_FILE_FORMAT, TEMPLATE_FILE_VERSION } from './templateTransfer';
+import { RATING_SCALE_PRESETS } from './ratingScales';
+
+const starter = (template) => ({
+  format: TEMPLATE_FILE_FORMAT,
+  formatVersion: TEMPLATE_FILE_VERSION,
+  template,
+  departments: []
+});
+
+const question = (id, text, type = 'dualRating', settings = {}) => ({
+  id,
+  text,
+  type,
+  required: true,
+  weight: 1,
+  ...settings
+});
+
+export const STARTER_TEMPLATES = [
+  {
+    key: 'annual-review',
+    summary: 'Yearly review of results, core competencies and development for every employee.',
+    file: starter({
+      name: 'Annual Review',
+      description: 'Yearly performance review covering results, competencies and growth.',
+      instructions: 'Rate each statement for the past twelve months and add examples in the comments.',
+      ratingScale: RATING_SCALE_PRESETS['1-5'],
+      categories: [
+        {
+          id: 'results',
+          name: 'Results',
+          description: 'Delivery against goals and the quality of the work.',
+          weight: 40,
+          questions: [
+            question('results_q1', 'Achieves the goals agreed for the year'),
+            question('results_q2', 'Delivers work of consistently high quality'),
+            question('results_q3', 'Meets deadlines and manages priorities well')
+          ]
+        },
+        {
+          id: 'competencies',
+          name: 'Core Competencies',
+          description: 'How the work gets done.',
+          weight: 35,
+          questions: [
+            question('competencies_q1', 'Communication', 'competency', {
+              levels: [
+                'Shares information only when asked',
+                'Communicates clearly within the team',
+                'Adapts the message to the audience and listens actively',
+                'Sets the standard for open communication across teams'
+              ]
+            }),
+            question('competencies_q2', 'Collaboration', 'competency', {
+              levels: [
+                'Works mostly alone',
+                'Helps teammates when asked',
+                'Seeks out others and shares credit',
+                'Builds effective partnerships across the organization'
+              ]
+            }),
+            question('competencies_q3', 'Takes ownership of problems and follows through')
+          ]
+        },
+        {
+          id: 'development',
+          name: 'Growth & Development',
+          description: 'Learning over the year and readiness for more.',
+          weight: 25,
+          questions: [
+            question('development_q1', 'Actively develops new skills'),
+            question('development_q2', 'Acts on feedback'),
+            question('development_q3', 'Ready for more responsibility in the coming year', 'yesNo')
+          ]
+        }
+      ],
+      freeTextQuestions: [
+        { text: 'What were the biggest achievements this year?' },
+        { text: 'What should the focus be for the year ahead?' }
+      ]
+    })
+  },
+  {
+    key: 'probation-review',
+    summary: 'End-of-probation check for new hires, with a confirmation recommendation.',
+    file: starter({
+      name: 'Probation Review',
+      description: 'Review at the end of the probation period.',
+      instructions: 'Assess how the new hire has settled in and whether their employment should be confirmed.',
+      ratingScale: RATING_SCALE_PRESETS['below-meets-exceeds'],
+      categories: [
+        {
+          id: 'onboarding',
+          name: 'Settling In',
+          description: 'Understanding of the role, the team and the way of working.',
+          weight: 30,
+          questions: [
+            question('onboarding_q1', 'Understands the responsibilities of the role'),
+            question('onboarding_q2', 'Has built working relationships with the team'),
+            question('onboarding_q3', 'Follows company policies and processes')
+          ]
+        },
+        {
+          id: 'performance',
+          name: 'Early Performance',
+          description: 'Quality and pace of the work so far.',
+          weight: 50,
+          questions: [
+            question('performance_q1', 'Produces work of the expected quality'),
+            question('performance_q2', 'Learns new tasks at the expected pace'),
+            question('performance_q3', 'Asks for help when needed')
+          ]
+        },
+        {
+          id: 'outcome',
+          name: 'Outcome',
+          description: 'Recommendation for the end of probation.',
+          weight: 20,
+          questions: [
+            question('outcome_q1', 'Recommendation', 'multipleChoice', {
+              options: ['Confirm employment', 'Extend probation', 'Do not confirm']
+            })
+          ]
+        }
+      ],
+      freeTextQuestions: [
+        { text: 'What support would help in the next three months?' }
+      ]
+    })
+  },
+  {
+    key: 'manager-upward-feedback',
+    summary: 'Team members rate their manager on leadership, support and communication.',
+    file: starter({
+      name: 'Manager Upward Feedback',
+      description: 'Feedback from team members about their manager.',
+      instructions: 'Think about the past six months. Your honest answers help your manager improve.',
+      ratingScale: RATING_SCALE_PRESETS['1-5'],
+      categories: [
+        {
+          id: 'leadership',
+          name: 'Leadership',
+          description: 'Direction and decision making.',
+          weight: 35,
+          questions: [
+            question('leadership_q1', 'Sets clear goals and expectations for the team', 'rating'),
+            question('leadership_q2', 'Makes decisions in a timely and transparent way', 'rating'),
+            question('leadership_q3', 'Explains how our work connects to company goals', 'rating')
+          ]
+        },
+        {
+          id: 'support',
+          name: 'Support & Development',
+          description: 'Coaching, feedback and career support.',
+          weight: 35,
+          questions: [
+            question('support_q1', 'Gives regular, useful feedback', 'rating'),
+            question('support_q2', 'Supports my professional development', 'rating'),
+            question('support_q3', 'I have had a career conversation with my manager this year', 'yesNo')
+          ]
+        },
+        {
+          id: 'communication',
+          name: 'Communication',
+          description: 'Openness and availability.',
+          weight: 30,
+          questions: [
+            question('communication_q1', 'Is available when I need help', 'rating'),
+            question('communication_q2', 'Listens to and acts on the team\'s ideas', 'rating'),
+            question('communication_q3', 'Keeps the team informed about changes', 'rating')
+          ]
+        }
+      ],
+      freeTextQuestions: [
+        { text: 'What should your manager keep doing?' },
+        { text: 'What should your manager do differently?' }
+      ]
+    })
+  },
+  {
+    key: 'sales-kpi-review',
+    summary: 'Quarterly sales review on revenue, pipeline and customer KPIs.',
+    file: starter({
+      name: 'Sales KPI Review',
+      description: 'Quarterly review of sales results against targets.',
+      instructions: 'Enter the actual figures for the quarter; the targets below are examples and should be adjusted.',
+      ratingScale: RATING_SCALE_PRESETS['1-5'],
+      categories: [
+        {
+          id: 'revenue',
+          name: 'Revenue',
+          description: 'Bookings against quota.',
+          weight: 45,
+          questions: [
+            question('revenue_q1', 'Quota attainment', 'kpi', { kpi: { target: 100, unit: '%', higherIsBetter: true } }),
+            question('revenue_q2', 'New customers signed', 'kpi', { kpi: { target: 10, unit: 'customers', higherIsBetter: true } })
+          ]
+        },
+        {
+          id: 'pipeline',
+          name: 'Pipeline',
+          description: 'Health of the opportunity pipeline.',
+          weight: 30,
+          questions: [
+            question('pipeline_q1', 'Pipeline coverage', 'kpi', { kpi: { target: 3, unit: 'x quota', higherIsBetter: true } }),
+            question('pipeline_q2', 'Average sales cycle', 'kpi', { kpi: { target: 45, unit: 'days', higherIsBetter: false } }),
+            question('pipeline_q3', 'Keeps the CRM accurate and up to date')
+          ]
+        },
+        {
+          id: 'customers',
+          name: 'Customer Relationships',
+          description: 'Retention and customer satisfaction.',
+          weight: 25,
+          questions: [
+            question('customers_q1', 'Customer retention', 'kpi', { kpi: { target: 90, unit: '%', higherIsBetter: true } }),
+            question('customers_q2', 'Builds trusted relationships with key accounts')
+          ]
+        }
+      ],
+      freeTextQuestions: [
+        { text: 'Which deals or accounts stood out this quarter, and why?' }
+      ]
+    })
+  }
+];
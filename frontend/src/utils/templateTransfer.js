@@ -0,0 +1,281 @@
+/**
+ * Template import and export
+ *
+ * Templates travel between businesses as JSON files:
+ *   { format: 'evaluation-template', formatVersion, exportedAt, template, departments }
+ * Only template content is exported; ids, version numbers and audit fields stay behind.
+ * Department display rules refer to department ids, so the file carries the names of the
+ * departments it mentions and the importer maps them onto its own departments by name.
+ */
+
+import { DEFAULT_RATING_SCALE, validateRatingScale } from './ratingScales';
+import { isKnownQuestionType, cleanQuestionConfig, validateQuestionConfig } from './questionTypes';
+import { getPrecedingQuestions, hasDisplayRules, validateDisplayRules } from './displayRules';
+
+export const TEMPLATE_FILE_FORMAT = 'evaluation-template';
+export const TEMPLATE_FILE_VERSION = 1;
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const text = (value) => (typeof value === 'string' ? value.trim() : '');
+
+const departmentIdsInRules = (rules) => (rules?.conditions || [])
+  .filter(condition => condition.field === 'department')
+  .flatMap(condition => condition.values || []);
+
+/**
+ * Builds the export file for a template
+ * @param {Object} template - Template draft or published version
+ * @param {Array} departments - Business departments, to name the ones display rules use
+ * @returns {Object} File content, ready for JSON.stringify
+ */
+export const exportTemplateFile = (template, departments = []) => {
+  const categories = template.categories || [];
+  const referenced = new Set(categories.flatMap(category => [
+    ...departmentIdsInRules(category.displayRules),
+    ...(category.questions || []).flatMap(question => departmentIdsInRules(question.displayRules))
+  ]));
+
+  return {
+    format: TEMPLATE_FILE_FORMAT,
+    formatVersion: TEMPLATE_FILE_VERSION,
+    exportedAt: new Date().toISOString(),
+    template: {
+      name: template.name || '',
+      description: template.description || '',
+      instructions: template.instructions || '',
+      ratingScale: template.ratingScale || template.scoringSystem || DEFAULT_RATING_SCALE,
+      categories,
+      freeTextQuestions: (template.freeTextQuestions || []).map(question => ({
+        text: question.text || question,
+        placeholder: question.placeholder || '',
+        required: question.required !== false
+      }))
+    },
+    departments: departments
+      .filter(department => referenced.has(department.id))
+      .map(department => ({ id: department.id, name: department.name }))
+  };
+};
+
+/**
+ * File name for an exported template, e.g. "annual-review.template.json"
+ */
+export const getTemplateFileName = (template) => {
+  const slug = (template.name || 'template').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  return `${slug || 'template'}.template.json`;
+};
+
+// Points department conditions at the importing business's departments, matched by name
+const mapDepartmentRules = (rules, departmentMap, label, warnings) => {
+  if (!hasDisplayRules(rules)) return null;
+
+  const conditions = rules.conditions.flatMap(condition => {
+    if (condition?.field !== 'department') return [condition];
+
+    const given = Array.isArray(condition.values) ? condition.values : [];
+    const values = given.map(value => departmentMap.get(value)).filter(Boolean);
+    if (values.length < given.length) {
+      warnings.push(`${label}: departments that do not exist here were removed from a display rule`);
+    }
+    if (values.length === 0) {
+      warnings.push(`${label}: a department display rule was dropped because none of its departments exist here`);
+      return [];
+    }
+    return [{ ...condition, values }];
+  });
+
+  return conditions.length > 0 ? { match: rules.match === 'any' ? 'any' : 'all', conditions } : null;
+};
+
+/**
+ * Reads and validates a template file
+ * @param {string|Object} input - File text or parsed content
+ * @param {Object} [options] - { departments } of the importing business
+ * @returns {{ template: Object|null, errors: string[], warnings: string[] }}
+ */
+export const parseTemplateFile = (input, { departments = [] } = {}) => {
+  const errors = [];
+  const warnings = [];
+
+  let file = input;
+  if (typeof input === 'string') {
+    try {
+      file = JSON.parse(input);
+    } catch (error) {
+      return { template: null, errors: ['The file is not valid JSON'], warnings };
+    }
+  }
+
+  if (!isObject(file) || file.format !== TEMPLATE_FILE_FORMAT || !isObject(file.template)) {
+    return { template: null, errors: ['This is not an evaluation template file'], warnings };
+  }
+  if (!Number.isInteger(file.formatVersion) || file.formatVersion < 1) {
+    return { template: null, errors: ['The file has no valid format version'], warnings };
+  }
+  if (file.formatVersion > TEMPLATE_FILE_VERSION) {
+    return {
+      template: null,
+      errors: [`The file uses format version ${file.formatVersion}; this app reads up to version ${TEMPLATE_FILE_VERSION}`],
+      warnings
+    };
+  }
+
+  const source = file.template;
+  const name = text(source.name);
+  if (!name) errors.push('The template has no name');
+
+  let ratingScale = DEFAULT_RATING_SCALE;
+  if (source.ratingScale) {
+    const { scale, errors: scaleErrors } = validateRatingScale(source.ratingScale);
+    if (scale) {
+      ratingScale = scale;
+    } else {
+      errors.push(...scaleErrors.map(error => `Rating scale: ${error}`));
+    }
+  } else {
+    warnings.push(`No rating scale in the file; using ${DEFAULT_RATING_SCALE.name}`);
+  }
+
+  // Source department id -> local department id
+  const localByName = new Map(departments.map(department => [text(department.name).toLowerCase(), department.id]));
+  const departmentMap = new Map((Array.isArray(file.departments) ? file.departments : [])
+    .filter(department => localByName.has(text(department?.name).toLowerCase()))
+    .map(department => [department.id, localByName.get(text(department.name).toLowerCase())]));
+
+  const rawCategories = Array.isArray(source.categories) ? source.categories : [];
+  const categoryIds = new Set();
+  const categories = [];
+
+  rawCategories.forEach((rawCategory, categoryIndex) => {
+    if (!isObject(rawCategory)) {
+      errors.push(`Category ${categoryIndex + 1} is not valid`);
+      return;
+    }
+
+    const categoryLabel = `Category "${text(rawCategory.name) || categoryIndex + 1}"`;
+    const id = text(String(rawCategory.id ?? ''));
+    if (!id || categoryIds.has(id)) {
+      errors.push(`${categoryLabel} needs a unique id`);
+    }
+    categoryIds.add(id);
+
+    if (!text(rawCategory.name)) errors.push(`Category ${categoryIndex + 1} has no name`);
+
+    const weight = Number(rawCategory.weight);
+    if (!Number.isFinite(weight) || weight < 0 || weight > 100) {
+      errors.push(`${categoryLabel}: weight must be between 0 and 100`);
+    }
+
+    const questionIds = new Set();
+    const questions = (Array.isArray(rawCategory.questions) ? rawCategory.questions : []).flatMap((rawQuestion, questionIndex) => {
+      const questionLabel = `${categoryLabel}, question ${questionIndex + 1}`;
+      if (!isObject(rawQuestion) || !text(rawQuestion.text)) {
+        errors.push(`${questionLabel} has no text`);
+        return [];
+      }
+
+      const questionId = text(String(rawQuestion.id ?? ''));
+      if (!questionId || questionIds.has(questionId)) {
+        errors.push(`${questionLabel} needs an id that is unique within its category`);
+      }
+      questionIds.add(questionId);
+
+      const type = rawQuestion.type || 'rating';
+      if (!isKnownQuestionType(type)) {
+        errors.push(`${questionLabel}: unknown question type "${type}"`);
+        return [];
+      }
+
+      // Only known settings are copied; anything else in the file is ignored
+      const question = {
+        ...(Array.isArray(rawQuestion.options) ? { options: rawQuestion.options.filter(option => typeof option === 'string') } : {}),
+        ...(rawQuestion.scoreOrder === false ? { scoreOrder: false } : {}),
+        ...(isObject(rawQuestion.kpi) ? { kpi: rawQuestion.kpi } : {}),
+        ...(Array.isArray(rawQuestion.levels) ? { levels: rawQuestion.levels.map(level => text(level)) } : {}),
+        id: questionId,
+        text: text(rawQuestion.text),
+        type,
+        required: rawQuestion.required !== false,
+        weight: Number(rawQuestion.weight) || 1,
+        displayRules: mapDepartmentRules(rawQuestion.displayRules, departmentMap, `"${text(rawQuestion.text)}"`, warnings)
+      };
+      errors.push(...validateQuestionConfig(question).map(error => `"${question.text}": ${error}`));
+      return [question];
+    });
+
+    if (questions.length === 0) {
+      errors.push(`${categoryLabel} has no questions`);
+    }
+
+    categories.push({
+      id,
+      name: text(rawCategory.name),
+      description: text(rawCategory.description),
+      weight,
+      ...(rawCategory.allowTargetSetting === false ? { allowTargetSetting: false } : {}),
+      displayRules: mapDepartmentRules(rawCategory.displayRules, departmentMap, categoryLabel, warnings),
+      questions
+    });
+  });
+
+  if (categories.length === 0) {
+    errors.push('The template has no categories');
+  }
+
+  // Display rules can only refer to questions that come earlier in this file
+  categories.forEach(category => {
+    validateDisplayRules(category.displayRules, getPrecedingQuestions(categories, category.id))
+      .forEach(error => errors.push(`Category "${category.name}" display rule: ${error}`));
+    category.questions.forEach(question => {
+      validateDisplayRules(question.displayRules, getPrecedingQuestions(categories, category.id, question.id))
+        .forEach(error => errors.push(`"${question.text}" display rule: ${error}`));
+    });
+  });
+
+  const freeTextQuestions = (Array.isArray(source.freeTextQuestions) ? source.freeTextQuestions : [])
+    .map(question => (typeof question === 'string' ? { text: question } : question))
+    .filter(question => isObject(question) && text(question.text))
+    .map((question, index) => ({
+      id: `freetext_${Date.now()}_${index}`,
+      text: text(question.text),
+      type: 'freeText',
+      required: question.required !== false,
+      placeholder: text(question.placeholder) || 'Please provide your response...'
+    }));
+
+  if (errors.length > 0) {
+    return { template: null, errors, warnings: [...new Set(warnings)] };
+  }
+
+  const withDisplayRules = ({ displayRules, ...item }) => (displayRules ? { ...item, displayRules } : item);
+
+  return {
+    template: {
+      name,
+      description: text(source.description),
+      instructions: text(source.instructions),
+      type: 'evaluation',
+      scoringSystem: ratingScale.id,
+      ratingScale,
+      categories: categories.map(category => withDisplayRules({
+        ...category,
+        questions: category.questions.map(question => cleanQuestionConfig(withDisplayRules(question)))
+      })),
+      freeTextQuestions
+    },
+    errors,
+    warnings: [...new Set(warnings)]
+  };
+};
+
+/**
+ * A name not yet used by another template, e.g. "Annual Review (2)"
+ */
+export const getAvailableTemplateName = (name, templates = []) => {
+  const taken = new Set(templates.map(template => (template.name || '').trim().toLowerCase()));
+  if (!taken.has(name.trim().toLowerCase())) return name;
+
+  let counter = 2;
+  while (taken.has(`${name} (${counter})`.toLowerCase())) counter++;
+  return `${name} (${counter})`;
+};
@@ -0,0 +1,147 @@
+import { exportTemplateFile, getAvailableTemplateName, parseTemplateFile, TEMPLATE_FILE_VERSION } from './templateTransfer';
+
+const template = {
+  name: 'Annual review',
+  description: 'Yearly',
+  scoringSystem: '1-5',
+  categories: [
+    {
+      id: 'c1',
+      name: 'Delivery',
+      weight: 100,
+      displayRules: { match: 'all', conditions: [{ field: 'department', operator: 'in', values: ['dep-sales', 'dep-legal'] }] },
+      questions: [
+        { id: 'q1', text: 'Ships on time', type: 'rating', required: true, weight: 1 },
+        { id: 'q2', text: 'Favourite tool', type: 'multipleChoice', options: ['Jira', 'Linear'], required: false, weight: 1 }
+      ]
+    }
+  ],
+  freeTextQuestions: [{ id: 'f1', text: 'What went well?', required: true }]
+};
+
+const exporterDepartments = [{ id: 'dep-sales', name: 'Sales' }, { id: 'dep-legal', name: 'Legal' }, { id: 'dep-hr', name: 'HR' }];
+const importerDepartments = [{ id: 'sales', name: ' sales ' }];
+
+const file = (overrides = {}) => ({ ...exportTemplateFile(template, exporterDepartments), ...overrides });
+const withTemplate = (overrides) => file({ template: { ...file().template, ...overrides } });
+const withCategory = (overrides) => withTemplate({ categories: [{ ...template.categories[0], ...overrides }] });
+
+describe('exportTemplateFile', () => {
+  it('names only the departments its display rules use', () => {
+    expect(file()).toMatchObject({
+      format: 'evaluation-template',
+      formatVersion: TEMPLATE_FILE_VERSION,
+      departments: [{ id: 'dep-sales', name: 'Sales' }, { id: 'dep-legal', name: 'Legal' }]
+    });
+    expect(file().template.freeTextQuestions).toEqual([{ text: 'What went well?', placeholder: '', required: true }]);
+  });
+});
+
+describe('parseTemplateFile', () => {
+  it('round-trips an exported template and maps departments by name', () => {
+    const { template: imported, errors, warnings } = parseTemplateFile(JSON.stringify(file()), { departments: importerDepartments });
+
+    expect(errors).toEqual([]);
+    expect(warnings).toEqual(['Category "Delivery": departments that do not exist here were removed from a display rule']);
+    expect(imported.name).toBe('Annual review');
+    expect(imported.ratingScale.id).toBe('1-5');
+    expect(imported.categories[0].displayRules).toEqual({
+      match: 'all',
+      conditions: [{ field: 'department', operator: 'in', values: ['sales'] }]
+    });
+    expect(imported.categories[0].questions.map(question => question.id)).toEqual(['q1', 'q2']);
+    expect(imported.freeTextQuestions[0]).toMatchObject({ text: 'What went well?', type: 'freeText', required: true });
+  });
+
+  it.each([
+    ['text that is not JSON', '{"format":', 'The file is not valid JSON'],
+    ['JSON null', 'null', 'This is not an evaluation template file'],
+    ['a JSON array', '[]', 'This is not an evaluation template file'],
+    ['another format', { format: 'spreadsheet', template: {} }, 'This is not an evaluation template file'],
+    ['a missing template', { format: 'evaluation-template', formatVersion: 1 }, 'This is not an evaluation template file'],
+    ['a template that is a list', { format: 'evaluation-template', formatVersion: 1, template: [] }, 'This is not an evaluation template file'],
+    ['a format version in a string', { format: 'evaluation-template', formatVersion: '1', template: {} }, 'The file has no valid format version'],
+    ['a newer format version', { format: 'evaluation-template', formatVersion: TEMPLATE_FILE_VERSION + 1, template: {} },
+      `The file uses format version ${TEMPLATE_FILE_VERSION + 1}; this app reads up to version ${TEMPLATE_FILE_VERSION}`]
+  ])('rejects %s', (_name, input, error) => {
+    expect(parseTemplateFile(input)).toEqual({ template: null, errors: [error], warnings: [] });
+  });
+
+  it('rejects templates without a name or categories', () => {
+    expect(parseTemplateFile(withTemplate({ name: '  ', categories: 'Delivery' })).errors)
+      .toEqual(['The template has no name', 'The template has no categories']);
+  });
+
+  it('reports malformed categories and questions instead of throwing', () => {
+    const { template: imported, errors } = parseTemplateFile(withTemplate({
+      categories: [
+        null,
+        { id: 'c1', name: '', weight: 'heavy', questions: [null, { id: 'q1', text: 'Known' }, { id: 'q1', text: 'Again' }] },
+        { id: 'c1', name: 'Copy', weight: 50, questions: [{ id: 'q9', text: 'Odd', type: { $gt: '' } }] }
+      ]
+    }));
+
+    expect(imported).toBeNull();
+    expect(errors).toEqual([
+      'Category 1 is not valid',
+      'Category 2 has no name',
+      'Category "2": weight must be between 0 and 100',
+      'Category "2", question 1 has no text',
+      'Category "2", question 3 needs an id that is unique within its category',
+      'Category "Copy" needs a unique id',
+      'Category "Copy", question 1: unknown question type "[object Object]"',
+      'Category "Copy" has no questions'
+    ]);
+  });
+
+  it('checks each question type\'s settings and copies only known ones', () => {
+    const { errors } = parseTemplateFile(withCategory({
+      questions: [
+        { id: 'q1', text: 'Pick one', type: 'multipleChoice', options: ['Only', 7, null] },
+        { id: 'q2', text: 'Revenue', type: 'kpi', kpi: 'lots' }
+      ]
+    }));
+    expect(errors).toEqual(['"Pick one": Add at least two options', '"Revenue": The KPI target must be a positive number']);
+
+    const { template: imported } = parseTemplateFile(withCategory({
+      questions: [{ id: 'q1', text: 'Fine', type: 'rating', onSubmit: 'alert(1)', __proto__: { admin: true } }]
+    }));
+    expect(Object.keys(imported.categories[0].questions[0]).sort()).toEqual(['id', 'required', 'text', 'type', 'weight']);
+  });
+
+  it('reports malformed display rules instead of throwing', () => {
+    const { template: imported, errors, warnings } = parseTemplateFile(withCategory({
+      displayRules: { match: 'all', conditions: [null, { field: 'department', values: 'dep-sales' }, { field: 'role', values: 'admin' }, { field: 'script' }] }
+    }), { departments: importerDepartments });
+
+    expect(imported).toBeNull();
+    expect(errors).toEqual([
+      'Category "Delivery" display rule: Condition 1: unknown condition',
+      'Category "Delivery" display rule: Condition 2: pick at least one value',
+      'Category "Delivery" display rule: Condition 3: unknown condition'
+    ]);
+    expect(warnings).toEqual(['Category "Delivery": a department display rule was dropped because none of its departments exist here']);
+  });
+
+  it('only lets display rules point at earlier questions', () => {
+    const { errors } = parseTemplateFile(withCategory({
+      displayRules: { match: 'all', conditions: [{ field: 'answer', operator: 'equals', questionRef: 'c1/q1', value: 5 }] }
+    }));
+
+    expect(errors).toEqual(['Category "Delivery" display rule: Condition 1: pick a question that comes earlier in the template']);
+  });
+
+  it('rejects a broken rating scale and falls back to the default when there is none', () => {
+    expect(parseTemplateFile(withTemplate({ ratingScale: { type: 'numeric', min: 5, max: 1 } })).errors[0]).toMatch(/^Rating scale: /);
+    expect(parseTemplateFile(withTemplate({ ratingScale: null })).warnings).toContain('No rating scale in the file; using 1-5 scale');
+  });
+});
+
+describe('getAvailableTemplateName', () => {
+  it('numbers names that are taken', () => {
+    const templates = [{ name: 'Annual review' }, { name: 'annual review (2)' }];
+
+    expect(getAvailableTemplateName('Annual review', templates)).toBe('Annual review (3)');
+    expect(getAvailableTemplateName('Quarterly', templates)).toBe('Quarterly');
+  });
+});
@@ -0,0 +1,31 @@
+import { collectViewableEmployeeIds } from './access';
+
+const users = new Map([
+  ['head', { employeeInfo: {} }],
+  ['manager', { employeeInfo: { manager: 'head' } }],
+  ['ana', { employeeInfo: { manager: 'manager' } }],
+  ['ben', { employeeInfo: { manager: 'ana' } }],
+  ['peer', { employeeInfo: { manager: 'head' } }],
+  ['outsider', { employeeInfo: {} }]
+]);
+
+describe('collectViewableEmployeeIds', () => {
+  it('covers the caller and everyone below them in the reporting line', () => {
+    expect([...collectViewableEmployeeIds('head', users, [])].sort()).toEqual(['ana', 'ben', 'head', 'manager', 'peer']);
+    expect([...collectViewableEmployeeIds('manager', users, [])].sort()).toEqual(['ana', 'ben', 'manager']);
+    expect([...collectViewableEmployeeIds('ben', users, [])]).toEqual(['ben']);
+  });
+
+  it('adds the employees the caller is assigned to evaluate', () => {
+    expect([...collectViewableEmployeeIds('peer', users, ['outsider'])].sort()).toEqual(['outsider', 'peer']);
+  });
+
+  it('stops at reporting cycles in bad data', () => {
+    const looped = new Map([
+      ['a', { employeeInfo: { manager: 'b' } }],
+      ['b', { employeeInfo: { manager: 'a' } }]
+    ]);
+
+    expect([...collectViewableEmployeeIds('a', looped, [])].sort()).toEqual(['a', 'b']);
+  });
+});
@@ -0,0 +1,117 @@
+/**
+ * Shared access checks for callable functions
+ */
+
+import { HttpsError } from 'firebase-functions/v2/https';
+import { db } from './config';
+
+export type UserPermission =
+  | 'canManageUsers'
+  | 'canManageDepartments'
+  | 'canManageEvaluations'
+  | 'canViewAnalytics'
+  | 'canManageSettings'
+  | 'canCalculateBonuses';
+
+export interface RequestingUser {
+  id: string;
+  businessId: string;
+  data: FirebaseFirestore.DocumentData;
+}
+
+/**
+ * Resolves the caller's business through userBusinessMap and loads their profile.
+ * The business always comes from the mapping, never from request data.
+ */
+export const getRequestingUser = async (uid: string): Promise<RequestingUser> => {
+  const mappingDoc = await db.collection('userBusinessMap').doc(uid).get();
+  if (!mappingDoc.exists) {
+    throw new HttpsError('permission-denied', 'User business mapping not found');
+  }
+  const businessId = mappingDoc.data()?.businessId;
+
+  const userDoc = await db.collection('businesses').doc(businessId).collection('users').doc(uid).get();
+  if (!userDoc.exists) {
+    throw new HttpsError('permission-denied', 'Requesting user not found');
+  }
+
+  return { id: uid, businessId, data: userDoc.data() || {} };
+};
+
+/**
+ * Admins always pass; everyone else needs the permission flag (same as firestore.rules can())
+ */
+export const hasPermission = (user: RequestingUser, permission: UserPermission): boolean => {
+  return user.data.role === 'admin' || user.data.permissions?.[permission] === true;
+};
+
+export const isAdminOrHr = (user: RequestingUser): boolean => {
+  return ['admin', 'hr'].includes(user.data.role);
+};
+
+export const businessRef = (businessId: string) => db.collection('businesses').doc(businessId);
+
+/**
+ * True when the caller may see an employee's individual performance and bonus data:
+ * the employee themselves, admin/HR, their assigned evaluator, or a manager above them
+ * in the employeeInfo.manager chain.
+ */
+export const canViewEmployee = async (user: RequestingUser, employeeId: string): Promise<boolean> => {
+  if (user.id === employeeId || isAdminOrHr(user)) {
+    return true;
+  }
+
+  const usersRef = businessRef(user.businessId).collection('users');
+
+  const assignment = await businessRef(user.businessId).collection('evaluationAssignments')
+    .where('evaluatorId', '==', user.id)
+    .where('evaluateeId', '==', employeeId)
+    .where('active', '==', true)
+    .limit(1)
+    .get();
+
+  if (!assignment.empty) {
+    return true;
+  }
+
+  // Walk up the reporting line; the depth limit guards against cycles in bad data
+  let currentId: string | null = employeeId;
+  for (let depth = 0; currentId && depth < 10; depth++) {
+    const employeeDoc: FirebaseFirestore.DocumentSnapshot = await usersRef.doc(currentId).get();
+    const managerId: string | null = employeeDoc.data()?.employeeInfo?.manager || null;
+    if (managerId === user.id) {
+      return true;
+    }
+    currentId = managerId;
+  }
+
+  return false;
+};
+
+/**
+ * Everyone canViewEmployee lets a non-HR caller see, for listings that cannot check
+ * employees one by one: the caller, the employees they are assigned to evaluate and
+ * everyone below them in the employeeInfo.manager chain (to the same depth).
+ */
+export const collectViewableEmployeeIds = (
+  userId: string,
+  users: Map<string, FirebaseFirestore.DocumentData>,
+  assignedEvaluateeIds: Iterable<string>
+): Set<string> => {
+  const viewable = new Set<string>([userId, ...assignedEvaluateeIds]);
+
+  let managers = new Set<string>([userId]);
+  for (let depth = 0; managers.size > 0 && depth < 10; depth++) {
+    const reports = new Set<string>();
+    users.forEach((employee, employeeId) => {
+      const managerId = employee.employeeInfo?.manager;
+      if (managerId && managers.has(managerId) && employeeId !== userId) {
+        reports.add(employeeId);
+        viewable.add(employeeId);
+      }
+    });
+    managers = reports;
+  }
+
+  return viewable;
+};
@@ -64,6 +64,7 @@ export const createBusinessAndAdmin = onCall(
         email: businessData.email,
         phone: businessData.phone || null,
         industry: businessData.industry,
+        ownerId: firebaseUser.uid,
         settings: {
           evaluationCycle: 'annual',
           bonusCalculation: 'performance-based',
@@ -92,7 +93,6 @@ export const createBusinessAndAdmin = onCall(
           department: null,
           position: 'Administrator',
           hireDate: FieldValue.serverTimestamp(),
-          salary: null,
           manager: null
         },
         permissions: {
@@ -0,0 +1,48 @@
+import { scenarioPeriodKey, scenarioToDraft } from './bonusScenarios';
+import { parseAllocations } from './bonusWorkflow';
+
+const scenario = {
+  name: '5% budget',
+  departmentId: 'sales',
+  periodKey: 'cycle-2024',
+  budget: 1200,
+  lines: [
+    { employeeId: 'ana', monthlySalary: 5400, localSalary: 5000, currency: 'EUR', bonusPercentage: 12.34 },
+    { employeeId: 'ben', monthlySalary: 4000, bonusPercentage: 8 },
+    { employeeId: 'cai', monthlySalary: null, localSalary: null, currency: 'USD', bonusPercentage: null, excludedReason: 'noSalary' }
+  ]
+};
+
+describe('scenarioPeriodKey', () => {
+  it('uses the cycle, or the year without one', () => {
+    expect(scenarioPeriodKey({ cycleId: 'cycle-2024', year: 2024 })).toBe('cycle-2024');
+    expect(scenarioPeriodKey({ year: 2024 })).toBe('2024');
+  });
+});
+
+describe('scenarioToDraft', () => {
+  it('turns the scenario into the draft\'s salaries, percentages and budget', () => {
+    const draft = scenarioToDraft(scenario, 'sales', { cycleId: 'cycle-2024' });
+
+    expect(draft.budget).toBe(1200);
+    expect(draft.comment).toBe('Promoted scenario "5% budget"');
+    expect(parseAllocations(draft.allocations, 'USD')).toEqual({
+      ana: { monthlySalary: 5000, currency: 'EUR', bonusPercentage: 12.3 },
+      ben: { monthlySalary: 4000, currency: 'USD', bonusPercentage: 8 }
+    });
+  });
+
+  it('only promotes into the scenario\'s own department and period', () => {
+    expect(() => scenarioToDraft(scenario, 'support', { cycleId: 'cycle-2024' }))
+      .toThrow('The scenario belongs to another department or period');
+    expect(() => scenarioToDraft(scenario, 'sales', { year: 2024 }))
+      .toThrow('The scenario belongs to another department or period');
+  });
+
+  it('leaves the scenario as it was', () => {
+    const before = JSON.stringify(scenario);
+    scenarioToDraft(scenario, 'sales', { cycleId: 'cycle-2024' });
+
+    expect(JSON.stringify(scenario)).toBe(before);
+  });
+});
@@ -0,0 +1,128 @@
+/**
+ * Cloud Functions for Bonus What-If Scenarios
+ *
+ * A scenario is a named, saved simulation for a department and review period, e.g.
+ * "5% budget" or "tiered". It is calculated with the same engine as calculateBonuses and
+ * stored in businesses/{b}/bonusScenarios with its inputs and per-employee result, so
+ * scenarios can be compared side by side later. Scenarios are never rewritten: promoting
+ * one (distributeBonuses with action 'promote') copies its result into the draft
+ * allocation and leaves the scenario as it was.
+ */
+
+import { onCall, HttpsError } from 'firebase-functions/v2/https';
+import { logger } from 'firebase-functions';
+import { FieldValue } from 'firebase-admin/firestore';
+import { getRequestingUser, businessRef } from './access';
+import { CalculateBonusesRequest, employeeName, simulateBonuses, toAmount } from './bonuses';
+
+const MAX_NAME_LENGTH = 80;
+const MAX_SCENARIOS_PER_PERIOD = 20;
+
+export const bonusScenariosRef = (businessId: string) => businessRef(businessId).collection('bonusScenarios');
+
+// Scenarios and allocations share the period key: the cycle id, or the year without one
+export const scenarioPeriodKey = (period: { cycleId?: string | null; year?: number | null }): string =>
+  String(period.cycleId || period.year);
+
+export interface ScenarioDraft {
+  // Raw salary inputs, as the allocation page sends them to distributeBonuses
+  allocations: Record<string, { monthlySalary: unknown; currency: unknown; bonusPercentage: unknown }>;
+  budget: number | null;
+  comment: string;
+}
+
+/**
+ * What promoting a scenario puts in the draft: its salaries in the currency they were
+ * entered in, its percentages and its budget. The scenario must be for the draft's
+ * department and period.
+ */
+export const scenarioToDraft = (
+  scenario: FirebaseFirestore.DocumentData,
+  departmentId: string,
+  period: { cycleId?: string | null; year?: number | null }
+): ScenarioDraft => {
+  if (scenario.departmentId !== departmentId || scenario.periodKey !== scenarioPeriodKey(period)) {
+    throw new HttpsError('failed-precondition', 'The scenario belongs to another department or period');
+  }
+
+  // Scenarios saved before salaries had currencies only hold reporting-currency salaries
+  const allocations: ScenarioDraft['allocations'] = {};
+  (scenario.lines || []).forEach((line: {
+    employeeId: string;
+    monthlySalary: number | null;
+    localSalary?: number | null;
+    currency?: string;
+    bonusPercentage: number | null;
+  }) => {
+    allocations[line.employeeId] = {
+      monthlySalary: line.localSalary !== undefined ? line.localSalary : line.monthlySalary,
+      currency: line.currency,
+      bonusPercentage: line.bonusPercentage ?? 0
+    };
+  });
+
+  return { allocations, budget: toAmount(scenario.budget), comment: `Promoted scenario "${scenario.name}"` };
+};
+
+/**
+ * Calculates a scenario and saves it under a name
+ */
+export const saveBonusScenario = onCall({ cors: true }, async (request) => {
+  // Check if user is authenticated
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'User must be authenticated');
+  }
+
+  const data = (request.data || {}) as CalculateBonusesRequest & { name?: string };
+  const name = typeof data.name === 'string' ? data.name.trim() : '';
+  if (!name || name.length > MAX_NAME_LENGTH) {
+    throw new HttpsError('invalid-argument', `Scenario names must be 1-${MAX_NAME_LENGTH} characters`);
+  }
+
+  try {
+    const requestingUser = await getRequestingUser(request.auth.uid);
+    const { businessId } = requestingUser;
+    const simulation = await simulateBonuses(requestingUser, data);
+    const periodKey = scenarioPeriodKey(simulation);
+
+    const existing = await bonusScenariosRef(businessId)
+      .where('departmentId', '==', simulation.departmentId)
+      .where('periodKey', '==', periodKey)
+      .get();
+    if (existing.size >= MAX_SCENARIOS_PER_PERIOD) {
+      throw new HttpsError('resource-exhausted', `A department can keep up to ${MAX_SCENARIOS_PER_PERIOD} scenarios per period; delete some first`);
+    }
+
+    const scenarioRef = await bonusScenariosRef(businessId).add({
+      ...simulation,
+      businessId,
+      name,
+      periodKey,
+      createdBy: requestingUser.id,
+      createdByName: employeeName(requestingUser.data, requestingUser.id),
+      createdAt: FieldValue.serverTimestamp()
+    });
+
+    logger.info('Bonus scenario saved', {
+      businessId,
+      scenarioId: scenarioRef.id,
+      departmentId: simulation.departmentId,
+      periodKey,
+      strategy: simulation.strategy
+    });
+
+    return {
+      success: true,
+      scenario: { id: scenarioRef.id, name, periodKey, ...simulation }
+    };
+
+  } catch (error: unknown) {
+    logger.error('Error saving bonus scenario:', error);
+
+    if (error instanceof HttpsError) {
+      throw error;
+    }
+
+    throw new HttpsError('internal', 'Failed to save bonus scenario');
+  }
+});
@@ -0,0 +1,121 @@
+import { BonusCandidate, DEFAULT_SCORE_TIERS, distributeBudget, findScoreTier, validateBonusOptions } from './bonusStrategies';
+
+const candidate = (employeeId: string, monthlySalary: number | null, score: number | null): BonusCandidate => ({
+  employeeId,
+  name: employeeId.toUpperCase(),
+  monthlySalary,
+  score,
+  evaluationId: score === null ? null : `eval-${employeeId}`
+});
+
+const team = [candidate('a', 3000, 80), candidate('b', 2000, 50), candidate('c', 1000, 95)];
+
+const defaults = validateBonusOptions('equal').options;
+const amounts = (result: { lines: Array<{ amount: number }> }) => result.lines.map(line => line.amount);
+
+describe('validateBonusOptions', () => {
+  it('fills in the default bands, highest first', () => {
+    expect(validateBonusOptions('tierMatrix')).toEqual({
+      options: { tiers: DEFAULT_SCORE_TIERS, floorPercent: null, capPercent: null },
+      errors: []
+    });
+    expect(validateBonusOptions('tierMatrix', { tiers: [{ minScore: 0, payoutPercent: 0 }, { minScore: 70, payoutPercent: 100 }] }).options.tiers)
+      .toEqual([{ minScore: 70, payoutPercent: 100 }, { minScore: 0, payoutPercent: 0 }]);
+  });
+
+  it('reports every problem at once', () => {
+    expect(validateBonusOptions('lottery', { floorPercent: 50, capPercent: 20 }).errors).toEqual([
+      'Unknown strategy; use one of equal, salaryWeighted, scoreWeighted, tierMatrix',
+      'The floor cannot be higher than the cap'
+    ]);
+    expect(validateBonusOptions('equal', { capPercent: -5 }).errors).toEqual(['The cap must be between 0 and 1000% of salary']);
+  });
+
+  it('rejects empty, out-of-range and overlapping bands', () => {
+    expect(validateBonusOptions('tierMatrix', { tiers: [] }).errors).toEqual(['The tier matrix needs at least one band']);
+    expect(validateBonusOptions('tierMatrix', { tiers: [{ minScore: 120, payoutPercent: 10 }] }).errors)
+      .toEqual(['Each band needs a minimum score of 0-100 and a payout of 0-1000%']);
+    expect(validateBonusOptions('tierMatrix', { tiers: [{ minScore: 50, payoutPercent: 10 }, { minScore: 50, payoutPercent: 20 }] }).errors)
+      .toEqual(['Two bands cannot start at the same score']);
+  });
+});
+
+describe('findScoreTier', () => {
+  it('picks the highest band the score reaches', () => {
+    expect(findScoreTier(75, DEFAULT_SCORE_TIERS)).toEqual({ minScore: 75, payoutPercent: 120 });
+    expect(findScoreTier(74.9, DEFAULT_SCORE_TIERS)).toEqual({ minScore: 60, payoutPercent: 100 });
+    expect(findScoreTier(30, [{ minScore: 50, payoutPercent: 100 }])).toBeNull();
+  });
+});
+
+describe('distributeBudget', () => {
+  it('splits equally, by salary or by score', () => {
+    const equal = distributeBudget('equal', team, 900, defaults);
+
+    expect(amounts(equal)).toEqual([300, 300, 300]);
+    expect(equal.lines.map(line => line.bonusPercentage)).toEqual([10, 15, 30]);
+    expect(amounts(distributeBudget('salaryWeighted', team, 600, defaults))).toEqual([300, 200, 100]);
+    expect(amounts(distributeBudget('scoreWeighted', team, 2250, defaults))).toEqual([800, 500, 950]);
+  });
+
+  it('shares what a cap takes away among the others', () => {
+    const result = distributeBudget('scoreWeighted', team, 2250, { ...defaults, capPercent: 40 });
+
+    expect(amounts(result)).toEqual([1138.46, 711.54, 400]);
+    expect(result.lines.map(line => line.limitedBy)).toEqual([null, null, 'cap']);
+    expect(result.totalAllocated).toBe(2250);
+  });
+
+  it('leaves the budget unallocated when everyone is capped', () => {
+    const result = distributeBudget('scoreWeighted', team, 2250, { ...defaults, capPercent: 30 });
+
+    expect(amounts(result)).toEqual([900, 600, 300]);
+    expect(result.unallocated).toBe(450);
+  });
+
+  it('raises amounts to the floor and shares the rest', () => {
+    const result = distributeBudget('equal', team, 1200, { ...defaults, floorPercent: 15 });
+
+    expect(amounts(result)).toEqual([450, 375, 375]);
+    expect(result.lines.map(line => line.limitedBy)).toEqual(['floor', null, null]);
+  });
+
+  it('reduces floors proportionally when the budget cannot cover them', () => {
+    const result = distributeBudget('equal', team, 900, { ...defaults, floorPercent: 20 });
+
+    expect(amounts(result)).toEqual([450, 300, 150]);
+    expect(result.warnings).toEqual(['The budget does not cover every floor; floors were reduced proportionally']);
+  });
+
+  it('pays the tier percentage of salary and scales it down to the budget', () => {
+    const options = validateBonusOptions('tierMatrix').options;
+    const paid = distributeBudget('tierMatrix', team, 100000, options);
+
+    expect(amounts(paid)).toEqual([3600, 1000, 1500]);
+    expect(paid.lines.map(line => line.tier?.minScore)).toEqual([75, 40, 90]);
+    expect(paid.unallocated).toBe(93900);
+
+    const scaled = distributeBudget('tierMatrix', team, 3050, options);
+    expect(amounts(scaled)).toEqual([1800, 500, 750]);
+    expect(scaled.warnings).toEqual(['Tier payouts exceed the budget and were scaled to 50%']);
+  });
+
+  it('leaves out employees the strategy cannot handle', () => {
+    const withGaps = [...team, candidate('d', null, 70), candidate('e', 1000, null)];
+
+    const byScore = distributeBudget('scoreWeighted', withGaps, 2950, defaults);
+    expect(amounts(byScore)).toEqual([800, 500, 950, 700, 0]);
+    expect(byScore.lines[3].bonusPercentage).toBeNull();
+    expect(byScore.warnings).toEqual(['1 employee(s) left out: E (no score)']);
+
+    const byTier = distributeBudget('tierMatrix', withGaps, 100000, validateBonusOptions('tierMatrix').options);
+    expect(byTier.lines.map(line => line.excludedReason)).toEqual([null, null, null, 'noSalary', 'noScore']);
+  });
+
+  it('warns when every weight is zero', () => {
+    const result = distributeBudget('scoreWeighted', [candidate('a', 3000, 0)], 1000, defaults);
+
+    expect(result.totalAllocated).toBe(0);
+    expect(result.warnings).toEqual(['Every weight is zero, so nothing could be distributed']);
+  });
+});
@@ -0,0 +1,267 @@
+/**
+ * Bonus distribution strategies
+ *
+ * Pure functions that split a budget between employees; calculateBonuses (bonuses.ts)
+ * gathers the inputs and returns the result as a simulation. Scores are the
+ * evaluations' normalized scores (0-100), so employees reviewed on different rating
+ * scales compare fairly. Amounts are in the same unit as the monthly salaries, and
+ * bonusPercentage is the amount as a percentage of one monthly salary, as on the bonus
+ * allocation page.
+ *
+ * - equal: the same amount for everyone
+ * - salaryWeighted: shares in proportion to salary
+ * - scoreWeighted: shares in proportion to score
+ * - tierMatrix: each score band pays a fixed percentage of salary, scaled down
+ *   proportionally when the total would exceed the budget
+ *
+ * Any strategy can be floored and/or capped at a percentage of salary. For the
+ * proportional strategies, what a cap takes away is shared among the others.
+ */
+
+export type BonusStrategy = 'equal' | 'salaryWeighted' | 'scoreWeighted' | 'tierMatrix';
+
+export const BONUS_STRATEGIES: BonusStrategy[] = ['equal', 'salaryWeighted', 'scoreWeighted', 'tierMatrix'];
+
+export interface ScoreTier {
+  // Lowest normalized score (0-100) in the band
+  minScore: number;
+  // Bonus as a percentage of monthly salary
+  payoutPercent: number;
+}
+
+export interface BonusOptions {
+  tiers?: ScoreTier[];
+  floorPercent?: number | null;
+  capPercent?: number | null;
+}
+
+export interface BonusCandidate {
+  employeeId: string;
+  name: string;
+  monthlySalary: number | null;
+  score: number | null;
+  evaluationId: string | null;
+}
+
+export type ExclusionReason = 'noSalary' | 'noScore';
+
+export interface BonusLine extends BonusCandidate {
+  amount: number;
+  bonusPercentage: number | null;
+  tier: ScoreTier | null;
+  limitedBy: 'floor' | 'cap' | null;
+  excludedReason: ExclusionReason | null;
+}
+
+export interface BonusDistribution {
+  strategy: BonusStrategy;
+  budget: number;
+  totalAllocated: number;
+  unallocated: number;
+  lines: BonusLine[];
+  warnings: string[];
+}
+
+export const DEFAULT_SCORE_TIERS: ScoreTier[] = [
+  { minScore: 90, payoutPercent: 150 },
+  { minScore: 75, payoutPercent: 120 },
+  { minScore: 60, payoutPercent: 100 },
+  { minScore: 40, payoutPercent: 50 },
+  { minScore: 0, payoutPercent: 0 }
+];
+
+const MAX_PAYOUT_PERCENT = 1000;
+
+const roundMoney = (value: number): number => Math.round(value * 100) / 100;
+
+const isPercent = (value: unknown, max = MAX_PAYOUT_PERCENT): value is number =>
+  typeof value === 'number' && Number.isFinite(value) && value >= 0 && value <= max;
+
+/**
+ * Checks strategy options and fills in defaults. Returns errors instead of throwing so
+ * callers can report them all at once.
+ */
+export const validateBonusOptions = (
+  strategy: unknown,
+  options: BonusOptions = {}
+): { options: Required<BonusOptions>; errors: string[] } => {
+  const errors: string[] = [];
+
+  if (!BONUS_STRATEGIES.includes(strategy as BonusStrategy)) {
+    errors.push(`Unknown strategy; use one of ${BONUS_STRATEGIES.join(', ')}`);
+  }
+
+  const floorPercent = options.floorPercent ?? null;
+  const capPercent = options.capPercent ?? null;
+  if (floorPercent !== null && !isPercent(floorPercent)) {
+    errors.push(`The floor must be between 0 and ${MAX_PAYOUT_PERCENT}% of salary`);
+  }
+  if (capPercent !== null && !isPercent(capPercent)) {
+    errors.push(`The cap must be between 0 and ${MAX_PAYOUT_PERCENT}% of salary`);
+  }
+  if (isPercent(floorPercent) && isPercent(capPercent) && floorPercent > capPercent) {
+    errors.push('The floor cannot be higher than the cap');
+  }
+
+  let tiers = DEFAULT_SCORE_TIERS;
+  if (strategy === 'tierMatrix' && options.tiers !== undefined) {
+    if (!Array.isArray(options.tiers) || options.tiers.length === 0) {
+      errors.push('The tier matrix needs at least one band');
+    } else if (options.tiers.some(tier => !isPercent(tier?.minScore, 100) || !isPercent(tier?.payoutPercent))) {
+      errors.push(`Each band needs a minimum score of 0-100 and a payout of 0-${MAX_PAYOUT_PERCENT}%`);
+    } else if (new Set(options.tiers.map(tier => tier.minScore)).size !== options.tiers.length) {
+      errors.push('Two bands cannot start at the same score');
+    } else {
+      tiers = options.tiers.map(tier => ({ minScore: tier.minScore, payoutPercent: tier.payoutPercent }));
+    }
+  }
+
+  return {
+    options: { tiers: [...tiers].sort((a, b) => b.minScore - a.minScore), floorPercent, capPercent },
+    errors
+  };
+};
+
+export const findScoreTier = (score: number, tiers: ScoreTier[]): ScoreTier | null => {
+  return [...tiers].sort((a, b) => b.minScore - a.minScore).find(tier => score >= tier.minScore) || null;
+};
+
+/**
+ * Splits the budget in proportion to the weights while keeping every amount between its
+ * floor and cap. Employees pushed to a limit are fixed there and the rest of the budget
+ * is shared again among the others, until nobody is outside their limits.
+ */
+const allocateProportionally = (
+  weights: number[],
+  budget: number,
+  floors: number[],
+  caps: number[]
+): { amounts: number[]; limitedBy: Array<'floor' | 'cap' | null> } => {
+  const amounts = weights.map(() => 0);
+  const limitedBy: Array<'floor' | 'cap' | null> = weights.map(() => null);
+  const free = new Set(weights.map((_, index) => index));
+
+  while (free.size > 0) {
+    const fixedTotal = amounts.reduce((sum, amount, index) => (free.has(index) ? sum : sum + amount), 0);
+    const remaining = Math.max(0, budget - fixedTotal);
+    const totalWeight = [...free].reduce((sum, index) => sum + weights[index], 0);
+
+    [...free].forEach(index => {
+      amounts[index] = totalWeight > 0 ? (remaining * weights[index]) / totalWeight : 0;
+    });
+
+    // Raise everyone under their floor first; that can only lower the others' shares
+    const underFloor = [...free].filter(index => amounts[index] < floors[index]);
+    const overCap = [...free].filter(index => amounts[index] > caps[index]);
+    const toFix = underFloor.length > 0 ? underFloor : overCap;
+    if (toFix.length === 0) break;
+
+    toFix.forEach(index => {
+      amounts[index] = underFloor.length > 0 ? floors[index] : caps[index];
+      limitedBy[index] = underFloor.length > 0 ? 'floor' : 'cap';
+      free.delete(index);
+    });
+  }
+
+  return { amounts, limitedBy };
+};
+
+/**
+ * Distributes a budget with one of the strategies. Employees a strategy cannot handle
+ * (no salary where salaries matter, no score for score-based strategies) get nothing and
+ * an excludedReason.
+ */
+export const distributeBudget = (
+  strategy: BonusStrategy,
+  candidates: BonusCandidate[],
+  budget: number,
+  options: Required<BonusOptions>
+): BonusDistribution => {
+  const warnings: string[] = [];
+  const hasLimits = options.floorPercent !== null || options.capPercent !== null;
+  const needsSalary = strategy === 'salaryWeighted' || strategy === 'tierMatrix' || hasLimits;
+  const needsScore = strategy === 'scoreWeighted' || strategy === 'tierMatrix';
+
+  const exclusionOf = (candidate: BonusCandidate): ExclusionReason | null => {
+    if (needsSalary && !(typeof candidate.monthlySalary === 'number' && candidate.monthlySalary > 0)) return 'noSalary';
+    if (needsScore && candidate.score === null) return 'noScore';
+    return null;
+  };
+
+  const included = candidates.filter(candidate => exclusionOf(candidate) === null);
+  const salaryOf = (candidate: BonusCandidate) => candidate.monthlySalary || 0;
+  const floors = included.map(candidate => (options.floorPercent !== null ? salaryOf(candidate) * options.floorPercent / 100 : 0));
+  const caps = included.map(candidate => (options.capPercent !== null ? salaryOf(candidate) * options.capPercent / 100 : Infinity));
+
+  const floorTotal = floors.reduce((sum, floor) => sum + floor, 0);
+  if (floorTotal > budget) {
+    warnings.push('The budget does not cover every floor; floors were reduced proportionally');
+  }
+
+  let amounts: number[];
+  let limitedBy: Array<'floor' | 'cap' | null>;
+  const tiers = included.map(candidate => (strategy === 'tierMatrix' ? findScoreTier(candidate.score as number, options.tiers) : null));
+
+  if (floorTotal > budget) {
+    amounts = floors.map(floor => (floor * budget) / floorTotal);
+    limitedBy = floors.map(() => 'floor');
+  } else if (strategy === 'tierMatrix') {
+    const targets = included.map((candidate, index) => salaryOf(candidate) * (tiers[index]?.payoutPercent || 0) / 100);
+    limitedBy = targets.map((target, index) => (target < floors[index] ? 'floor' : target > caps[index] ? 'cap' : null));
+    amounts = targets.map((target, index) => Math.min(caps[index], Math.max(floors[index], target)));
+
+    const total = amounts.reduce((sum, amount) => sum + amount, 0);
+    if (total > budget) {
+      // Payouts above the floor shrink by the same factor; floors are kept
+      const aboveFloor = amounts.reduce((sum, amount, index) => sum + (amount - floors[index]), 0);
+      const factor = aboveFloor > 0 ? (budget - floorTotal) / aboveFloor : 0;
+      amounts = amounts.map((amount, index) => floors[index] + (amount - floors[index]) * factor);
+      warnings.push(`Tier payouts exceed the budget and were scaled to ${Math.round(factor * 100)}%`);
+    }
+  } else {
+    const weights = included.map(candidate => {
+      if (strategy === 'salaryWeighted') return salaryOf(candidate);
+      if (strategy === 'scoreWeighted') return candidate.score as number;
+      return 1;
+    });
+    if (weights.every(weight => weight === 0) && included.length > 0) {
+      warnings.push('Every weight is zero, so nothing could be distributed');
+    }
+    ({ amounts, limitedBy } = allocateProportionally(weights, budget, floors, caps));
+  }
+
+  const byId = new Map(included.map((candidate, index) => [candidate.employeeId, index]));
+  const lines: BonusLine[] = candidates.map(candidate => {
+    const index = byId.get(candidate.employeeId);
+    if (index === undefined) {
+      return { ...candidate, amount: 0, bonusPercentage: null, tier: null, limitedBy: null, excludedReason: exclusionOf(candidate) };
+    }
+
+    const amount = roundMoney(amounts[index]);
+    const salary = candidate.monthlySalary;
+    return {
+      ...candidate,
+      amount,
+      bonusPercentage: salary && salary > 0 ? Math.round((amount / salary) * 1000) / 10 : null,
+      tier: tiers[index],
+      limitedBy: limitedBy[index],
+      excludedReason: null
+    };
+  });
+
+  const excluded = lines.filter(line => line.excludedReason !== null);
+  if (excluded.length > 0) {
+    warnings.push(`${excluded.length} employee(s) left out: ${excluded.map(line => `${line.name} (${line.excludedReason === 'noSalary' ? 'no salary' : 'no score'})`).join(', ')}`);
+  }
+
+  const totalAllocated = roundMoney(lines.reduce((sum, line) => sum + line.amount, 0));
+
+  return {
+    strategy,
+    budget,
+    totalAllocated,
+    unallocated: roundMoney(Math.max(0, budget - totalAllocated)),
+    lines,
+    warnings
+  };
+};
@@ -0,0 +1,119 @@
+import { assertAllocationAccess, assertMayAct, BonusAllocationStatus, BonusWorkflowAction, checkLimits, nextBonusStatus } from './bonusWorkflow';
+import { bonusAllocationId } from './bonuses';
+import { RequestingUser } from './access';
+
+const userWithRole = (id: string, role: string) => ({ id, businessId: 'acme', data: { role } }) as RequestingUser;
+
+const allocator = userWithRole('head', 'head-manager');
+const hr = userWithRole('hr', 'hr');
+const admin = userWithRole('admin', 'admin');
+
+describe('nextBonusStatus', () => {
+  it('walks draft → submitted → hr-reviewed → approved → locked', () => {
+    let status: BonusAllocationStatus = 'draft';
+    const visited = (['submit', 'review', 'approve', 'lock'] as BonusWorkflowAction[]).map(action => {
+      assertMayAct(admin, action, status);
+      status = nextBonusStatus(action, status);
+      return status;
+    });
+
+    expect(visited).toEqual(['submitted', 'hr-reviewed', 'approved', 'locked']);
+  });
+
+  it('keeps the status on saves and goes back to draft on return', () => {
+    expect(nextBonusStatus('save', 'submitted')).toBe('submitted');
+    expect(nextBonusStatus('promote', 'draft')).toBe('draft');
+    expect(nextBonusStatus('return', 'hr-reviewed')).toBe('draft');
+  });
+});
+
+describe('assertMayAct', () => {
+  it.each([
+    ['allocator saves a draft', allocator, 'save', 'draft'],
+    ['allocator promotes a scenario into a draft', allocator, 'promote', 'draft'],
+    ['allocator submits a draft', allocator, 'submit', 'draft'],
+    ['HR adjusts a submitted allocation', hr, 'save', 'submitted'],
+    ['HR reviews a submitted allocation', hr, 'review', 'submitted'],
+    ['HR returns a reviewed allocation', hr, 'return', 'hr-reviewed'],
+    ['admin approves a reviewed allocation', admin, 'approve', 'hr-reviewed'],
+    ['admin locks an approved allocation', admin, 'lock', 'approved'],
+    ['admin reopens an approved allocation', admin, 'return', 'approved']
+  ] as Array<[string, RequestingUser, BonusWorkflowAction, BonusAllocationStatus]>)('allows: %s', (_name, user, action, status) => {
+    expect(() => assertMayAct(user, action, status)).not.toThrow();
+  });
+
+  it.each([
+    ['allocator edits a submitted allocation', allocator, 'save', 'submitted', 'Only HR or an admin can adjust a submitted allocation'],
+    ['allocator reviews their own allocation', allocator, 'review', 'submitted', 'Only HR or an admin can review bonus allocations'],
+    ['HR approves', hr, 'approve', 'hr-reviewed', 'Only an admin can approve, lock or reopen bonus allocations'],
+    ['HR reopens an approved allocation', hr, 'return', 'approved', 'Only an admin can approve, lock or reopen bonus allocations'],
+    ['anyone edits an approved allocation', admin, 'save', 'approved', 'This allocation is approved and can no longer be changed'],
+    ['anyone promotes over a locked allocation', admin, 'promote', 'locked', 'This allocation is locked and can no longer be changed'],
+    ['submitting twice', admin, 'submit', 'submitted', 'An allocation that is submitted cannot be sent to submitted'],
+    ['approving before review', admin, 'approve', 'submitted', 'An allocation that is submitted cannot be sent to approved'],
+    ['returning a draft', admin, 'return', 'draft', 'An allocation that is draft cannot be sent to draft'],
+    ['unlocking', admin, 'return', 'locked', 'An allocation that is locked cannot be sent to draft']
+  ] as Array<[string, RequestingUser, BonusWorkflowAction, BonusAllocationStatus, string]>)('rejects: %s', (_name, user, action, status, message) => {
+    expect(() => assertMayAct(user, action, status)).toThrow(message);
+  });
+});
+
+describe('checkLimits', () => {
+  const currency = { reportingCurrency: 'USD', rates: { EUR: 1.5 } };
+  const nameOf = (employeeId: string) => employeeId.toUpperCase();
+  const entry = (monthlySalary: number | null, bonusPercentage: number, code = 'USD') =>
+    ({ monthlySalary, currency: code, bonusPercentage });
+
+  it('passes an allocation within every limit', () => {
+    expect(checkLimits({ ana: entry(1000, 10), ben: entry(1000, 10, 'EUR') }, 500, 1000, new Map([['ana', 100]]), currency, nameOf))
+      .toEqual({ hard: [], soft: [] });
+  });
+
+  it('always rejects breaking the department budget or an individual limit', () => {
+    const { hard } = checkLimits({ ana: entry(1000, 20, 'EUR') }, 2000, 1000, new Map([['ana', 250]]), currency, nameOf);
+
+    expect(hard).toEqual([
+      'The total budget of 2,000 USD exceeds the department budget of 1,000 USD',
+      'The bonus for ANA (300 USD) exceeds their limit of 250 USD'
+    ]);
+  });
+
+  it('only warns about problems that block submitting', () => {
+    const { hard, soft } = checkLimits({
+      ana: entry(1000, 50),
+      ben: entry(null, 10),
+      cai: entry(1000, 10, 'JPY')
+    }, 400, null, new Map(), currency, nameOf);
+
+    expect(hard).toEqual([]);
+    expect(soft).toEqual([
+      'BEN has a bonus percentage but no salary',
+      'There is no exchange rate for JPY in this period; HR can add one on the Review Cycles page',
+      '500 USD is allocated but the budget is 400 USD'
+    ]);
+  });
+
+  it('asks for a budget when neither the allocation nor the department has one', () => {
+    expect(checkLimits({}, null, null, new Map(), currency, nameOf).soft).toEqual(['Set a total budget before submitting']);
+  });
+});
+
+describe('allocation ownership', () => {
+  const period = { cycleId: 'cycle-2024' };
+
+  it('keeps each allocator in a department on their own document', () => {
+    expect(bonusAllocationId('sales', period, 'head')).toBe('sales_cycle-2024_head');
+    expect(bonusAllocationId('sales', period, 'head')).not.toBe(bonusAllocationId('sales', period, 'manager'));
+    expect(bonusAllocationId('sales', { year: 2024 }, 'head')).toBe('sales_2024_head');
+  });
+
+  it('only lets HR and admins act on another allocator\'s allocation', () => {
+    const managersAllocation = { departmentId: 'sales', createdBy: 'manager' };
+
+    expect(() => assertAllocationAccess(allocator, managersAllocation, 'sales'))
+      .toThrow('Only HR or an admin can work on another allocator\'s allocation');
+    expect(() => assertAllocationAccess(hr, managersAllocation, 'sales')).not.toThrow();
+    expect(() => assertAllocationAccess(userWithRole('manager', 'manager'), managersAllocation, 'sales')).not.toThrow();
+    expect(() => assertAllocationAccess(hr, managersAllocation, 'support')).toThrow('The allocation belongs to another department');
+  });
+});
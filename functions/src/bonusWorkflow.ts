@@ -0,0 +1,526 @@
+/**
+ * Cloud Functions for the Bonus Approval Workflow
+ *
+ * An allocator's allocation for a department and review period
+ * (bonusAllocations/{dept}_{cycle|year}_{allocator}) moves
+ * draft → submitted → hr-reviewed → approved → locked. The allocator edits the
+ * draft and submits it, HR reviews it, an admin approves it (which notifies employees,
+ * see onBonusAllocationApproved) and finally locks it for payroll. HR and admins can
+ * adjust percentages during review or send the allocation back to draft; nothing can
+ * change once it is locked.
+ *
+ * Clients cannot write allocations directly; every save and status change goes through
+ * distributeBonuses, which enforces the department budget and the budgetLimit of each
+ * recipient's bonus assignments. Each call adds an entry to the allocation's history
+ * subcollection recording who changed which percentage, and no one can edit that.
+ * Promoting a saved scenario (bonusScenarios.ts) is a save with the scenario's result.
+ *
+ * Salaries keep the currency they were entered in; limits and budgets are checked in the
+ * reporting currency (currency.ts). Each write stores the rates it used on the allocation,
+ * and from approval on those stored rates are used instead of the cycle's current table.
+ */
+
+import { onCall, HttpsError } from 'firebase-functions/v2/https';
+import { logger } from 'firebase-functions';
+import { FieldValue } from 'firebase-admin/firestore';
+import { db } from './config';
+import { getRequestingUser, isAdminOrHr, businessRef, RequestingUser } from './access';
+import { bonusScenariosRef, scenarioToDraft } from './bonusScenarios';
+import { CurrencyContext, isCurrencyCode, loadCurrencyContext, snapshotRates, toReportingAmount } from './currency';
+import {
+  allocationCurrencyContext,
+  assertDepartmentAccess,
+  bonusAllocationId,
+  employeeName,
+  getBonusScope,
+  loadAllocatableEmployees,
+  toAmount
+} from './bonuses';
+
+export type BonusAllocationStatus = 'draft' | 'submitted' | 'hr-reviewed' | 'approved' | 'locked';
+export type BonusWorkflowAction = 'save' | 'promote' | 'submit' | 'review' | 'approve' | 'lock' | 'return';
+
+// Actions that change the allocations rather than the status
+type EditAction = 'save' | 'promote';
+type TransitionAction = Exclude<BonusWorkflowAction, EditAction>;
+
+const TRANSITIONS: Record<TransitionAction, { from: BonusAllocationStatus[]; to: BonusAllocationStatus }> = {
+  submit: { from: ['draft'], to: 'submitted' },
+  review: { from: ['submitted'], to: 'hr-reviewed' },
+  approve: { from: ['hr-reviewed'], to: 'approved' },
+  lock: { from: ['approved'], to: 'locked' },
+  return: { from: ['submitted', 'hr-reviewed', 'approved'], to: 'draft' }
+};
+
+const ACTIONS: BonusWorkflowAction[] = ['save', 'promote', 'submit', 'review', 'approve', 'lock', 'return'];
+
+// Workflow stamps written on each transition, e.g. submittedBy / submittedAt
+const STAMP_PREFIX: Record<TransitionAction, string> = {
+  submit: 'submitted',
+  review: 'reviewed',
+  approve: 'approved',
+  lock: 'locked',
+  return: 'returned'
+};
+
+const MAX_BONUS_PERCENT = 1000;
+const MAX_COMMENT_LENGTH = 1000;
+
+interface AllocationEntry {
+  monthlySalary: number | null;
+  currency: string;
+  bonusPercentage: number;
+}
+
+interface DistributeBonusesRequest {
+  action: BonusWorkflowAction;
+  departmentId?: string;
+  cycleId?: string;
+  year?: number;
+  // save only
+  allocations?: Record<string, { monthlySalary?: unknown; currency?: unknown; bonusPercentage?: unknown }>;
+  totalBudget?: unknown;
+  kpiTarget?: string;
+  // promote only: the saved scenario that becomes the draft
+  scenarioId?: string;
+  // Required when returning an allocation to draft
+  comment?: string;
+  // Someone else's allocation, for HR and admins; allocators always work on their own
+  allocationId?: string;
+}
+
+export interface BonusChange {
+  employeeId: string;
+  employeeName: string;
+  field: 'bonusPercentage' | 'monthlySalary' | 'currency';
+  from: number | string | null;
+  to: number | string | null;
+}
+
+const roundMoney = (value: number): number => Math.round(value * 100) / 100;
+
+const bonusAmount = (entry: AllocationEntry): number =>
+  entry.monthlySalary ? roundMoney((entry.monthlySalary * entry.bonusPercentage) / 100) : 0;
+
+const formatMoney = (amount: number, currency: string): string => `${amount.toLocaleString('en-US')} ${currency}`;
+
+/**
+ * Normalizes allocations from the page, where salaries are still the input strings.
+ * Salaries without a currency are in the reporting currency.
+ */
+export const parseAllocations = (
+  raw: DistributeBonusesRequest['allocations'],
+  reportingCurrency: string
+): Record<string, AllocationEntry> => {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new HttpsError('invalid-argument', 'Allocations must map employee ids to salaries and percentages');
+  }
+
+  const allocations: Record<string, AllocationEntry> = {};
+  Object.entries(raw).forEach(([employeeId, entry]) => {
+    const salaryInput = entry?.monthlySalary;
+    const monthlySalary = salaryInput === '' || salaryInput === null || salaryInput === undefined ? null : toAmount(salaryInput);
+    const bonusPercentage = toAmount(entry?.bonusPercentage ?? 0);
+    const currency = entry?.currency === undefined || entry?.currency === null || entry?.currency === ''
+      ? reportingCurrency
+      : entry.currency;
+
+    if (!isCurrencyCode(currency)) {
+      throw new HttpsError('invalid-argument', 'Salary currencies must be three-letter codes such as USD');
+    }
+    if (monthlySalary === null && salaryInput !== '' && salaryInput !== null && salaryInput !== undefined) {
+      throw new HttpsError('invalid-argument', 'Salaries must be positive amounts');
+    }
+    if (bonusPercentage === null || bonusPercentage > MAX_BONUS_PERCENT) {
+      throw new HttpsError('invalid-argument', `Bonus percentages must be between 0 and ${MAX_BONUS_PERCENT}`);
+    }
+    if (monthlySalary !== null || bonusPercentage > 0) {
+      allocations[employeeId] = { monthlySalary, currency, bonusPercentage: Math.round(bonusPercentage * 10) / 10 };
+    }
+  });
+
+  return allocations;
+};
+
+/**
+ * The lowest budgetLimit across each employee's active bonus assignments
+ */
+const loadIndividualLimits = async (businessId: string): Promise<Map<string, number>> => {
+  const assignmentsSnapshot = await businessRef(businessId).collection('bonusAssignments')
+    .where('active', '==', true)
+    .get();
+
+  const limits = new Map<string, number>();
+  assignmentsSnapshot.docs.forEach(assignmentDoc => {
+    const { recipientId, budgetLimit } = assignmentDoc.data();
+    const limit = toAmount(budgetLimit);
+    if (!recipientId || !limit) return;
+    limits.set(recipientId, Math.min(limit, limits.get(recipientId) ?? Infinity));
+  });
+
+  return limits;
+};
+
+interface LimitCheck {
+  // Broken regardless of status: the department budget and individual limits
+  hard: string[];
+  // Acceptable while drafting, but blocks submitting and approving
+  soft: string[];
+}
+
+export const checkLimits = (
+  allocations: Record<string, AllocationEntry>,
+  totalBudget: number | null,
+  departmentBudget: number | null,
+  individualLimits: Map<string, number>,
+  currency: CurrencyContext,
+  nameOf: (employeeId: string) => string
+): LimitCheck => {
+  const hard: string[] = [];
+  const soft: string[] = [];
+  const { reportingCurrency } = currency;
+  const missingRates = new Set<string>();
+
+  if (departmentBudget !== null && totalBudget !== null && totalBudget > departmentBudget) {
+    hard.push(`The total budget of ${formatMoney(totalBudget, reportingCurrency)} exceeds the department budget of ${formatMoney(departmentBudget, reportingCurrency)}`);
+  }
+
+  let allocated = 0;
+  Object.entries(allocations).forEach(([employeeId, entry]) => {
+    const limit = individualLimits.get(employeeId);
+    const amount = toReportingAmount(bonusAmount(entry), entry.currency, currency);
+    if (amount === null) {
+      missingRates.add(entry.currency);
+    } else {
+      allocated += amount;
+      if (limit !== undefined && amount > limit) {
+        hard.push(`The bonus for ${nameOf(employeeId)} (${formatMoney(amount, reportingCurrency)}) exceeds their limit of ${formatMoney(limit, reportingCurrency)}`);
+      }
+    }
+    if (entry.bonusPercentage > 0 && !entry.monthlySalary) {
+      soft.push(`${nameOf(employeeId)} has a bonus percentage but no salary`);
+    }
+  });
+
+  // Without a rate neither the total nor individual limits can be checked
+  missingRates.forEach(code => soft.push(`There is no exchange rate for ${code} in this period; HR can add one on the Review Cycles page`));
+
+  const budget = totalBudget ?? departmentBudget;
+  allocated = roundMoney(allocated);
+  if (budget === null) {
+    soft.push('Set a total budget before submitting');
+  } else if (allocated > budget) {
+    soft.push(`${formatMoney(allocated, reportingCurrency)} is allocated but the budget is ${formatMoney(budget, reportingCurrency)}`);
+  }
+
+  return { hard, soft };
+};
+
+const throwLimitViolations = (violations: string[]): void => {
+  if (violations.length > 0) {
+    throw new HttpsError('failed-precondition', 'The allocation breaks its budget limits', { violations });
+  }
+};
+
+/**
+ * Who may take an action at the allocation's current status. Allocators only work on
+ * drafts; reviewing belongs to HR and admins, approving and locking to admins.
+ */
+export const assertMayAct = (
+  user: RequestingUser,
+  action: BonusWorkflowAction,
+  status: BonusAllocationStatus
+): void => {
+  const isAdmin = user.data.role === 'admin';
+
+  if (action === 'save' || action === 'promote') {
+    if (status === 'approved' || status === 'locked') {
+      throw new HttpsError('failed-precondition', `This allocation is ${status} and can no longer be changed`);
+    }
+    if (status !== 'draft' && !isAdminOrHr(user)) {
+      throw new HttpsError('permission-denied', 'Only HR or an admin can adjust a submitted allocation');
+    }
+    return;
+  }
+
+  const transition = TRANSITIONS[action];
+  if (!transition.from.includes(status)) {
+    throw new HttpsError('failed-precondition', `An allocation that is ${status} cannot be sent to ${transition.to}`);
+  }
+  if ((action === 'review' || action === 'return') && !isAdminOrHr(user)) {
+    throw new HttpsError('permission-denied', 'Only HR or an admin can review bonus allocations');
+  }
+  if ((action === 'approve' || action === 'lock' || (action === 'return' && status === 'approved')) && !isAdmin) {
+    throw new HttpsError('permission-denied', 'Only an admin can approve, lock or reopen bonus allocations');
+  }
+};
+
+/**
+ * The status an allocation moves to; saves and promotions keep the current one
+ */
+export const nextBonusStatus = (action: BonusWorkflowAction, status: BonusAllocationStatus): BonusAllocationStatus =>
+  action === 'save' || action === 'promote' ? status : TRANSITIONS[action].to;
+
+/**
+ * Only HR and admins may work on another allocator's allocation, and only in the
+ * department it was saved for
+ */
+export const assertAllocationAccess = (
+  user: RequestingUser,
+  allocation: FirebaseFirestore.DocumentData,
+  departmentId: string
+): void => {
+  if (allocation.departmentId !== departmentId) {
+    throw new HttpsError('failed-precondition', 'The allocation belongs to another department');
+  }
+  if (allocation.createdBy !== user.id && !isAdminOrHr(user)) {
+    throw new HttpsError('permission-denied', 'Only HR or an admin can work on another allocator\'s allocation');
+  }
+};
+
+const resolvePeriodYear = async (businessId: string, data: DistributeBonusesRequest): Promise<number> => {
+  if (!data.cycleId) {
+    return Number(data.year);
+  }
+
+  const cycleDoc = await businessRef(businessId).collection('reviewCycles').doc(data.cycleId).get();
+  if (!cycleDoc.exists) {
+    throw new HttpsError('not-found', 'Review cycle not found');
+  }
+  // Same as the frontend's getCycleYear
+  return new Date(cycleDoc.data()?.periodEnd).getFullYear();
+};
+
+/**
+ * Saves a department's bonus allocation or moves it through the approval workflow.
+ * Saving replaces the allocations and budget (drafts, or adjustments during review);
+ * every other action is a status change.
+ */
+export const distributeBonuses = onCall({ cors: true }, async (request) => {
+  // Check if user is authenticated
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'User must be authenticated');
+  }
+
+  const data = (request.data || {}) as DistributeBonusesRequest;
+  let comment = typeof data.comment === 'string' ? data.comment.trim().slice(0, MAX_COMMENT_LENGTH) : '';
+  const isEdit = data.action === 'save' || data.action === 'promote';
+
+  if (!ACTIONS.includes(data.action)) {
+    throw new HttpsError('invalid-argument', `Action must be one of ${ACTIONS.join(', ')}`);
+  }
+  if (!data.cycleId && !Number.isInteger(Number(data.year))) {
+    throw new HttpsError('invalid-argument', 'Choose a review cycle or a year');
+  }
+  if (data.action === 'return' && !comment) {
+    throw new HttpsError('invalid-argument', 'Explain why the allocation is sent back');
+  }
+  if (data.action === 'promote' && !data.scenarioId) {
+    throw new HttpsError('invalid-argument', 'Missing scenario');
+  }
+
+  let incomingBudget = data.action === 'save' && data.totalBudget !== undefined && data.totalBudget !== '' && data.totalBudget !== null
+    ? toAmount(data.totalBudget)
+    : null;
+  if (data.action === 'save' && incomingBudget === null && data.totalBudget !== undefined && data.totalBudget !== '' && data.totalBudget !== null) {
+    throw new HttpsError('invalid-argument', 'The total budget must be a positive amount');
+  }
+
+  try {
+    const requestingUser = await getRequestingUser(request.auth.uid);
+    const { businessId } = requestingUser;
+    const scope = await getBonusScope(requestingUser);
+    const departmentId = data.departmentId || scope.ownDepartmentId;
+
+    if (!departmentId) {
+      throw new HttpsError('invalid-argument', 'Missing department');
+    }
+    // Reviewers act on any department; allocators only on their own
+    if (!['review', 'approve', 'lock', 'return'].includes(data.action)) {
+      assertDepartmentAccess(scope, departmentId);
+    }
+
+    const liveCurrency = await loadCurrencyContext(businessId, { cycleId: data.cycleId });
+    let incoming = data.action === 'save' ? parseAllocations(data.allocations || {}, liveCurrency.reportingCurrency) : null;
+
+    // A promoted scenario replaces the draft's salaries, percentages and budget
+    if (data.action === 'promote') {
+      const scenarioDoc = await bonusScenariosRef(businessId).doc(String(data.scenarioId)).get();
+      const scenario = scenarioDoc.data();
+      if (!scenario) {
+        throw new HttpsError('not-found', 'Scenario not found');
+      }
+
+      const draft = scenarioToDraft(scenario, departmentId, { cycleId: data.cycleId, year: Number(data.year) });
+      incoming = parseAllocations(draft.allocations, liveCurrency.reportingCurrency);
+      incomingBudget = draft.budget;
+      comment = draft.comment;
+    }
+
+    const allocationRef = db.collection('bonusAllocations').doc(data.allocationId
+      ? String(data.allocationId)
+      : bonusAllocationId(departmentId, { cycleId: data.cycleId, year: Number(data.year) }, requestingUser.id));
+    const [departmentDoc, employees, individualLimits, year] = await Promise.all([
+      businessRef(businessId).collection('departments').doc(departmentId).get(),
+      loadAllocatableEmployees(requestingUser, scope, departmentId),
+      loadIndividualLimits(businessId),
+      resolvePeriodYear(businessId, data)
+    ]);
+
+    if (!departmentDoc.exists) {
+      throw new HttpsError('not-found', 'Department not found');
+    }
+    const departmentBudget = toAmount(departmentDoc.data()?.budget) || null;
+
+    // Admins, HR and bonus calculators may include anyone in the business
+    const outsideScope = incoming ? Object.keys(incoming).filter(id => !employees.has(id)) : [];
+    if (scope.canAllocateAnyDepartment && outsideScope.length > 0) {
+      const usersRef = businessRef(businessId).collection('users');
+      const extraDocs = await db.getAll(...outsideScope.map(id => usersRef.doc(id)));
+      extraDocs.forEach(userDoc => {
+        if (userDoc.exists) employees.set(userDoc.id, userDoc.data() || {});
+      });
+    }
+
+    const result = await db.runTransaction(async (transaction) => {
+      const allocationDoc = await transaction.get(allocationRef);
+      const existing = allocationDoc.data();
+
+      if (existing && existing.businessId !== businessId) {
+        throw new HttpsError('permission-denied', 'Allocation belongs to another business');
+      }
+      if (!existing && data.allocationId) {
+        throw new HttpsError('not-found', 'Allocation not found');
+      }
+      if (!existing && !isEdit) {
+        throw new HttpsError('not-found', 'Save the allocation before submitting it');
+      }
+      if (existing) {
+        assertAllocationAccess(requestingUser, existing, departmentId);
+      }
+
+      const status: BonusAllocationStatus = existing?.status || 'draft';
+      assertMayAct(requestingUser, data.action, status);
+
+      // Approved allocations keep the rates they were approved with
+      const currency = ['approved', 'locked'].includes(status)
+        ? allocationCurrencyContext(existing, liveCurrency.reportingCurrency)
+        : liveCurrency;
+      const previous = parseAllocations(existing?.allocations || {}, currency.reportingCurrency);
+      const allocations = incoming || previous;
+      const totalBudget = isEdit ? incomingBudget : toAmount(existing?.totalBudget) || null;
+      const nameOf = (employeeId: string) => employeeName(employees.get(employeeId) || {}, employeeId);
+
+      // Changed entries must be for employees the caller may allocate to
+      const changes: BonusChange[] = [];
+      new Set([...Object.keys(previous), ...Object.keys(allocations)]).forEach(employeeId => {
+        const before = previous[employeeId];
+        const after = allocations[employeeId];
+        const fields: Array<'bonusPercentage' | 'monthlySalary'> = ['bonusPercentage', 'monthlySalary'];
+        fields.forEach(field => {
+          const from = before ? before[field] : null;
+          const to = after ? after[field] : null;
+          if ((from || 0) !== (to || 0)) {
+            changes.push({ employeeId, employeeName: nameOf(employeeId), field, from, to });
+          }
+        });
+        if (before && after && before.currency !== after.currency) {
+          changes.push({ employeeId, employeeName: nameOf(employeeId), field: 'currency', from: before.currency, to: after.currency });
+        }
+      });
+
+      const unauthorized = [...new Set(changes.map(change => change.employeeId))].filter(id => !employees.has(id));
+      if (unauthorized.length > 0) {
+        throw new HttpsError('permission-denied', 'You can only allocate bonuses to your department or assigned employees');
+      }
+
+      const limits = checkLimits(allocations, totalBudget, departmentBudget, individualLimits, currency, nameOf);
+      throwLimitViolations(limits.hard);
+      if (['submit', 'review', 'approve'].includes(data.action)) {
+        throwLimitViolations(limits.soft);
+      }
+
+      const nextStatus = nextBonusStatus(data.action, status);
+      const update: FirebaseFirestore.DocumentData = {
+        status: nextStatus,
+        reportingCurrency: currency.reportingCurrency,
+        exchangeRates: snapshotRates(Object.values(allocations).map(entry => entry.currency), currency),
+        updatedBy: requestingUser.id,
+        updatedAt: FieldValue.serverTimestamp()
+      };
+
+      if (isEdit) {
+        Object.assign(update, {
+          allocations,
+          totalBudget: totalBudget || 0,
+          kpiTarget: typeof data.kpiTarget === 'string' ? data.kpiTarget : existing?.kpiTarget || '',
+          lastSaved: FieldValue.serverTimestamp()
+        });
+      } else {
+        const prefix = STAMP_PREFIX[data.action as TransitionAction];
+        Object.assign(update, {
+          [`${prefix}By`]: requestingUser.id,
+          [`${prefix}At`]: FieldValue.serverTimestamp(),
+          ...(data.action === 'return' ? { returnComment: comment } : {})
+        });
+      }
+
+      if (!existing) {
+        Object.assign(update, {
+          businessId,
+          departmentId,
+          cycleId: data.cycleId || null,
+          year,
+          createdBy: requestingUser.id,
+          createdAt: FieldValue.serverTimestamp()
+        });
+      }
+
+      transaction.set(allocationRef, update, { merge: true });
+
+      // Saves that change nothing are not worth a history entry
+      if (!isEdit || changes.length > 0 || totalBudget !== (toAmount(existing?.totalBudget) || null)) {
+        transaction.create(allocationRef.collection('history').doc(), {
+          businessId,
+          action: data.action,
+          fromStatus: existing ? status : null,
+          toStatus: nextStatus,
+          changes,
+          totalBudget: { from: toAmount(existing?.totalBudget) || null, to: totalBudget },
+          comment: comment || null,
+          actorId: requestingUser.id,
+          actorName: employeeName(requestingUser.data, requestingUser.id),
+          actorRole: requestingUser.data.role || null,
+          createdAt: FieldValue.serverTimestamp()
+        });
+      }
+
+      return { status: nextStatus, changes: changes.length, warnings: limits.soft };
+    });
+
+    logger.info('Bonus allocation updated', {
+      businessId,
+      allocationId: allocationRef.id,
+      action: data.action,
+      status: result.status,
+      changes: result.changes
+    });
+
+    return {
+      success: true,
+      allocationId: allocationRef.id,
+      status: result.status,
+      // Draft problems that will block submitting
+      warnings: result.warnings
+    };
+
+  } catch (error: unknown) {
+    logger.error('Error updating bonus allocation:', error);
+
+    if (error instanceof HttpsError) {
+      throw error;
+    }
+
+    throw new HttpsError('internal', 'Failed to update bonus allocation');
+  }
+});
@@ -0,0 +1,105 @@
+import { collectBreakdownLines, collectEmployeeHistory } from './bonuses';
+
+const context = { cycleNames: new Map([['h1-2024', 'H1 2024']]), reportingCurrency: 'USD' };
+
+const allocations = [
+  {
+    id: 'eng_h1-2024_ben',
+    data: {
+      year: 2024,
+      cycleId: 'h1-2024',
+      departmentId: 'eng',
+      status: 'approved',
+      reportingCurrency: 'USD',
+      exchangeRates: { EUR: 1.5 },
+      allocations: {
+        ana: { monthlySalary: 4000, currency: 'EUR', bonusPercentage: '10' },
+        cai: { monthlySalary: 3000, bonusPercentage: 5 },
+        dee: { monthlySalary: 3000, bonusPercentage: '' }
+      }
+    }
+  },
+  {
+    id: 'eng_2023_ben',
+    data: {
+      year: 2023,
+      departmentId: 'eng',
+      status: 'locked',
+      reportingCurrency: 'GBP',
+      allocations: { ana: { monthlySalary: 3800, bonusPercentage: 8 } }
+    }
+  },
+  {
+    id: 'eng_2025_ben',
+    data: { year: 2025, departmentId: 'eng', status: 'submitted', allocations: { ana: { monthlySalary: 4200, bonusPercentage: 12 } } }
+  }
+];
+
+describe('collectEmployeeHistory', () => {
+  it('returns one entry per paid allocation, oldest first', () => {
+    const history = collectEmployeeHistory(allocations, 'ana', context, { showAmounts: true, includeUnpaid: false });
+
+    expect(history).toEqual([
+      {
+        allocationId: 'eng_2023_ben',
+        employeeId: 'ana',
+        year: 2023,
+        cycleId: null,
+        cycleName: null,
+        departmentId: 'eng',
+        bonusPercentage: 8,
+        amount: 304,
+        currency: 'GBP',
+        // Saved under another reporting currency, so it cannot be added to today's totals
+        reportingAmount: null,
+        status: 'locked',
+        score: null,
+        evaluationId: null
+      },
+      expect.objectContaining({
+        allocationId: 'eng_h1-2024_ben',
+        cycleName: 'H1 2024',
+        bonusPercentage: 10,
+        amount: 400,
+        currency: 'EUR',
+        reportingAmount: 600
+      })
+    ]);
+  });
+
+  it('hides amounts and includes unpaid allocations only when asked', () => {
+    const history = collectEmployeeHistory(allocations, 'ana', context, { showAmounts: false, includeUnpaid: true });
+
+    expect(history.map(entry => [entry.year, entry.status, entry.amount, entry.reportingAmount])).toEqual([
+      [2023, 'locked', null, null],
+      [2024, 'approved', null, null],
+      [2025, 'submitted', null, null]
+    ]);
+  });
+
+  it('skips allocations without a percentage for the employee', () => {
+    expect(collectEmployeeHistory(allocations, 'dee', context, { showAmounts: true, includeUnpaid: true })).toEqual([]);
+    expect(collectEmployeeHistory(allocations, 'zoe', context, { showAmounts: true, includeUnpaid: true })).toEqual([]);
+  });
+});
+
+describe('collectBreakdownLines', () => {
+  const users = new Map([
+    ['ana', { role: 'employee', profile: { firstName: 'Ana', lastName: 'Silva' } }],
+    ['cai', { role: 'supervisor', profile: { firstName: 'Cai', lastName: 'Wong' } }]
+  ]);
+
+  it('lists every employee in the paid allocations by year and name', () => {
+    const lines = collectBreakdownLines(allocations, users, context);
+
+    expect(lines.map(line => [line.year, line.employeeName, line.role, line.reportingAmount])).toEqual([
+      [2023, 'Ana Silva', 'employee', null],
+      [2024, 'Ana Silva', 'employee', 600],
+      [2024, 'Cai Wong', 'supervisor', 150]
+    ]);
+  });
+
+  it('filters by role', () => {
+    expect(collectBreakdownLines(allocations, users, context, 'supervisor').map(line => line.employeeId)).toEqual(['cai']);
+  });
+});
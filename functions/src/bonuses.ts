@@ -0,0 +1,622 @@
+/**
+ * Cloud Functions for Bonus Data
+ */
+
+import { onCall, HttpsError } from 'firebase-functions/v2/https';
+import { db } from './config';
+import { logger } from 'firebase-functions';
+import { getRequestingUser, canViewEmployee, hasPermission, isAdminOrHr, businessRef, RequestingUser } from './access';
+import { normalizeScore, resolveRatingScale } from './ratingScales';
+import { BonusCandidate, BonusDistribution, BonusLine, BonusOptions, BonusStrategy, distributeBudget, validateBonusOptions } from './bonusStrategies';
+import { CurrencyContext, ExchangeRates, getReportingCurrency, hasRate, isCurrencyCode, loadCurrencyContext, snapshotRates, toReportingAmount } from './currency';
+
+interface BonusHistoryFilters {
+  // 'employee' (default): one employee's bonuses; 'departments': every visible bonus for the breakdown
+  view?: 'employee' | 'departments';
+  employeeId?: string;
+  year?: number;
+  cycleId?: string;
+  departmentId?: string;
+  role?: string;
+}
+
+export interface BonusHistoryEntry {
+  allocationId: string;
+  year: number;
+  cycleId: string | null;
+  cycleName: string | null;
+  departmentId: string | null;
+  bonusPercentage: number;
+  // In the salary's currency; null when the viewer may not see salaries
+  amount: number | null;
+  currency: string;
+  // The amount in the business reporting currency, at the rates stored on the allocation
+  reportingAmount: number | null;
+  status: string;
+  // Normalized (0-100) score of the review the bonus was based on
+  score: number | null;
+  evaluationId: string | null;
+}
+
+export interface BonusBreakdownLine extends BonusHistoryEntry {
+  employeeId: string;
+  employeeName: string;
+  role: string | null;
+}
+
+// Employees only see bonuses once they are final
+const PAID_STATUSES = ['approved', 'locked'];
+
+/**
+ * The currencies an allocation was saved with. Allocations from before salaries had a
+ * currency are entirely in the business reporting currency.
+ */
+export const allocationCurrencyContext = (
+  allocation: FirebaseFirestore.DocumentData | undefined,
+  reportingCurrency: string
+): CurrencyContext => {
+  const saved = allocation?.reportingCurrency;
+  return {
+    reportingCurrency: isCurrencyCode(saved) ? saved : reportingCurrency,
+    rates: allocation?.exchangeRates || {}
+  };
+};
+
+interface StoredAllocation {
+  id: string;
+  data: FirebaseFirestore.DocumentData;
+}
+
+interface HistoryContext {
+  cycleNames: Map<string, string>;
+  reportingCurrency: string;
+}
+
+export const toHistoryEntry = (
+  { id, data: allocation }: StoredAllocation,
+  employeeId: string,
+  { cycleNames, reportingCurrency }: HistoryContext,
+  showAmount: boolean
+): BonusHistoryEntry | null => {
+  const entry = allocation.allocations?.[employeeId];
+  if (!entry || entry.bonusPercentage === undefined || entry.bonusPercentage === '') return null;
+
+  const bonusPercentage = parseFloat(entry.bonusPercentage) || 0;
+  const salary = toAmount(entry.monthlySalary);
+  const context = allocationCurrencyContext(allocation, reportingCurrency);
+  const currency = isCurrencyCode(entry.currency) ? entry.currency : context.reportingCurrency;
+  const amount = showAmount && salary ? Math.round(salary * bonusPercentage) / 100 : null;
+  // Allocations saved under an earlier reporting currency cannot be added to today's totals
+  const reportingAmount = amount !== null && context.reportingCurrency === reportingCurrency
+    ? toReportingAmount(amount, currency, context)
+    : null;
+
+  return {
+    allocationId: id,
+    year: allocation.year,
+    cycleId: allocation.cycleId || null,
+    cycleName: allocation.cycleId ? cycleNames.get(allocation.cycleId) || null : null,
+    departmentId: allocation.departmentId || null,
+    bonusPercentage,
+    amount,
+    currency,
+    reportingAmount,
+    status: allocation.status || 'draft',
+    score: null,
+    evaluationId: null
+  };
+};
+
+/**
+ * One employee's bonus per allocation, oldest first. Unpaid allocations are only
+ * included on request, for allocators and HR looking at someone else's history.
+ */
+export const collectEmployeeHistory = (
+  allocations: StoredAllocation[],
+  employeeId: string,
+  context: HistoryContext,
+  { showAmounts, includeUnpaid }: { showAmounts: boolean; includeUnpaid: boolean }
+): Array<BonusHistoryEntry & { employeeId: string }> => {
+  const history: Array<BonusHistoryEntry & { employeeId: string }> = [];
+  allocations.forEach(allocation => {
+    if (!includeUnpaid && !PAID_STATUSES.includes(allocation.data.status)) return;
+    const entry = toHistoryEntry(allocation, employeeId, context, showAmounts);
+    if (entry) history.push({ ...entry, employeeId });
+  });
+
+  return history.sort((a, b) => a.year - b.year);
+};
+
+/**
+ * Every employee's bonus in the paid allocations, optionally limited to one role,
+ * sorted by year and name
+ */
+export const collectBreakdownLines = (
+  allocations: StoredAllocation[],
+  users: Map<string, FirebaseFirestore.DocumentData>,
+  context: HistoryContext,
+  role?: string
+): BonusBreakdownLine[] => {
+  const lines: BonusBreakdownLine[] = [];
+  allocations
+    .filter(allocation => PAID_STATUSES.includes(allocation.data.status))
+    .forEach(allocation => {
+      Object.keys(allocation.data.allocations || {}).forEach(employeeId => {
+        const employee = users.get(employeeId) || {};
+        if (role && employee.role !== role) return;
+
+        const entry = toHistoryEntry(allocation, employeeId, context, true);
+        if (!entry) return;
+        lines.push({
+          ...entry,
+          employeeId,
+          employeeName: employeeName(employee, employeeId),
+          role: employee.role || null
+        });
+      });
+    });
+
+  return lines.sort((a, b) => a.year - b.year || a.employeeName.localeCompare(b.employeeName));
+};
+
+/**
+ * Fills in each entry's review score: the latest completed evaluation in the bonus's
+ * cycle, or in its year for bonuses allocated without a cycle
+ */
+const attachScores = async (businessId: string, entries: Array<BonusHistoryEntry & { employeeId: string }>): Promise<void> => {
+  const periods = new Map<string, { cycleId?: string; year?: number }>();
+  entries.forEach(entry => {
+    const key = entry.cycleId || String(entry.year);
+    periods.set(key, entry.cycleId ? { cycleId: entry.cycleId } : { year: entry.year });
+  });
+
+  const scoresByPeriod = new Map<string, Map<string, { score: number | null; evaluationId: string }>>();
+  await Promise.all([...periods.entries()].map(async ([key, period]) => {
+    scoresByPeriod.set(key, await loadPeriodScores(businessId, period));
+  }));
+
+  entries.forEach(entry => {
+    const found = scoresByPeriod.get(entry.cycleId || String(entry.year))?.get(entry.employeeId);
+    entry.score = found?.score ?? null;
+    entry.evaluationId = found?.evaluationId || null;
+  });
+};
+
+const toStoredAllocations = (snapshot: FirebaseFirestore.QuerySnapshot): StoredAllocation[] =>
+  snapshot.docs.map(allocationDoc => ({ id: allocationDoc.id, data: allocationDoc.data() }));
+
+const loadCycleNames = async (businessId: string): Promise<Map<string, string>> => {
+  const cyclesSnapshot = await businessRef(businessId).collection('reviewCycles').get();
+  return new Map(cyclesSnapshot.docs.map(cycleDoc => [cycleDoc.id, cycleDoc.data().name || cycleDoc.id]));
+};
+
+/**
+ * Bonus history, one entry per allocation period.
+ *
+ * The employee view returns one employee's percentages per cycle next to their review
+ * score. Amounts (which reveal salaries) are only included for the employee, admins, HR
+ * and bonus allocators, and only they see bonuses that are not yet approved.
+ *
+ * The departments view feeds HR's year-over-year breakdown: every employee's bonus in the
+ * departments the caller may allocate for, filterable by department, cycle, year and role.
+ * Allocation documents hold whole departments' salaries, so entries are always cut down
+ * to what the caller may see before they are sent back.
+ */
+export const getBonusHistory = onCall({ cors: true }, async (request) => {
+  // Check if user is authenticated
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'User must be authenticated');
+  }
+
+  const filters: BonusHistoryFilters = request.data?.filters || {};
+
+  try {
+    const requestingUser = await getRequestingUser(request.auth.uid);
+    const { businessId } = requestingUser;
+
+    let allocationsQuery = db.collection('bonusAllocations')
+      .where('businessId', '==', businessId);
+
+    if (filters.year) {
+      allocationsQuery = allocationsQuery.where('year', '==', Number(filters.year));
+    }
+    if (filters.cycleId) {
+      allocationsQuery = allocationsQuery.where('cycleId', '==', filters.cycleId);
+    }
+
+    if (filters.view === 'departments') {
+      const scope = await getBonusScope(requestingUser);
+      if (!scope.canAllocateAnyDepartment && !scope.isHeadManager) {
+        throw new HttpsError('permission-denied', 'Only HR, admins and head managers can see the department breakdown');
+      }
+      // Head managers only see their own department
+      const departmentId = scope.canAllocateAnyDepartment ? filters.departmentId : scope.ownDepartmentId;
+      if (!departmentId && !scope.canAllocateAnyDepartment) {
+        throw new HttpsError('failed-precondition', 'You are not assigned to a department');
+      }
+      if (departmentId) {
+        allocationsQuery = allocationsQuery.where('departmentId', '==', departmentId);
+      }
+
+      const [allocationsSnapshot, usersSnapshot, cycleNames, reportingCurrency] = await Promise.all([
+        allocationsQuery.get(),
+        businessRef(businessId).collection('users').get(),
+        loadCycleNames(businessId),
+        getReportingCurrency(businessId)
+      ]);
+      const users = new Map(usersSnapshot.docs.map(userDoc => [userDoc.id, userDoc.data()]));
+
+      const lines = collectBreakdownLines(toStoredAllocations(allocationsSnapshot), users, { cycleNames, reportingCurrency }, filters.role);
+      await attachScores(businessId, lines);
+
+      return {
+        success: true,
+        view: 'departments',
+        reportingCurrency,
+        lines
+      };
+    }
+
+    const employeeId = filters.employeeId || request.auth.uid;
+    const isOwnHistory = employeeId === requestingUser.id;
+
+    if (!(await canViewEmployee(requestingUser, employeeId))) {
+      throw new HttpsError('permission-denied', 'Insufficient permissions to view this employee\'s bonus history');
+    }
+
+    // Salaries stay with the employee, admins, HR and whoever allocates their bonus
+    let showAmounts = isOwnHistory || isAdminOrHr(requestingUser) || hasPermission(requestingUser, 'canCalculateBonuses');
+    if (!showAmounts) {
+      const scope = await getBonusScope(requestingUser);
+      const employeeDoc = await businessRef(businessId).collection('users').doc(employeeId).get();
+      showAmounts = scope.assignedIds.includes(employeeId) ||
+        (scope.isHeadManager && !!scope.ownDepartmentId && employeeDoc.data()?.employeeInfo?.department === scope.ownDepartmentId);
+    }
+
+    const [allocationsSnapshot, cycleNames, reportingCurrency] = await Promise.all([
+      allocationsQuery.get(),
+      loadCycleNames(businessId),
+      getReportingCurrency(businessId)
+    ]);
+
+    // Drafts and allocations under review are for allocators and HR only
+    const history = collectEmployeeHistory(toStoredAllocations(allocationsSnapshot), employeeId, { cycleNames, reportingCurrency }, {
+      showAmounts,
+      includeUnpaid: !isOwnHistory && showAmounts
+    });
+    await attachScores(businessId, history);
+
+    return {
+      success: true,
+      view: 'employee',
+      employeeId,
+      reportingCurrency,
+      history
+    };
+
+  } catch (error: unknown) {
+    logger.error('Error loading bonus history:', error);
+
+    if (error instanceof HttpsError) {
+      throw error;
+    }
+
+    throw new HttpsError('internal', 'Failed to load bonus history');
+  }
+});
+
+/**
+ * Allocation documents are keyed by department, review cycle (or year for periods without
+ * a cycle) and allocator, so two allocators in one department keep separate drafts
+ * (frontend cycleUtils.getBonusAllocationId)
+ */
+export const bonusAllocationId = (
+  departmentId: string,
+  period: { cycleId?: string | null; year?: number | null },
+  allocatorId: string
+): string => `${departmentId}_${period.cycleId || period.year}_${allocatorId}`;
+
+export interface BonusScope {
+  // Admin, HR or canCalculateBonuses: any department, any employee
+  canAllocateAnyDepartment: boolean;
+  isHeadManager: boolean;
+  ownDepartmentId: string | null;
+  // Recipients of the caller's active bonus assignments
+  assignedIds: string[];
+}
+
+/**
+ * Who the caller may allocate bonuses to. Mirrors isAllocator in firestore.rules; everyone
+ * else is limited to their own department and bonus assignments.
+ */
+export const getBonusScope = async (user: RequestingUser): Promise<BonusScope> => {
+  const assignmentsSnapshot = await businessRef(user.businessId).collection('bonusAssignments')
+    .where('allocatorId', '==', user.id)
+    .where('active', '==', true)
+    .get();
+
+  return {
+    canAllocateAnyDepartment: isAdminOrHr(user) || hasPermission(user, 'canCalculateBonuses'),
+    isHeadManager: user.data.role === 'head-manager',
+    ownDepartmentId: user.data.employeeInfo?.department || null,
+    assignedIds: assignmentsSnapshot.docs.map(assignmentDoc => assignmentDoc.data().recipientId as string)
+  };
+};
+
+export const assertDepartmentAccess = (scope: BonusScope, departmentId: string): void => {
+  if (!scope.canAllocateAnyDepartment && departmentId !== scope.ownDepartmentId) {
+    throw new HttpsError('permission-denied', 'You can only allocate bonuses for your own department');
+  }
+  if (!scope.canAllocateAnyDepartment && !scope.isHeadManager && scope.assignedIds.length === 0) {
+    throw new HttpsError('permission-denied', 'You have no bonus assignments');
+  }
+};
+
+/**
+ * Department members (for admins, HR and head managers) plus anyone assigned to the caller,
+ * never the caller themselves
+ */
+export const loadAllocatableEmployees = async (
+  user: RequestingUser,
+  scope: BonusScope,
+  departmentId: string
+): Promise<Map<string, FirebaseFirestore.DocumentData>> => {
+  const usersRef = businessRef(user.businessId).collection('users');
+  const employees = new Map<string, FirebaseFirestore.DocumentData>();
+
+  if (scope.canAllocateAnyDepartment || scope.isHeadManager) {
+    const membersSnapshot = await usersRef.where('employeeInfo.department', '==', departmentId).get();
+    membersSnapshot.docs.forEach(memberDoc => employees.set(memberDoc.id, memberDoc.data()));
+  }
+
+  const missingAssigned = scope.assignedIds.filter(id => !employees.has(id));
+  const assignedDocs = await Promise.all(missingAssigned.map(id => usersRef.doc(id).get()));
+  assignedDocs.forEach(userDoc => {
+    if (userDoc.exists) employees.set(userDoc.id, userDoc.data() || {});
+  });
+
+  employees.delete(user.id);
+  return employees;
+};
+
+export const employeeName = (employee: FirebaseFirestore.DocumentData, fallback: string): string =>
+  `${employee.profile?.firstName || ''} ${employee.profile?.lastName || ''}`.trim() || employee.profile?.email || fallback;
+
+export interface CalculateBonusesRequest {
+  departmentId?: string;
+  cycleId?: string;
+  year?: number;
+  strategy: string;
+  options?: BonusOptions;
+  // Overrides the department budget, e.g. the budget typed on the allocation page
+  budget?: number;
+  // Budget as a percentage of the annual payroll (12 monthly salaries), e.g. "a 5% budget"
+  budgetPercent?: number;
+  // Monthly salaries by employee id; defaults to the salaries in the saved allocation draft
+  salaries?: Record<string, unknown>;
+  // Salary currency by employee id; defaults to the draft's, then the reporting currency
+  currencies?: Record<string, unknown>;
+}
+
+export type BudgetSource = 'override' | 'payroll' | 'department';
+
+// Amounts and monthlySalary are in the reporting currency; localSalary is as entered
+export interface SimulatedBonusLine extends BonusLine {
+  currency: string;
+  localSalary: number | null;
+}
+
+export interface BonusSimulation extends Omit<BonusDistribution, 'lines'> {
+  lines: SimulatedBonusLine[];
+  reportingCurrency: string;
+  exchangeRates: ExchangeRates;
+  departmentId: string;
+  cycleId: string | null;
+  year: number | null;
+  budgetSource: BudgetSource;
+  budgetPercent: number | null;
+  options: Required<BonusOptions>;
+}
+
+export const toAmount = (value: unknown): number | null => {
+  const amount = typeof value === 'string' ? parseFloat(value) : value;
+  return typeof amount === 'number' && Number.isFinite(amount) && amount >= 0 ? amount : null;
+};
+
+const completedAtMillis = (evaluation: FirebaseFirestore.DocumentData): number => {
+  const completedAt = evaluation.completedAt;
+  if (completedAt?.toMillis) return completedAt.toMillis();
+  return new Date(completedAt || evaluation.assignedDate || 0).getTime();
+};
+
+/**
+ * The evaluation score (0-100) of each employee for the period, from their latest
+ * completed review. Older reviews without stored scores fall back to overallRating.
+ */
+const loadPeriodScores = async (
+  businessId: string,
+  period: { cycleId?: string; year?: number }
+): Promise<Map<string, { score: number | null; evaluationId: string }>> => {
+  let evaluationsQuery = businessRef(businessId).collection('evaluations').where('status', '==', 'completed');
+  if (period.cycleId) {
+    evaluationsQuery = evaluationsQuery.where('cycleId', '==', period.cycleId);
+  }
+
+  const snapshot = await evaluationsQuery.get();
+  const latest = new Map<string, FirebaseFirestore.QueryDocumentSnapshot>();
+
+  snapshot.docs.forEach(evaluationDoc => {
+    const evaluation = evaluationDoc.data();
+    // Without a cycle, a review counts towards the year it was assigned in
+    if (!period.cycleId && new Date(evaluation.assignedDate).getFullYear() !== period.year) return;
+
+    const current = latest.get(evaluation.evaluateeId);
+    if (!current || completedAtMillis(evaluation) > completedAtMillis(current.data())) {
+      latest.set(evaluation.evaluateeId, evaluationDoc);
+    }
+  });
+
+  const scores = new Map<string, { score: number | null; evaluationId: string }>();
+  latest.forEach((evaluationDoc, employeeId) => {
+    const evaluation = evaluationDoc.data();
+    const stored = evaluation.scores?.normalizedScore;
+    const score = typeof stored === 'number'
+      ? stored
+      : normalizeScore(evaluation.scores?.finalScore ?? evaluation.managerReview?.overallRating, resolveRatingScale(evaluation));
+    scores.set(employeeId, { score, evaluationId: evaluationDoc.id });
+  });
+
+  return scores;
+};
+
+/**
+ * Runs a distribution strategy for a department and review period, checking the inputs
+ * and the caller's access. Shared by calculateBonuses and saved scenarios.
+ */
+export const simulateBonuses = async (
+  requestingUser: RequestingUser,
+  data: CalculateBonusesRequest
+): Promise<BonusSimulation> => {
+  const { options, errors } = validateBonusOptions(data.strategy, data.options || {});
+  if (errors.length > 0) {
+    throw new HttpsError('invalid-argument', errors.join('; '));
+  }
+  if (!data.cycleId && !Number.isInteger(Number(data.year))) {
+    throw new HttpsError('invalid-argument', 'Choose a review cycle or a year');
+  }
+  if (data.budget !== undefined && data.budget !== null && toAmount(data.budget) === null) {
+    throw new HttpsError('invalid-argument', 'The budget must be a positive amount');
+  }
+  const budgetPercent = data.budgetPercent !== undefined && data.budgetPercent !== null ? toAmount(data.budgetPercent) : null;
+  if (data.budgetPercent !== undefined && data.budgetPercent !== null && (budgetPercent === null || budgetPercent > 100)) {
+    throw new HttpsError('invalid-argument', 'The budget percentage must be between 0 and 100');
+  }
+
+  const { businessId } = requestingUser;
+  const scope = await getBonusScope(requestingUser);
+  const departmentId = data.departmentId || scope.ownDepartmentId;
+  const period = data.cycleId ? { cycleId: data.cycleId } : { year: Number(data.year) };
+
+  if (!departmentId) {
+    throw new HttpsError('invalid-argument', 'Missing department');
+  }
+  assertDepartmentAccess(scope, departmentId);
+
+  const [departmentDoc, employees, allocationDoc, scores, currencyContext] = await Promise.all([
+    businessRef(businessId).collection('departments').doc(departmentId).get(),
+    loadAllocatableEmployees(requestingUser, scope, departmentId),
+    db.collection('bonusAllocations').doc(bonusAllocationId(departmentId, period, requestingUser.id)).get(),
+    loadPeriodScores(businessId, period),
+    loadCurrencyContext(businessId, period)
+  ]);
+
+  if (!departmentDoc.exists) {
+    throw new HttpsError('not-found', 'Department not found');
+  }
+
+  const savedAllocations = allocationDoc.exists && allocationDoc.data()?.businessId === businessId
+    ? allocationDoc.data()?.allocations || {}
+    : {};
+
+  // Strategies compare salaries, so they all run in the reporting currency
+  const salaryCurrencies = new Map<string, { currency: string; localSalary: number | null }>();
+  const missingRates = new Set<string>();
+  const candidates: BonusCandidate[] = [...employees.entries()]
+    .filter(([, employee]) => employee.isActive !== false)
+    .map(([employeeId, employee]) => {
+      const requested = data.currencies?.[employeeId] ?? savedAllocations[employeeId]?.currency;
+      const currency = isCurrencyCode(requested) ? requested : currencyContext.reportingCurrency;
+      const localSalary = toAmount(data.salaries?.[employeeId] ?? savedAllocations[employeeId]?.monthlySalary);
+      if (localSalary !== null && !hasRate(currency, currencyContext)) missingRates.add(currency);
+      salaryCurrencies.set(employeeId, { currency, localSalary });
+
+      return {
+        employeeId,
+        name: employeeName(employee, employeeId),
+        monthlySalary: localSalary !== null ? toReportingAmount(localSalary, currency, currencyContext) : null,
+        score: scores.get(employeeId)?.score ?? null,
+        evaluationId: scores.get(employeeId)?.evaluationId || null
+      };
+    })
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  if (missingRates.size > 0) {
+    throw new HttpsError('failed-precondition', `No exchange rate for ${[...missingRates].join(', ')} in this period`, {
+      missingRates: [...missingRates]
+    });
+  }
+
+  let budget = toAmount(data.budget);
+  let budgetSource: BudgetSource = 'override';
+  if (budget === null && budgetPercent !== null) {
+    const annualPayroll = candidates.reduce((sum, candidate) => sum + (candidate.monthlySalary || 0) * 12, 0);
+    budget = Math.round(annualPayroll * budgetPercent) / 100;
+    budgetSource = 'payroll';
+  } else if (budget === null) {
+    budget = toAmount(departmentDoc.data()?.budget);
+    budgetSource = 'department';
+  }
+  if (!budget) {
+    throw new HttpsError('failed-precondition', budgetSource === 'payroll'
+      ? 'Enter salaries before using a payroll-based budget'
+      : 'This department has no bonus budget; set one on the Departments page');
+  }
+
+  const distribution = distributeBudget(data.strategy as BonusStrategy, candidates, budget, options);
+
+  logger.info('Bonus simulation calculated', {
+    businessId,
+    departmentId,
+    period,
+    strategy: data.strategy,
+    employees: candidates.length,
+    totalAllocated: distribution.totalAllocated
+  });
+
+  return {
+    ...distribution,
+    lines: distribution.lines.map(line => ({
+      ...line,
+      currency: salaryCurrencies.get(line.employeeId)?.currency || currencyContext.reportingCurrency,
+      localSalary: salaryCurrencies.get(line.employeeId)?.localSalary ?? null
+    })),
+    reportingCurrency: currencyContext.reportingCurrency,
+    exchangeRates: snapshotRates([...salaryCurrencies.values()].map(entry => entry.currency), currencyContext),
+    departmentId,
+    cycleId: data.cycleId || null,
+    year: data.cycleId ? null : Number(data.year),
+    budgetSource,
+    budgetPercent: budgetSource === 'payroll' ? budgetPercent : null,
+    options
+  };
+};
+
+/**
+ * Simulates a bonus distribution for a department and review period. Nothing is saved;
+ * the caller copies the result into an allocation draft if they want to keep it.
+ */
+export const calculateBonuses = onCall({ cors: true }, async (request) => {
+  // Check if user is authenticated
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'User must be authenticated');
+  }
+
+  try {
+    const requestingUser = await getRequestingUser(request.auth.uid);
+    const simulation = await simulateBonuses(requestingUser, (request.data || {}) as CalculateBonusesRequest);
+
+    return {
+      success: true,
+      simulation
+    };
+
+  } catch (error: unknown) {
+    logger.error('Error calculating bonuses:', error);
+
+    if (error instanceof HttpsError) {
+      throw error;
+    }
+
+    throw new HttpsError('internal', 'Failed to calculate bonuses');
+  }
+});
@@ -0,0 +1,45 @@
+import { CurrencyContext, hasRate, isCurrencyCode, snapshotRates, toReportingAmount, validateExchangeRates } from './currency';
+
+const context: CurrencyContext = { reportingCurrency: 'USD', rates: { EUR: 1.08, GBP: 1.27 } };
+
+describe('isCurrencyCode', () => {
+  it('accepts three upper-case letters only', () => {
+    expect(isCurrencyCode('EUR')).toBe(true);
+    expect(isCurrencyCode('eur')).toBe(false);
+    expect(isCurrencyCode('EURO')).toBe(false);
+    expect(isCurrencyCode(null)).toBe(false);
+  });
+});
+
+describe('validateExchangeRates', () => {
+  it('normalizes codes, parses rates and drops the reporting currency', () => {
+    expect(validateExchangeRates({ ' eur ': '1.08', GBP: 1.27, USD: 1 }, 'USD')).toEqual({ EUR: 1.08, GBP: 1.27 });
+    expect(validateExchangeRates({}, 'USD')).toEqual({});
+  });
+
+  it('rejects anything but a table of positive rates', () => {
+    expect(() => validateExchangeRates([['EUR', 1.08]], 'USD')).toThrow('Exchange rates must map currency codes to rates');
+    expect(() => validateExchangeRates({ EURO: 1.08 }, 'USD')).toThrow('Unknown currency code: EURO');
+    expect(() => validateExchangeRates({ EUR: 0 }, 'USD')).toThrow('The rate for EUR must be a positive number');
+    expect(() => validateExchangeRates({ EUR: 'abc' }, 'USD')).toThrow('The rate for EUR must be a positive number');
+  });
+});
+
+describe('toReportingAmount', () => {
+  it('converts to the reporting currency, rounded to cents', () => {
+    expect(toReportingAmount(1000, 'USD', context)).toBe(1000);
+    expect(toReportingAmount(1234.56, 'EUR', context)).toBe(1333.32);
+  });
+
+  it('returns null without a rate for the period', () => {
+    expect(toReportingAmount(1000, 'JPY', context)).toBeNull();
+    expect(hasRate('JPY', context)).toBe(false);
+    expect(hasRate('USD', { reportingCurrency: 'USD', rates: {} })).toBe(true);
+  });
+});
+
+describe('snapshotRates', () => {
+  it('keeps only the rates the allocation used', () => {
+    expect(snapshotRates(new Set(['USD', 'EUR', 'JPY']), context)).toEqual({ EUR: 1.08 });
+  });
+});
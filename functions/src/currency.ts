@@ -0,0 +1,102 @@
+/**
+ * Salary Currencies and Exchange Rates
+ *
+ * Each salary in a bonus allocation is entered in the employee's own currency. Budgets,
+ * limits and totals are in the business reporting currency (settings.defaultCurrency).
+ * HR keeps an exchange-rate table on every review cycle: how many units of the reporting
+ * currency one unit of another currency is worth. Allocations made for a year without a
+ * cycle have no table, so their salaries must be in the reporting currency.
+ */
+
+import { HttpsError } from 'firebase-functions/v2/https';
+import { businessRef } from './access';
+
+export const DEFAULT_CURRENCY = 'USD';
+
+export type ExchangeRates = Record<string, number>;
+
+export interface CurrencyContext {
+  reportingCurrency: string;
+  rates: ExchangeRates;
+}
+
+export const isCurrencyCode = (value: unknown): value is string =>
+  typeof value === 'string' && /^[A-Z]{3}$/.test(value);
+
+export const getReportingCurrency = async (businessId: string): Promise<string> => {
+  const businessDoc = await businessRef(businessId).get();
+  const currency = businessDoc.data()?.settings?.defaultCurrency;
+  return isCurrencyCode(currency) ? currency : DEFAULT_CURRENCY;
+};
+
+/**
+ * Checks a rate table from the Review Cycles page: three-letter codes mapped to positive
+ * rates, leaving out the reporting currency itself
+ */
+export const validateExchangeRates = (input: unknown, reportingCurrency: string): ExchangeRates => {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new HttpsError('invalid-argument', 'Exchange rates must map currency codes to rates');
+  }
+
+  const rates: ExchangeRates = {};
+  Object.entries(input as Record<string, unknown>).forEach(([code, value]) => {
+    const currency = code.trim().toUpperCase();
+    const rate = typeof value === 'string' ? parseFloat(value) : value;
+    if (!isCurrencyCode(currency)) {
+      throw new HttpsError('invalid-argument', `Unknown currency code: ${code}`);
+    }
+    if (typeof rate !== 'number' || !Number.isFinite(rate) || rate <= 0) {
+      throw new HttpsError('invalid-argument', `The rate for ${currency} must be a positive number`);
+    }
+    if (currency !== reportingCurrency) {
+      rates[currency] = rate;
+    }
+  });
+
+  return rates;
+};
+
+/**
+ * The reporting currency and the period's exchange rates. Rates entered against another
+ * reporting currency (before the business changed it) are not used.
+ */
+export const loadCurrencyContext = async (
+  businessId: string,
+  period: { cycleId?: string | null }
+): Promise<CurrencyContext> => {
+  const [reportingCurrency, cycleDoc] = await Promise.all([
+    getReportingCurrency(businessId),
+    period.cycleId ? businessRef(businessId).collection('reviewCycles').doc(period.cycleId).get() : Promise.resolve(null)
+  ]);
+
+  const table = cycleDoc?.data()?.exchangeRates;
+  const rates = table?.baseCurrency === reportingCurrency && table.rates ? table.rates as ExchangeRates : {};
+
+  return { reportingCurrency, rates };
+};
+
+/**
+ * Converts an amount into the reporting currency, or null when the period has no rate
+ */
+export const toReportingAmount = (amount: number, currency: string, context: CurrencyContext): number | null => {
+  if (currency === context.reportingCurrency) return amount;
+  const rate = context.rates[currency];
+  return rate ? Math.round(amount * rate * 100) / 100 : null;
+};
+
+export const hasRate = (currency: string, context: CurrencyContext): boolean =>
+  currency === context.reportingCurrency || Boolean(context.rates[currency]);
+
+/**
+ * The rates an allocation was calculated with, kept on the allocation so its totals do
+ * not move when HR edits the cycle's table later
+ */
+export const snapshotRates = (currencies: Iterable<string>, context: CurrencyContext): ExchangeRates => {
+  const snapshot: ExchangeRates = {};
+  for (const currency of currencies) {
+    if (currency !== context.reportingCurrency && context.rates[currency]) {
+      snapshot[currency] = context.rates[currency];
+    }
+  }
+  return snapshot;
+};
@@ -0,0 +1,331 @@
+/**
+ * Cloud Functions for Review Cycles
+ *
+ * A review cycle is one review period (annual review, mid-year check-in, a quarter…).
+ * Evaluations, assignments and bonus allocations point at it through cycleId so
+ * several cycles can run side by side.
+ */
+
+import { onCall, HttpsError } from 'firebase-functions/v2/https';
+import { logger } from 'firebase-functions';
+import { FieldValue, Transaction } from 'firebase-admin/firestore';
+import { getRequestingUser, isAdminOrHr, businessRef, RequestingUser } from './access';
+import { getReportingCurrency, validateExchangeRates } from './currency';
+
+export type CycleType = 'annual' | 'mid-year' | 'quarterly' | 'check-in' | 'custom';
+export type CycleStatus = 'open' | 'closed';
+
+// Phase deadlines in the order they happen
+export const CYCLE_PHASES = ['selfAssessment', 'managerReview', 'calibration', 'signOff'] as const;
+export type CyclePhase = typeof CYCLE_PHASES[number];
+
+const CYCLE_TYPES: CycleType[] = ['annual', 'mid-year', 'quarterly', 'check-in', 'custom'];
+
+export interface ReviewCycle {
+  name: string;
+  type: CycleType;
+  periodStart: string;
+  periodEnd: string;
+  templateId: string | null;
+  participantIds: string[];
+  phaseDeadlines: Partial<Record<CyclePhase, string | null>>;
+  includesBonus: boolean;
+  status: CycleStatus;
+  // Set by the launcher once evaluations have been created for the cycle
+  launchedAt?: string | null;
+  // Template version of the first launch; later evaluations in the cycle use it too
+  templateVersion?: number | null;
+}
+
+interface CycleInput {
+  name?: string;
+  type?: string;
+  periodStart?: string;
+  periodEnd?: string;
+  templateId?: string | null;
+  participantIds?: string[];
+  phaseDeadlines?: Partial<Record<CyclePhase, string | null>>;
+  includesBonus?: boolean;
+}
+
+const toIsoDate = (value: unknown, field: string): string => {
+  const date = new Date(value as string);
+  if (!value || isNaN(date.getTime())) {
+    throw new HttpsError('invalid-argument', `Invalid ${field}`);
+  }
+  return date.toISOString();
+};
+
+/**
+ * Normalizes cycle fields and checks the period and phase deadlines are in order
+ */
+const validateCycle = (input: CycleInput): Omit<ReviewCycle, 'status'> => {
+  const name = (input.name || '').trim();
+  if (!name) {
+    throw new HttpsError('invalid-argument', 'Cycle name is required');
+  }
+
+  const type = (input.type || 'annual') as CycleType;
+  if (!CYCLE_TYPES.includes(type)) {
+    throw new HttpsError('invalid-argument', `Unknown cycle type: ${input.type}`);
+  }
+
+  const periodStart = toIsoDate(input.periodStart, 'period start');
+  const periodEnd = toIsoDate(input.periodEnd, 'period end');
+  if (periodStart >= periodEnd) {
+    throw new HttpsError('invalid-argument', 'Period end must be after period start');
+  }
+
+  const phaseDeadlines: Partial<Record<CyclePhase, string | null>> = {};
+  let previousDeadline: string | null = null;
+  for (const phase of CYCLE_PHASES) {
+    const value = input.phaseDeadlines?.[phase];
+    if (!value) {
+      phaseDeadlines[phase] = null;
+      continue;
+    }
+
+    const deadline = toIsoDate(value, `${phase} deadline`);
+    if (previousDeadline && deadline < previousDeadline) {
+      throw new HttpsError('invalid-argument', 'Phase deadlines must follow each other in order');
+    }
+    phaseDeadlines[phase] = deadline;
+    previousDeadline = deadline;
+  }
+
+  return {
+    name,
+    type,
+    periodStart,
+    periodEnd,
+    templateId: input.templateId || null,
+    participantIds: Array.isArray(input.participantIds) ? [...new Set(input.participantIds.filter(Boolean))] : [],
+    phaseDeadlines,
+    includesBonus: input.includesBonus === true
+  };
+};
+
+const requireCycleManager = async (uid: string): Promise<RequestingUser> => {
+  const requestingUser = await getRequestingUser(uid);
+  if (!isAdminOrHr(requestingUser)) {
+    throw new HttpsError('permission-denied', 'Only admin and HR can manage review cycles');
+  }
+  return requestingUser;
+};
+
+const handleCycleError = (error: unknown, message: string): never => {
+  logger.error(`${message}:`, error);
+
+  if (error instanceof HttpsError) {
+    throw error;
+  }
+
+  throw new HttpsError('internal', message);
+};
+
+/**
+ * Loads a cycle that evaluations can still be created in or worked on.
+ * Pass a transaction to read it as part of a status change.
+ */
+export const getOpenCycle = async (
+  businessId: string,
+  cycleId: string,
+  transaction?: Transaction
+): Promise<ReviewCycle> => {
+  const cycleRef = businessRef(businessId).collection('reviewCycles').doc(cycleId);
+  const cycleDoc = transaction ? await transaction.get(cycleRef) : await cycleRef.get();
+
+  if (!cycleDoc.exists) {
+    throw new HttpsError('not-found', 'Review cycle not found');
+  }
+
+  const cycle = cycleDoc.data() as ReviewCycle;
+  if (cycle.status === 'closed') {
+    throw new HttpsError('failed-precondition', `Review cycle "${cycle.name}" is closed`);
+  }
+
+  return cycle;
+};
+
+/**
+ * An empty participant list means everyone in the business takes part
+ */
+export const isCycleParticipant = (cycle: ReviewCycle, userId: string): boolean => {
+  return !cycle.participantIds?.length || cycle.participantIds.includes(userId);
+};
+
+/**
+ * Creates a review cycle in the open state
+ */
+export const createReviewCycle = onCall({ cors: true }, async (request) => {
+  // Check if user is authenticated
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'User must be authenticated');
+  }
+
+  try {
+    const requestingUser = await requireCycleManager(request.auth.uid);
+    const cycle = validateCycle(request.data || {});
+
+    const cycleRef = await businessRef(requestingUser.businessId).collection('reviewCycles').add({
+      ...cycle,
+      status: 'open' as CycleStatus,
+      createdBy: requestingUser.id,
+      createdAt: FieldValue.serverTimestamp(),
+      updatedAt: FieldValue.serverTimestamp()
+    });
+
+    logger.info('Created review cycle', { cycleId: cycleRef.id, businessId: requestingUser.businessId });
+
+    return {
+      success: true,
+      message: 'Review cycle created successfully',
+      cycleId: cycleRef.id
+    };
+
+  } catch (error: unknown) {
+    return handleCycleError(error, 'Failed to create review cycle');
+  }
+});
+
+/**
+ * Updates the period, deadlines, template or participants of an open cycle
+ */
+export const updateReviewCycle = onCall({ cors: true }, async (request) => {
+  // Check if user is authenticated
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'User must be authenticated');
+  }
+
+  const { cycleId, updates } = request.data || {};
+  if (!cycleId || !updates) {
+    throw new HttpsError('invalid-argument', 'Missing cycle ID or updates');
+  }
+
+  try {
+    const requestingUser = await requireCycleManager(request.auth.uid);
+    const existing = await getOpenCycle(requestingUser.businessId, cycleId);
+    const cycle = validateCycle({ ...existing, ...updates });
+
+    if (typeof existing.templateVersion === 'number' && cycle.templateId !== existing.templateId) {
+      throw new HttpsError('failed-precondition', 'The template of a launched cycle cannot be changed');
+    }
+
+    await businessRef(requestingUser.businessId).collection('reviewCycles').doc(cycleId).update({
+      ...cycle,
+      updatedAt: FieldValue.serverTimestamp()
+    });
+
+    return {
+      success: true,
+      message: 'Review cycle updated successfully',
+      cycleId
+    };
+
+  } catch (error: unknown) {
+    return handleCycleError(error, 'Failed to update review cycle');
+  }
+});
+
+/**
+ * Closes or reopens a cycle. Closed cycles are read-only: no new evaluations
+ * and no further status changes on the ones in it.
+ */
+export const setReviewCycleStatus = onCall({ cors: true }, async (request) => {
+  // Check if user is authenticated
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'User must be authenticated');
+  }
+
+  const { cycleId, status } = request.data || {};
+  if (!cycleId || !['open', 'closed'].includes(status)) {
+    throw new HttpsError('invalid-argument', 'Missing cycle ID or invalid status');
+  }
+
+  try {
+    const requestingUser = await requireCycleManager(request.auth.uid);
+    const cycleRef = businessRef(requestingUser.businessId).collection('reviewCycles').doc(cycleId);
+    const cycleDoc = await cycleRef.get();
+
+    if (!cycleDoc.exists) {
+      throw new HttpsError('not-found', 'Review cycle not found');
+    }
+
+    await cycleRef.update({
+      status,
+      closedAt: status === 'closed' ? FieldValue.serverTimestamp() : null,
+      closedBy: status === 'closed' ? requestingUser.id : null,
+      updatedAt: FieldValue.serverTimestamp()
+    });
+
+    logger.info('Changed review cycle status', { cycleId, status, businessId: requestingUser.businessId });
+
+    return {
+      success: true,
+      message: status === 'closed' ? 'Review cycle closed' : 'Review cycle reopened',
+      cycleId,
+      status
+    };
+
+  } catch (error: unknown) {
+    return handleCycleError(error, 'Failed to change review cycle status');
+  }
+});
+
+/**
+ * Replaces the cycle's exchange-rate table. Rates stay editable after the cycle closes,
+ * since bonuses are usually allocated afterwards; approved allocations keep the rates
+ * they were approved with.
+ */
+export const setCycleExchangeRates = onCall({ cors: true }, async (request) => {
+  // Check if user is authenticated
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'User must be authenticated');
+  }
+
+  const { cycleId, rates } = request.data || {};
+  if (!cycleId) {
+    throw new HttpsError('invalid-argument', 'Missing cycle ID');
+  }
+
+  try {
+    const requestingUser = await requireCycleManager(request.auth.uid);
+    const cycleRef = businessRef(requestingUser.businessId).collection('reviewCycles').doc(cycleId);
+    const [cycleDoc, reportingCurrency] = await Promise.all([
+      cycleRef.get(),
+      getReportingCurrency(requestingUser.businessId)
+    ]);
+
+    if (!cycleDoc.exists) {
+      throw new HttpsError('not-found', 'Review cycle not found');
+    }
+
+    const validRates = validateExchangeRates(rates, reportingCurrency);
+    await cycleRef.update({
+      exchangeRates: {
+        baseCurrency: reportingCurrency,
+        rates: validRates,
+        updatedBy: requestingUser.id,
+        updatedAt: FieldValue.serverTimestamp()
+      },
+      updatedAt: FieldValue.serverTimestamp()
+    });
+
+    logger.info('Updated cycle exchange rates', {
+      cycleId,
+      businessId: requestingUser.businessId,
+      currencies: Object.keys(validRates)
+    });
+
+    return {
+      success: true,
+      message: 'Exchange rates updated',
+      cycleId,
+      baseCurrency: reportingCurrency,
+      rates: validRates
+    };
+
+  } catch (error: unknown) {
+    return handleCycleError(error, 'Failed to update exchange rates');
+  }
+});
@@ -0,0 +1,102 @@
+import { buildEvaluateeContext, EvaluateeContext, filterVisibleCategories, getVisibleCategories, RuleCategory } from './displayRules';
+
+const hired = (date: Date) => ({ toDate: () => date });
+
+const engineer: EvaluateeContext = { role: 'employee', department: 'eng', tenureMonths: 8 };
+
+const categories: RuleCategory[] = [
+  {
+    id: 'basics',
+    questions: [
+      { id: 'remote', type: 'yesNo' },
+      { id: 'skills', type: 'checklist', options: ['SQL', 'Go'] },
+      { id: 'rating' }
+    ]
+  },
+  {
+    id: 'leadership',
+    displayRules: { match: 'any', conditions: [{ field: 'role', operator: 'in', values: ['manager', 'supervisor'] }] },
+    questions: [{ id: 'coaching' }]
+  },
+  {
+    id: 'followUp',
+    questions: [
+      { id: 'setup', displayRules: { match: 'all', conditions: [{ field: 'answer', operator: 'equals', questionRef: 'basics/remote', value: true }] } },
+      { id: 'sql', displayRules: { match: 'all', conditions: [{ field: 'answer', operator: 'includes', questionRef: 'basics/skills', value: 'SQL' }] } },
+      { id: 'strong', displayRules: { match: 'all', conditions: [{ field: 'answer', operator: 'gte', questionRef: 'basics/rating', value: 4 }] } },
+      { id: 'coached', displayRules: { match: 'all', conditions: [{ field: 'answer', operator: 'gte', questionRef: 'leadership/coaching', value: 1 }] } }
+    ]
+  },
+  {
+    id: 'onboarding',
+    displayRules: {
+      match: 'all',
+      conditions: [
+        { field: 'tenure', operator: 'lt', value: 12 },
+        { field: 'department', operator: 'notIn', values: ['sales'] }
+      ]
+    },
+    questions: [{ id: 'ramp' }]
+  }
+];
+
+const ids = (visible: RuleCategory[]) => visible.map(category => `${category.id}:${(category.questions || []).map(q => q.id).join(',')}`);
+
+describe('buildEvaluateeContext', () => {
+  it('counts whole months of tenure up to the evaluation', () => {
+    const user = { role: 'employee', employeeInfo: { department: 'eng', hireDate: hired(new Date(2024, 0, 31)) } };
+
+    expect(buildEvaluateeContext(user, new Date(2025, 2, 15))).toEqual({ role: 'employee', department: 'eng', tenureMonths: 13 });
+    expect(buildEvaluateeContext(user, new Date(2025, 2, 31)).tenureMonths).toBe(14);
+  });
+
+  it('leaves unknown attributes null', () => {
+    expect(buildEvaluateeContext({ employeeInfo: { hireDate: 'not a date' } })).toEqual({ role: null, department: null, tenureMonths: null });
+    expect(buildEvaluateeContext(undefined)).toEqual({ role: null, department: null, tenureMonths: null });
+  });
+});
+
+describe('filterVisibleCategories', () => {
+  it('shows everything for evaluations created before display rules', () => {
+    expect(filterVisibleCategories(categories, null, undefined)).toBe(categories);
+  });
+
+  it('filters categories on role, department and tenure', () => {
+    expect(ids(filterVisibleCategories(categories, engineer, undefined))).toEqual(['basics:remote,skills,rating', 'onboarding:ramp']);
+    expect(ids(filterVisibleCategories(categories, { role: 'manager', department: 'sales', tenureMonths: 3 }, undefined)))
+      .toEqual(['basics:remote,skills,rating', 'leadership:coaching']);
+  });
+
+  it('never matches an unknown tenure', () => {
+    expect(ids(filterVisibleCategories(categories, { ...engineer, tenureMonths: null }, undefined))).toEqual(['basics:remote,skills,rating']);
+  });
+
+  it('branches on earlier answers of the evaluatee', () => {
+    const responses = {
+      basics: { remote: { selfAnswer: true }, skills: { selfAnswer: ['SQL'] }, rating: { selfRating: 4 } },
+      leadership: { coaching: { selfRating: 5 } }
+    };
+
+    expect(ids(filterVisibleCategories(categories, engineer, responses)))
+      .toEqual(['basics:remote,skills,rating', 'followUp:setup,sql,strong', 'onboarding:ramp']);
+  });
+
+  it('reads the answers of the given role', () => {
+    const responses = { basics: { remote: { selfAnswer: false, answer: true } } };
+
+    expect(ids(filterVisibleCategories(categories, engineer, responses))).not.toContain('followUp:setup');
+    expect(ids(filterVisibleCategories(categories, engineer, responses, 'rater'))).toContain('followUp:setup');
+  });
+});
+
+describe('getVisibleCategories', () => {
+  it('branches on the self-assessment of a stored evaluation', () => {
+    const evaluation = {
+      categories,
+      evaluateeContext: engineer,
+      responses: { selfAssessment: { categoryResponses: { basics: { rating: { selfRating: 5 } } } } }
+    };
+
+    expect(ids(getVisibleCategories(evaluation))).toEqual(['basics:remote,skills,rating', 'followUp:strong', 'onboarding:ramp']);
+  });
+});
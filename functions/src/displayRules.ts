@@ -0,0 +1,181 @@
+/**
+ * Display rules for template categories and questions
+ *
+ * A category or question with displayRules is only shown when its conditions hold for
+ * the evaluatee: their role, department, tenure, or their own answer to an earlier
+ * question. Conditions are checked against the evaluatee context captured when the
+ * evaluation was created, so later profile changes do not alter a running review.
+ * Hidden questions are not validated and do not count towards the score.
+ *
+ * Mirrored in frontend/src/utils/displayRules.js.
+ */
+
+import { isRatedQuestion, TemplateQuestion, RATING_FIELDS, ANSWER_FIELDS, AnswerRole } from './questionTypes';
+
+export type ConditionField = 'role' | 'department' | 'tenure' | 'answer';
+export type ConditionOperator = 'in' | 'notIn' | 'gte' | 'lt' | 'equals' | 'notEquals' | 'lte' | 'includes';
+
+export interface DisplayCondition {
+  field: ConditionField;
+  operator: ConditionOperator;
+  // role/department: the values to match
+  values?: string[];
+  // tenure (months) and answer comparisons
+  value?: string | number | boolean;
+  // answer: "categoryId/questionId" of an earlier question
+  questionRef?: string;
+}
+
+export interface DisplayRules {
+  match: 'all' | 'any';
+  conditions: DisplayCondition[];
+}
+
+export interface EvaluateeContext {
+  role: string | null;
+  department: string | null;
+  // Whole months between hire date and evaluation creation, null when unknown
+  tenureMonths: number | null;
+}
+
+export interface RuleCategory {
+  id?: string;
+  name?: string;
+  weight?: number;
+  displayRules?: DisplayRules | null;
+  questions?: Array<TemplateQuestion & { displayRules?: DisplayRules | null }>;
+}
+
+type CategoryResponses = Record<string, Record<string, Record<string, unknown>>> | undefined;
+
+const toDate = (value: unknown): Date | null => {
+  if (!value) return null;
+  const candidate = value as { toDate?: () => Date };
+  const date = typeof candidate.toDate === 'function' ? candidate.toDate() : new Date(value as string);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Snapshot of the evaluatee attributes display rules can depend on
+ */
+export const buildEvaluateeContext = (
+  user: FirebaseFirestore.DocumentData | undefined,
+  at: Date = new Date()
+): EvaluateeContext => {
+  const hireDate = toDate(user?.employeeInfo?.hireDate);
+  const tenureMonths = hireDate
+    ? Math.max(0, (at.getFullYear() - hireDate.getFullYear()) * 12 + at.getMonth() - hireDate.getMonth() -
+      (at.getDate() < hireDate.getDate() ? 1 : 0))
+    : null;
+
+  return {
+    role: user?.role || null,
+    department: user?.employeeInfo?.department || null,
+    tenureMonths
+  };
+};
+
+const hasRules = (rules?: DisplayRules | null): rules is DisplayRules => {
+  return !!rules && Array.isArray(rules.conditions) && rules.conditions.length > 0;
+};
+
+const isConditionMet = (
+  condition: DisplayCondition,
+  context: EvaluateeContext,
+  answers: Map<string, unknown>
+): boolean => {
+  const values = Array.isArray(condition.values) ? condition.values : [];
+
+  switch (condition.field) {
+    case 'role':
+    case 'department': {
+      const actual = context[condition.field];
+      const matches = actual !== null && values.includes(actual);
+      return condition.operator === 'notIn' ? !matches : matches;
+    }
+    case 'tenure': {
+      if (context.tenureMonths === null) return false;
+      const months = Number(condition.value);
+      return condition.operator === 'lt' ? context.tenureMonths < months : context.tenureMonths >= months;
+    }
+    case 'answer': {
+      // Unanswered or hidden questions never satisfy a condition
+      const answer = answers.get(condition.questionRef || '');
+      if (answer === undefined || answer === null || answer === '') return false;
+
+      switch (condition.operator) {
+        case 'equals':
+          return answer === condition.value;
+        case 'notEquals':
+          return answer !== condition.value;
+        case 'gte':
+          return typeof answer === 'number' && answer >= Number(condition.value);
+        case 'lte':
+          return typeof answer === 'number' && answer <= Number(condition.value);
+        case 'includes':
+          return Array.isArray(answer) && answer.includes(condition.value);
+        default:
+          return false;
+      }
+    }
+    default:
+      return false;
+  }
+};
+
+const rulesPass = (rules: DisplayRules | null | undefined, context: EvaluateeContext, answers: Map<string, unknown>) => {
+  if (!hasRules(rules)) return true;
+  const results = rules.conditions.map(condition => isConditionMet(condition, context, answers));
+  return rules.match === 'any' ? results.some(Boolean) : results.every(Boolean);
+};
+
+/**
+ * The categories and questions shown to an evaluatee, in template order. Answer
+ * conditions read the evaluatee's own answers, or a feedback rater's answers for the
+ * 'rater' role. Evaluations created before display rules have no context and show
+ * everything.
+ */
+export const filterVisibleCategories = <T extends RuleCategory>(
+  categories: T[],
+  context: EvaluateeContext | null | undefined,
+  selfResponses: CategoryResponses,
+  role: AnswerRole = 'self'
+): T[] => {
+  if (!context) return categories;
+
+  // Answers of questions already shown, for conditions on later questions
+  const answers = new Map<string, unknown>();
+  const visible: T[] = [];
+
+  categories.forEach(category => {
+    if (!category?.id || !rulesPass(category.displayRules, context, answers)) return;
+
+    const questions = (category.questions || []).filter(question => {
+      if (!rulesPass(question.displayRules, context, answers)) return false;
+
+      const response = selfResponses?.[category.id as string]?.[question.id];
+      answers.set(
+        `${category.id}/${question.id}`,
+        response?.[isRatedQuestion(question) ? RATING_FIELDS[role] : ANSWER_FIELDS[role]]
+      );
+      return true;
+    });
+
+    if (questions.length > 0) {
+      visible.push({ ...category, questions });
+    }
+  });
+
+  return visible;
+};
+
+/**
+ * Visible categories of a stored evaluation, branching on its self-assessment answers
+ */
+export const getVisibleCategories = (evaluation: FirebaseFirestore.DocumentData): RuleCategory[] => {
+  return filterVisibleCategories(
+    (evaluation.categories || []) as RuleCategory[],
+    evaluation.evaluateeContext,
+    evaluation.responses?.selfAssessment?.categoryResponses
+  );
+};
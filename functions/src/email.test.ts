@@ -0,0 +1,29 @@
+import { validateEmailRequest } from './email';
+
+describe('validateEmailRequest', () => {
+  it('escapes a plain body into the generic template', () => {
+    expect(validateEmailRequest({ to: ' Ana@Acme.test ', subject: ' Hello ', body: 'Hi <b>Ana</b>\n\nBye & thanks' })).toEqual({
+      to: 'ana@acme.test',
+      template: 'generic',
+      data: { subject: 'Hello', bodyHtml: '<p>Hi &lt;b&gt;Ana&lt;/b&gt;</p>\n<p>Bye &amp; thanks</p>' }
+    });
+  });
+
+  it('passes data through to named templates', () => {
+    expect(validateEmailRequest({ to: 'ana@acme.test', template: 'review-ready', data: { evaluateeName: 'Ana' } }))
+      .toEqual({ to: 'ana@acme.test', template: 'review-ready', data: { evaluateeName: 'Ana' } });
+  });
+
+  it('does not let callers fill in server-only templates', () => {
+    expect(() => validateEmailRequest({ to: 'ana@acme.test', template: 'generic', data: { bodyHtml: '<a href="x">Log in</a>' } }))
+      .toThrow('Unknown email template: generic');
+    expect(() => validateEmailRequest({ to: 'ana@acme.test', template: 'password-reset', data: {} }))
+      .toThrow('Unknown email template: password-reset');
+  });
+
+  it('rejects bad recipients and empty emails', () => {
+    expect(() => validateEmailRequest({ to: 'not-an-email', subject: 'Hi', body: 'Hi' })).toThrow('Invalid recipient email: not-an-email');
+    expect(() => validateEmailRequest({ to: 'ana@acme.test', subject: ' ', body: 'Hi' }))
+      .toThrow('Emails need a subject and body, or a template');
+  });
+});
@@ -0,0 +1,364 @@
+/**
+ * Cloud Functions for Email Delivery
+ *
+ * Emails are never sent inline. They are rendered and written to
+ * businesses/{businessId}/emailOutbox, and a trigger delivers each one through the
+ * configured transport. Failed sends are retried with exponential backoff. Each
+ * outbox document records its status: queued → sending → sent, or retrying → failed.
+ */
+
+import { onCall, HttpsError } from 'firebase-functions/v2/https';
+import { onDocumentCreated } from 'firebase-functions/v2/firestore';
+import { onSchedule } from 'firebase-functions/v2/scheduler';
+import { logger } from 'firebase-functions';
+import { createHash } from 'crypto';
+import { FieldValue, Timestamp } from 'firebase-admin/firestore';
+import { auth, db } from './config';
+import { getRequestingUser, isAdminOrHr, businessRef, RequestingUser } from './access';
+import { EMAIL_TEMPLATE_NAMES, EmailTemplateName, getEmailBranding, renderEmail } from './emailTemplates';
+import { getDefaultSender, getEmailTransport } from './emailTransport';
+
+export type EmailStatus = 'queued' | 'sending' | 'sent' | 'retrying' | 'failed';
+
+export interface QueueEmailInput {
+  to: string;
+  template: EmailTemplateName;
+  data?: Record<string, unknown>;
+  // Recipient's user ID when the email is about their account
+  userId?: string | null;
+  createdBy?: string;
+}
+
+const MAX_ATTEMPTS = 5;
+// 1, 4, 16 and 64 minutes between attempts
+const RETRY_BASE_MS = 60 * 1000;
+const RETRY_FACTOR = 4;
+// A send still "sending" after this long is assumed lost and picked up by the retry run
+const SEND_TIMEOUT_MS = 10 * 60 * 1000;
+// A queued email the trigger has not picked up after this long is sent by the retry run
+const QUEUED_GRACE_MS = 10 * 60 * 1000;
+
+const MAX_PASSWORD_RESETS_PER_DAY = 3;
+
+const MAX_BULK_EMAILS = 100;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const outboxRef = (businessId: string) => businessRef(businessId).collection('emailOutbox');
+
+/**
+ * Absolute link into the web app for a route such as /evaluation-complete/123
+ */
+export const appUrl = (route: string) => `${(process.env.APP_URL || '').replace(/\/$/, '')}${route}`;
+
+const paragraphs = (text: string) => text
+  .split(/\n{2,}/)
+  .map(paragraph => `<p>${paragraph
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/\n/g, '<br />')}</p>`)
+  .join('\n');
+
+/**
+ * Renders an email with the business's branding and adds it to the outbox
+ */
+export const queueEmail = async (businessId: string, input: QueueEmailInput): Promise<string> => {
+  const businessDoc = await businessRef(businessId).get();
+  const branding = getEmailBranding(businessDoc.data());
+  const rendered = renderEmail(input.template, input.data || {}, branding);
+
+  const emailRef = await outboxRef(businessId).add({
+    to: input.to,
+    from: `"${branding.senderName.replace(/"/g, '')}" <${getDefaultSender()}>`,
+    userId: input.userId || null,
+    template: input.template,
+    ...rendered,
+    status: 'queued' as EmailStatus,
+    attempts: 0,
+    nextAttemptAt: Timestamp.now(),
+    lastError: null,
+    messageId: null,
+    transport: null,
+    sentAt: null,
+    createdBy: input.createdBy || 'system',
+    createdAt: FieldValue.serverTimestamp()
+  });
+
+  return emailRef.id;
+};
+
+/**
+ * Claims an outbox email and tries to send it once. Emails that are not due,
+ * already sent or being sent elsewhere are left alone.
+ */
+const attemptDelivery = async (emailRef: FirebaseFirestore.DocumentReference, now = new Date()) => {
+  const claimed = await db.runTransaction(async (transaction): Promise<FirebaseFirestore.DocumentData | null> => {
+    const emailDoc = await transaction.get(emailRef);
+    const email = emailDoc.data();
+    if (!email || !['queued', 'retrying', 'sending'].includes(email.status)) return null;
+    if (email.nextAttemptAt && email.nextAttemptAt.toDate() > now) return null;
+
+    transaction.update(emailRef, {
+      status: 'sending' as EmailStatus,
+      attempts: FieldValue.increment(1),
+      nextAttemptAt: Timestamp.fromMillis(now.getTime() + SEND_TIMEOUT_MS),
+      lastAttemptAt: Timestamp.fromDate(now)
+    });
+    return { ...email, attempts: (email.attempts || 0) + 1 };
+  });
+
+  if (!claimed) return;
+
+  try {
+    const transport = getEmailTransport();
+    const { messageId } = await transport.send({
+      from: claimed.from,
+      to: claimed.to,
+      subject: claimed.subject,
+      html: claimed.html,
+      text: claimed.text
+    });
+
+    await emailRef.update({
+      status: 'sent' as EmailStatus,
+      messageId,
+      transport: transport.name,
+      lastError: null,
+      nextAttemptAt: null,
+      sentAt: FieldValue.serverTimestamp()
+    });
+  } catch (error: unknown) {
+    const message = error instanceof Error ? error.message : String(error);
+    const giveUp = claimed.attempts >= MAX_ATTEMPTS;
+
+    logger.warn('Email delivery failed', { emailId: emailRef.id, attempts: claimed.attempts, giveUp, error: message });
+
+    await emailRef.update({
+      status: (giveUp ? 'failed' : 'retrying') as EmailStatus,
+      lastError: message,
+      nextAttemptAt: giveUp
+        ? null
+        : Timestamp.fromMillis(now.getTime() + RETRY_BASE_MS * Math.pow(RETRY_FACTOR, claimed.attempts - 1))
+    });
+  }
+};
+
+/**
+ * First delivery attempt as soon as an email is queued
+ */
+export const onEmailQueued = onDocumentCreated('businesses/{businessId}/emailOutbox/{emailId}', async (event) => {
+  if (!event.data) return;
+  await attemptDelivery(event.data.ref);
+});
+
+/**
+ * Picks up retries whose backoff has passed, sends that were cut off mid-way and
+ * queued emails the trigger never delivered
+ */
+export const retryFailedEmails = onSchedule({ schedule: 'every 5 minutes', timeZone: 'UTC' }, async (event) => {
+  const now = event.scheduleTime ? new Date(event.scheduleTime) : new Date();
+  const businesses = await db.collection('businesses').get();
+
+  for (const business of businesses.docs) {
+    const [dueQuery, stuckQuery] = await Promise.all([
+      outboxRef(business.id)
+        .where('status', 'in', ['retrying', 'sending'])
+        .where('nextAttemptAt', '<=', Timestamp.fromDate(now))
+        .get(),
+      // Queued emails whose trigger never ran or failed before claiming them
+      outboxRef(business.id)
+        .where('status', '==', 'queued')
+        .where('nextAttemptAt', '<=', Timestamp.fromMillis(now.getTime() - QUEUED_GRACE_MS))
+        .get()
+    ]);
+
+    const emailDocs = [...dueQuery.docs, ...stuckQuery.docs];
+    for (const emailDoc of emailDocs) {
+      await attemptDelivery(emailDoc.ref, now);
+    }
+
+    if (emailDocs.length > 0) {
+      logger.info('Email retries processed', { businessId: business.id, count: emailDocs.length, stuck: stuckQuery.size });
+    }
+  }
+});
+
+interface EmailRequest {
+  to?: string;
+  subject?: string;
+  body?: string;
+  template?: string;
+  data?: Record<string, unknown>;
+}
+
+// Filled in by server code only: password reset links come from sendPasswordResetEmail, and
+// generic inserts bodyHtml raw, so callers send a plain subject and body instead
+const SERVER_ONLY_TEMPLATES: EmailTemplateName[] = ['password-reset', 'generic'];
+
+/**
+ * Either a named template with data, or a plain subject and body
+ */
+export const validateEmailRequest = (input: EmailRequest): QueueEmailInput => {
+  const to = (input?.to || '').trim().toLowerCase();
+  if (!EMAIL_PATTERN.test(to)) {
+    throw new HttpsError('invalid-argument', `Invalid recipient email: ${input?.to || '(empty)'}`);
+  }
+
+  if (input.template) {
+    const template = input.template as EmailTemplateName;
+    if (!EMAIL_TEMPLATE_NAMES.includes(template) || SERVER_ONLY_TEMPLATES.includes(template)) {
+      throw new HttpsError('invalid-argument', `Unknown email template: ${input.template}`);
+    }
+    return { to, template, data: input.data || {} };
+  }
+
+  if (!input.subject?.trim() || !input.body?.trim()) {
+    throw new HttpsError('invalid-argument', 'Emails need a subject and body, or a template');
+  }
+
+  return {
+    to,
+    template: 'generic',
+    data: { subject: input.subject.trim(), bodyHtml: paragraphs(input.body.trim()) }
+  };
+};
+
+const requireEmailSender = async (uid: string): Promise<RequestingUser> => {
+  const requestingUser = await getRequestingUser(uid);
+  if (!isAdminOrHr(requestingUser)) {
+    throw new HttpsError('permission-denied', 'Only admin and HR can send emails');
+  }
+  return requestingUser;
+};
+
+const handleEmailError = (error: unknown, message: string): never => {
+  logger.error(`${message}:`, error);
+
+  if (error instanceof HttpsError) {
+    throw error;
+  }
+
+  throw new HttpsError('internal', message);
+};
+
+/**
+ * Queues one email (admin/HR)
+ */
+export const sendEmail = onCall({ cors: true }, async (request) => {
+  // Check if user is authenticated
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'User must be authenticated');
+  }
+
+  const email = validateEmailRequest(request.data as EmailRequest);
+
+  try {
+    const requestingUser = await requireEmailSender(request.auth.uid);
+    const emailId = await queueEmail(requestingUser.businessId, { ...email, createdBy: requestingUser.id });
+
+    return { success: true, message: 'Email queued for delivery', emailId };
+  } catch (error: unknown) {
+    return handleEmailError(error, 'Failed to send email');
+  }
+});
+
+/**
+ * Queues several emails at once (admin/HR)
+ */
+export const sendBulkEmail = onCall({ cors: true }, async (request) => {
+  // Check if user is authenticated
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'User must be authenticated');
+  }
+
+  const { emails } = request.data as { emails?: EmailRequest[] };
+  if (!Array.isArray(emails) || emails.length === 0) {
+    throw new HttpsError('invalid-argument', 'No emails to send');
+  }
+
+  if (emails.length > MAX_BULK_EMAILS) {
+    throw new HttpsError('invalid-argument', `At most ${MAX_BULK_EMAILS} emails can be sent at once`);
+  }
+
+  const validated = emails.map(validateEmailRequest);
+
+  try {
+    const requestingUser = await requireEmailSender(request.auth.uid);
+    const emailIds = await Promise.all(
+      validated.map(email => queueEmail(requestingUser.businessId, { ...email, createdBy: requestingUser.id }))
+    );
+
+    return { success: true, message: `${emailIds.length} email(s) queued for delivery`, emailIds };
+  } catch (error: unknown) {
+    return handleEmailError(error, 'Failed to send bulk emails');
+  }
+});
+
+/**
+ * Counts a password reset request against the address's daily limit. The marker is keyed
+ * by a hash of the address and the UTC day, and is written whether or not the address has
+ * an account so the limit does not reveal which ones do.
+ */
+const claimPasswordReset = async (email: string, now = new Date()) => {
+  const day = now.toISOString().slice(0, 10);
+  const markerRef = db.collection('passwordResetLog')
+    .doc(`${createHash('sha256').update(email).digest('hex')}_${day}`);
+
+  return db.runTransaction(async (transaction) => {
+    const markerDoc = await transaction.get(markerRef);
+    const count = markerDoc.data()?.count || 0;
+    if (count >= MAX_PASSWORD_RESETS_PER_DAY) return false;
+
+    transaction.set(markerRef, { day, count: count + 1, lastRequestedAt: Timestamp.fromDate(now) });
+    return true;
+  });
+};
+
+/**
+ * Emails a branded password reset link. Open to signed-out users, and answers the same
+ * way whether or not the address has an account. Each address gets a few links a day.
+ */
+export const sendPasswordResetEmail = onCall({ cors: true }, async (request) => {
+  const email = ((request.data as { email?: string })?.email || '').trim().toLowerCase();
+  if (!EMAIL_PATTERN.test(email)) {
+    throw new HttpsError('invalid-argument', 'A valid email address is required');
+  }
+
+  const response = { success: true, message: 'If an account exists for this email, a reset link has been sent' };
+
+  try {
+    if (!await claimPasswordReset(email)) {
+      throw new HttpsError(
+        'resource-exhausted',
+        `At most ${MAX_PASSWORD_RESETS_PER_DAY} reset links can be requested per day; check your inbox for an earlier one`
+      );
+    }
+
+    let uid: string;
+    try {
+      uid = (await auth.getUserByEmail(email)).uid;
+    } catch (lookupError: unknown) {
+      if ((lookupError as { code?: string })?.code === 'auth/user-not-found') {
+        return response;
+      }
+      throw lookupError;
+    }
+
+    const mappingDoc = await db.collection('userBusinessMap').doc(uid).get();
+    const businessId = mappingDoc.data()?.businessId;
+    if (!businessId) {
+      return response;
+    }
+
+    const actionUrl = process.env.APP_URL
+      ? await auth.generatePasswordResetLink(email, { url: appUrl('/login') })
+      : await auth.generatePasswordResetLink(email);
+
+    await queueEmail(businessId, { to: email, template: 'password-reset', data: { actionUrl }, userId: uid });
+
+    return response;
+  } catch (error: unknown) {
+    return handleEmailError(error, 'Failed to send password reset email');
+  }
+});
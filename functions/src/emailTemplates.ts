@@ -0,0 +1,197 @@
+/**
+ * Email templates with per-business branding
+ *
+ * Templates use a small Handlebars-style syntax: {{name}} inserts an HTML-escaped value,
+ * {{{name}}} inserts it raw, dotted paths ({{business.name}}) read nested values and
+ * {{#if name}}…{{/if}} renders a block only when the value is truthy.
+ */
+
+export type EmailTemplateName =
+  | 'evaluation-assigned'
+  | 'evaluation-reminder'
+  | 'review-ready'
+  | 'welcome-invite'
+  | 'feedback-request'
+  | 'password-reset'
+  | 'generic';
+
+export interface EmailBranding {
+  businessName: string;
+  senderName: string;
+  primaryColor: string;
+  logoUrl: string | null;
+  footerText: string;
+}
+
+export interface RenderedEmail {
+  subject: string;
+  html: string;
+  text: string;
+}
+
+interface EmailTemplate {
+  subject: string;
+  // Inner HTML; wrapped in the branded layout when rendered
+  body: string;
+}
+
+const TEMPLATES: Record<EmailTemplateName, EmailTemplate> = {
+  'evaluation-assigned': {
+    subject: 'New evaluation: {{templateName}}',
+    body: `
+      <p>Hi {{recipientName}},</p>
+      <p>A new evaluation, <strong>{{templateName}}</strong>, has been assigned to you{{#if cycleName}} as part of {{cycleName}}{{/if}}.</p>
+      <p>Please complete your self-assessment by <strong>{{dueDate}}</strong>.</p>
+      {{#if actionUrl}}<p><a class="button" href="{{actionUrl}}">Start self-assessment</a></p>{{/if}}`
+  },
+  'evaluation-reminder': {
+    subject: '{{title}}',
+    body: `
+      <p>Hi {{recipientName}},</p>
+      <p>{{message}}</p>
+      {{#if actionUrl}}<p><a class="button" href="{{actionUrl}}">Open evaluation</a></p>{{/if}}`
+  },
+  'review-ready': {
+    subject: '{{evaluateeName}} is ready for review',
+    body: `
+      <p>Hi {{recipientName}},</p>
+      <p>{{evaluateeName}} has submitted their self-assessment for <strong>{{templateName}}</strong>. It is now waiting for your review.</p>
+      {{#if actionUrl}}<p><a class="button" href="{{actionUrl}}">Review now</a></p>{{/if}}`
+  },
+  'welcome-invite': {
+    subject: 'You have been invited to {{business.businessName}}',
+    body: `
+      <p>Hi {{recipientName}},</p>
+      <p>{{inviterName}} has invited you to join <strong>{{business.businessName}}</strong> on MirrorUp.</p>
+      <p><a class="button" href="{{actionUrl}}">Accept invitation</a></p>
+      {{#if expiresAt}}<p class="muted">This invitation expires on {{expiresAt}}.</p>{{/if}}`
+  },
+  'feedback-request': {
+    subject: 'Your feedback on {{evaluateeName}}',
+    body: `
+      <p>Hi {{recipientName}},</p>
+      <p>{{requesterName}} would like your feedback on <strong>{{evaluateeName}}</strong>{{#if business.businessName}} at {{business.businessName}}{{/if}}.</p>
+      <p>Your answers are combined with those of other reviewers and only shown as group results.</p>
+      {{#if dueDate}}<p>Please respond by <strong>{{dueDate}}</strong>.</p>{{/if}}
+      <p><a class="button" href="{{actionUrl}}">Give feedback</a></p>
+      {{#if expiresAt}}<p class="muted">This link expires on {{expiresAt}}.</p>{{/if}}`
+  },
+  'password-reset': {
+    subject: 'Reset your password',
+    body: `
+      <p>Hi,</p>
+      <p>We received a request to reset the password for your account. Use the button below to choose a new one.</p>
+      <p><a class="button" href="{{actionUrl}}">Reset password</a></p>
+      <p class="muted">If you did not ask for this, you can ignore this email.</p>`
+  },
+  generic: {
+    subject: '{{subject}}',
+    body: '{{{bodyHtml}}}'
+  }
+};
+
+export const EMAIL_TEMPLATE_NAMES = Object.keys(TEMPLATES) as EmailTemplateName[];
+
+const escapeHtml = (value: string) => value
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const lookup = (data: Record<string, unknown>, path: string): unknown => {
+  return path.split('.').reduce<unknown>(
+    (value, key) => (value && typeof value === 'object' ? (value as Record<string, unknown>)[key] : undefined),
+    data
+  );
+};
+
+/**
+ * Renders {{#if}} blocks, then raw and escaped placeholders. Blocks do not nest.
+ */
+export const renderTemplateString = (template: string, data: Record<string, unknown>, escape = true): string => {
+  const toText = (value: unknown) => (value === undefined || value === null ? '' : String(value));
+
+  return template
+    .replace(/\{\{#if\s+([\w.]+)\}\}([\s\S]*?)\{\{\/if\}\}/g, (_, path: string, block: string) => (lookup(data, path) ? block : ''))
+    .replace(/\{\{\{\s*([\w.]+)\s*\}\}\}/g, (_, path: string) => toText(lookup(data, path)))
+    .replace(/\{\{\s*([\w.]+)\s*\}\}/g, (_, path: string) => {
+      const text = toText(lookup(data, path));
+      return escape ? escapeHtml(text) : text;
+    });
+};
+
+const htmlToText = (html: string) => html
+  .replace(/<a [^>]*href="([^"]*)"[^>]*>([\s\S]*?)<\/a>/g, '$2: $1')
+  .replace(/<\/p>/g, '\n\n')
+  .replace(/<br\s*\/?>/g, '\n')
+  .replace(/<[^>]+>/g, '')
+  .replace(/&amp;/g, '&')
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&#39;/g, '\'')
+  .replace(/\n{3,}/g, '\n\n')
+  .split('\n').map(line => line.trim()).join('\n')
+  .trim();
+
+const wrapInLayout = (body: string, branding: EmailBranding) => {
+  const header = branding.logoUrl
+    ? `<img src="${escapeHtml(branding.logoUrl)}" alt="${escapeHtml(branding.businessName)}" style="max-height:40px" />`
+    : `<strong style="font-size:18px;color:${escapeHtml(branding.primaryColor)}">${escapeHtml(branding.businessName)}</strong>`;
+
+  return `<!DOCTYPE html>
+<html>
+  <head>
+    <meta charset="utf-8" />
+    <style>
+      body { font-family: Arial, sans-serif; color: #111827; background: #f3f4f6; margin: 0; padding: 24px; }
+      .card { max-width: 560px; margin: 0 auto; background: #ffffff; border-radius: 8px; padding: 24px; }
+      .button { display: inline-block; padding: 10px 18px; border-radius: 6px; color: #ffffff !important;
+        background: ${escapeHtml(branding.primaryColor)}; text-decoration: none; }
+      .muted { color: #6b7280; font-size: 13px; }
+      .footer { max-width: 560px; margin: 16px auto 0; text-align: center; color: #9ca3af; font-size: 12px; }
+    </style>
+  </head>
+  <body>
+    <div class="card">
+      <div style="margin-bottom:16px">${header}</div>
+      ${body}
+    </div>
+    <div class="footer">${escapeHtml(branding.footerText)}</div>
+  </body>
+</html>`;
+};
+
+/**
+ * Business branding from settings.branding, with sensible defaults
+ */
+export const getEmailBranding = (businessData: FirebaseFirestore.DocumentData | undefined): EmailBranding => {
+  const branding = businessData?.settings?.branding || {};
+  const businessName = businessData?.name || 'MirrorUp';
+
+  return {
+    businessName,
+    senderName: branding.senderName || businessName,
+    primaryColor: /^#[0-9a-fA-F]{3,8}$/.test(branding.primaryColor || '') ? branding.primaryColor : '#4f46e5',
+    logoUrl: branding.logoUrl || null,
+    footerText: branding.footerText || `Sent by ${businessName} via MirrorUp`
+  };
+};
+
+export const renderEmail = (
+  templateName: EmailTemplateName,
+  data: Record<string, unknown>,
+  branding: EmailBranding
+): RenderedEmail => {
+  const template = TEMPLATES[templateName];
+  const context = { ...data, business: branding };
+  const body = renderTemplateString(template.body, context);
+
+  return {
+    // Subjects are plain text, so they are not HTML-escaped
+    subject: renderTemplateString(template.subject, context, false),
+    html: wrapInLayout(body, branding),
+    text: htmlToText(body)
+  };
+};
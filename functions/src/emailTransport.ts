@@ -0,0 +1,100 @@
+/**
+ * Email transports
+ *
+ * EMAIL_TRANSPORT picks one: "smtp" (SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS),
+ * "console" (logs the message) or "file" (writes JSON files to EMAIL_FILE_DIR).
+ * In the emulator the default is "file", so nothing is ever sent from a local run.
+ */
+
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import * as nodemailer from 'nodemailer';
+import { logger } from 'firebase-functions';
+
+export interface OutgoingEmail {
+  from: string;
+  to: string;
+  subject: string;
+  html: string;
+  text: string;
+}
+
+export interface EmailTransport {
+  name: string;
+  send(email: OutgoingEmail): Promise<{ messageId: string }>;
+}
+
+const createSmtpTransport = (): EmailTransport => {
+  if (!process.env.SMTP_HOST) {
+    throw new Error('SMTP_HOST is not configured');
+  }
+
+  const port = Number(process.env.SMTP_PORT || 587);
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port,
+    secure: port === 465,
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+  });
+
+  return {
+    name: 'smtp',
+    send: async (email) => {
+      const info = await transporter.sendMail(email);
+      return { messageId: info.messageId };
+    }
+  };
+};
+
+const createConsoleTransport = (): EmailTransport => ({
+  name: 'console',
+  send: async (email) => {
+    const messageId = `console-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    logger.info('Email (console transport)', { messageId, to: email.to, subject: email.subject, text: email.text });
+    return { messageId };
+  }
+});
+
+const createFileTransport = (): EmailTransport => {
+  const directory = process.env.EMAIL_FILE_DIR || path.join(os.tmpdir(), 'mirrorup-emails');
+
+  return {
+    name: 'file',
+    send: async (email) => {
+      await fs.promises.mkdir(directory, { recursive: true });
+      const messageId = `file-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+      const filePath = path.join(directory, `${messageId}.json`);
+      await fs.promises.writeFile(filePath, JSON.stringify(email, null, 2));
+      logger.info('Email written to file', { to: email.to, subject: email.subject, filePath });
+      return { messageId };
+    }
+  };
+};
+
+let cachedTransport: EmailTransport | null = null;
+
+export const getEmailTransport = (): EmailTransport => {
+  if (cachedTransport) return cachedTransport;
+
+  const defaultTransport = process.env.FUNCTIONS_EMULATOR === 'true' ? 'file' : 'smtp';
+  const name = process.env.EMAIL_TRANSPORT || defaultTransport;
+
+  switch (name) {
+    case 'console':
+      cachedTransport = createConsoleTransport();
+      break;
+    case 'file':
+      cachedTransport = createFileTransport();
+      break;
+    case 'smtp':
+      cachedTransport = createSmtpTransport();
+      break;
+    default:
+      throw new Error(`Unknown EMAIL_TRANSPORT: ${name}`);
+  }
+
+  return cachedTransport;
+};
+
+export const getDefaultSender = () => process.env.EMAIL_FROM || 'no-reply@mirrorup.app';
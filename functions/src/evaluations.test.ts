@@ -0,0 +1,115 @@
+import { Timestamp } from 'firebase-admin/firestore';
+import { EvaluationAction, EvaluationStatus, buildEvaluationDocument, isTeamEvaluation, resolveTransition, toPlainData } from './evaluations';
+
+type Action = Exclude<EvaluationAction, 'create'>;
+
+const evaluation = (status: EvaluationStatus) => ({ status, evaluateeId: 'ana', evaluatorId: 'ben' });
+const actorFor = (action: Action) => (action === 'start' || action === 'submit' ? 'ana' : 'ben');
+
+const ALLOWED: Array<[EvaluationStatus, Action, EvaluationStatus]> = [
+  ['draft', 'start', 'in-progress'],
+  ['draft', 'submit', 'under-review'],
+  ['pending', 'start', 'in-progress'],
+  ['pending', 'submit', 'under-review'],
+  ['in-progress', 'submit', 'under-review'],
+  ['under-review', 'approve', 'completed'],
+  ['under-review', 'reject', 'in-progress']
+];
+
+const STATUSES: EvaluationStatus[] = ['draft', 'pending', 'in-progress', 'under-review', 'completed'];
+const ACTIONS: Action[] = ['start', 'submit', 'approve', 'reject'];
+
+const REJECTED = STATUSES.flatMap(status => ACTIONS.map(action => [status, action] as [EvaluationStatus, Action]))
+  .filter(([status, action]) => !ALLOWED.some(([from, allowed]) => from === status && allowed === action));
+
+describe('resolveTransition', () => {
+  it.each(ALLOWED)('%s --%s--> %s', (from, action, to) => {
+    expect(resolveTransition(evaluation(from), action, actorFor(action))).toMatchObject({ currentStatus: from, nextStatus: to });
+  });
+
+  it.each(REJECTED)('rejects %s --%s-->', (from, action) => {
+    expect(() => resolveTransition(evaluation(from), action, actorFor(action)))
+      .toThrow(`Cannot ${action} an evaluation that is ${from}`);
+  });
+
+  it('treats evaluations without a status as pending', () => {
+    expect(resolveTransition({ evaluateeId: 'ana' }, 'start', 'ana').currentStatus).toBe('pending');
+  });
+
+  it('only lets the evaluatee start and submit, and the evaluator approve and reject', () => {
+    expect(() => resolveTransition(evaluation('in-progress'), 'submit', 'ben'))
+      .toThrow('Only the evaluatee can complete the self-assessment');
+    expect(() => resolveTransition(evaluation('under-review'), 'approve', 'ana'))
+      .toThrow('Only the assigned evaluator can review this evaluation');
+  });
+
+  it('records the transition for the history', () => {
+    const at = new Date('2024-03-01T10:00:00Z');
+
+    expect(resolveTransition(evaluation('under-review'), 'reject', 'ben', 'Add examples', at).transition).toEqual({
+      from: 'under-review',
+      to: 'in-progress',
+      action: 'reject',
+      by: 'ben',
+      at: Timestamp.fromDate(at),
+      comment: 'Add examples'
+    });
+    expect(resolveTransition(evaluation('pending'), 'start', 'ana', '', at).transition.comment).toBeNull();
+  });
+});
+
+describe('buildEvaluationDocument', () => {
+  it('starts pending with a create entry in the history', () => {
+    const now = new Date('2024-03-01T10:00:00Z');
+    const document = buildEvaluationDocument({
+      template: { name: 'Annual', categories: [] },
+      templateId: 'annual',
+      templateVersion: 2,
+      evaluateeId: 'ana',
+      evaluatee: undefined,
+      evaluatorId: 'ben',
+      assignmentId: null,
+      cycleId: null,
+      cycle: null,
+      assignedBy: 'hr',
+      createdBy: 'hr',
+      dueDate: '2024-04-01',
+      now
+    });
+
+    expect(document.status).toBe('pending');
+    expect(document.transitions).toEqual([
+      { from: null, to: 'pending', action: 'create', by: 'hr', at: Timestamp.fromDate(now), comment: null }
+    ]);
+  });
+});
+
+describe('isTeamEvaluation', () => {
+  const viewable = new Set(['manager', 'ana']);
+
+  it('shows evaluations of viewable employees and those the caller evaluates', () => {
+    expect(isTeamEvaluation({ evaluateeId: 'ana', evaluatorId: 'sam' }, 'manager', viewable)).toBe(true);
+    expect(isTeamEvaluation({ evaluateeId: 'zoe', evaluatorId: 'manager' }, 'manager', viewable)).toBe(true);
+    expect(isTeamEvaluation({ evaluateeId: 'zoe', evaluatorId: 'sam' }, 'manager', viewable)).toBe(false);
+  });
+});
+
+describe('toPlainData', () => {
+  it('turns nested timestamps into ISO strings', () => {
+    const at = new Date('2024-03-01T09:30:00.000Z');
+
+    expect(toPlainData({
+      status: 'completed',
+      completedAt: Timestamp.fromDate(at),
+      managerReview: { reviewedAt: Timestamp.fromDate(at), score: 4 },
+      transitions: [{ to: 'completed', at: Timestamp.fromDate(at) }],
+      dueDate: null
+    })).toEqual({
+      status: 'completed',
+      completedAt: at.toISOString(),
+      managerReview: { reviewedAt: at.toISOString(), score: 4 },
+      transitions: [{ to: 'completed', at: at.toISOString() }],
+      dueDate: null
+    });
+  });
+});
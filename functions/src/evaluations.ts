@@ -0,0 +1,694 @@
+/**
+ * Cloud Functions for the Evaluation Lifecycle
+ *
+ * Status changes only happen here so the workflow cannot be skipped from the client:
+ * pending → in-progress → under-review → completed (or back to in-progress on rejection)
+ */
+
+import { onCall, HttpsError } from 'firebase-functions/v2/https';
+import { db } from './config';
+import { logger } from 'firebase-functions';
+import { FieldValue, Timestamp, Transaction } from 'firebase-admin/firestore';
+import { getRequestingUser, hasPermission, isAdminOrHr, businessRef, collectViewableEmployeeIds, RequestingUser } from './access';
+import { computeEvaluationScores } from './scoring';
+import { findOffScaleRatings, resolveRatingScale } from './ratingScales';
+import { findInvalidAnswers } from './questionTypes';
+import { buildEvaluateeContext, filterVisibleCategories, getVisibleCategories } from './displayRules';
+import { syncTargetGoals } from './goals';
+import { getOpenCycle, isCycleParticipant, ReviewCycle } from './cycles';
+import { resolveTemplateVersion } from './templates';
+
+export type EvaluationStatus = 'draft' | 'pending' | 'in-progress' | 'under-review' | 'completed';
+export type EvaluationAction = 'create' | 'start' | 'submit' | 'approve' | 'reject';
+
+// Allowed transitions: current status → action → next status
+export const EVALUATION_TRANSITIONS: Record<EvaluationStatus, Partial<Record<EvaluationAction, EvaluationStatus>>> = {
+  'draft': { start: 'in-progress', submit: 'under-review' },
+  'pending': { start: 'in-progress', submit: 'under-review' },
+  'in-progress': { submit: 'under-review' },
+  'under-review': { approve: 'completed', reject: 'in-progress' },
+  'completed': {}
+};
+
+// Who may perform each action on an existing evaluation
+const ACTION_ACTORS: Record<Exclude<EvaluationAction, 'create'>, 'evaluatee' | 'evaluator'> = {
+  start: 'evaluatee',
+  submit: 'evaluatee',
+  approve: 'evaluator',
+  reject: 'evaluator'
+};
+
+interface TransitionEntry {
+  from: EvaluationStatus | null;
+  to: EvaluationStatus;
+  action: EvaluationAction;
+  by: string;
+  at: Timestamp;
+  comment?: string | null;
+}
+
+interface CreateEvaluationRequest {
+  templateId?: string;
+  evaluateeId: string;
+  evaluatorId?: string;
+  dueDate?: string;
+  instructions?: string;
+  cycleId?: string;
+}
+
+interface EvaluationDocumentInput {
+  // A published template version (see templates.ts)
+  template: FirebaseFirestore.DocumentData;
+  templateId: string;
+  templateVersion: number;
+  evaluateeId: string;
+  // The evaluatee's user document, for the display rule context
+  evaluatee: FirebaseFirestore.DocumentData | undefined;
+  evaluatorId: string;
+  assignmentId: string | null;
+  cycleId: string | null;
+  cycle: ReviewCycle | null;
+  assignedBy: string;
+  createdBy: string;
+  dueDate: string;
+  instructions?: string;
+  now?: Date;
+}
+
+const buildTransition = (
+  from: EvaluationStatus | null,
+  to: EvaluationStatus,
+  action: EvaluationAction,
+  by: string,
+  comment?: string | null,
+  at: Date = new Date()
+): TransitionEntry => ({
+  from,
+  to,
+  action,
+  by,
+  // serverTimestamp() is not allowed inside arrays
+  at: Timestamp.fromDate(at),
+  comment: comment || null
+});
+
+/**
+ * Builds a new pending evaluation from a published template version. Shared by
+ * createEvaluation and the cycle launcher so both produce the same document shape.
+ */
+export const buildEvaluationDocument = ({
+  template,
+  templateId,
+  templateVersion,
+  evaluateeId,
+  evaluatee,
+  evaluatorId,
+  assignmentId,
+  cycleId,
+  cycle,
+  assignedBy,
+  createdBy,
+  dueDate,
+  instructions,
+  now = new Date()
+}: EvaluationDocumentInput) => {
+  const dueDateIso = new Date(dueDate).toISOString();
+  const ratingScale = resolveRatingScale(template);
+
+  // 🚀 NEW: No businessId in document - it's implicit in the subcollection path!
+  return {
+    // Template info
+    templateId,
+    templateVersion,
+    templateName: template.name || '',
+    templateType: template.type || 'annual_review',
+    scoringSystem: ratingScale.id,
+    ratingScale,
+    categories: template.categories || [],
+    freeTextQuestions: template.freeTextQuestions || [],
+
+    // Assignment info
+    evaluateeId,
+    evaluateeContext: buildEvaluateeContext(evaluatee, now),
+    evaluatorId,
+    assignmentId,
+    cycleId,
+    cycleName: cycle?.name || null,
+    assignedBy,
+    assignedDate: now.toISOString(),
+    dueDate: dueDateIso,
+    instructions: instructions || '',
+
+    // Status
+    status: 'pending' as EvaluationStatus,
+    active: true,
+    transitions: [buildTransition(null, 'pending', 'create', createdBy, null, now)],
+
+    // Workflow
+    workflow: {
+      step: 'self_assessment',
+      status: 'pending',
+      dueDate: cycle?.phaseDeadlines?.selfAssessment || dueDateIso
+    },
+
+    // Responses
+    selfAssessment: {
+      responses: {},
+      completed: false,
+      completedAt: null
+    },
+    managerReview: {
+      responses: {},
+      targets: {},
+      completed: false,
+      completedAt: null
+    },
+
+    // Scores
+    scores: {
+      selfScore: null,
+      managerScore: null,
+      finalScore: null
+    },
+
+    createdBy,
+    createdAt: FieldValue.serverTimestamp(),
+    updatedAt: FieldValue.serverTimestamp()
+  };
+};
+
+/**
+ * Checks an action against the transition table and the actor, and builds the entry
+ * for the evaluation's transitions history
+ */
+export const resolveTransition = (
+  evaluation: FirebaseFirestore.DocumentData,
+  action: Exclude<EvaluationAction, 'create'>,
+  actorId: string,
+  comment?: string | null,
+  at: Date = new Date()
+) => {
+  const currentStatus = (evaluation.status || 'pending') as EvaluationStatus;
+  const nextStatus = EVALUATION_TRANSITIONS[currentStatus]?.[action];
+
+  if (!nextStatus) {
+    throw new HttpsError(
+      'failed-precondition',
+      `Cannot ${action} an evaluation that is ${currentStatus}`
+    );
+  }
+
+  const actorField = ACTION_ACTORS[action] === 'evaluatee' ? 'evaluateeId' : 'evaluatorId';
+  if (evaluation[actorField] !== actorId) {
+    throw new HttpsError(
+      'permission-denied',
+      ACTION_ACTORS[action] === 'evaluatee'
+        ? 'Only the evaluatee can complete the self-assessment'
+        : 'Only the assigned evaluator can review this evaluation'
+    );
+  }
+
+  return { currentStatus, nextStatus, transition: buildTransition(currentStatus, nextStatus, action, actorId, comment, at) };
+};
+
+/**
+ * Runs a status transition inside a transaction after checking the table and the actor
+ */
+const applyTransition = async (
+  requestingUser: RequestingUser,
+  evaluationId: string,
+  action: Exclude<EvaluationAction, 'create'>,
+  buildUpdates: (evaluation: FirebaseFirestore.DocumentData) => Record<string, unknown>,
+  comment?: string | null,
+  // Extra reads/writes that must commit atomically with the status change
+  sideEffects?: (transaction: Transaction, evaluation: FirebaseFirestore.DocumentData) => Promise<void>
+) => {
+  const evaluationRef = businessRef(requestingUser.businessId).collection('evaluations').doc(evaluationId);
+
+  return db.runTransaction(async (transaction) => {
+    const evaluationDoc = await transaction.get(evaluationRef);
+    if (!evaluationDoc.exists) {
+      throw new HttpsError('not-found', 'Evaluation not found');
+    }
+
+    const evaluation = evaluationDoc.data() || {};
+
+    // Throws once the cycle has been closed
+    if (evaluation.cycleId) {
+      await getOpenCycle(requestingUser.businessId, evaluation.cycleId, transaction);
+    }
+    const { currentStatus, nextStatus, transition } = resolveTransition(evaluation, action, requestingUser.id, comment);
+    const updates = buildUpdates(evaluation);
+
+    if (sideEffects) {
+      await sideEffects(transaction, { ...evaluation, ...updates });
+    }
+
+    transaction.update(evaluationRef, {
+      ...updates,
+      status: nextStatus,
+      transitions: FieldValue.arrayUnion(transition),
+      updatedAt: FieldValue.serverTimestamp()
+    });
+
+    return { id: evaluationId, previousStatus: currentStatus, status: nextStatus };
+  });
+};
+
+const handleLifecycleError = (error: unknown, message: string): never => {
+  logger.error(`${message}:`, error);
+
+  if (error instanceof HttpsError) {
+    throw error;
+  }
+
+  throw new HttpsError('internal', message);
+};
+
+/**
+ * Creates an evaluation from a template for one evaluatee
+ */
+export const createEvaluation = onCall({ cors: true }, async (request) => {
+  // Check if user is authenticated
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'User must be authenticated');
+  }
+
+  const { evaluateeId, instructions, cycleId } = request.data as CreateEvaluationRequest;
+
+  // Validate input data; a cycle can supply the template and due date
+  if (!evaluateeId || (!cycleId && (!request.data.templateId || !request.data.dueDate))) {
+    throw new HttpsError('invalid-argument', 'Missing required template, evaluatee or due date');
+  }
+
+  if (request.data.dueDate && isNaN(new Date(request.data.dueDate).getTime())) {
+    throw new HttpsError('invalid-argument', 'Invalid due date');
+  }
+
+  try {
+    const requestingUser = await getRequestingUser(request.auth.uid);
+    const { businessId } = requestingUser;
+
+    // Admin/HR may create on behalf of another evaluator; everyone else evaluates as themselves
+    const evaluatorId = isAdminOrHr(requestingUser) && request.data.evaluatorId
+      ? request.data.evaluatorId as string
+      : requestingUser.id;
+
+    if (!isAdminOrHr(requestingUser) &&
+        !hasPermission(requestingUser, 'canManageEvaluations') &&
+        !hasPermission(requestingUser, 'canViewAnalytics')) {
+      throw new HttpsError('permission-denied', 'Insufficient permissions to assign evaluations');
+    }
+
+    if (evaluatorId === evaluateeId) {
+      throw new HttpsError('invalid-argument', 'Evaluator and evaluatee must be different users');
+    }
+
+    let cycle: ReviewCycle | null = null;
+    if (cycleId) {
+      cycle = await getOpenCycle(businessId, cycleId);
+
+      if (!isCycleParticipant(cycle, evaluateeId)) {
+        throw new HttpsError('failed-precondition', `This employee is not a participant in "${cycle.name}"`);
+      }
+
+      const duplicateQuery = await businessRef(businessId).collection('evaluations')
+        .where('cycleId', '==', cycleId)
+        .where('evaluateeId', '==', evaluateeId)
+        .where('evaluatorId', '==', evaluatorId)
+        .where('active', '==', true)
+        .limit(1)
+        .get();
+
+      if (!duplicateQuery.empty) {
+        throw new HttpsError('already-exists', `An evaluation for this employee already exists in "${cycle.name}"`);
+      }
+    }
+
+    const templateId = (request.data.templateId || cycle?.templateId) as string | undefined;
+    const dueDate = (request.data.dueDate || cycle?.phaseDeadlines?.signOff || cycle?.periodEnd) as string | undefined;
+
+    if (!templateId || !dueDate) {
+      throw new HttpsError('invalid-argument', 'Missing required template or due date');
+    }
+
+    // Managers need an active assignment for this evaluatee; admin/HR may create ad hoc.
+    // Assignments without a cycle apply to every cycle.
+    const assignmentQuery = await businessRef(businessId).collection('evaluationAssignments')
+      .where('evaluatorId', '==', evaluatorId)
+      .where('evaluateeId', '==', evaluateeId)
+      .where('active', '==', true)
+      .get();
+
+    const assignment = assignmentQuery.docs.find(assignmentDoc => {
+      const assignmentCycleId = assignmentDoc.data().cycleId || null;
+      return assignmentCycleId === null || assignmentCycleId === (cycleId || null);
+    });
+
+    if (!assignment && !isAdminOrHr(requestingUser)) {
+      throw new HttpsError(
+        'failed-precondition',
+        'No valid assignment found for this evaluation. Please check assignments in Assignment Management.'
+      );
+    }
+
+    // Evaluations in a launched cycle stay on the template version the cycle started with
+    const pinnedVersion = cycle && cycle.templateId === templateId ? cycle.templateVersion : null;
+
+    const [resolvedTemplate, evaluateeDoc] = await Promise.all([
+      resolveTemplateVersion(businessId, templateId, pinnedVersion),
+      businessRef(businessId).collection('users').doc(evaluateeId).get()
+    ]);
+
+    if (!evaluateeDoc.exists) {
+      throw new HttpsError('not-found', 'Evaluatee not found');
+    }
+
+    const now = new Date().toISOString();
+    const evaluationDocument = buildEvaluationDocument({
+      template: resolvedTemplate.template,
+      templateId,
+      templateVersion: resolvedTemplate.version,
+      evaluateeId,
+      evaluatee: evaluateeDoc.data(),
+      evaluatorId,
+      assignmentId: assignment ? assignment.id : null,
+      cycleId: cycleId || null,
+      cycle,
+      assignedBy: `${requestingUser.data.profile?.firstName || ''} ${requestingUser.data.profile?.lastName || ''}`.trim(),
+      createdBy: requestingUser.id,
+      dueDate,
+      instructions
+    });
+
+    const evaluationRef = await businessRef(businessId).collection('evaluations').add(evaluationDocument);
+
+    logger.info('Successfully created evaluation', {
+      evaluationId: evaluationRef.id,
+      businessId,
+      evaluatorId,
+      evaluateeId,
+      cycleId: cycleId || null
+    });
+
+    return {
+      success: true,
+      message: 'Evaluation created successfully',
+      evaluation: {
+        id: evaluationRef.id,
+        ...evaluationDocument,
+        transitions: evaluationDocument.transitions.map(entry => ({ ...entry, at: entry.at.toDate().toISOString() })),
+        createdAt: now, // Replace server timestamp for response
+        updatedAt: now
+      }
+    };
+
+  } catch (error: unknown) {
+    return handleLifecycleError(error, 'Failed to create evaluation');
+  }
+});
+
+/**
+ * Submits the evaluatee's self-assessment for manager review
+ */
+export const submitEvaluation = onCall({ cors: true }, async (request) => {
+  // Check if user is authenticated
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'User must be authenticated');
+  }
+
+  const { evaluationId, responses } = request.data as {
+    evaluationId: string;
+    responses: { selfAssessment?: Record<string, unknown> };
+  };
+
+  // Validate input data
+  if (!evaluationId || !responses?.selfAssessment) {
+    throw new HttpsError('invalid-argument', 'Missing required evaluation ID or self-assessment responses');
+  }
+
+  try {
+    const requestingUser = await getRequestingUser(request.auth.uid);
+
+    const result = await applyTransition(requestingUser, evaluationId, 'submit', (evaluation) => {
+      const scale = resolveRatingScale(evaluation);
+      const offScale = findOffScaleRatings(
+        (responses.selfAssessment as FirebaseFirestore.DocumentData).categoryResponses,
+        'selfRating',
+        scale
+      );
+      if (offScale.length > 0) {
+        throw new HttpsError('invalid-argument', `Ratings must be on the evaluation's rating scale (${scale.name})`, { questions: offScale });
+      }
+
+      // Branching follows the answers being submitted
+      const selfResponses = (responses.selfAssessment as FirebaseFirestore.DocumentData).categoryResponses;
+      const invalidAnswers = findInvalidAnswers(
+        filterVisibleCategories(evaluation.categories || [], evaluation.evaluateeContext, selfResponses),
+        selfResponses,
+        'self',
+        true
+      );
+      if (invalidAnswers.length > 0) {
+        throw new HttpsError('invalid-argument', 'Some questions are unanswered or have invalid answers', { questions: invalidAnswers });
+      }
+
+      const submittedResponses = {
+        selfAssessment: {
+          ...responses.selfAssessment,
+          submittedAt: new Date().toISOString(),
+          submittedBy: requestingUser.id
+        }
+      };
+
+      return {
+        responses: submittedResponses,
+        scores: {
+          ...computeEvaluationScores({ ...evaluation, responses: submittedResponses }),
+          calculatedAt: FieldValue.serverTimestamp()
+        },
+        submittedAt: FieldValue.serverTimestamp()
+      };
+    });
+
+    logger.info('Self-assessment submitted', { evaluationId, businessId: requestingUser.businessId });
+
+    return {
+      success: true,
+      message: 'Evaluation submitted successfully',
+      ...result
+    };
+
+  } catch (error: unknown) {
+    return handleLifecycleError(error, 'Failed to submit evaluation');
+  }
+});
+
+/**
+ * Completes the manager review and closes the evaluation
+ */
+export const approveEvaluation = onCall({ cors: true }, async (request) => {
+  // Check if user is authenticated
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'User must be authenticated');
+  }
+
+  const { evaluationId, managerReview, comment } = request.data as {
+    evaluationId: string;
+    managerReview: Record<string, unknown>;
+    comment?: string;
+  };
+
+  // Validate input data
+  if (!evaluationId || !managerReview) {
+    throw new HttpsError('invalid-argument', 'Missing required evaluation ID or manager review');
+  }
+
+  try {
+    const requestingUser = await getRequestingUser(request.auth.uid);
+
+    let goalSummary = { created: 0, closed: 0 };
+
+    const result = await applyTransition(requestingUser, evaluationId, 'approve', (evaluation) => {
+      const mergedReview = { ...(evaluation.managerReview || {}), ...managerReview };
+      const scale = resolveRatingScale(evaluation);
+      const offScale = [
+        ...findOffScaleRatings(mergedReview.categoryResponses, 'managerRating', scale),
+        ...findOffScaleRatings(mergedReview.targets, 'target', scale)
+      ];
+      if (offScale.length > 0) {
+        throw new HttpsError('invalid-argument', `Ratings and targets must be on the evaluation's rating scale (${scale.name})`, { questions: offScale });
+      }
+
+      const invalidAnswers = findInvalidAnswers(getVisibleCategories(evaluation), mergedReview.categoryResponses, 'manager', true);
+      if (invalidAnswers.length > 0) {
+        throw new HttpsError('invalid-argument', 'Some questions are unanswered or have invalid answers', { questions: invalidAnswers });
+      }
+
+      const scores = computeEvaluationScores({ ...evaluation, managerReview: mergedReview });
+
+      return {
+        managerReview: {
+          ...mergedReview,
+          // Never trust a client-supplied rating
+          overallRating: scores.finalScore,
+          reviewedAt: FieldValue.serverTimestamp(),
+          reviewedBy: requestingUser.id,
+          inProgress: false
+        },
+        scores: { ...scores, calculatedAt: FieldValue.serverTimestamp() },
+        completedAt: FieldValue.serverTimestamp()
+      };
+    }, comment, async (transaction, evaluation) => {
+      goalSummary = await syncTargetGoals(
+        transaction,
+        requestingUser.businessId,
+        evaluationId,
+        evaluation,
+        evaluation.managerReview
+      );
+    });
+
+    logger.info('Evaluation approved', { evaluationId, businessId: requestingUser.businessId, ...goalSummary });
+
+    return {
+      success: true,
+      message: 'Review completed successfully',
+      goals: goalSummary,
+      ...result
+    };
+
+  } catch (error: unknown) {
+    return handleLifecycleError(error, 'Failed to approve evaluation');
+  }
+});
+
+/**
+ * Sends the self-assessment back to the evaluatee for changes
+ */
+export const rejectEvaluation = onCall({ cors: true }, async (request) => {
+  // Check if user is authenticated
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'User must be authenticated');
+  }
+
+  const { evaluationId, reason } = request.data as { evaluationId: string; reason: string };
+
+  // Validate input data
+  if (!evaluationId || !reason?.trim()) {
+    throw new HttpsError('invalid-argument', 'A reason is required when returning an evaluation');
+  }
+
+  try {
+    const requestingUser = await getRequestingUser(request.auth.uid);
+
+    const result = await applyTransition(requestingUser, evaluationId, 'reject', () => ({
+      submittedAt: null
+    }), reason.trim());
+
+    logger.info('Evaluation returned to evaluatee', { evaluationId, businessId: requestingUser.businessId });
+
+    return {
+      success: true,
+      message: 'Evaluation returned to the employee',
+      ...result
+    };
+
+  } catch (error: unknown) {
+    return handleLifecycleError(error, 'Failed to reject evaluation');
+  }
+});
+
+interface TeamEvaluationFilters {
+  evaluationId?: string;
+  evaluateeId?: string;
+  cycleId?: string;
+}
+
+/**
+ * Replaces Firestore timestamps with ISO strings so documents survive the callable response
+ */
+export const toPlainData = (value: unknown): unknown => {
+  if (value instanceof Timestamp) return value.toDate().toISOString();
+  if (Array.isArray(value)) return value.map(toPlainData);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, toPlainData(entry)]));
+  }
+  return value;
+};
+
+/**
+ * Whether a non-HR caller may see an evaluation: they take part in it, or canViewEmployee
+ * would let them see the evaluatee
+ */
+export const isTeamEvaluation = (
+  evaluation: FirebaseFirestore.DocumentData,
+  userId: string,
+  viewableEmployeeIds: Set<string>
+): boolean => evaluation.evaluatorId === userId || viewableEmployeeIds.has(evaluation.evaluateeId);
+
+/**
+ * Evaluations of the caller's team. Firestore rules only let admin/HR and the evaluator
+ * and evaluatee read an evaluation, so managers load their reports' evaluations here,
+ * scoped like canViewEmployee.
+ */
+export const getTeamEvaluations = onCall({ cors: true }, async (request) => {
+  // Check if user is authenticated
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'User must be authenticated');
+  }
+
+  const filters: TeamEvaluationFilters = request.data?.filters || {};
+
+  try {
+    const requestingUser = await getRequestingUser(request.auth.uid);
+    const { businessId } = requestingUser;
+    const evaluationsRef = businessRef(businessId).collection('evaluations');
+
+    let evaluationDocs: FirebaseFirestore.DocumentSnapshot[];
+    if (filters.evaluationId) {
+      const evaluationDoc = await evaluationsRef.doc(filters.evaluationId).get();
+      if (!evaluationDoc.exists) {
+        throw new HttpsError('not-found', 'Evaluation not found');
+      }
+      evaluationDocs = [evaluationDoc];
+    } else {
+      let evaluationsQuery: FirebaseFirestore.Query = evaluationsRef;
+      if (filters.evaluateeId) {
+        evaluationsQuery = evaluationsQuery.where('evaluateeId', '==', filters.evaluateeId);
+      }
+      if (filters.cycleId) {
+        evaluationsQuery = evaluationsQuery.where('cycleId', '==', filters.cycleId);
+      }
+      evaluationDocs = (await evaluationsQuery.get()).docs;
+    }
+
+    if (!isAdminOrHr(requestingUser)) {
+      const [usersSnapshot, assignmentsSnapshot] = await Promise.all([
+        businessRef(businessId).collection('users').get(),
+        businessRef(businessId).collection('evaluationAssignments')
+          .where('evaluatorId', '==', requestingUser.id)
+          .where('active', '==', true)
+          .get()
+      ]);
+      const viewableIds = collectViewableEmployeeIds(
+        requestingUser.id,
+        new Map(usersSnapshot.docs.map(userDoc => [userDoc.id, userDoc.data()])),
+        assignmentsSnapshot.docs.map(assignmentDoc => assignmentDoc.data().evaluateeId)
+      );
+
+      evaluationDocs = evaluationDocs.filter(evaluationDoc => isTeamEvaluation(evaluationDoc.data() || {}, requestingUser.id, viewableIds));
+      if (filters.evaluationId && evaluationDocs.length === 0) {
+        throw new HttpsError('permission-denied', 'You do not have access to this evaluation');
+      }
+    }
+
+    return {
+      success: true,
+      evaluations: evaluationDocs.map(evaluationDoc => ({ id: evaluationDoc.id, ...(toPlainData(evaluationDoc.data()) as object) }))
+    };
+
+  } catch (error: unknown) {
+    return handleLifecycleError(error, 'Failed to load evaluations');
+  }
+});
@@ -0,0 +1,88 @@
+import { csvCell, getExportScope } from './exports';
+import { RequestingUser } from './access';
+
+describe('csvCell', () => {
+  it('quotes separators, quotes and line breaks', () => {
+    expect(csvCell('plain')).toBe('plain');
+    expect(csvCell('Smith, Ana')).toBe('"Smith, Ana"');
+    expect(csvCell('She said "great"')).toBe('"She said ""great"""');
+    expect(csvCell('Line one\nLine two')).toBe('"Line one\nLine two"');
+  });
+
+  it('leaves empty values blank and writes numbers as they are', () => {
+    expect(csvCell(null)).toBe('');
+    expect(csvCell(undefined)).toBe('');
+    expect(csvCell(-4.5)).toBe('-4.5');
+    expect(csvCell(false)).toBe('false');
+  });
+
+  it('keeps text that a spreadsheet would run as a formula inert', () => {
+    expect(csvCell('=HYPERLINK("http://evil.test")')).toBe('"\'=HYPERLINK(""http://evil.test"")"');
+    expect(csvCell('+1')).toBe('\'+1');
+    expect(csvCell('-1')).toBe('\'-1');
+    expect(csvCell('@SUM(A1)')).toBe('\'@SUM(A1)');
+    expect(csvCell('\tcmd')).toBe('\'\tcmd');
+    expect(csvCell('a=b')).toBe('a=b');
+  });
+});
+
+describe('getExportScope', () => {
+  // sales > (sales-east > sales-east-retail), support stands alone
+  const departments = new Map<string, FirebaseFirestore.DocumentData>([
+    ['sales', { name: 'Sales' }],
+    ['sales-east', { name: 'Sales East', parentDepartment: 'sales' }],
+    ['sales-east-retail', { name: 'Retail', parentDepartment: 'sales-east' }],
+    ['support', { name: 'Support' }]
+  ]);
+
+  const user = (role: string, department: string, manager?: string) =>
+    ({ role, employeeInfo: { department, manager } });
+
+  const users = new Map<string, FirebaseFirestore.DocumentData>([
+    ['admin', user('admin', 'support')],
+    ['head', user('head-manager', 'sales')],
+    ['east-manager', user('manager', 'sales-east', 'head')],
+    ['retail-rep', user('employee', 'sales-east-retail', 'east-manager')],
+    ['lead', user('supervisor', 'support', 'admin')],
+    ['agent', user('employee', 'support', 'lead')],
+    ['remote-rep', user('employee', 'support', 'east-manager')],
+    ['other-agent', user('employee', 'support', 'admin')]
+  ]);
+
+  const scopeFor = (id: string) =>
+    getExportScope({ id, businessId: 'acme', data: users.get(id)! } as RequestingUser, users, departments);
+
+  it('gives admins and HR everything', () => {
+    const scope = scopeFor('admin');
+
+    expect(scope.all).toBe(true);
+    expect(scope.userIds.size).toBe(users.size);
+    expect(scope.departmentIds.size).toBe(departments.size);
+  });
+
+  it('gives head managers their department tree and everyone reporting into it', () => {
+    const scope = scopeFor('head');
+
+    expect(scope.all).toBe(false);
+    expect([...scope.departmentIds].sort()).toEqual(['sales', 'sales-east', 'sales-east-retail']);
+    expect([...scope.userIds].sort()).toEqual(['east-manager', 'head', 'remote-rep', 'retail-rep']);
+  });
+
+  it('gives managers their own department but not its children', () => {
+    const scope = scopeFor('east-manager');
+
+    expect([...scope.departmentIds]).toEqual(['sales-east']);
+    expect([...scope.userIds].sort()).toEqual(['east-manager', 'remote-rep', 'retail-rep']);
+  });
+
+  it('gives supervisors only their reporting line', () => {
+    const scope = scopeFor('lead');
+
+    expect(scope.departmentIds.size).toBe(0);
+    expect([...scope.userIds].sort()).toEqual(['agent', 'lead']);
+  });
+
+  it('gives employees only themselves', () => {
+    expect([...scopeFor('agent').userIds]).toEqual(['agent']);
+  });
+});
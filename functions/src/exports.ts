@@ -0,0 +1,731 @@
+/**
+ * Cloud Functions for Data Export
+ *
+ * Evaluations, users and departments can be exported as CSV, XLSX or JSON. Rows are
+ * read from Firestore a page at a time and streamed straight into a file under
+ * businesses/{businessId}/reports/ in Storage. The caller gets a signed download URL
+ * that expires after an hour; the files themselves are deleted after a day. Each
+ * export is also logged in businesses/{businessId}/exports.
+ *
+ * Admin and HR export the whole business. Head managers are limited to their
+ * department tree, and managers to their own department. Both always see their own
+ * reporting line and the evaluations they are the evaluator on.
+ */
+
+import { PassThrough, Writable } from 'stream';
+import { pipeline } from 'stream/promises';
+import * as ExcelJS from 'exceljs';
+import { onCall, HttpsError } from 'firebase-functions/v2/https';
+import { onSchedule } from 'firebase-functions/v2/scheduler';
+import { logger } from 'firebase-functions';
+import { FieldPath, FieldValue, Timestamp } from 'firebase-admin/firestore';
+import { getStorage } from 'firebase-admin/storage';
+import app, { db } from './config';
+import { getDownloadUrl, reportFile, StorageFile } from './storage';
+import { businessRef, getRequestingUser, hasPermission, isAdminOrHr, RequestingUser } from './access';
+import { computeEvaluationScores } from './scoring';
+import { normalizeScore, resolveRatingScale } from './ratingScales';
+import { formatAnswer, TemplateQuestion } from './questionTypes';
+import { getVisibleCategories } from './displayRules';
+
+export type ExportFormat = 'csv' | 'xlsx' | 'json';
+export type ExportType = 'evaluations' | 'users' | 'departments';
+
+interface ExportColumn {
+  key: string;
+  header: string;
+}
+
+interface ExportSheet {
+  name: string;
+  columns: ExportColumn[];
+}
+
+type ExportRow = Record<string, unknown>;
+
+/**
+ * A dataset yields records one at a time. Each record becomes rows on one or more
+ * sheets (XLSX), rows on the CSV sheet, or one JSON object.
+ */
+interface ExportDataset<T> {
+  name: string;
+  sheets: ExportSheet[];
+  // CSV files hold a single table: this sheet
+  csvSheet: string;
+  records: AsyncIterable<T>;
+  toRows: (record: T) => Record<string, ExportRow[]>;
+  toJson: (record: T) => unknown;
+}
+
+export interface ExportScope {
+  all: boolean;
+  userIds: Set<string>;
+  departmentIds: Set<string>;
+}
+
+interface EvaluationFilters {
+  cycleId?: string;
+  status?: string;
+  departmentId?: string;
+  evaluateeId?: string;
+  // ISO dates compared with the evaluation's assignedDate
+  from?: string;
+  to?: string;
+}
+
+const EXPORT_FORMATS: ExportFormat[] = ['csv', 'xlsx', 'json'];
+const CONTENT_TYPES: Record<ExportFormat, string> = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  json: 'application/json; charset=utf-8'
+};
+
+const PAGE_SIZE = 300;
+const DOWNLOAD_URL_TTL_MS = 60 * 60 * 1000;
+const EXPORT_RETENTION_MS = 24 * 60 * 60 * 1000;
+
+const exportsRef = (businessId: string) => businessRef(businessId).collection('exports');
+
+const fullName = (user: FirebaseFirestore.DocumentData | undefined) =>
+  `${user?.profile?.firstName || ''} ${user?.profile?.lastName || ''}`.trim();
+
+const toIso = (value: unknown): string | null => {
+  if (!value) return null;
+  if (value instanceof Timestamp) return value.toDate().toISOString();
+  const date = new Date(value as string);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+/**
+ * Every document of a query, fetched a page at a time in document ID order
+ */
+async function* pageThrough(query: FirebaseFirestore.Query): AsyncGenerator<FirebaseFirestore.QueryDocumentSnapshot> {
+  let last: FirebaseFirestore.QueryDocumentSnapshot | null = null;
+
+  while (true) {
+    let page = query.orderBy(FieldPath.documentId()).limit(PAGE_SIZE);
+    if (last) page = page.startAfter(last);
+
+    const snapshot = await page.get();
+    for (const doc of snapshot.docs) {
+      yield doc;
+    }
+
+    if (snapshot.size < PAGE_SIZE) return;
+    last = snapshot.docs[snapshot.docs.length - 1];
+  }
+}
+
+/**
+ * Which employees and departments the caller may export, mirroring TeamPerformancePage
+ */
+export const getExportScope = (
+  requestingUser: RequestingUser,
+  users: Map<string, FirebaseFirestore.DocumentData>,
+  departments: Map<string, FirebaseFirestore.DocumentData>
+): ExportScope => {
+  if (isAdminOrHr(requestingUser)) {
+    return { all: true, userIds: new Set(users.keys()), departmentIds: new Set(departments.keys()) };
+  }
+
+  const departmentIds = new Set<string>();
+  const ownDepartment = requestingUser.data.employeeInfo?.department;
+  if (ownDepartment && ['head-manager', 'manager'].includes(requestingUser.data.role)) {
+    departmentIds.add(ownDepartment);
+  }
+
+  // Head managers also cover every department below theirs
+  if (requestingUser.data.role === 'head-manager') {
+    let added = true;
+    while (added) {
+      added = false;
+      departments.forEach((department, id) => {
+        if (!departmentIds.has(id) && department.parentDepartment && departmentIds.has(department.parentDepartment)) {
+          departmentIds.add(id);
+          added = true;
+        }
+      });
+    }
+  }
+
+  const userIds = new Set<string>([requestingUser.id]);
+  users.forEach((user, id) => {
+    if (user.employeeInfo?.department && departmentIds.has(user.employeeInfo.department)) {
+      userIds.add(id);
+    }
+  });
+
+  // Everyone below the caller in the reporting line, whatever their department
+  let added = true;
+  while (added) {
+    added = false;
+    users.forEach((user, id) => {
+      if (!userIds.has(id) && user.employeeInfo?.manager && userIds.has(user.employeeInfo.manager) &&
+          (user.employeeInfo.manager === requestingUser.id || !departmentIds.has(user.employeeInfo?.department))) {
+        userIds.add(id);
+        added = true;
+      }
+    });
+  }
+
+  return { all: false, userIds, departmentIds };
+};
+
+const loadDirectory = async (businessId: string) => {
+  const [usersSnapshot, departmentsSnapshot] = await Promise.all([
+    businessRef(businessId).collection('users').get(),
+    businessRef(businessId).collection('departments').get()
+  ]);
+
+  return {
+    users: new Map(usersSnapshot.docs.map(doc => [doc.id, doc.data()])),
+    departments: new Map(departmentsSnapshot.docs.map(doc => [doc.id, doc.data()]))
+  };
+};
+
+type Directory = Awaited<ReturnType<typeof loadDirectory>>;
+
+// ===========================================
+// DATASETS
+// ===========================================
+
+const EVALUATION_COLUMNS: ExportColumn[] = [
+  { key: 'evaluationId', header: 'Evaluation ID' },
+  { key: 'templateName', header: 'Template' },
+  { key: 'cycleName', header: 'Cycle' },
+  { key: 'status', header: 'Status' },
+  { key: 'evaluateeName', header: 'Employee' },
+  { key: 'evaluateeEmail', header: 'Employee Email' },
+  { key: 'department', header: 'Department' },
+  { key: 'evaluatorName', header: 'Evaluator' },
+  { key: 'assignedDate', header: 'Assigned' },
+  { key: 'dueDate', header: 'Due' },
+  { key: 'completedAt', header: 'Completed' },
+  { key: 'scoringSystem', header: 'Scale' },
+  { key: 'selfScore', header: 'Self Score' },
+  { key: 'managerScore', header: 'Manager Score' },
+  { key: 'finalScore', header: 'Final Score' },
+  { key: 'normalizedScore', header: 'Final Score (%)' },
+  { key: 'gap', header: 'Gap' },
+  { key: 'overallComments', header: 'Overall Comments' }
+];
+
+const RESPONSE_COLUMNS: ExportColumn[] = [
+  { key: 'category', header: 'Category' },
+  { key: 'question', header: 'Question' },
+  { key: 'questionType', header: 'Question Type' },
+  { key: 'questionWeight', header: 'Weight' },
+  { key: 'selfRating', header: 'Self Rating' },
+  { key: 'selfAnswer', header: 'Self Answer' },
+  { key: 'selfComment', header: 'Self Comment' },
+  { key: 'managerRating', header: 'Manager Rating' },
+  { key: 'managerAnswer', header: 'Manager Answer' },
+  { key: 'managerComment', header: 'Manager Comment' },
+  { key: 'target', header: 'Target' },
+  { key: 'targetComment', header: 'Target Comment' }
+];
+
+interface EvaluationRecord {
+  summary: ExportRow;
+  responses: ExportRow[];
+}
+
+/**
+ * One evaluation flattened into its summary and one entry per question
+ */
+const buildEvaluationRecord = (
+  doc: FirebaseFirestore.QueryDocumentSnapshot,
+  directory: Directory
+): EvaluationRecord => {
+  const evaluation = doc.data();
+  const evaluatee = directory.users.get(evaluation.evaluateeId);
+  const evaluator = directory.users.get(evaluation.evaluatorId);
+  const departmentId = evaluatee?.employeeInfo?.department;
+
+  // Stored scores are what the app shows; recompute only for evaluations never scored
+  const scores = evaluation.scores?.finalScore !== undefined ? evaluation.scores : computeEvaluationScores(evaluation);
+  const scale = resolveRatingScale(evaluation);
+
+  const selfResponses = evaluation.responses?.selfAssessment?.categoryResponses || {};
+  const managerResponses = evaluation.managerReview?.categoryResponses || {};
+  const targets = evaluation.managerReview?.targets || {};
+
+  const responses: ExportRow[] = [];
+  getVisibleCategories(evaluation).forEach((category: FirebaseFirestore.DocumentData) => {
+    (category.questions || []).forEach((question: FirebaseFirestore.DocumentData) => {
+      const self = selfResponses[category.id]?.[question.id] || {};
+      const manager = managerResponses[category.id]?.[question.id] || {};
+      const target = targets[category.id]?.[question.id] || {};
+
+      responses.push({
+        category: category.name || '',
+        question: question.text || '',
+        questionType: question.type || 'rating',
+        questionWeight: question.weight ?? 1,
+        selfRating: self.selfRating ?? null,
+        selfAnswer: formatAnswer(question as TemplateQuestion, self.selfAnswer),
+        selfComment: self.comment || '',
+        managerRating: manager.managerRating ?? null,
+        managerAnswer: formatAnswer(question as TemplateQuestion, manager.managerAnswer),
+        managerComment: manager.managerComment || '',
+        target: target.target ?? null,
+        targetComment: target.targetComment || ''
+      });
+    });
+  });
+
+  return {
+    summary: {
+      evaluationId: doc.id,
+      templateName: evaluation.templateName || '',
+      cycleName: evaluation.cycleName || '',
+      status: evaluation.status || '',
+      evaluateeName: fullName(evaluatee),
+      evaluateeEmail: evaluatee?.profile?.email || '',
+      department: departmentId ? directory.departments.get(departmentId)?.name || '' : '',
+      evaluatorName: fullName(evaluator),
+      assignedDate: toIso(evaluation.assignedDate),
+      dueDate: toIso(evaluation.dueDate),
+      completedAt: toIso(evaluation.managerReview?.completedAt || evaluation.completedAt),
+      scoringSystem: scale.name,
+      selfScore: scores.selfScore ?? null,
+      managerScore: scores.managerScore ?? null,
+      finalScore: scores.finalScore ?? null,
+      normalizedScore: normalizeScore(scores.finalScore, scale),
+      gap: scores.gap ?? null,
+      overallComments: evaluation.managerReview?.overallComments || ''
+    },
+    responses
+  };
+};
+
+const evaluationsDataset = (
+  requestingUser: RequestingUser,
+  directory: Directory,
+  scope: ExportScope,
+  filters: EvaluationFilters
+): ExportDataset<EvaluationRecord> => {
+  let query: FirebaseFirestore.Query = businessRef(requestingUser.businessId).collection('evaluations');
+  if (filters.cycleId) query = query.where('cycleId', '==', filters.cycleId);
+  if (filters.status) query = query.where('status', '==', filters.status);
+
+  const from = filters.from ? new Date(filters.from).getTime() : null;
+  const to = filters.to ? new Date(filters.to).getTime() : null;
+
+  async function* records() {
+    for await (const doc of pageThrough(query)) {
+      const evaluation = doc.data();
+      if (evaluation.active === false) continue;
+
+      const inScope = scope.all || scope.userIds.has(evaluation.evaluateeId) || evaluation.evaluatorId === requestingUser.id;
+      if (!inScope) continue;
+
+      if (filters.evaluateeId && evaluation.evaluateeId !== filters.evaluateeId) continue;
+      if (filters.departmentId &&
+          directory.users.get(evaluation.evaluateeId)?.employeeInfo?.department !== filters.departmentId) continue;
+
+      const assigned = new Date(toIso(evaluation.assignedDate) || 0).getTime();
+      if ((from !== null && assigned < from) || (to !== null && assigned > to)) continue;
+
+      yield buildEvaluationRecord(doc, directory);
+    }
+  }
+
+  return {
+    name: 'evaluations',
+    sheets: [
+      { name: 'Evaluations', columns: EVALUATION_COLUMNS },
+      { name: 'Responses', columns: [EVALUATION_COLUMNS[0], EVALUATION_COLUMNS[4], ...RESPONSE_COLUMNS] }
+    ],
+    // One row per answer, each carrying its evaluation's details and scores
+    csvSheet: 'Answers',
+    records: records(),
+    toRows: ({ summary, responses }) => ({
+      Evaluations: [summary],
+      Responses: responses.map(response => ({ ...summary, ...response })),
+      Answers: responses.length > 0 ? responses.map(response => ({ ...summary, ...response })) : [summary]
+    }),
+    toJson: ({ summary, responses }) => ({ ...summary, responses })
+  };
+};
+
+const usersDataset = (directory: Directory, scope: ExportScope): ExportDataset<ExportRow> => {
+  // No salary column: salaries live only in bonus allocations, never on user documents
+  const columns: ExportColumn[] = [
+    { key: 'userId', header: 'User ID' },
+    { key: 'employeeId', header: 'Employee ID' },
+    { key: 'firstName', header: 'First Name' },
+    { key: 'lastName', header: 'Last Name' },
+    { key: 'email', header: 'Email' },
+    { key: 'phone', header: 'Phone' },
+    { key: 'role', header: 'Role' },
+    { key: 'department', header: 'Department' },
+    { key: 'position', header: 'Position' },
+    { key: 'managerEmail', header: 'Manager Email' },
+    { key: 'hireDate', header: 'Hire Date' },
+    { key: 'status', header: 'Status' }
+  ];
+
+  async function* records() {
+    for (const [id, user] of directory.users) {
+      if (!scope.all && !scope.userIds.has(id)) continue;
+
+      const departmentId = user.employeeInfo?.department;
+      const manager = user.employeeInfo?.manager ? directory.users.get(user.employeeInfo.manager) : undefined;
+
+      yield {
+        userId: id,
+        employeeId: user.employeeInfo?.employeeId || '',
+        firstName: user.profile?.firstName || '',
+        lastName: user.profile?.lastName || '',
+        email: user.profile?.email || '',
+        phone: user.profile?.phone || '',
+        role: user.role || '',
+        department: departmentId ? directory.departments.get(departmentId)?.name || '' : '',
+        position: user.employeeInfo?.position || '',
+        managerEmail: manager?.profile?.email || '',
+        hireDate: toIso(user.employeeInfo?.hireDate),
+        status: user.invitation?.status === 'pending' ? 'invited' : (user.isActive ? 'active' : 'inactive')
+      };
+    }
+  }
+
+  return {
+    name: 'users',
+    sheets: [{ name: 'Users', columns }],
+    csvSheet: 'Users',
+    records: records(),
+    toRows: row => ({ Users: [row] }),
+    toJson: row => row
+  };
+};
+
+const departmentsDataset = (directory: Directory, scope: ExportScope): ExportDataset<ExportRow> => {
+  const columns: ExportColumn[] = [
+    { key: 'departmentId', header: 'Department ID' },
+    { key: 'name', header: 'Name' },
+    { key: 'parentDepartment', header: 'Parent Department' },
+    { key: 'managerEmail', header: 'Manager Email' },
+    { key: 'employeeCount', header: 'Employees' },
+    { key: 'status', header: 'Status' }
+  ];
+
+  async function* records() {
+    for (const [id, department] of directory.departments) {
+      if (!scope.all && !scope.departmentIds.has(id)) continue;
+
+      const employeeCount = [...directory.users.values()]
+        .filter(user => user.employeeInfo?.department === id).length;
+      const manager = department.managerId ? directory.users.get(department.managerId) : undefined;
+
+      yield {
+        departmentId: id,
+        name: department.name || '',
+        parentDepartment: department.parentDepartment ? directory.departments.get(department.parentDepartment)?.name || '' : '',
+        managerEmail: manager?.profile?.email || '',
+        employeeCount,
+        status: department.isActive === false ? 'inactive' : 'active'
+      };
+    }
+  }
+
+  return {
+    name: 'departments',
+    sheets: [{ name: 'Departments', columns }],
+    csvSheet: 'Departments',
+    records: records(),
+    toRows: row => ({ Departments: [row] }),
+    toJson: row => row
+  };
+};
+
+// ===========================================
+// WRITERS
+// ===========================================
+
+// Spreadsheets run text starting with these as a formula; a leading quote keeps it text
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+export const csvCell = (value: unknown): string => {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'string' && FORMULA_PREFIX.test(value) ? `'${value}` : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Resolves once the stream has room again, so a slow upload holds back the Firestore reads.
+// Rejects once the stream is destroyed (a failed upload destroys it) rather than waiting
+// for a drain that never comes.
+const write = (stream: Writable, chunk: string): Promise<void> => {
+  const closedError = () => stream.errored || new Error('Export stream closed before the export finished');
+  if (stream.destroyed) return Promise.reject(closedError());
+  if (stream.write(chunk)) return Promise.resolve();
+
+  return new Promise<void>((resolve, reject) => {
+    const onDrain = () => {
+      stream.off('close', onClose);
+      resolve();
+    };
+    const onClose = () => {
+      stream.off('drain', onDrain);
+      reject(closedError());
+    };
+    stream.once('drain', onDrain);
+    stream.once('close', onClose);
+  });
+};
+
+const writeCsv = async <T>(dataset: ExportDataset<T>, stream: Writable): Promise<number> => {
+  const columns = dataset.csvSheet === 'Answers'
+    ? [...EVALUATION_COLUMNS, ...RESPONSE_COLUMNS]
+    : dataset.sheets.find(sheet => sheet.name === dataset.csvSheet)?.columns || [];
+  let count = 0;
+
+  // Byte order mark so Excel opens the file as UTF-8
+  await write(stream, `﻿${columns.map(column => csvCell(column.header)).join(',')}\r\n`);
+  for await (const record of dataset.records) {
+    for (const row of dataset.toRows(record)[dataset.csvSheet] || []) {
+      await write(stream, `${columns.map(column => csvCell(row[column.key])).join(',')}\r\n`);
+    }
+    count++;
+  }
+  stream.end();
+  return count;
+};
+
+const writeJson = async <T>(dataset: ExportDataset<T>, stream: Writable): Promise<number> => {
+  let count = 0;
+
+  await write(stream, '[');
+  for await (const record of dataset.records) {
+    await write(stream, `${count > 0 ? ',' : ''}\n${JSON.stringify(dataset.toJson(record))}`);
+    count++;
+  }
+  await write(stream, '\n]\n');
+  stream.end();
+  return count;
+};
+
+const writeXlsx = async <T>(dataset: ExportDataset<T>, stream: Writable): Promise<number> => {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: true });
+  const worksheets = new Map(dataset.sheets.map(sheet => {
+    const worksheet = workbook.addWorksheet(sheet.name);
+    worksheet.columns = sheet.columns.map(column => ({ header: column.header, key: column.key, width: 18 }));
+    worksheet.getRow(1).font = { bold: true };
+    return [sheet.name, worksheet];
+  }));
+  let count = 0;
+
+  for await (const record of dataset.records) {
+    const rows = dataset.toRows(record);
+    worksheets.forEach((worksheet, name) => {
+      (rows[name] || []).forEach(row => worksheet.addRow(row).commit());
+    });
+    count++;
+  }
+
+  worksheets.forEach(worksheet => worksheet.commit());
+  await workbook.commit();
+  return count;
+};
+
+const writers = { csv: writeCsv, json: writeJson, xlsx: writeXlsx };
+
+/**
+ * Streams a dataset into a Storage file. If reading or uploading fails, both streams are
+ * torn down and the partial file is deleted before the error is rethrown.
+ */
+const uploadDataset = async <T>(dataset: ExportDataset<T>, format: ExportFormat, file: StorageFile): Promise<number> => {
+  const upload = file.createWriteStream({ contentType: CONTENT_TYPES[format], resumable: false });
+  const output = new PassThrough();
+  // Destroys both streams when either fails
+  const uploaded = pipeline(output, upload);
+
+  try {
+    // Fails as soon as either side does, so a broken upload cannot leave the writer waiting
+    const [recordCount] = await Promise.all([writers[format](dataset, output), uploaded]);
+    return recordCount;
+  } catch (error: unknown) {
+    output.destroy();
+    upload.destroy();
+    await uploaded.catch(uploadError => logger.warn('Export upload aborted', { file: file.name, error: String(uploadError) }));
+    await file.delete({ ignoreNotFound: true })
+      .catch(deleteError => logger.error('Failed to delete partial export', { file: file.name, error: String(deleteError) }));
+    throw error;
+  }
+};
+
+interface ExportRequest {
+  requestingUser: RequestingUser;
+  exportType: ExportType;
+  format: ExportFormat;
+  filters: EvaluationFilters;
+  scope: ExportScope;
+}
+
+/**
+ * Writes the dataset to Storage, logs the export and returns a download link
+ */
+const saveExport = async <T>(dataset: ExportDataset<T>, request: ExportRequest) => {
+  const { requestingUser, exportType, format, filters, scope } = request;
+  const { businessId } = requestingUser;
+
+  const now = new Date();
+  const exportRef = exportsRef(businessId).doc();
+  const fileName = `${dataset.name}-${now.toISOString().slice(0, 10)}.${format}`;
+  const file = reportFile(businessId, `${exportRef.id}-${fileName}`);
+
+  const recordCount = await uploadDataset(dataset, format, file);
+
+  const urlExpiresAt = new Date(now.getTime() + DOWNLOAD_URL_TTL_MS);
+  const downloadUrl = await getDownloadUrl(file, fileName, urlExpiresAt);
+
+  await exportRef.set({
+    exportType,
+    format,
+    filters,
+    scope: scope.all ? 'business' : 'team',
+    recordCount,
+    filePath: file.name,
+    fileName,
+    status: 'ready',
+    createdBy: requestingUser.id,
+    createdAt: FieldValue.serverTimestamp(),
+    deleteAfter: Timestamp.fromMillis(now.getTime() + EXPORT_RETENTION_MS)
+  });
+
+  logger.info('Export created', { businessId, exportId: exportRef.id, exportType, format, recordCount });
+
+  return {
+    success: true,
+    message: `Exported ${recordCount} ${dataset.name}`,
+    exportId: exportRef.id,
+    fileName,
+    recordCount,
+    downloadUrl,
+    expiresAt: urlExpiresAt.toISOString()
+  };
+};
+
+const runExport = async (
+  requestingUser: RequestingUser,
+  exportType: ExportType,
+  format: ExportFormat,
+  filters: EvaluationFilters = {}
+) => {
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw new HttpsError('invalid-argument', `Unsupported export format: ${format}`);
+  }
+  if (!isAdminOrHr(requestingUser) && !hasPermission(requestingUser, 'canViewAnalytics')) {
+    throw new HttpsError('permission-denied', 'Insufficient permissions to export data');
+  }
+
+  const directory = await loadDirectory(requestingUser.businessId);
+  const scope = getExportScope(requestingUser, directory.users, directory.departments);
+  const request: ExportRequest = { requestingUser, exportType, format, filters, scope };
+
+  switch (exportType) {
+    case 'evaluations':
+      return saveExport(evaluationsDataset(requestingUser, directory, scope, filters), request);
+    case 'users':
+      return saveExport(usersDataset(directory, scope), request);
+    case 'departments':
+      return saveExport(departmentsDataset(directory, scope), request);
+    default:
+      throw new HttpsError('invalid-argument', `Unsupported export type: ${exportType}`);
+  }
+};
+
+const handleExportError = (error: unknown, message: string): never => {
+  logger.error(`${message}:`, error);
+
+  if (error instanceof HttpsError) {
+    throw error;
+  }
+
+  throw new HttpsError('internal', message);
+};
+
+/**
+ * Evaluations with per-question ratings, comments, targets and scores
+ */
+export const exportEvaluations = onCall({ cors: true, timeoutSeconds: 300, memory: '512MiB' }, async (request) => {
+  // Check if user is authenticated
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'User must be authenticated');
+  }
+
+  const { filters = {}, format = 'csv' } = request.data as { filters?: EvaluationFilters; format?: ExportFormat };
+
+  try {
+    const requestingUser = await getRequestingUser(request.auth.uid);
+    return await runExport(requestingUser, 'evaluations', format, filters);
+  } catch (error: unknown) {
+    return handleExportError(error, 'Failed to export evaluations');
+  }
+});
+
+/**
+ * User roster
+ */
+export const exportUsers = onCall({ cors: true, timeoutSeconds: 300 }, async (request) => {
+  // Check if user is authenticated
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'User must be authenticated');
+  }
+
+  const { format = 'csv' } = request.data as { format?: ExportFormat };
+
+  try {
+    const requestingUser = await getRequestingUser(request.auth.uid);
+    return await runExport(requestingUser, 'users', format);
+  } catch (error: unknown) {
+    return handleExportError(error, 'Failed to export users');
+  }
+});
+
+/**
+ * Any export type: evaluations, users or departments, with options { format, filters }
+ */
+export const exportData = onCall({ cors: true, timeoutSeconds: 300, memory: '512MiB' }, async (request) => {
+  // Check if user is authenticated
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'User must be authenticated');
+  }
+
+  const { exportType, options = {} } = request.data as {
+    exportType: ExportType;
+    options?: { format?: ExportFormat; filters?: EvaluationFilters };
+  };
+
+  try {
+    const requestingUser = await getRequestingUser(request.auth.uid);
+    return await runExport(requestingUser, exportType, options.format || 'csv', options.filters);
+  } catch (error: unknown) {
+    return handleExportError(error, 'Failed to export data');
+  }
+});
+
+/**
+ * Deletes export files once their retention period has passed
+ */
+export const cleanupExpiredExports = onSchedule({ schedule: 'every day 03:00', timeZone: 'UTC' }, async (event) => {
+  const now = event.scheduleTime ? new Date(event.scheduleTime) : new Date();
+  const bucket = getStorage(app).bucket();
+  const businesses = await db.collection('businesses').get();
+
+  for (const business of businesses.docs) {
+    const expired = await exportsRef(business.id)
+      .where('status', '==', 'ready')
+      .where('deleteAfter', '<=', Timestamp.fromDate(now))
+      .get();
+
+    for (const exportDoc of expired.docs) {
+      await bucket.file(exportDoc.data().filePath).delete({ ignoreNotFound: true });
+      await exportDoc.ref.update({ status: 'deleted', deletedAt: FieldValue.serverTimestamp() });
+    }
+
+    if (!expired.empty) {
+      logger.info('Expired exports deleted', { businessId: business.id, count: expired.size });
+    }
+  }
+});
@@ -0,0 +1,58 @@
+import { summarizeQuestion } from './feedback';
+import { RATING_SCALE_PRESETS } from './ratingScales';
+
+const scale = RATING_SCALE_PRESETS['1-5'];
+
+describe('summarizeQuestion', () => {
+  const rated = { id: 'q1', text: 'Communicates clearly' };
+  const followUp = { id: 'q2', text: 'What should change?', type: 'text' };
+
+  it('summarizes a question every rater was shown', () => {
+    const summary = summarizeQuestion(rated, [
+      { rating: 4, comment: 'Clear' },
+      { rating: 2, comment: '' },
+      { rating: 3, comment: 'Brief' }
+    ], scale, 3);
+
+    expect(summary).toEqual({
+      id: 'q1',
+      text: 'Communicates clearly',
+      type: 'rating',
+      respondents: 3,
+      average: 3,
+      distribution: null,
+      comments: ['Brief', 'Clear']
+    });
+  });
+
+  it('hides a question shown to fewer raters than the threshold, comments included', () => {
+    const summary = summarizeQuestion(followUp, [
+      { answer: 'More one-to-ones', comment: 'Please' },
+      undefined,
+      undefined
+    ], scale, 3);
+
+    expect(summary).toEqual({
+      id: 'q2',
+      text: 'What should change?',
+      type: 'text',
+      respondents: null,
+      average: null,
+      distribution: null,
+      comments: []
+    });
+  });
+
+  it('only counts whole blocks of answers, in submission order', () => {
+    const summary = summarizeQuestion(rated, [
+      { rating: 5 },
+      { rating: 5 },
+      undefined,
+      { rating: 1, comment: 'Latest' }
+    ], scale, 2);
+
+    expect(summary.respondents).toBe(2);
+    expect(summary.average).toBe(5);
+    expect(summary.comments).toEqual([]);
+  });
+});
@@ -0,0 +1,898 @@
+/**
+ * Cloud Functions for 360-Degree Feedback
+ *
+ * An evaluation has one evaluator, but its evaluator (or admin/HR) can also collect
+ * feedback from other raters: set up a feedback form from a published template and an
+ * anonymity threshold, then nominate peers, direct reports and external reviewers. The
+ * evaluatee may nominate too; their nominations wait for the evaluator's approval.
+ *
+ * Each nomination is a feedbackRequests document. Approved internal raters answer in the
+ * app; external raters get a signed link by email (see tokens.ts). Answers go to
+ * feedbackResponses, which no client can read. The evaluator sees them only through
+ * getFeedbackSummary, aggregated per rater group, and a group with fewer respondents
+ * than the threshold shows nothing at all. Results grow in whole blocks of the threshold
+ * and nominations are listed without who has answered, so comparing the results over
+ * time does not single out a rater either.
+ */
+
+import { onCall, HttpsError } from 'firebase-functions/v2/https';
+import { logger } from 'firebase-functions';
+import { FieldValue, Timestamp } from 'firebase-admin/firestore';
+import { db } from './config';
+import { getRequestingUser, isAdminOrHr, businessRef, RequestingUser } from './access';
+import { findOffScaleRatings, isRatingOnScale, resolveRatingScale, RatingScale } from './ratingScales';
+import { answerScore, findInvalidAnswers, isRatedQuestion, TemplateQuestion } from './questionTypes';
+import { filterVisibleCategories, RuleCategory } from './displayRules';
+import { resolveTemplateVersion } from './templates';
+import { appUrl, queueEmail } from './email';
+import { EMAIL_PATTERN } from './invites';
+import { createSignedToken, hashNonce, readSignedToken } from './tokens';
+
+export type RaterGroup = 'peer' | 'directReport' | 'external';
+export type FeedbackRequestStatus = 'nominated' | 'approved' | 'declined' | 'submitted';
+
+export const RATER_GROUPS: RaterGroup[] = ['peer', 'directReport', 'external'];
+
+// A threshold of 1 would show individual answers
+const MIN_ANONYMITY_THRESHOLD = 2;
+const DEFAULT_ANONYMITY_THRESHOLD = 3;
+const MAX_ANONYMITY_THRESHOLD = 10;
+const MAX_NOMINATIONS_PER_CALL = 25;
+const EXTERNAL_LINK_TTL_DAYS = 30;
+const MAX_TEXT_LENGTH = 5000;
+
+interface Nomination {
+  raterType: RaterGroup;
+  raterId?: string;
+  name?: string;
+  email?: string;
+}
+
+type CategoryResponses = Record<string, Record<string, Record<string, unknown>>>;
+
+interface FeedbackResponsesInput {
+  categoryResponses?: CategoryResponses;
+  freeTextQuestions?: Record<string, unknown>;
+}
+
+const feedbackRequestsRef = (businessId: string) => businessRef(businessId).collection('feedbackRequests');
+const feedbackResponsesRef = (businessId: string) => businessRef(businessId).collection('feedbackResponses');
+
+const displayName = (user: FirebaseFirestore.DocumentData | undefined) =>
+  `${user?.profile?.firstName || ''} ${user?.profile?.lastName || ''}`.trim();
+
+const round = (value: number): number => Math.round(value * 100) / 100;
+
+const handleFeedbackError = (error: unknown, message: string): never => {
+  logger.error(`${message}:`, error);
+
+  if (error instanceof HttpsError) {
+    throw error;
+  }
+
+  throw new HttpsError('internal', message);
+};
+
+const loadEvaluation = async (businessId: string, evaluationId: string) => {
+  const evaluationDoc = await businessRef(businessId).collection('evaluations').doc(evaluationId).get();
+  if (!evaluationDoc.exists) {
+    throw new HttpsError('not-found', 'Evaluation not found');
+  }
+  return { evaluationRef: evaluationDoc.ref, evaluation: evaluationDoc.data() || {} };
+};
+
+// The evaluator runs the feedback round; admin/HR may step in
+const canManageFeedback = (user: RequestingUser, evaluation: FirebaseFirestore.DocumentData) => {
+  return evaluation.evaluatorId === user.id || isAdminOrHr(user);
+};
+
+const assertFeedbackOpen = (evaluation: FirebaseFirestore.DocumentData) => {
+  if (evaluation.status === 'completed' || evaluation.active === false) {
+    throw new HttpsError('failed-precondition', 'Feedback is closed once the evaluation is completed');
+  }
+};
+
+const isAnonymityThreshold = (value: unknown): value is number => {
+  return Number.isInteger(value) && (value as number) >= MIN_ANONYMITY_THRESHOLD && (value as number) <= MAX_ANONYMITY_THRESHOLD;
+};
+
+/**
+ * Emails an approved rater their link: the in-app form for colleagues, a signed
+ * link for external reviewers
+ */
+const sendFeedbackInvitation = async (
+  businessId: string,
+  requestRef: FirebaseFirestore.DocumentReference,
+  request: FirebaseFirestore.DocumentData,
+  requestingUser: RequestingUser
+) => {
+  let to: string | null = request.raterEmail || null;
+  let actionUrl = appUrl(`/feedback-requests/${requestRef.id}`);
+  let expiresAt: Date | null = null;
+
+  if (request.raterType === 'external') {
+    expiresAt = new Date(Date.now() + EXTERNAL_LINK_TTL_DAYS * 24 * 60 * 60 * 1000);
+    const { token, nonceHash } = createSignedToken([businessId, requestRef.id], expiresAt);
+    await requestRef.update({ nonceHash, linkExpiresAt: Timestamp.fromDate(expiresAt) });
+    actionUrl = appUrl(`/feedback/${token}`);
+  } else {
+    const raterDoc = await businessRef(businessId).collection('users').doc(request.raterId).get();
+    to = raterDoc.data()?.profile?.email || null;
+  }
+
+  if (!to) {
+    logger.warn('Feedback rater has no email address', { businessId, requestId: requestRef.id });
+    return;
+  }
+
+  await queueEmail(businessId, {
+    to,
+    template: 'feedback-request',
+    data: {
+      recipientName: request.raterName,
+      requesterName: displayName(requestingUser.data) || 'Your colleague',
+      evaluateeName: request.evaluateeName,
+      dueDate: request.dueDate ? String(request.dueDate).slice(0, 10) : null,
+      actionUrl,
+      expiresAt: expiresAt ? expiresAt.toISOString().slice(0, 10) : null
+    },
+    userId: request.raterId || null,
+    createdBy: requestingUser.id
+  });
+};
+
+/**
+ * Turns on 360 feedback for an evaluation, or changes its form and threshold while
+ * nobody has answered yet
+ */
+export const setupFeedback = onCall({ cors: true }, async (request) => {
+  // Check if user is authenticated
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'User must be authenticated');
+  }
+
+  const { evaluationId, templateId, minRespondents = DEFAULT_ANONYMITY_THRESHOLD } = request.data || {};
+
+  if (!evaluationId || !templateId) {
+    throw new HttpsError('invalid-argument', 'Missing evaluation ID or feedback template');
+  }
+  if (!isAnonymityThreshold(minRespondents)) {
+    throw new HttpsError(
+      'invalid-argument',
+      `The anonymity threshold must be between ${MIN_ANONYMITY_THRESHOLD} and ${MAX_ANONYMITY_THRESHOLD} respondents`
+    );
+  }
+
+  try {
+    const requestingUser = await getRequestingUser(request.auth.uid);
+    const { businessId } = requestingUser;
+    const { evaluationRef, evaluation } = await loadEvaluation(businessId, evaluationId);
+
+    if (!canManageFeedback(requestingUser, evaluation)) {
+      throw new HttpsError('permission-denied', 'Only the evaluator can set up feedback for this evaluation');
+    }
+    assertFeedbackOpen(evaluation);
+
+    // Changing the form or lowering the threshold after answers arrive could expose them
+    const submitted = await feedbackRequestsRef(businessId)
+      .where('evaluationId', '==', evaluationId)
+      .where('status', '==', 'submitted')
+      .limit(1)
+      .get();
+    if (!submitted.empty) {
+      throw new HttpsError('failed-precondition', 'Feedback has already been submitted; the form and threshold can no longer change');
+    }
+
+    const { version, template } = await resolveTemplateVersion(businessId, templateId);
+
+    const feedback = {
+      templateId,
+      templateVersion: version,
+      templateName: template.name || '',
+      minRespondents,
+      enabledBy: requestingUser.id,
+      enabledAt: new Date().toISOString()
+    };
+
+    const batch = db.batch();
+    batch.update(evaluationRef, { feedback, updatedAt: FieldValue.serverTimestamp() });
+
+    // Open requests follow the new form
+    const openRequests = await feedbackRequestsRef(businessId).where('evaluationId', '==', evaluationId).get();
+    openRequests.docs.forEach(requestDoc => batch.update(requestDoc.ref, {
+      templateId,
+      templateVersion: version,
+      templateName: feedback.templateName,
+      updatedAt: FieldValue.serverTimestamp()
+    }));
+    await batch.commit();
+
+    logger.info('Feedback set up', { businessId, evaluationId, templateId, version });
+
+    return { success: true, message: 'Feedback set up', feedback };
+
+  } catch (error: unknown) {
+    return handleFeedbackError(error, 'Failed to set up feedback');
+  }
+});
+
+/**
+ * Nominates raters. The evaluator's (and admin/HR's) nominations are approved straight
+ * away; the evaluatee's wait for the evaluator.
+ */
+export const nominateFeedbackRaters = onCall({ cors: true }, async (request) => {
+  // Check if user is authenticated
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'User must be authenticated');
+  }
+
+  const { evaluationId, nominations } = request.data as { evaluationId: string; nominations: Nomination[] };
+
+  if (!evaluationId || !Array.isArray(nominations) || nominations.length === 0) {
+    throw new HttpsError('invalid-argument', 'Missing evaluation ID or nominations');
+  }
+  if (nominations.length > MAX_NOMINATIONS_PER_CALL) {
+    throw new HttpsError('invalid-argument', `Nominate at most ${MAX_NOMINATIONS_PER_CALL} raters at a time`);
+  }
+
+  try {
+    const requestingUser = await getRequestingUser(request.auth.uid);
+    const { businessId } = requestingUser;
+    const { evaluation } = await loadEvaluation(businessId, evaluationId);
+
+    const isManager = canManageFeedback(requestingUser, evaluation);
+    if (!isManager && evaluation.evaluateeId !== requestingUser.id) {
+      throw new HttpsError('permission-denied', 'Only the evaluatee or the evaluator can nominate raters');
+    }
+    if (!evaluation.feedback?.templateId) {
+      throw new HttpsError('failed-precondition', 'Feedback has not been set up for this evaluation');
+    }
+    assertFeedbackOpen(evaluation);
+
+    const usersRef = businessRef(businessId).collection('users');
+    const [evaluateeDoc, existingRequests] = await Promise.all([
+      usersRef.doc(evaluation.evaluateeId).get(),
+      feedbackRequestsRef(businessId).where('evaluationId', '==', evaluationId).get()
+    ]);
+    const evaluateeName = displayName(evaluateeDoc.data());
+
+    // Declined nominations may be made again
+    const taken = new Set(existingRequests.docs
+      .map(requestDoc => requestDoc.data())
+      .filter(existing => existing.status !== 'declined')
+      .map(existing => existing.raterId || existing.raterEmail));
+
+    const status: FeedbackRequestStatus = isManager ? 'approved' : 'nominated';
+    const now = new Date().toISOString();
+    const prepared: Array<{ ref: FirebaseFirestore.DocumentReference; data: FirebaseFirestore.DocumentData }> = [];
+
+    for (const nomination of nominations) {
+      if (!RATER_GROUPS.includes(nomination?.raterType)) {
+        throw new HttpsError('invalid-argument', 'Rater type must be peer, directReport or external');
+      }
+
+      let rater: { raterId: string | null; raterName: string; raterEmail: string | null };
+
+      if (nomination.raterType === 'external') {
+        const name = (nomination.name || '').trim();
+        const email = (nomination.email || '').trim().toLowerCase();
+        if (!name || !EMAIL_PATTERN.test(email)) {
+          throw new HttpsError('invalid-argument', 'External reviewers need a name and a valid email address');
+        }
+        rater = { raterId: null, raterName: name, raterEmail: email };
+      } else {
+        const raterId = nomination.raterId || '';
+        if (!raterId) {
+          throw new HttpsError('invalid-argument', 'Pick a colleague to nominate');
+        }
+        if (raterId === evaluation.evaluateeId || raterId === evaluation.evaluatorId) {
+          throw new HttpsError('invalid-argument', 'The evaluatee and the evaluator cannot be feedback raters');
+        }
+
+        const raterDoc = await usersRef.doc(raterId).get();
+        const raterData = raterDoc.data();
+        if (!raterDoc.exists || raterData?.isActive === false) {
+          throw new HttpsError('not-found', 'Nominated colleague not found');
+        }
+        if (nomination.raterType === 'directReport' && raterData?.employeeInfo?.manager !== evaluation.evaluateeId) {
+          throw new HttpsError('invalid-argument', `${displayName(raterData)} does not report to ${evaluateeName}`);
+        }
+        rater = { raterId, raterName: displayName(raterData), raterEmail: null };
+      }
+
+      const key = rater.raterId || rater.raterEmail;
+      if (taken.has(key)) {
+        throw new HttpsError('already-exists', `${rater.raterName} has already been nominated`);
+      }
+      taken.add(key);
+
+      prepared.push({
+        ref: feedbackRequestsRef(businessId).doc(),
+        data: {
+          evaluationId,
+          evaluateeId: evaluation.evaluateeId,
+          evaluateeName,
+          evaluateeContext: evaluation.evaluateeContext || null,
+          evaluatorId: evaluation.evaluatorId,
+          cycleId: evaluation.cycleId || null,
+          raterType: nomination.raterType,
+          ...rater,
+          status,
+          nominatedBy: requestingUser.id,
+          nominatedAt: now,
+          decidedBy: isManager ? requestingUser.id : null,
+          decidedAt: isManager ? now : null,
+          templateId: evaluation.feedback.templateId,
+          templateVersion: evaluation.feedback.templateVersion,
+          templateName: evaluation.feedback.templateName || '',
+          dueDate: evaluation.dueDate || null,
+          nonceHash: null,
+          linkExpiresAt: null,
+          submittedAt: null,
+          createdAt: FieldValue.serverTimestamp(),
+          updatedAt: FieldValue.serverTimestamp()
+        }
+      });
+    }
+
+    const batch = db.batch();
+    prepared.forEach(({ ref, data }) => batch.create(ref, data));
+    await batch.commit();
+
+    if (status === 'approved') {
+      for (const { ref, data } of prepared) {
+        await sendFeedbackInvitation(businessId, ref, data, requestingUser);
+      }
+    }
+
+    logger.info('Feedback raters nominated', { businessId, evaluationId, count: prepared.length, status });
+
+    return {
+      success: true,
+      message: status === 'approved'
+        ? `${prepared.length} rater(s) invited`
+        : `${prepared.length} nomination(s) sent to the evaluator for approval`,
+      requestIds: prepared.map(({ ref }) => ref.id),
+      status
+    };
+
+  } catch (error: unknown) {
+    return handleFeedbackError(error, 'Failed to nominate raters');
+  }
+});
+
+/**
+ * Approves or declines nominations made by the evaluatee
+ */
+export const decideFeedbackNominations = onCall({ cors: true }, async (request) => {
+  // Check if user is authenticated
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'User must be authenticated');
+  }
+
+  const { evaluationId, decisions } = request.data as {
+    evaluationId: string;
+    decisions: Array<{ requestId: string; approve: boolean }>;
+  };
+
+  if (!evaluationId || !Array.isArray(decisions) || decisions.length === 0) {
+    throw new HttpsError('invalid-argument', 'Missing evaluation ID or decisions');
+  }
+
+  try {
+    const requestingUser = await getRequestingUser(request.auth.uid);
+    const { businessId } = requestingUser;
+    const { evaluation } = await loadEvaluation(businessId, evaluationId);
+
+    if (!canManageFeedback(requestingUser, evaluation)) {
+      throw new HttpsError('permission-denied', 'Only the evaluator can approve nominations');
+    }
+    assertFeedbackOpen(evaluation);
+
+    const now = new Date().toISOString();
+    const approved = await db.runTransaction(async (transaction) => {
+      const refs = decisions.map(decision => feedbackRequestsRef(businessId).doc(String(decision.requestId)));
+      const docs = await Promise.all(refs.map(ref => transaction.get(ref)));
+
+      docs.forEach(requestDoc => {
+        const data = requestDoc.data();
+        if (!data || data.evaluationId !== evaluationId) {
+          throw new HttpsError('not-found', 'Nomination not found');
+        }
+        if (data.status !== 'nominated') {
+          throw new HttpsError('failed-precondition', `The nomination of ${data.raterName} has already been decided`);
+        }
+      });
+
+      return docs.flatMap((requestDoc, index) => {
+        const approve = decisions[index].approve === true;
+        transaction.update(requestDoc.ref, {
+          status: (approve ? 'approved' : 'declined') as FeedbackRequestStatus,
+          decidedBy: requestingUser.id,
+          decidedAt: now,
+          updatedAt: FieldValue.serverTimestamp()
+        });
+        return approve ? [{ ref: requestDoc.ref, data: requestDoc.data() || {} }] : [];
+      });
+    });
+
+    for (const { ref, data } of approved) {
+      await sendFeedbackInvitation(businessId, ref, data, requestingUser);
+    }
+
+    logger.info('Feedback nominations decided', { businessId, evaluationId, approved: approved.length, total: decisions.length });
+
+    return {
+      success: true,
+      message: `${approved.length} approved, ${decisions.length - approved.length} declined`,
+      approved: approved.length
+    };
+
+  } catch (error: unknown) {
+    return handleFeedbackError(error, 'Failed to update nominations');
+  }
+});
+
+const clampText = (value: unknown) => (typeof value === 'string' ? value.trim().slice(0, MAX_TEXT_LENGTH) : '');
+
+/**
+ * Checks a rater's answers against the form and keeps only what belongs to it
+ */
+const cleanFeedbackResponses = (
+  template: FirebaseFirestore.DocumentData,
+  evaluateeContext: FirebaseFirestore.DocumentData | null,
+  input: FeedbackResponsesInput
+) => {
+  const scale = resolveRatingScale(template);
+  const responses = input?.categoryResponses || {};
+
+  if (findOffScaleRatings(responses, 'rating', scale).length > 0) {
+    throw new HttpsError('invalid-argument', `Ratings must be on the form's rating scale (${scale.name})`);
+  }
+
+  const categories = filterVisibleCategories(
+    (template.categories || []) as RuleCategory[],
+    evaluateeContext as never,
+    responses,
+    'rater'
+  );
+  // Unlike evaluations, where a rating can be left for later, a rater answers in one go
+  const unrated = categories.flatMap(category => (category.questions || [])
+    .filter(question => isRatedQuestion(question) && question.required !== false &&
+      !isRatingOnScale(responses[category.id as string]?.[question.id]?.rating, scale))
+    .map(question => `${category.id}/${question.id}`));
+  const invalid = [...unrated, ...findInvalidAnswers(categories, responses, 'rater', true)];
+  if (invalid.length > 0) {
+    throw new HttpsError('invalid-argument', 'Some questions are unanswered or have invalid answers', { questions: invalid });
+  }
+
+  const categoryResponses: CategoryResponses = {};
+  categories.forEach(category => {
+    (category.questions || []).forEach(question => {
+      const response = responses[category.id as string]?.[question.id] || {};
+      const value = isRatedQuestion(question)
+        ? { rating: isRatingOnScale(response.rating, scale) ? response.rating : null }
+        : { answer: question.type === 'text' ? clampText(response.answer) : response.answer ?? null };
+
+      categoryResponses[category.id as string] = {
+        ...(categoryResponses[category.id as string] || {}),
+        [question.id]: { ...value, comment: clampText(response.comment) }
+      };
+    });
+  });
+
+  const freeTextQuestions: Record<string, string> = {};
+  // Keyed by position, like responses.freeTextQuestions on evaluations
+  (template.freeTextQuestions || []).forEach((question: { required?: boolean }, index: number) => {
+    const key = String(index);
+    const answer = clampText(input?.freeTextQuestions?.[key]);
+    if (!answer && question.required !== false) {
+      throw new HttpsError('invalid-argument', 'Please answer the open-ended questions');
+    }
+    freeTextQuestions[key] = answer;
+  });
+
+  return { categoryResponses, freeTextQuestions };
+};
+
+/**
+ * Stores a rater's answers and closes their request, once
+ */
+const recordFeedback = async (
+  businessId: string,
+  requestRef: FirebaseFirestore.DocumentReference,
+  input: FeedbackResponsesInput
+) => {
+  const requestDoc = await requestRef.get();
+  const feedbackRequest = requestDoc.data();
+  if (!feedbackRequest) {
+    throw new HttpsError('not-found', 'Feedback request not found');
+  }
+
+  const { template } = await resolveTemplateVersion(businessId, feedbackRequest.templateId, feedbackRequest.templateVersion);
+  const cleaned = cleanFeedbackResponses(template, feedbackRequest.evaluateeContext, input);
+
+  await db.runTransaction(async (transaction) => {
+    const [current, evaluationDoc] = await Promise.all([
+      transaction.get(requestRef),
+      transaction.get(businessRef(businessId).collection('evaluations').doc(feedbackRequest.evaluationId))
+    ]);
+    const status = current.data()?.status;
+    if (status === 'submitted') {
+      throw new HttpsError('failed-precondition', 'This feedback has already been submitted');
+    }
+    if (status !== 'approved') {
+      throw new HttpsError('failed-precondition', 'This feedback request is not open');
+    }
+    assertFeedbackOpen(evaluationDoc.data() || {});
+
+    // No rater identity here: the response is linked to its request by document id only
+    transaction.create(feedbackResponsesRef(businessId).doc(requestRef.id), {
+      evaluationId: feedbackRequest.evaluationId,
+      raterType: feedbackRequest.raterType,
+      templateId: feedbackRequest.templateId,
+      templateVersion: feedbackRequest.templateVersion,
+      ...cleaned,
+      submittedAt: FieldValue.serverTimestamp()
+    });
+    transaction.update(requestRef, {
+      status: 'submitted' as FeedbackRequestStatus,
+      submittedAt: FieldValue.serverTimestamp(),
+      nonceHash: null,
+      updatedAt: FieldValue.serverTimestamp()
+    });
+  });
+
+  logger.info('Feedback submitted', { businessId, requestId: requestRef.id, evaluationId: feedbackRequest.evaluationId });
+};
+
+/**
+ * A colleague submits feedback from the app
+ */
+export const submitFeedback = onCall({ cors: true }, async (request) => {
+  // Check if user is authenticated
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'User must be authenticated');
+  }
+
+  const { requestId, responses } = request.data as { requestId: string; responses: FeedbackResponsesInput };
+  if (!requestId || !responses) {
+    throw new HttpsError('invalid-argument', 'Missing feedback request ID or responses');
+  }
+
+  try {
+    const requestingUser = await getRequestingUser(request.auth.uid);
+    const requestRef = feedbackRequestsRef(requestingUser.businessId).doc(requestId);
+    const requestDoc = await requestRef.get();
+
+    if (!requestDoc.exists || requestDoc.data()?.raterId !== requestingUser.id) {
+      throw new HttpsError('not-found', 'Feedback request not found');
+    }
+
+    await recordFeedback(requestingUser.businessId, requestRef, responses);
+
+    return { success: true, message: 'Thank you for your feedback' };
+
+  } catch (error: unknown) {
+    return handleFeedbackError(error, 'Failed to submit feedback');
+  }
+});
+
+/**
+ * Checks an external reviewer's link. Every failure gets the same vague message so
+ * tokens cannot be probed.
+ */
+const verifyFeedbackToken = async (token: unknown, now = new Date()) => {
+  const invalid = () => new HttpsError('not-found', 'This feedback link is invalid');
+
+  const parsed = readSignedToken(token, 2);
+  if (!parsed) throw invalid();
+
+  const { ids: [businessId, requestId], nonce, expiresAtMillis } = parsed;
+  const requestRef = feedbackRequestsRef(businessId).doc(requestId);
+  const feedbackRequest = (await requestRef.get()).data();
+
+  if (feedbackRequest?.status === 'submitted') {
+    throw new HttpsError('failed-precondition', 'This feedback has already been submitted. Thank you!');
+  }
+  if (!feedbackRequest || feedbackRequest.raterType !== 'external' || feedbackRequest.nonceHash !== hashNonce(nonce)) {
+    throw invalid();
+  }
+  if (expiresAtMillis <= now.getTime() || feedbackRequest.linkExpiresAt?.toDate() <= now) {
+    throw new HttpsError('deadline-exceeded', 'This feedback link has expired');
+  }
+
+  return { businessId, requestRef, feedbackRequest };
+};
+
+/**
+ * Public: the form an external reviewer fills in
+ */
+export const getExternalFeedbackRequest = onCall({ cors: true }, async (request) => {
+  const { token } = request.data as { token: string };
+
+  try {
+    const { businessId, feedbackRequest } = await verifyFeedbackToken(token);
+    const [{ template }, businessDoc] = await Promise.all([
+      resolveTemplateVersion(businessId, feedbackRequest.templateId, feedbackRequest.templateVersion),
+      businessRef(businessId).get()
+    ]);
+
+    return {
+      success: true,
+      request: {
+        raterName: feedbackRequest.raterName,
+        evaluateeName: feedbackRequest.evaluateeName,
+        evaluateeContext: feedbackRequest.evaluateeContext || null,
+        businessName: businessDoc.data()?.name || '',
+        dueDate: feedbackRequest.dueDate || null
+      },
+      template: {
+        name: template.name || '',
+        instructions: template.instructions || '',
+        ratingScale: resolveRatingScale(template),
+        categories: template.categories || [],
+        freeTextQuestions: template.freeTextQuestions || []
+      }
+    };
+  } catch (error: unknown) {
+    return handleFeedbackError(error, 'Failed to load feedback request');
+  }
+});
+
+/**
+ * Public: an external reviewer submits their answers
+ */
+export const submitExternalFeedback = onCall({ cors: true }, async (request) => {
+  const { token, responses } = request.data as { token: string; responses: FeedbackResponsesInput };
+  if (!responses) {
+    throw new HttpsError('invalid-argument', 'Missing responses');
+  }
+
+  try {
+    const { businessId, requestRef } = await verifyFeedbackToken(token);
+    await recordFeedback(businessId, requestRef, responses);
+
+    return { success: true, message: 'Thank you for your feedback' };
+
+  } catch (error: unknown) {
+    return handleFeedbackError(error, 'Failed to submit feedback');
+  }
+});
+
+/**
+ * The leading items in whole blocks of the anonymity threshold. Results built from them
+ * change only once a full block has come in, so the difference between two summaries is
+ * never fewer than minRespondents answers.
+ */
+const inBlocks = <T>(items: T[], minRespondents: number): T[] =>
+  items.slice(0, Math.floor(items.length / minRespondents) * minRespondents);
+
+interface QuestionSummary {
+  id: string;
+  text: string;
+  type: string;
+  // Null when too few raters were shown the question
+  respondents: number | null;
+  // Mean rating, or mean score on the rating scale for scored answer types
+  average: number | null;
+  // Answer counts for yes/no, multiple choice and checklist questions
+  distribution: Array<{ label: string; count: number }> | null;
+  // Written answers and comments, in alphabetical order so they cannot be matched to raters
+  comments: string[];
+}
+
+/**
+ * One question's results from a group's responses, in submission order. Display rules can
+ * show a question to only some raters, so the threshold applies to each question as well:
+ * a question shown to fewer than minRespondents raters returns nothing but its text.
+ */
+export const summarizeQuestion = (
+  question: TemplateQuestion,
+  responses: Array<Record<string, unknown> | undefined>,
+  scale: RatingScale,
+  minRespondents: number
+): QuestionSummary => {
+  const answered = inBlocks(responses.filter((response): response is Record<string, unknown> => !!response), minRespondents);
+  if (answered.length === 0) {
+    return {
+      id: question.id,
+      text: question.text || '',
+      type: question.type || 'rating',
+      respondents: null,
+      average: null,
+      distribution: null,
+      comments: []
+    };
+  }
+
+  const scores = answered
+    .map(response => (isRatedQuestion(question)
+      ? (isRatingOnScale(response.rating, scale) ? response.rating as number : null)
+      : answerScore(question, response.answer, scale)))
+    .filter((score): score is number => score !== null);
+
+  let distribution: QuestionSummary['distribution'] = null;
+  if (question.type === 'yesNo') {
+    distribution = [true, false].map(value => ({
+      label: value ? 'Yes' : 'No',
+      count: answered.filter(response => response.answer === value).length
+    }));
+  } else if (question.type === 'multipleChoice' || question.type === 'checklist') {
+    distribution = (question.options || []).map(option => ({
+      label: option,
+      count: answered.filter(response => (Array.isArray(response.answer)
+        ? (response.answer as string[]).includes(option)
+        : response.answer === option)).length
+    }));
+  }
+
+  const comments = answered
+    .flatMap(response => [question.type === 'text' ? response.answer : null, response.comment])
+    .filter((text): text is string => typeof text === 'string' && text.trim() !== '')
+    .sort((a, b) => a.localeCompare(b));
+
+  return {
+    id: question.id,
+    text: question.text || '',
+    type: question.type || 'rating',
+    respondents: answered.length,
+    average: scores.length > 0 ? round(scores.reduce((sum, score) => sum + score, 0) / scores.length) : null,
+    distribution,
+    comments
+  };
+};
+
+/**
+ * Responses a group's results may include: the earliest submissions, in whole blocks of
+ * the threshold
+ */
+const publishedResponses = (responseDocs: FirebaseFirestore.QueryDocumentSnapshot[], minRespondents: number) => {
+  const ordered = [...responseDocs].sort((a, b) =>
+    (a.data().submittedAt?.toMillis() ?? 0) - (b.data().submittedAt?.toMillis() ?? 0) || a.id.localeCompare(b.id));
+  return inBlocks(ordered, minRespondents).map(responseDoc => responseDoc.data());
+};
+
+/**
+ * Nominations of an evaluation for its evaluatee, evaluator and admin/HR. Submitted
+ * requests are listed as approved and without their submission time; raters read their
+ * own request directly.
+ */
+export const getFeedbackRequests = onCall({ cors: true }, async (request) => {
+  // Check if user is authenticated
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'User must be authenticated');
+  }
+
+  const { evaluationId } = request.data || {};
+  if (!evaluationId) {
+    throw new HttpsError('invalid-argument', 'Missing evaluation ID');
+  }
+
+  try {
+    const requestingUser = await getRequestingUser(request.auth.uid);
+    const { businessId } = requestingUser;
+    const { evaluation } = await loadEvaluation(businessId, evaluationId);
+
+    if (!canManageFeedback(requestingUser, evaluation) && evaluation.evaluateeId !== requestingUser.id) {
+      throw new HttpsError('permission-denied', 'Only the evaluatee or the evaluator can see feedback nominations');
+    }
+
+    const snapshot = await feedbackRequestsRef(businessId).where('evaluationId', '==', evaluationId).get();
+    const requests = snapshot.docs.map(requestDoc => {
+      const data = requestDoc.data();
+      return {
+        id: requestDoc.id,
+        raterType: data.raterType,
+        raterId: data.raterId || null,
+        raterName: data.raterName || '',
+        raterEmail: data.raterEmail || null,
+        status: (data.status === 'submitted' ? 'approved' : data.status) as FeedbackRequestStatus,
+        nominatedBy: data.nominatedBy || null,
+        nominatedAt: data.nominatedAt || null,
+        decidedAt: data.decidedAt || null
+      };
+    });
+
+    return {
+      success: true,
+      requests,
+      // The form and threshold are fixed once anyone has answered (see setupFeedback)
+      hasResponses: snapshot.docs.some(requestDoc => requestDoc.data().status === 'submitted')
+    };
+
+  } catch (error: unknown) {
+    return handleFeedbackError(error, 'Failed to load feedback nominations');
+  }
+});
+
+/**
+ * Results per rater group for the evaluator and admin/HR. Groups below the anonymity
+ * threshold return only their invitation count; the others are summarized from the
+ * responses publishedResponses lets through.
+ */
+export const getFeedbackSummary = onCall({ cors: true }, async (request) => {
+  // Check if user is authenticated
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'User must be authenticated');
+  }
+
+  const { evaluationId } = request.data || {};
+  if (!evaluationId) {
+    throw new HttpsError('invalid-argument', 'Missing evaluation ID');
+  }
+
+  try {
+    const requestingUser = await getRequestingUser(request.auth.uid);
+    const { businessId } = requestingUser;
+    const { evaluation } = await loadEvaluation(businessId, evaluationId);
+
+    if (!canManageFeedback(requestingUser, evaluation)) {
+      throw new HttpsError('permission-denied', 'Only the evaluator can see feedback results');
+    }
+    if (!evaluation.feedback?.templateId) {
+      return { success: true, summary: null };
+    }
+
+    const minRespondents = evaluation.feedback.minRespondents || DEFAULT_ANONYMITY_THRESHOLD;
+    const [{ template }, requestsSnapshot, responsesSnapshot] = await Promise.all([
+      resolveTemplateVersion(businessId, evaluation.feedback.templateId, evaluation.feedback.templateVersion),
+      feedbackRequestsRef(businessId).where('evaluationId', '==', evaluationId).get(),
+      feedbackResponsesRef(businessId).where('evaluationId', '==', evaluationId).get()
+    ]);
+    const scale = resolveRatingScale(template);
+    const requests = requestsSnapshot.docs.map(requestDoc => requestDoc.data());
+
+    const groups = RATER_GROUPS.map(group => {
+      const invited = requests.filter(entry => entry.raterType === group && ['approved', 'submitted'].includes(entry.status)).length;
+      const groupResponses = publishedResponses(
+        responsesSnapshot.docs.filter(responseDoc => responseDoc.data().raterType === group),
+        minRespondents
+      );
+
+      if (groupResponses.length === 0) {
+        return { group, invited, respondents: null, visible: false, categories: [], freeText: [] };
+      }
+
+      const categories = ((template.categories || []) as RuleCategory[]).map(category => {
+        const questions = (category.questions || []).map(question => summarizeQuestion(
+          question,
+          groupResponses.map(response => response.categoryResponses?.[category.id as string]?.[question.id]),
+          scale,
+          minRespondents
+        ));
+        const averages = questions.map(question => question.average).filter((average): average is number => average !== null);
+
+        return {
+          id: category.id,
+          name: category.name || '',
+          average: averages.length > 0 ? round(averages.reduce((sum, average) => sum + average, 0) / averages.length) : null,
+          questions
+        };
+      });
+
+      const freeText = ((template.freeTextQuestions || []) as Array<{ text?: string }>).map((question, index) => ({
+        text: question.text || '',
+        answers: groupResponses
+          .map(response => response.freeTextQuestions?.[index])
+          .filter((answer): answer is string => typeof answer === 'string' && answer.trim() !== '')
+          .sort((a, b) => a.localeCompare(b))
+      }));
+
+      return { group, invited, respondents: groupResponses.length, visible: true, categories, freeText };
+    });
+
+    return {
+      success: true,
+      summary: {
+        templateName: evaluation.feedback.templateName || template.name || '',
+        ratingScale: scale,
+        minRespondents,
+        groups
+      }
+    };
+
+  } catch (error: unknown) {
+    return handleFeedbackError(error, 'Failed to load feedback results');
+  }
+});
@@ -0,0 +1,19 @@
+import { isMeaningfulTarget } from './goals';
+
+describe('isMeaningfulTarget', () => {
+  it('tracks targets above the current rating', () => {
+    expect(isMeaningfulTarget({ target: 4 }, 3)).toBe(true);
+  });
+
+  it('tracks any target the manager explained', () => {
+    expect(isMeaningfulTarget({ target: 3, targetComment: ' Keep this up ' }, 3)).toBe(true);
+    expect(isMeaningfulTarget({ targetComment: 'Lead a project' }, undefined)).toBe(true);
+  });
+
+  it('skips missing, pre-filled and unrated targets', () => {
+    expect(isMeaningfulTarget(undefined, 3)).toBe(false);
+    expect(isMeaningfulTarget({ target: 1, targetComment: '  ' }, 3)).toBe(false);
+    expect(isMeaningfulTarget({ target: 3 }, 3)).toBe(false);
+    expect(isMeaningfulTarget({ target: 4 }, undefined)).toBe(false);
+  });
+});
@@ -0,0 +1,125 @@
+/**
+ * Goals derived from evaluation targets
+ *
+ * When a review is approved, every "Next Period Target" the manager filled in becomes an
+ * active goal for the employee. The following approved review closes those goals again
+ * and records whether the target rating was reached.
+ */
+
+import { FieldValue, Transaction } from 'firebase-admin/firestore';
+import { businessRef } from './access';
+import { resolveRatingScale } from './ratingScales';
+import { isRatedQuestion, TemplateQuestion } from './questionTypes';
+import { getVisibleCategories } from './displayRules';
+
+export type GoalStatus = 'proposed' | 'active' | 'completed' | 'rejected' | 'cancelled';
+export type GoalSource = 'review-target' | 'employee' | 'manager';
+
+interface TargetEntry {
+  target?: number;
+  targetComment?: string;
+}
+
+type NestedResponses<T> = Record<string, Record<string, T>>;
+
+const DEFAULT_GOAL_PERIOD_MONTHS = 12;
+
+const goalKey = (categoryId: string, questionId: string) => `${categoryId}_${questionId}`;
+
+/**
+ * A target is worth tracking when the manager explained it or asked for an improvement.
+ * The review form pre-fills every target with the minimum rating, so bare defaults are skipped.
+ */
+export const isMeaningfulTarget = (target: TargetEntry | undefined, currentRating: number | undefined): boolean => {
+  if (!target) return false;
+  if (target.targetComment?.trim()) return true;
+  return typeof target.target === 'number' && typeof currentRating === 'number' && target.target > currentRating;
+};
+
+/**
+ * Closes the employee's open review-target goals using the ratings from the new review,
+ * then opens goals for the targets set in it. Must run inside the approval transaction.
+ */
+export const syncTargetGoals = async (
+  transaction: Transaction,
+  businessId: string,
+  evaluationId: string,
+  evaluation: FirebaseFirestore.DocumentData,
+  managerReview: FirebaseFirestore.DocumentData
+): Promise<{ created: number; closed: number }> => {
+  const goalsRef = businessRef(businessId).collection('goals');
+  const ratings: NestedResponses<{ managerRating?: number }> = managerReview.categoryResponses || {};
+  const targets: NestedResponses<TargetEntry> = managerReview.targets || {};
+
+  // Reads first - Firestore transactions require all reads before any write
+  const openGoals = await transaction.get(
+    goalsRef
+      .where('employeeId', '==', evaluation.evaluateeId)
+      .where('source', '==', 'review-target')
+      .where('status', '==', 'active')
+  );
+
+  let closed = 0;
+  openGoals.docs.forEach(goalDoc => {
+    const goal = goalDoc.data();
+    if (goal.sourceEvaluationId === evaluationId) return;
+
+    const achievedRating = ratings[goal.categoryId]?.[goal.questionId]?.managerRating;
+    if (typeof achievedRating !== 'number') return;
+
+    transaction.update(goalDoc.ref, {
+      status: 'completed' as GoalStatus,
+      achievedRating,
+      targetMet: achievedRating >= goal.targetRating,
+      progress: 100,
+      closedByEvaluationId: evaluationId,
+      completedAt: FieldValue.serverTimestamp(),
+      updatedAt: FieldValue.serverTimestamp()
+    });
+    closed++;
+  });
+
+  const dueDate = new Date();
+  dueDate.setMonth(dueDate.getMonth() + DEFAULT_GOAL_PERIOD_MONTHS);
+
+  let created = 0;
+  getVisibleCategories(evaluation).forEach((category: FirebaseFirestore.DocumentData) => {
+    if (!category?.id || category.allowTargetSetting === false) return;
+
+    (category.questions || []).forEach((question: FirebaseFirestore.DocumentData) => {
+      // Targets are set on the rating scale, so only rated questions carry them
+      if (!isRatedQuestion(question as TemplateQuestion)) return;
+
+      const target = targets[category.id]?.[question.id];
+      const currentRating = ratings[category.id]?.[question.id]?.managerRating;
+      if (!isMeaningfulTarget(target, currentRating)) return;
+
+      // Deterministic ID so re-running an approval never duplicates goals
+      transaction.set(goalsRef.doc(`${evaluationId}_${goalKey(category.id, question.id)}`), {
+        employeeId: evaluation.evaluateeId,
+        managerId: evaluation.evaluatorId,
+        title: question.text || category.name || 'Performance target',
+        description: target?.targetComment?.trim() || '',
+        source: 'review-target' as GoalSource,
+        sourceEvaluationId: evaluationId,
+        categoryId: category.id,
+        categoryName: category.name || '',
+        questionId: question.id,
+        baselineRating: typeof currentRating === 'number' ? currentRating : null,
+        targetRating: target?.target ?? null,
+        scoringSystem: evaluation.scoringSystem || '1-5',
+        ratingScale: resolveRatingScale(evaluation),
+        status: 'active' as GoalStatus,
+        progress: 0,
+        checkIns: [],
+        dueDate: dueDate.toISOString(),
+        createdBy: evaluation.evaluatorId,
+        createdAt: FieldValue.serverTimestamp(),
+        updatedAt: FieldValue.serverTimestamp()
+      });
+      created++;
+    });
+  });
+
+  return { created, closed };
+};
@@ -9,7 +9,7 @@ import { onRequest } from 'firebase-functions/v2/https';
 import { createBusinessAndAdmin } from './auth';
 
 // Import user management functions
-import { createUser, deleteUser } from './users';
+import { deleteUser } from './users';
 
 // Import department management functions
 import { createDepartment, deleteDepartment } from './departments';
@@ -18,13 +18,54 @@ import { createDepartment, deleteDepartment } from './departments';
 export const authCreateBusinessAndAdmin = createBusinessAndAdmin;
 
 // Export user management functions
-export const userCreateUser = createUser;
 export const userDeleteUser = deleteUser;
+export { inviteUser, resendInvite, revokeInvite, getInvite, acceptInvite } from './invites';
+export { validateImportData, bulkCreateUsers } from './userImport';
 
 // Export department management functions
 export const departmentCreateDepartment = createDepartment;
 export const departmentDeleteDepartment = deleteDepartment;
 
+// Export evaluation lifecycle functions (names already match frontend calls)
+export { createEvaluation, submitEvaluation, approveEvaluation, rejectEvaluation, getTeamEvaluations } from './evaluations';
+export { calculateEvaluationScore } from './scoring';
+
+// Export evaluation template functions
+export { publishTemplateVersion } from './templates';
+
+// Export 360 feedback functions
+export {
+  setupFeedback,
+  nominateFeedbackRaters,
+  decideFeedbackNominations,
+  submitFeedback,
+  getExternalFeedbackRequest,
+  submitExternalFeedback,
+  getFeedbackRequests,
+  getFeedbackSummary
+} from './feedback';
+
+// Export review cycle functions
+export { createReviewCycle, updateReviewCycle, setReviewCycleStatus, setCycleExchangeRates } from './cycles';
+export { launchScheduledCycles, launchReviewCycle } from './launcher';
+
+// Export notification and reminder functions
+export { sendNotification, sendBulkNotifications, scheduleNotification } from './notifications';
+export { sendEvaluationReminder, sendScheduledReminders } from './reminders';
+export { onEvaluationCreated, onEvaluationStatusChanged, onBonusAllocationApproved } from './notificationTriggers';
+
+// Export email functions
+export { sendEmail, sendBulkEmail, sendPasswordResetEmail, onEmailQueued, retryFailedEmails } from './email';
+
+// Export data export and report functions
+export { exportEvaluations, exportUsers, exportData, cleanupExpiredExports } from './exports';
+export { generateEvaluationReport } from './reports';
+
+// Export bonus functions
+export { getBonusHistory, calculateBonuses } from './bonuses';
+export { distributeBonuses } from './bonusWorkflow';
+export { saveBonusScenario } from './bonusScenarios';
+
 // Health check function
 export const healthCheck = onRequest({ cors: true }, (req, res) => {
   res.status(200).json({
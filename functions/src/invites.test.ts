@@ -0,0 +1,64 @@
+import { Timestamp } from 'firebase-admin/firestore';
+import { checkInvite, requireRoleGrantable } from './invites';
+import { createSignedToken, readSignedToken } from './tokens';
+import { RequestingUser } from './access';
+
+process.env.INVITE_SIGNING_SECRET = 'test-signing-secret';
+
+const now = new Date('2024-06-01T12:00:00Z');
+const expiresAt = new Date('2024-06-08T12:00:00Z');
+
+/**
+ * Issues a link the way inviteUser does and returns the parsed token with its stored invite
+ */
+const issue = (overrides: Record<string, unknown> = {}) => {
+  const { token, nonceHash } = createSignedToken(['invite-1'], expiresAt);
+  const parsed = readSignedToken(token, 1)!;
+  const invite = { status: 'pending', nonceHash, expiresAt: Timestamp.fromDate(expiresAt), ...overrides };
+  return { parsed, invite };
+};
+
+describe('checkInvite', () => {
+  it('accepts a pending invite with the current link', () => {
+    const { parsed, invite } = issue();
+    expect(checkInvite(invite, parsed.nonce, parsed.expiresAtMillis, now)).toBe(invite);
+  });
+
+  it('rejects links that were rotated by a resend', () => {
+    const { parsed } = issue();
+    const { invite: resent } = issue();
+
+    expect(() => checkInvite(resent, parsed.nonce, parsed.expiresAtMillis, now)).toThrow('This invitation link is invalid');
+    expect(() => checkInvite(undefined, parsed.nonce, parsed.expiresAtMillis, now)).toThrow('This invitation link is invalid');
+  });
+
+  it('rejects accepted and revoked invites', () => {
+    const accepted = issue({ status: 'accepted' });
+    const revoked = issue({ status: 'revoked' });
+
+    expect(() => checkInvite(accepted.invite, accepted.parsed.nonce, accepted.parsed.expiresAtMillis, now))
+      .toThrow('This invitation has already been accepted. Please sign in.');
+    expect(() => checkInvite(revoked.invite, revoked.parsed.nonce, revoked.parsed.expiresAtMillis, now))
+      .toThrow('This invitation has been revoked');
+  });
+
+  it('rejects expired links and invites', () => {
+    const { parsed, invite } = issue();
+    const shortened = { ...invite, expiresAt: Timestamp.fromDate(now) };
+
+    expect(() => checkInvite(invite, parsed.nonce, parsed.expiresAtMillis, expiresAt))
+      .toThrow('This invitation has expired. Ask your administrator to resend it.');
+    expect(() => checkInvite(shortened, parsed.nonce, parsed.expiresAtMillis, now))
+      .toThrow('This invitation has expired. Ask your administrator to resend it.');
+  });
+});
+
+describe('requireRoleGrantable', () => {
+  const userWithRole = (role: string) => ({ id: role, businessId: 'acme', data: { role } }) as RequestingUser;
+
+  it('only lets admins invite admins', () => {
+    expect(() => requireRoleGrantable(userWithRole('hr'), 'admin')).toThrow('Only admins can invite other admins');
+    expect(() => requireRoleGrantable(userWithRole('hr'), 'head-manager')).not.toThrow();
+    expect(() => requireRoleGrantable(userWithRole('admin'), 'admin')).not.toThrow();
+  });
+});
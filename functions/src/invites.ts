@@ -0,0 +1,546 @@
+/**
+ * Cloud Functions for User Invitations
+ *
+ * Inviting an employee creates a disabled Auth account, their profile (inactive until
+ * accepted) and a record in the top-level invites collection. The employee receives a
+ * signed link to /accept-invite/:token, where they choose their own password.
+ *
+ * The link carries a signed token for the invite id (see tokens.ts). Resending rotates
+ * the nonce, which invalidates every link sent before.
+ */
+
+import { onCall, HttpsError } from 'firebase-functions/v2/https';
+import { logger } from 'firebase-functions';
+import { FieldValue, Timestamp } from 'firebase-admin/firestore';
+import { auth, db } from './config';
+import { businessRef, getRequestingUser, hasPermission, RequestingUser } from './access';
+import { getRolePermissions } from './users';
+import { appUrl, queueEmail } from './email';
+import { createSignedToken, hashNonce, readSignedToken } from './tokens';
+
+export type InviteStatus = 'pending' | 'accepted' | 'revoked';
+
+export interface InviteUserData {
+  firstName: string;
+  lastName: string;
+  email: string;
+  role: string;
+  department?: string;
+  position: string;
+  phone?: string;
+  hireDate?: string;
+  managerId?: string;
+}
+
+const INVITE_TTL_DAYS = 7;
+const MIN_PASSWORD_LENGTH = 6;
+
+export const VALID_ROLES = ['admin', 'hr', 'head-manager', 'manager', 'supervisor', 'employee'];
+
+export const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const invitesRef = () => db.collection('invites');
+
+const createToken = (inviteId: string, expiresAt: Date) => createSignedToken([inviteId], expiresAt);
+
+const invalidLink = () => new HttpsError('not-found', 'This invitation link is invalid');
+
+/**
+ * Checks a signed token's nonce and expiry against the stored invite and returns it
+ */
+export const checkInvite = (
+  invite: FirebaseFirestore.DocumentData | undefined,
+  nonce: string,
+  expiresAtMillis: number,
+  now = new Date()
+) => {
+  if (!invite || invite.nonceHash !== hashNonce(nonce)) throw invalidLink();
+
+  if (invite.status === 'accepted') {
+    throw new HttpsError('failed-precondition', 'This invitation has already been accepted. Please sign in.');
+  }
+  if (invite.status === 'revoked') {
+    throw new HttpsError('failed-precondition', 'This invitation has been revoked');
+  }
+  if (expiresAtMillis <= now.getTime() || invite.expiresAt.toDate() <= now) {
+    throw new HttpsError('deadline-exceeded', 'This invitation has expired. Ask your administrator to resend it.');
+  }
+
+  return invite;
+};
+
+/**
+ * Checks the token's signature, expiry and nonce against the stored invite.
+ * Every failure gets the same vague message so tokens cannot be probed.
+ */
+const verifyToken = async (token: unknown, now = new Date()) => {
+  const parsed = readSignedToken(token, 1);
+  if (!parsed) throw invalidLink();
+
+  const { ids: [inviteId], nonce, expiresAtMillis } = parsed;
+
+  const inviteDoc = await invitesRef().doc(inviteId).get();
+  const invite = checkInvite(inviteDoc.data(), nonce, expiresAtMillis, now);
+
+  return { inviteRef: inviteDoc.ref, invite };
+};
+
+const displayName = (user: FirebaseFirestore.DocumentData | undefined) =>
+  `${user?.profile?.firstName || ''} ${user?.profile?.lastName || ''}`.trim();
+
+/**
+ * Sends (or re-sends) the welcome email with a fresh link
+ */
+const sendInviteEmail = async (
+  invite: FirebaseFirestore.DocumentData,
+  token: string,
+  expiresAt: Date,
+  requestingUser: RequestingUser
+) => {
+  await queueEmail(invite.businessId, {
+    to: invite.email,
+    template: 'welcome-invite',
+    data: {
+      recipientName: invite.firstName,
+      inviterName: displayName(requestingUser.data) || 'Your administrator',
+      actionUrl: appUrl(`/accept-invite/${token}`),
+      expiresAt: expiresAt.toISOString().slice(0, 10)
+    },
+    userId: invite.userId,
+    createdBy: requestingUser.id
+  });
+};
+
+export const requireUserManager = async (uid: string): Promise<RequestingUser> => {
+  const requestingUser = await getRequestingUser(uid);
+  if (!hasPermission(requestingUser, 'canManageUsers')) {
+    throw new HttpsError('permission-denied', 'Insufficient permissions to manage invitations');
+  }
+  return requestingUser;
+};
+
+/**
+ * Only admins may create other admins (same as the users rules in firestore.rules)
+ */
+export const requireRoleGrantable = (requestingUser: RequestingUser, role: string) => {
+  if (role === 'admin' && requestingUser.data.role !== 'admin') {
+    throw new HttpsError('permission-denied', 'Only admins can invite other admins');
+  }
+};
+
+/**
+ * Loads a pending invite that belongs to the caller's business
+ */
+const getPendingInvite = async (inviteId: string, requestingUser: RequestingUser) => {
+  if (!inviteId) {
+    throw new HttpsError('invalid-argument', 'Invite ID is required');
+  }
+
+  const inviteDoc = await invitesRef().doc(inviteId).get();
+  const invite = inviteDoc.data();
+  if (!invite || invite.businessId !== requestingUser.businessId) {
+    throw new HttpsError('not-found', 'Invitation not found');
+  }
+  if (invite.status !== 'pending') {
+    throw new HttpsError('failed-precondition', `This invitation has already been ${invite.status}`);
+  }
+
+  return { inviteRef: inviteDoc.ref, invite };
+};
+
+const validateInviteData = (userData: InviteUserData) => {
+  if (!userData?.firstName?.trim() || !userData?.lastName?.trim() || !userData?.position?.trim()) {
+    throw new HttpsError('invalid-argument', 'First name, last name and position are required');
+  }
+  if (!EMAIL_PATTERN.test((userData.email || '').trim())) {
+    throw new HttpsError('invalid-argument', 'Invalid email address');
+  }
+  if (!VALID_ROLES.includes(userData.role)) {
+    throw new HttpsError('invalid-argument', 'Invalid user role');
+  }
+};
+
+export const handleInviteError = (error: unknown, message: string): never => {
+  logger.error(`${message}:`, error);
+
+  if (error instanceof HttpsError) {
+    throw error;
+  }
+
+  const authError = error as { code?: string };
+  if (authError?.code === 'auth/email-already-exists') {
+    throw new HttpsError('already-exists', 'A user with this email already exists');
+  }
+  if (authError?.code === 'auth/invalid-email') {
+    throw new HttpsError('invalid-argument', 'Invalid email address');
+  }
+
+  throw new HttpsError('internal', message);
+};
+
+export interface PreparedInvitation {
+  userId: string;
+  inviteId: string;
+  token: string;
+  expiresAt: Date;
+  invite: FirebaseFirestore.DocumentData;
+  user: FirebaseFirestore.DocumentData;
+}
+
+/**
+ * Creates the disabled Auth account and adds the profile, mapping, invite and
+ * department count writes to the caller's batch. The department and manager must
+ * already have been checked. If the batch is never committed, the caller has to
+ * delete the Auth account again.
+ */
+export const prepareInvitation = async (
+  requestingUser: RequestingUser,
+  userData: InviteUserData,
+  batch: FirebaseFirestore.WriteBatch,
+  now = new Date()
+): Promise<PreparedInvitation> => {
+  const { businessId } = requestingUser;
+  const email = userData.email.trim().toLowerCase();
+
+  // The account exists from the start so the profile can be assigned work, but it
+  // cannot sign in until the invitation is accepted
+  const firebaseUser = await auth.createUser({
+    email,
+    displayName: `${userData.firstName.trim()} ${userData.lastName.trim()}`,
+    emailVerified: false,
+    disabled: true
+  });
+
+  const expiresAt = new Date(now.getTime() + INVITE_TTL_DAYS * 24 * 60 * 60 * 1000);
+  const inviteRef = invitesRef().doc();
+  const { token, nonceHash } = createToken(inviteRef.id, expiresAt);
+
+  const userDocument = {
+    profile: {
+      firstName: userData.firstName.trim(),
+      lastName: userData.lastName.trim(),
+      email,
+      phone: userData.phone || null,
+      avatar: null
+    },
+    role: userData.role,
+    employeeInfo: {
+      employeeId: `EMP_${Date.now()}_${Math.random().toString(36).substr(2, 6).toUpperCase()}`,
+      department: userData.department || null,
+      position: userData.position.trim(),
+      hireDate: userData.hireDate ? new Date(userData.hireDate).toISOString() : null,
+      manager: userData.managerId || null
+    },
+    permissions: getRolePermissions(userData.role),
+    isActive: false,
+    invitation: {
+      inviteId: inviteRef.id,
+      status: 'pending' as InviteStatus,
+      sentAt: now.toISOString(),
+      expiresAt: expiresAt.toISOString()
+    },
+    lastLogin: null,
+    createdAt: FieldValue.serverTimestamp(),
+    updatedAt: FieldValue.serverTimestamp()
+  };
+
+  const invite = {
+    businessId,
+    userId: firebaseUser.uid,
+    email,
+    firstName: userDocument.profile.firstName,
+    lastName: userDocument.profile.lastName,
+    role: userData.role,
+    status: 'pending' as InviteStatus,
+    nonceHash,
+    expiresAt: Timestamp.fromDate(expiresAt),
+    sendCount: 1,
+    lastSentAt: Timestamp.fromDate(now),
+    invitedBy: requestingUser.id,
+    createdAt: FieldValue.serverTimestamp()
+  };
+
+  batch.set(businessRef(businessId).collection('users').doc(firebaseUser.uid), userDocument);
+  batch.set(db.collection('userBusinessMap').doc(firebaseUser.uid), {
+    businessId,
+    email,
+    role: userData.role,
+    createdAt: FieldValue.serverTimestamp()
+  });
+  batch.set(inviteRef, invite);
+  if (userData.department) {
+    batch.update(businessRef(businessId).collection('departments').doc(userData.department), {
+      employeeCount: FieldValue.increment(1),
+      updatedAt: FieldValue.serverTimestamp()
+    });
+  }
+
+  return {
+    userId: firebaseUser.uid,
+    inviteId: inviteRef.id,
+    token,
+    expiresAt,
+    invite,
+    user: {
+      id: firebaseUser.uid,
+      ...userDocument,
+      createdAt: now.toISOString(),
+      updatedAt: now.toISOString()
+    }
+  };
+};
+
+/**
+ * After the batch is committed: sets role claims and, unless told otherwise, emails the link.
+ * Without the email the invite stays pending until someone resends it.
+ */
+export const completeInvitation = async (
+  prepared: PreparedInvitation,
+  requestingUser: RequestingUser,
+  sendEmail = true
+) => {
+  await auth.setCustomUserClaims(prepared.userId, {
+    role: prepared.user.role,
+    businessId: requestingUser.businessId,
+    permissions: prepared.user.permissions
+  });
+
+  if (sendEmail) {
+    await sendInviteEmail(prepared.invite, prepared.token, prepared.expiresAt, requestingUser);
+  }
+};
+
+/**
+ * Best-effort removal of Auth accounts whose invitation batch failed, so the
+ * emails can be invited again
+ */
+export const discardInvitations = async (userIds: string[]) => {
+  await Promise.all(userIds.map(userId =>
+    auth.deleteUser(userId).catch(cleanupError =>
+      logger.error('Failed to clean up invited Auth user:', cleanupError)
+    )
+  ));
+};
+
+/**
+ * Invites a new employee (canManageUsers)
+ */
+export const inviteUser = onCall({ cors: true }, async (request) => {
+  // Check if user is authenticated
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'User must be authenticated');
+  }
+
+  const { userData } = request.data as { userData: InviteUserData };
+  validateInviteData(userData);
+
+  let prepared: PreparedInvitation | null = null;
+
+  try {
+    const requestingUser = await requireUserManager(request.auth.uid);
+    requireRoleGrantable(requestingUser, userData.role);
+    const { businessId } = requestingUser;
+
+    if (userData.managerId && !(await businessRef(businessId).collection('users').doc(userData.managerId).get()).exists) {
+      throw new HttpsError('invalid-argument', 'Selected manager not found');
+    }
+    if (userData.department && !(await businessRef(businessId).collection('departments').doc(userData.department).get()).exists) {
+      throw new HttpsError('invalid-argument', 'Selected department not found');
+    }
+
+    const batch = db.batch();
+    prepared = await prepareInvitation(requestingUser, userData, batch);
+    await batch.commit();
+    const invitation = prepared;
+    // From here on the invite exists and can be resent or revoked, so keep the account
+    prepared = null;
+
+    await completeInvitation(invitation, requestingUser);
+
+    logger.info('User invited', { businessId, userId: invitation.userId, inviteId: invitation.inviteId });
+
+    return {
+      success: true,
+      message: `Invitation sent to ${invitation.invite.email}`,
+      inviteId: invitation.inviteId,
+      user: invitation.user
+    };
+  } catch (error: unknown) {
+    if (prepared) {
+      await discardInvitations([prepared.userId]);
+    }
+    return handleInviteError(error, 'Failed to invite user');
+  }
+});
+
+/**
+ * Sends a new invitation link and restarts the expiry clock (canManageUsers)
+ */
+export const resendInvite = onCall({ cors: true }, async (request) => {
+  // Check if user is authenticated
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'User must be authenticated');
+  }
+
+  const { inviteId } = request.data as { inviteId: string };
+
+  try {
+    const requestingUser = await requireUserManager(request.auth.uid);
+    const { inviteRef, invite } = await getPendingInvite(inviteId, requestingUser);
+
+    const now = new Date();
+    const expiresAt = new Date(now.getTime() + INVITE_TTL_DAYS * 24 * 60 * 60 * 1000);
+    const { token, nonceHash } = createToken(inviteId, expiresAt);
+
+    const batch = db.batch();
+    batch.update(inviteRef, {
+      nonceHash,
+      expiresAt: Timestamp.fromDate(expiresAt),
+      sendCount: FieldValue.increment(1),
+      lastSentAt: Timestamp.fromDate(now)
+    });
+    batch.update(businessRef(invite.businessId).collection('users').doc(invite.userId), {
+      'invitation.sentAt': now.toISOString(),
+      'invitation.expiresAt': expiresAt.toISOString(),
+      updatedAt: FieldValue.serverTimestamp()
+    });
+    await batch.commit();
+
+    await sendInviteEmail(invite, token, expiresAt, requestingUser);
+
+    logger.info('Invitation resent', { businessId: invite.businessId, inviteId });
+
+    return {
+      success: true,
+      message: `Invitation resent to ${invite.email}`,
+      invitation: { inviteId, status: 'pending', sentAt: now.toISOString(), expiresAt: expiresAt.toISOString() }
+    };
+  } catch (error: unknown) {
+    return handleInviteError(error, 'Failed to resend invitation');
+  }
+});
+
+/**
+ * Cancels a pending invitation and removes the account it created (canManageUsers)
+ */
+export const revokeInvite = onCall({ cors: true }, async (request) => {
+  // Check if user is authenticated
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'User must be authenticated');
+  }
+
+  const { inviteId } = request.data as { inviteId: string };
+
+  try {
+    const requestingUser = await requireUserManager(request.auth.uid);
+    const { inviteRef, invite } = await getPendingInvite(inviteId, requestingUser);
+
+    const userRef = businessRef(invite.businessId).collection('users').doc(invite.userId);
+    const department = (await userRef.get()).data()?.employeeInfo?.department;
+
+    const batch = db.batch();
+    batch.update(inviteRef, {
+      status: 'revoked' as InviteStatus,
+      nonceHash: null,
+      revokedAt: FieldValue.serverTimestamp(),
+      revokedBy: requestingUser.id
+    });
+    batch.delete(userRef);
+    batch.delete(db.collection('userBusinessMap').doc(invite.userId));
+    if (department) {
+      const departmentRef = businessRef(invite.businessId).collection('departments').doc(department);
+      if ((await departmentRef.get()).exists) {
+        batch.update(departmentRef, { employeeCount: FieldValue.increment(-1), updatedAt: FieldValue.serverTimestamp() });
+      }
+    }
+    await batch.commit();
+
+    await auth.deleteUser(invite.userId).catch((error: { code?: string }) => {
+      if (error?.code !== 'auth/user-not-found') throw error;
+    });
+
+    logger.info('Invitation revoked', { businessId: invite.businessId, inviteId, revokedBy: requestingUser.id });
+
+    return { success: true, message: `Invitation for ${invite.email} revoked`, userId: invite.userId };
+  } catch (error: unknown) {
+    return handleInviteError(error, 'Failed to revoke invitation');
+  }
+});
+
+/**
+ * Public: what the accept-invite page shows before the employee sets a password
+ */
+export const getInvite = onCall({ cors: true }, async (request) => {
+  const { token } = request.data as { token: string };
+
+  try {
+    const { invite } = await verifyToken(token);
+    const businessDoc = await businessRef(invite.businessId).get();
+
+    return {
+      success: true,
+      invite: {
+        email: invite.email,
+        firstName: invite.firstName,
+        lastName: invite.lastName,
+        businessName: businessDoc.data()?.name || '',
+        expiresAt: invite.expiresAt.toDate().toISOString()
+      }
+    };
+  } catch (error: unknown) {
+    return handleInviteError(error, 'Failed to load invitation');
+  }
+});
+
+/**
+ * Public: sets the employee's password and activates their account
+ */
+export const acceptInvite = onCall({ cors: true }, async (request) => {
+  const { token, password } = request.data as { token: string; password: string };
+
+  if (!password || password.length < MIN_PASSWORD_LENGTH) {
+    throw new HttpsError('invalid-argument', `Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+
+  try {
+    const { inviteRef, invite } = await verifyToken(token);
+
+    // Claim the invite first so a link cannot be used twice
+    await db.runTransaction(async (transaction) => {
+      const current = (await transaction.get(inviteRef)).data();
+      if (current?.status !== 'pending' || current.nonceHash !== invite.nonceHash) {
+        throw new HttpsError('failed-precondition', 'This invitation has already been used');
+      }
+      transaction.update(inviteRef, {
+        status: 'accepted' as InviteStatus,
+        nonceHash: null,
+        acceptedAt: FieldValue.serverTimestamp()
+      });
+    });
+
+    try {
+      await auth.updateUser(invite.userId, { password, disabled: false, emailVerified: true });
+    } catch (updateError: unknown) {
+      // Give the link back so the employee can try again with another password
+      await inviteRef.update({ status: 'pending' as InviteStatus, nonceHash: invite.nonceHash, acceptedAt: null });
+      throw updateError;
+    }
+
+    await businessRef(invite.businessId).collection('users').doc(invite.userId).update({
+      isActive: true,
+      'invitation.status': 'accepted' as InviteStatus,
+      'invitation.acceptedAt': new Date().toISOString(),
+      updatedAt: FieldValue.serverTimestamp()
+    });
+
+    logger.info('Invitation accepted', { businessId: invite.businessId, userId: invite.userId });
+
+    return { success: true, message: 'Your account is ready. You can now sign in.', email: invite.email };
+  } catch (error: unknown) {
+    const authError = error as { code?: string };
+    if (authError?.code === 'auth/invalid-password') {
+      throw new HttpsError('invalid-argument', 'Password is too weak');
+    }
+    return handleInviteError(error, 'Failed to accept invitation');
+  }
+});
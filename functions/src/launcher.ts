@@ -0,0 +1,373 @@
+/**
+ * Cloud Functions for Launching Review Cycles
+ *
+ * On a cycle's start date the launcher turns every active evaluation assignment into
+ * an evaluation from the cycle's template, then writes a launch report under
+ * reviewCycles/{cycleId}/launchReports counting what was created and what was skipped,
+ * with a sample of each.
+ *
+ * The clock is always passed in: the scheduled run uses the event's scheduleTime, so
+ * the emulator or functions shell can fire it "on" any date.
+ */
+
+import { onCall, HttpsError } from 'firebase-functions/v2/https';
+import { onSchedule } from 'firebase-functions/v2/scheduler';
+import { logger } from 'firebase-functions';
+import { FieldValue, Timestamp } from 'firebase-admin/firestore';
+import { db } from './config';
+import { getRequestingUser, isAdminOrHr, businessRef } from './access';
+import { isCycleParticipant, ReviewCycle } from './cycles';
+import { buildEvaluationDocument } from './evaluations';
+import { resolveTemplateVersion, ResolvedTemplate } from './templates';
+
+export type LaunchTrigger = 'schedule' | 'manual';
+
+export type LaunchSkipReason =
+  | 'self-assignment'
+  | 'not-participant'
+  | 'evaluatee-not-found'
+  | 'evaluatee-inactive'
+  | 'evaluator-not-found'
+  | 'evaluator-inactive'
+  | 'already-exists'
+  | 'template-missing';
+
+interface LaunchedEvaluation {
+  evaluationId: string;
+  assignmentId: string;
+  evaluatorId: string;
+  evaluateeId: string;
+}
+
+interface SkippedAssignment {
+  assignmentId: string;
+  evaluatorId: string;
+  evaluateeId: string;
+  reason: LaunchSkipReason;
+}
+
+export interface LaunchReport {
+  cycleId: string;
+  trigger: LaunchTrigger;
+  launchedBy: string;
+  runAt: string;
+  status: 'completed' | 'failed';
+  error: string | null;
+  createdCount: number;
+  skippedCount: number;
+  skippedByReason: Partial<Record<LaunchSkipReason, number>>;
+  // The first REPORT_SAMPLE_SIZE entries of each list
+  created: LaunchedEvaluation[];
+  skipped: SkippedAssignment[];
+}
+
+// A launch that has not finished after this long is assumed to have crashed
+const LAUNCH_LOCK_MS = 10 * 60 * 1000;
+
+// Firestore batches take at most 500 writes
+const BATCH_SIZE = 400;
+
+// Reports of large cycles would outgrow Firestore's 1 MiB document limit if they listed
+// every pair, so only the counts are complete
+export const REPORT_SAMPLE_SIZE = 200;
+
+const pairKey = (evaluatorId: string, evaluateeId: string) => `${evaluatorId}_${evaluateeId}`;
+
+const isInactiveUser = (user: FirebaseFirestore.DocumentData) => user.isActive === false;
+
+/**
+ * Takes the cycle's launch lock so the scheduler and a manual launch cannot both
+ * create evaluations for the same cycle. Returns null when the cycle cannot be launched.
+ */
+const claimLaunch = async (
+  cycleRef: FirebaseFirestore.DocumentReference,
+  now: Date
+): Promise<ReviewCycle | null> => {
+  return db.runTransaction(async (transaction) => {
+    const cycleDoc = await transaction.get(cycleRef);
+    if (!cycleDoc.exists) {
+      throw new HttpsError('not-found', 'Review cycle not found');
+    }
+
+    const cycle = cycleDoc.data() as ReviewCycle & { launchLockedAt?: Timestamp | null };
+    if (cycle.status === 'closed') {
+      throw new HttpsError('failed-precondition', `Review cycle "${cycle.name}" is closed`);
+    }
+
+    const lockedAt = cycle.launchLockedAt?.toDate();
+    if (lockedAt && now.getTime() - lockedAt.getTime() < LAUNCH_LOCK_MS) {
+      return null;
+    }
+
+    transaction.update(cycleRef, { launchLockedAt: Timestamp.fromDate(now) });
+    return cycle;
+  });
+};
+
+/**
+ * Creates the missing evaluations for one cycle and stores a launch report.
+ * Safe to run again: pairs that already have an active evaluation in the cycle are skipped.
+ */
+export const launchCycle = async (
+  businessId: string,
+  cycleId: string,
+  options: { now: Date; trigger: LaunchTrigger; launchedBy: string; launchedByName?: string }
+): Promise<(LaunchReport & { reportId: string }) | null> => {
+  const { now, trigger, launchedBy } = options;
+  const cycleRef = businessRef(businessId).collection('reviewCycles').doc(cycleId);
+
+  const cycle = await claimLaunch(cycleRef, now);
+  if (!cycle) {
+    logger.warn('Review cycle launch already in progress', { businessId, cycleId });
+    return null;
+  }
+
+  const report: LaunchReport = {
+    cycleId,
+    trigger,
+    launchedBy,
+    runAt: now.toISOString(),
+    status: 'completed',
+    error: null,
+    createdCount: 0,
+    skippedCount: 0,
+    skippedByReason: {},
+    created: [],
+    skipped: []
+  };
+
+  try {
+    let templateError: string | null = cycle.templateId ? null : 'The cycle has no evaluation template';
+
+    const [assignmentQuery, existingQuery, usersQuery, resolvedTemplate] = await Promise.all([
+      businessRef(businessId).collection('evaluationAssignments').where('active', '==', true).get(),
+      businessRef(businessId).collection('evaluations')
+        .where('cycleId', '==', cycleId)
+        .where('active', '==', true)
+        .get(),
+      businessRef(businessId).collection('users').get(),
+      // Relaunches keep the template version of the first launch
+      cycle.templateId
+        ? resolveTemplateVersion(businessId, cycle.templateId, cycle.templateVersion)
+          .catch((error: unknown): ResolvedTemplate | null => {
+            templateError = error instanceof HttpsError && error.code === 'failed-precondition'
+              ? error.message
+              : 'The cycle template was deleted or deactivated';
+            return null;
+          })
+        : Promise.resolve(null)
+    ]);
+
+    // Assignments without a cycle apply to every cycle
+    const assignments = assignmentQuery.docs.filter(assignmentDoc => {
+      const assignmentCycleId = assignmentDoc.data().cycleId || null;
+      return assignmentCycleId === null || assignmentCycleId === cycleId;
+    });
+
+    if (!resolvedTemplate) {
+      report.status = 'failed';
+      report.error = templateError;
+    }
+
+    const users = new Map(usersQuery.docs.map(userDoc => [userDoc.id, userDoc.data()]));
+    // Pairs already evaluated in this cycle, including ones created earlier in this run
+    const existingPairs = new Set(existingQuery.docs.map(evaluationDoc => {
+      const evaluation = evaluationDoc.data();
+      return pairKey(evaluation.evaluatorId, evaluation.evaluateeId);
+    }));
+
+    const dueDate = cycle.phaseDeadlines?.signOff || cycle.periodEnd;
+    const pending: { ref: FirebaseFirestore.DocumentReference; data: FirebaseFirestore.DocumentData }[] = [];
+
+    for (const assignmentDoc of assignments) {
+      const { evaluatorId, evaluateeId } = assignmentDoc.data();
+      const skip = (reason: LaunchSkipReason) => {
+        report.skippedCount += 1;
+        report.skippedByReason[reason] = (report.skippedByReason[reason] || 0) + 1;
+        if (report.skipped.length < REPORT_SAMPLE_SIZE) {
+          report.skipped.push({ assignmentId: assignmentDoc.id, evaluatorId, evaluateeId, reason });
+        }
+      };
+
+      const evaluatee = users.get(evaluateeId);
+      const evaluator = users.get(evaluatorId);
+
+      if (evaluatorId === evaluateeId) {
+        skip('self-assignment');
+      } else if (!evaluatee) {
+        skip('evaluatee-not-found');
+      } else if (isInactiveUser(evaluatee)) {
+        skip('evaluatee-inactive');
+      } else if (!evaluator) {
+        skip('evaluator-not-found');
+      } else if (isInactiveUser(evaluator)) {
+        skip('evaluator-inactive');
+      } else if (!isCycleParticipant(cycle, evaluateeId)) {
+        skip('not-participant');
+      } else if (existingPairs.has(pairKey(evaluatorId, evaluateeId))) {
+        skip('already-exists');
+      } else if (!resolvedTemplate) {
+        skip('template-missing');
+      } else {
+        const evaluationRef = businessRef(businessId).collection('evaluations').doc();
+        pending.push({
+          ref: evaluationRef,
+          data: buildEvaluationDocument({
+            template: resolvedTemplate.template,
+            templateId: cycle.templateId as string,
+            templateVersion: resolvedTemplate.version,
+            evaluateeId,
+            evaluatee,
+            evaluatorId,
+            assignmentId: assignmentDoc.id,
+            cycleId,
+            cycle,
+            assignedBy: options.launchedByName || 'Review cycle launcher',
+            createdBy: launchedBy,
+            dueDate,
+            now
+          })
+        });
+        existingPairs.add(pairKey(evaluatorId, evaluateeId));
+        report.createdCount += 1;
+        if (report.created.length < REPORT_SAMPLE_SIZE) {
+          report.created.push({ evaluationId: evaluationRef.id, assignmentId: assignmentDoc.id, evaluatorId, evaluateeId });
+        }
+      }
+    }
+
+    for (let i = 0; i < pending.length; i += BATCH_SIZE) {
+      const batch = db.batch();
+      pending.slice(i, i + BATCH_SIZE).forEach(({ ref, data }) => batch.set(ref, data));
+      await batch.commit();
+    }
+
+    const reportRef = await cycleRef.collection('launchReports').add({
+      ...report,
+      createdAt: FieldValue.serverTimestamp()
+    });
+
+    const lastLaunch = {
+      reportId: reportRef.id,
+      trigger,
+      status: report.status,
+      runAt: report.runAt,
+      createdCount: report.createdCount,
+      skippedCount: report.skippedCount
+    };
+
+    // A failed launch leaves launchedAt unset so the scheduler tries again the next day
+    await cycleRef.update({
+      lastLaunch,
+      launchLockedAt: null,
+      ...(report.status === 'completed' && !cycle.launchedAt
+        ? { launchedAt: report.runAt }
+        : {}),
+      ...(resolvedTemplate && typeof cycle.templateVersion !== 'number'
+        ? { templateVersion: resolvedTemplate.version }
+        : {})
+    });
+
+    logger.info('Review cycle launched', { businessId, cycleId, ...lastLaunch });
+
+    return { ...report, reportId: reportRef.id };
+  } catch (error: unknown) {
+    await cycleRef.update({ launchLockedAt: null });
+    throw error;
+  }
+};
+
+/**
+ * Launches every open cycle whose period has started and that has not been launched yet
+ */
+export const launchDueCycles = async (now: Date) => {
+  const businesses = await db.collection('businesses').get();
+  const results: { businessId: string; cycleId: string; created: number; skipped: number; status: string }[] = [];
+
+  for (const business of businesses.docs) {
+    const cycles = await business.ref.collection('reviewCycles').where('status', '==', 'open').get();
+
+    const dueCycles = cycles.docs.filter(cycleDoc => {
+      const cycle = cycleDoc.data();
+      return !cycle.launchedAt && new Date(cycle.periodStart) <= now;
+    });
+
+    for (const cycleDoc of dueCycles) {
+      try {
+        const report = await launchCycle(business.id, cycleDoc.id, { now, trigger: 'schedule', launchedBy: 'system' });
+        if (report) {
+          results.push({
+            businessId: business.id,
+            cycleId: cycleDoc.id,
+            created: report.createdCount,
+            skipped: report.skippedCount,
+            status: report.status
+          });
+        }
+      } catch (error: unknown) {
+        // One broken cycle must not stop the others from launching
+        logger.error('Failed to launch review cycle:', { businessId: business.id, cycleId: cycleDoc.id, error });
+      }
+    }
+  }
+
+  return results;
+};
+
+/**
+ * Daily run that launches cycles on their start date
+ */
+export const launchScheduledCycles = onSchedule({ schedule: 'every day 01:00', timeZone: 'UTC' }, async (event) => {
+  const now = event.scheduleTime ? new Date(event.scheduleTime) : new Date();
+  const results = await launchDueCycles(now);
+  logger.info('Scheduled review cycle launch finished', { runAt: now.toISOString(), cycles: results });
+});
+
+/**
+ * Launches a cycle straight away (admin/HR), e.g. to pick up assignments added after the start date
+ */
+export const launchReviewCycle = onCall({ cors: true }, async (request) => {
+  // Check if user is authenticated
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'User must be authenticated');
+  }
+
+  const { cycleId } = request.data as { cycleId?: string };
+  if (!cycleId) {
+    throw new HttpsError('invalid-argument', 'Missing cycle ID');
+  }
+
+  try {
+    const requestingUser = await getRequestingUser(request.auth.uid);
+    if (!isAdminOrHr(requestingUser)) {
+      throw new HttpsError('permission-denied', 'Only admin and HR can launch review cycles');
+    }
+
+    const report = await launchCycle(requestingUser.businessId, cycleId, {
+      now: new Date(),
+      trigger: 'manual',
+      launchedBy: requestingUser.id,
+      launchedByName: `${requestingUser.data.profile?.firstName || ''} ${requestingUser.data.profile?.lastName || ''}`.trim()
+    });
+
+    if (!report) {
+      throw new HttpsError('aborted', 'This cycle is already being launched, try again in a few minutes');
+    }
+
+    return {
+      success: true,
+      message: report.status === 'completed'
+        ? `Created ${report.createdCount} evaluation(s), skipped ${report.skippedCount}`
+        : report.error,
+      report
+    };
+  } catch (error: unknown) {
+    logger.error('Failed to launch review cycle:', error);
+
+    if (error instanceof HttpsError) {
+      throw error;
+    }
+
+    throw new HttpsError('internal', 'Failed to launch review cycle');
+  }
+});
@@ -0,0 +1,156 @@
+/**
+ * Firestore triggers that turn workflow events into in-app notifications
+ *
+ * Evaluations notify the next person in the workflow; approved bonus allocations
+ * notify everyone who received a bonus in them. Assignment and review-ready events
+ * also send an email copy.
+ */
+
+import { onDocumentCreated, onDocumentUpdated } from 'firebase-functions/v2/firestore';
+import { logger } from 'firebase-functions';
+import { db } from './config';
+import { businessRef } from './access';
+import { addNotificationToBatch, NotificationInput } from './notifications';
+import { appUrl, queueEmail } from './email';
+import { EmailTemplateName } from './emailTemplates';
+
+// An email copy of the notification, sent only when the notification itself is not muted
+interface TriggeredNotification extends NotificationInput {
+  email?: { template: EmailTemplateName; data: Record<string, unknown> };
+}
+
+const displayName = (user: FirebaseFirestore.DocumentData | undefined) =>
+  `${user?.profile?.firstName || ''} ${user?.profile?.lastName || ''}`.trim() || 'Someone';
+
+/**
+ * Sends notifications in one batch, honouring each recipient's mute preferences,
+ * then queues any email copies
+ */
+const notifyUsers = async (businessId: string, notifications: TriggeredNotification[]) => {
+  if (notifications.length === 0) return;
+
+  const recipientDocs = await Promise.all(
+    notifications.map(notification => businessRef(businessId).collection('users').doc(notification.userId).get())
+  );
+
+  const batch = db.batch();
+  const emails: Parameters<typeof queueEmail>[1][] = [];
+
+  notifications.forEach(({ email, ...notification }, index) => {
+    const recipient = recipientDocs[index].data();
+    if (!recipient) return;
+
+    const notificationId = addNotificationToBatch(batch, businessId, notification, 'system', recipient);
+    if (notificationId && email && recipient.profile?.email) {
+      emails.push({
+        to: recipient.profile.email,
+        template: email.template,
+        data: { recipientName: recipient.profile.firstName || '', ...email.data },
+        userId: notification.userId
+      });
+    }
+  });
+  await batch.commit();
+
+  await Promise.all(emails.map(email => queueEmail(businessId, email)));
+};
+
+/**
+ * New evaluation: tell the evaluatee it is waiting for their self-assessment
+ */
+export const onEvaluationCreated = onDocumentCreated('businesses/{businessId}/evaluations/{evaluationId}', async (event) => {
+  const evaluation = event.data?.data();
+  if (!evaluation || evaluation.active === false) return;
+
+  const { businessId, evaluationId } = event.params;
+
+  await notifyUsers(businessId, [{
+    userId: evaluation.evaluateeId,
+    type: 'evaluation_assigned',
+    title: 'New evaluation assigned',
+    message: `"${evaluation.templateName}" is ready for your self-assessment.`,
+    link: `/evaluation-complete/${evaluationId}`,
+    data: { evaluationId },
+    email: {
+      template: 'evaluation-assigned',
+      data: {
+        templateName: evaluation.templateName,
+        cycleName: evaluation.cycleName || '',
+        dueDate: new Date(evaluation.workflow?.dueDate || evaluation.dueDate).toISOString().slice(0, 10),
+        actionUrl: appUrl(`/evaluation-complete/${evaluationId}`)
+      }
+    }
+  }]);
+});
+
+/**
+ * Status changes: submitted → evaluator, completed or returned → evaluatee
+ */
+export const onEvaluationStatusChanged = onDocumentUpdated('businesses/{businessId}/evaluations/{evaluationId}', async (event) => {
+  const before = event.data?.before.data();
+  const after = event.data?.after.data();
+  if (!before || !after || before.status === after.status) return;
+
+  const { businessId, evaluationId } = event.params;
+  const evaluateeDoc = await businessRef(businessId).collection('users').doc(after.evaluateeId).get();
+  const evaluateeName = displayName(evaluateeDoc.data());
+  const notifications: TriggeredNotification[] = [];
+
+  if (after.status === 'under-review') {
+    notifications.push({
+      userId: after.evaluatorId,
+      type: 'self_assessment_submitted',
+      title: 'Self-assessment submitted',
+      message: `${evaluateeName} submitted their self-assessment for "${after.templateName}". It is ready for your review.`,
+      link: `/evaluation-review/${evaluationId}`,
+      data: { evaluationId },
+      email: {
+        template: 'review-ready',
+        data: { evaluateeName, templateName: after.templateName, actionUrl: appUrl(`/evaluation-review/${evaluationId}`) }
+      }
+    });
+  } else if (after.status === 'completed') {
+    notifications.push({
+      userId: after.evaluateeId,
+      type: 'review_completed',
+      title: 'Review completed',
+      message: `Your manager completed the review of "${after.templateName}". Your results are available.`,
+      link: `/my-evaluation-results/${evaluationId}`,
+      data: { evaluationId }
+    });
+  } else if (before.status === 'under-review' && after.status === 'in-progress') {
+    notifications.push({
+      userId: after.evaluateeId,
+      type: 'evaluation_returned',
+      title: 'Evaluation returned',
+      message: `Your self-assessment for "${after.templateName}" was sent back for changes.`,
+      link: `/evaluation-complete/${evaluationId}`,
+      data: { evaluationId }
+    });
+  }
+
+  await notifyUsers(businessId, notifications);
+  logger.info('Evaluation status notifications sent', { businessId, evaluationId, status: after.status, count: notifications.length });
+});
+
+/**
+ * Bonus allocation approved: tell each employee who received a bonus
+ */
+export const onBonusAllocationApproved = onDocumentUpdated('bonusAllocations/{allocationId}', async (event) => {
+  const before = event.data?.before.data();
+  const after = event.data?.after.data();
+  if (!before || !after || before.status === after.status || after.status !== 'approved' || !after.businessId) return;
+
+  const recipients = Object.entries(after.allocations || {})
+    .filter(([, allocation]) => Number((allocation as { bonusPercentage?: number }).bonusPercentage) > 0)
+    .map(([userId]) => userId);
+
+  await notifyUsers(after.businessId, recipients.map(userId => ({
+    userId,
+    type: 'bonus_approved',
+    title: 'Bonus approved',
+    message: 'Your bonus for this review period has been approved.',
+    link: '/performance-history',
+    data: { allocationId: event.params.allocationId }
+  })));
+});
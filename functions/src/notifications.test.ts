@@ -0,0 +1,49 @@
+import { addNotificationToBatch, isNotificationMuted, validateNotification } from './notifications';
+
+const recipient = { notificationPreferences: { muted: ['evaluation_reminder', 'announcement'] } };
+
+describe('isNotificationMuted', () => {
+  it('mutes the types the recipient switched off', () => {
+    expect(isNotificationMuted(recipient, 'evaluation_reminder')).toBe(true);
+    expect(isNotificationMuted(recipient, 'review_completed')).toBe(false);
+  });
+
+  it('always delivers types that cannot be muted', () => {
+    expect(isNotificationMuted(recipient, 'announcement')).toBe(false);
+    expect(isNotificationMuted({ notificationPreferences: { muted: ['general'] } })).toBe(false);
+  });
+
+  it('mutes nothing without a list of preferences', () => {
+    expect(isNotificationMuted(undefined, 'evaluation_reminder')).toBe(false);
+    expect(isNotificationMuted({}, 'evaluation_reminder')).toBe(false);
+    expect(isNotificationMuted({ notificationPreferences: { muted: 'evaluation_reminder_and_more' } }, 'evaluation_reminder')).toBe(false);
+  });
+});
+
+describe('addNotificationToBatch', () => {
+  it('leaves the batch alone for a muted recipient', () => {
+    const batch = { set: jest.fn() } as unknown as FirebaseFirestore.WriteBatch;
+    const notification = { userId: 'ana', type: 'evaluation_reminder', title: 'Reminder', message: 'Due soon' };
+
+    expect(addNotificationToBatch(batch, 'acme', notification, 'system', recipient)).toBeNull();
+    expect(batch.set).not.toHaveBeenCalled();
+  });
+});
+
+describe('validateNotification', () => {
+  it('trims the text and fills in defaults', () => {
+    expect(validateNotification({ userId: 'ana', title: ' Hi ', message: ' Welcome ' })).toEqual({
+      userId: 'ana',
+      type: 'general',
+      title: 'Hi',
+      message: 'Welcome',
+      link: null,
+      data: {}
+    });
+  });
+
+  it('needs a recipient, title and message', () => {
+    expect(() => validateNotification({ title: 'Hi', message: 'Welcome' })).toThrow('Notifications need a recipient, title and message');
+    expect(() => validateNotification({ userId: 'ana', title: ' ', message: 'Welcome' })).toThrow('Notifications need a recipient, title and message');
+  });
+});
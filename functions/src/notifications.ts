@@ -0,0 +1,296 @@
+/**
+ * Cloud Functions for In-App Notifications
+ *
+ * Notifications live in businesses/{businessId}/users/{userId}/notifications and are
+ * only ever written by functions. Scheduled notifications wait in
+ * businesses/{businessId}/scheduledNotifications until their sendAt has passed.
+ * Users can mute individual types through notificationPreferences.muted on their profile.
+ */
+
+import { onCall, HttpsError } from 'firebase-functions/v2/https';
+import { logger } from 'firebase-functions';
+import { FieldValue, Timestamp } from 'firebase-admin/firestore';
+import { db } from './config';
+import { getRequestingUser, isAdminOrHr, businessRef, RequestingUser } from './access';
+
+export interface NotificationInput {
+  userId: string;
+  type?: string;
+  title: string;
+  message: string;
+  link?: string | null;
+  data?: Record<string, unknown>;
+}
+
+// Types a user may mute; announcements and escalations always get through
+export const MUTABLE_NOTIFICATION_TYPES = [
+  'evaluation_assigned',
+  'self_assessment_submitted',
+  'review_completed',
+  'evaluation_returned',
+  'bonus_approved',
+  'evaluation_reminder',
+  'evaluation_overdue'
+];
+
+// Firestore batches take at most 500 writes; one is kept for a scheduled notification's status update
+const MAX_BULK_NOTIFICATIONS = 499;
+
+export const validateNotification = (input: Partial<NotificationInput>): NotificationInput => {
+  if (!input?.userId || !input.title?.trim() || !input.message?.trim()) {
+    throw new HttpsError('invalid-argument', 'Notifications need a recipient, title and message');
+  }
+
+  return {
+    userId: input.userId,
+    type: input.type || 'general',
+    title: input.title.trim(),
+    message: input.message.trim(),
+    link: input.link || null,
+    data: input.data || {}
+  };
+};
+
+const notificationsRef = (businessId: string, userId: string) =>
+  businessRef(businessId).collection('users').doc(userId).collection('notifications');
+
+const buildNotificationDocument = (notification: NotificationInput, sentBy: string) => ({
+  type: notification.type || 'general',
+  title: notification.title,
+  message: notification.message,
+  link: notification.link || null,
+  data: notification.data || {},
+  sentBy,
+  read: false,
+  readAt: null,
+  createdAt: FieldValue.serverTimestamp()
+});
+
+export const isNotificationMuted = (recipient: FirebaseFirestore.DocumentData | undefined, type = 'general') => {
+  // Users write their own preferences, so anything but a list mutes nothing
+  const muted: unknown = recipient?.notificationPreferences?.muted;
+  return MUTABLE_NOTIFICATION_TYPES.includes(type) && Array.isArray(muted) && muted.includes(type);
+};
+
+/**
+ * Adds a notification write to a batch so it commits together with related writes.
+ * Returns the new notification's ID, or null when the recipient has muted this type.
+ */
+export const addNotificationToBatch = (
+  batch: FirebaseFirestore.WriteBatch,
+  businessId: string,
+  notification: NotificationInput,
+  sentBy = 'system',
+  recipient?: FirebaseFirestore.DocumentData
+): string | null => {
+  if (isNotificationMuted(recipient, notification.type)) {
+    return null;
+  }
+
+  const notificationRef = notificationsRef(businessId, notification.userId).doc();
+  batch.set(notificationRef, buildNotificationDocument(notification, sentBy));
+  return notificationRef.id;
+};
+
+/**
+ * Writes one notification to a user's inbox and returns its ID (null when muted)
+ */
+export const deliverNotification = async (
+  businessId: string,
+  notification: NotificationInput,
+  sentBy = 'system'
+): Promise<string | null> => {
+  const recipientDoc = await businessRef(businessId).collection('users').doc(notification.userId).get();
+  if (isNotificationMuted(recipientDoc.data(), notification.type)) {
+    return null;
+  }
+
+  const notificationRef = await notificationsRef(businessId, notification.userId)
+    .add(buildNotificationDocument(notification, sentBy));
+  return notificationRef.id;
+};
+
+/**
+ * Loads recipient profiles (for mute preferences). With `required`, every recipient
+ * must belong to the business.
+ */
+const loadRecipients = async (businessId: string, userIds: string[], required = true) => {
+  const uniqueIds = [...new Set(userIds)];
+  const userDocs = await Promise.all(
+    uniqueIds.map(userId => businessRef(businessId).collection('users').doc(userId).get())
+  );
+
+  const missing = uniqueIds.filter((_, index) => !userDocs[index].exists);
+  if (required && missing.length > 0) {
+    throw new HttpsError('not-found', `Unknown recipient(s): ${missing.join(', ')}`);
+  }
+
+  return new Map(userDocs.filter(userDoc => userDoc.exists).map(userDoc => [userDoc.id, userDoc.data()]));
+};
+
+const requireNotificationSender = async (uid: string): Promise<RequestingUser> => {
+  const requestingUser = await getRequestingUser(uid);
+  if (!isAdminOrHr(requestingUser)) {
+    throw new HttpsError('permission-denied', 'Only admin and HR can send notifications');
+  }
+  return requestingUser;
+};
+
+const handleNotificationError = (error: unknown, message: string): never => {
+  logger.error(`${message}:`, error);
+
+  if (error instanceof HttpsError) {
+    throw error;
+  }
+
+  throw new HttpsError('internal', message);
+};
+
+/**
+ * Delivers scheduled notifications whose sendAt has passed. Called by the reminder schedule.
+ */
+export const deliverScheduledNotifications = async (businessId: string, now: Date): Promise<number> => {
+  const dueQuery = await businessRef(businessId).collection('scheduledNotifications')
+    .where('status', '==', 'scheduled')
+    .where('sendAt', '<=', Timestamp.fromDate(now))
+    .get();
+
+  for (const scheduledDoc of dueQuery.docs) {
+    const scheduled = scheduledDoc.data();
+    // Users removed since scheduling are skipped
+    const recipients = await loadRecipients(businessId, scheduled.recipientIds, false);
+    const batch = db.batch();
+
+    recipients.forEach((recipient, userId) => {
+      addNotificationToBatch(batch, businessId, { ...scheduled.notification, userId }, scheduled.createdBy, recipient);
+    });
+
+    batch.update(scheduledDoc.ref, {
+      status: 'sent',
+      sentAt: FieldValue.serverTimestamp()
+    });
+    await batch.commit();
+  }
+
+  return dueQuery.size;
+};
+
+/**
+ * Sends one notification right away (admin/HR)
+ */
+export const sendNotification = onCall({ cors: true }, async (request) => {
+  // Check if user is authenticated
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'User must be authenticated');
+  }
+
+  const notification = validateNotification(request.data);
+
+  try {
+    const requestingUser = await requireNotificationSender(request.auth.uid);
+    await loadRecipients(requestingUser.businessId, [notification.userId]);
+
+    const notificationId = await deliverNotification(requestingUser.businessId, notification, requestingUser.id);
+
+    return {
+      success: true,
+      message: notificationId ? 'Notification sent' : 'The recipient has muted this type of notification',
+      notificationId
+    };
+  } catch (error: unknown) {
+    return handleNotificationError(error, 'Failed to send notification');
+  }
+});
+
+/**
+ * Sends several notifications in one batch (admin/HR)
+ */
+export const sendBulkNotifications = onCall({ cors: true }, async (request) => {
+  // Check if user is authenticated
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'User must be authenticated');
+  }
+
+  const { notifications } = request.data as { notifications?: Partial<NotificationInput>[] };
+  if (!Array.isArray(notifications) || notifications.length === 0) {
+    throw new HttpsError('invalid-argument', 'No notifications to send');
+  }
+
+  if (notifications.length > MAX_BULK_NOTIFICATIONS) {
+    throw new HttpsError('invalid-argument', `At most ${MAX_BULK_NOTIFICATIONS} notifications can be sent at once`);
+  }
+
+  const validated = notifications.map(validateNotification);
+
+  try {
+    const requestingUser = await requireNotificationSender(request.auth.uid);
+    const { businessId } = requestingUser;
+    const recipients = await loadRecipients(businessId, validated.map(notification => notification.userId));
+
+    const batch = db.batch();
+    const sentCount = validated
+      .map(notification => addNotificationToBatch(batch, businessId, notification, requestingUser.id, recipients.get(notification.userId)))
+      .filter(Boolean).length;
+    await batch.commit();
+
+    logger.info('Bulk notifications sent', { businessId, count: sentCount, muted: validated.length - sentCount });
+
+    return { success: true, message: `${sentCount} notification(s) sent`, count: sentCount };
+  } catch (error: unknown) {
+    return handleNotificationError(error, 'Failed to send bulk notifications');
+  }
+});
+
+/**
+ * Queues a notification for one or more users at a later time (admin/HR)
+ */
+export const scheduleNotification = onCall({ cors: true }, async (request) => {
+  // Check if user is authenticated
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'User must be authenticated');
+  }
+
+  const { notification, schedule } = request.data as {
+    notification?: Partial<NotificationInput> & { userIds?: string[] };
+    schedule?: { sendAt?: string };
+  };
+
+  const recipientIds = notification?.userIds?.length
+    ? [...new Set(notification.userIds)]
+    : notification?.userId ? [notification.userId] : [];
+
+  if (recipientIds.length === 0 || recipientIds.length > MAX_BULK_NOTIFICATIONS) {
+    throw new HttpsError('invalid-argument', `Scheduled notifications need between 1 and ${MAX_BULK_NOTIFICATIONS} recipients`);
+  }
+
+  const sendAt = new Date(schedule?.sendAt || '');
+  if (isNaN(sendAt.getTime()) || sendAt <= new Date()) {
+    throw new HttpsError('invalid-argument', 'sendAt must be a date in the future');
+  }
+
+  // Stored without a recipient; each one is filled in at delivery
+  const { type, title, message, link, data } = validateNotification({ ...notification, userId: recipientIds[0] });
+  const content = { type, title, message, link, data };
+
+  try {
+    const requestingUser = await requireNotificationSender(request.auth.uid);
+    await loadRecipients(requestingUser.businessId, recipientIds);
+
+    const scheduledRef = await businessRef(requestingUser.businessId).collection('scheduledNotifications').add({
+      notification: content,
+      recipientIds,
+      sendAt: Timestamp.fromDate(sendAt),
+      status: 'scheduled',
+      createdBy: requestingUser.id,
+      createdAt: FieldValue.serverTimestamp()
+    });
+
+    return {
+      success: true,
+      message: `Notification scheduled for ${sendAt.toISOString()}`,
+      scheduledNotificationId: scheduledRef.id
+    };
+  } catch (error: unknown) {
+    return handleNotificationError(error, 'Failed to schedule notification');
+  }
+});
@@ -0,0 +1,131 @@
+import {
+  answerFraction,
+  answerScore,
+  findInvalidAnswers,
+  formatAnswer,
+  isRatedQuestion,
+  isScoredAnswerQuestion,
+  TemplateQuestion,
+  validateAnswer
+} from './questionTypes';
+import { RATING_SCALE_PRESETS } from './ratingScales';
+
+const yesNo: TemplateQuestion = { id: 'honest', type: 'yesNo' };
+const choice: TemplateQuestion = { id: 'style', type: 'multipleChoice', options: ['Lead', 'Follow'] };
+const checklist: TemplateQuestion = { id: 'skills', type: 'checklist', options: ['SQL', 'Go', 'React', 'Rust'] };
+const kpi: TemplateQuestion = { id: 'calls', type: 'kpi', kpi: { target: 100, unit: 'calls' } };
+const churn: TemplateQuestion = { id: 'churn', type: 'kpi', kpi: { target: 10, unit: '%', higherIsBetter: false } };
+const competency: TemplateQuestion = { id: 'craft', type: 'competency' };
+const ranking: TemplateQuestion = { id: 'values', type: 'ranking', options: ['Safety', 'Quality', 'Speed'] };
+
+describe('question kinds', () => {
+  it('treats untyped and rating questions as rated', () => {
+    expect(isRatedQuestion({ id: 'legacy' })).toBe(true);
+    expect(isRatedQuestion({ id: 'q', type: 'dualRating' })).toBe(true);
+    expect(isRatedQuestion(yesNo)).toBe(false);
+  });
+
+  it('scores the answer types with a favourable end', () => {
+    expect([yesNo, checklist, kpi, competency, ranking].every(isScoredAnswerQuestion)).toBe(true);
+    expect(isScoredAnswerQuestion(choice)).toBe(false);
+    expect(isScoredAnswerQuestion({ id: 'notes', type: 'text' })).toBe(false);
+  });
+});
+
+describe('validateAnswer', () => {
+  it('accepts well-formed answers', () => {
+    expect(validateAnswer(yesNo, false)).toBeNull();
+    expect(validateAnswer(choice, 'Lead')).toBeNull();
+    expect(validateAnswer(checklist, [])).toBeNull();
+    expect(validateAnswer(kpi, 0)).toBeNull();
+    expect(validateAnswer(competency, 4)).toBeNull();
+    expect(validateAnswer(ranking, ['Speed', 'Safety', 'Quality'])).toBeNull();
+  });
+
+  it('explains malformed answers', () => {
+    expect(validateAnswer(yesNo, 'yes')).toBe('Answer yes or no');
+    expect(validateAnswer(choice, 'Both')).toBe('Pick one of the options');
+    expect(validateAnswer(checklist, ['SQL', 'SQL'])).toBe('Only tick items from the checklist');
+    expect(validateAnswer(checklist, ['COBOL'])).toBe('Only tick items from the checklist');
+    expect(validateAnswer(kpi, -1)).toBe('Enter the actual value as a non-negative number');
+    expect(validateAnswer(competency, 2.5)).toBe('Pick a level between 1 and 4');
+    expect(validateAnswer(ranking, ['Speed', 'Speed', 'Quality'])).toBe('Rank every item exactly once');
+  });
+
+  it('does not restrict free text and ratings', () => {
+    expect(validateAnswer({ id: 'notes', type: 'text' }, 42)).toBeNull();
+    expect(validateAnswer({ id: 'legacy' }, 'anything')).toBeNull();
+  });
+});
+
+describe('answerFraction', () => {
+  it('scores yes/no, checklists and competency levels', () => {
+    expect(answerFraction(yesNo, true)).toBe(1);
+    expect(answerFraction(yesNo, false)).toBe(0);
+    expect(answerFraction(checklist, ['SQL', 'Go', 'Rust'])).toBe(0.75);
+    expect(answerFraction(competency, 1)).toBe(0);
+    expect(answerFraction(competency, 3)).toBeCloseTo(2 / 3);
+  });
+
+  it('scores KPIs against their target in either direction', () => {
+    expect(answerFraction(kpi, 80)).toBe(0.8);
+    expect(answerFraction(kpi, 130)).toBe(1);
+    expect(answerFraction(churn, 5)).toBe(1);
+    expect(answerFraction(churn, 20)).toBe(0.5);
+    expect(answerFraction({ ...kpi, kpi: { target: 0 } }, 10)).toBeNull();
+  });
+
+  it('scores rankings by their distance from the authored order', () => {
+    expect(answerFraction(ranking, ['Safety', 'Quality', 'Speed'])).toBe(1);
+    expect(answerFraction(ranking, ['Quality', 'Safety', 'Speed'])).toBe(0.5);
+    expect(answerFraction(ranking, ['Speed', 'Quality', 'Safety'])).toBe(0);
+    expect(answerFraction({ ...ranking, scoreOrder: false }, ['Safety', 'Quality', 'Speed'])).toBeNull();
+  });
+
+  it('leaves unscored types, blanks and malformed answers out', () => {
+    expect(answerFraction(choice, 'Lead')).toBeNull();
+    expect(answerFraction(yesNo, null)).toBeNull();
+    expect(answerFraction(competency, 7)).toBeNull();
+  });
+});
+
+describe('answerScore', () => {
+  it('places the fraction on the rating scale', () => {
+    expect(answerScore(yesNo, true, RATING_SCALE_PRESETS['1-5'])).toBe(5);
+    expect(answerScore(checklist, ['SQL', 'Go'], RATING_SCALE_PRESETS['1-10'])).toBe(5.5);
+    expect(answerScore(kpi, 40, RATING_SCALE_PRESETS.percentage)).toBe(40);
+    expect(answerScore(choice, 'Lead', RATING_SCALE_PRESETS['1-5'])).toBeNull();
+  });
+});
+
+describe('findInvalidAnswers', () => {
+  const categories = [
+    { id: 'values', questions: [yesNo, competency, { ...choice, required: false }, { id: 'rated' }, { id: 'notes', type: 'text' }] }
+  ];
+
+  it('reports malformed answers whether or not answers are required yet', () => {
+    const responses = { values: { honest: { managerAnswer: 'maybe' }, craft: { managerAnswer: 2 } } };
+
+    expect(findInvalidAnswers(categories, responses, 'manager', false)).toEqual(['values/honest']);
+  });
+
+  it('reports missing required answers on submit, reading the role\'s own field', () => {
+    const responses = { values: { honest: { selfAnswer: true, managerAnswer: true } } };
+
+    expect(findInvalidAnswers(categories, responses, 'manager', true)).toEqual(['values/craft']);
+    expect(findInvalidAnswers(categories, responses, 'self', true)).toEqual(['values/craft']);
+    expect(findInvalidAnswers(categories, undefined, 'self', true)).toEqual(['values/honest', 'values/craft']);
+  });
+});
+
+describe('formatAnswer', () => {
+  it('writes answers as plain text for reports and exports', () => {
+    expect(formatAnswer(yesNo, false)).toBe('No');
+    expect(formatAnswer(checklist, ['SQL', 'Go'])).toBe('SQL, Go');
+    expect(formatAnswer(checklist, [])).toBe('None');
+    expect(formatAnswer(kpi, 120)).toBe('120 calls (target 100 calls)');
+    expect(formatAnswer(competency, 3)).toBe('Level 3');
+    expect(formatAnswer(ranking, ['Speed', 'Safety', 'Quality'])).toBe('1. Speed, 2. Safety, 3. Quality');
+    expect(formatAnswer(choice, undefined)).toBe('');
+  });
+});
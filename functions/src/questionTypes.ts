@@ -0,0 +1,221 @@
+/**
+ * Template question types
+ *
+ * Rating questions are answered on the evaluation's rating scale and stored as
+ * selfRating / managerRating. Every other type stores its answer as selfAnswer /
+ * managerAnswer; the scored ones are converted to a fraction of the scale so they
+ * count towards the category score like any rating.
+ *
+ * Mirrored in frontend/src/utils/questionTypes.js.
+ */
+
+import { RatingScale } from './ratingScales';
+
+export type QuestionType =
+  | 'rating'
+  | 'dualRating'
+  | 'text'
+  | 'multipleChoice'
+  | 'yesNo'
+  | 'checklist'
+  | 'kpi'
+  | 'competency'
+  | 'ranking';
+
+export interface KpiConfig {
+  target: number;
+  unit?: string;
+  higherIsBetter?: boolean;
+}
+
+export interface TemplateQuestion {
+  id: string;
+  text?: string;
+  type?: string;
+  weight?: number;
+  required?: boolean;
+  // Choices of multipleChoice and checklist questions, items of ranking questions
+  options?: string[];
+  // Ranking questions: score answers by how closely they follow the order of options
+  scoreOrder?: boolean;
+  kpi?: KpiConfig;
+  // Behaviour descriptors of competency levels 1-4
+  levels?: string[];
+}
+
+// 'rater' is a 360 feedback rater (see feedback.ts)
+export type AnswerRole = 'self' | 'manager' | 'rater';
+
+export const QUESTION_TYPES: QuestionType[] = [
+  'rating', 'dualRating', 'text', 'multipleChoice', 'yesNo', 'checklist', 'kpi', 'competency', 'ranking'
+];
+
+export const RATED_QUESTION_TYPES: QuestionType[] = ['rating', 'dualRating'];
+
+// Answer types that contribute to the category score
+const SCORED_ANSWER_TYPES: QuestionType[] = ['yesNo', 'checklist', 'kpi', 'competency', 'ranking'];
+
+export const COMPETENCY_LEVELS = 4;
+
+export const RATING_FIELDS: Record<AnswerRole, 'selfRating' | 'managerRating' | 'rating'> = {
+  self: 'selfRating',
+  manager: 'managerRating',
+  rater: 'rating'
+};
+
+export const ANSWER_FIELDS: Record<AnswerRole, 'selfAnswer' | 'managerAnswer' | 'answer'> = {
+  self: 'selfAnswer',
+  manager: 'managerAnswer',
+  rater: 'answer'
+};
+
+/**
+ * Questions without a type predate question types and are rated
+ */
+export const isRatedQuestion = (question: TemplateQuestion): boolean => {
+  return !question.type || RATED_QUESTION_TYPES.includes(question.type as QuestionType);
+};
+
+export const isScoredAnswerQuestion = (question: TemplateQuestion): boolean => {
+  return SCORED_ANSWER_TYPES.includes(question.type as QuestionType);
+};
+
+// An empty checklist is an answer: nothing applied
+const isAnswered = (answer: unknown): boolean => answer !== null && answer !== undefined && answer !== '';
+
+const sameItems = (a: string[], b: string[]): boolean => {
+  return a.length === b.length && [...a].sort().join('\u0000') === [...b].sort().join('\u0000');
+};
+
+/**
+ * Why an answer is not valid for its question, or null when it is
+ */
+export const validateAnswer = (question: TemplateQuestion, answer: unknown): string | null => {
+  const options = question.options || [];
+
+  switch (question.type) {
+    case 'yesNo':
+      return typeof answer === 'boolean' ? null : 'Answer yes or no';
+    case 'multipleChoice':
+      return typeof answer === 'string' && options.includes(answer) ? null : 'Pick one of the options';
+    case 'checklist':
+      return Array.isArray(answer) && answer.every(item => options.includes(item)) && new Set(answer).size === answer.length
+        ? null
+        : 'Only tick items from the checklist';
+    case 'kpi':
+      return typeof answer === 'number' && Number.isFinite(answer) && answer >= 0
+        ? null
+        : 'Enter the actual value as a non-negative number';
+    case 'competency':
+      return Number.isInteger(answer) && (answer as number) >= 1 && (answer as number) <= COMPETENCY_LEVELS
+        ? null
+        : `Pick a level between 1 and ${COMPETENCY_LEVELS}`;
+    case 'ranking':
+      return Array.isArray(answer) && sameItems(answer as string[], options) ? null : 'Rank every item exactly once';
+    default:
+      return null;
+  }
+};
+
+/**
+ * How favourable an answer is, from 0 to 1, or null when the question type is not scored
+ */
+export const answerFraction = (question: TemplateQuestion, answer: unknown): number | null => {
+  if (!isScoredAnswerQuestion(question) || !isAnswered(answer) || validateAnswer(question, answer)) {
+    return null;
+  }
+
+  const options = question.options || [];
+
+  switch (question.type) {
+    case 'yesNo':
+      return answer ? 1 : 0;
+    case 'checklist':
+      return options.length > 0 ? (answer as string[]).length / options.length : null;
+    case 'kpi': {
+      const target = Number(question.kpi?.target);
+      const actual = answer as number;
+      if (!Number.isFinite(target) || target <= 0) return null;
+      if (question.kpi?.higherIsBetter === false) {
+        return actual <= target ? 1 : target / actual;
+      }
+      return Math.min(1, actual / target);
+    }
+    case 'competency':
+      return ((answer as number) - 1) / (COMPETENCY_LEVELS - 1);
+    case 'ranking': {
+      if (question.scoreOrder === false) return null;
+
+      // Distance from the order the items were authored in (Spearman's footrule)
+      const ranked = answer as string[];
+      const worst = Math.floor((options.length * options.length) / 2);
+      if (worst === 0) return 1;
+      const distance = ranked.reduce((sum, item, index) => sum + Math.abs(index - options.indexOf(item)), 0);
+      return 1 - distance / worst;
+    }
+    default:
+      return null;
+  }
+};
+
+/**
+ * The score a question contributes to its category, in the units of the rating scale
+ */
+export const answerScore = (question: TemplateQuestion, answer: unknown, scale: RatingScale): number | null => {
+  const fraction = answerFraction(question, answer);
+  return fraction === null ? null : scale.min + fraction * (scale.max - scale.min);
+};
+
+/**
+ * Answers that are malformed, or missing for required questions when `requireAnswers`
+ * is set, as "categoryId/questionId". Rating questions are checked against the scale
+ * separately (findOffScaleRatings).
+ */
+export const findInvalidAnswers = (
+  categories: Array<{ id?: string; questions?: TemplateQuestion[] }>,
+  responses: Record<string, Record<string, Record<string, unknown>>> | undefined,
+  role: AnswerRole,
+  requireAnswers: boolean
+): string[] => {
+  const invalid: string[] = [];
+
+  categories.forEach(category => {
+    if (!category?.id) return;
+
+    (category.questions || []).forEach(question => {
+      if (isRatedQuestion(question) || question.type === 'text') return;
+
+      const answer = responses?.[category.id as string]?.[question.id]?.[ANSWER_FIELDS[role]];
+      const missing = !isAnswered(answer);
+      if (missing ? requireAnswers && question.required !== false : validateAnswer(question, answer)) {
+        invalid.push(`${category.id}/${question.id}`);
+      }
+    });
+  });
+
+  return invalid;
+};
+
+/**
+ * Plain-text answer for reports and exports
+ */
+export const formatAnswer = (question: TemplateQuestion, answer: unknown): string => {
+  if (!isAnswered(answer)) return '';
+
+  switch (question.type) {
+    case 'yesNo':
+      return answer ? 'Yes' : 'No';
+    case 'checklist':
+      return Array.isArray(answer) ? answer.join(', ') || 'None' : '';
+    case 'kpi': {
+      const unit = question.kpi?.unit ? ` ${question.kpi.unit}` : '';
+      return `${answer}${unit} (target ${question.kpi?.target ?? '-'}${unit})`;
+    }
+    case 'competency':
+      return `Level ${answer}`;
+    case 'ranking':
+      return Array.isArray(answer) ? answer.map((item, index) => `${index + 1}. ${item}`).join(', ') : '';
+    default:
+      return String(answer);
+  }
+};
@@ -0,0 +1,147 @@
+import {
+  DEFAULT_RATING_SCALE,
+  RATING_SCALE_PRESETS,
+  findOffScaleRatings,
+  formatScaleScore,
+  isRatingOnScale,
+  nearestAnchor,
+  normalizeScore,
+  resolveRatingScale,
+  validateRatingScale
+} from './ratingScales';
+
+const oneToFive = RATING_SCALE_PRESETS['1-5'];
+const letters = RATING_SCALE_PRESETS['A-F'];
+const percentage = RATING_SCALE_PRESETS.percentage;
+
+describe('validateRatingScale', () => {
+  it('accepts preset ids', () => {
+    expect(validateRatingScale('A-F')).toEqual({ scale: letters, errors: [] });
+    expect(validateRatingScale('1-7').errors).toEqual(['Unknown rating scale: 1-7']);
+  });
+
+  it('recognizes a numeric range that matches a preset', () => {
+    const { scale } = validateRatingScale({ type: 'numeric', name: 'Ten', min: 1, max: 10, step: 1 });
+
+    expect(scale).toEqual({ id: '1-10', type: 'numeric', name: 'Ten', min: 1, max: 10, step: 1, anchors: [] });
+  });
+
+  it('always runs percentages from 0 to 100', () => {
+    const { scale } = validateRatingScale({ type: 'percentage', min: 20, max: 50, step: 10 });
+
+    expect(scale).toMatchObject({ id: 'percentage', min: 0, max: 100, step: 10 });
+  });
+
+  it('rejects inverted ranges and steps larger than the range', () => {
+    expect(validateRatingScale({ type: 'numeric', min: 5, max: 1 }).errors)
+      .toContain('The scale maximum must be greater than its minimum');
+    expect(validateRatingScale({ type: 'numeric', min: 1, max: 3, step: 5 }).errors)
+      .toEqual(['The scale step must be positive and smaller than its range']);
+  });
+
+  it('sorts labelled choices and takes the range from them', () => {
+    const { scale } = validateRatingScale({
+      type: 'labels',
+      name: ' Fit ',
+      anchors: [{ value: 3, label: 'Strong' }, { value: 1, label: 'Weak', description: ' Needs work ' }]
+    });
+
+    expect(scale).toEqual({
+      id: 'custom',
+      type: 'labels',
+      name: 'Fit',
+      min: 1,
+      max: 3,
+      step: 1,
+      anchors: [{ value: 1, label: 'Weak', description: 'Needs work' }, { value: 3, label: 'Strong' }]
+    });
+  });
+
+  it('rejects choices without labels, duplicate values and too few choices', () => {
+    expect(validateRatingScale({ type: 'letter', anchors: [{ value: 1, label: 'A' }, { value: 1, label: '' }] }).errors)
+      .toEqual(['Every choice needs a label', 'Choice values must be unique']);
+    expect(validateRatingScale({ type: 'labels', anchors: [{ value: 1, label: 'Only' }] }).errors)
+      .toEqual(['A labels scale needs between 2 and 10 choices']);
+    expect(validateRatingScale({ type: 'stars' }).scale).toBeNull();
+  });
+});
+
+describe('resolveRatingScale', () => {
+  it('prefers a valid stored scale, then the legacy scoringSystem, then the default', () => {
+    expect(resolveRatingScale({ ratingScale: 'A-F', scoringSystem: '1-10' })).toBe(letters);
+    expect(resolveRatingScale({ ratingScale: { type: 'numeric', min: 3, max: 1 }, scoringSystem: '1-10' }))
+      .toBe(RATING_SCALE_PRESETS['1-10']);
+    expect(resolveRatingScale(null)).toBe(DEFAULT_RATING_SCALE);
+  });
+});
+
+describe('isRatingOnScale', () => {
+  it('accepts ratings on a step of a numeric scale', () => {
+    expect(isRatingOnScale(1, oneToFive)).toBe(true);
+    expect(isRatingOnScale(3.5, oneToFive)).toBe(true);
+    expect(isRatingOnScale('4', oneToFive)).toBe(true);
+    expect(isRatingOnScale(5, oneToFive)).toBe(true);
+  });
+
+  it('rejects ratings between steps or outside the range', () => {
+    expect(isRatingOnScale(3.3, oneToFive)).toBe(false);
+    expect(isRatingOnScale(5.5, oneToFive)).toBe(false);
+    expect(isRatingOnScale(73, percentage)).toBe(false);
+    expect(isRatingOnScale(75, percentage)).toBe(true);
+  });
+
+  it('tolerates float error on fractional steps', () => {
+    const tenths = { ...oneToFive, id: 'custom', min: 0, max: 1, step: 0.1 };
+
+    expect(isRatingOnScale(0.1 + 0.2, tenths)).toBe(true);
+    expect(isRatingOnScale(0.7, tenths)).toBe(true);
+    expect(isRatingOnScale(0.75, tenths)).toBe(false);
+  });
+
+  it('only accepts anchor values on letter and labelled scales', () => {
+    expect(isRatingOnScale(4, letters)).toBe(true);
+    expect(isRatingOnScale(4.5, letters)).toBe(false);
+  });
+
+  it('treats blanks and the legacy 0 as unanswered', () => {
+    expect(isRatingOnScale(null, oneToFive)).toBe(false);
+    expect(isRatingOnScale('', oneToFive)).toBe(false);
+    expect(isRatingOnScale(0, oneToFive)).toBe(false);
+    expect(isRatingOnScale(0, percentage)).toBe(true);
+  });
+});
+
+describe('findOffScaleRatings', () => {
+  it('lists answered ratings that are off the scale', () => {
+    const responses = {
+      delivery: { q1: { managerRating: 4 }, q2: { managerRating: 4.2 }, q3: { managerRating: 0 } },
+      teamwork: { q4: { managerRating: 9 }, q5: {} }
+    };
+
+    expect(findOffScaleRatings(responses, 'managerRating', oneToFive)).toEqual(['delivery/q2', 'teamwork/q4']);
+    expect(findOffScaleRatings(undefined, 'managerRating', oneToFive)).toEqual([]);
+  });
+});
+
+describe('scores on a scale', () => {
+  it('normalizes to 0-100 and clamps', () => {
+    expect(normalizeScore(3, oneToFive)).toBe(50);
+    expect(normalizeScore(4.2, oneToFive)).toBe(80);
+    expect(normalizeScore(7, oneToFive)).toBe(100);
+    expect(normalizeScore(null, oneToFive)).toBeNull();
+  });
+
+  it('finds the nearest anchor of averaged scores', () => {
+    expect(nearestAnchor(4.4, letters)?.label).toBe('B');
+    expect(nearestAnchor(4.6, letters)?.label).toBe('A');
+    expect(nearestAnchor(3, oneToFive)).toBeNull();
+  });
+
+  it('formats scores for each kind of scale', () => {
+    expect(formatScaleScore(4.236, oneToFive)).toBe('4.24 / 5');
+    expect(formatScaleScore(4, letters)).toBe('B');
+    expect(formatScaleScore(4.2, letters)).toBe('B (4.2)');
+    expect(formatScaleScore(85, percentage)).toBe('85%');
+    expect(formatScaleScore(undefined, oneToFive)).toBe('-');
+  });
+});
@@ -0,0 +1,264 @@
+/**
+ * Rating scale definitions
+ *
+ * Every scale maps its choices onto numbers. Ratings are stored as those numbers and
+ * averaged in the scale's own units; comparisons across evaluations go through
+ * normalizeScore(), which places a score on 0-100 between the scale's minimum and maximum.
+ *
+ * Mirrored in frontend/src/utils/ratingScales.js.
+ */
+
+export type RatingScaleType = 'numeric' | 'letter' | 'percentage' | 'labels';
+
+export interface RatingAnchor {
+  value: number;
+  label: string;
+  description?: string;
+}
+
+export interface RatingScale {
+  id: string;
+  type: RatingScaleType;
+  name: string;
+  min: number;
+  max: number;
+  step: number;
+  // Letter and labelled scales only accept their anchor values
+  anchors: RatingAnchor[];
+}
+
+export const RATING_SCALE_PRESETS: Record<string, RatingScale> = {
+  '1-5': {
+    id: '1-5',
+    type: 'numeric',
+    name: '1-5 scale',
+    min: 1,
+    max: 5,
+    step: 0.5,
+    anchors: []
+  },
+  '1-10': {
+    id: '1-10',
+    type: 'numeric',
+    name: '1-10 scale',
+    min: 1,
+    max: 10,
+    step: 0.5,
+    anchors: []
+  },
+  'A-F': {
+    id: 'A-F',
+    type: 'letter',
+    name: 'Letter grades (A-F)',
+    min: 1,
+    max: 5,
+    step: 1,
+    anchors: [
+      { value: 1, label: 'F' },
+      { value: 2, label: 'D' },
+      { value: 3, label: 'C' },
+      { value: 4, label: 'B' },
+      { value: 5, label: 'A' }
+    ]
+  },
+  percentage: {
+    id: 'percentage',
+    type: 'percentage',
+    name: 'Percentage (0-100%)',
+    min: 0,
+    max: 100,
+    step: 5,
+    anchors: []
+  },
+  'below-meets-exceeds': {
+    id: 'below-meets-exceeds',
+    type: 'labels',
+    name: 'Below / Meets / Exceeds',
+    min: 1,
+    max: 3,
+    step: 1,
+    anchors: [
+      { value: 1, label: 'Below expectations' },
+      { value: 2, label: 'Meets expectations' },
+      { value: 3, label: 'Exceeds expectations' }
+    ]
+  }
+};
+
+export const DEFAULT_RATING_SCALE = RATING_SCALE_PRESETS['1-5'];
+
+const MAX_ANCHORS = 10;
+const STEP_TOLERANCE = 1e-6;
+
+/**
+ * Checks a scale supplied by a client and returns it in canonical form
+ */
+export const validateRatingScale = (input: unknown): { scale: RatingScale | null; errors: string[] } => {
+  const errors: string[] = [];
+  const raw = (input || {}) as Partial<RatingScale>;
+
+  if (typeof input === 'string') {
+    const preset = RATING_SCALE_PRESETS[input];
+    return preset ? { scale: preset, errors } : { scale: null, errors: [`Unknown rating scale: ${input}`] };
+  }
+
+  if (!raw.type || !['numeric', 'letter', 'percentage', 'labels'].includes(raw.type)) {
+    return { scale: null, errors: ['Rating scale type must be numeric, letter, percentage or labels'] };
+  }
+
+  const name = String(raw.name || '').trim() || raw.type;
+
+  if (raw.type === 'letter' || raw.type === 'labels') {
+    const anchors = Array.isArray(raw.anchors) ? raw.anchors : [];
+    if (anchors.length < 2 || anchors.length > MAX_ANCHORS) {
+      errors.push(`A ${raw.type} scale needs between 2 and ${MAX_ANCHORS} choices`);
+    }
+
+    const cleaned = anchors.map(anchor => ({
+      value: Number(anchor?.value),
+      label: String(anchor?.label || '').trim(),
+      ...(anchor?.description ? { description: String(anchor.description).trim() } : {})
+    }));
+    if (cleaned.some(anchor => !Number.isFinite(anchor.value))) {
+      errors.push('Every choice needs a numeric value');
+    }
+    if (cleaned.some(anchor => !anchor.label)) {
+      errors.push('Every choice needs a label');
+    }
+    if (new Set(cleaned.map(anchor => anchor.value)).size !== cleaned.length) {
+      errors.push('Choice values must be unique');
+    }
+    if (errors.length > 0) return { scale: null, errors };
+
+    cleaned.sort((a, b) => a.value - b.value);
+    return {
+      scale: {
+        id: raw.id && RATING_SCALE_PRESETS[raw.id] ? raw.id : 'custom',
+        type: raw.type,
+        name,
+        min: cleaned[0].value,
+        max: cleaned[cleaned.length - 1].value,
+        step: 1,
+        anchors: cleaned
+      },
+      errors
+    };
+  }
+
+  const min = raw.type === 'percentage' ? 0 : Number(raw.min);
+  const max = raw.type === 'percentage' ? 100 : Number(raw.max);
+  const step = Number(raw.step) || 1;
+
+  if (!Number.isFinite(min) || !Number.isFinite(max) || min >= max) {
+    errors.push('The scale maximum must be greater than its minimum');
+  }
+  if (step <= 0 || step > max - min) {
+    errors.push('The scale step must be positive and smaller than its range');
+  }
+  if (errors.length > 0) return { scale: null, errors };
+
+  const presetId = raw.type === 'percentage'
+    ? 'percentage'
+    : Object.keys(RATING_SCALE_PRESETS).find(id => {
+      const preset = RATING_SCALE_PRESETS[id];
+      return preset.type === 'numeric' && preset.min === min && preset.max === max;
+    });
+
+  return {
+    scale: { id: presetId || 'custom', type: raw.type, name, min, max, step, anchors: [] },
+    errors
+  };
+};
+
+/**
+ * The scale of a template or evaluation. Templates are written by the client, so their
+ * scale is re-validated here; documents written before scales were configurable only
+ * carry a scoringSystem id.
+ */
+export const resolveRatingScale = (source?: FirebaseFirestore.DocumentData | null): RatingScale => {
+  if (source?.ratingScale) {
+    const { scale } = validateRatingScale(source.ratingScale);
+    if (scale) return scale;
+  }
+  return RATING_SCALE_PRESETS[source?.scoringSystem] || DEFAULT_RATING_SCALE;
+};
+
+/**
+ * Whether a stored rating is an answer on this scale. Missing answers are left out of scores.
+ */
+export const isRatingOnScale = (value: unknown, scale: RatingScale): value is number => {
+  if (value === null || value === undefined || value === '') return false;
+
+  const rating = Number(value);
+  if (!Number.isFinite(rating)) return false;
+
+  // Older 1-5 and 1-10 evaluations used 0 for "not rated"
+  if (rating === 0 && scale.min > 0) return false;
+
+  if (scale.anchors.length > 0) {
+    return scale.anchors.some(anchor => anchor.value === rating);
+  }
+  if (rating < scale.min || rating > scale.max) return false;
+
+  // Ratings sit on min + n * step; the tolerance absorbs float error from steps like 0.1
+  const steps = (rating - scale.min) / scale.step;
+  return Math.abs(steps - Math.round(steps)) < STEP_TOLERANCE;
+};
+
+/**
+ * Answers in { [categoryId]: { [questionId]: { [field]: rating } } } that are set but not
+ * on the scale, as "categoryId/questionId"
+ */
+export const findOffScaleRatings = (
+  responses: Record<string, Record<string, Record<string, unknown>>> | undefined,
+  field: string,
+  scale: RatingScale
+): string[] => {
+  const invalid: string[] = [];
+
+  Object.entries(responses || {}).forEach(([categoryId, questions]) => {
+    Object.entries(questions || {}).forEach(([questionId, response]) => {
+      const value = response?.[field];
+      const unanswered = value === null || value === undefined || value === '' || (value === 0 && scale.min > 0);
+      if (!unanswered && !isRatingOnScale(value, scale)) {
+        invalid.push(`${categoryId}/${questionId}`);
+      }
+    });
+  });
+
+  return invalid;
+};
+
+/**
+ * A score on the scale expressed as 0-100, for comparing evaluations on different scales
+ */
+export const normalizeScore = (score: number | null | undefined, scale: RatingScale): number | null => {
+  if (typeof score !== 'number' || !Number.isFinite(score)) return null;
+  const normalized = ((score - scale.min) / (scale.max - scale.min)) * 100;
+  return Math.round(Math.min(100, Math.max(0, normalized)) * 100) / 100;
+};
+
+/**
+ * The anchor closest to a (possibly averaged) score, for letter and labelled scales
+ */
+export const nearestAnchor = (score: number, scale: RatingScale): RatingAnchor | null => {
+  if (scale.anchors.length === 0) return null;
+  return scale.anchors.reduce((best, anchor) =>
+    Math.abs(anchor.value - score) < Math.abs(best.value - score) ? anchor : best
+  );
+};
+
+/**
+ * Human readable score, e.g. "4.2 / 5", "B (4.2)", "85%" or "Meets expectations (2.1)"
+ */
+export const formatScaleScore = (score: number | null | undefined, scale: RatingScale): string => {
+  if (typeof score !== 'number' || !Number.isFinite(score)) return '-';
+
+  const rounded = Math.round(score * 100) / 100;
+  if (scale.type === 'percentage') return `${rounded}%`;
+
+  const anchor = nearestAnchor(rounded, scale);
+  if (anchor) return anchor.value === rounded ? anchor.label : `${anchor.label} (${rounded})`;
+
+  return `${rounded} / ${scale.max}`;
+};
@@ -0,0 +1,99 @@
+import { DEFAULT_REMINDER_POLICY, getReminderPolicy, planReminders } from './reminders';
+
+const DUE = '2025-03-10T17:00:00.000Z';
+
+const evaluation = (overrides: Record<string, unknown> = {}) => ({
+  status: 'in-progress',
+  evaluateeId: 'alice',
+  evaluatorId: 'manager',
+  dueDate: DUE,
+  ...overrides
+});
+
+const at = (isoDate: string) => new Date(isoDate);
+
+describe('getReminderPolicy', () => {
+  it('uses the defaults when the business has no policy', () => {
+    expect(getReminderPolicy(undefined)).toEqual(DEFAULT_REMINDER_POLICY);
+    expect(getReminderPolicy({ settings: {} })).toEqual(DEFAULT_REMINDER_POLICY);
+  });
+
+  it('sorts and de-duplicates day lists and drops invalid days', () => {
+    const policy = getReminderPolicy({
+      settings: { reminders: { daysBefore: [3, 1, 3, -2, 'x', 1.5], daysAfter: ['2', 0] } }
+    });
+
+    expect(policy.daysBefore).toEqual([1, 3]);
+    expect(policy.daysAfter).toEqual([2]);
+  });
+
+  it('turns escalation off for non-positive values and can be disabled', () => {
+    expect(getReminderPolicy({ settings: { reminders: { escalateAfterDays: 0 } } }).escalateAfterDays).toBeNull();
+    expect(getReminderPolicy({ settings: { reminders: { escalateAfterDays: 4.7 } } }).escalateAfterDays).toBe(4);
+    expect(getReminderPolicy({ settings: { reminders: { enabled: false } } }).enabled).toBe(false);
+  });
+});
+
+describe('planReminders', () => {
+  it('reminds the evaluatee before the self-assessment is due', () => {
+    expect(planReminders(evaluation(), DEFAULT_REMINDER_POLICY, at('2025-03-03T08:00:00.000Z'))).toEqual([
+      { kind: 'upcoming', phase: 'selfAssessment', offsetDays: 7, responsibleId: 'alice', dueDate: DUE }
+    ]);
+  });
+
+  it('returns only the tightest offset that has been reached', () => {
+    const [reminder] = planReminders(evaluation(), DEFAULT_REMINDER_POLICY, at('2025-03-10T08:00:00.000Z'));
+
+    expect(reminder).toMatchObject({ kind: 'upcoming', offsetDays: 1 });
+  });
+
+  it('plans nothing between offsets', () => {
+    expect(planReminders(evaluation(), DEFAULT_REMINDER_POLICY, at('2025-02-20T08:00:00.000Z'))).toEqual([]);
+  });
+
+  it('counts whole UTC days regardless of the time of the run', () => {
+    const [reminder] = planReminders(evaluation(), DEFAULT_REMINDER_POLICY, at('2025-03-11T23:59:00.000Z'));
+
+    expect(reminder).toMatchObject({ kind: 'overdue', offsetDays: 1 });
+  });
+
+  it('catches up with the latest overdue reminder and escalates once due', () => {
+    expect(planReminders(evaluation(), DEFAULT_REMINDER_POLICY, at('2025-03-16T08:00:00.000Z'))).toEqual([
+      { kind: 'overdue', phase: 'selfAssessment', offsetDays: 3, responsibleId: 'alice', dueDate: DUE },
+      { kind: 'escalation', phase: 'selfAssessment', offsetDays: 5, responsibleId: 'alice', dueDate: DUE }
+    ]);
+  });
+
+  it('waits on the evaluator once the evaluation is under review', () => {
+    const [reminder] = planReminders(
+      evaluation({ status: 'under-review', workflow: { dueDate: '2025-03-01T00:00:00.000Z' } }),
+      DEFAULT_REMINDER_POLICY,
+      at('2025-03-09T08:00:00.000Z')
+    );
+
+    expect(reminder).toMatchObject({ kind: 'upcoming', phase: 'managerReview', responsibleId: 'manager', dueDate: DUE });
+  });
+
+  it('uses the self-assessment deadline of the workflow when there is one', () => {
+    const selfDue = '2025-03-01T00:00:00.000Z';
+    const [reminder] = planReminders(evaluation({ workflow: { dueDate: selfDue } }), DEFAULT_REMINDER_POLICY, at('2025-03-02T08:00:00.000Z'));
+
+    expect(reminder).toMatchObject({ kind: 'overdue', offsetDays: 1, dueDate: selfDue });
+  });
+
+  it('plans nothing for closed evaluations, disabled policies or missing due dates', () => {
+    const now = at('2025-03-16T08:00:00.000Z');
+
+    expect(planReminders(evaluation({ status: 'completed' }), DEFAULT_REMINDER_POLICY, now)).toEqual([]);
+    expect(planReminders(evaluation(), { ...DEFAULT_REMINDER_POLICY, enabled: false }, now)).toEqual([]);
+    expect(planReminders(evaluation({ dueDate: null }), DEFAULT_REMINDER_POLICY, now)).toEqual([]);
+  });
+
+  it('does not escalate when escalation is off', () => {
+    const policy = { ...DEFAULT_REMINDER_POLICY, escalateAfterDays: null };
+
+    expect(planReminders(evaluation(), policy, at('2025-03-30T08:00:00.000Z'))).toEqual([
+      { kind: 'overdue', phase: 'selfAssessment', offsetDays: 7, responsibleId: 'alice', dueDate: DUE }
+    ]);
+  });
+});
@@ -0,0 +1,423 @@
+/**
+ * Cloud Functions for Evaluation Reminders
+ *
+ * An hourly run nudges whoever an open evaluation is waiting on: before the due date,
+ * again once it is overdue, and after enough overdue days it escalates to the
+ * evaluator's manager (employeeInfo.manager). Offsets come from the business's
+ * settings.reminders policy.
+ *
+ * Reminders arrive in-app and by email. Every reminder is recorded in
+ * businesses/{businessId}/reminderLog. Automatic reminders use a deterministic log ID,
+ * so a reminder that was already sent is never sent again however often the schedule runs.
+ */
+
+import { onCall, HttpsError } from 'firebase-functions/v2/https';
+import { onSchedule } from 'firebase-functions/v2/scheduler';
+import { logger } from 'firebase-functions';
+import { FieldValue } from 'firebase-admin/firestore';
+import { db } from './config';
+import { getRequestingUser, isAdminOrHr, businessRef } from './access';
+import { addNotificationToBatch, deliverScheduledNotifications, NotificationInput } from './notifications';
+import { appUrl, queueEmail } from './email';
+
+export interface ReminderPolicy {
+  enabled: boolean;
+  // Days before the due date to remind, e.g. [7, 1]
+  daysBefore: number[];
+  // Days after the due date to remind again, e.g. [1, 3, 7]
+  daysAfter: number[];
+  // Overdue days before the evaluator's manager is told; null turns escalation off
+  escalateAfterDays: number | null;
+}
+
+export const DEFAULT_REMINDER_POLICY: ReminderPolicy = {
+  enabled: true,
+  daysBefore: [7, 1],
+  daysAfter: [1, 3, 7],
+  escalateAfterDays: 5
+};
+
+export type ReminderKind = 'upcoming' | 'overdue' | 'escalation' | 'manual';
+
+type ReminderPhase = 'selfAssessment' | 'managerReview';
+
+export interface PlannedReminder {
+  kind: Exclude<ReminderKind, 'manual'>;
+  phase: ReminderPhase;
+  offsetDays: number;
+  // Who the evaluation is waiting on; escalations go to this person's manager instead
+  responsibleId: string;
+  dueDate: string;
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const OPEN_STATUSES = ['pending', 'in-progress', 'under-review'];
+
+const PHASE_LABELS: Record<ReminderPhase, string> = {
+  selfAssessment: 'self-assessment',
+  managerReview: 'manager review'
+};
+
+const toDayList = (value: unknown, fallback: number[]): number[] => {
+  if (!Array.isArray(value)) return fallback;
+  return [...new Set(value.map(Number).filter(days => Number.isInteger(days) && days > 0))].sort((a, b) => a - b);
+};
+
+/**
+ * Business policy merged over the defaults, with bad values dropped
+ */
+export const getReminderPolicy = (businessData: FirebaseFirestore.DocumentData | undefined): ReminderPolicy => {
+  const stored = businessData?.settings?.reminders || {};
+  const escalateAfterDays = stored.escalateAfterDays === undefined
+    ? DEFAULT_REMINDER_POLICY.escalateAfterDays
+    : Number(stored.escalateAfterDays) > 0 ? Math.floor(Number(stored.escalateAfterDays)) : null;
+
+  return {
+    enabled: stored.enabled !== false,
+    daysBefore: toDayList(stored.daysBefore, DEFAULT_REMINDER_POLICY.daysBefore),
+    daysAfter: toDayList(stored.daysAfter, DEFAULT_REMINDER_POLICY.daysAfter),
+    escalateAfterDays
+  };
+};
+
+const startOfUtcDay = (date: Date) => Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+
+/**
+ * Whose turn it is and which deadline applies: the evaluatee until the self-assessment
+ * is submitted, then the evaluator
+ */
+const getCurrentPhase = (evaluation: FirebaseFirestore.DocumentData) => {
+  if (evaluation.status === 'under-review') {
+    return { phase: 'managerReview' as ReminderPhase, responsibleId: evaluation.evaluatorId, dueDate: evaluation.dueDate };
+  }
+  return {
+    phase: 'selfAssessment' as ReminderPhase,
+    responsibleId: evaluation.evaluateeId,
+    dueDate: evaluation.workflow?.dueDate || evaluation.dueDate
+  };
+};
+
+/**
+ * Reminders an evaluation qualifies for at `now`. Only the tightest offset passed so far
+ * is returned, so a run that was missed catches up with one reminder rather than several.
+ */
+export const planReminders = (
+  evaluation: FirebaseFirestore.DocumentData,
+  policy: ReminderPolicy,
+  now: Date
+): PlannedReminder[] => {
+  if (!policy.enabled || !OPEN_STATUSES.includes(evaluation.status)) return [];
+
+  const { phase, responsibleId, dueDate } = getCurrentPhase(evaluation);
+  const due = new Date(dueDate);
+  if (!dueDate || isNaN(due.getTime())) return [];
+
+  const daysUntilDue = Math.round((startOfUtcDay(due) - startOfUtcDay(now)) / DAY_MS);
+  const planned: PlannedReminder[] = [];
+
+  if (daysUntilDue >= 0) {
+    const reached = policy.daysBefore.filter(days => daysUntilDue <= days);
+    if (reached.length > 0) {
+      planned.push({ kind: 'upcoming', phase, offsetDays: Math.min(...reached), responsibleId, dueDate });
+    }
+    return planned;
+  }
+
+  const daysOverdue = -daysUntilDue;
+  const passed = policy.daysAfter.filter(days => daysOverdue >= days);
+  if (passed.length > 0) {
+    planned.push({ kind: 'overdue', phase, offsetDays: Math.max(...passed), responsibleId, dueDate });
+  }
+
+  if (policy.escalateAfterDays && daysOverdue >= policy.escalateAfterDays) {
+    planned.push({ kind: 'escalation', phase, offsetDays: policy.escalateAfterDays, responsibleId, dueDate });
+  }
+
+  return planned;
+};
+
+const displayName = (user: FirebaseFirestore.DocumentData | undefined) =>
+  `${user?.profile?.firstName || ''} ${user?.profile?.lastName || ''}`.trim() || 'Unknown user';
+
+const formatDay = (isoDate: string) => new Date(isoDate).toISOString().slice(0, 10);
+
+const evaluationLink = (evaluationId: string, phase: ReminderPhase) =>
+  phase === 'selfAssessment' ? `/evaluation-complete/${evaluationId}` : `/evaluation-review/${evaluationId}`;
+
+const buildReminderMessage = (
+  evaluationId: string,
+  evaluation: FirebaseFirestore.DocumentData,
+  reminder: Pick<PlannedReminder, 'phase' | 'dueDate' | 'offsetDays'> & { kind: ReminderKind },
+  users: Map<string, FirebaseFirestore.DocumentData>
+): Omit<NotificationInput, 'userId'> => {
+  const phaseLabel = PHASE_LABELS[reminder.phase];
+  const subject = reminder.phase === 'selfAssessment'
+    ? `Your ${phaseLabel} for "${evaluation.templateName}"`
+    : `Your review of ${displayName(users.get(evaluation.evaluateeId))}'s "${evaluation.templateName}"`;
+  const data = { evaluationId, kind: reminder.kind, phase: reminder.phase };
+
+  switch (reminder.kind) {
+    case 'upcoming':
+      return {
+        type: 'evaluation_reminder',
+        title: 'Evaluation due soon',
+        message: `${subject} is due on ${formatDay(reminder.dueDate)}.`,
+        link: evaluationLink(evaluationId, reminder.phase),
+        data
+      };
+    case 'overdue':
+      return {
+        type: 'evaluation_overdue',
+        title: 'Evaluation overdue',
+        message: `${subject} was due on ${formatDay(reminder.dueDate)} and is now overdue.`,
+        link: evaluationLink(evaluationId, reminder.phase),
+        data
+      };
+    case 'escalation': {
+      const responsible = displayName(users.get(reminder.phase === 'selfAssessment' ? evaluation.evaluateeId : evaluation.evaluatorId));
+      return {
+        type: 'evaluation_escalation',
+        title: 'Overdue evaluation escalated',
+        message: `${responsible}'s ${phaseLabel} for "${evaluation.templateName}" is ${reminder.offsetDays} or more day(s) overdue.`,
+        link: null,
+        data
+      };
+    }
+    default:
+      return {
+        type: 'evaluation_reminder',
+        title: 'Evaluation reminder',
+        message: `${subject} is waiting for you (due ${formatDay(reminder.dueDate)}).`,
+        link: evaluationLink(evaluationId, reminder.phase),
+        data
+      };
+  }
+};
+
+/**
+ * Queues the email copy of a reminder that went out in-app, if the recipient has an address
+ */
+const emailReminder = async (
+  businessId: string,
+  recipientId: string,
+  recipient: FirebaseFirestore.DocumentData | undefined,
+  message: Omit<NotificationInput, 'userId'>,
+  sentBy = 'system'
+): Promise<void> => {
+  if (!recipient?.profile?.email) return;
+
+  await queueEmail(businessId, {
+    to: recipient.profile.email,
+    template: 'evaluation-reminder',
+    data: {
+      recipientName: recipient.profile.firstName || '',
+      title: message.title,
+      message: message.message,
+      actionUrl: message.link ? appUrl(message.link) : ''
+    },
+    userId: recipientId,
+    createdBy: sentBy
+  });
+};
+
+// Firestore reports an existing document on create() with gRPC code 6 (ALREADY_EXISTS)
+const isAlreadyExists = (error: unknown) => (error as { code?: number })?.code === 6;
+
+/**
+ * Sends the automatic reminders that are due for one business
+ */
+export const runBusinessReminders = async (businessId: string, now: Date) => {
+  const businessDoc = await businessRef(businessId).get();
+  const policy = getReminderPolicy(businessDoc.data());
+  const counts = { upcoming: 0, overdue: 0, escalation: 0, alreadySent: 0, noManager: 0, muted: 0 };
+
+  if (!policy.enabled) {
+    return counts;
+  }
+
+  const [evaluationsQuery, usersQuery] = await Promise.all([
+    businessRef(businessId).collection('evaluations')
+      .where('active', '==', true)
+      .where('status', 'in', OPEN_STATUSES)
+      .get(),
+    businessRef(businessId).collection('users').get()
+  ]);
+
+  const users = new Map(usersQuery.docs.map(userDoc => [userDoc.id, userDoc.data()]));
+  const logRef = businessRef(businessId).collection('reminderLog');
+
+  for (const evaluationDoc of evaluationsQuery.docs) {
+    const evaluation = evaluationDoc.data();
+
+    for (const reminder of planReminders(evaluation, policy, now)) {
+      const recipientId: string | null = reminder.kind === 'escalation'
+        ? users.get(evaluation.evaluatorId)?.employeeInfo?.manager || null
+        : reminder.responsibleId;
+
+      const recipient = recipientId ? users.get(recipientId) : undefined;
+      const message = buildReminderMessage(evaluationDoc.id, evaluation, reminder, users);
+
+      const batch = db.batch();
+      const notificationId = recipientId
+        ? addNotificationToBatch(batch, businessId, { userId: recipientId, ...message }, 'system', recipient)
+        : null;
+      const skippedReason = !recipientId ? 'no-manager' : !notificationId ? 'muted' : null;
+
+      // The log entry is created in the same batch, so the batch fails if this reminder went out before
+      batch.create(logRef.doc(`${evaluationDoc.id}_${reminder.phase}_${reminder.kind}_${reminder.offsetDays}`), {
+        evaluationId: evaluationDoc.id,
+        kind: reminder.kind,
+        phase: reminder.phase,
+        offsetDays: reminder.offsetDays,
+        dueDate: reminder.dueDate,
+        recipientId,
+        notificationId,
+        // Logged even when nothing was sent so the check is not repeated every run
+        skippedReason,
+        trigger: 'schedule',
+        sentBy: 'system',
+        sentAt: FieldValue.serverTimestamp()
+      });
+
+      try {
+        await batch.commit();
+
+        if (recipientId && notificationId) {
+          await emailReminder(businessId, recipientId, recipient, message);
+        }
+
+        if (skippedReason === 'no-manager') {
+          counts.noManager++;
+        } else if (skippedReason === 'muted') {
+          counts.muted++;
+        } else {
+          counts[reminder.kind]++;
+        }
+      } catch (error: unknown) {
+        if (!isAlreadyExists(error)) throw error;
+        counts.alreadySent++;
+      }
+    }
+  }
+
+  return counts;
+};
+
+/**
+ * Hourly run: reminders and escalations for every business, plus due scheduled notifications
+ */
+export const sendScheduledReminders = onSchedule({ schedule: 'every 1 hours', timeZone: 'UTC' }, async (event) => {
+  const now = event.scheduleTime ? new Date(event.scheduleTime) : new Date();
+  const businesses = await db.collection('businesses').get();
+
+  for (const business of businesses.docs) {
+    try {
+      const scheduledCount = await deliverScheduledNotifications(business.id, now);
+      const counts = await runBusinessReminders(business.id, now);
+      logger.info('Reminders processed', { businessId: business.id, scheduledNotifications: scheduledCount, ...counts });
+    } catch (error: unknown) {
+      // Keep going so one business cannot block reminders for the rest
+      logger.error('Failed to process reminders:', { businessId: business.id, error });
+    }
+  }
+});
+
+/**
+ * Sends a one-off reminder to whoever the evaluation is waiting on. Admin/HR or the
+ * evaluator may send it, at most once a day per recipient.
+ */
+export const sendEvaluationReminder = onCall({ cors: true }, async (request) => {
+  // Check if user is authenticated
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'User must be authenticated');
+  }
+
+  const { evaluationId, recipientId } = request.data as { evaluationId?: string; recipientId?: string };
+  if (!evaluationId) {
+    throw new HttpsError('invalid-argument', 'Missing evaluation ID');
+  }
+
+  try {
+    const requestingUser = await getRequestingUser(request.auth.uid);
+    const { businessId } = requestingUser;
+
+    const evaluationDoc = await businessRef(businessId).collection('evaluations').doc(evaluationId).get();
+    if (!evaluationDoc.exists) {
+      throw new HttpsError('not-found', 'Evaluation not found');
+    }
+
+    const evaluation = evaluationDoc.data() || {};
+    if (!isAdminOrHr(requestingUser) && evaluation.evaluatorId !== requestingUser.id) {
+      throw new HttpsError('permission-denied', 'Only the evaluator, admin or HR can send reminders for this evaluation');
+    }
+
+    if (!OPEN_STATUSES.includes(evaluation.status)) {
+      throw new HttpsError('failed-precondition', 'Only open evaluations can be reminded');
+    }
+
+    const { phase, responsibleId, dueDate } = getCurrentPhase(evaluation);
+    const targetId = recipientId || responsibleId;
+    if (targetId !== responsibleId) {
+      throw new HttpsError(
+        'failed-precondition',
+        `This evaluation is waiting on the ${phase === 'selfAssessment' ? 'evaluatee' : 'evaluator'}, not the chosen recipient`
+      );
+    }
+
+    if (targetId === requestingUser.id) {
+      throw new HttpsError('invalid-argument', 'You cannot send a reminder to yourself');
+    }
+
+    const usersQuery = await businessRef(businessId).collection('users').get();
+    const users = new Map(usersQuery.docs.map(userDoc => [userDoc.id, userDoc.data()]));
+
+    const message = buildReminderMessage(evaluationId, evaluation, { kind: 'manual', phase, dueDate, offsetDays: 0 }, users);
+    const batch = db.batch();
+    const notificationId = addNotificationToBatch(batch, businessId, { userId: targetId, ...message }, requestingUser.id);
+
+    const today = new Date().toISOString().slice(0, 10);
+    batch.create(businessRef(businessId).collection('reminderLog').doc(`${evaluationId}_manual_${targetId}_${today}`), {
+      evaluationId,
+      kind: 'manual',
+      phase,
+      offsetDays: null,
+      dueDate,
+      recipientId: targetId,
+      notificationId,
+      skippedReason: null,
+      trigger: 'manual',
+      sentBy: requestingUser.id,
+      sentAt: FieldValue.serverTimestamp()
+    });
+
+    try {
+      await batch.commit();
+    } catch (error: unknown) {
+      if (isAlreadyExists(error)) {
+        throw new HttpsError('already-exists', 'A reminder was already sent to this person today');
+      }
+      throw error;
+    }
+
+    if (notificationId) {
+      await emailReminder(businessId, targetId, users.get(targetId), message, requestingUser.id);
+    }
+
+    logger.info('Manual evaluation reminder sent', { businessId, evaluationId, recipientId: targetId });
+
+    return {
+      success: true,
+      message: `Reminder sent to ${displayName(users.get(targetId))}`,
+      notificationId
+    };
+  } catch (error: unknown) {
+    logger.error('Failed to send evaluation reminder:', error);
+
+    if (error instanceof HttpsError) {
+      throw error;
+    }
+
+    throw new HttpsError('internal', 'Failed to send evaluation reminder');
+  }
+});
@@ -0,0 +1,117 @@
+import { buildReportData } from './reports';
+import { formatScaleScore, RATING_SCALE_PRESETS } from './ratingScales';
+
+const scale = RATING_SCALE_PRESETS['1-5'];
+const rating = (value: number) => formatScaleScore(value, scale);
+
+const evaluation = {
+  templateName: 'Annual Review',
+  cycleName: '2024 Review',
+  scoringSystem: '1-5',
+  assignedDate: '2024-01-15T00:00:00.000Z',
+  dueDate: '2024-02-01T00:00:00.000Z',
+  completedAt: '2024-02-10T00:00:00.000Z',
+  evaluateeContext: { role: 'employee', department: 'eng', tenureMonths: 20 },
+  categories: [
+    {
+      id: 'delivery',
+      name: 'Delivery',
+      questions: [
+        { id: 'quality', text: 'Quality of work' },
+        { id: 'highlight', text: 'Highlight of the year', type: 'text' }
+      ]
+    },
+    {
+      id: 'leadership',
+      name: 'Leadership',
+      displayRules: { match: 'all', conditions: [{ field: 'role', operator: 'in', values: ['manager'] }] },
+      questions: [{ id: 'coaching', text: 'Coaches the team' }]
+    }
+  ],
+  freeTextQuestions: [{ text: 'Proudest moment?' }, {}],
+  responses: {
+    selfAssessment: {
+      submittedAt: '2024-01-30T00:00:00.000Z',
+      categoryResponses: { delivery: { quality: { selfRating: 3, comment: 'Solid year' }, highlight: { selfAnswer: 'Billing rewrite' } } },
+      freeTextQuestions: { 0: 'Shipping the billing rewrite' }
+    }
+  },
+  managerReview: {
+    categoryResponses: {
+      delivery: { quality: { managerRating: 4, managerComment: 'Agreed' } },
+      leadership: { coaching: { managerRating: 5 } }
+    },
+    targets: {
+      delivery: { quality: { target: 5, targetComment: 'Own a release' }, highlight: {} },
+      leadership: { coaching: { target: 5 } }
+    },
+    overallComments: 'Great year'
+  }
+};
+
+const context = {
+  businessName: 'Acme',
+  evaluation,
+  evaluatee: { profile: { firstName: 'Ana', lastName: 'Silva' }, employeeInfo: { position: 'Engineer' } },
+  evaluator: { profile: { firstName: 'Ben' } },
+  departmentName: 'Engineering',
+  generatedAt: new Date('2024-03-01T12:00:00.000Z')
+};
+
+describe('buildReportData', () => {
+  const report = buildReportData(context);
+
+  it('lists the review details with readable dates', () => {
+    expect(report.details).toEqual([
+      ['Employee', 'Ana Silva'],
+      ['Review cycle', '2024 Review'],
+      ['Position', 'Engineer'],
+      ['Evaluator', 'Ben'],
+      ['Department', 'Engineering'],
+      ['Assigned', 'Jan 15, 2024'],
+      ['Self-assessment', 'Jan 30, 2024'],
+      ['Due', 'Feb 1, 2024'],
+      ['Review completed', 'Feb 10, 2024'],
+      ['Rating scale', scale.name]
+    ]);
+    expect(report.footer).toBe('Ana Silva - 2024 Review - generated Mar 1, 2024');
+  });
+
+  it('computes scores when none were stored', () => {
+    expect(report.overallScores).toEqual([`${rating(4)} (75%)`, rating(3), rating(4), '1']);
+  });
+
+  it('shows ratings, answers and comments for visible questions only', () => {
+    expect(report.categories).toEqual([{
+      heading: `Delivery - ${rating(4)}`,
+      rows: [
+        ['Quality of work', rating(3), rating(4), 'Employee: Solid year\n\nManager: Agreed'],
+        ['Highlight of the year', 'Billing rewrite', '-', '-']
+      ]
+    }]);
+    expect(report.targets).toEqual([['Delivery: Quality of work', rating(5), 'Own a release']]);
+  });
+
+  it('numbers untitled reflection questions and keeps missing answers empty', () => {
+    expect(report.selfReflection).toEqual([
+      { question: 'Proudest moment?', answer: 'Shipping the billing rewrite' },
+      { question: 'Question 2', answer: '' }
+    ]);
+    expect(report.overallComments).toBe('Great year');
+  });
+
+  it('falls back to placeholders for missing people and dates', () => {
+    const sparse = buildReportData({ ...context, evaluatee: undefined, evaluator: undefined, departmentName: '', evaluation: { categories: [] } });
+
+    expect(sparse.details.slice(0, 6)).toEqual([
+      ['Employee', 'Unknown'],
+      ['Review cycle', '-'],
+      ['Position', '-'],
+      ['Evaluator', 'Unknown'],
+      ['Department', '-'],
+      ['Assigned', '-']
+    ]);
+    expect(sparse.overallScores[0]).toBe('-');
+    expect(sparse.footer).toBe('Unknown - Evaluation - generated Mar 1, 2024');
+  });
+});
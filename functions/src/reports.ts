@@ -0,0 +1,659 @@
+/**
+ * Cloud Functions for Evaluation Reports
+ *
+ * Renders a completed evaluation as a printable, sign-off ready PDF with pdf-lib, which
+ * runs in-process without a browser. Reports are cached in Storage next to the exports
+ * and regenerated only when the evaluation's completion time changes.
+ */
+
+import { onCall, HttpsError } from 'firebase-functions/v2/https';
+import { logger } from 'firebase-functions';
+import { Timestamp } from 'firebase-admin/firestore';
+import { readFileSync } from 'fs';
+import { PDFDocument, PDFFont, PDFPage, PageSizes, rgb } from 'pdf-lib';
+import * as fontkit from '@pdf-lib/fontkit';
+import { businessRef, canViewEmployee, getRequestingUser } from './access';
+import { computeEvaluationScores } from './scoring';
+import { formatScaleScore, normalizeScore, resolveRatingScale } from './ratingScales';
+import { formatAnswer, isRatedQuestion, TemplateQuestion } from './questionTypes';
+import { getVisibleCategories } from './displayRules';
+import { getDownloadUrl, reportFile } from './storage';
+
+const DOWNLOAD_URL_TTL_MS = 60 * 60 * 1000;
+
+const MARGIN = 50;
+const [PAGE_WIDTH, PAGE_HEIGHT] = PageSizes.A4;
+const CONTENT_WIDTH = PAGE_WIDTH - MARGIN * 2;
+const FOOTER_HEIGHT = 30;
+
+const COLORS = {
+  text: rgb(0.13, 0.13, 0.13),
+  muted: rgb(0.42, 0.45, 0.5),
+  border: rgb(0.82, 0.84, 0.86),
+  shade: rgb(0.95, 0.96, 0.97),
+  accent: rgb(0.15, 0.39, 0.92)
+};
+
+interface TableColumn {
+  header: string;
+  width: number;
+  align?: 'left' | 'center';
+}
+
+const toDate = (value: unknown): Date | null => {
+  if (!value) return null;
+  if (value instanceof Timestamp) return value.toDate();
+  const date = new Date(value as string);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+const formatDate = (value: unknown): string => {
+  const date = toDate(value);
+  return date
+    ? date.toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric', timeZone: 'UTC' })
+    : '-';
+};
+
+const formatScore = (value: unknown): string =>
+  typeof value === 'number' && Number.isFinite(value) ? String(Math.round(value * 100) / 100) : '-';
+
+const fullName = (user: FirebaseFirestore.DocumentData | undefined) =>
+  `${user?.profile?.firstName || ''} ${user?.profile?.lastName || ''}`.trim() || 'Unknown';
+
+/**
+ * Normalizes line breaks and tabs and drops other control characters. Characters none of
+ * the embedded fonts cover are replaced when drawn (see toRuns).
+ */
+const sanitize = (text: unknown): string => String(text ?? '')
+  .replace(/\t/g, '    ')
+  .replace(/\r\n?/g, '\n')
+  .replace(/[\x00-\x09\x0B-\x1F\x7F]/g, '');
+
+// DejaVu Sans covers Latin, Greek, Cyrillic, Arabic and Hebrew; Noto Sans SC adds the
+// Chinese and Japanese characters DejaVu lacks. Both are read from their npm packages.
+const FONT_FILES = {
+  regular: ['dejavu-fonts-ttf/ttf/DejaVuSans.ttf', '@expo-google-fonts/noto-sans-sc/400Regular/NotoSansSC_400Regular.ttf'],
+  bold: ['dejavu-fonts-ttf/ttf/DejaVuSans-Bold.ttf', '@expo-google-fonts/noto-sans-sc/700Bold/NotoSansSC_700Bold.ttf']
+};
+
+interface FontFile {
+  bytes: Buffer;
+  face: fontkit.Font;
+}
+
+// The CJK files are about 10 MB each, so they are read once per instance
+const fontFiles = new Map<string, FontFile>();
+
+const loadFontFile = (modulePath: string): FontFile => {
+  let file = fontFiles.get(modulePath);
+  if (!file) {
+    const bytes = readFileSync(require.resolve(modulePath));
+    file = { bytes, face: fontkit.create(bytes) };
+    fontFiles.set(modulePath, file);
+  }
+  return file;
+};
+
+// Fonts in order of preference; each character is drawn with the first one that has it
+type FontChain = Array<{ font: PDFFont; face: fontkit.Font }>;
+
+const embedFontChain = (pdf: PDFDocument, modulePaths: string[]): Promise<FontChain> =>
+  Promise.all(modulePaths.map(async modulePath => {
+    const { bytes, face } = loadFontFile(modulePath);
+    // Subsetting keeps only the glyphs the report uses
+    return { font: await pdf.embedFont(bytes, { subset: true }), face };
+  }));
+
+const toRuns = (text: string, chain: FontChain): Array<{ text: string; font: PDFFont }> => {
+  const runs: Array<{ text: string; font: PDFFont }> = [];
+  for (const char of text) {
+    const match = chain.find(({ face }) => face.hasGlyphForCodePoint(char.codePointAt(0) as number));
+    const font = (match || chain[0]).font;
+    const last = runs[runs.length - 1];
+    if (last && last.font === font) {
+      last.text += match ? char : '?';
+    } else {
+      runs.push({ text: match ? char : '?', font });
+    }
+  }
+  return runs;
+};
+
+const widthOf = (text: string, chain: FontChain, size: number) =>
+  toRuns(text, chain).reduce((width, run) => width + run.font.widthOfTextAtSize(run.text, size), 0);
+
+const drawString = (
+  page: PDFPage,
+  text: string,
+  options: { x: number; y: number; size: number; chain: FontChain; color: ReturnType<typeof rgb> }
+) => {
+  let { x } = options;
+  toRuns(text, options.chain).forEach(run => {
+    page.drawText(run.text, { x, y: options.y, size: options.size, font: run.font, color: options.color });
+    x += run.font.widthOfTextAtSize(run.text, options.size);
+  });
+};
+
+/**
+ * Small top-to-bottom layout helper over pdf-lib, which only draws at absolute positions
+ */
+const createLayout = (pdf: PDFDocument, fonts: { regular: FontChain; bold: FontChain }) => {
+  let page: PDFPage = pdf.addPage(PageSizes.A4);
+  let y = PAGE_HEIGHT - MARGIN;
+
+  const wrap = (text: unknown, chain: FontChain, size: number, width: number): string[] => {
+    const lines: string[] = [];
+
+    sanitize(text).split('\n').forEach(paragraph => {
+      let line = '';
+      paragraph.split(' ').forEach(word => {
+        const candidate = line ? `${line} ${word}` : word;
+        if (widthOf(candidate, chain, size) <= width) {
+          line = candidate;
+          return;
+        }
+
+        if (line) lines.push(line);
+        // Break words that are wider than the column on their own, such as CJK text
+        // without spaces. Splits by code point so surrogate pairs stay whole.
+        line = word;
+        while (widthOf(line, chain, size) > width && Array.from(line).length > 1) {
+          const chars = Array.from(line);
+          let cut = chars.length - 1;
+          while (cut > 1 && widthOf(chars.slice(0, cut).join(''), chain, size) > width) cut--;
+          lines.push(chars.slice(0, cut).join(''));
+          line = chars.slice(cut).join('');
+        }
+      });
+      lines.push(line);
+    });
+
+    return lines;
+  };
+
+  const newPage = () => {
+    page = pdf.addPage(PageSizes.A4);
+    y = PAGE_HEIGHT - MARGIN;
+  };
+
+  const ensureSpace = (height: number) => {
+    if (y - height < MARGIN + FOOTER_HEIGHT) newPage();
+  };
+
+  const text = (value: unknown, options: { size?: number; bold?: boolean; color?: ReturnType<typeof rgb>; indent?: number; gap?: number } = {}) => {
+    const { size = 10, bold = false, color = COLORS.text, indent = 0, gap = 4 } = options;
+    const chain = bold ? fonts.bold : fonts.regular;
+    const lineHeight = size * 1.35;
+
+    wrap(value, chain, size, CONTENT_WIDTH - indent).forEach(line => {
+      ensureSpace(lineHeight);
+      drawString(page, line, { x: MARGIN + indent, y: y - size, size, chain, color });
+      y -= lineHeight;
+    });
+    y -= gap;
+  };
+
+  const heading = (value: string) => {
+    // Keep a heading on the same page as at least a few lines of what follows it
+    ensureSpace(70);
+    y -= 8;
+    text(value, { size: 13, bold: true, color: COLORS.accent, gap: 2 });
+    page.drawLine({
+      start: { x: MARGIN, y },
+      end: { x: PAGE_WIDTH - MARGIN, y },
+      thickness: 0.75,
+      color: COLORS.border
+    });
+    y -= 8;
+  };
+
+  /**
+   * Label/value pairs laid out in two columns
+   */
+  const details = (pairs: Array<[string, string]>) => {
+    const columnWidth = CONTENT_WIDTH / 2;
+    const size = 10;
+
+    for (let i = 0; i < pairs.length; i += 2) {
+      const row = pairs.slice(i, i + 2).map(([, value]) => wrap(value, fonts.regular, size, columnWidth - 100));
+      const height = Math.max(...row.map(lines => lines.length)) * size * 1.35 + 4;
+      ensureSpace(height);
+
+      pairs.slice(i, i + 2).forEach(([label], column) => {
+        const x = MARGIN + column * columnWidth;
+        drawString(page, sanitize(label), { x, y: y - size, size, chain: fonts.bold, color: COLORS.muted });
+        row[column].forEach((line, index) => {
+          drawString(page, line, { x: x + 95, y: y - size - index * size * 1.35, size, chain: fonts.regular, color: COLORS.text });
+        });
+      });
+      y -= height;
+    }
+    y -= 6;
+  };
+
+  /**
+   * A bordered table whose rows grow to fit wrapped text. The header repeats on new pages.
+   */
+  const table = (columns: TableColumn[], rows: string[][]) => {
+    const size = 9;
+    const lineHeight = size * 1.35;
+    const padding = 4;
+    const totalWidth = columns.reduce((sum, column) => sum + column.width, 0);
+    const widths = columns.map(column => (column.width / totalWidth) * CONTENT_WIDTH);
+
+    const drawRow = (cells: string[], bold: boolean, shaded: boolean) => {
+      const chain = bold ? fonts.bold : fonts.regular;
+      const wrapped = cells.map((cell, index) => wrap(cell, chain, size, widths[index] - padding * 2));
+      const height = Math.max(...wrapped.map(lines => lines.length)) * lineHeight + padding * 2;
+
+      let x = MARGIN;
+      wrapped.forEach((lines, index) => {
+        page.drawRectangle({
+          x,
+          y: y - height,
+          width: widths[index],
+          height,
+          borderColor: COLORS.border,
+          borderWidth: 0.5,
+          ...(shaded ? { color: COLORS.shade } : {})
+        });
+        lines.forEach((line, lineIndex) => {
+          const offset = columns[index].align === 'center'
+            ? (widths[index] - widthOf(line, chain, size)) / 2
+            : padding;
+          drawString(page, line, {
+            x: x + offset,
+            y: y - padding - size - lineIndex * lineHeight + 2,
+            size,
+            chain,
+            color: COLORS.text
+          });
+        });
+        x += widths[index];
+      });
+      y -= height;
+      return height;
+    };
+
+    const measure = (cells: string[], bold: boolean) => {
+      const chain = bold ? fonts.bold : fonts.regular;
+      return Math.max(...cells.map((cell, index) => wrap(cell, chain, size, widths[index] - padding * 2).length)) *
+        lineHeight + padding * 2;
+    };
+
+    const headers = columns.map(column => column.header);
+    ensureSpace(measure(headers, true) + (rows[0] ? measure(rows[0], false) : 0));
+    drawRow(headers, true, true);
+
+    rows.forEach(row => {
+      const height = measure(row, false);
+      if (y - height < MARGIN + FOOTER_HEIGHT) {
+        newPage();
+        drawRow(headers, true, true);
+      }
+      drawRow(row, false, false);
+    });
+    y -= 10;
+  };
+
+  const signatures = (signers: Array<{ role: string; name: string }>) => {
+    const columnWidth = CONTENT_WIDTH / signers.length;
+    ensureSpace(110);
+    y -= 40;
+
+    signers.forEach((signer, index) => {
+      const x = MARGIN + index * columnWidth;
+      const lineEnd = x + columnWidth - 20;
+      page.drawLine({ start: { x, y }, end: { x: lineEnd, y }, thickness: 0.75, color: COLORS.text });
+      drawString(page, sanitize(`${signer.role}: ${signer.name}`), { x, y: y - 12, size: 9, chain: fonts.bold, color: COLORS.text });
+      page.drawLine({ start: { x, y: y - 45 }, end: { x: lineEnd, y: y - 45 }, thickness: 0.75, color: COLORS.text });
+      drawString(page, 'Date', { x, y: y - 57, size: 9, chain: fonts.regular, color: COLORS.muted });
+    });
+    y -= 70;
+  };
+
+  // Page numbers can only be written once the page count is known
+  const finish = (footer: string) => {
+    const pages = pdf.getPages();
+    pages.forEach((pdfPage, index) => {
+      const label = `Page ${index + 1} of ${pages.length}`;
+      drawString(pdfPage, sanitize(footer), { x: MARGIN, y: MARGIN - 20, size: 8, chain: fonts.regular, color: COLORS.muted });
+      drawString(pdfPage, label, {
+        x: PAGE_WIDTH - MARGIN - widthOf(label, fonts.regular, 8),
+        y: MARGIN - 20,
+        size: 8,
+        chain: fonts.regular,
+        color: COLORS.muted
+      });
+    });
+  };
+
+  return { text, heading, details, table, signatures, finish };
+};
+
+interface ReportContext {
+  businessName: string;
+  evaluation: FirebaseFirestore.DocumentData;
+  evaluatee: FirebaseFirestore.DocumentData | undefined;
+  evaluator: FirebaseFirestore.DocumentData | undefined;
+  departmentName: string;
+  generatedAt: Date;
+}
+
+export interface ReportData {
+  evaluateeName: string;
+  evaluatorName: string;
+  details: Array<[string, string]>;
+  overallScores: string[];
+  categories: Array<{ heading: string; rows: string[][] }>;
+  selfReflection: Array<{ question: string; answer: string }>;
+  targets: string[][];
+  overallComments: string;
+  footer: string;
+}
+
+/**
+ * Collects everything the report shows as display strings, in the order it is drawn
+ */
+export const buildReportData = ({
+  evaluation,
+  evaluatee,
+  evaluator,
+  departmentName,
+  generatedAt
+}: ReportContext): ReportData => {
+  const evaluateeName = fullName(evaluatee);
+  const evaluatorName = fullName(evaluator);
+  const scale = resolveRatingScale(evaluation);
+  const rating = (value: unknown) => formatScaleScore(typeof value === 'number' ? value : null, scale);
+  const scores = evaluation.scores?.finalScore !== undefined ? evaluation.scores : computeEvaluationScores(evaluation);
+  const selfResponses = evaluation.responses?.selfAssessment?.categoryResponses || {};
+  const managerResponses = evaluation.managerReview?.categoryResponses || {};
+  const targets = evaluation.managerReview?.targets || {};
+
+  // Ratings per category; questions hidden from this evaluatee are left out
+  const visibleCategories = getVisibleCategories(evaluation);
+  const categories = visibleCategories.map((category: FirebaseFirestore.DocumentData) => {
+    const categoryScore = scores.categories?.[category.id];
+
+    const rows = (category.questions || []).map((question: FirebaseFirestore.DocumentData) => {
+      const self = selfResponses[category.id]?.[question.id] || {};
+      const manager = managerResponses[category.id]?.[question.id] || {};
+      const comments = [
+        self.comment ? `Employee: ${self.comment}` : '',
+        manager.managerComment ? `Manager: ${manager.managerComment}` : ''
+      ].filter(Boolean).join('\n\n');
+
+      if (!isRatedQuestion(question as TemplateQuestion)) {
+        const answer = (value: unknown) => formatAnswer(question as TemplateQuestion, value) || '-';
+        return [question.text || '', answer(self.selfAnswer), answer(manager.managerAnswer), comments || '-'];
+      }
+      return [question.text || '', rating(self.selfRating), rating(manager.managerRating), comments || '-'];
+    });
+
+    return {
+      heading: `${category.name || 'Category'}${categoryScore ? ` - ${rating(categoryScore.managerScore)}` : ''}`,
+      rows
+    };
+  });
+
+  // Free-text answers are stored by question index
+  const freeTextQuestions: FirebaseFirestore.DocumentData[] = evaluation.freeTextQuestions || [];
+  const freeTextAnswers = evaluation.responses?.selfAssessment?.freeTextQuestions || {};
+  const selfReflection = freeTextQuestions.map((question, index) => ({
+    question: question.text || `Question ${index + 1}`,
+    answer: freeTextAnswers[index] || ''
+  }));
+
+  // Targets for the next period
+  const targetRows: string[][] = [];
+  visibleCategories.forEach((category: FirebaseFirestore.DocumentData) => {
+    (category.questions || []).forEach((question: FirebaseFirestore.DocumentData) => {
+      const target = targets[category.id]?.[question.id];
+      if (target && (target.target !== undefined || target.targetComment)) {
+        targetRows.push([`${category.name || ''}: ${question.text || ''}`, rating(target.target), target.targetComment || '-']);
+      }
+    });
+  });
+
+  return {
+    evaluateeName,
+    evaluatorName,
+    details: [
+      ['Employee', evaluateeName],
+      ['Review cycle', evaluation.cycleName || '-'],
+      ['Position', evaluatee?.employeeInfo?.position || '-'],
+      ['Evaluator', evaluatorName],
+      ['Department', departmentName || '-'],
+      ['Assigned', formatDate(evaluation.assignedDate)],
+      ['Self-assessment', formatDate(evaluation.responses?.selfAssessment?.submittedAt || evaluation.submittedAt)],
+      ['Due', formatDate(evaluation.dueDate)],
+      ['Review completed', formatDate(evaluation.managerReview?.reviewedAt || evaluation.completedAt)],
+      ['Rating scale', scale.name]
+    ],
+    overallScores: [
+      scores.finalScore === null
+        ? '-'
+        : `${rating(scores.finalScore)} (${formatScore(normalizeScore(scores.finalScore, scale))}%)`,
+      rating(scores.selfScore),
+      rating(scores.managerScore),
+      formatScore(scores.gap)
+    ],
+    categories,
+    selfReflection,
+    targets: targetRows,
+    overallComments: evaluation.managerReview?.overallComments || '',
+    footer: `${evaluateeName} - ${evaluation.cycleName || evaluation.templateName || 'Evaluation'} - generated ${formatDate(generatedAt)}`
+  };
+};
+
+/**
+ * Lays out the report and returns the PDF bytes
+ */
+export const renderEvaluationReport = async (context: ReportContext): Promise<Uint8Array> => {
+  const { businessName, evaluation, generatedAt } = context;
+  const report = buildReportData(context);
+
+  const pdf = await PDFDocument.create();
+  pdf.registerFontkit(fontkit);
+  const fonts = {
+    regular: await embedFontChain(pdf, FONT_FILES.regular),
+    bold: await embedFontChain(pdf, FONT_FILES.bold)
+  };
+
+  pdf.setTitle(sanitize(`Performance Evaluation - ${report.evaluateeName}`));
+  pdf.setAuthor(sanitize(businessName));
+  pdf.setCreationDate(generatedAt);
+
+  const layout = createLayout(pdf, fonts);
+
+  // Header
+  layout.text(businessName, { size: 10, color: COLORS.muted, gap: 2 });
+  layout.text('Performance Evaluation Report', { size: 20, bold: true, gap: 2 });
+  layout.text(evaluation.templateName || '', { size: 11, color: COLORS.muted, gap: 12 });
+
+  layout.details(report.details);
+
+  // Overall score
+  layout.heading('Overall Score');
+  layout.table(
+    [
+      { header: 'Final score', width: 1, align: 'center' },
+      { header: 'Self-assessment', width: 1, align: 'center' },
+      { header: 'Manager rating', width: 1, align: 'center' },
+      { header: 'Gap (manager - self)', width: 1, align: 'center' }
+    ],
+    [report.overallScores]
+  );
+
+  report.categories.forEach(category => {
+    layout.heading(category.heading);
+
+    if (category.rows.length > 0) {
+      layout.table(
+        [
+          { header: 'Question', width: 3 },
+          { header: 'Self', width: 0.7, align: 'center' },
+          { header: 'Manager', width: 0.9, align: 'center' },
+          { header: 'Comments', width: 4 }
+        ],
+        category.rows
+      );
+    }
+  });
+
+  if (report.selfReflection.length > 0) {
+    layout.heading('Self-Reflection');
+    report.selfReflection.forEach(({ question, answer }) => {
+      layout.text(question, { bold: true, gap: 2 });
+      layout.text(answer || 'No response', { color: answer ? COLORS.text : COLORS.muted, gap: 10 });
+    });
+  }
+
+  if (report.targets.length > 0) {
+    layout.heading('Targets for Next Period');
+    layout.table(
+      [
+        { header: 'Area', width: 3 },
+        { header: 'Target', width: 0.8, align: 'center' },
+        { header: 'Plan', width: 4 }
+      ],
+      report.targets
+    );
+  }
+
+  if (report.overallComments) {
+    layout.heading('Manager\'s Overall Comments');
+    layout.text(report.overallComments, { gap: 8 });
+  }
+
+  layout.heading('Sign-off');
+  layout.text('By signing, both parties confirm that this review has been discussed. The employee\'s signature does not necessarily indicate agreement.', {
+    size: 9,
+    color: COLORS.muted
+  });
+  layout.signatures([
+    { role: 'Employee', name: report.evaluateeName },
+    { role: 'Manager', name: report.evaluatorName }
+  ]);
+
+  layout.finish(report.footer);
+
+  return pdf.save();
+};
+
+const handleReportError = (error: unknown, message: string): never => {
+  logger.error(`${message}:`, error);
+
+  if (error instanceof HttpsError) {
+    throw error;
+  }
+
+  throw new HttpsError('internal', message);
+};
+
+/**
+ * Generate (or reuse) the PDF report for a completed evaluation and return a download link
+ */
+export const generateEvaluationReport = onCall({ cors: true, timeoutSeconds: 120, memory: '512MiB' }, async (request) => {
+  // Check if user is authenticated
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'User must be authenticated');
+  }
+
+  const { evaluationId, format = 'pdf' } = request.data as { evaluationId: string; format?: string };
+
+  // Validate input data
+  if (!evaluationId) {
+    throw new HttpsError('invalid-argument', 'Evaluation ID is required');
+  }
+  if (format !== 'pdf') {
+    throw new HttpsError('invalid-argument', `Unsupported report format: ${format}`);
+  }
+
+  try {
+    const requestingUser = await getRequestingUser(request.auth.uid);
+    const { businessId } = requestingUser;
+
+    const evaluationDoc = await businessRef(businessId).collection('evaluations').doc(evaluationId).get();
+    if (!evaluationDoc.exists) {
+      throw new HttpsError('not-found', 'Evaluation not found');
+    }
+    const evaluation = evaluationDoc.data()!;
+
+    const allowed = evaluation.evaluatorId === requestingUser.id ||
+      await canViewEmployee(requestingUser, evaluation.evaluateeId);
+    if (!allowed) {
+      throw new HttpsError('permission-denied', 'You do not have access to this evaluation');
+    }
+
+    if (evaluation.status !== 'completed') {
+      throw new HttpsError('failed-precondition', 'Reports are only available for completed evaluations');
+    }
+
+    const completedAt = toDate(evaluation.managerReview?.reviewedAt || evaluation.completedAt)?.toISOString() || '';
+    const file = reportFile(businessId, `evaluation-${evaluationId}.pdf`);
+
+    // A cached report is reused as long as it was rendered from the same completed review
+    const [exists] = await file.exists();
+    const metadata = exists ? (await file.getMetadata())[0].metadata || {} : {};
+    const cached = exists && metadata.evaluationCompletedAt === completedAt;
+
+    const generatedAt = cached && metadata.generatedAt ? new Date(String(metadata.generatedAt)) : new Date();
+    if (!cached) {
+      const usersRef = businessRef(businessId).collection('users');
+      const [businessDoc, evaluateeDoc, evaluatorDoc] = await Promise.all([
+        businessRef(businessId).get(),
+        usersRef.doc(evaluation.evaluateeId).get(),
+        evaluation.evaluatorId ? usersRef.doc(evaluation.evaluatorId).get() : Promise.resolve(null)
+      ]);
+
+      const departmentId = evaluateeDoc.data()?.employeeInfo?.department;
+      const departmentDoc = departmentId
+        ? await businessRef(businessId).collection('departments').doc(departmentId).get()
+        : null;
+
+      const pdfBytes = await renderEvaluationReport({
+        businessName: businessDoc.data()?.name || '',
+        evaluation,
+        evaluatee: evaluateeDoc.data(),
+        evaluator: evaluatorDoc?.data(),
+        departmentName: departmentDoc?.data()?.name || '',
+        generatedAt
+      });
+
+      await file.save(Buffer.from(pdfBytes), {
+        resumable: false,
+        contentType: 'application/pdf',
+        metadata: {
+          metadata: {
+            evaluationId,
+            evaluationCompletedAt: completedAt,
+            generatedAt: generatedAt.toISOString(),
+            generatedBy: requestingUser.id
+          }
+        }
+      });
+
+      logger.info('Evaluation report generated', { businessId, evaluationId, bytes: pdfBytes.length });
+    }
+
+    const slug = sanitize(evaluation.cycleName || evaluation.templateName || 'evaluation')
+      .replace(/[^A-Za-z0-9]+/g, '-').replace(/^-|-$/g, '').toLowerCase();
+    const fileName = `evaluation-report-${slug}-${evaluationId}.pdf`;
+    const expiresAt = new Date(Date.now() + DOWNLOAD_URL_TTL_MS);
+    const downloadUrl = await getDownloadUrl(file, fileName, expiresAt);
+
+    return {
+      success: true,
+      message: 'Report ready',
+      fileName,
+      downloadUrl,
+      expiresAt: expiresAt.toISOString(),
+      generatedAt: generatedAt.toISOString()
+    };
+
+  } catch (error: unknown) {
+    return handleReportError(error, 'Failed to generate evaluation report');
+  }
+});
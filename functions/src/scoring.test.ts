@@ -0,0 +1,117 @@
+import { computeEvaluationScores } from './scoring';
+
+const categories = [
+  {
+    id: 'delivery',
+    name: 'Delivery',
+    weight: 2,
+    questions: [{ id: 'q1', weight: 3 }, { id: 'q2', weight: 1 }]
+  },
+  {
+    id: 'teamwork',
+    name: 'Teamwork',
+    weight: 1,
+    questions: [{ id: 'q3' }]
+  }
+];
+
+const evaluation = (
+  self: Record<string, Record<string, unknown>>,
+  manager: Record<string, Record<string, unknown>>,
+  extra: Record<string, unknown> = {}
+) => ({
+  categories,
+  responses: { selfAssessment: { categoryResponses: self } },
+  managerReview: { categoryResponses: manager },
+  ...extra
+});
+
+describe('computeEvaluationScores', () => {
+  it('weights questions within a category and categories within the evaluation', () => {
+    const scores = computeEvaluationScores(evaluation(
+      { delivery: { q1: { selfRating: 4 }, q2: { selfRating: 2 } }, teamwork: { q3: { selfRating: 5 } } },
+      { delivery: { q1: { managerRating: 5 }, q2: { managerRating: 1 } }, teamwork: { q3: { managerRating: 3 } } }
+    ));
+
+    // delivery: self (4·3 + 2·1) / 4 = 3.5, manager (5·3 + 1·1) / 4 = 4
+    expect(scores.categories.delivery).toEqual({ name: 'Delivery', weight: 2, selfScore: 3.5, managerScore: 4, gap: 0.5 });
+    expect(scores.categories.teamwork).toEqual({ name: 'Teamwork', weight: 1, selfScore: 5, managerScore: 3, gap: -2 });
+    // self (3.5·2 + 5) / 3 = 4, manager (4·2 + 3) / 3 = 3.67
+    expect(scores.selfScore).toBe(4);
+    expect(scores.managerScore).toBe(3.67);
+    expect(scores.finalScore).toBe(3.67);
+    expect(scores.gap).toBe(-0.33);
+    expect(scores.normalizedScore).toBe(66.75);
+    expect(scores).toMatchObject({ minScore: 1, maxScore: 5, scaleId: '1-5' });
+  });
+
+  it('leaves unanswered questions and skipped categories out instead of counting them as zero', () => {
+    const scores = computeEvaluationScores(evaluation(
+      {},
+      { delivery: { q1: { managerRating: 4 }, q2: { managerRating: 0 } } }
+    ));
+
+    expect(scores.managerScore).toBe(4);
+    expect(scores.categories.teamwork.managerScore).toBeNull();
+    expect(scores.selfScore).toBeNull();
+    expect(scores.gap).toBeNull();
+  });
+
+  it('returns empty scores when nothing is rated', () => {
+    const scores = computeEvaluationScores(evaluation({}, {}));
+
+    expect(scores).toMatchObject({ selfScore: null, managerScore: null, finalScore: null, normalizedScore: null });
+  });
+
+  it('scores on the evaluation\'s rating scale and ignores ratings off it', () => {
+    const scores = computeEvaluationScores(evaluation(
+      {},
+      { delivery: { q1: { managerRating: 8 }, q2: { managerRating: 12 } }, teamwork: { q3: { managerRating: 10 } } },
+      { scoringSystem: '1-10' }
+    ));
+
+    // q2 is off the scale, so delivery is 8; (8·2 + 10) / 3 = 8.67
+    expect(scores.managerScore).toBe(8.67);
+    expect(scores).toMatchObject({ minScore: 1, maxScore: 10, scaleId: '1-10' });
+  });
+
+  it('places scored answers of other question types on the rating scale', () => {
+    const scores = computeEvaluationScores({
+      categories: [{
+        id: 'values',
+        questions: [
+          { id: 'honest', type: 'yesNo' },
+          { id: 'notes', type: 'text' }
+        ]
+      }],
+      managerReview: { categoryResponses: { values: { honest: { managerAnswer: true }, notes: { managerAnswer: 'Great' } } } }
+    });
+
+    expect(scores.managerScore).toBe(5);
+  });
+
+  it('leaves questions hidden by display rules out of the score', () => {
+    const scores = computeEvaluationScores({
+      categories: [
+        ...categories,
+        {
+          id: 'leadership',
+          weight: 5,
+          displayRules: { match: 'all', conditions: [{ field: 'role', operator: 'in', values: ['manager'] }] },
+          questions: [{ id: 'q4' }]
+        }
+      ],
+      evaluateeContext: { role: 'employee', department: null, tenureMonths: 12 },
+      managerReview: {
+        categoryResponses: {
+          delivery: { q1: { managerRating: 4 }, q2: { managerRating: 4 } },
+          teamwork: { q3: { managerRating: 4 } },
+          leadership: { q4: { managerRating: 1 } }
+        }
+      }
+    });
+
+    expect(scores.managerScore).toBe(4);
+    expect(scores.categories.leadership).toBeUndefined();
+  });
+});
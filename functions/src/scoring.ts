@@ -0,0 +1,239 @@
+/**
+ * Cloud Functions for Evaluation Scoring
+ *
+ * Scores are derived from the template snapshot stored on the evaluation, so later
+ * template edits never change the result of a completed review. Ratings are averaged
+ * in the units of the evaluation's rating scale (see ratingScales.ts); scored answers to
+ * other question types are placed on the same scale (see questionTypes.ts). Questions
+ * hidden by display rules are left out (see displayRules.ts).
+ */
+
+import { onCall, HttpsError } from 'firebase-functions/v2/https';
+import { logger } from 'firebase-functions';
+import { FieldValue } from 'firebase-admin/firestore';
+import { getRequestingUser, hasPermission, businessRef } from './access';
+import { isRatingOnScale, normalizeScore, RatingScale, resolveRatingScale } from './ratingScales';
+import {
+  AnswerRole,
+  ANSWER_FIELDS,
+  answerScore,
+  isRatedQuestion,
+  RATING_FIELDS,
+  TemplateQuestion
+} from './questionTypes';
+import { getVisibleCategories } from './displayRules';
+
+interface TemplateCategory {
+  id: string;
+  name?: string;
+  weight?: number;
+  questions?: TemplateQuestion[];
+}
+
+export interface CategoryScore {
+  name: string;
+  weight: number;
+  selfScore: number | null;
+  managerScore: number | null;
+  gap: number | null;
+}
+
+export interface EvaluationScores {
+  selfScore: number | null;
+  managerScore: number | null;
+  finalScore: number | null;
+  gap: number | null;
+  minScore: number;
+  maxScore: number;
+  // finalScore placed on 0-100 between the scale's minimum and maximum
+  normalizedScore: number | null;
+  scaleId: string;
+  categories: Record<string, CategoryScore>;
+}
+
+const round = (value: number): number => Math.round(value * 100) / 100;
+
+export const getMaxScore = (source?: FirebaseFirestore.DocumentData | null): number => {
+  return resolveRatingScale(source).max;
+};
+
+const toPositiveNumber = (value: unknown, fallback: number): number => {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+const difference = (managerScore: number | null, selfScore: number | null): number | null => {
+  return managerScore !== null && selfScore !== null ? round(managerScore - selfScore) : null;
+};
+
+/**
+ * Weighted average of the self or manager answers across a category's questions.
+ * Unanswered and unscored questions are left out rather than counted as zero.
+ */
+const scoreCategory = (
+  category: TemplateCategory,
+  responses: Record<string, Record<string, unknown>> | undefined,
+  role: AnswerRole,
+  scale: RatingScale
+): number | null => {
+  let weightedSum = 0;
+  let totalWeight = 0;
+
+  (category.questions || []).forEach(question => {
+    const response = responses?.[question.id];
+    let score: number | null = null;
+
+    if (isRatedQuestion(question)) {
+      const rating = response?.[RATING_FIELDS[role]];
+      if (isRatingOnScale(rating, scale)) score = rating;
+    } else {
+      score = answerScore(question, response?.[ANSWER_FIELDS[role]], scale);
+    }
+    if (score === null) return;
+
+    const weight = toPositiveNumber(question.weight, 1);
+    weightedSum += score * weight;
+    totalWeight += weight;
+  });
+
+  return totalWeight > 0 ? weightedSum / totalWeight : null;
+};
+
+/**
+ * Combines category scores using category weights, re-normalised over the
+ * categories that actually have ratings so a skipped category does not drag the score down.
+ */
+const combineCategories = (
+  categoryScores: Array<{ score: number | null; weight: number }>
+): number | null => {
+  const rated = categoryScores.filter(entry => entry.score !== null);
+  const totalWeight = rated.reduce((sum, entry) => sum + entry.weight, 0);
+
+  if (totalWeight === 0) return null;
+
+  return round(rated.reduce((sum, entry) => sum + (entry.score as number) * entry.weight, 0) / totalWeight);
+};
+
+/**
+ * Computes self, manager and gap scores for an evaluation document
+ */
+export const computeEvaluationScores = (evaluation: FirebaseFirestore.DocumentData): EvaluationScores => {
+  const scale = resolveRatingScale(evaluation);
+  const categories = getVisibleCategories(evaluation) as TemplateCategory[];
+  const selfResponses = evaluation.responses?.selfAssessment?.categoryResponses || {};
+  const managerResponses = evaluation.managerReview?.categoryResponses || {};
+
+  const categoryResults: Record<string, CategoryScore> = {};
+  const selfEntries: Array<{ score: number | null; weight: number }> = [];
+  const managerEntries: Array<{ score: number | null; weight: number }> = [];
+
+  categories.forEach(category => {
+    if (!category?.id) return;
+
+    const weight = toPositiveNumber(category.weight, 1);
+    const selfScore = scoreCategory(category, selfResponses[category.id], 'self', scale);
+    const managerScore = scoreCategory(category, managerResponses[category.id], 'manager', scale);
+
+    selfEntries.push({ score: selfScore, weight });
+    managerEntries.push({ score: managerScore, weight });
+
+    categoryResults[category.id] = {
+      name: category.name || '',
+      weight,
+      selfScore: selfScore !== null ? round(selfScore) : null,
+      managerScore: managerScore !== null ? round(managerScore) : null,
+      gap: difference(
+        managerScore !== null ? round(managerScore) : null,
+        selfScore !== null ? round(selfScore) : null
+      )
+    };
+  });
+
+  const selfScore = combineCategories(selfEntries);
+  const managerScore = combineCategories(managerEntries);
+
+  return {
+    selfScore,
+    managerScore,
+    // The manager's assessment is the score of record
+    finalScore: managerScore,
+    gap: difference(managerScore, selfScore),
+    minScore: scale.min,
+    maxScore: scale.max,
+    normalizedScore: normalizeScore(managerScore, scale),
+    scaleId: scale.id,
+    categories: categoryResults
+  };
+};
+
+/**
+ * Recalculates and stores the scores of an evaluation
+ */
+export const calculateEvaluationScore = onCall({ cors: true }, async (request) => {
+  // Check if user is authenticated
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'User must be authenticated');
+  }
+
+  const { evaluationId } = request.data as { evaluationId: string };
+
+  // Validate input data
+  if (!evaluationId) {
+    throw new HttpsError('invalid-argument', 'Missing required evaluation ID');
+  }
+
+  try {
+    const requestingUser = await getRequestingUser(request.auth.uid);
+    const evaluationRef = businessRef(requestingUser.businessId).collection('evaluations').doc(evaluationId);
+    const evaluationDoc = await evaluationRef.get();
+
+    if (!evaluationDoc.exists) {
+      throw new HttpsError('not-found', 'Evaluation not found');
+    }
+
+    const evaluation = evaluationDoc.data() || {};
+    const isParticipant = [evaluation.evaluateeId, evaluation.evaluatorId].includes(requestingUser.id);
+
+    if (!isParticipant &&
+        !hasPermission(requestingUser, 'canManageEvaluations') &&
+        !hasPermission(requestingUser, 'canViewAnalytics')) {
+      throw new HttpsError('permission-denied', 'Insufficient permissions to score this evaluation');
+    }
+
+    const scores = computeEvaluationScores(evaluation);
+
+    const updates: Record<string, unknown> = {
+      scores: { ...scores, calculatedAt: FieldValue.serverTimestamp() },
+      updatedAt: FieldValue.serverTimestamp()
+    };
+
+    // Keep the legacy overallRating field in step for completed reviews
+    if (evaluation.status === 'completed') {
+      updates['managerReview.overallRating'] = scores.finalScore;
+    }
+
+    await evaluationRef.update(updates);
+
+    logger.info('Evaluation scores calculated', {
+      evaluationId,
+      businessId: requestingUser.businessId,
+      finalScore: scores.finalScore
+    });
+
+    return {
+      success: true,
+      message: 'Evaluation score calculated successfully',
+      evaluationId,
+      scores
+    };
+
+  } catch (error: unknown) {
+    logger.error('Error calculating evaluation score:', error);
+
+    if (error instanceof HttpsError) {
+      throw error;
+    }
+
+    throw new HttpsError('internal', 'Failed to calculate evaluation score');
+  }
+});
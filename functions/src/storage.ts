@@ -0,0 +1,36 @@
+/**
+ * Shared helpers for files that Cloud Functions write to Storage
+ */
+
+import { randomUUID } from 'crypto';
+import { getStorage } from 'firebase-admin/storage';
+import app from './config';
+
+export type StorageFile = ReturnType<ReturnType<ReturnType<typeof getStorage>['bucket']>['file']>;
+
+/**
+ * A file under businesses/{businessId}/reports/, which clients cannot read or write directly
+ */
+export const reportFile = (businessId: string, fileName: string): StorageFile =>
+  getStorage(app).bucket().file(`businesses/${businessId}/reports/${fileName}`);
+
+/**
+ * A time-limited link to the file. Signed URLs need real credentials, so the emulator
+ * gets a download-token URL instead.
+ */
+export const getDownloadUrl = async (file: StorageFile, fileName: string, expiresAt: Date): Promise<string> => {
+  const emulatorHost = process.env.FIREBASE_STORAGE_EMULATOR_HOST || process.env.STORAGE_EMULATOR_HOST;
+  if (emulatorHost) {
+    const token = randomUUID();
+    await file.setMetadata({ metadata: { firebaseStorageDownloadTokens: token } });
+    const host = emulatorHost.startsWith('http') ? emulatorHost : `http://${emulatorHost}`;
+    return `${host}/v0/b/${file.bucket.name}/o/${encodeURIComponent(file.name)}?alt=media&token=${token}`;
+  }
+
+  const [url] = await file.getSignedUrl({
+    action: 'read',
+    expires: expiresAt,
+    responseDisposition: `attachment; filename="${fileName}"`
+  });
+  return url;
+};
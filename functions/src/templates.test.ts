@@ -0,0 +1,61 @@
+import { nextTemplateVersion } from './templates';
+
+const category = {
+  id: 'c1',
+  name: 'Delivery',
+  weight: 100,
+  questions: [{ id: 'q1', text: 'Ships on time', type: 'rating' }]
+};
+
+const draft = {
+  name: 'Annual review',
+  description: 'Yearly',
+  categories: [category],
+  freeTextQuestions: [],
+  publishedVersion: 2,
+  hasUnpublishedChanges: true,
+  updatedAt: 'today'
+};
+
+describe('nextTemplateVersion', () => {
+  it('publishes the first version of a template as version 1', () => {
+    expect(nextTemplateVersion({ ...draft, publishedVersion: undefined }).version).toBe(1);
+  });
+
+  it('always adds a version after the published one', () => {
+    const previous = { ...draft, name: 'Annual review 2023', version: 2 };
+
+    expect(nextTemplateVersion(draft, previous).version).toBe(3);
+  });
+
+  it('copies only the content fields into the version', () => {
+    expect(nextTemplateVersion(draft).content).toEqual({
+      name: 'Annual review',
+      description: 'Yearly',
+      instructions: null,
+      type: null,
+      scoringSystem: null,
+      ratingScale: null,
+      categories: [category],
+      freeTextQuestions: []
+    });
+  });
+
+  it('refuses to publish a draft identical to the previous version, whatever the key order', () => {
+    const previous = {
+      version: 2,
+      publishedAt: 'yesterday',
+      freeTextQuestions: [],
+      categories: [{ questions: [{ type: 'rating', text: 'Ships on time', id: 'q1' }], weight: 100, name: 'Delivery', id: 'c1' }],
+      description: 'Yearly',
+      name: 'Annual review'
+    };
+
+    expect(() => nextTemplateVersion(draft, previous)).toThrow('Nothing has changed since version 2');
+  });
+
+  it('refuses to publish a template without questions', () => {
+    expect(() => nextTemplateVersion({ ...draft, categories: [{ ...category, questions: [] }] }))
+      .toThrow('Add at least one category with questions before publishing');
+  });
+});
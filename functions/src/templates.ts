@@ -0,0 +1,223 @@
+/**
+ * Cloud Functions for Evaluation Template Versions
+ *
+ * The template document is the working draft and is edited freely from the templates
+ * page. Publishing copies its content to evaluationTemplates/{templateId}/versions/{n},
+ * which is never written again. Evaluations are always built from a published version
+ * and record it as templateVersion.
+ */
+
+import { onCall, HttpsError } from 'firebase-functions/v2/https';
+import { logger } from 'firebase-functions';
+import { FieldValue } from 'firebase-admin/firestore';
+import { db } from './config';
+import { getRequestingUser, hasPermission, businessRef } from './access';
+
+// Fields of a template that make up a published version
+export const TEMPLATE_CONTENT_FIELDS = [
+  'name',
+  'description',
+  'instructions',
+  'type',
+  'scoringSystem',
+  'ratingScale',
+  'categories',
+  'freeTextQuestions'
+] as const;
+
+export interface ResolvedTemplate {
+  version: number;
+  template: FirebaseFirestore.DocumentData;
+}
+
+interface PublishOptions {
+  publishedBy: string | null;
+  publishedByName: string;
+  notes: string;
+}
+
+const templateContent = (template: FirebaseFirestore.DocumentData) => {
+  const content: Record<string, unknown> = {};
+  TEMPLATE_CONTENT_FIELDS.forEach(field => {
+    content[field] = template[field] ?? null;
+  });
+  return content;
+};
+
+// JSON with sorted keys, so content read back from Firestore compares equal
+const stableStringify = (value: unknown): string => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value as Record<string, unknown>).sort()
+      .map(key => `${JSON.stringify(key)}:${stableStringify((value as Record<string, unknown>)[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+};
+
+/**
+ * The number and content of a draft's next version. Published versions are never
+ * rewritten, so publishing always adds one; a draft identical to the previous version
+ * (read back from its versions document) is refused.
+ */
+export const nextTemplateVersion = (
+  template: FirebaseFirestore.DocumentData,
+  previous?: FirebaseFirestore.DocumentData
+) => {
+  const content = templateContent(template);
+  const categories = (content.categories || []) as Array<{ questions?: unknown[] }>;
+  if (!categories.some(category => (category.questions || []).length > 0)) {
+    throw new HttpsError('failed-precondition', 'Add at least one category with questions before publishing');
+  }
+
+  const previousVersion = typeof template.publishedVersion === 'number' ? template.publishedVersion : 0;
+  if (previous && stableStringify(templateContent(previous)) === stableStringify(content)) {
+    throw new HttpsError('failed-precondition', `Nothing has changed since version ${previousVersion}`);
+  }
+
+  return { version: previousVersion + 1, content };
+};
+
+/**
+ * Writes the next version of a template inside a transaction and returns its number
+ */
+const publishNextVersion = async (
+  transaction: FirebaseFirestore.Transaction,
+  templateRef: FirebaseFirestore.DocumentReference,
+  template: FirebaseFirestore.DocumentData,
+  { publishedBy, publishedByName, notes }: PublishOptions
+): Promise<number> => {
+  const previousVersion = typeof template.publishedVersion === 'number' ? template.publishedVersion : 0;
+  const previousDoc = previousVersion > 0
+    ? await transaction.get(templateRef.collection('versions').doc(String(previousVersion)))
+    : null;
+  const { version, content } = nextTemplateVersion(template, previousDoc?.data());
+
+  transaction.create(templateRef.collection('versions').doc(String(version)), {
+    ...content,
+    templateId: templateRef.id,
+    version,
+    notes,
+    publishedBy,
+    publishedByName,
+    publishedAt: FieldValue.serverTimestamp()
+  });
+  transaction.update(templateRef, {
+    publishedVersion: version,
+    publishedAt: FieldValue.serverTimestamp(),
+    hasUnpublishedChanges: false
+  });
+
+  return version;
+};
+
+/**
+ * Loads the published template version evaluations should be built from: the requested
+ * version, or else the latest one. Templates created before versioning have no
+ * publishedVersion field at all; their current content is published as version 1 the
+ * first time they are used.
+ */
+export const resolveTemplateVersion = async (
+  businessId: string,
+  templateId: string,
+  version?: number | null
+): Promise<ResolvedTemplate> => {
+  const templateRef = businessRef(businessId).collection('evaluationTemplates').doc(templateId);
+  const templateDoc = await templateRef.get();
+  const template = templateDoc.data();
+
+  if (!templateDoc.exists || !template || template.isActive === false) {
+    throw new HttpsError('not-found', 'Evaluation template not found');
+  }
+
+  let resolvedVersion = typeof version === 'number' ? version : template.publishedVersion;
+
+  if (resolvedVersion === undefined) {
+    let publishedNow = false;
+    resolvedVersion = await db.runTransaction(async (transaction) => {
+      const current = await transaction.get(templateRef);
+      const currentVersion = current.data()?.publishedVersion;
+      if (typeof currentVersion === 'number') {
+        return currentVersion;
+      }
+      publishedNow = true;
+      return publishNextVersion(transaction, templateRef, current.data() || {}, {
+        publishedBy: null,
+        publishedByName: 'System',
+        notes: 'Published automatically on first use'
+      });
+    });
+    if (publishedNow) {
+      logger.info('Published template from before versioning as version 1', { businessId, templateId });
+    }
+  }
+
+  if (typeof resolvedVersion !== 'number') {
+    throw new HttpsError(
+      'failed-precondition',
+      `"${template.name || 'This template'}" has not been published yet. Publish it before assigning evaluations.`
+    );
+  }
+
+  const versionDoc = await templateRef.collection('versions').doc(String(resolvedVersion)).get();
+  if (!versionDoc.exists) {
+    throw new HttpsError('not-found', `Version ${resolvedVersion} of "${template.name || templateId}" was not found`);
+  }
+
+  return { version: resolvedVersion, template: versionDoc.data() || {} };
+};
+
+/**
+ * Publishes the current draft of a template as a new immutable version
+ */
+export const publishTemplateVersion = onCall({ cors: true }, async (request) => {
+  // Check if user is authenticated
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'User must be authenticated');
+  }
+
+  const { templateId, notes } = request.data || {};
+  if (!templateId || typeof templateId !== 'string') {
+    throw new HttpsError('invalid-argument', 'Missing template ID');
+  }
+
+  try {
+    const requestingUser = await getRequestingUser(request.auth.uid);
+    if (!hasPermission(requestingUser, 'canManageEvaluations')) {
+      throw new HttpsError('permission-denied', 'Insufficient permissions to publish templates');
+    }
+
+    const { businessId } = requestingUser;
+    const templateRef = businessRef(businessId).collection('evaluationTemplates').doc(templateId);
+
+    const version = await db.runTransaction(async (transaction) => {
+      const templateDoc = await transaction.get(templateRef);
+      if (!templateDoc.exists) {
+        throw new HttpsError('not-found', 'Evaluation template not found');
+      }
+
+      return publishNextVersion(transaction, templateRef, templateDoc.data() || {}, {
+        publishedBy: requestingUser.id,
+        publishedByName: `${requestingUser.data.profile?.firstName || ''} ${requestingUser.data.profile?.lastName || ''}`.trim(),
+        notes: typeof notes === 'string' ? notes.trim() : ''
+      });
+    });
+
+    logger.info('Published template version', { businessId, templateId, version });
+
+    return {
+      success: true,
+      message: `Version ${version} published`,
+      version
+    };
+
+  } catch (error: unknown) {
+    if (error instanceof HttpsError) {
+      throw error;
+    }
+    logger.error('Error publishing template version:', error);
+    throw new HttpsError('internal', 'Failed to publish template version');
+  }
+});
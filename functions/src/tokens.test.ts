@@ -0,0 +1,49 @@
+import { createSignedToken, hashNonce, readSignedToken } from './tokens';
+
+process.env.INVITE_SIGNING_SECRET = 'test-signing-secret';
+
+const expiresAt = new Date('2030-01-01T00:00:00Z');
+
+describe('signed tokens', () => {
+  it('reads back the ids, nonce and expiry it signed', () => {
+    const { token, nonceHash } = createSignedToken(['acme', 'request-1'], expiresAt);
+    const parsed = readSignedToken(token, 2);
+
+    expect(parsed).toEqual({
+      ids: ['acme', 'request-1'],
+      nonce: expect.any(String),
+      expiresAtMillis: expiresAt.getTime()
+    });
+    expect(hashNonce(parsed!.nonce)).toBe(nonceHash);
+  });
+
+  it('rejects tampered payloads and signatures', () => {
+    const { token } = createSignedToken(['invite-1'], expiresAt);
+    const [inviteId, nonce, expiry, signature] = token.split('.');
+
+    expect(readSignedToken([inviteId, nonce, expiresAt.getTime() + 1, signature].join('.'), 1)).toBeNull();
+    expect(readSignedToken([`${inviteId}x`, nonce, expiry, signature].join('.'), 1)).toBeNull();
+    expect(readSignedToken([inviteId, nonce, expiry, `${signature.slice(0, -1)}A`].join('.'), 1)).toBeNull();
+    expect(readSignedToken([inviteId, nonce, expiry, 'short'].join('.'), 1)).toBeNull();
+  });
+
+  it('rejects tokens signed with another secret', () => {
+    const { token } = createSignedToken(['invite-1'], expiresAt);
+    process.env.INVITE_SIGNING_SECRET = 'rotated-secret';
+    try {
+      expect(readSignedToken(token, 1)).toBeNull();
+    } finally {
+      process.env.INVITE_SIGNING_SECRET = 'test-signing-secret';
+    }
+  });
+
+  it('rejects the wrong number of parts and non-string tokens', () => {
+    const { token } = createSignedToken(['invite-1'], expiresAt);
+
+    expect(readSignedToken(token, 2)).toBeNull();
+    expect(readSignedToken('', 1)).toBeNull();
+    expect(readSignedToken(undefined, 1)).toBeNull();
+    expect(readSignedToken(42, 1)).toBeNull();
+    expect(readSignedToken({ split: () => [] }, 1)).toBeNull();
+  });
+});
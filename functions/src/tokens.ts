@@ -0,0 +1,54 @@
+/**
+ * Signed links for people who act without signing in (invitations, external feedback)
+ *
+ * A token is `${id parts}.${nonce}.${expiresAtMillis}.${signature}`, where the signature
+ * is an HMAC over everything before it. Callers store only hashNonce(nonce), so a stored
+ * record alone cannot be turned back into a working link, and replacing the stored hash
+ * invalidates every link issued before.
+ */
+
+import { createHash, createHmac, randomBytes, timingSafeEqual } from 'crypto';
+
+const getSigningSecret = () => {
+  const secret = process.env.INVITE_SIGNING_SECRET;
+  if (secret) return secret;
+
+  // Local runs work without configuration; deployed functions must set a real secret
+  if (process.env.FUNCTIONS_EMULATOR === 'true') return 'local-invite-signing-secret';
+  throw new Error('INVITE_SIGNING_SECRET is not configured');
+};
+
+const sign = (payload: string) => createHmac('sha256', getSigningSecret()).update(payload).digest('base64url');
+
+export const hashNonce = (nonce: string) => createHash('sha256').update(nonce).digest('hex');
+
+export const createSignedToken = (ids: string[], expiresAt: Date) => {
+  const nonce = randomBytes(24).toString('base64url');
+  const payload = [...ids, nonce, expiresAt.getTime()].join('.');
+  return { token: `${payload}.${sign(payload)}`, nonceHash: hashNonce(nonce) };
+};
+
+/**
+ * Splits a token and checks its signature. Returns null for anything malformed or forged,
+ * including non-string tokens straight from request data, so callers answer with their
+ * usual HttpsError. The caller still has to compare the nonce hash and expiry with its
+ * stored record.
+ */
+export const readSignedToken = (token: unknown, idCount: number) => {
+  if (typeof token !== 'string') return null;
+
+  const parts = token.split('.');
+  if (parts.length !== idCount + 3) return null;
+
+  const signature = parts[parts.length - 1];
+  const payload = parts.slice(0, -1).join('.');
+  const expected = Buffer.from(sign(payload));
+  const given = Buffer.from(signature);
+  if (expected.length !== given.length || !timingSafeEqual(expected, given)) return null;
+
+  return {
+    ids: parts.slice(0, idCount),
+    nonce: parts[idCount],
+    expiresAtMillis: Number(parts[idCount + 1])
+  };
+};
@@ -0,0 +1,97 @@
+import { checkUserRows, ImportDirectory, ImportUserRow } from './userImport';
+import { RequestingUser } from './access';
+
+const hr = { id: 'hr', businessId: 'acme', data: { role: 'hr' } } as RequestingUser;
+const admin = { id: 'admin', businessId: 'acme', data: { role: 'admin' } } as RequestingUser;
+
+const directory: ImportDirectory = {
+  existingUsers: new Map([['boss@acme.test', 'boss']]),
+  departmentsByKey: new Map([['sales', 'sales'], ['sales team', 'sales']]),
+  authEmails: new Set(['elsewhere@globex.test'])
+};
+
+let nextRow = 2;
+const row = (overrides: Partial<ImportUserRow> = {}): ImportUserRow => ({
+  rowNumber: nextRow++,
+  firstName: 'Ana',
+  lastName: 'Silva',
+  email: `person${nextRow}@acme.test`,
+  role: 'employee',
+  position: 'Rep',
+  ...overrides
+});
+
+beforeEach(() => {
+  nextRow = 2;
+});
+
+describe('checkUserRows', () => {
+  it('accepts a complete row and resolves the department by name', () => {
+    const [result] = checkUserRows(hr, [row({ department: 'Sales Team', role: 'Head Manager', managerEmail: 'boss@acme.test' })], directory);
+
+    expect(result).toMatchObject({ status: 'valid', errors: [], departmentId: 'sales', role: 'head-manager', level: 0 });
+  });
+
+  it('flags every row that shares an email, whatever its case', () => {
+    const results = checkUserRows(hr, [
+      row({ email: 'ana@acme.test' }),
+      row({ email: 'bob@acme.test' }),
+      row({ email: ' ANA@acme.test ' })
+    ], directory);
+
+    expect(results.map(result => result.errors)).toEqual([
+      ['Duplicate email (also on row 4)'],
+      [],
+      ['Duplicate email (also on row 2)']
+    ]);
+  });
+
+  it('rejects emails that already belong to a user here or elsewhere', () => {
+    const results = checkUserRows(hr, [row({ email: 'Boss@acme.test' }), row({ email: 'elsewhere@globex.test' })], directory);
+
+    expect(results[0].errors).toEqual(['A user with this email already exists']);
+    expect(results[1].errors).toEqual(['This email already has an account in another business']);
+  });
+
+  it('rejects departments that do not exist', () => {
+    const [result] = checkUserRows(hr, [row({ department: 'Marketing' })], directory);
+
+    expect(result.status).toBe('error');
+    expect(result.errors).toEqual(['Unknown department "Marketing"']);
+    expect(result.departmentId).toBeNull();
+  });
+
+  it('only lets admins import admins', () => {
+    expect(checkUserRows(hr, [row({ role: 'admin' })], directory)[0].errors).toEqual(['Only admins can import other admins']);
+    expect(checkUserRows(admin, [row({ role: 'admin' })], directory)[0].status).toBe('valid');
+  });
+
+  it('defaults a missing role to employee and rejects unknown ones', () => {
+    const [blank, unknown] = checkUserRows(hr, [row({ role: '' }), row({ role: 'Intern' })], directory);
+
+    expect(blank).toMatchObject({ status: 'valid', role: 'employee', warnings: ['No role given; defaulting to employee'] });
+    expect(unknown.errors[0]).toMatch(/^Invalid role "Intern"/);
+  });
+
+  it('orders reporting lines in the file and blocks rows under a broken manager', () => {
+    const results = checkUserRows(hr, [
+      row({ email: 'lead@acme.test', managerEmail: 'boss@acme.test' }),
+      row({ email: 'rep@acme.test', managerEmail: 'lead@acme.test' }),
+      row({ email: 'bad@acme.test', position: '' }),
+      row({ email: 'under-bad@acme.test', managerEmail: 'bad@acme.test' })
+    ], directory);
+
+    expect(results.map(result => result.level)).toEqual([0, 1, 0, 1]);
+    expect(results[3].errors).toEqual(['Manager on row 4 has errors']);
+  });
+
+  it('reports manager cycles inside the file', () => {
+    const results = checkUserRows(hr, [
+      row({ email: 'a@acme.test', managerEmail: 'b@acme.test' }),
+      row({ email: 'b@acme.test', managerEmail: 'a@acme.test' })
+    ], directory);
+
+    expect(results[0].errors).toContain('Manager cycle: a@acme.test → b@acme.test → a@acme.test');
+    expect(results[1].status).toBe('error');
+  });
+});
@@ -0,0 +1,409 @@
+/**
+ * Cloud Functions for Bulk User Import
+ *
+ * The client parses the spreadsheet and maps its columns; everything else happens here.
+ * validateImportData is a dry run that reports every row's problems without writing
+ * anything. bulkCreateUsers validates again and invites the valid rows of one chunk.
+ * Rows are ordered so managers come before their reports. A later chunk can therefore
+ * name someone created by an earlier chunk as its manager.
+ */
+
+import { onCall, HttpsError } from 'firebase-functions/v2/https';
+import { logger } from 'firebase-functions';
+import { auth, db } from './config';
+import { businessRef, RequestingUser } from './access';
+import {
+  EMAIL_PATTERN,
+  VALID_ROLES,
+  PreparedInvitation,
+  prepareInvitation,
+  completeInvitation,
+  discardInvitations,
+  handleInviteError,
+  requireUserManager
+} from './invites';
+
+export interface ImportUserRow {
+  // 1-based row number in the uploaded file, echoed back in every result
+  rowNumber: number;
+  firstName?: string;
+  lastName?: string;
+  email?: string;
+  role?: string;
+  department?: string;
+  position?: string;
+  phone?: string;
+  hireDate?: string;
+  managerEmail?: string;
+}
+
+export interface ImportRowResult {
+  rowNumber: number;
+  email: string;
+  status: 'valid' | 'error';
+  errors: string[];
+  warnings: string[];
+  // Depth in the file's own reporting lines: 0 when the manager already exists or is blank
+  level: number;
+  departmentId: string | null;
+  role: string;
+}
+
+const MAX_VALIDATE_ROWS = 2000;
+const MAX_CREATE_ROWS = 50;
+// auth.getUsers accepts at most 100 identifiers per call
+const AUTH_LOOKUP_CHUNK = 100;
+
+const clean = (value: unknown) => (value === undefined || value === null ? '' : String(value).trim());
+
+// "Head Manager", "HR" and "head_manager" all map to the stored role names
+const normalizeRole = (value: string) => value.toLowerCase().replace(/[\s_]+/g, '-');
+
+// What the rows are checked against, keyed by lower-case email or department id/name
+export interface ImportDirectory {
+  existingUsers: Map<string, string>;
+  departmentsByKey: Map<string, string>;
+  // Accounts in Auth that are not members of this business
+  authEmails: Set<string>;
+}
+
+/**
+ * Dry-run validation shared by both callables. Nothing is written.
+ */
+export const validateUserRows = async (requestingUser: RequestingUser, rows: ImportUserRow[]): Promise<ImportRowResult[]> => {
+  const { businessId } = requestingUser;
+  const [usersSnapshot, departmentsSnapshot] = await Promise.all([
+    businessRef(businessId).collection('users').get(),
+    businessRef(businessId).collection('departments').get()
+  ]);
+
+  const existingUsers = new Map<string, string>();
+  usersSnapshot.docs.forEach(doc => {
+    const email = clean(doc.data().profile?.email).toLowerCase();
+    if (email) existingUsers.set(email, doc.id);
+  });
+
+  const departmentsByKey = new Map<string, string>();
+  departmentsSnapshot.docs
+    .filter(doc => doc.data().isActive !== false)
+    .forEach(doc => {
+      departmentsByKey.set(doc.id.toLowerCase(), doc.id);
+      departmentsByKey.set(clean(doc.data().name).toLowerCase(), doc.id);
+    });
+
+  const emails = rows.map(row => clean(row.email).toLowerCase());
+
+  // Accounts that exist in Auth but not in this business (e.g. another business) cannot be imported
+  const authEmails = new Set<string>();
+  const lookupEmails = [...new Set(emails.filter(email => EMAIL_PATTERN.test(email) && !existingUsers.has(email)))];
+  for (let i = 0; i < lookupEmails.length; i += AUTH_LOOKUP_CHUNK) {
+    const { users } = await auth.getUsers(lookupEmails.slice(i, i + AUTH_LOOKUP_CHUNK).map(email => ({ email })));
+    users.forEach(user => user.email && authEmails.add(user.email.toLowerCase()));
+  }
+
+  return checkUserRows(requestingUser, rows, { existingUsers, departmentsByKey, authEmails });
+};
+
+/**
+ * Checks every row against the directory and the rest of the file: required fields,
+ * duplicate and taken emails, roles the caller may grant, departments, and reporting
+ * lines inside the file
+ */
+export const checkUserRows = (
+  requestingUser: RequestingUser,
+  rows: ImportUserRow[],
+  { existingUsers, departmentsByKey, authEmails }: ImportDirectory
+): ImportRowResult[] => {
+  const emails = rows.map(row => clean(row.email).toLowerCase());
+
+  const rowsByEmail = new Map<string, number[]>();
+  emails.forEach((email, index) => {
+    if (email) rowsByEmail.set(email, [...(rowsByEmail.get(email) || []), index]);
+  });
+
+  const results: ImportRowResult[] = rows.map((row, index) => {
+    const errors: string[] = [];
+    const warnings: string[] = [];
+    const email = emails[index];
+
+    if (!clean(row.firstName)) errors.push('First name is required');
+    if (!clean(row.lastName)) errors.push('Last name is required');
+    if (!clean(row.position)) errors.push('Position is required');
+
+    if (!email) {
+      errors.push('Email is required');
+    } else if (!EMAIL_PATTERN.test(email)) {
+      errors.push(`Invalid email "${row.email}"`);
+    } else if (existingUsers.has(email)) {
+      errors.push('A user with this email already exists');
+    } else if (authEmails.has(email)) {
+      errors.push('This email already has an account in another business');
+    }
+
+    const duplicates = (rowsByEmail.get(email) || []).filter(other => other !== index);
+    if (duplicates.length > 0) {
+      errors.push(`Duplicate email (also on row ${duplicates.map(other => rows[other].rowNumber).join(', ')})`);
+    }
+
+    let role = normalizeRole(clean(row.role));
+    if (!role) {
+      role = 'employee';
+      warnings.push('No role given; defaulting to employee');
+    } else if (!VALID_ROLES.includes(role)) {
+      errors.push(`Invalid role "${row.role}". Use one of: ${VALID_ROLES.join(', ')}`);
+    } else if (role === 'admin' && requestingUser.data.role !== 'admin') {
+      errors.push('Only admins can import other admins');
+    }
+
+    let departmentId: string | null = null;
+    const department = clean(row.department);
+    if (department) {
+      departmentId = departmentsByKey.get(department.toLowerCase()) || null;
+      if (!departmentId) errors.push(`Unknown department "${department}"`);
+    }
+
+    const hireDate = clean(row.hireDate);
+    if (hireDate && isNaN(new Date(hireDate).getTime())) {
+      errors.push(`Invalid hire date "${hireDate}"`);
+    }
+
+    const managerEmail = clean(row.managerEmail).toLowerCase();
+    if (managerEmail) {
+      if (managerEmail === email) {
+        errors.push('An employee cannot be their own manager');
+      } else if (!existingUsers.has(managerEmail) && !rowsByEmail.has(managerEmail)) {
+        errors.push(`Manager "${row.managerEmail}" is neither an existing user nor in this file`);
+      } else if (!existingUsers.has(managerEmail) && (rowsByEmail.get(managerEmail) || []).length > 1) {
+        errors.push(`Manager "${row.managerEmail}" appears on more than one row`);
+      }
+    }
+
+    return { rowNumber: row.rowNumber, email, status: 'valid', errors, warnings, level: 0, departmentId, role };
+  });
+
+  // Reporting lines inside the file: find cycles and each row's depth
+  const managerIndex = (index: number): number | null => {
+    const managerEmail = clean(rows[index].managerEmail).toLowerCase();
+    if (!managerEmail || existingUsers.has(managerEmail)) return null;
+    const candidates = rowsByEmail.get(managerEmail);
+    return candidates && candidates.length === 1 && candidates[0] !== index ? candidates[0] : null;
+  };
+
+  const depth = new Map<number, number>();
+  results.forEach((result, index) => {
+    const chain: number[] = [];
+    let current: number | null = index;
+    while (current !== null && !depth.has(current) && !chain.includes(current)) {
+      chain.push(current);
+      current = managerIndex(current);
+    }
+
+    if (current !== null && chain.includes(current)) {
+      const cycle = chain.slice(chain.indexOf(current));
+      const description = [...cycle, current].map(member => emails[member]).join(' → ');
+      cycle.forEach(member => {
+        results[member].errors.push(`Manager cycle: ${description}`);
+        depth.set(member, 0);
+      });
+    }
+
+    // Unwind the chain from the top so every row gets one more than its manager
+    let base = current !== null && depth.has(current) ? depth.get(current)! + 1 : 0;
+    for (let i = chain.length - 1; i >= 0; i--) {
+      if (!depth.has(chain[i])) {
+        depth.set(chain[i], base);
+      }
+      base = depth.get(chain[i])! + 1;
+    }
+    result.level = depth.get(index) || 0;
+  });
+
+  // A row cannot be created if its manager's row will not be; repeat until nothing changes
+  let changed = true;
+  while (changed) {
+    changed = false;
+    results.forEach((result, index) => {
+      const manager = managerIndex(index);
+      if (manager !== null && results[manager].errors.length > 0 &&
+          !result.errors.some(error => error.startsWith('Manager on row'))) {
+        result.errors.push(`Manager on row ${rows[manager].rowNumber} has errors`);
+        changed = true;
+      }
+    });
+  }
+
+  results.forEach(result => {
+    result.status = result.errors.length > 0 ? 'error' : 'valid';
+  });
+
+  return results;
+};
+
+const readRows = (data: unknown, maxRows: number): ImportUserRow[] => {
+  if (!Array.isArray(data) || data.length === 0) {
+    throw new HttpsError('invalid-argument', 'No rows to import');
+  }
+  if (data.length > maxRows) {
+    throw new HttpsError('invalid-argument', `At most ${maxRows} rows can be processed at once`);
+  }
+  return data.map((row, index) => ({ ...(row as ImportUserRow), rowNumber: Number((row as ImportUserRow)?.rowNumber) || index + 1 }));
+};
+
+const summarize = (results: ImportRowResult[]) => ({
+  total: results.length,
+  valid: results.filter(result => result.status === 'valid').length,
+  invalid: results.filter(result => result.status === 'error').length,
+  warnings: results.filter(result => result.warnings.length > 0).length
+});
+
+/**
+ * Dry run for an import (canManageUsers). Only user imports are supported.
+ */
+export const validateImportData = onCall({ cors: true, timeoutSeconds: 120 }, async (request) => {
+  // Check if user is authenticated
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'User must be authenticated');
+  }
+
+  const { importType, data } = request.data as { importType: string; data: unknown };
+  if (importType !== 'users') {
+    throw new HttpsError('invalid-argument', `Unsupported import type: ${importType}`);
+  }
+
+  const rows = readRows(data, MAX_VALIDATE_ROWS);
+
+  try {
+    const requestingUser = await requireUserManager(request.auth.uid);
+    const results = await validateUserRows(requestingUser, rows);
+
+    return { success: true, rows: results, summary: summarize(results) };
+  } catch (error: unknown) {
+    return handleInviteError(error, 'Failed to validate import');
+  }
+});
+
+/**
+ * Invites each valid row in managers-first order, within one batch
+ */
+const createValidRows = async (
+  requestingUser: RequestingUser,
+  rows: ImportUserRow[],
+  results: ImportRowResult[]
+) => {
+  const usersRef = businessRef(requestingUser.businessId).collection('users');
+  const createdIds = new Map<string, string>();
+  const prepared: { index: number; invitation: PreparedInvitation }[] = [];
+  const failures = new Map<number, string>();
+  const batch = db.batch();
+
+  const order = results
+    .map((result, index) => ({ result, index }))
+    .filter(({ result }) => result.status === 'valid')
+    .sort((a, b) => a.result.level - b.result.level);
+
+  for (const { result, index } of order) {
+    const row = rows[index];
+    const managerEmail = clean(row.managerEmail).toLowerCase();
+    let managerId: string | undefined;
+
+    if (managerEmail) {
+      managerId = createdIds.get(managerEmail);
+      if (!managerId) {
+        const managerQuery = await usersRef.where('profile.email', '==', managerEmail).limit(1).get();
+        managerId = managerQuery.docs[0]?.id;
+      }
+      if (!managerId) {
+        failures.set(index, 'Manager was not created');
+        continue;
+      }
+    }
+
+    try {
+      const invitation = await prepareInvitation(requestingUser, {
+        firstName: clean(row.firstName),
+        lastName: clean(row.lastName),
+        email: result.email,
+        role: result.role,
+        department: result.departmentId || undefined,
+        position: clean(row.position),
+        phone: clean(row.phone) || undefined,
+        hireDate: clean(row.hireDate) || undefined,
+        managerId
+      }, batch);
+      createdIds.set(result.email, invitation.userId);
+      prepared.push({ index, invitation });
+    } catch (error: unknown) {
+      failures.set(index, error instanceof Error ? error.message : String(error));
+    }
+  }
+
+  try {
+    await batch.commit();
+  } catch (error: unknown) {
+    logger.error('Bulk import batch failed:', error);
+    await discardInvitations(prepared.map(({ invitation }) => invitation.userId));
+    prepared.forEach(({ index }) => failures.set(index, 'Saving this chunk failed; nothing in it was created'));
+    return { prepared: [], failures };
+  }
+
+  return { prepared, failures };
+};
+
+/**
+ * Invites one chunk of import rows (canManageUsers). Each row reports created or failed;
+ * rows with validation errors are never created.
+ */
+export const bulkCreateUsers = onCall({ cors: true, timeoutSeconds: 300 }, async (request) => {
+  // Check if user is authenticated
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'User must be authenticated');
+  }
+
+  const { users, sendInvites = true } = request.data as { users: unknown; sendInvites?: boolean };
+  const rows = readRows(users, MAX_CREATE_ROWS);
+
+  try {
+    const requestingUser = await requireUserManager(request.auth.uid);
+    const results = await validateUserRows(requestingUser, rows);
+    const { prepared, failures } = await createValidRows(requestingUser, rows, results);
+
+    for (const { index, invitation } of prepared) {
+      try {
+        await completeInvitation(invitation, requestingUser, sendInvites);
+      } catch (error: unknown) {
+        // The user exists; only the email or claims failed, which a resend fixes
+        logger.error('Failed to complete imported invitation:', error);
+        results[index].warnings.push('User created, but the invitation email could not be sent. Resend it from Users.');
+      }
+    }
+
+    const createdByIndex = new Map(prepared.map(({ index, invitation }) => [index, invitation]));
+    const report = results.map((result, index) => {
+      const invitation = createdByIndex.get(index);
+      const failure = failures.get(index);
+      return {
+        rowNumber: result.rowNumber,
+        email: result.email,
+        status: invitation ? 'created' : 'failed',
+        userId: invitation?.userId || null,
+        errors: failure ? [...result.errors, failure] : result.errors,
+        warnings: result.warnings
+      };
+    });
+
+    logger.info('Bulk user import chunk processed', {
+      businessId: requestingUser.businessId,
+      created: prepared.length,
+      failed: report.length - prepared.length
+    });
+
+    return {
+      success: true,
+      message: `${prepared.length} of ${report.length} user(s) created`,
+      results: report,
+      users: prepared.map(({ invitation }) => invitation.user)
+    };
+  } catch (error: unknown) {
+    return handleInviteError(error, 'Failed to import users');
+  }
+});
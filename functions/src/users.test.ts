@@ -0,0 +1,23 @@
+import { getRolePermissions } from './users';
+
+describe('getRolePermissions', () => {
+  it('gives every management level the team flags the rules check', () => {
+    ['head-manager', 'manager', 'supervisor'].forEach(role => {
+      expect(getRolePermissions(role)).toEqual({
+        canManageUsers: false,
+        canManageDepartments: false,
+        canManageEvaluations: true,
+        canViewAnalytics: true,
+        canManageSettings: false,
+        canCalculateBonuses: false
+      });
+    });
+  });
+
+  it('keeps settings with admins and gives employees nothing', () => {
+    expect(getRolePermissions('admin').canManageSettings).toBe(true);
+    expect(getRolePermissions('hr').canManageSettings).toBe(false);
+    expect(Object.values(getRolePermissions('employee')).some(Boolean)).toBe(false);
+    expect(Object.values(getRolePermissions('unknown')).some(Boolean)).toBe(false);
+  });
+});
@@ -0,0 +1,439 @@
+/**
+ * Firestore security rules, role by role
+ *
+ * Runs against the Firestore emulator: `npm run test:emulator`. Every match block in
+ * firestore.rules gets a read and a write check for each role, plus a member of another
+ * business and a signed-out visitor. Documents are re-seeded before each test.
+ */
+
+import { readFileSync } from 'fs';
+import { resolve } from 'path';
+import {
+  assertFails,
+  assertSucceeds,
+  initializeTestEnvironment,
+  RulesTestContext,
+  RulesTestEnvironment
+} from '@firebase/rules-unit-testing';
+
+type Role = 'admin' | 'hr' | 'headManager' | 'manager' | 'supervisor' | 'employee' | 'outsider' | 'anonymous';
+type Firestore = ReturnType<RulesTestContext['firestore']>;
+
+const ROLES: Role[] = ['admin', 'hr', 'headManager', 'manager', 'supervisor', 'employee', 'outsider', 'anonymous'];
+const MEMBERS: Role[] = ['admin', 'hr', 'headManager', 'manager', 'supervisor', 'employee'];
+const ADMIN_HR: Role[] = ['admin', 'hr'];
+const NOBODY: Role[] = [];
+
+const BUSINESS = 'businesses/acme';
+
+const NO_PERMISSIONS = {
+  canManageUsers: false,
+  canManageDepartments: false,
+  canManageEvaluations: false,
+  canViewAnalytics: false,
+  canManageSettings: false,
+  canCalculateBonuses: false
+};
+
+const MANAGER_PERMISSIONS = { ...NO_PERMISSIONS, canManageEvaluations: true, canViewAnalytics: true };
+
+// Stored flags as the user functions write them for each role
+const PERMISSIONS: Record<string, typeof NO_PERMISSIONS> = {
+  admin: {
+    canManageUsers: true,
+    canManageDepartments: true,
+    canManageEvaluations: true,
+    canViewAnalytics: true,
+    canManageSettings: true,
+    canCalculateBonuses: true
+  },
+  hr: {
+    canManageUsers: true,
+    canManageDepartments: true,
+    canManageEvaluations: true,
+    canViewAnalytics: true,
+    canManageSettings: false,
+    canCalculateBonuses: true
+  },
+  'head-manager': MANAGER_PERMISSIONS,
+  manager: MANAGER_PERMISSIONS,
+  supervisor: MANAGER_PERMISSIONS,
+  employee: NO_PERMISSIONS
+};
+
+const ROLE_NAMES: Record<Exclude<Role, 'outsider' | 'anonymous'>, string> = {
+  admin: 'admin',
+  hr: 'hr',
+  headManager: 'head-manager',
+  manager: 'manager',
+  supervisor: 'supervisor',
+  employee: 'employee'
+};
+
+const userDoc = (uid: string, role: string) => ({
+  profile: { firstName: uid, lastName: 'Test', email: `${uid}@acme.test`, phone: null, avatar: null },
+  role,
+  employeeInfo: { employeeId: `EMP_${uid}`, department: 'sales', position: role, hireDate: null, manager: 'supervisor' },
+  permissions: PERMISSIONS[role],
+  isActive: true
+});
+
+const seed = (): Record<string, Record<string, unknown>> => {
+  const docs: Record<string, Record<string, unknown>> = {
+    'businesses/acme': { name: 'Acme', ownerId: 'admin', settings: { defaultCurrency: 'USD' } },
+    'businesses/globex': { name: 'Globex', ownerId: 'outsider' },
+    'userBusinessMap/outsider': { businessId: 'globex', email: 'outsider@globex.test' },
+    'businesses/globex/users/outsider': { ...userDoc('outsider', 'admin') },
+
+    [`${BUSINESS}/users/employee/notifications/welcome`]: { type: 'welcome', read: false },
+    [`${BUSINESS}/departments/sales`]: { name: 'Sales', employeeCount: 6 },
+    [`${BUSINESS}/evaluationTemplates/annual`]: { name: 'Annual', publishedVersion: 1 },
+    [`${BUSINESS}/evaluationTemplates/annual/versions/1`]: { version: 1, categories: [] },
+    [`${BUSINESS}/evaluationAssignments/a1`]: { evaluatorId: 'supervisor', evaluateeId: 'employee' },
+    [`${BUSINESS}/reviewCycles/2024`]: { name: '2024', status: 'active' },
+    [`${BUSINESS}/reviewCycles/2024/launchReports/r1`]: { created: 3, skipped: 0 },
+    [`${BUSINESS}/bonusAssignments/b1`]: { allocatorId: 'headManager', departmentId: 'sales' },
+    [`${BUSINESS}/evaluations/e1`]: {
+      evaluateeId: 'employee',
+      evaluatorId: 'supervisor',
+      status: 'in-progress',
+      responses: {},
+      transitions: [],
+      scores: null,
+      feedback: null
+    },
+    [`${BUSINESS}/evaluations/e2`]: {
+      evaluateeId: 'employee',
+      evaluatorId: 'supervisor',
+      status: 'under-review',
+      responses: {},
+      managerReview: {},
+      transitions: [],
+      scores: null,
+      feedback: null
+    },
+    [`${BUSINESS}/feedbackRequests/f1`]: {
+      evaluationId: 'e1',
+      raterId: 'manager',
+      evaluateeId: 'employee',
+      evaluatorId: 'supervisor',
+      status: 'nominated'
+    },
+    [`${BUSINESS}/feedbackResponses/f1`]: { answers: {} },
+    [`${BUSINESS}/goals/g1`]: {
+      employeeId: 'employee',
+      managerId: 'supervisor',
+      source: 'employee',
+      status: 'proposed',
+      createdBy: 'employee',
+      title: 'Learn Spanish'
+    },
+    [`${BUSINESS}/bonusCalculations/c1`]: { departmentId: 'sales', salaries: {} },
+    [`${BUSINESS}/bonusScenarios/s1`]: { name: 'Even split', createdBy: 'manager' },
+    [`${BUSINESS}/reminderLog/l1`]: { evaluationId: 'e1' },
+    [`${BUSINESS}/scheduledNotifications/n1`]: { evaluationId: 'e1' },
+    [`${BUSINESS}/emailOutbox/m1`]: { to: 'employee@acme.test', status: 'sent' },
+    [`${BUSINESS}/exports/x1`]: { format: 'csv' },
+    [`${BUSINESS}/announcements/hello`]: { text: 'Welcome' },
+    'invites/i1': { businessId: 'acme', email: 'new@acme.test' },
+    'passwordResetLog/r1': { day: '2025-01-01', count: 1 },
+    'bonusAllocations/draft': { businessId: 'acme', createdBy: 'manager', status: 'draft' },
+    'bonusAllocations/locked': { businessId: 'acme', createdBy: 'manager', status: 'locked' },
+    'bonusAllocations/draft/history/h1': { businessId: 'acme', action: 'save' }
+  };
+
+  MEMBERS.forEach(role => {
+    docs[`userBusinessMap/${role}`] = { businessId: 'acme', email: `${role}@acme.test` };
+    docs[`${BUSINESS}/users/${role}`] = userDoc(role, ROLE_NAMES[role as keyof typeof ROLE_NAMES]);
+  });
+
+  return docs;
+};
+
+let env: RulesTestEnvironment;
+
+const firestoreFor = (role: Role | 'founder'): Firestore =>
+  role === 'anonymous' ? env.unauthenticatedContext().firestore() : env.authenticatedContext(role).firestore();
+
+/**
+ * One test per role: the operation must succeed for the listed roles and fail for all others
+ */
+const expectAccess = (name: string, allowed: Role[], operation: (db: Firestore, role: Role) => Promise<unknown>) => {
+  describe(name, () => {
+    it.each(ROLES)('%s', async role => {
+      const result = operation(firestoreFor(role), role);
+      await (allowed.includes(role) ? assertSucceeds(result) : assertFails(result));
+    });
+  });
+};
+
+const readable = (path: string) => (db: Firestore) => db.doc(path).get();
+
+beforeAll(async () => {
+  env = await initializeTestEnvironment({
+    projectId: 'demo-evaluations',
+    firestore: { rules: readFileSync(resolve(__dirname, '../../firestore.rules'), 'utf8') }
+  });
+});
+
+beforeEach(async () => {
+  await env.clearFirestore();
+  await env.withSecurityRulesDisabled(async context => {
+    const db = context.firestore();
+    await Promise.all(Object.entries(seed()).map(([path, data]) => db.doc(path).set(data)));
+  });
+});
+
+afterAll(async () => {
+  await env.cleanup();
+});
+
+describe('userBusinessMap', () => {
+  expectAccess('read your own mapping', [...MEMBERS, 'outsider'], (db, role) => db.doc(`userBusinessMap/${role}`).get());
+  expectAccess('read an employee\'s mapping', ['employee', ...ADMIN_HR], readable('userBusinessMap/employee'));
+  expectAccess('create for a new user', ADMIN_HR, db =>
+    db.doc('userBusinessMap/newcomer').set({ businessId: 'acme', email: 'newcomer@acme.test' }));
+  expectAccess('move to another business', NOBODY, db =>
+    db.doc('userBusinessMap/employee').update({ businessId: 'globex' }));
+  expectAccess('delete another member', ADMIN_HR, db => db.doc('userBusinessMap/employee').delete());
+
+  it('lets a new owner create their own mapping during registration', async () => {
+    await env.withSecurityRulesDisabled(context =>
+      context.firestore().doc('businesses/newco').set({ name: 'Newco', ownerId: 'founder' }));
+    await assertSucceeds(firestoreFor('founder').doc('userBusinessMap/founder').set({ businessId: 'newco' }));
+  });
+});
+
+describe('businesses', () => {
+  expectAccess('read', MEMBERS, readable(BUSINESS));
+  expectAccess('update settings', ['admin'], db => db.doc(BUSINESS).update({ name: 'Acme Inc' }));
+  expectAccess('transfer ownership', NOBODY, db => db.doc(BUSINESS).update({ ownerId: 'hr' }));
+  expectAccess('create while already in a business', NOBODY, db =>
+    db.doc('businesses/second').set({ name: 'Second', ownerId: 'admin' }));
+  expectAccess('delete', NOBODY, db => db.doc(BUSINESS).delete());
+
+  it('lets a signed-in user without a business create one they own', async () => {
+    await assertSucceeds(firestoreFor('founder').doc('businesses/newco').set({ name: 'Newco', ownerId: 'founder' }));
+    await assertFails(firestoreFor('founder').doc('businesses/other').set({ name: 'Other', ownerId: 'admin' }));
+  });
+});
+
+describe('users', () => {
+  expectAccess('read a colleague', MEMBERS, readable(`${BUSINESS}/users/manager`));
+  expectAccess('create an employee', ADMIN_HR, db =>
+    db.doc(`${BUSINESS}/users/newcomer`).set(userDoc('newcomer', 'employee')));
+  expectAccess('create an admin', ['admin'], db =>
+    db.doc(`${BUSINESS}/users/newcomer`).set(userDoc('newcomer', 'admin')));
+  expectAccess('create with the settings permission', ['admin'], db =>
+    db.doc(`${BUSINESS}/users/newcomer`).set({
+      ...userDoc('newcomer', 'employee'),
+      permissions: { ...NO_PERMISSIONS, canManageSettings: true }
+    }));
+  expectAccess('update a colleague\'s position', ADMIN_HR, db =>
+    db.doc(`${BUSINESS}/users/manager`).update({ 'employeeInfo.position': 'Lead' }));
+  expectAccess('change a colleague\'s role', ['admin'], db =>
+    db.doc(`${BUSINESS}/users/employee`).update({ role: 'manager' }));
+  expectAccess('change a colleague\'s permissions', ['admin'], db =>
+    db.doc(`${BUSINESS}/users/employee`).update({ 'permissions.canManageUsers': true }));
+  expectAccess('put a salary on a user', NOBODY, db =>
+    db.doc(`${BUSINESS}/users/employee`).update({ 'employeeInfo.salary': 5000 }));
+  expectAccess('update the employee\'s own profile', ['employee', ...ADMIN_HR], db =>
+    db.doc(`${BUSINESS}/users/employee`).update({ 'profile.phone': '555-0100' }));
+  expectAccess('delete a colleague', ADMIN_HR, db => db.doc(`${BUSINESS}/users/employee`).delete());
+
+  it('does not let HR promote themselves', async () => {
+    const db = firestoreFor('hr');
+    await assertFails(db.doc(`${BUSINESS}/users/hr`).update({ role: 'admin' }));
+    await assertFails(db.doc(`${BUSINESS}/users/hr`).update({ 'permissions.canManageSettings': true }));
+    await assertSucceeds(db.doc(`${BUSINESS}/users/hr`).update({ role: 'hr', 'profile.phone': '555-0101' }));
+  });
+
+  it('does not let users change their own role', async () => {
+    await assertFails(firestoreFor('employee').doc(`${BUSINESS}/users/employee`).update({ role: 'admin' }));
+  });
+
+  it('does not let users delete themselves', async () => {
+    await assertFails(firestoreFor('hr').doc(`${BUSINESS}/users/hr`).delete());
+  });
+
+  it('lets a new owner create their own admin profile during registration', async () => {
+    await env.withSecurityRulesDisabled(context =>
+      context.firestore().doc('businesses/newco').set({ name: 'Newco', ownerId: 'founder' }));
+    const db = firestoreFor('founder');
+    await assertFails(db.doc('businesses/newco/users/founder').set(userDoc('founder', 'employee')));
+    await assertSucceeds(db.doc('businesses/newco/users/founder').set(userDoc('founder', 'admin')));
+  });
+});
+
+describe('notifications', () => {
+  const path = `${BUSINESS}/users/employee/notifications/welcome`;
+
+  expectAccess('read', ['employee'], readable(path));
+  expectAccess('mark read', ['employee'], db => db.doc(path).update({ read: true, readAt: new Date() }));
+  expectAccess('change the message', NOBODY, db => db.doc(path).update({ type: 'other' }));
+  expectAccess('create', NOBODY, db => db.doc(`${BUSINESS}/users/employee/notifications/new`).set({ read: false }));
+  expectAccess('delete', NOBODY, db => db.doc(path).delete());
+});
+
+describe('departments', () => {
+  expectAccess('read', MEMBERS, readable(`${BUSINESS}/departments/sales`));
+  expectAccess('create', ADMIN_HR, db => db.doc(`${BUSINESS}/departments/support`).set({ name: 'Support' }));
+  expectAccess('rename', ADMIN_HR, db => db.doc(`${BUSINESS}/departments/sales`).update({ name: 'Revenue' }));
+  expectAccess('update the employee count', ADMIN_HR, db =>
+    db.doc(`${BUSINESS}/departments/sales`).update({ employeeCount: 7 }));
+  expectAccess('delete', ADMIN_HR, db => db.doc(`${BUSINESS}/departments/sales`).delete());
+});
+
+describe('evaluationTemplates', () => {
+  const EVALUATION_MANAGERS: Role[] = ['admin', 'hr', 'headManager', 'manager', 'supervisor'];
+
+  expectAccess('read', MEMBERS, readable(`${BUSINESS}/evaluationTemplates/annual`));
+  expectAccess('create a draft', EVALUATION_MANAGERS, db =>
+    db.doc(`${BUSINESS}/evaluationTemplates/quarterly`).set({ name: 'Quarterly' }));
+  expectAccess('create as published', NOBODY, db =>
+    db.doc(`${BUSINESS}/evaluationTemplates/quarterly`).set({ name: 'Quarterly', publishedVersion: 1 }));
+  expectAccess('edit the draft', EVALUATION_MANAGERS, db =>
+    db.doc(`${BUSINESS}/evaluationTemplates/annual`).update({ name: 'Annual review' }));
+  expectAccess('move the published version', NOBODY, db =>
+    db.doc(`${BUSINESS}/evaluationTemplates/annual`).update({ publishedVersion: 2 }));
+  expectAccess('delete', EVALUATION_MANAGERS, db => db.doc(`${BUSINESS}/evaluationTemplates/annual`).delete());
+
+  expectAccess('read a version', MEMBERS, readable(`${BUSINESS}/evaluationTemplates/annual/versions/1`));
+  expectAccess('edit a version', NOBODY, db =>
+    db.doc(`${BUSINESS}/evaluationTemplates/annual/versions/1`).update({ categories: [{ name: 'New' }] }));
+});
+
+describe('evaluationAssignments', () => {
+  expectAccess('read', MEMBERS, readable(`${BUSINESS}/evaluationAssignments/a1`));
+  expectAccess('write', ADMIN_HR, db =>
+    db.doc(`${BUSINESS}/evaluationAssignments/a2`).set({ evaluatorId: 'manager', evaluateeId: 'employee' }));
+});
+
+describe('reviewCycles', () => {
+  expectAccess('read', MEMBERS, readable(`${BUSINESS}/reviewCycles/2024`));
+  expectAccess('write', NOBODY, db => db.doc(`${BUSINESS}/reviewCycles/2024`).update({ status: 'closed' }));
+  expectAccess('read a launch report', ADMIN_HR, readable(`${BUSINESS}/reviewCycles/2024/launchReports/r1`));
+  expectAccess('write a launch report', NOBODY, db =>
+    db.doc(`${BUSINESS}/reviewCycles/2024/launchReports/r2`).set({ created: 0 }));
+});
+
+describe('bonusAssignments', () => {
+  expectAccess('read', MEMBERS, readable(`${BUSINESS}/bonusAssignments/b1`));
+  expectAccess('write', ADMIN_HR, db =>
+    db.doc(`${BUSINESS}/bonusAssignments/b2`).set({ allocatorId: 'manager', departmentId: 'sales' }));
+});
+
+describe('evaluations', () => {
+  const e1 = `${BUSINESS}/evaluations/e1`;
+  const e2 = `${BUSINESS}/evaluations/e2`;
+
+  // Managers above the evaluatee go through getTeamEvaluations
+  expectAccess('read', ['admin', 'hr', 'supervisor', 'employee'], readable(e1));
+  expectAccess('create', NOBODY, db =>
+    db.doc(`${BUSINESS}/evaluations/e3`).set({ evaluateeId: 'employee', evaluatorId: 'supervisor', status: 'pending' }));
+  expectAccess('save self-assessment answers', ['admin', 'hr', 'employee'], db =>
+    db.doc(e1).update({ responses: { q1: 4 } }));
+  expectAccess('change the status', NOBODY, db => db.doc(e1).update({ status: 'completed' }));
+  expectAccess('write scores', NOBODY, db => db.doc(e1).update({ scores: { overall: 5 } }));
+  expectAccess('save the manager review', ['admin', 'hr', 'supervisor'], db =>
+    db.doc(e2).update({ managerReview: { comments: 'Great year' } }));
+  expectAccess('delete', ADMIN_HR, db => db.doc(e1).delete());
+});
+
+describe('feedbackRequests', () => {
+  // Only the rater; the evaluator (supervisor) and evaluatee (employee) go through getFeedbackRequests
+  expectAccess('read', ['manager'], readable(`${BUSINESS}/feedbackRequests/f1`));
+  expectAccess('write', NOBODY, db => db.doc(`${BUSINESS}/feedbackRequests/f1`).update({ status: 'submitted' }));
+});
+
+describe('feedbackResponses', () => {
+  expectAccess('read', NOBODY, readable(`${BUSINESS}/feedbackResponses/f1`));
+  expectAccess('write', NOBODY, db => db.doc(`${BUSINESS}/feedbackResponses/f2`).set({ answers: {} }));
+});
+
+describe('goals', () => {
+  const g1 = `${BUSINESS}/goals/g1`;
+
+  expectAccess('read', ['admin', 'hr', 'headManager', 'manager', 'supervisor', 'employee'], readable(g1));
+  expectAccess('propose a goal for yourself', MEMBERS, (db, role) =>
+    db.doc(`${BUSINESS}/goals/g2`).set({
+      employeeId: role,
+      managerId: 'supervisor',
+      source: 'employee',
+      status: 'proposed',
+      createdBy: role
+    }));
+  expectAccess('propose a goal for someone else', NOBODY, db =>
+    db.doc(`${BUSINESS}/goals/g2`).set({
+      employeeId: 'employee',
+      managerId: 'supervisor',
+      source: 'employee',
+      status: 'proposed',
+      createdBy: 'someone-else'
+    }));
+  expectAccess('edit the proposal', ['admin', 'hr', 'employee'], db =>
+    db.doc(g1).update({ title: 'Learn Portuguese' }));
+  expectAccess('approve the proposal', ['admin', 'hr', 'supervisor'], db => db.doc(g1).update({ status: 'active' }));
+  expectAccess('hand the goal to someone else', NOBODY, db => db.doc(g1).update({ employeeId: 'manager' }));
+  expectAccess('delete the proposal', ['admin', 'hr', 'employee'], db => db.doc(g1).delete());
+});
+
+describe('bonusCalculations', () => {
+  expectAccess('read', ADMIN_HR, readable(`${BUSINESS}/bonusCalculations/c1`));
+  expectAccess('write', ADMIN_HR, db => db.doc(`${BUSINESS}/bonusCalculations/c2`).set({ salaries: {} }));
+});
+
+describe('bonusScenarios', () => {
+  expectAccess('read', ['admin', 'hr', 'headManager', 'manager'], readable(`${BUSINESS}/bonusScenarios/s1`));
+  expectAccess('create', NOBODY, db =>
+    db.doc(`${BUSINESS}/bonusScenarios/s2`).set({ name: 'Tiers', createdBy: 'admin' }));
+  expectAccess('edit', NOBODY, db => db.doc(`${BUSINESS}/bonusScenarios/s1`).update({ name: 'Renamed' }));
+  expectAccess('delete', ['admin', 'hr', 'manager'], db => db.doc(`${BUSINESS}/bonusScenarios/s1`).delete());
+});
+
+describe.each([
+  ['reminderLog', 'l1'],
+  ['scheduledNotifications', 'n1'],
+  ['emailOutbox', 'm1'],
+  ['exports', 'x1']
+])('%s', (collection, id) => {
+  expectAccess('read', ADMIN_HR, readable(`${BUSINESS}/${collection}/${id}`));
+  expectAccess('write', NOBODY, db => db.doc(`${BUSINESS}/${collection}/${id}`).update({ edited: true }));
+});
+
+describe('other tenant collections', () => {
+  expectAccess('read', MEMBERS, readable(`${BUSINESS}/announcements/hello`));
+  expectAccess('write', ['admin'], db => db.doc(`${BUSINESS}/announcements/hello`).update({ text: 'Hi' }));
+
+  // The wildcard ORs with every other match, so collections listed in isUncovered()
+  // must not pick up its member read or admin write
+  expectAccess('read a covered collection through the fallback', NOBODY, readable(`${BUSINESS}/feedbackResponses/f1`));
+  expectAccess('write a covered collection through the fallback', NOBODY, db =>
+    db.doc(`${BUSINESS}/reviewCycles/2024`).update({ name: 'Renamed' }));
+  expectAccess('read admin-only logs through the fallback', ADMIN_HR, readable(`${BUSINESS}/reminderLog/l1`));
+});
+
+describe('invites', () => {
+  expectAccess('read', NOBODY, readable('invites/i1'));
+  expectAccess('write', NOBODY, db => db.doc('invites/i2').set({ businessId: 'acme' }));
+});
+
+describe('passwordResetLog', () => {
+  expectAccess('read', NOBODY, readable('passwordResetLog/r1'));
+  expectAccess('write', NOBODY, db => db.doc('passwordResetLog/r1').update({ count: 0 }));
+});
+
+describe('bonusAllocations', () => {
+  const ALLOCATORS: Role[] = ['admin', 'hr', 'headManager'];
+
+  expectAccess('read', [...ALLOCATORS, 'manager'], readable('bonusAllocations/draft'));
+  expectAccess('create', NOBODY, db =>
+    db.doc('bonusAllocations/new').set({ businessId: 'acme', createdBy: 'admin', status: 'draft' }));
+  expectAccess('update', NOBODY, db => db.doc('bonusAllocations/draft').update({ status: 'approved' }));
+  expectAccess('delete a draft', ADMIN_HR, db => db.doc('bonusAllocations/draft').delete());
+  expectAccess('delete a locked allocation', NOBODY, db => db.doc('bonusAllocations/locked').delete());
+
+  expectAccess('read the history', ALLOCATORS, readable('bonusAllocations/draft/history/h1'));
+  expectAccess('write the history', NOBODY, db =>
+    db.doc('bonusAllocations/draft/history/h2').set({ businessId: 'acme', action: 'approve' }));
+});
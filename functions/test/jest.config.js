@@ -0,0 +1,11 @@
+// Suites that need the Firestore emulator; run them with `npm run test:emulator`
+module.exports = {
+  preset: 'ts-jest',
+  testEnvironment: 'node',
+  rootDir: '..',
+  roots: ['<rootDir>/test'],
+  setupFiles: ['<rootDir>/test/setupEmulator.js'],
+  // The suites share one emulator project and clear it between tests
+  maxWorkers: 1,
+  testTimeout: 30000
+};
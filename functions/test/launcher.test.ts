@@ -0,0 +1,146 @@
+/**
+ * Review cycle launcher on a fake clock
+ *
+ * Runs against the Firestore emulator: `npm run test:emulator`. Every call passes its
+ * own `now`, the way the scheduled run passes the event's scheduleTime.
+ */
+
+import { Timestamp } from 'firebase-admin/firestore';
+import { db } from '../src/config';
+import { launchCycle, launchDueCycles, REPORT_SAMPLE_SIZE } from '../src/launcher';
+
+const business = db.collection('businesses').doc('acme');
+const cycleRef = business.collection('reviewCycles').doc('h1-2025');
+
+const JAN_1 = new Date('2025-01-01T01:00:00.000Z');
+
+const user = (role: string, isActive = true) => ({
+  profile: { firstName: role, lastName: 'Test' },
+  role,
+  employeeInfo: { department: 'sales', hireDate: '2020-01-15' },
+  isActive
+});
+
+const assign = (id: string, evaluatorId: string, evaluateeId: string) =>
+  business.collection('evaluationAssignments').doc(id).set({ evaluatorId, evaluateeId, active: true });
+
+const evaluationsInCycle = async () => {
+  const snapshot = await business.collection('evaluations').where('cycleId', '==', 'h1-2025').get();
+  return snapshot.docs.map(doc => doc.data());
+};
+
+beforeEach(async () => {
+  await db.recursiveDelete(db.collection('businesses'));
+
+  await business.set({ name: 'Acme' });
+  await Promise.all([
+    business.collection('users').doc('manager').set(user('manager')),
+    business.collection('users').doc('alice').set(user('employee')),
+    business.collection('users').doc('bob').set(user('employee')),
+    business.collection('users').doc('carol').set(user('employee', false)),
+    business.collection('evaluationTemplates').doc('annual').set({ name: 'Annual', publishedVersion: 1 }),
+    business.collection('evaluationTemplates').doc('annual').collection('versions').doc('1').set({
+      name: 'Annual',
+      categories: [{ id: 'delivery', name: 'Delivery', questions: [{ id: 'q1', text: 'Quality' }] }]
+    }),
+    cycleRef.set({
+      name: 'H1 2025',
+      type: 'semi-annual',
+      periodStart: '2025-01-01T00:00:00.000Z',
+      periodEnd: '2025-06-30T00:00:00.000Z',
+      templateId: 'annual',
+      participantIds: [],
+      phaseDeadlines: {},
+      includesBonus: false,
+      status: 'open'
+    }),
+    assign('a1', 'manager', 'alice'),
+    assign('a2', 'manager', 'bob'),
+    assign('a3', 'manager', 'carol'),
+    assign('a4', 'alice', 'alice')
+  ]);
+});
+
+describe('launchDueCycles', () => {
+  it('does nothing before the cycle starts', async () => {
+    const results = await launchDueCycles(new Date('2024-12-31T23:59:59.000Z'));
+
+    expect(results).toEqual([]);
+    expect(await evaluationsInCycle()).toHaveLength(0);
+    expect((await cycleRef.get()).data()?.launchedAt).toBeUndefined();
+  });
+
+  it('launches the cycle on its start date, dated by the clock it was given', async () => {
+    const results = await launchDueCycles(JAN_1);
+
+    expect(results).toEqual([{ businessId: 'acme', cycleId: 'h1-2025', created: 2, skipped: 2, status: 'completed' }]);
+
+    const evaluations = await evaluationsInCycle();
+    expect(evaluations.map(evaluation => evaluation.evaluateeId).sort()).toEqual(['alice', 'bob']);
+    expect(evaluations[0].assignedDate).toBe(JAN_1.toISOString());
+    expect(evaluations[0].evaluateeContext.tenureMonths).toBe(59);
+    expect(evaluations[0].transitions[0].at.toDate()).toEqual(JAN_1);
+
+    const cycle = (await cycleRef.get()).data();
+    expect(cycle?.launchedAt).toBe(JAN_1.toISOString());
+    expect(cycle?.templateVersion).toBe(1);
+    expect(cycle?.launchLockedAt).toBeNull();
+    expect(cycle?.lastLaunch).toMatchObject({ trigger: 'schedule', createdCount: 2, skippedCount: 2 });
+
+    const report = (await cycleRef.collection('launchReports').doc(cycle?.lastLaunch.reportId).get()).data();
+    expect(report).toMatchObject({
+      runAt: JAN_1.toISOString(),
+      createdCount: 2,
+      skippedCount: 2,
+      skippedByReason: { 'evaluatee-inactive': 1, 'self-assignment': 1 }
+    });
+  });
+
+  it('does not launch a cycle twice', async () => {
+    await launchDueCycles(JAN_1);
+    const results = await launchDueCycles(new Date('2025-01-02T01:00:00.000Z'));
+
+    expect(results).toEqual([]);
+    expect(await evaluationsInCycle()).toHaveLength(2);
+  });
+});
+
+describe('launchCycle', () => {
+  const manual = (now: Date) => launchCycle('acme', 'h1-2025', { now, trigger: 'manual', launchedBy: 'hr' });
+
+  it('only creates evaluations for assignments added since the last launch', async () => {
+    await manual(JAN_1);
+    await assign('a5', 'alice', 'bob');
+    const report = await manual(new Date('2025-02-01T09:00:00.000Z'));
+
+    expect(report).toMatchObject({ createdCount: 1, skippedByReason: { 'already-exists': 2 } });
+    expect((await cycleRef.get()).data()?.launchedAt).toBe(JAN_1.toISOString());
+  });
+
+  it('waits for a launch that holds the lock, until the lock expires', async () => {
+    await cycleRef.update({ launchLockedAt: Timestamp.fromDate(JAN_1) });
+
+    expect(await manual(new Date('2025-01-01T01:05:00.000Z'))).toBeNull();
+    expect(await manual(new Date('2025-01-01T01:11:00.000Z'))).toMatchObject({ createdCount: 2 });
+  });
+
+  it('keeps complete counts but only a sample of pairs in the report', async () => {
+    const extra = REPORT_SAMPLE_SIZE + 5;
+    const batch = db.batch();
+    for (let i = 0; i < extra; i++) {
+      batch.set(business.collection('evaluationAssignments').doc(`self-${i}`), {
+        evaluatorId: 'bob',
+        evaluateeId: 'bob',
+        active: true
+      });
+    }
+    await batch.commit();
+
+    const report = await manual(JAN_1);
+
+    expect(report?.skippedCount).toBe(extra + 2);
+    expect(report?.skippedByReason['self-assignment']).toBe(extra + 1);
+    expect(report?.skipped).toHaveLength(REPORT_SAMPLE_SIZE);
+    expect(report?.created).toHaveLength(2);
+  });
+});
@@ -0,0 +1,3 @@
+// emulators:exec sets these; the fallbacks let the suites run against an emulator started by hand
+process.env.GCLOUD_PROJECT = process.env.GCLOUD_PROJECT || 'demo-evaluations';
+process.env.FIRESTORE_EMULATOR_HOST = process.env.FIRESTORE_EMULATOR_HOST || '127.0.0.1:8080';